@@ -12,9 +12,13 @@ import PrivateRoute from "./components/Routes/Private";
 import AdminRoute from "./components/Routes/AdminRoute";
 import AdminDashboard from "./pages/admin/AdminDashboard";
 import CreateCategory from "./pages/admin/CreateCategory";
+import CreateCoupon from "./pages/admin/CreateCoupon";
+import TaxRates from "./pages/admin/TaxRates";
+import ShippingMethods from "./pages/admin/ShippingMethods";
 import CreateProduct from "./pages/admin/CreateProduct";
 import Users from "./pages/admin/Users";
 import Orders from "./pages/user/Orders";
+import Wishlist from "./pages/user/Wishlist";
 import Profile from "./pages/user/Profile";
 import Products from "./pages/admin/Products";
 import UpdateProduct from "./pages/admin/UpdateProduct";
@@ -23,7 +27,12 @@ import ProductDetails from "./pages/ProductDetails";
 import Categories from "./pages/Categories";
 import CategoryProduct from "./pages/CategoryProduct";
 import CartPage from "./pages/CartPage";
+import CheckoutPage from "./pages/CheckoutPage";
+import OrderConfirmation from "./pages/OrderConfirmation";
+import OrderLookup from "./pages/OrderLookup";
 import AdminOrders from "./pages/admin/AdminOrders";
+import Reviews from "./pages/admin/Reviews";
+import Questions from "./pages/admin/Questions";
 function App() {
   return (
     <>
@@ -32,21 +41,31 @@ function App() {
         <Route path="/product/:slug" element={<ProductDetails />} />
         <Route path="/categories" element={<Categories />} />
         <Route path="/cart" element={<CartPage />} />
+        <Route path="/checkout" element={<CheckoutPage />} />
+        <Route path="/checkout/:step" element={<CheckoutPage />} />
+        <Route path="/checkout/confirmation/:orderId" element={<OrderConfirmation />} />
+        <Route path="/order-lookup" element={<OrderLookup />} />
         <Route path="/category/:slug" element={<CategoryProduct />} />
         <Route path="/search" element={<Search />} />
         <Route path="/dashboard" element={<PrivateRoute />}>
           <Route path="user" element={<Dashboard />} />
           <Route path="user/orders" element={<Orders />} />
+          <Route path="user/wishlist" element={<Wishlist />} />
           <Route path="user/profile" element={<Profile />} />
         </Route>
         <Route path="/dashboard" element={<AdminRoute />}>
           <Route path="admin" element={<AdminDashboard />} />
           <Route path="admin/create-category" element={<CreateCategory />} />
+          <Route path="admin/coupons" element={<CreateCoupon />} />
+          <Route path="admin/taxes" element={<TaxRates />} />
+          <Route path="admin/shipping" element={<ShippingMethods />} />
           <Route path="admin/create-product" element={<CreateProduct />} />
           <Route path="admin/product/:slug" element={<UpdateProduct />} />
           <Route path="admin/products" element={<Products />} />
           <Route path="admin/users" element={<Users />} />
           <Route path="admin/orders" element={<AdminOrders />} />
+          <Route path="admin/reviews" element={<Reviews />} />
+          <Route path="admin/questions" element={<Questions />} />
         </Route>
         <Route path="/register" element={<Register />} />
         <Route path="/login" element={<Login />} />
@@ -0,0 +1,208 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import axios from "axios";
+
+const emptyForm = {
+  recipient: "",
+  line1: "",
+  line2: "",
+  city: "",
+  region: "",
+  postalCode: "",
+  country: "",
+  phone: "",
+  isDefaultShipping: false,
+  isDefaultBilling: false,
+};
+
+export const ADDRESS_FIELDS = [
+  { key: "recipient", label: "Recipient" },
+  { key: "line1", label: "Address line 1" },
+  { key: "line2", label: "Address line 2" },
+  { key: "city", label: "City" },
+  { key: "region", label: "State / region code", placeholder: "e.g. CA" },
+  { key: "postalCode", label: "Postal code" },
+  { key: "country", label: "Country", placeholder: "e.g. US" },
+  { key: "phone", label: "Phone" },
+];
+
+// one line per part of the address, skipping the empty ones
+export const formatAddress = (a) =>
+  [a.line1, a.line2, [a.city, a.region, a.postalCode].filter(Boolean).join(" "), a.country]
+    .filter(Boolean)
+    .join(", ");
+
+const AddressBook = () => {
+  const [addresses, setAddresses] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editing, setEditing] = useState(null);
+
+  const setField = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+  const setFlag = (key) => (e) => setForm({ ...form, [key]: e.target.checked });
+
+  //get the saved addresses
+  const getAddresses = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/address/get-addresses");
+      if (data?.success) {
+        setAddresses(data.addresses);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting your addresses");
+    }
+  };
+
+  useEffect(() => {
+    getAddresses();
+  }, []);
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditing(null);
+  };
+
+  //add or update address
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = editing
+        ? await axios.put(`/api/v1/address/update-address/${editing}`, form)
+        : await axios.post("/api/v1/address/create-address", form);
+      if (data?.success) {
+        toast.success(data.message);
+        setAddresses(data.addresses);
+        resetForm();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  const handleEdit = (a) => {
+    setEditing(a._id);
+    setForm({
+      ...emptyForm,
+      ...Object.fromEntries(ADDRESS_FIELDS.map(({ key }) => [key, a[key] || ""])),
+      isDefaultShipping: Boolean(a.isDefaultShipping),
+      isDefaultBilling: Boolean(a.isDefaultBilling),
+    });
+  };
+
+  //delete address
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/address/delete-address/${id}`);
+      if (data?.success) {
+        toast.success(data.message);
+        setAddresses(data.addresses);
+        if (editing === id) resetForm();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  return (
+    <div className="form-container mt-4">
+      <h4 className="title">ADDRESS BOOK</h4>
+      {addresses?.length ? (
+        <ul className="list-group mb-3">
+          {addresses.map((a) => (
+            <li key={a._id} className="list-group-item" data-testid="saved-address">
+              <div className="fw-bold">{a.recipient}</div>
+              <div>{formatAddress(a)}</div>
+              {a.phone && <div>{a.phone}</div>}
+              {a.isDefaultShipping && (
+                <span className="badge bg-primary me-1">Default shipping</span>
+              )}
+              {a.isDefaultBilling && (
+                <span className="badge bg-secondary me-1">Default billing</span>
+              )}
+              <div className="mt-2">
+                <button
+                  type="button"
+                  className="btn btn-outline-primary btn-sm"
+                  onClick={() => handleEdit(a)}
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-outline-danger btn-sm ms-2"
+                  onClick={() => handleDelete(a._id)}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p>No saved addresses yet</p>
+      )}
+      <form onSubmit={handleSubmit}>
+        <h5>{editing ? "Edit address" : "Add an address"}</h5>
+        {ADDRESS_FIELDS.map(({ key, label, placeholder }) => (
+          <div className="mb-2" key={key}>
+            <label htmlFor={`address-${key}`} className="form-label">
+              {label}
+            </label>
+            <input
+              id={`address-${key}`}
+              type="text"
+              className="form-control"
+              placeholder={placeholder}
+              value={form[key]}
+              onChange={setField(key)}
+            />
+          </div>
+        ))}
+        <div className="form-check">
+          <input
+            id="address-default-shipping"
+            type="checkbox"
+            className="form-check-input"
+            checked={form.isDefaultShipping}
+            onChange={setFlag("isDefaultShipping")}
+          />
+          <label htmlFor="address-default-shipping" className="form-check-label">
+            Default shipping address
+          </label>
+        </div>
+        <div className="form-check mb-3">
+          <input
+            id="address-default-billing"
+            type="checkbox"
+            className="form-check-input"
+            checked={form.isDefaultBilling}
+            onChange={setFlag("isDefaultBilling")}
+          />
+          <label htmlFor="address-default-billing" className="form-check-label">
+            Default billing address
+          </label>
+        </div>
+        <button type="submit" className="btn btn-primary">
+          {editing ? "Update Address" : "Add Address"}
+        </button>
+        {editing && (
+          <button
+            type="button"
+            className="btn btn-outline-secondary ms-2"
+            onClick={resetForm}
+          >
+            Cancel
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default AddressBook;
@@ -0,0 +1,160 @@
+import React from 'react';
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import AddressBook, { formatAddress } from './AddressBook';
+
+jest.mock('axios');
+jest.mock('react-hot-toast');
+
+const home = {
+  _id: 'a1', recipient: 'Ann Lee', line1: '1 Main St', line2: '', city: 'Oakland', region: 'CA',
+  postalCode: '94601', country: 'US', phone: '555-0100', isDefaultShipping: true, isDefaultBilling: false,
+};
+const office = {
+  _id: 'a2', recipient: 'Ann Lee', line1: '9 Work Rd', line2: 'Floor 2', city: 'Austin', region: 'TX',
+  postalCode: '73301', country: 'US', phone: '', isDefaultShipping: false, isDefaultBilling: true,
+};
+
+const renderBook = async () => {
+  await act(async () => {
+    render(<AddressBook />);
+  });
+};
+
+const entry = (text) => screen.getByText(text).closest('li');
+
+const fillForm = (values) => {
+  for (const [label, value] of Object.entries(values)) {
+    fireEvent.change(screen.getByLabelText(label), { target: { value } });
+  }
+};
+
+describe('AddressBook', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.get.mockResolvedValue({ data: { success: true, addresses: [home, office] } });
+  });
+
+  it('lists the saved addresses with their default flags', async () => {
+    await renderBook();
+
+    expect(axios.get).toHaveBeenCalledWith('/api/v1/address/get-addresses');
+    expect(screen.getAllByTestId('saved-address')).toHaveLength(2);
+    expect(within(entry('1 Main St, Oakland CA 94601, US')).getByText('Default shipping')).toBeInTheDocument();
+    expect(within(entry('9 Work Rd, Floor 2, Austin TX 73301, US')).getByText('Default billing')).toBeInTheDocument();
+    expect(screen.getByText('555-0100')).toBeInTheDocument();
+  });
+
+  it('says when there are no addresses', async () => {
+    axios.get.mockResolvedValue({ data: { success: true, addresses: [] } });
+
+    await renderBook();
+
+    expect(screen.getByText('No saved addresses yet')).toBeInTheDocument();
+  });
+
+  it('adds an address and shows the updated book', async () => {
+    axios.post.mockResolvedValue({
+      data: { success: true, message: 'Address added', addresses: [home, office, { ...home, _id: 'a3', line1: '5 New Ave' }] },
+    });
+    await renderBook();
+
+    fillForm({
+      Recipient: 'Ann Lee',
+      'Address line 1': '5 New Ave',
+      City: 'Reno',
+      'State / region code': 'NV',
+      'Postal code': '89501',
+      Country: 'US',
+    });
+    fireEvent.click(screen.getByLabelText('Default shipping address'));
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Add Address' }));
+    });
+
+    expect(axios.post).toHaveBeenCalledWith('/api/v1/address/create-address', {
+      recipient: 'Ann Lee', line1: '5 New Ave', line2: '', city: 'Reno', region: 'NV',
+      postalCode: '89501', country: 'US', phone: '', isDefaultShipping: true, isDefaultBilling: false,
+    });
+    expect(toast.success).toHaveBeenCalledWith('Address added');
+    expect(screen.getAllByTestId('saved-address')).toHaveLength(3);
+    expect(screen.getByLabelText('Recipient')).toHaveValue('');
+  });
+
+  it('edits an address in place', async () => {
+    axios.put.mockResolvedValue({
+      data: { success: true, message: 'Address updated', addresses: [home, { ...office, city: 'Dallas' }] },
+    });
+    await renderBook();
+
+    fireEvent.click(within(entry('9 Work Rd, Floor 2, Austin TX 73301, US')).getByRole('button', { name: 'Edit' }));
+
+    expect(screen.getByText('Edit address')).toBeInTheDocument();
+    expect(screen.getByLabelText('Address line 2')).toHaveValue('Floor 2');
+    expect(screen.getByLabelText('Default billing address')).toBeChecked();
+
+    fillForm({ City: 'Dallas' });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Update Address' }));
+    });
+
+    expect(axios.put).toHaveBeenCalledWith(
+      '/api/v1/address/update-address/a2',
+      expect.objectContaining({ city: 'Dallas', line2: 'Floor 2', isDefaultBilling: true }),
+    );
+    expect(toast.success).toHaveBeenCalledWith('Address updated');
+    expect(screen.getByText('9 Work Rd, Floor 2, Dallas TX 73301, US')).toBeInTheDocument();
+    expect(screen.getByText('Add an address')).toBeInTheDocument();
+  });
+
+  it('cancels an edit', async () => {
+    await renderBook();
+
+    fireEvent.click(within(entry('1 Main St, Oakland CA 94601, US')).getByRole('button', { name: 'Edit' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(screen.getByLabelText('Recipient')).toHaveValue('');
+    expect(screen.getByRole('button', { name: 'Add Address' })).toBeInTheDocument();
+  });
+
+  it('deletes an address', async () => {
+    axios.delete.mockResolvedValue({
+      data: { success: true, message: 'Address deleted', addresses: [{ ...office, isDefaultShipping: true }] },
+    });
+    await renderBook();
+
+    await act(async () => {
+      fireEvent.click(within(entry('1 Main St, Oakland CA 94601, US')).getByRole('button', { name: 'Delete' }));
+    });
+
+    expect(axios.delete).toHaveBeenCalledWith('/api/v1/address/delete-address/a1');
+    expect(toast.success).toHaveBeenCalledWith('Address deleted');
+    expect(screen.getAllByTestId('saved-address')).toHaveLength(1);
+    expect(screen.getByText('Default shipping')).toBeInTheDocument();
+  });
+
+  it('shows the message from a rejected address', async () => {
+    axios.post.mockRejectedValue({ response: { data: { success: false, message: 'City is required' } } });
+    await renderBook();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Add Address' }));
+    });
+
+    expect(toast.error).toHaveBeenCalledWith('City is required');
+  });
+
+  it('reports a failure to load the book', async () => {
+    axios.get.mockRejectedValue(new Error('network'));
+
+    await renderBook();
+
+    expect(toast.error).toHaveBeenCalledWith('Something went wrong in getting your addresses');
+  });
+
+  it('formats an address on one line', () => {
+    expect(formatAddress({ line1: '1 Main St', city: 'Oakland', country: 'US' })).toBe('1 Main St, Oakland, US');
+  });
+});
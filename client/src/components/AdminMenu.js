@@ -12,6 +12,24 @@ const AdminMenu = () => {
           >
             Create Category
           </NavLink>
+          <NavLink
+            to="/dashboard/admin/coupons"
+            className="list-group-item list-group-item-action"
+          >
+            Coupons
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/taxes"
+            className="list-group-item list-group-item-action"
+          >
+            Tax Rates
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/shipping"
+            className="list-group-item list-group-item-action"
+          >
+            Shipping
+          </NavLink>
           <NavLink
             to="/dashboard/admin/create-product"
             className="list-group-item list-group-item-action"
@@ -30,6 +48,18 @@ const AdminMenu = () => {
           >
             Orders
           </NavLink>
+          <NavLink
+            to="/dashboard/admin/reviews"
+            className="list-group-item list-group-item-action"
+          >
+            Reviews
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/questions"
+            className="list-group-item list-group-item-action"
+          >
+            Questions
+          </NavLink>
           {/* <NavLink
             to="/dashboard/admin/users"
             className="list-group-item list-group-item-action"
@@ -20,9 +20,14 @@ describe("AdminMenu Component", () => {
 
     // Link text presence
     expect(screen.getByRole("link", { name: "Create Category" })).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Coupons" })).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Tax Rates" })).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Shipping" })).toBeInTheDocument();
     expect(screen.getByRole("link", { name: "Create Product" })).toBeInTheDocument();
     expect(screen.getByRole("link", { name: "Products" })).toBeInTheDocument();
     expect(screen.getByRole("link", { name: "Orders" })).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Reviews" })).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Questions" })).toBeInTheDocument();
 
     // Ensure commented-out Users link is NOT rendered
     expect(screen.queryByRole("link", { name: "Users" })).not.toBeInTheDocument();
@@ -40,6 +45,15 @@ describe("AdminMenu Component", () => {
     expect(screen.getByRole("link", { name: "Create Category" }))
       .toHaveAttribute("href", "/dashboard/admin/create-category");
 
+    expect(screen.getByRole("link", { name: "Coupons" }))
+      .toHaveAttribute("href", "/dashboard/admin/coupons");
+
+    expect(screen.getByRole("link", { name: "Tax Rates" }))
+      .toHaveAttribute("href", "/dashboard/admin/taxes");
+
+    expect(screen.getByRole("link", { name: "Shipping" }))
+      .toHaveAttribute("href", "/dashboard/admin/shipping");
+
     expect(screen.getByRole("link", { name: "Create Product" }))
       .toHaveAttribute("href", "/dashboard/admin/create-product");
 
@@ -48,6 +62,12 @@ describe("AdminMenu Component", () => {
 
     expect(screen.getByRole("link", { name: "Orders" }))
       .toHaveAttribute("href", "/dashboard/admin/orders");
+
+    expect(screen.getByRole("link", { name: "Reviews" }))
+      .toHaveAttribute("href", "/dashboard/admin/reviews");
+
+    expect(screen.getByRole("link", { name: "Questions" }))
+      .toHaveAttribute("href", "/dashboard/admin/questions");
   });
 
   test("highlights active link for current route (NavLink active class)", () => {
@@ -7,7 +7,8 @@ const Footer = () => {
         <h4 className="text-center">All Rights Reserved &copy; TestingComp</h4>
         <p className="text-center mt-3">
         <Link to="/about">About</Link>|<Link to="/contact">Contact</Link>|
-        <Link to="/policy">Privacy Policy</Link>
+        <Link to="/policy">Privacy Policy</Link>|
+        <Link to="/order-lookup">Find an Order</Link>
       </p>
     </div>
   );
@@ -0,0 +1,91 @@
+import React from "react";
+import { galleryImageUrl } from "../../helpers/imageHelper";
+
+// The product's image gallery for the product forms. Images keep the order
+// shown here and the first one is used on product cards; saved images
+// are `{ _id, alt }` and new uploads `{ file, alt }`.
+const ImageGalleryForm = ({ images, setImages, productId }) => {
+  const setAlt = (index, alt) =>
+    setImages(images.map((image, i) => (i === index ? { ...image, alt } : image)));
+
+  const move = (index, by) => {
+    const moved = [...images];
+    [moved[index], moved[index + by]] = [moved[index + by], moved[index]];
+    setImages(moved);
+  };
+
+  const add = (files) =>
+    setImages([...images, ...Array.from(files || []).map((file) => ({ file, alt: "" }))]);
+
+  return (
+    <div className="mb-3 image-gallery-form">
+      <h5>Images</h5>
+      {images.length > 0 && (
+        <ol className="list-group list-group-numbered mb-2">
+          {images.map((image, i) => (
+            <li
+              className="list-group-item d-flex align-items-center gap-2"
+              key={image._id || `new-${i}`}
+            >
+              {image.file ? (
+                <span className="text-muted">{image.file.name}</span>
+              ) : (
+                <img
+                  src={galleryImageUrl(productId, image._id, "thumbnail")}
+                  alt={image.alt || `Image ${i + 1}`}
+                  height="60px"
+                />
+              )}
+              <input
+                type="text"
+                className="form-control"
+                placeholder="Describe the image"
+                aria-label={`Alt text for image ${i + 1}`}
+                value={image.alt}
+                onChange={(e) => setAlt(i, e.target.value)}
+              />
+              <button
+                type="button"
+                className="btn btn-outline-secondary btn-sm"
+                aria-label={`Move image ${i + 1} up`}
+                disabled={i === 0}
+                onClick={() => move(i, -1)}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="btn btn-outline-secondary btn-sm"
+                aria-label={`Move image ${i + 1} down`}
+                disabled={i === images.length - 1}
+                onClick={() => move(i, 1)}
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                className="btn btn-outline-danger btn-sm"
+                aria-label={`Remove image ${i + 1}`}
+                onClick={() => setImages(images.filter((_, index) => index !== i))}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+      <label className="btn btn-outline-secondary">
+        Add Images
+        <input
+          type="file"
+          accept="image/jpeg,image/png,image/webp,image/gif"
+          multiple
+          onChange={(e) => add(e.target.files)}
+          hidden
+        />
+      </label>
+    </div>
+  );
+};
+
+export default ImageGalleryForm;
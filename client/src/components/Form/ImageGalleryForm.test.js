@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import ImageGalleryForm from "./ImageGalleryForm";
+
+// holds the gallery's state the way the product forms do
+const Editor = ({ initialImages = [], onChange = jest.fn() }) => {
+  const [images, setImages] = useState(initialImages);
+  onChange(images);
+  return <ImageGalleryForm images={images} setImages={setImages} productId="p1" />;
+};
+
+const latest = (onChange) => onChange.mock.calls[onChange.mock.calls.length - 1][0];
+
+const front = { _id: "i1", alt: "Front" };
+const back = { _id: "i2", alt: "Back" };
+
+describe("ImageGalleryForm Component", () => {
+  test("shows saved images as thumbnails with their alt text", () => {
+    render(<Editor initialImages={[front, back]} />);
+
+    expect(screen.getByAltText("Front")).toHaveAttribute(
+      "src",
+      "/api/v1/product/product-image/p1/i1?size=thumbnail"
+    );
+    expect(screen.getByLabelText("Alt text for image 2")).toHaveValue("Back");
+  });
+
+  test("adds several files at once after the saved images", () => {
+    const onChange = jest.fn();
+    render(<Editor initialImages={[front]} onChange={onChange} />);
+    const side = new File(["s"], "side.png", { type: "image/png" });
+    const top = new File(["t"], "top.png", { type: "image/png" });
+
+    fireEvent.change(screen.getByLabelText("Add Images"), { target: { files: [side, top] } });
+
+    expect(latest(onChange)).toEqual([front, { file: side, alt: "" }, { file: top, alt: "" }]);
+    expect(screen.getByText("side.png")).toBeInTheDocument();
+    expect(screen.getByText("top.png")).toBeInTheDocument();
+  });
+
+  test("edits alt text", () => {
+    const onChange = jest.fn();
+    render(<Editor initialImages={[front]} onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText("Alt text for image 1"), {
+      target: { value: "Lamp from the front" },
+    });
+
+    expect(latest(onChange)).toEqual([{ _id: "i1", alt: "Lamp from the front" }]);
+  });
+
+  test("moves images up and down", () => {
+    const onChange = jest.fn();
+    render(<Editor initialImages={[front, back]} onChange={onChange} />);
+
+    expect(screen.getByRole("button", { name: "Move image 1 up" })).toBeDisabled();
+    expect(screen.getByRole("button", { name: "Move image 2 down" })).toBeDisabled();
+    fireEvent.click(screen.getByRole("button", { name: "Move image 2 up" }));
+    expect(latest(onChange)).toEqual([back, front]);
+
+    fireEvent.click(screen.getByRole("button", { name: "Move image 1 down" }));
+    expect(latest(onChange)).toEqual([front, back]);
+  });
+
+  test("removes an image", () => {
+    const onChange = jest.fn();
+    render(<Editor initialImages={[front, back]} onChange={onChange} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Remove image 1" }));
+
+    expect(latest(onChange)).toEqual([back]);
+    expect(screen.queryByAltText("Front")).not.toBeInTheDocument();
+  });
+});
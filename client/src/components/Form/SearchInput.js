@@ -1,40 +1,149 @@
-import React from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useSearch } from "../../context/search";
 import axios from "axios";
 import { useNavigate } from "react-router-dom";
+import {
+  MIN_SUGGEST_LENGTH,
+  SUGGEST_DELAY,
+  searchParams,
+  searchUrl,
+  suggestionItems,
+  withResults,
+} from "../../helpers/searchHelper";
 const SearchInput = () => {
   const [values, setValues] = useSearch();
   const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState([]);
+  // the dropdown opens on typing and closes on a pick, Escape or leaving
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  // only the answer to the latest request is shown
+  const latest = useRef(0);
+  const keyword = values.keyword;
+  const showing = open && suggestions.length > 0;
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  useEffect(() => {
+    const request = ++latest.current;
+    const text = String(keyword || "").trim();
+    if (!open || text.length < MIN_SUGGEST_LENGTH) {
+      setSuggestions([]);
+      setActive(-1);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await axios.get("/api/v1/product/search-suggestions", {
+          params: { q: text },
+        });
+        if (request !== latest.current) return;
+        setSuggestions(suggestionItems(data));
+        setActive(-1);
+      } catch (error) {
+        console.log(error);
+      }
+    }, SUGGEST_DELAY);
+    return () => clearTimeout(timer);
+  }, [keyword, open]);
+
+  const runSearch = async (text) => {
+    setOpen(false);
     try {
-      const { data } = await axios.get(
-        `/api/v1/product/search/${values.keyword}`
-      );
-      setValues({ ...values, results: data });
+      // a new search starts on its first page, keeping the filters
+      const { data } = await axios.get(searchUrl(text), {
+        params: searchParams(1, values.filters),
+      });
+      setValues(withResults({ ...values, keyword: text }, data));
       navigate("/search");
     } catch (error) {
       console.log(error);
     }
   };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(values.keyword);
+  };
+
+  // products and categories open their page; a popular search is run
+  const pick = (item) => {
+    if (item.keyword) return runSearch(item.keyword);
+    setOpen(false);
+    navigate(item.to);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!showing) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((i) => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === "Enter" && active >= 0) {
+      e.preventDefault();
+      pick(suggestions[active]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
   return (
-    <div>
+    <div className="position-relative">
       <form className="d-flex" role="search" onSubmit={handleSubmit}>
         <input
           className="form-control me-2"
           type="search"
           placeholder="Search"
           aria-label="Search"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={showing}
+          aria-controls="search-suggestions"
+          aria-activedescendant={
+            showing && active >= 0 ? `search-suggestion-${active}` : undefined
+          }
+          autoComplete="off"
           value={values.keyword}
-          onChange={(e) => setValues({ ...values, keyword: e.target.value })}
+          onChange={(e) => {
+            setValues({ ...values, keyword: e.target.value });
+            setOpen(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setOpen(false)}
         />
         <button className="btn btn-outline-success" type="submit">
           Search
         </button>
       </form>
+      {showing && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          aria-label="Search suggestions"
+          className="list-group position-absolute w-100 shadow-sm"
+          style={{ zIndex: 1050 }}
+        >
+          {suggestions.map((item, i) => (
+            // mousedown would take the focus from the input before the click
+            <li
+              key={item.key}
+              id={`search-suggestion-${i}`}
+              role="option"
+              aria-selected={i === active}
+              className={`list-group-item list-group-item-action d-flex justify-content-between${
+                i === active ? " active" : ""
+              }`}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => pick(item)}
+            >
+              <span>{item.label}</span>
+              <small className={i === active ? "" : "text-muted"}>{item.kind}</small>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
 
-export default SearchInput;
\ No newline at end of file
+export default SearchInput;
@@ -1,6 +1,6 @@
 // Yeo Zi Yi, A0266292X
 import React from "react";
-import { fireEvent, render, waitFor } from "@testing-library/react";
+import { act, fireEvent, render, waitFor } from "@testing-library/react";
 import axios from "axios";
 import SearchInput from "./SearchInput";
 
@@ -45,7 +45,9 @@ describe("SearchInput component", () => {
     const setValuesMock = jest.fn();
     const values = { keyword: "laptop", results: [] };
     useSearch.mockReturnValue([values, setValuesMock]);
-    axios.get.mockResolvedValueOnce({ data: [{ _id: "p1" }] });
+    axios.get.mockResolvedValueOnce({
+      data: { success: true, products: [{ _id: "p1" }], total: 1, page: 1, pages: 1 },
+    });
     const { getByRole } = render(<SearchInput />);
 
     // Act
@@ -53,12 +55,42 @@ describe("SearchInput component", () => {
 
     // Assert
     await waitFor(() =>
-      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search/laptop")
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search/laptop", {
+        params: { page: 1 },
+      })
     );
-    expect(setValuesMock).toHaveBeenCalledWith({ ...values, results: [{ _id: "p1" }] });
+    expect(setValuesMock).toHaveBeenCalledWith({
+      ...values,
+      results: [{ _id: "p1" }],
+      total: 1,
+      page: 1,
+      pages: 1,
+    });
     expect(mockNavigate).toHaveBeenCalledWith("/search");
   });
 
+  it("starts a new search on its first page with the filters already set", async () => {
+    const setValuesMock = jest.fn();
+    const values = {
+      keyword: "desk lamp",
+      filters: { inStock: true, minPrice: "", maxPrice: "40" },
+      results: [],
+      page: 3,
+    };
+    useSearch.mockReturnValue([values, setValuesMock]);
+    axios.get.mockResolvedValueOnce({ data: { products: [], total: 0, page: 1, pages: 0 } });
+    const { getByRole } = render(<SearchInput />);
+
+    fireEvent.submit(getByRole("search"));
+
+    await waitFor(() =>
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search/desk%20lamp", {
+        params: { page: 1, inStock: true, maxPrice: "40" },
+      })
+    );
+    expect(setValuesMock).toHaveBeenCalledWith(expect.objectContaining({ page: 1, total: 0 }));
+  });
+
   it("logs error and does not navigate when search request fails", async () => {
     // Arrange
     const setValuesMock = jest.fn();
@@ -81,3 +113,164 @@ describe("SearchInput component", () => {
   });
 });
 
+describe("SearchInput suggestions", () => {
+  const suggestions = {
+    success: true,
+    products: [{ _id: "p1", name: "Desk Lamp", slug: "desk-lamp" }],
+    categories: [{ _id: "c1", name: "Lighting", slug: "lighting" }],
+    queries: ["lamp shade"],
+  };
+
+  // a search context that keeps what is typed
+  const renderWithSearch = (initial = { keyword: "", results: [] }) => {
+    useSearch.mockImplementation(() => React.useState(initial));
+    return render(<SearchInput />);
+  };
+
+  const type = (utils, value) =>
+    fireEvent.change(utils.getByPlaceholderText("Search"), { target: { value } });
+
+  const showSuggestions = async (utils, value = "lamp") => {
+    axios.get.mockResolvedValueOnce({ data: suggestions });
+    type(utils, value);
+    await act(async () => {
+      jest.advanceTimersByTime(250);
+    });
+    await utils.findByRole("listbox");
+  };
+
+  const press = (utils, key) => fireEvent.keyDown(utils.getByPlaceholderText("Search"), { key });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("asks for suggestions once the typing stops", async () => {
+    const utils = renderWithSearch();
+    axios.get.mockResolvedValue({ data: suggestions });
+
+    type(utils, "la");
+    type(utils, "lam");
+    await act(async () => {
+      jest.advanceTimersByTime(200);
+    });
+    type(utils, "lamp");
+    expect(axios.get).not.toHaveBeenCalled();
+    await act(async () => {
+      jest.advanceTimersByTime(250);
+    });
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search-suggestions", {
+      params: { q: "lamp" },
+    });
+  });
+
+  it("waits for two letters", async () => {
+    const utils = renderWithSearch();
+
+    type(utils, "l");
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+    });
+
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(utils.queryByRole("listbox")).not.toBeInTheDocument();
+  });
+
+  it("lists products, categories and popular searches", async () => {
+    const utils = renderWithSearch();
+
+    await showSuggestions(utils);
+
+    const options = utils.getAllByRole("option");
+    expect(options.map((option) => option.textContent)).toEqual([
+      "Desk LampProduct",
+      "LightingCategory",
+      "lamp shadeSearch",
+    ]);
+    expect(utils.getByPlaceholderText("Search")).toHaveAttribute("aria-expanded", "true");
+  });
+
+  it("moves through the suggestions with the arrow keys and opens a product with Enter", async () => {
+    const utils = renderWithSearch();
+    await showSuggestions(utils);
+
+    press(utils, "ArrowDown");
+    expect(utils.getAllByRole("option")[0]).toHaveAttribute("aria-selected", "true");
+    expect(utils.getByPlaceholderText("Search")).toHaveAttribute(
+      "aria-activedescendant",
+      "search-suggestion-0"
+    );
+    press(utils, "Enter");
+
+    expect(mockNavigate).toHaveBeenCalledWith("/product/desk-lamp");
+    expect(utils.queryByRole("listbox")).not.toBeInTheDocument();
+  });
+
+  it("wraps around from the top to a category", async () => {
+    const utils = renderWithSearch();
+    await showSuggestions(utils);
+
+    press(utils, "ArrowUp");
+    press(utils, "ArrowUp");
+    expect(utils.getAllByRole("option")[1]).toHaveAttribute("aria-selected", "true");
+    press(utils, "Enter");
+
+    expect(mockNavigate).toHaveBeenCalledWith("/category/lighting");
+  });
+
+  it("runs a popular search when it is clicked", async () => {
+    const utils = renderWithSearch();
+    await showSuggestions(utils, "lamp s");
+    axios.get.mockResolvedValueOnce({
+      data: { success: true, products: [{ _id: "p2" }], total: 1, page: 1, pages: 1 },
+    });
+
+    fireEvent.click(utils.getByRole("option", { name: /lamp shade/ }));
+
+    await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith("/search"));
+    expect(axios.get).toHaveBeenLastCalledWith("/api/v1/product/search/lamp%20shade", {
+      params: { page: 1 },
+    });
+    expect(utils.getByPlaceholderText("Search")).toHaveValue("lamp shade");
+  });
+
+  it("closes on Escape", async () => {
+    const utils = renderWithSearch();
+    await showSuggestions(utils);
+
+    press(utils, "Escape");
+
+    expect(utils.queryByRole("listbox")).not.toBeInTheDocument();
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+
+  it("shows only the answer to the latest request", async () => {
+    const utils = renderWithSearch();
+    let answerFirst;
+    axios.get
+      .mockReturnValueOnce(new Promise((resolve) => (answerFirst = resolve)))
+      .mockResolvedValueOnce({ data: { queries: ["lamp shade"] } });
+
+    type(utils, "la");
+    await act(async () => {
+      jest.advanceTimersByTime(250);
+    });
+    type(utils, "lamp s");
+    await act(async () => {
+      jest.advanceTimersByTime(250);
+    });
+    await act(async () => {
+      answerFirst({ data: suggestions });
+    });
+
+    expect(utils.getAllByRole("option").map((option) => option.textContent)).toEqual([
+      "lamp shadeSearch",
+    ]);
+  });
+});
@@ -0,0 +1,151 @@
+import React from "react";
+import {
+  buildVariants,
+  toVariantFields,
+  variantName,
+} from "../../helpers/variantHelper";
+
+// Option types and the variants they make, for the product forms. The
+// options' values are typed as comma separated text; "Generate Variants"
+// adds a variant for every combination and keeps the ones already there.
+const VariantForm = ({ options, setOptions, variants, setVariants, skuPrefix }) => {
+  const setOption = (index, field, value) =>
+    setOptions(
+      options.map((option, i) => (i === index ? { ...option, [field]: value } : option))
+    );
+  const setVariant = (index, field, value) =>
+    setVariants(
+      variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant))
+    );
+
+  const generate = () =>
+    setVariants(buildVariants(toVariantFields(options, []).options, variants, skuPrefix));
+
+  return (
+    <div className="mb-3 variant-form">
+      <h5>Options</h5>
+      {options.map((option, i) => (
+        <div className="input-group mb-2" key={i}>
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Option name, e.g. Size"
+            aria-label={`Option ${i + 1} name`}
+            value={option.name}
+            onChange={(e) => setOption(i, "name", e.target.value)}
+          />
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Values, separated by commas"
+            aria-label={`Option ${i + 1} values`}
+            value={option.values}
+            onChange={(e) => setOption(i, "values", e.target.value)}
+          />
+          <button
+            type="button"
+            className="btn btn-outline-danger"
+            onClick={() => setOptions(options.filter((_, index) => index !== i))}
+          >
+            Remove option
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="btn btn-outline-secondary me-2"
+        onClick={() => setOptions([...options, { name: "", values: "" }])}
+      >
+        Add Option
+      </button>
+      <button
+        type="button"
+        className="btn btn-outline-secondary"
+        disabled={options.length === 0}
+        onClick={generate}
+      >
+        Generate Variants
+      </button>
+      {variants.length > 0 && (
+        <table className="table mt-3">
+          <thead>
+            <tr>
+              <th scope="col">Variant</th>
+              <th scope="col">SKU</th>
+              <th scope="col">Price</th>
+              <th scope="col">Stock</th>
+              <th scope="col">Photo</th>
+              <th scope="col"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {variants.map((variant, i) => {
+              const name = variantName(variant);
+              return (
+                <tr key={variant._id || name}>
+                  <td>{name}</td>
+                  <td>
+                    <input
+                      type="text"
+                      className="form-control"
+                      aria-label={`SKU for ${name}`}
+                      value={variant.sku}
+                      onChange={(e) => setVariant(i, "sku", e.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      className="form-control"
+                      placeholder="Product price"
+                      aria-label={`Price for ${name}`}
+                      value={variant.price}
+                      onChange={(e) => setVariant(i, "price", e.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      className="form-control"
+                      aria-label={`Stock for ${name}`}
+                      value={variant.quantity}
+                      onChange={(e) => setVariant(i, "quantity", e.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <label className="btn btn-outline-secondary btn-sm">
+                      {variant.photoFile
+                        ? variant.photoFile.name
+                        : variant.hasPhoto
+                        ? "Change Photo"
+                        : "Upload Photo"}
+                      <input
+                        type="file"
+                        accept="image/*"
+                        aria-label={`Photo for ${name}`}
+                        onChange={(e) => setVariant(i, "photoFile", e.target.files[0])}
+                        hidden
+                      />
+                    </label>
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-outline-danger btn-sm"
+                      aria-label={`Remove ${name}`}
+                      onClick={() => setVariants(variants.filter((_, index) => index !== i))}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default VariantForm;
@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import VariantForm from "./VariantForm";
+
+// holds the editor's state the way the product forms do
+const Editor = ({ initialOptions = [], initialVariants = [], onChange = jest.fn() }) => {
+  const [options, setOptions] = useState(initialOptions);
+  const [variants, setVariants] = useState(initialVariants);
+  onChange({ options, variants });
+  return (
+    <VariantForm
+      options={options}
+      setOptions={setOptions}
+      variants={variants}
+      setVariants={setVariants}
+      skuPrefix="Tee"
+    />
+  );
+};
+
+const latest = (onChange) => onChange.mock.calls[onChange.mock.calls.length - 1][0];
+
+const saved = {
+  _id: "v1",
+  sku: "TEE-S",
+  options: [{ name: "Size", value: "S" }],
+  price: 15,
+  quantity: 3,
+  hasPhoto: true,
+};
+
+describe("VariantForm Component", () => {
+  test("adds an option and generates a variant per value", () => {
+    const onChange = jest.fn();
+    render(<Editor onChange={onChange} />);
+
+    expect(screen.getByRole("button", { name: "Generate Variants" })).toBeDisabled();
+    fireEvent.click(screen.getByRole("button", { name: "Add Option" }));
+    fireEvent.change(screen.getByLabelText("Option 1 name"), { target: { value: "Size" } });
+    fireEvent.change(screen.getByLabelText("Option 1 values"), { target: { value: "S, M" } });
+    fireEvent.click(screen.getByRole("button", { name: "Generate Variants" }));
+
+    expect(screen.getByLabelText("SKU for S")).toHaveValue("TEE-S");
+    expect(screen.getByLabelText("SKU for M")).toHaveValue("TEE-M");
+    expect(latest(onChange).options).toEqual([{ name: "Size", values: "S, M" }]);
+    expect(latest(onChange).variants).toHaveLength(2);
+  });
+
+  test("keeps the variants already there when generating again", () => {
+    const onChange = jest.fn();
+    render(
+      <Editor
+        initialOptions={[{ name: "Size", values: "S, L" }]}
+        initialVariants={[saved]}
+        onChange={onChange}
+      />
+    );
+
+    fireEvent.click(screen.getByRole("button", { name: "Generate Variants" }));
+
+    expect(latest(onChange).variants[0]).toBe(saved);
+    expect(screen.getByLabelText("SKU for L")).toHaveValue("TEE-L");
+  });
+
+  test("edits a variant's SKU, price and stock", () => {
+    const onChange = jest.fn();
+    render(
+      <Editor
+        initialOptions={[{ name: "Size", values: "S" }]}
+        initialVariants={[saved]}
+        onChange={onChange}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText("SKU for S"), { target: { value: "TEE-SMALL" } });
+    fireEvent.change(screen.getByLabelText("Price for S"), { target: { value: "18" } });
+    fireEvent.change(screen.getByLabelText("Stock for S"), { target: { value: "7" } });
+
+    expect(latest(onChange).variants[0]).toMatchObject({
+      _id: "v1",
+      sku: "TEE-SMALL",
+      price: "18",
+      quantity: "7",
+    });
+  });
+
+  test("picks a photo for a variant", () => {
+    const onChange = jest.fn();
+    render(
+      <Editor
+        initialOptions={[{ name: "Size", values: "S" }]}
+        initialVariants={[saved]}
+        onChange={onChange}
+      />
+    );
+    expect(screen.getByText("Change Photo")).toBeInTheDocument();
+    const file = new File(["x"], "small.png", { type: "image/png" });
+
+    fireEvent.change(screen.getByLabelText("Photo for S"), { target: { files: [file] } });
+
+    expect(latest(onChange).variants[0].photoFile).toBe(file);
+    expect(screen.getByText("small.png")).toBeInTheDocument();
+  });
+
+  test("removes variants and options", () => {
+    const onChange = jest.fn();
+    render(
+      <Editor
+        initialOptions={[{ name: "Size", values: "S" }]}
+        initialVariants={[saved]}
+        onChange={onChange}
+      />
+    );
+
+    fireEvent.click(screen.getByRole("button", { name: "Remove S" }));
+    expect(screen.queryByLabelText("SKU for S")).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Remove option" }));
+
+    expect(latest(onChange)).toEqual({ options: [], variants: [] });
+  });
+});
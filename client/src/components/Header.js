@@ -5,6 +5,7 @@ import toast from "react-hot-toast";
 import SearchInput from "./Form/SearchInput";
 import useCategory from "../hooks/useCategory";
 import { useCart } from "../context/cart";
+import { cartCount } from "../helpers/cartHelper";
 import { Badge } from "antd";
 import "../styles/Header.css";
 const Header = () => {
@@ -123,7 +124,7 @@ const Header = () => {
                 </>
               )}
               <li className="nav-item">
-                <Badge count={cart?.length} showZero>
+                <Badge count={cartCount(cart)} showZero>
                   <NavLink to="/cart" className="nav-link">
                     Cart
                   </NavLink>
@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import { useAuth } from "../context/auth";
+
+const ROLE_LABELS = { admin: "Staff", buyer: "Verified buyer" };
+
+// questions shoppers asked about a product; signed-in users ask, and
+// admins and buyers of the product answer
+const ProductQuestions = ({ product }) => {
+  const [auth] = useAuth();
+  const [questions, setQuestions] = useState([]);
+  const [canAnswer, setCanAnswer] = useState(false);
+  const [question, setQuestion] = useState("");
+  const [answers, setAnswers] = useState({});
+
+  //questions about the product
+  const getQuestions = async () => {
+    try {
+      const { data } = await axios.get(
+        `/api/v1/question/product-questions/${product._id}`
+      );
+      if (data?.success) {
+        setQuestions(data.questions);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  //whether the user may answer
+  const getCanAnswer = async () => {
+    try {
+      const { data } = await axios.get(
+        `/api/v1/question/can-answer/${product._id}`
+      );
+      setCanAnswer(Boolean(data?.canAnswer));
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    if (!product?._id) return;
+    getQuestions();
+    if (auth?.token) getCanAnswer();
+    //eslint-disable-next-line
+  }, [product?._id, auth?.token]);
+
+  //ask a question
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post(
+        `/api/v1/question/ask-question/${product._id}`,
+        { body: question }
+      );
+      if (data?.success) {
+        toast.success(data.message);
+        setQuestion("");
+        getQuestions();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  //answer a question
+  const handleAnswer = async (e, qid) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post(
+        `/api/v1/question/answer-question/${qid}`,
+        { body: answers[qid] || "" }
+      );
+      if (data?.success) {
+        toast.success(data.message);
+        setAnswers({ ...answers, [qid]: "" });
+        getQuestions();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  //upvote an answer, or take the upvote back
+  const handleUpvote = async (qid, aid) => {
+    try {
+      const { data } = await axios.put(
+        `/api/v1/question/upvote-answer/${qid}/${aid}`
+      );
+      if (data?.success) {
+        getQuestions();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  const userId = auth?.user?._id;
+
+  return (
+    <div className="row container product-questions">
+      <h4>Questions &amp; Answers</h4>
+      {auth?.token ? (
+        <form className="mb-3" onSubmit={handleAsk}>
+          <label htmlFor="question-body" className="form-label">
+            Ask a question
+          </label>
+          <textarea
+            id="question-body"
+            className="form-control mb-2"
+            maxLength={1000}
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+          />
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={!question.trim()}
+          >
+            Ask
+          </button>
+        </form>
+      ) : (
+        <p>Login to ask a question about this product.</p>
+      )}
+      {!questions.length && <p>No questions yet</p>}
+      {questions?.map((q) => (
+        <div className="border-bottom py-2" key={q._id} data-testid="question">
+          <p className="mb-1">
+            <strong>Q: {q.body}</strong>{" "}
+            <small className="text-muted">
+              {q.user?.name} · {moment(q.createdAt).fromNow()}
+            </small>
+          </p>
+          {!q.answers?.length && (
+            <p className="text-muted mb-1">Not answered yet</p>
+          )}
+          {q.answers?.map((a) => {
+            const upvoted = a.upvotes?.includes(userId);
+            return (
+              <div className="ms-3 mb-1" key={a._id}>
+                <span>A: {a.body}</span>{" "}
+                <small className="text-muted">
+                  {a.user?.name} ({ROLE_LABELS[a.role]})
+                </small>
+                {auth?.token && a.user?._id !== userId ? (
+                  <button
+                    className={`btn btn-sm ms-2 ${
+                      upvoted ? "btn-success" : "btn-outline-success"
+                    }`}
+                    aria-pressed={Boolean(upvoted)}
+                    onClick={() => handleUpvote(q._id, a._id)}
+                  >
+                    Helpful ({a.upvotes?.length || 0})
+                  </button>
+                ) : (
+                  <small className="ms-2">
+                    Helpful ({a.upvotes?.length || 0})
+                  </small>
+                )}
+              </div>
+            );
+          })}
+          {canAnswer && (
+            <form className="ms-3 mt-2" onSubmit={(e) => handleAnswer(e, q._id)}>
+              <label htmlFor={`answer-${q._id}`} className="visually-hidden">
+                Answer to {q.body}
+              </label>
+              <input
+                id={`answer-${q._id}`}
+                type="text"
+                className="form-control form-control-sm d-inline-block w-75"
+                placeholder="Write an answer"
+                value={answers[q._id] || ""}
+                onChange={(e) =>
+                  setAnswers({ ...answers, [q._id]: e.target.value })
+                }
+              />
+              <button
+                type="submit"
+                className="btn btn-sm btn-outline-primary ms-2"
+                disabled={!(answers[q._id] || "").trim()}
+              >
+                Answer
+              </button>
+            </form>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ProductQuestions;
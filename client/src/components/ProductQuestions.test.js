@@ -0,0 +1,191 @@
+import React from "react";
+import { render, screen, fireEvent, act, within } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import axios from "axios";
+import toast from "react-hot-toast";
+import ProductQuestions from "./ProductQuestions";
+import { useAuth } from "../context/auth";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
+jest.mock("../context/auth", () => ({
+  useAuth: jest.fn(),
+}));
+
+const product = { _id: "p1", name: "Trail Jacket" };
+
+const questions = [
+  {
+    _id: "q1",
+    body: "Is it waterproof?",
+    user: { _id: "u2", name: "Ann" },
+    createdAt: new Date().toISOString(),
+    answers: [
+      { _id: "a1", body: "Showerproof", role: "admin", user: { _id: "u3", name: "Staff Sam" }, upvotes: ["u4", "u1"] },
+      { _id: "a2", body: "Kept me dry", role: "buyer", user: { _id: "u1", name: "Me" }, upvotes: [] },
+    ],
+  },
+  {
+    _id: "q2",
+    body: "Does it come in green?",
+    user: { _id: "u2", name: "Ann" },
+    createdAt: new Date().toISOString(),
+    answers: [],
+  },
+];
+
+const signIn = () => useAuth.mockReturnValue([{ token: "t", user: { _id: "u1", name: "Me" } }, jest.fn()]);
+
+const mockGets = ({ canAnswer = false } = {}) => {
+  axios.get.mockImplementation((url) => {
+    if (url === "/api/v1/question/product-questions/p1") {
+      return Promise.resolve({ data: { success: true, questions } });
+    }
+    if (url === "/api/v1/question/can-answer/p1") {
+      return Promise.resolve({ data: { success: true, canAnswer } });
+    }
+    return Promise.reject(new Error(`unexpected ${url}`));
+  });
+};
+
+const renderQuestions = async () => {
+  await act(async () => {
+    render(<ProductQuestions product={product} />);
+  });
+};
+
+const questionBlock = (text) => screen.getByText(`Q: ${text}`).closest("[data-testid='question']");
+
+describe("ProductQuestions", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    signIn();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("lists the questions with who answered and how helpful it was", async () => {
+    mockGets();
+    await renderQuestions();
+
+    const answered = questionBlock("Is it waterproof?");
+    expect(within(answered).getByText("A: Showerproof")).toBeInTheDocument();
+    expect(within(answered).getByText("Staff Sam (Staff)")).toBeInTheDocument();
+    expect(within(answered).getByText("Me (Verified buyer)")).toBeInTheDocument();
+    expect(within(questionBlock("Does it come in green?")).getByText("Not answered yet")).toBeInTheDocument();
+  });
+
+  it("says when nobody has asked anything", async () => {
+    axios.get.mockResolvedValue({ data: { success: true, questions: [], canAnswer: false } });
+    await renderQuestions();
+
+    expect(screen.getByText("No questions yet")).toBeInTheDocument();
+  });
+
+  it("asks guests to login and shows votes without buttons", async () => {
+    useAuth.mockReturnValue([{ token: "" }, jest.fn()]);
+    mockGets();
+    await renderQuestions();
+
+    expect(screen.getByText("Login to ask a question about this product.")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: /Helpful/ })).not.toBeInTheDocument();
+    expect(axios.get).not.toHaveBeenCalledWith("/api/v1/question/can-answer/p1");
+  });
+
+  it("posts a question", async () => {
+    mockGets();
+    axios.post.mockResolvedValue({ data: { success: true, message: "Question posted" } });
+    await renderQuestions();
+
+    fireEvent.change(screen.getByLabelText("Ask a question"), { target: { value: "Is it warm?" } });
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Ask" }));
+    });
+
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/question/ask-question/p1", { body: "Is it warm?" });
+    expect(toast.success).toHaveBeenCalledWith("Question posted");
+    expect(screen.getByLabelText("Ask a question")).toHaveValue("");
+  });
+
+  it("lets the user upvote other people's answers but not their own", async () => {
+    mockGets();
+    axios.put.mockResolvedValue({ data: { success: true, upvoted: false, upvotes: 1 } });
+    await renderQuestions();
+
+    const upvote = screen.getByRole("button", { name: "Helpful (2)" });
+    expect(upvote).toHaveAttribute("aria-pressed", "true");
+    expect(screen.getAllByRole("button", { name: /Helpful/ })).toHaveLength(1);
+
+    await act(async () => {
+      fireEvent.click(upvote);
+    });
+
+    expect(axios.put).toHaveBeenCalledWith("/api/v1/question/upvote-answer/q1/a1");
+  });
+
+  it("only offers answer boxes to admins and buyers", async () => {
+    mockGets();
+    await renderQuestions();
+
+    expect(screen.queryByRole("button", { name: "Answer" })).not.toBeInTheDocument();
+  });
+
+  it("posts an answer", async () => {
+    mockGets({ canAnswer: true });
+    axios.post.mockResolvedValue({ data: { success: true, message: "Answer posted" } });
+    await renderQuestions();
+
+    fireEvent.change(screen.getByLabelText("Answer to Does it come in green?"), {
+      target: { value: "Only in blue" },
+    });
+    await act(async () => {
+      fireEvent.click(within(questionBlock("Does it come in green?")).getByRole("button", { name: "Answer" }));
+    });
+
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/question/answer-question/q2", { body: "Only in blue" });
+    expect(toast.success).toHaveBeenCalledWith("Answer posted");
+  });
+
+  it("shows why an answer was refused", async () => {
+    mockGets({ canAnswer: true });
+    axios.post.mockRejectedValue({
+      response: { data: { message: "Only admins and customers who bought this product can answer" } },
+    });
+    await renderQuestions();
+
+    fireEvent.change(screen.getByLabelText("Answer to Is it waterproof?"), { target: { value: "Yes" } });
+    await act(async () => {
+      fireEvent.click(within(questionBlock("Is it waterproof?")).getByRole("button", { name: "Answer" }));
+    });
+
+    expect(toast.error).toHaveBeenCalledWith("Only admins and customers who bought this product can answer");
+  });
+
+  it("reports a failed question or upvote", async () => {
+    mockGets();
+    axios.post.mockRejectedValue(new Error("network"));
+    axios.put.mockRejectedValue(new Error("network"));
+    await renderQuestions();
+
+    fireEvent.change(screen.getByLabelText("Ask a question"), { target: { value: "Is it warm?" } });
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Ask" }));
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Helpful (2)" }));
+    });
+
+    expect(toast.error).toHaveBeenCalledTimes(2);
+    expect(toast.error).toHaveBeenCalledWith("Something went wrong");
+  });
+
+  it("still renders when the questions cannot be loaded", async () => {
+    axios.get.mockRejectedValue(new Error("network"));
+    await renderQuestions();
+
+    expect(screen.getByText("No questions yet")).toBeInTheDocument();
+  });
+});
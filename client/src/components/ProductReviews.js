@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import { useAuth } from "../context/auth";
+import StarRating from "./StarRating";
+
+const STARS = [5, 4, 3, 2, 1];
+
+// the reviews on a product page, and the signed-in buyer's own review
+// to write or edit; onRating hands the new average back to the page
+const ProductReviews = ({ product, onRating }) => {
+  const [auth] = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [myReview, setMyReview] = useState(null);
+  const [canReview, setCanReview] = useState(false);
+  const [rating, setRating] = useState("5");
+  const [comment, setComment] = useState("");
+
+  //visible reviews of the product
+  const getReviews = async () => {
+    try {
+      const { data } = await axios.get(
+        `/api/v1/review/product-reviews/${product._id}`
+      );
+      if (data?.success) {
+        setReviews(data.reviews);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  //the user's own review, and whether they bought the product
+  const getMyReview = async () => {
+    try {
+      const { data } = await axios.get(
+        `/api/v1/review/my-review/${product._id}`
+      );
+      if (data?.success) {
+        setCanReview(data.canReview);
+        setMyReview(data.review);
+        if (data.review) {
+          setRating(String(data.review.rating));
+          setComment(data.review.comment || "");
+        }
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    if (!product?._id) return;
+    getReviews();
+    if (auth?.token) getMyReview();
+    //eslint-disable-next-line
+  }, [product?._id, auth?.token]);
+
+  //write or edit the review
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.put(
+        `/api/v1/review/save-review/${product._id}`,
+        { rating, comment }
+      );
+      if (data?.success) {
+        toast.success(data.message);
+        setMyReview(data.review);
+        onRating?.({
+          ratingAverage: data.ratingAverage,
+          ratingCount: data.ratingCount,
+        });
+        getReviews();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  const renderForm = () => {
+    if (!auth?.token) {
+      return <p>Login to review a product you have bought.</p>;
+    }
+    if (!canReview) {
+      return <p>Only customers who bought this product can review it.</p>;
+    }
+    return (
+      <form className="mb-3" onSubmit={handleSubmit}>
+        <h5>{myReview ? "Your Review" : "Write a Review"}</h5>
+        {myReview?.hidden && (
+          <p className="text-danger">
+            Your review has been hidden by a moderator.
+          </p>
+        )}
+        <div className="mb-2">
+          <label htmlFor="review-rating" className="form-label">
+            Your rating
+          </label>
+          <select
+            id="review-rating"
+            className="form-select w-auto"
+            value={rating}
+            onChange={(e) => setRating(e.target.value)}
+          >
+            {STARS.map((n) => (
+              <option key={n} value={n}>
+                {n} {n === 1 ? "star" : "stars"}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="mb-2">
+          <label htmlFor="review-comment" className="form-label">
+            Your review
+          </label>
+          <textarea
+            id="review-comment"
+            className="form-control"
+            maxLength={2000}
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+          />
+        </div>
+        <button type="submit" className="btn btn-primary">
+          {myReview ? "Update Review" : "Submit Review"}
+        </button>
+      </form>
+    );
+  };
+
+  return (
+    <div className="row container product-reviews">
+      <h4>Customer Reviews</h4>
+      {product?.ratingCount ? (
+        <StarRating value={product.ratingAverage} count={product.ratingCount} />
+      ) : (
+        <p>No reviews yet</p>
+      )}
+      {renderForm()}
+      {reviews?.map((r) => (
+        <div className="border-bottom py-2" key={r._id} data-testid="review">
+          <StarRating value={r.rating} />
+          <strong>{r.user?.name}</strong>{" "}
+          <small className="text-muted">{moment(r.updatedAt).fromNow()}</small>
+          {r.comment && <p className="mb-0">{r.comment}</p>}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ProductReviews;
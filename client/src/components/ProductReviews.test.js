@@ -0,0 +1,148 @@
+import React from "react";
+import { render, screen, fireEvent, act, within } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import axios from "axios";
+import toast from "react-hot-toast";
+import ProductReviews from "./ProductReviews";
+import { useAuth } from "../context/auth";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
+jest.mock("../context/auth", () => ({
+  useAuth: jest.fn(),
+}));
+
+const product = { _id: "p1", name: "Widget", ratingAverage: 4.5, ratingCount: 2 };
+
+const reviews = [
+  { _id: "r1", user: { name: "Ann" }, rating: 5, comment: "Love it", updatedAt: new Date().toISOString() },
+  { _id: "r2", user: { name: "Bob" }, rating: 4, comment: "", updatedAt: new Date().toISOString() },
+];
+
+// answer the product's reviews and the user's own review
+const mockGets = ({ mine = null, canReview = true } = {}) => {
+  axios.get.mockImplementation((url) => {
+    if (url === "/api/v1/review/product-reviews/p1") {
+      return Promise.resolve({ data: { success: true, reviews } });
+    }
+    if (url === "/api/v1/review/my-review/p1") {
+      return Promise.resolve({ data: { success: true, review: mine, canReview } });
+    }
+    return Promise.reject(new Error(`unexpected ${url}`));
+  });
+};
+
+const renderReviews = async (props = {}) => {
+  await act(async () => {
+    render(<ProductReviews product={product} {...props} />);
+  });
+};
+
+describe("ProductReviews", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    useAuth.mockReturnValue([{ token: "t", user: { name: "Ann" } }, jest.fn()]);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("lists the reviews under the product's average", async () => {
+    mockGets();
+    await renderReviews();
+
+    expect(screen.getByText("4.5 (2)")).toBeInTheDocument();
+    const shown = screen.getAllByTestId("review");
+    expect(shown).toHaveLength(2);
+    expect(within(shown[0]).getByText("Ann")).toBeInTheDocument();
+    expect(within(shown[0]).getByText("Love it")).toBeInTheDocument();
+    expect(within(shown[1]).getByRole("img", { name: "4 out of 5 stars" })).toBeInTheDocument();
+  });
+
+  it("says when the product has no reviews", async () => {
+    mockGets();
+    await renderReviews({ product: { _id: "p1", ratingAverage: 0, ratingCount: 0 } });
+
+    expect(screen.getByText("No reviews yet")).toBeInTheDocument();
+  });
+
+  it("asks guests to login and does not look up their review", async () => {
+    useAuth.mockReturnValue([{ token: "" }, jest.fn()]);
+    mockGets();
+    await renderReviews();
+
+    expect(screen.getByText("Login to review a product you have bought.")).toBeInTheDocument();
+    expect(axios.get).not.toHaveBeenCalledWith("/api/v1/review/my-review/p1");
+  });
+
+  it("only offers the form to buyers of the product", async () => {
+    mockGets({ canReview: false });
+    await renderReviews();
+
+    expect(screen.getByText("Only customers who bought this product can review it.")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Submit Review" })).not.toBeInTheDocument();
+  });
+
+  it("writes a buyer's review and passes the new average up", async () => {
+    mockGets();
+    const onRating = jest.fn();
+    axios.put.mockResolvedValue({
+      data: {
+        success: true,
+        message: "Review saved",
+        review: { _id: "r3", rating: 3, comment: "Fine" },
+        ratingAverage: 4,
+        ratingCount: 3,
+      },
+    });
+    await renderReviews({ onRating });
+
+    fireEvent.change(screen.getByLabelText("Your rating"), { target: { value: "3" } });
+    fireEvent.change(screen.getByLabelText("Your review"), { target: { value: "Fine" } });
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Submit Review" }));
+    });
+
+    expect(axios.put).toHaveBeenCalledWith("/api/v1/review/save-review/p1", {
+      rating: "3",
+      comment: "Fine",
+    });
+    expect(toast.success).toHaveBeenCalledWith("Review saved");
+    expect(onRating).toHaveBeenCalledWith({ ratingAverage: 4, ratingCount: 3 });
+    expect(screen.getByRole("button", { name: "Update Review" })).toBeInTheDocument();
+  });
+
+  it("fills the form with the user's review to edit it", async () => {
+    mockGets({ mine: { _id: "r1", rating: 2, comment: "Meh", hidden: true } });
+    await renderReviews();
+
+    expect(screen.getByLabelText("Your rating")).toHaveValue("2");
+    expect(screen.getByLabelText("Your review")).toHaveValue("Meh");
+    expect(screen.getByText("Your review has been hidden by a moderator.")).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Update Review" })).toBeInTheDocument();
+  });
+
+  it("shows why a review was refused", async () => {
+    mockGets();
+    axios.put.mockRejectedValue({
+      response: { data: { message: "Rating must be between 1 and 5 stars" } },
+    });
+    await renderReviews();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Submit Review" }));
+    });
+
+    expect(toast.error).toHaveBeenCalledWith("Rating must be between 1 and 5 stars");
+  });
+
+  it("still renders when the reviews cannot be loaded", async () => {
+    axios.get.mockRejectedValue(new Error("network"));
+    await renderReviews();
+
+    expect(screen.getByText("Customer Reviews")).toBeInTheDocument();
+    expect(screen.queryAllByTestId("review")).toHaveLength(0);
+  });
+});
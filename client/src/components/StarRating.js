@@ -0,0 +1,28 @@
+import React from "react";
+
+// a rating as stars; given a count it also shows the average and how
+// many reviews it comes from, and nothing at all before the first review
+const StarRating = ({ value = 0, count }) => {
+  if (count === 0) return null;
+  const stars = Math.round(value);
+  return (
+    <div className="star-rating">
+      <span
+        role="img"
+        aria-label={`${value} out of 5 stars`}
+        className="text-warning"
+      >
+        {"★".repeat(stars)}
+        {"☆".repeat(5 - stars)}
+      </span>
+      {count !== undefined && (
+        <small>
+          {" "}
+          {value.toFixed(1)} ({count})
+        </small>
+      )}
+    </div>
+  );
+};
+
+export default StarRating;
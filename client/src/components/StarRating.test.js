@@ -0,0 +1,32 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import StarRating from "./StarRating";
+
+describe("StarRating", () => {
+  it("shows the average as stars with the number of reviews", () => {
+    render(<StarRating value={4.4} count={12} />);
+
+    expect(screen.getByRole("img", { name: "4.4 out of 5 stars" })).toHaveTextContent("★★★★☆");
+    expect(screen.getByText("4.4 (12)")).toBeInTheDocument();
+  });
+
+  it("rounds to the nearest whole star", () => {
+    render(<StarRating value={3.5} count={2} />);
+
+    expect(screen.getByRole("img")).toHaveTextContent("★★★★☆");
+  });
+
+  it("shows nothing for a product nobody has reviewed", () => {
+    const { container } = render(<StarRating value={0} count={0} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it("shows only the stars of a single review", () => {
+    render(<StarRating value={2} />);
+
+    expect(screen.getByRole("img", { name: "2 out of 5 stars" })).toHaveTextContent("★★☆☆☆");
+    expect(screen.queryByText(/\(/)).not.toBeInTheDocument();
+  });
+});
@@ -44,4 +44,17 @@ describe("UserMenu Component", () => {
       "/dashboard/user/orders"
     );
   });
+
+  it("renders Wishlist link with correct path", () => {
+    const { getByText } = render(
+      <MemoryRouter>
+        <UserMenu />
+      </MemoryRouter>
+    );
+
+    expect(getByText("Wishlist").closest("a")).toHaveAttribute(
+      "href",
+      "/dashboard/user/wishlist"
+    );
+  });
 });
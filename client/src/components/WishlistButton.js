@@ -0,0 +1,44 @@
+import React from "react";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/auth";
+import { useWishlist } from "../context/wishlist";
+
+// saves a product to the wishlist, or takes it off when already saved
+const WishlistButton = ({ product }) => {
+  const [auth] = useAuth();
+  const [wishlist, { addToWishlist, removeFromWishlist }] = useWishlist();
+  const saved = wishlist.some((entry) => entry.product._id === product._id);
+
+  const handleClick = async () => {
+    if (!auth?.token) {
+      toast.error("Please login to save items to your wishlist");
+      return;
+    }
+    try {
+      const data = saved
+        ? await removeFromWishlist(product._id)
+        : await addToWishlist(product._id);
+      if (data?.success) toast.success(data.message);
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  return (
+    <button
+      className={`btn ms-1 ${saved ? "btn-danger" : "btn-outline-danger"}`}
+      aria-label={
+        saved
+          ? `Remove ${product.name} from wishlist`
+          : `Add ${product.name} to wishlist`
+      }
+      aria-pressed={saved}
+      onClick={handleClick}
+    >
+      {saved ? "♥" : "♡"}
+    </button>
+  );
+};
+
+export default WishlistButton;
@@ -0,0 +1,107 @@
+import React from "react";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import toast from "react-hot-toast";
+import WishlistButton from "./WishlistButton";
+import { useAuth } from "../context/auth";
+import { useWishlist } from "../context/wishlist";
+
+jest.mock("react-hot-toast");
+
+jest.mock("../context/auth", () => ({
+  useAuth: jest.fn(),
+}));
+
+jest.mock("../context/wishlist", () => ({
+  useWishlist: jest.fn(),
+}));
+
+const product = { _id: "p1", name: "Lamp", price: 20 };
+
+describe("WishlistButton", () => {
+  let addToWishlist;
+  let removeFromWishlist;
+
+  const withWishlist = (wishlist) =>
+    useWishlist.mockReturnValue([wishlist, { addToWishlist, removeFromWishlist }]);
+
+  const click = async (name) => {
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name }));
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    addToWishlist = jest.fn();
+    removeFromWishlist = jest.fn();
+    useAuth.mockReturnValue([{ user: { _id: "u1" }, token: "tok" }, jest.fn()]);
+    withWishlist([]);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("saves a product that is not on the wishlist", async () => {
+    addToWishlist.mockResolvedValueOnce({ success: true, message: "Saved to wishlist" });
+    render(<WishlistButton product={product} />);
+
+    expect(screen.getByRole("button", { name: "Add Lamp to wishlist" })).toHaveAttribute(
+      "aria-pressed",
+      "false"
+    );
+    await click("Add Lamp to wishlist");
+
+    expect(addToWishlist).toHaveBeenCalledWith("p1");
+    expect(toast.success).toHaveBeenCalledWith("Saved to wishlist");
+  });
+
+  it("takes a saved product off the wishlist", async () => {
+    withWishlist([{ product: { _id: "p1", name: "Lamp" }, savedPrice: 20 }]);
+    removeFromWishlist.mockResolvedValueOnce({ success: true, message: "Removed from wishlist" });
+    render(<WishlistButton product={product} />);
+
+    expect(screen.getByRole("button", { name: "Remove Lamp from wishlist" })).toHaveAttribute(
+      "aria-pressed",
+      "true"
+    );
+    await click("Remove Lamp from wishlist");
+
+    expect(removeFromWishlist).toHaveBeenCalledWith("p1");
+    expect(addToWishlist).not.toHaveBeenCalled();
+    expect(toast.success).toHaveBeenCalledWith("Removed from wishlist");
+  });
+
+  it("asks a guest to login first", async () => {
+    useAuth.mockReturnValue([{ user: null, token: "" }, jest.fn()]);
+    render(<WishlistButton product={product} />);
+
+    await click("Add Lamp to wishlist");
+
+    expect(toast.error).toHaveBeenCalledWith("Please login to save items to your wishlist");
+    expect(addToWishlist).not.toHaveBeenCalled();
+  });
+
+  it("reports the server's message when saving fails", async () => {
+    addToWishlist.mockRejectedValueOnce({
+      response: { data: { success: false, message: "Product not found" } },
+    });
+    render(<WishlistButton product={product} />);
+
+    await click("Add Lamp to wishlist");
+
+    expect(toast.error).toHaveBeenCalledWith("Product not found");
+    expect(toast.success).not.toHaveBeenCalled();
+  });
+
+  it("falls back to a general message when the request fails outright", async () => {
+    addToWishlist.mockRejectedValueOnce(new Error("Network Error"));
+    render(<WishlistButton product={product} />);
+
+    await click("Add Lamp to wishlist");
+
+    expect(toast.error).toHaveBeenCalledWith("Something went wrong");
+  });
+});
@@ -1,14 +1,80 @@
-import { useState, useContext, createContext, useEffect } from "react";
+import {
+  useState,
+  useContext,
+  createContext,
+  useEffect,
+  useRef,
+  useCallback,
+} from "react";
+import axios from "axios";
+import { useAuth } from "./auth";
+import {
+  countUnits,
+  normalizeCart,
+  toCartLine,
+} from "../helpers/cartHelper";
+import { findVariant } from "../helpers/variantHelper";
 
 const CartContext = createContext();
+
+const fromServerCart = (items) =>
+  items.map(({ product, variant, quantity }) =>
+    toCartLine(product, quantity, variant ? findVariant(product, variant) : null)
+  );
+
+// send the difference between two carts to the server cart api
+const syncCart = async (previous, next) => {
+  const before = countUnits(previous);
+  const after = countUnits(next);
+  if (after.size === 0) {
+    if (before.size > 0) await axios.delete("/api/v1/cart");
+    return;
+  }
+  // keys are "product" or "product/variant", the line's path in the api
+  for (const key of before.keys()) {
+    if (!after.has(key)) await axios.delete(`/api/v1/cart/items/${key}`);
+  }
+  for (const [key, quantity] of after) {
+    const had = before.get(key);
+    if (!had) {
+      const [productId, variantId] = key.split("/");
+      await axios.post(
+        "/api/v1/cart/items",
+        variantId ? { productId, variantId, quantity } : { productId, quantity }
+      );
+    } else if (had !== quantity) {
+      await axios.put(`/api/v1/cart/items/${key}`, { quantity });
+    }
+  }
+};
+
 const CartProvider = ({ children }) => {
-  const [cart, setCart] = useState([]);
+  const [cart, setCartState] = useState([]);
+  const [auth] = useAuth();
+  const token = auth?.token;
+  const cartRef = useRef(cart);
+  const signedIn = useRef(false);
+  const pending = useRef(Promise.resolve());
+
+  const showCart = (next) => {
+    cartRef.current = next;
+    setCartState(next);
+  };
+
+  const loadServerCart = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/cart");
+      if (data?.success) showCart(fromServerCart(data.cart));
+    } catch (error) {
+      console.log(error);
+    }
+  };
 
   useEffect(() => {
     let existingCartItem = localStorage.getItem("cart");
     if (existingCartItem) {
       try {
-        setCart(JSON.parse(existingCartItem));
+        showCart(normalizeCart(JSON.parse(existingCartItem)));
       } catch (error) {
         console.error("Failed to parse cart from localStorage", error);
         localStorage.removeItem("cart");
@@ -16,6 +82,43 @@ const CartProvider = ({ children }) => {
     }
   }, []);
 
+  // a signed-in user's cart lives on the server; signing out leaves the
+  // account's cart behind instead of handing it to the next guest
+  useEffect(() => {
+    if (token) {
+      signedIn.current = true;
+      loadServerCart();
+    } else if (signedIn.current) {
+      signedIn.current = false;
+      showCart([]);
+      localStorage.removeItem("cart");
+    }
+    //eslint-disable-next-line
+  }, [token]);
+
+  const setCart = useCallback(
+    (value) => {
+      const previous = cartRef.current;
+      const next = typeof value === "function" ? value(previous) : value;
+      showCart(next);
+      // guests keep their cart in this browser only
+      if (!token) {
+        localStorage.setItem("cart", JSON.stringify(next));
+        return;
+      }
+      // changes go out one after another so each diff starts where the
+      // last one left the server
+      pending.current = pending.current
+        .then(() => syncCart(previous, next))
+        .catch((error) => {
+          console.log(error);
+          return loadServerCart();
+        });
+    },
+    //eslint-disable-next-line
+    [token]
+  );
+
   return (
     <CartContext.Provider value={[cart, setCart]}>
       {children}
@@ -26,4 +129,4 @@ const CartProvider = ({ children }) => {
 // custom hook
 const useCart = () => useContext(CartContext);
 
-export { useCart, CartProvider };
\ No newline at end of file
+export { useCart, CartProvider };
@@ -1,7 +1,16 @@
 import React from 'react';
-import { render, screen, act } from '@testing-library/react';
+import { render, screen, act, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom/extend-expect';
+import axios from 'axios';
 import { CartProvider, useCart } from './cart';
+import { useAuth } from './auth';
+import { toCartLine } from '../helpers/cartHelper';
+
+jest.mock('axios');
+
+jest.mock('./auth', () => ({
+  useAuth: jest.fn(),
+}));
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
@@ -33,6 +42,8 @@ describe('CartProvider – Unit Tests', () => {
   let localStorageMock;
 
   beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue([{ user: null, token: '' }, jest.fn()]);
     localStorageMock = (() => {
       let store = {};
       return {
@@ -199,13 +210,7 @@ describe('CartProvider – Unit Tests', () => {
       expect(screen.getByTestId('cart-length').textContent).toBe('3');
     });
 
-    /**
-     * NOTE: CartProvider does NOT persist to localStorage on setCart.
-     * Persistence is the caller's responsibility (e.g., CartPage calls
-     * localStorage.setItem manually). This is a design observation, not a bug,
-     * but it means setCart alone won't survive a page refresh.
-     */
-    it('does NOT auto-persist to localStorage when setCart is called', async () => {
+    it('persists a guest cart to localStorage when setCart is called', async () => {
       const onRender = jest.fn();
       renderWithProvider(onRender);
 
@@ -215,8 +220,10 @@ describe('CartProvider – Unit Tests', () => {
         setCart([{ _id: 'x', name: 'Temp', price: 99 }]);
       });
 
-      // localStorage.setItem should NOT have been called by the provider
-      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+      expect(localStorageMock.setItem).toHaveBeenCalledWith(
+        'cart',
+        JSON.stringify([{ _id: 'x', name: 'Temp', price: 99 }]),
+      );
     });
   });
 
@@ -329,4 +336,204 @@ describe('CartProvider – Unit Tests', () => {
       expect(screen.getByTestId('cart-length').textContent).toBe('1');
     });
   });
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // 6. SERVER CART FOR SIGNED-IN USERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  describe('Server cart for signed-in users', () => {
+    const lamp = { _id: 'p1', name: 'Lamp', price: 10, quantity: 5 };
+    const rug = { _id: 'p2', name: 'Rug', price: 5, quantity: 5 };
+
+    const signIn = () => useAuth.mockReturnValue([{ user: { name: 'U' }, token: 'tok' }, jest.fn()]);
+
+    const latestSetCart = (onRender) => onRender.mock.calls[onRender.mock.calls.length - 1][0].setCart;
+
+    const cartJson = () => JSON.parse(screen.getByTestId('cart-json').textContent);
+
+    beforeEach(() => {
+      signIn();
+      axios.get.mockResolvedValue({ data: { success: true, cart: [{ product: lamp, quantity: 2 }] } });
+      axios.post.mockResolvedValue({ data: { success: true } });
+      axios.put.mockResolvedValue({ data: { success: true } });
+      axios.delete.mockResolvedValue({ data: { success: true } });
+    });
+
+    it('loads the saved cart from the server as lines with quantities', async () => {
+      renderWithProvider();
+
+      await waitFor(() => expect(screen.getByTestId('cart-length').textContent).toBe('1'));
+      expect(axios.get).toHaveBeenCalledWith('/api/v1/cart');
+      expect(cartJson()[0]).toMatchObject({ _id: 'p1', name: 'Lamp', stock: 5, quantity: 2 });
+    });
+
+    it('prefers the server cart over the guest cart in localStorage', async () => {
+      localStorageMock.getItem.mockReturnValue(JSON.stringify([toCartLine(rug)]));
+
+      renderWithProvider();
+
+      await waitFor(() => expect(screen.getByTestId('cart-json').textContent).toContain('Lamp'));
+      expect(screen.getByTestId('cart-json').textContent).not.toContain('Rug');
+    });
+
+    it('adds a new product on the server', async () => {
+      const onRender = jest.fn();
+      renderWithProvider(onRender);
+      await waitFor(() => expect(screen.getByTestId('cart-length').textContent).toBe('1'));
+
+      await act(async () => {
+        latestSetCart(onRender)([toCartLine(lamp, 2), toCartLine(rug, 1)]);
+      });
+
+      await waitFor(() =>
+        expect(axios.post).toHaveBeenCalledWith('/api/v1/cart/items', { productId: 'p2', quantity: 1 }),
+      );
+      expect(axios.put).not.toHaveBeenCalled();
+      // the account's cart is never left behind in the browser
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+    });
+
+    it('updates the quantity of a product already in the cart', async () => {
+      const onRender = jest.fn();
+      renderWithProvider(onRender);
+      await waitFor(() => expect(screen.getByTestId('cart-length').textContent).toBe('1'));
+
+      await act(async () => {
+        latestSetCart(onRender)([toCartLine(lamp, 4)]);
+      });
+
+      await waitFor(() => expect(axios.put).toHaveBeenCalledWith('/api/v1/cart/items/p1', { quantity: 4 }));
+    });
+
+    it('removes a product that left the cart', async () => {
+      axios.get.mockResolvedValue({
+        data: { success: true, cart: [{ product: lamp, quantity: 1 }, { product: rug, quantity: 1 }] },
+      });
+      const onRender = jest.fn();
+      renderWithProvider(onRender);
+      await waitFor(() => expect(screen.getByTestId('cart-length').textContent).toBe('2'));
+
+      await act(async () => {
+        latestSetCart(onRender)([toCartLine(rug, 1)]);
+      });
+
+      await waitFor(() => expect(axios.delete).toHaveBeenCalledWith('/api/v1/cart/items/p1'));
+    });
+
+    it('clears the server cart when the cart is emptied', async () => {
+      const onRender = jest.fn();
+      renderWithProvider(onRender);
+      await waitFor(() => expect(screen.getByTestId('cart-length').textContent).toBe('1'));
+
+      await act(async () => {
+        latestSetCart(onRender)([]);
+      });
+
+      await waitFor(() => expect(axios.delete).toHaveBeenCalledWith('/api/v1/cart'));
+      expect(axios.delete).toHaveBeenCalledTimes(1);
+    });
+
+    it('reloads the server cart when a change fails to sync', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      axios.post.mockRejectedValue(new Error('offline'));
+      const onRender = jest.fn();
+      renderWithProvider(onRender);
+      await waitFor(() => expect(screen.getByTestId('cart-length').textContent).toBe('1'));
+
+      await act(async () => {
+        latestSetCart(onRender)([toCartLine(lamp, 2), toCartLine(rug, 1)]);
+      });
+
+      await waitFor(() => expect(screen.getByTestId('cart-length').textContent).toBe('1'));
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      consoleSpy.mockRestore();
+    });
+
+    it('keeps the local cart when the server cart cannot be loaded', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      axios.get.mockRejectedValue(new Error('offline'));
+      localStorageMock.getItem.mockReturnValue(JSON.stringify([toCartLine(rug)]));
+
+      renderWithProvider();
+
+      await waitFor(() => expect(consoleSpy).toHaveBeenCalled());
+      expect(screen.getByTestId('cart-json').textContent).toContain('Rug');
+      consoleSpy.mockRestore();
+    });
+
+    it('empties the cart and its localStorage copy on sign out', async () => {
+      const { rerender } = renderWithProvider();
+      await waitFor(() => expect(screen.getByTestId('cart-length').textContent).toBe('1'));
+
+      useAuth.mockReturnValue([{ user: null, token: '' }, jest.fn()]);
+      rerender(
+        <CartProvider>
+          <CartConsumer onRender={jest.fn()} />
+        </CartProvider>,
+      );
+
+      await waitFor(() => expect(screen.getByTestId('cart-length').textContent).toBe('0'));
+      expect(localStorageMock.removeItem).toHaveBeenCalledWith('cart');
+    });
+
+    it('loads, adds and changes variant lines by product and variant', async () => {
+      const small = { _id: 'v1', sku: 'TEE-S', options: [{ name: 'Size', value: 'S' }], quantity: 3 };
+      const large = { _id: 'v2', sku: 'TEE-L', options: [{ name: 'Size', value: 'L' }], price: 14, quantity: 3 };
+      const tee = { _id: 'p3', name: 'Tee', price: 12, quantity: 6, variants: [small, large] };
+      axios.get.mockResolvedValue({
+        data: { success: true, cart: [{ product: tee, variant: 'v1', quantity: 1 }] },
+      });
+      const onRender = jest.fn();
+      renderWithProvider(onRender);
+      await waitFor(() => expect(screen.getByTestId('cart-length').textContent).toBe('1'));
+      expect(cartJson()[0]).toMatchObject({ _id: 'p3', variant: 'v1', variantName: 'S', stock: 3 });
+
+      await act(async () => {
+        latestSetCart(onRender)([toCartLine(tee, 2, small), toCartLine(tee, 1, large)]);
+      });
+
+      await waitFor(() =>
+        expect(axios.post).toHaveBeenCalledWith('/api/v1/cart/items', {
+          productId: 'p3',
+          variantId: 'v2',
+          quantity: 1,
+        }),
+      );
+      expect(axios.put).toHaveBeenCalledWith('/api/v1/cart/items/p3/v1', { quantity: 2 });
+    });
+
+    it('does not touch the server for guests', async () => {
+      useAuth.mockReturnValue([{ user: null, token: '' }, jest.fn()]);
+      const onRender = jest.fn();
+      renderWithProvider(onRender);
+
+      await act(async () => {
+        latestSetCart(onRender)([toCartLine(lamp)]);
+      });
+
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // 7. CART LINES
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  describe('Cart lines', () => {
+    it('folds a cart saved as one product per unit into lines on load', async () => {
+      const legacy = [
+        { _id: 'p1', name: 'Lamp', price: 10, quantity: 8 },
+        { _id: 'p1', name: 'Lamp', price: 10, quantity: 8 },
+      ];
+      localStorageMock.getItem.mockReturnValue(JSON.stringify(legacy));
+
+      renderWithProvider();
+
+      await screen.findByText('1');
+      expect(JSON.parse(screen.getByTestId('cart-json').textContent)).toEqual([
+        expect.objectContaining({ _id: 'p1', stock: 8, quantity: 2 }),
+      ]);
+    });
+  });
 });
@@ -1,10 +1,16 @@
 import React, { useState, useContext, createContext } from "react";
+import { emptyFilters } from "../helpers/searchHelper";
 
 const SearchContext = createContext();
 const SearchProvider = ({ children }) => {
   const [auth, setAuth] = useState({
     keyword: "",
+    filters: emptyFilters,
     results: [],
+    // over all pages of the search
+    total: 0,
+    page: 1,
+    pages: 0,
   });
 
   return (
@@ -0,0 +1,54 @@
+import { useState, useContext, createContext, useEffect } from "react";
+import axios from "axios";
+import { useAuth } from "./auth";
+
+const WishlistContext = createContext();
+
+// the signed-in user's wishlist as the server last sent it; guests have none
+const WishlistProvider = ({ children }) => {
+  const [wishlist, setWishlist] = useState([]);
+  const [auth] = useAuth();
+  const token = auth?.token;
+
+  const loadWishlist = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/wishlist");
+      if (data?.success) setWishlist(data.wishlist);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    if (token) loadWishlist();
+    else setWishlist([]);
+    //eslint-disable-next-line
+  }, [token]);
+
+  // both send the change and show the wishlist the server answers with;
+  // failures are left to the caller to report
+  const addToWishlist = async (productId) => {
+    const { data } = await axios.post("/api/v1/wishlist/items", { productId });
+    if (data?.success) setWishlist(data.wishlist);
+    return data;
+  };
+
+  const removeFromWishlist = async (productId) => {
+    const { data } = await axios.delete(`/api/v1/wishlist/items/${productId}`);
+    if (data?.success) setWishlist(data.wishlist);
+    return data;
+  };
+
+  return (
+    <WishlistContext.Provider
+      value={[wishlist, { addToWishlist, removeFromWishlist, loadWishlist }]}
+    >
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+// custom hook
+const useWishlist = () => useContext(WishlistContext);
+
+export { useWishlist, WishlistProvider };
@@ -0,0 +1,136 @@
+import React from "react";
+import { render, screen, act, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import axios from "axios";
+import { WishlistProvider, useWishlist } from "./wishlist";
+import { useAuth } from "./auth";
+
+jest.mock("axios");
+
+jest.mock("./auth", () => ({
+  useAuth: jest.fn(),
+}));
+
+const entry = (id, overrides = {}) => ({
+  product: { _id: id, name: `Product ${id}`, price: 10, quantity: 2 },
+  savedPrice: 10,
+  outOfStock: false,
+  priceDrop: 0,
+  backInStock: false,
+  ...overrides,
+});
+
+// exposes the wishlist and its actions for assertions
+const WishlistConsumer = ({ onRender }) => {
+  const [wishlist, actions] = useWishlist();
+  onRender(actions);
+  return <span data-testid="wishlist-json">{JSON.stringify(wishlist)}</span>;
+};
+
+const renderWithProvider = (onRender = jest.fn()) =>
+  render(
+    <WishlistProvider>
+      <WishlistConsumer onRender={onRender} />
+    </WishlistProvider>
+  );
+
+const shown = () => JSON.parse(screen.getByTestId("wishlist-json").textContent);
+
+describe("WishlistProvider", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue([{ user: null, token: "" }, jest.fn()]);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("starts empty and asks nothing of the server for a guest", () => {
+    renderWithProvider();
+
+    expect(shown()).toEqual([]);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it("loads the wishlist once signed in", async () => {
+    useAuth.mockReturnValue([{ user: { _id: "u1" }, token: "tok" }, jest.fn()]);
+    axios.get.mockResolvedValueOnce({ data: { success: true, wishlist: [entry("p1")] } });
+
+    renderWithProvider();
+
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/wishlist");
+    await waitFor(() => expect(shown()).toEqual([entry("p1")]));
+  });
+
+  it("stays empty when the wishlist cannot be loaded", async () => {
+    useAuth.mockReturnValue([{ user: { _id: "u1" }, token: "tok" }, jest.fn()]);
+    axios.get.mockRejectedValueOnce(new Error("Network Error"));
+
+    renderWithProvider();
+
+    await waitFor(() => expect(console.log).toHaveBeenCalled());
+    expect(shown()).toEqual([]);
+  });
+
+  it("clears the wishlist on sign-out", async () => {
+    useAuth.mockReturnValue([{ user: { _id: "u1" }, token: "tok" }, jest.fn()]);
+    axios.get.mockResolvedValueOnce({ data: { success: true, wishlist: [entry("p1")] } });
+    const { rerender } = renderWithProvider();
+    await waitFor(() => expect(shown()).toHaveLength(1));
+
+    useAuth.mockReturnValue([{ user: null, token: "" }, jest.fn()]);
+    rerender(
+      <WishlistProvider>
+        <WishlistConsumer onRender={jest.fn()} />
+      </WishlistProvider>
+    );
+
+    expect(shown()).toEqual([]);
+  });
+
+  it("shows the wishlist the server answers with after adding", async () => {
+    const onRender = jest.fn();
+    axios.post.mockResolvedValueOnce({
+      data: { success: true, message: "Saved to wishlist", wishlist: [entry("p2")] },
+    });
+    renderWithProvider(onRender);
+
+    let data;
+    await act(async () => {
+      data = await onRender.mock.calls[0][0].addToWishlist("p2");
+    });
+
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/wishlist/items", { productId: "p2" });
+    expect(data.message).toBe("Saved to wishlist");
+    expect(shown()).toEqual([entry("p2")]);
+  });
+
+  it("shows the wishlist the server answers with after removing", async () => {
+    useAuth.mockReturnValue([{ user: { _id: "u1" }, token: "tok" }, jest.fn()]);
+    axios.get.mockResolvedValueOnce({ data: { success: true, wishlist: [entry("p1")] } });
+    axios.delete.mockResolvedValueOnce({
+      data: { success: true, message: "Removed from wishlist", wishlist: [] },
+    });
+    const onRender = jest.fn();
+    renderWithProvider(onRender);
+    await waitFor(() => expect(shown()).toHaveLength(1));
+
+    await act(async () => {
+      await onRender.mock.calls[0][0].removeFromWishlist("p1");
+    });
+
+    expect(axios.delete).toHaveBeenCalledWith("/api/v1/wishlist/items/p1");
+    expect(shown()).toEqual([]);
+  });
+
+  it("leaves a failed change for the caller to report", async () => {
+    const onRender = jest.fn();
+    axios.post.mockRejectedValueOnce(new Error("Request failed"));
+    renderWithProvider(onRender);
+
+    await expect(onRender.mock.calls[0][0].addToWishlist("p2")).rejects.toThrow("Request failed");
+    expect(shown()).toEqual([]);
+  });
+});
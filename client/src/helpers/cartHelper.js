@@ -0,0 +1,184 @@
+import { unitPrice, variantName } from "./variantHelper";
+
+// A cart is a list of lines, one per product or per variant of a product,
+// each with the quantity wanted and the stock it may not go past. `stock` is
+// null when it is not known. `updatedAt` versions the product's photo URL.
+export const toCartLine = (product, quantity = 1, variant = null) => {
+  const line = {
+    _id: product._id,
+    name: product.name,
+    slug: product.slug,
+    description: product.description,
+    price: variant ? unitPrice(product, variant) : product.price,
+    stock: typeof product.quantity === "number" ? product.quantity : null,
+    ...(product.updatedAt && { updatedAt: product.updatedAt }),
+    quantity,
+  };
+  if (!variant) return line;
+  return {
+    ...line,
+    variant: variant._id,
+    variantName: variantName(variant),
+    sku: variant.sku,
+    stock: typeof variant.quantity === "number" ? variant.quantity : null,
+  };
+};
+
+// tells apart lines for different variants of the same product; also the
+// path of the line in the cart api
+export const lineKey = (line) =>
+  line.variant ? `${line._id}/${line.variant}` : String(line._id);
+
+export const maxQuantity = (line) =>
+  typeof line?.stock === "number" ? line.stock : Infinity;
+
+// carts saved before lines had quantities hold one product per unit, and
+// their `quantity` is the product's stock; fold them into lines
+export const normalizeCart = (items) =>
+  (Array.isArray(items) ? items : []).reduce((cart, item) => {
+    if (!item?._id) return cart;
+    const line = "stock" in item ? { ...item } : toCartLine(item, 1);
+    const existing = cart.find((l) => lineKey(l) === lineKey(line));
+    if (existing) existing.quantity += line.quantity;
+    else cart.push(line);
+    return cart;
+  }, []);
+
+// add units of a product, or of one variant of it, never past its stock;
+// returns the same cart when nothing could be added
+export const addToCart = (cart, product, quantity = 1, variant = null) => {
+  const fresh = toCartLine(product, 1, variant);
+  const key = lineKey(fresh);
+  const existing = cart.find((line) => lineKey(line) === key);
+  const wanted = Math.min((existing?.quantity || 0) + quantity, maxQuantity(fresh));
+  if (wanted <= (existing?.quantity || 0)) return cart;
+  if (!existing) return [...cart, { ...fresh, quantity: wanted }];
+  return cart.map((line) =>
+    lineKey(line) === key ? { ...fresh, quantity: wanted } : line
+  );
+};
+
+// set a line's quantity, kept between 1 and the stock
+export const setLineQuantity = (cart, key, quantity) =>
+  cart.map((line) => {
+    if (lineKey(line) !== key) return line;
+    const clamped = Math.min(Math.max(Math.floor(quantity) || 1, 1), maxQuantity(line));
+    return { ...line, quantity: clamped };
+  });
+
+export const removeLine = (cart, key) => cart.filter((line) => lineKey(line) !== key);
+
+// units per line key
+export const countUnits = (cart) =>
+  (cart || []).reduce((counts, item) => {
+    const key = lineKey(item);
+    return counts.set(key, (counts.get(key) || 0) + (item.quantity || 1));
+  }, new Map());
+
+export const cartCount = (cart) =>
+  (cart || []).reduce((sum, line) => sum + (line.quantity || 1), 0);
+
+export const cartTotal = (cart) =>
+  Math.round(
+    (cart || []).reduce(
+      (sum, line) => sum + (Number(line.price) || 0) * (line.quantity || 1),
+      0
+    ) * 100
+  ) / 100;
+
+export const toCartItems = (cart) =>
+  [...countUnits(cart)].map(([key, quantity]) => {
+    const [productId, variantId] = key.split("/");
+    return variantId ? { productId, variantId, quantity } : { productId, quantity };
+  });
+
+// Compare the cart with the current products sent back by
+// /api/v1/cart/validate. Returns the corrected cart, or the same cart when
+// nothing differs, and the changes the shopper should acknowledge.
+export const reviewCart = (cart, current) => {
+  const byKey = new Map(
+    (current || []).map((item) => [
+      lineKey({ _id: item.productId, variant: item.variantId }),
+      item,
+    ])
+  );
+  const changes = [];
+  let changed = false;
+  const next = [];
+  for (const line of cart) {
+    const now = byKey.get(lineKey(line));
+    if (!now) {
+      next.push(line);
+      continue;
+    }
+    const named = (name) => (line.variantName ? `${name} (${line.variantName})` : name);
+    if (!now.exists) {
+      changes.push({ _id: line._id, name: named(line.name), type: "removed" });
+      changed = true;
+      continue;
+    }
+    const name = named(now.name);
+    if (!(now.stock > 0)) {
+      changes.push({ _id: line._id, name, type: "outOfStock" });
+      changed = true;
+      continue;
+    }
+    const quantity = Math.min(line.quantity, now.stock);
+    if (now.price !== line.price) {
+      changes.push({ _id: line._id, name, type: "price", from: line.price, to: now.price });
+    }
+    if (quantity < line.quantity) {
+      changes.push({ _id: line._id, name, type: "reduced", from: line.quantity, to: quantity });
+    }
+    const fresh = {
+      ...line,
+      name: now.name,
+      slug: now.slug,
+      description: now.description,
+      price: now.price,
+      stock: now.stock,
+      updatedAt: now.updatedAt ?? line.updatedAt,
+      quantity,
+    };
+    if (Object.keys(fresh).some((key) => fresh[key] !== line[key])) changed = true;
+    next.push(fresh);
+  }
+  return { cart: changed ? next : cart, changes };
+};
+
+const money = (value) =>
+  (Number(value) || 0).toLocaleString("en-US", { style: "currency", currency: "USD" });
+
+export const describeCartChange = (change) => {
+  switch (change.type) {
+    case "removed":
+      return `${change.name} is no longer sold and was removed`;
+    case "outOfStock":
+      return `${change.name} is out of stock and was removed`;
+    case "price":
+      return `${change.name} now costs ${money(change.to)} (was ${money(change.from)})`;
+    case "reduced":
+      return `Only ${change.to} ${change.name} left, quantity lowered from ${change.from}`;
+    default:
+      return change.name;
+  }
+};
+
+// one line telling the shopper what merging their guest cart changed
+export const mergeSummary = (changes) => {
+  if (!changes) return "";
+  const parts = [];
+  if (changes.added?.length) parts.push(`added ${changes.added.join(", ")}`);
+  if (changes.combined?.length) {
+    parts.push(`combined ${changes.combined.join(", ")} with your saved cart`);
+  }
+  (changes.capped || []).forEach(({ name, quantity }) => {
+    parts.push(`only ${quantity} ${name} left in stock`);
+  });
+  if (changes.removed) {
+    parts.push(
+      `removed ${changes.removed} unavailable ${changes.removed === 1 ? "item" : "items"}`
+    );
+  }
+  return parts.length ? `Cart updated: ${parts.join("; ")}` : "";
+};
@@ -0,0 +1,337 @@
+import {
+  addToCart,
+  cartCount,
+  cartTotal,
+  countUnits,
+  describeCartChange,
+  lineKey,
+  maxQuantity,
+  mergeSummary,
+  normalizeCart,
+  removeLine,
+  reviewCart,
+  setLineQuantity,
+  toCartItems,
+  toCartLine,
+} from "./cartHelper";
+
+const lamp = { _id: "a", name: "Lamp", slug: "lamp", description: "d", price: 10, quantity: 3 };
+const rug = { _id: "b", name: "Rug", slug: "rug", description: "d", price: 2.5, quantity: 7 };
+
+describe("cartHelper", () => {
+  describe("toCartLine", () => {
+    it("keeps the product's stock apart from the quantity wanted", () => {
+      expect(toCartLine(lamp, 2)).toEqual({
+        _id: "a",
+        name: "Lamp",
+        slug: "lamp",
+        description: "d",
+        price: 10,
+        stock: 3,
+        quantity: 2,
+      });
+    });
+
+    it("keeps the product's update time, which versions its photo URL", () => {
+      expect(toCartLine({ ...lamp, updatedAt: "2026-10-01T00:00:00.000Z" }, 1).updatedAt).toBe(
+        "2026-10-01T00:00:00.000Z"
+      );
+      expect(toCartLine(lamp, 1)).not.toHaveProperty("updatedAt");
+    });
+
+    it("marks unknown stock as null, which allows any quantity", () => {
+      const line = toCartLine({ _id: "x", price: 1 });
+
+      expect(line.stock).toBeNull();
+      expect(maxQuantity(line)).toBe(Infinity);
+    });
+  });
+
+  describe("normalizeCart", () => {
+    it("folds a cart saved as one product per unit into lines", () => {
+      expect(normalizeCart([lamp, rug, lamp])).toEqual([toCartLine(lamp, 2), toCartLine(rug, 1)]);
+    });
+
+    it("keeps lines as they are and survives a JSON round trip", () => {
+      const cart = [toCartLine(lamp, 2), toCartLine({ _id: "x", price: 1 }, 4)];
+
+      expect(normalizeCart(JSON.parse(JSON.stringify(cart)))).toEqual(cart);
+    });
+
+    it("drops entries without an id and treats non-lists as empty", () => {
+      expect(normalizeCart([null, {}, lamp])).toEqual([toCartLine(lamp, 1)]);
+      expect(normalizeCart("nope")).toEqual([]);
+    });
+  });
+
+  describe("addToCart", () => {
+    it("adds a new line with one unit", () => {
+      expect(addToCart([], lamp)).toEqual([toCartLine(lamp, 1)]);
+    });
+
+    it("raises the quantity of a product already in the cart", () => {
+      const cart = [toCartLine(lamp, 1), toCartLine(rug, 1)];
+
+      expect(addToCart(cart, lamp)).toEqual([toCartLine(lamp, 2), toCartLine(rug, 1)]);
+    });
+
+    it("refreshes the line from the product being added", () => {
+      const cart = [{ ...toCartLine(lamp, 1), price: 8, stock: 1 }];
+
+      expect(addToCart(cart, lamp)).toEqual([toCartLine(lamp, 2)]);
+    });
+
+    it("returns the same cart when the stock is used up", () => {
+      const full = [toCartLine(lamp, 3)];
+
+      expect(addToCart(full, lamp)).toBe(full);
+      const none = [];
+      expect(addToCart(none, { ...lamp, quantity: 0 })).toBe(none);
+    });
+  });
+
+  describe("setLineQuantity and removeLine", () => {
+    const cart = [toCartLine(lamp, 1), toCartLine(rug, 2)];
+
+    it("sets the quantity of one line", () => {
+      expect(setLineQuantity(cart, "b", 5)).toEqual([toCartLine(lamp, 1), toCartLine(rug, 5)]);
+    });
+
+    it("keeps the quantity between 1 and the stock", () => {
+      expect(setLineQuantity(cart, "a", 9)[0].quantity).toBe(3);
+      expect(setLineQuantity(cart, "a", 0)[0].quantity).toBe(1);
+      expect(setLineQuantity(cart, "a", NaN)[0].quantity).toBe(1);
+      expect(setLineQuantity(cart, "b", 2.7)[1].quantity).toBe(2);
+    });
+
+    it("removes the whole line", () => {
+      expect(removeLine(cart, "a")).toEqual([toCartLine(rug, 2)]);
+    });
+  });
+
+  describe("cartCount and cartTotal", () => {
+    it("count units and price them by quantity", () => {
+      const cart = [toCartLine(lamp, 2), toCartLine(rug, 3)];
+
+      expect(cartCount(cart)).toBe(5);
+      expect(cartTotal(cart)).toBe(27.5);
+    });
+
+    it("round the total to cents", () => {
+      expect(cartTotal([toCartLine({ _id: "c", price: 0.1 }, 3)])).toBe(0.3);
+    });
+
+    it("treat a missing cart as empty", () => {
+      expect(cartCount(undefined)).toBe(0);
+      expect(cartTotal(null)).toBe(0);
+    });
+  });
+
+  describe("countUnits", () => {
+    it("sums quantities per product id", () => {
+      const counts = countUnits([toCartLine(lamp, 2), toCartLine(rug, 1)]);
+
+      expect([...counts]).toEqual([
+        ["a", 2],
+        ["b", 1],
+      ]);
+    });
+
+    it("treats a missing cart as empty", () => {
+      expect(countUnits(null).size).toBe(0);
+    });
+  });
+
+  describe("toCartItems", () => {
+    it("turns the cart into product id and quantity lines", () => {
+      expect(toCartItems([toCartLine(lamp, 2), toCartLine(rug, 1)])).toEqual([
+        { productId: "a", quantity: 2 },
+        { productId: "b", quantity: 1 },
+      ]);
+    });
+  });
+
+  describe("reviewCart", () => {
+    const current = (product, overrides = {}) => ({
+      productId: product._id,
+      exists: true,
+      name: product.name,
+      slug: product.slug,
+      description: product.description,
+      price: product.price,
+      stock: product.quantity,
+      ...overrides,
+    });
+
+    it("returns the same cart when nothing changed", () => {
+      const cart = [toCartLine(lamp, 2), toCartLine(rug)];
+
+      const reviewed = reviewCart(cart, [current(lamp), current(rug)]);
+
+      expect(reviewed.cart).toBe(cart);
+      expect(reviewed.changes).toEqual([]);
+    });
+
+    it("drops products that are gone or sold out", () => {
+      const cart = [toCartLine(lamp), toCartLine(rug)];
+
+      const reviewed = reviewCart(cart, [
+        { productId: "a", exists: false },
+        current(rug, { stock: 0 }),
+      ]);
+
+      expect(reviewed.cart).toEqual([]);
+      expect(reviewed.changes).toEqual([
+        { _id: "a", name: "Lamp", type: "removed" },
+        { _id: "b", name: "Rug", type: "outOfStock" },
+      ]);
+    });
+
+    it("takes the new price and lowers quantities to the stock", () => {
+      const cart = [toCartLine(lamp, 3)];
+
+      const reviewed = reviewCart(cart, [current(lamp, { price: 12, stock: 2 })]);
+
+      expect(reviewed.cart).toEqual([{ ...toCartLine(lamp, 2), price: 12, stock: 2 }]);
+      expect(reviewed.changes).toEqual([
+        { _id: "a", name: "Lamp", type: "price", from: 10, to: 12 },
+        { _id: "a", name: "Lamp", type: "reduced", from: 3, to: 2 },
+      ]);
+    });
+
+    it("refreshes details quietly and keeps lines the server did not mention", () => {
+      const cart = [toCartLine(lamp), toCartLine(rug)];
+
+      const reviewed = reviewCart(cart, [current(lamp, { name: "Desk Lamp", stock: 9 })]);
+
+      expect(reviewed.changes).toEqual([]);
+      expect(reviewed.cart[0]).toMatchObject({ name: "Desk Lamp", stock: 9 });
+      expect(reviewed.cart[1]).toBe(cart[1]);
+    });
+  });
+
+  describe("variant lines", () => {
+    const small = { _id: "s", sku: "TEE-S", options: [{ name: "Size", value: "S" }], quantity: 2 };
+    const large = {
+      _id: "l",
+      sku: "TEE-L",
+      options: [{ name: "Size", value: "L" }],
+      price: 14,
+      quantity: 5,
+    };
+    const tee = { _id: "t", name: "Tee", slug: "tee", description: "d", price: 12, quantity: 7 };
+
+    it("takes the variant's price, stock and name", () => {
+      expect(toCartLine(tee, 1, large)).toEqual({
+        _id: "t",
+        name: "Tee",
+        slug: "tee",
+        description: "d",
+        price: 14,
+        stock: 5,
+        quantity: 1,
+        variant: "l",
+        variantName: "L",
+        sku: "TEE-L",
+      });
+      expect(toCartLine(tee, 1, small).price).toBe(12);
+    });
+
+    it("keys lines by product and variant", () => {
+      expect(lineKey(toCartLine(tee, 1, small))).toBe("t/s");
+      expect(lineKey(toCartLine(lamp))).toBe("a");
+    });
+
+    it("keeps each variant on its own line", () => {
+      let cart = addToCart([], tee, 1, small);
+      cart = addToCart(cart, tee, 1, large);
+      cart = addToCart(cart, tee, 1, small);
+
+      expect(cart.map((line) => [lineKey(line), line.quantity])).toEqual([
+        ["t/s", 2],
+        ["t/l", 1],
+      ]);
+      expect(addToCart(cart, tee, 1, small)).toBe(cart);
+    });
+
+    it("changes and removes one variant's line", () => {
+      const cart = [toCartLine(tee, 1, small), toCartLine(tee, 1, large)];
+
+      expect(setLineQuantity(cart, "t/l", 4)[1].quantity).toBe(4);
+      expect(setLineQuantity(cart, "t/s", 9)[0].quantity).toBe(2);
+      expect(removeLine(cart, "t/s")).toEqual([cart[1]]);
+    });
+
+    it("sends the variant with the line's product", () => {
+      expect(toCartItems([toCartLine(tee, 2, small), toCartLine(lamp, 1)])).toEqual([
+        { productId: "t", variantId: "s", quantity: 2 },
+        { productId: "a", quantity: 1 },
+      ]);
+    });
+
+    it("folds saved variant lines by product and variant", () => {
+      const cart = [toCartLine(tee, 1, small), toCartLine(tee, 1, large), toCartLine(tee, 1, small)];
+
+      expect(normalizeCart(cart).map((line) => line.quantity)).toEqual([2, 1]);
+    });
+
+    it("reviews each variant against its own current details", () => {
+      const current = { exists: true, name: "Tee", slug: "tee", description: "d" };
+      const cart = [toCartLine(tee, 2, small), toCartLine(tee, 1, large)];
+
+      const reviewed = reviewCart(cart, [
+        { ...current, productId: "t", variantId: "s", price: 12, stock: 1 },
+        { productId: "t", variantId: "l", exists: false },
+      ]);
+
+      expect(reviewed.cart).toEqual([{ ...cart[0], quantity: 1, stock: 1 }]);
+      expect(reviewed.changes).toEqual([
+        { _id: "t", name: "Tee (S)", type: "reduced", from: 2, to: 1 },
+        { _id: "t", name: "Tee (L)", type: "removed" },
+      ]);
+    });
+  });
+
+  describe("describeCartChange", () => {
+    it("explains each kind of change", () => {
+      expect(describeCartChange({ name: "Lamp", type: "removed" })).toBe(
+        "Lamp is no longer sold and was removed"
+      );
+      expect(describeCartChange({ name: "Lamp", type: "outOfStock" })).toBe(
+        "Lamp is out of stock and was removed"
+      );
+      expect(describeCartChange({ name: "Lamp", type: "price", from: 10, to: 12.5 })).toBe(
+        "Lamp now costs $12.50 (was $10.00)"
+      );
+      expect(describeCartChange({ name: "Lamp", type: "reduced", from: 3, to: 2 })).toBe(
+        "Only 2 Lamp left, quantity lowered from 3"
+      );
+    });
+  });
+
+  describe("mergeSummary", () => {
+    it("describes every kind of change", () => {
+      expect(
+        mergeSummary({
+          added: ["Rug", "Vase"],
+          combined: ["Lamp"],
+          capped: [{ name: "Lamp", quantity: 3 }],
+          removed: 2,
+        })
+      ).toBe(
+        "Cart updated: added Rug, Vase; combined Lamp with your saved cart; only 3 Lamp left in stock; removed 2 unavailable items"
+      );
+    });
+
+    it("uses the singular for one removed item", () => {
+      expect(mergeSummary({ added: [], combined: [], capped: [], removed: 1 })).toBe(
+        "Cart updated: removed 1 unavailable item"
+      );
+    });
+
+    it("returns nothing when nothing changed", () => {
+      expect(mergeSummary({ added: [], combined: [], capped: [], removed: 0 })).toBe("");
+      expect(mergeSummary(undefined)).toBe("");
+    });
+  });
+});
@@ -0,0 +1,28 @@
+// idempotency key for one checkout submission; retries of the same
+// submission reuse it so the server can answer them without charging again
+export const newCheckoutKey = () =>
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// A submission the server is still processing is sent again with the same
+// key, a short wait apart, until the finished checkout's reply is replayed.
+// Still pending after the last try, the error is thrown for the page.
+export const PENDING_RETRIES = 3;
+export const PENDING_RETRY_DELAY = 2000;
+
+export const isPending = (error) => Boolean(error?.response?.data?.inProgress);
+
+export const retryWhilePending = async (
+  send,
+  retries = PENDING_RETRIES,
+  delay = PENDING_RETRY_DELAY
+) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await send();
+    } catch (error) {
+      if (!isPending(error) || attempt >= retries) throw error;
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+};
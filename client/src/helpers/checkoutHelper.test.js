@@ -0,0 +1,64 @@
+import { isPending, newCheckoutKey, retryWhilePending } from "./checkoutHelper";
+
+describe("checkoutHelper", () => {
+  describe("newCheckoutKey", () => {
+    const originalCrypto = window.crypto;
+
+    afterEach(() => {
+      Object.defineProperty(window, "crypto", { value: originalCrypto, configurable: true });
+    });
+
+    it("uses randomUUID when the browser has it", () => {
+      Object.defineProperty(window, "crypto", {
+        value: { randomUUID: () => "uuid-1" },
+        configurable: true,
+      });
+
+      expect(newCheckoutKey()).toBe("uuid-1");
+    });
+
+    it("falls back to a random key without randomUUID", () => {
+      Object.defineProperty(window, "crypto", { value: undefined, configurable: true });
+
+      const first = newCheckoutKey();
+      const second = newCheckoutKey();
+
+      expect(first).toMatch(/^[a-z0-9]+-[a-z0-9]+$/);
+      expect(second).not.toBe(first);
+    });
+  });
+
+  describe("retryWhilePending", () => {
+    const pending = {
+      response: { status: 409, data: { error: "This checkout is already being processed", inProgress: true } },
+    };
+
+    it("sends again while the checkout is pending and returns the replayed reply", async () => {
+      const send = jest
+        .fn()
+        .mockRejectedValueOnce(pending)
+        .mockRejectedValueOnce(pending)
+        .mockResolvedValueOnce({ data: { order: "o1" } });
+
+      await expect(retryWhilePending(send, 3, 0)).resolves.toEqual({ data: { order: "o1" } });
+      expect(send).toHaveBeenCalledTimes(3);
+    });
+
+    it("gives up after the last try with the pending error", async () => {
+      const send = jest.fn().mockRejectedValue(pending);
+
+      await expect(retryWhilePending(send, 2, 0)).rejects.toBe(pending);
+      expect(send).toHaveBeenCalledTimes(3);
+      expect(isPending(pending)).toBe(true);
+    });
+
+    it("does not send again after any other error", async () => {
+      const declined = { response: { status: 402, data: { error: "Do Not Honor" } } };
+      const send = jest.fn().mockRejectedValue(declined);
+
+      await expect(retryWhilePending(send, 3, 0)).rejects.toBe(declined);
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(isPending(declined)).toBe(false);
+    });
+  });
+});
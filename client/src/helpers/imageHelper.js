@@ -0,0 +1,50 @@
+// A product's gallery is an ordered list of images, each with alt text.
+// The server keeps a thumbnail for cards and a medium size for the
+// product page next to every original.
+
+// Photo URLs carry the product's version, its last update in ms, so the
+// browser may keep them for long and an edited product gets new URLs.
+// Gallery images never change and need no version.
+export const photoVersion = (updatedAt) => {
+  const time = updatedAt ? new Date(updatedAt).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+const withQuery = (url, { size, updatedAt } = {}) => {
+  const params = new URLSearchParams();
+  if (size) params.set("size", size);
+  const version = photoVersion(updatedAt);
+  if (version !== null) params.set("v", version);
+  const query = params.toString();
+  return query ? `${url}?${query}` : url;
+};
+
+// the product's own picture: its first gallery image, else its photo
+export const productPhotoUrl = (productId, size, updatedAt) =>
+  withQuery(`/api/v1/product/product-photo/${productId}`, { size, updatedAt });
+
+export const variantPhotoUrl = (productId, variantId, updatedAt) =>
+  withQuery(`/api/v1/product/variant-photo/${productId}/${variantId}`, { updatedAt });
+
+export const galleryImageUrl = (productId, imageId, size) =>
+  withQuery(`/api/v1/product/product-image/${productId}/${imageId}`, { size });
+
+// the alt text of a gallery image, falling back to the product's name
+export const imageAlt = (image, product) => image?.alt || product?.name || "";
+
+// saved images as rows for the gallery editor; new uploads are added as
+// `{ file, alt }`
+export const toEditorImages = (images) =>
+  (images || []).map((image) => ({ _id: image._id, alt: image.alt || "" }));
+
+// the gallery as the product forms send it: the list as JSON, with new
+// files numbered in the order they appear
+export const appendImages = (formData, images) => {
+  let upload = 0;
+  const list = (images || []).map((image) => {
+    if (!image.file) return { _id: image._id, alt: image.alt };
+    formData.append(`image${upload}`, image.file);
+    return { upload: upload++, alt: image.alt };
+  });
+  formData.append("images", JSON.stringify(list));
+};
@@ -0,0 +1,87 @@
+import {
+  appendImages,
+  galleryImageUrl,
+  imageAlt,
+  photoVersion,
+  productPhotoUrl,
+  toEditorImages,
+  variantPhotoUrl,
+} from "./imageHelper";
+
+describe("imageHelper", () => {
+  it("builds image URLs with an optional size", () => {
+    expect(productPhotoUrl("p1")).toBe("/api/v1/product/product-photo/p1");
+    expect(productPhotoUrl("p1", "thumbnail")).toBe(
+      "/api/v1/product/product-photo/p1?size=thumbnail"
+    );
+    expect(galleryImageUrl("p1", "i2", "medium")).toBe(
+      "/api/v1/product/product-image/p1/i2?size=medium"
+    );
+  });
+
+  it("versions photo URLs by the product's last update", () => {
+    const updatedAt = "2024-05-01T08:00:00.000Z";
+    const version = new Date(updatedAt).getTime();
+
+    expect(photoVersion(updatedAt)).toBe(version);
+    expect(photoVersion(undefined)).toBeNull();
+    expect(photoVersion("not a date")).toBeNull();
+    expect(productPhotoUrl("p1", "thumbnail", updatedAt)).toBe(
+      `/api/v1/product/product-photo/p1?size=thumbnail&v=${version}`
+    );
+    expect(productPhotoUrl("p1", undefined, updatedAt)).toBe(
+      `/api/v1/product/product-photo/p1?v=${version}`
+    );
+    expect(variantPhotoUrl("p1", "v2", updatedAt)).toBe(
+      `/api/v1/product/variant-photo/p1/v2?v=${version}`
+    );
+    expect(variantPhotoUrl("p1", "v2")).toBe("/api/v1/product/variant-photo/p1/v2");
+  });
+
+  it("falls back to the product's name for alt text", () => {
+    expect(imageAlt({ alt: "Front" }, { name: "Lamp" })).toBe("Front");
+    expect(imageAlt({ alt: "" }, { name: "Lamp" })).toBe("Lamp");
+    expect(imageAlt(undefined, undefined)).toBe("");
+  });
+
+  it("turns saved images into editor rows", () => {
+    expect(
+      toEditorImages([
+        { _id: "i1", alt: "Front", original: "f1" },
+        { _id: "i2", original: "f2" },
+      ])
+    ).toEqual([
+      { _id: "i1", alt: "Front" },
+      { _id: "i2", alt: "" },
+    ]);
+    expect(toEditorImages(undefined)).toEqual([]);
+  });
+
+  it("appends the gallery as JSON and new files by upload number", () => {
+    const sent = {};
+    const formData = { append: (key, value) => (sent[key] = value) };
+    const side = { name: "side.png" };
+    const top = { name: "top.png" };
+
+    appendImages(formData, [
+      { file: side, alt: "Side" },
+      { _id: "i1", alt: "Front" },
+      { file: top, alt: "" },
+    ]);
+
+    expect(JSON.parse(sent.images)).toEqual([
+      { upload: 0, alt: "Side" },
+      { _id: "i1", alt: "Front" },
+      { upload: 1, alt: "" },
+    ]);
+    expect(sent.image0).toBe(side);
+    expect(sent.image1).toBe(top);
+  });
+
+  it("sends an empty gallery", () => {
+    const sent = {};
+    appendImages({ append: (key, value) => (sent[key] = value) }, []);
+
+    expect(sent).toEqual({ images: "[]" });
+  });
+});
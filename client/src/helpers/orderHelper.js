@@ -0,0 +1,21 @@
+// total units across an order's line items
+export const countItems = (lines) =>
+  (lines || []).reduce((sum, line) => sum + (Number(line?.quantity) || 0), 0);
+
+// mirrors helpers/orderStatusHelper.js on the server, which has the final say
+export const ORDER_TRANSITIONS = {
+  "Not Process": ["Processing", "cancel"],
+  Processing: ["Shipped", "cancel"],
+  Shipped: ["deliverd", "refunded"],
+  deliverd: ["refunded"],
+  cancel: [],
+  refunded: [],
+};
+
+export const nextStatuses = (status) => ORDER_TRANSITIONS[status] || [];
+
+// a paid order takes refunds while refunding all of it has a status to end
+// in; the server refuses the rest
+export const canRefund = (order) =>
+  Boolean(order?.payment?.success) &&
+  ["cancel", "refunded"].some((next) => nextStatuses(order.status).includes(next));
@@ -0,0 +1,54 @@
+import { canRefund, countItems, nextStatuses } from "./orderHelper";
+
+describe("orderHelper", () => {
+  describe("countItems", () => {
+    it("sums quantities across line items", () => {
+      expect(
+        countItems([
+          { product: "p1", quantity: 2 },
+          { product: "p2", quantity: 3 },
+        ])
+      ).toBe(5);
+    });
+
+    it("returns 0 for missing or empty line items", () => {
+      expect(countItems(undefined)).toBe(0);
+      expect(countItems([])).toBe(0);
+    });
+
+    it("ignores lines without a numeric quantity", () => {
+      expect(countItems([{ quantity: "abc" }, null, { quantity: 1 }])).toBe(1);
+    });
+  });
+
+  describe("nextStatuses", () => {
+    it("offers the legal next steps of the lifecycle", () => {
+      expect(nextStatuses("Not Process")).toEqual(["Processing", "cancel"]);
+      expect(nextStatuses("Processing")).toEqual(["Shipped", "cancel"]);
+      expect(nextStatuses("Shipped")).toEqual(["deliverd", "refunded"]);
+      expect(nextStatuses("deliverd")).toEqual(["refunded"]);
+    });
+
+    it("offers nothing for terminal or unknown statuses", () => {
+      expect(nextStatuses("cancel")).toEqual([]);
+      expect(nextStatuses("refunded")).toEqual([]);
+      expect(nextStatuses(undefined)).toEqual([]);
+    });
+  });
+
+  describe("canRefund", () => {
+    const paid = { payment: { success: true } };
+
+    it("allows refunds of paid orders that can still be cancelled or refunded", () => {
+      ["Not Process", "Processing", "Shipped", "deliverd"].forEach((status) =>
+        expect(canRefund({ ...paid, status })).toBe(true)
+      );
+    });
+
+    it("refuses cancelled, refunded and unpaid orders", () => {
+      expect(canRefund({ ...paid, status: "cancel" })).toBe(false);
+      expect(canRefund({ ...paid, status: "refunded" })).toBe(false);
+      expect(canRefund({ status: "Shipped", payment: { success: false } })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+// The search API sends one page of products, best matches first, with how
+// many there are in all. Filters narrow it to products in stock or within
+// a price range.
+
+export const emptyFilters = { inStock: false, minPrice: "", maxPrice: "" };
+
+export const searchUrl = (keyword) =>
+  `/api/v1/product/search/${encodeURIComponent(String(keyword || "").trim())}`;
+
+// the query for a page of the search, leaving out filters that are not set
+export const searchParams = (page = 1, filters = emptyFilters) => ({
+  page,
+  ...(filters.inStock && { inStock: true }),
+  ...(filters.minPrice !== "" && { minPrice: filters.minPrice }),
+  ...(filters.maxPrice !== "" && { maxPrice: filters.maxPrice }),
+});
+
+// the search context once a page of results has come back
+export const withResults = (values, data) => ({
+  ...values,
+  results: data?.products || [],
+  total: data?.total || 0,
+  page: data?.page || 1,
+  pages: data?.pages || 0,
+});
+
+// Suggestions come as the shopper types, a moment after they stop, once
+// there are two letters to go on.
+export const SUGGEST_DELAY = 250;
+export const MIN_SUGGEST_LENGTH = 2;
+
+// the suggestions as one list for the dropdown: products and categories
+// open their page, popular searches run the search
+export const suggestionItems = (data) => [
+  ...(data?.products || []).map((product) => ({
+    key: `product:${product._id}`,
+    kind: "Product",
+    label: product.name,
+    to: `/product/${product.slug}`,
+  })),
+  ...(data?.categories || []).map((category) => ({
+    key: `category:${category._id}`,
+    kind: "Category",
+    label: category.name,
+    to: `/category/${category.slug}`,
+  })),
+  ...(data?.queries || []).map((query) => ({
+    key: `query:${query}`,
+    kind: "Search",
+    label: query,
+    keyword: query,
+  })),
+];
@@ -0,0 +1,59 @@
+import {
+  emptyFilters,
+  searchParams,
+  searchUrl,
+  suggestionItems,
+  withResults,
+} from "./searchHelper";
+
+describe("searchHelper", () => {
+  it("puts the keyword in the URL, trimmed and encoded", () => {
+    expect(searchUrl("lamp")).toBe("/api/v1/product/search/lamp");
+    expect(searchUrl(" usb (c)/hub ")).toBe("/api/v1/product/search/usb%20(c)%2Fhub");
+  });
+
+  it("asks for a page with only the filters that are set", () => {
+    expect(searchParams()).toEqual({ page: 1 });
+    expect(searchParams(2, emptyFilters)).toEqual({ page: 2 });
+    expect(searchParams(1, { inStock: true, minPrice: "0", maxPrice: "" })).toEqual({
+      page: 1,
+      inStock: true,
+      minPrice: "0",
+    });
+    expect(searchParams(3, { inStock: false, minPrice: "", maxPrice: "50" })).toEqual({
+      page: 3,
+      maxPrice: "50",
+    });
+  });
+
+  it("keeps the keyword and filters with a page of results", () => {
+    const values = { keyword: "lamp", filters: emptyFilters, results: [] };
+
+    expect(
+      withResults(values, { products: [{ _id: "p1" }], total: 13, page: 2, pages: 2 })
+    ).toEqual({
+      keyword: "lamp",
+      filters: emptyFilters,
+      results: [{ _id: "p1" }],
+      total: 13,
+      page: 2,
+      pages: 2,
+    });
+    expect(withResults(values, undefined)).toMatchObject({ results: [], total: 0, page: 1 });
+  });
+
+  it("lists products, then categories, then popular searches as suggestions", () => {
+    expect(
+      suggestionItems({
+        products: [{ _id: "p1", name: "Lamp", slug: "lamp" }],
+        categories: [{ _id: "c1", name: "Lighting", slug: "lighting" }],
+        queries: ["lamp shade"],
+      })
+    ).toEqual([
+      { key: "product:p1", kind: "Product", label: "Lamp", to: "/product/lamp" },
+      { key: "category:c1", kind: "Category", label: "Lighting", to: "/category/lighting" },
+      { key: "query:lamp shade", kind: "Search", label: "lamp shade", keyword: "lamp shade" },
+    ]);
+    expect(suggestionItems(undefined)).toEqual([]);
+  });
+});
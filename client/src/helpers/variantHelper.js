@@ -0,0 +1,117 @@
+// A product sold in variants lists its option types, such as Size with
+// S, M and L, and one variant per combination it is sold in, each with its
+// own SKU, stock and optional price.
+
+// "M / Red" for a variant sold in size M and colour red
+export const variantName = (variant) =>
+  (variant?.options || []).map((option) => option.value).join(" / ");
+
+export const hasVariants = (product) => (product?.variants?.length || 0) > 0;
+
+export const findVariant = (product, variantId) =>
+  (product?.variants || []).find((variant) => variant._id === variantId) || null;
+
+// a variant's own price when it has one, else the product's
+export const unitPrice = (product, variant) =>
+  typeof variant?.price === "number" ? variant.price : product?.price;
+
+// the variant with every option picked as in `selected`, an object of
+// option name to value; null until all options are picked
+export const matchVariant = (product, selected) => {
+  const options = product?.options || [];
+  if (!options.every((option) => selected?.[option.name])) return null;
+  return (
+    (product?.variants || []).find((variant) =>
+      options.every((option) =>
+        variant.options.some(
+          (o) => o.name === option.name && o.value === selected[option.name]
+        )
+      )
+    ) || null
+  );
+};
+
+// whether any variant in stock has `value` for `name`, given the other
+// options already picked
+export const valueInStock = (product, selected, name, value) =>
+  (product?.variants || []).some(
+    (variant) =>
+      variant.quantity > 0 &&
+      variant.options.every((o) =>
+        o.name === name ? o.value === value : !selected?.[o.name] || selected[o.name] === o.value
+      )
+  );
+
+// every combination of the options' values, as lists of { name, value }
+export const optionCombinations = (options) =>
+  (options || []).reduce(
+    (combinations, option) =>
+      combinations.flatMap((combination) =>
+        option.values.map((value) => [...combination, { name: option.name, value }])
+      ),
+    [[]]
+  );
+
+const sameOptions = (a, b) =>
+  a.length === b.length &&
+  a.every((option) => b.some((o) => o.name === option.name && o.value === option.value));
+
+// one variant per combination of the options, keeping the SKU, price,
+// stock and id of variants already there
+export const buildVariants = (options, existing, skuPrefix = "") => {
+  const named = (options || []).filter((option) => option.name && option.values.length);
+  if (named.length === 0) return [];
+  return optionCombinations(named).map((combination) => {
+    const kept = (existing || []).find((variant) => sameOptions(variant.options, combination));
+    if (kept) return kept;
+    const suffix = combination.map((option) => option.value).join("-");
+    return {
+      sku: (skuPrefix ? `${skuPrefix}-${suffix}` : suffix).toUpperCase().replace(/\s+/g, "-"),
+      options: combination,
+      price: "",
+      quantity: 0,
+    };
+  });
+};
+
+// option values are typed as one comma separated list
+export const splitValues = (text) =>
+  [...new Set(String(text || "").split(",").map((value) => value.trim()).filter(Boolean))];
+
+// editor rows for a product's saved options and variants
+export const toEditorOptions = (options) =>
+  (options || []).map((option) => ({ name: option.name, values: option.values.join(", ") }));
+
+export const toEditorVariants = (variants) =>
+  (variants || []).map((variant) => ({
+    _id: variant._id,
+    sku: variant.sku,
+    options: variant.options,
+    price: typeof variant.price === "number" ? variant.price : "",
+    quantity: variant.quantity ?? 0,
+    hasPhoto: Boolean(variant.photo?.contentType),
+  }));
+
+// the options and variants as the product form sends them; new photos go
+// as separate files named by the variant's position
+export const toVariantFields = (options, variants) => ({
+  options: (options || [])
+    .filter((option) => option.name.trim())
+    .map((option) => ({ name: option.name.trim(), values: splitValues(option.values) })),
+  variants: (variants || []).map(({ _id, sku, options: picked, price, quantity }) => ({
+    ...(_id && { _id }),
+    sku,
+    options: picked,
+    price,
+    quantity,
+  })),
+});
+
+export const appendVariants = (formData, options, variants) => {
+  const fields = toVariantFields(options, variants);
+  formData.append("options", JSON.stringify(fields.options));
+  formData.append("variants", JSON.stringify(fields.variants));
+  (variants || []).forEach((variant, i) => {
+    if (variant.photoFile) formData.append(`variantPhoto${i}`, variant.photoFile);
+  });
+};
@@ -0,0 +1,189 @@
+import {
+  appendVariants,
+  buildVariants,
+  findVariant,
+  hasVariants,
+  matchVariant,
+  optionCombinations,
+  splitValues,
+  toEditorOptions,
+  toEditorVariants,
+  toVariantFields,
+  unitPrice,
+  valueInStock,
+  variantName,
+} from "./variantHelper";
+
+const small = {
+  _id: "v1",
+  sku: "TEE-S-RED",
+  options: [
+    { name: "Size", value: "S" },
+    { name: "Colour", value: "Red" },
+  ],
+  quantity: 0,
+};
+const medium = {
+  _id: "v2",
+  sku: "TEE-M-RED",
+  options: [
+    { name: "Size", value: "M" },
+    { name: "Colour", value: "Red" },
+  ],
+  price: 25,
+  quantity: 4,
+};
+const tee = {
+  _id: "p1",
+  price: 20,
+  options: [
+    { name: "Size", values: ["S", "M"] },
+    { name: "Colour", values: ["Red"] },
+  ],
+  variants: [small, medium],
+};
+
+describe("variantHelper", () => {
+  describe("lookups", () => {
+    it("names a variant by its option values", () => {
+      expect(variantName(medium)).toBe("M / Red");
+      expect(variantName(null)).toBe("");
+    });
+
+    it("tells whether a product is sold in variants", () => {
+      expect(hasVariants(tee)).toBe(true);
+      expect(hasVariants({ variants: [] })).toBe(false);
+      expect(hasVariants(undefined)).toBe(false);
+    });
+
+    it("finds a variant by id", () => {
+      expect(findVariant(tee, "v2")).toBe(medium);
+      expect(findVariant(tee, "nope")).toBeNull();
+      expect(findVariant({}, "v2")).toBeNull();
+    });
+
+    it("prices a variant at its own price or the product's", () => {
+      expect(unitPrice(tee, medium)).toBe(25);
+      expect(unitPrice(tee, small)).toBe(20);
+      expect(unitPrice(tee, null)).toBe(20);
+    });
+  });
+
+  describe("matchVariant", () => {
+    it("finds the variant once every option is picked", () => {
+      expect(matchVariant(tee, { Size: "M", Colour: "Red" })).toBe(medium);
+    });
+
+    it("waits until every option is picked", () => {
+      expect(matchVariant(tee, { Size: "M" })).toBeNull();
+      expect(matchVariant(tee, {})).toBeNull();
+    });
+
+    it("returns null for a combination that is not sold", () => {
+      const product = { ...tee, variants: [medium] };
+
+      expect(matchVariant(product, { Size: "S", Colour: "Red" })).toBeNull();
+    });
+  });
+
+  describe("valueInStock", () => {
+    it("checks the stock of the variants the value could pick", () => {
+      expect(valueInStock(tee, {}, "Size", "M")).toBe(true);
+      expect(valueInStock(tee, {}, "Size", "S")).toBe(false);
+    });
+
+    it("takes the other options already picked into account", () => {
+      expect(valueInStock(tee, { Size: "S" }, "Colour", "Red")).toBe(false);
+      expect(valueInStock(tee, { Size: "M" }, "Colour", "Red")).toBe(true);
+    });
+  });
+
+  describe("optionCombinations and buildVariants", () => {
+    it("lists every combination of the options' values", () => {
+      expect(optionCombinations(tee.options)).toEqual([
+        small.options,
+        medium.options,
+      ]);
+      expect(optionCombinations([])).toEqual([[]]);
+    });
+
+    it("makes a variant per combination with a SKU from the prefix", () => {
+      expect(buildVariants([{ name: "Size", values: ["S", "X L"] }], [], "Tee")).toEqual([
+        { sku: "TEE-S", options: [{ name: "Size", value: "S" }], price: "", quantity: 0 },
+        { sku: "TEE-X-L", options: [{ name: "Size", value: "X L" }], price: "", quantity: 0 },
+      ]);
+    });
+
+    it("keeps the variants already there", () => {
+      const variants = buildVariants(
+        [
+          { name: "Colour", values: ["Red", "Blue"] },
+          { name: "Size", values: ["M"] },
+        ],
+        [medium]
+      );
+
+      expect(variants[0]).toBe(medium);
+      expect(variants[1]).toMatchObject({ sku: "BLUE-M", quantity: 0 });
+    });
+
+    it("makes no variants without named options", () => {
+      expect(buildVariants([{ name: "", values: ["S"] }], [small])).toEqual([]);
+      expect(buildVariants(undefined)).toEqual([]);
+    });
+  });
+
+  describe("editor and form fields", () => {
+    it("splits comma separated values", () => {
+      expect(splitValues(" S, M,,S , L ")).toEqual(["S", "M", "L"]);
+      expect(splitValues(undefined)).toEqual([]);
+    });
+
+    it("turns saved options and variants into editor rows", () => {
+      expect(toEditorOptions(tee.options)).toEqual([
+        { name: "Size", values: "S, M" },
+        { name: "Colour", values: "Red" },
+      ]);
+      expect(
+        toEditorVariants([{ ...medium, photo: { contentType: "image/png" } }, small])
+      ).toEqual([
+        { _id: "v2", sku: "TEE-M-RED", options: medium.options, price: 25, quantity: 4, hasPhoto: true },
+        { _id: "v1", sku: "TEE-S-RED", options: small.options, price: "", quantity: 0, hasPhoto: false },
+      ]);
+    });
+
+    it("drops unnamed options and editor-only fields from what is sent", () => {
+      const fields = toVariantFields(
+        [
+          { name: " Size ", values: "S, M" },
+          { name: " ", values: "x" },
+        ],
+        [{ sku: "TEE-S", options: [], price: "", quantity: "2", hasPhoto: true, photoFile: {} }]
+      );
+
+      expect(fields).toEqual({
+        options: [{ name: "Size", values: ["S", "M"] }],
+        variants: [{ sku: "TEE-S", options: [], price: "", quantity: "2" }],
+      });
+    });
+
+    it("appends the fields as JSON and new photos by position", () => {
+      const sent = {};
+      const formData = { append: (key, value) => (sent[key] = value) };
+      const photo = { name: "red.png" };
+
+      appendVariants(formData, [{ name: "Size", values: "S" }], [
+        { _id: "v1", sku: "A", options: [], price: 5, quantity: 1 },
+        { sku: "B", options: [], price: "", quantity: 0, photoFile: photo },
+      ]);
+
+      expect(JSON.parse(sent.options)).toEqual([{ name: "Size", values: ["S"] }]);
+      expect(JSON.parse(sent.variants)).toEqual([
+        { _id: "v1", sku: "A", options: [], price: 5, quantity: 1 },
+        { sku: "B", options: [], price: "", quantity: 0 },
+      ]);
+      expect(sent.variantPhoto0).toBeUndefined();
+      expect(sent.variantPhoto1).toBe(photo);
+    });
+  });
+});
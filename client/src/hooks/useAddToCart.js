@@ -0,0 +1,21 @@
+import toast from "react-hot-toast";
+import { useCart } from "../context/cart";
+import { addToCart } from "../helpers/cartHelper";
+
+// Add one unit of a product, or of one of its variants, to the cart,
+// unless the cart already holds all the stock. Returns whether it was
+// added; `success` is the toast shown when it was, none when null.
+export default function useAddToCart() {
+  const [cart, setCart] = useCart();
+
+  return (product, variant = null, success = "Item Added to cart") => {
+    const next = addToCart(cart, product, 1, variant);
+    if (next === cart) {
+      toast.error("No more stock available");
+      return false;
+    }
+    setCart(next);
+    if (success) toast.success(success);
+    return true;
+  };
+}
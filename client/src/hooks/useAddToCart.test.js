@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for useAddToCart custom hook
+ *
+ * Tests the hook the product pages and the wishlist use to put one unit
+ * of a product, or of one of its variants, into the cart.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import toast from 'react-hot-toast';
+import { useCart } from '../context/cart';
+import useAddToCart from './useAddToCart';
+
+jest.mock('react-hot-toast', () => ({
+  __esModule: true,
+  default: { success: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('../context/cart', () => ({
+  useCart: jest.fn(),
+}));
+
+const lamp = { _id: 'p1', name: 'Lamp', slug: 'lamp', price: 20, quantity: 2 };
+const tee = {
+  _id: 'p2',
+  name: 'Tee',
+  slug: 'tee',
+  price: 10,
+  quantity: 5,
+  variants: [{ _id: 'v1', options: [{ name: 'Size', value: 'S' }], price: 12, quantity: 1 }],
+};
+
+// ─── Test consumer component ────────────────────────────────────────────────
+
+const TestConsumer = () => {
+  const addOne = useAddToCart();
+  const [added, setAdded] = React.useState(null);
+  return (
+    <div>
+      <span data-testid='added'>{String(added)}</span>
+      <button onClick={() => setAdded(addOne(lamp))}>lamp</button>
+      <button onClick={() => setAdded(addOne(tee, tee.variants[0]))}>tee</button>
+      <button onClick={() => setAdded(addOne(lamp, null, null))}>quiet</button>
+    </div>
+  );
+};
+
+// ─── Test Suite ─────────────────────────────────────────────────────────────
+
+describe('useAddToCart – custom hook', () => {
+  let setCart;
+
+  const withCart = (cart) => {
+    setCart = jest.fn();
+    useCart.mockReturnValue([cart, setCart]);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('adds one unit and says so', () => {
+    withCart([]);
+    render(<TestConsumer />);
+
+    fireEvent.click(screen.getByText('lamp'));
+
+    expect(setCart).toHaveBeenCalledWith([expect.objectContaining({ _id: 'p1', quantity: 1 })]);
+    expect(toast.success).toHaveBeenCalledWith('Item Added to cart');
+    expect(screen.getByTestId('added').textContent).toBe('true');
+  });
+
+  it('adds the variant picked', () => {
+    withCart([]);
+    render(<TestConsumer />);
+
+    fireEvent.click(screen.getByText('tee'));
+
+    expect(setCart).toHaveBeenCalledWith([
+      expect.objectContaining({ _id: 'p2', variant: 'v1', price: 12, quantity: 1 }),
+    ]);
+  });
+
+  it('turns the shopper away once the cart holds all the stock', () => {
+    withCart([{ _id: 'p1', name: 'Lamp', slug: 'lamp', price: 20, stock: 2, quantity: 2 }]);
+    render(<TestConsumer />);
+
+    fireEvent.click(screen.getByText('lamp'));
+
+    expect(setCart).not.toHaveBeenCalled();
+    expect(toast.error).toHaveBeenCalledWith('No more stock available');
+    expect(toast.success).not.toHaveBeenCalled();
+    expect(screen.getByTestId('added').textContent).toBe('false');
+  });
+
+  it('leaves the message to the caller when asked', () => {
+    withCart([]);
+    render(<TestConsumer />);
+
+    fireEvent.click(screen.getByText('quiet'));
+
+    expect(setCart).toHaveBeenCalled();
+    expect(toast.success).not.toHaveBeenCalled();
+    expect(screen.getByTestId('added').textContent).toBe('true');
+  });
+});
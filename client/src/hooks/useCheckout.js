@@ -0,0 +1,34 @@
+import { useState, useCallback } from "react";
+
+const STORAGE_KEY = "checkout";
+
+// what the shopper has picked so far, kept for the tab so a refresh
+// halfway through checkout picks up where it was
+const readCheckout = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+export default function useCheckout() {
+  const [checkout, setCheckoutState] = useState(readCheckout);
+
+  //merge changes into the saved checkout
+  const setCheckout = useCallback((changes) => {
+    setCheckoutState((previous) => {
+      const next = { ...previous, ...changes };
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  //forget the checkout once it has become an order
+  const clearCheckout = useCallback(() => {
+    sessionStorage.removeItem(STORAGE_KEY);
+    setCheckoutState({});
+  }, []);
+
+  return [checkout, setCheckout, clearCheckout];
+}
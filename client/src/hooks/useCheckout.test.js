@@ -0,0 +1,73 @@
+/**
+ * Unit Tests for useCheckout custom hook
+ *
+ * Tests the hook that keeps the shopper's checkout picks in sessionStorage
+ * so they survive moving between the cart, the checkout steps and a refresh.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import useCheckout from './useCheckout';
+
+// ─── Test consumer component ────────────────────────────────────────────────
+
+const TestConsumer = () => {
+  const [checkout, setCheckout, clearCheckout] = useCheckout();
+  return (
+    <div>
+      <span data-testid='json'>{JSON.stringify(checkout)}</span>
+      <button onClick={() => setCheckout({ coupon: 'SAVE10' })}>coupon</button>
+      <button onClick={() => setCheckout({ shippingMethod: 'ship1' })}>shipping</button>
+      <button onClick={clearCheckout}>clear</button>
+    </div>
+  );
+};
+
+const shown = () => JSON.parse(screen.getByTestId('json').textContent);
+const saved = () => JSON.parse(sessionStorage.getItem('checkout'));
+
+// ─── Test Suite ─────────────────────────────────────────────────────────────
+
+describe('useCheckout – custom hook', () => {
+  beforeEach(() => {
+    sessionStorage.clear();
+  });
+
+  it('starts empty when nothing was saved', () => {
+    render(<TestConsumer />);
+    expect(shown()).toEqual({});
+  });
+
+  it('starts from what was saved earlier in the tab', () => {
+    sessionStorage.setItem('checkout', JSON.stringify({ coupon: 'SAVE10', region: 'CA' }));
+    render(<TestConsumer />);
+    expect(shown()).toEqual({ coupon: 'SAVE10', region: 'CA' });
+  });
+
+  it('ignores a saved value it cannot read', () => {
+    sessionStorage.setItem('checkout', '{not json');
+    render(<TestConsumer />);
+    expect(shown()).toEqual({});
+  });
+
+  it('merges each change into the checkout and saves it', () => {
+    render(<TestConsumer />);
+
+    fireEvent.click(screen.getByText('coupon'));
+    fireEvent.click(screen.getByText('shipping'));
+
+    expect(shown()).toEqual({ coupon: 'SAVE10', shippingMethod: 'ship1' });
+    expect(saved()).toEqual({ coupon: 'SAVE10', shippingMethod: 'ship1' });
+  });
+
+  it('forgets the checkout when cleared', () => {
+    sessionStorage.setItem('checkout', JSON.stringify({ coupon: 'SAVE10' }));
+    render(<TestConsumer />);
+
+    fireEvent.click(screen.getByText('clear'));
+
+    expect(shown()).toEqual({});
+    expect(sessionStorage.getItem('checkout')).toBeNull();
+  });
+});
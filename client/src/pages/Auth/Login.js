@@ -5,6 +5,8 @@ import { useNavigate, useLocation } from "react-router-dom";
 import toast from "react-hot-toast";
 import "../../styles/AuthStyles.css";
 import { useAuth } from "../../context/auth";
+import { useCart } from "../../context/cart";
+import { mergeSummary, toCartItems } from "../../helpers/cartHelper";
 import {
   containsXSS,
   containsSQLInjection,
@@ -15,6 +17,7 @@ const Login = () => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [auth, setAuth] = useAuth();
+  const [cart] = useCart();
 
   const navigate = useNavigate();
   const location = useLocation();
@@ -40,6 +43,24 @@ const Login = () => {
     return true;
   };
 
+  // fold the cart built as a guest into the account's saved cart, before
+  // signing in so the cart the header loads is already merged
+  const mergeGuestCart = async (token) => {
+    try {
+      const { data } = await axios.post(
+        "/api/v1/cart/merge",
+        { items: toCartItems(cart) },
+        { headers: { Authorization: token } }
+      );
+      localStorage.removeItem("cart");
+      const summary = mergeSummary(data?.changes);
+      if (summary) toast(summary, { duration: 6000 });
+    } catch (error) {
+      console.log(error);
+      toast.error("Could not add your cart to your account");
+    }
+  };
+
   // form function
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -70,6 +91,7 @@ const Login = () => {
             color: "white",
           },
         });
+        if (cart?.length) await mergeGuestCart(res.data.token);
         setAuth({
           ...auth,
           user: res.data.user,
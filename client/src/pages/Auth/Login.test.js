@@ -7,6 +7,7 @@ import { MemoryRouter, Routes, Route } from "react-router-dom";
 import "@testing-library/jest-dom/extend-expect";
 import toast from "react-hot-toast";
 import Login from "./Login";
+import { useCart } from "../../context/cart";
 
 // Mocking axios.post
 jest.mock("axios");
@@ -630,4 +631,97 @@ describe("Login Component", () => {
     expect(content.user).toEqual(mockUser);
     expect(content.token).toBe(mockToken);
   });
+
+  describe("guest cart merge", () => {
+    const guestCart = [{ _id: "p1" }, { _id: "p1" }, { _id: "p2" }];
+
+    const submitLogin = () => {
+      const { getByPlaceholderText, getByText } = render(
+        <MemoryRouter initialEntries={["/login"]}>
+          <Routes>
+            <Route path="/login" element={<Login />} />
+          </Routes>
+        </MemoryRouter>,
+      );
+      fireEvent.change(getByPlaceholderText("Enter Your Email"), {
+        target: { value: "test@example.com" },
+      });
+      fireEvent.change(getByPlaceholderText("Enter Your Password"), {
+        target: { value: "password123" },
+      });
+      fireEvent.click(getByText("LOGIN"));
+    };
+
+    const loginResponse = {
+      data: { success: true, user: { name: "John Doe" }, token: "mockToken" },
+    };
+
+    beforeEach(() => {
+      useCart.mockImplementation(() => [guestCart, jest.fn()]);
+    });
+
+    afterEach(() => {
+      useCart.mockImplementation(() => [null, jest.fn()]);
+    });
+
+    it("merges the guest cart with the new token before signing in", async () => {
+      axios.post.mockResolvedValueOnce(loginResponse).mockResolvedValueOnce({
+        data: {
+          success: true,
+          changes: { added: ["Lamp"], combined: [], capped: [], removed: 1 },
+        },
+      });
+
+      submitLogin();
+
+      await waitFor(() => expect(mockSetAuth).toHaveBeenCalled());
+      expect(axios.post).toHaveBeenCalledWith(
+        "/api/v1/cart/merge",
+        {
+          items: [
+            { productId: "p1", quantity: 2 },
+            { productId: "p2", quantity: 1 },
+          ],
+        },
+        { headers: { Authorization: "mockToken" } },
+      );
+      expect(window.localStorage.removeItem).toHaveBeenCalledWith("cart");
+      expect(toast).toHaveBeenCalledWith(
+        "Cart updated: added Lamp; removed 1 unavailable item",
+        { duration: 6000 },
+      );
+    });
+
+    it("stays quiet when the merge changed nothing worth telling", async () => {
+      axios.post.mockResolvedValueOnce(loginResponse).mockResolvedValueOnce({
+        data: { success: true, changes: { added: [], combined: [], capped: [], removed: 0 } },
+      });
+
+      submitLogin();
+
+      await waitFor(() => expect(mockSetAuth).toHaveBeenCalled());
+      expect(toast).not.toHaveBeenCalled();
+    });
+
+    it("still signs in when the merge fails, keeping the guest cart", async () => {
+      axios.post.mockResolvedValueOnce(loginResponse).mockRejectedValueOnce(new Error("offline"));
+
+      submitLogin();
+
+      await waitFor(() => expect(mockSetAuth).toHaveBeenCalled());
+      expect(toast.error).toHaveBeenCalledWith("Could not add your cart to your account");
+      expect(window.localStorage.removeItem).not.toHaveBeenCalledWith("cart");
+      expect(mockNavigate).toHaveBeenCalledWith("/");
+    });
+
+    it("skips the merge when the guest cart is empty", async () => {
+      useCart.mockImplementation(() => [[], jest.fn()]);
+      axios.post.mockResolvedValueOnce(loginResponse);
+
+      submitLogin();
+
+      await waitFor(() => expect(mockSetAuth).toHaveBeenCalled());
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -1,7 +1,7 @@
 import React, { useState } from "react";
 import Layout from "./../../components/Layout";
 import axios from "axios";
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 import toast from "react-hot-toast";
 import "../../styles/AuthStyles.css";
 import {
@@ -13,8 +13,11 @@ import {
 } from "../../helpers/validationHelper";
 
 const Register = () => {
+  // a guest can turn an order into an account after checking out
+  const { state } = useLocation();
+  const guestOrder = state?.guestOrder;
   const [name, setName] = useState("");
-  const [email, setEmail] = useState("");
+  const [email, setEmail] = useState(state?.email || "");
   const [password, setPassword] = useState("");
   const [phone, setPhone] = useState("");
   const [address, setAddress] = useState("");
@@ -107,6 +110,7 @@ const Register = () => {
         address,
         DOB,
         answer,
+        guestOrder,
       });
       if (res && res.data.success) {
         toast.success("Register Successfully, please login");
@@ -116,7 +120,7 @@ const Register = () => {
       }
     } catch (error) {
       console.log(error);
-      toast.error("Something went wrong");
+      toast.error(error.response?.data?.message || "Something went wrong");
     }
   };
 
@@ -125,6 +129,12 @@ const Register = () => {
       <div className="form-container" style={{ minHeight: "90vh" }}>
         <form onSubmit={handleSubmit}>
           <h4 className="title">REGISTER FORM</h4>
+          {guestOrder && (
+            <p>
+              Order {guestOrder} will be added to your new account. Register
+              with the email the order was placed with.
+            </p>
+          )}
           <div className="mb-3">
             <input
               type="text"
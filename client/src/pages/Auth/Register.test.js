@@ -1544,4 +1544,63 @@ describe("Register Component", () => {
     expect(axios.post).not.toHaveBeenCalled();
     expect(toast.error).toHaveBeenCalledWith("Invalid characters detected");
   });
+
+  describe("after a guest checkout", () => {
+    const renderForGuestOrder = () =>
+      render(
+        <MemoryRouter
+          initialEntries={[
+            { pathname: "/register", state: { guestOrder: "order123", email: "gus@example.com" } },
+          ]}
+        >
+          <Routes>
+            <Route path="/register" element={<Register />} />
+          </Routes>
+        </MemoryRouter>,
+      );
+
+    const fillTheRest = (getByPlaceholderText) => {
+      fireEvent.change(getByPlaceholderText("Enter Your Name"), { target: { value: "Gus Guest" } });
+      fireEvent.change(getByPlaceholderText("Enter Your Password"), { target: { value: "password123" } });
+      fireEvent.change(getByPlaceholderText("Enter Your Phone"), { target: { value: "1234567890" } });
+      fireEvent.change(getByPlaceholderText("Enter Your Address"), { target: { value: "1 Main St" } });
+      fireEvent.change(getByPlaceholderText("Enter Your DOB"), { target: { value: "2000-01-01" } });
+      fireEvent.change(getByPlaceholderText("What is Your Favorite sports"), { target: { value: "Football" } });
+    };
+
+    it("starts from the order's email and says the order joins the account", () => {
+      const { getByPlaceholderText, getByText } = renderForGuestOrder();
+
+      expect(getByPlaceholderText("Enter Your Email")).toHaveValue("gus@example.com");
+      expect(getByText(/Order order123 will be added to your new account/)).toBeInTheDocument();
+    });
+
+    it("sends the order with the registration", async () => {
+      axios.post.mockResolvedValueOnce({ data: { success: true } });
+      const { getByText, getByPlaceholderText } = renderForGuestOrder();
+      fillTheRest(getByPlaceholderText);
+
+      fireEvent.click(getByText("REGISTER"));
+
+      await waitFor(() =>
+        expect(axios.post).toHaveBeenCalledWith(
+          "/api/v1/auth/register",
+          expect.objectContaining({ email: "gus@example.com", guestOrder: "order123" }),
+        ),
+      );
+      expect(mockNavigate).toHaveBeenCalledWith("/login");
+    });
+
+    it("says why the order could not be added", async () => {
+      axios.post.mockRejectedValueOnce({
+        response: { status: 404, data: { success: false, message: "Guest order not found" } },
+      });
+      const { getByText, getByPlaceholderText } = renderForGuestOrder();
+      fillTheRest(getByPlaceholderText);
+
+      fireEvent.click(getByText("REGISTER"));
+
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Guest order not found"));
+    });
+  });
 });
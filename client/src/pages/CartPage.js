@@ -3,82 +3,147 @@ import Layout from "./../components/Layout";
 import { useCart } from "../context/cart";
 import { useAuth } from "../context/auth";
 import { useNavigate } from "react-router-dom";
-import DropIn from "braintree-web-drop-in-react";
 import { AiFillWarning } from "react-icons/ai";
 import axios from "axios";
 import toast from "react-hot-toast";
+import {
+  cartCount,
+  cartTotal,
+  describeCartChange,
+  lineKey,
+  maxQuantity,
+  removeLine,
+  reviewCart,
+  setLineQuantity,
+  toCartItems,
+} from "../helpers/cartHelper";
+import { productPhotoUrl } from "../helpers/imageHelper";
+import useCheckout from "../hooks/useCheckout";
 import "../styles/CartStyles.css";
 
 const CartPage = () => {
   const [auth, setAuth] = useAuth();
   const [cart, setCart] = useCart();
-  const [clientToken, setClientToken] = useState("");
-  const [instance, setInstance] = useState("");
-  const [loading, setLoading] = useState(false);
+  const [checkout, setCheckout] = useCheckout();
+  const [cartChanges, setCartChanges] = useState([]);
+  const [couponCode, setCouponCode] = useState("");
+  const [coupon, setCoupon] = useState(null);
+  const [promotions, setPromotions] = useState([]);
   const navigate = useNavigate();
 
-  //total price
+  const formatPrice = (value) =>
+    value.toLocaleString("en-US", {
+      style: "currency",
+      currency: "USD",
+    });
+  const discount =
+    Math.round(
+      (promotions.reduce((sum, promotion) => sum + promotion.amount, 0) +
+        (coupon?.discount || 0)) *
+        100
+    ) / 100;
+
+  //total price; tax and shipping are added at checkout
   const totalPrice = () => {
     try {
-      let total = 0;
-      cart?.forEach((item) => {
-        total = total + (Number(item.price) || 0);
-      });
-      return total.toLocaleString("en-US", {
-        style: "currency",
-        currency: "USD",
-      });
+      return formatPrice(Math.max(cartTotal(cart) - discount, 0));
     } catch (error) {
       console.log(error);
     }
   };
   //detele item
-  const removeCartItem = (pid) => {
+  const removeCartItem = (key) => {
+    try {
+      if (!cart.some((item) => lineKey(item) === key)) return;
+      setCart(removeLine(cart, key));
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  //change how many of an item to buy, within its stock
+  const updateQuantity = (key, quantity) => {
     try {
-      let myCart = [...cart];
-      let index = myCart.findIndex((item) => item._id === pid);
-      if (index === -1) return;
-      myCart.splice(index, 1);
-      setCart(myCart);
-      localStorage.setItem("cart", JSON.stringify(myCart));
+      setCart(setLineQuantity(cart, key, quantity));
     } catch (error) {
       console.log(error);
     }
   };
+  const itemCount = cartCount(cart);
 
-  //get payment gateway token
-  const getToken = async () => {
+  //check the cart against current prices and stock; resolves to false when
+  //something changed that the shopper has to look at first
+  const revalidateCart = async () => {
+    if (!cart?.length) return true;
     try {
-      const { data } = await axios.get("/api/v1/product/braintree/token");
-      setClientToken(data?.clientToken);
+      const { data } = await axios.post("/api/v1/cart/validate", {
+        items: toCartItems(cart),
+      });
+      if (!data?.success) return true;
+      const reviewed = reviewCart(cart, data.items);
+      if (reviewed.cart !== cart) setCart(reviewed.cart);
+      if (reviewed.changes.length) setCartChanges(reviewed.changes);
+      return reviewed.changes.length === 0;
     } catch (error) {
       console.log(error);
+      // the payment endpoint still charges current prices
+      return true;
     }
   };
+  const cartIds = (cart || []).map(lineKey).join(",");
   useEffect(() => {
-    getToken();
-  }, [auth?.token]);
+    revalidateCart();
+    //eslint-disable-next-line
+  }, [cartIds]);
 
-  //handle payments
-  const handlePayment = async () => {
+  //price a coupon code against the cart; the payment prices it again
+  const applyCoupon = async (code) => {
+    try {
+      const { data } = await axios.post("/api/v1/coupon/preview", {
+        code,
+        items: toCartItems(cart),
+      });
+      if (data?.success) {
+        setCoupon(data);
+        setCouponCode("");
+        setCheckout({ coupon: data.coupon.code });
+      }
+    } catch (error) {
+      console.log(error);
+      setCoupon(null);
+      setCheckout({ coupon: "" });
+      toast.error(error?.response?.data?.message || "Could not apply the coupon");
+    }
+  };
+  const handleCouponSubmit = (e) => {
+    e.preventDefault();
+    applyCoupon(couponCode);
+  };
+  //the automatic promotions the cart gets
+  const getPromotions = async () => {
+    if (!cart?.length) {
+      setPromotions([]);
+      return;
+    }
     try {
-      setLoading(true);
-      const { nonce } = await instance.requestPaymentMethod();
-      const { data } = await axios.post("/api/v1/product/braintree/payment", {
-        nonce,
-        cart,
+      const { data } = await axios.post("/api/v1/promotion/cart", {
+        items: toCartItems(cart),
       });
-      setLoading(false);
-      localStorage.removeItem("cart");
-      setCart([]);
-      navigate("/dashboard/user/orders");
-      toast.success("Payment Completed Successfully ");
+      if (data?.success) setPromotions(data.promotions);
     } catch (error) {
       console.log(error);
-      toast.error("Payment failed");
-      setLoading(false);
     }
   };
+  // a changed cart can change the discounts, or whether the code still applies
+  const cartLines = (cart || [])
+    .map((item) => `${lineKey(item)}:${item.quantity}`)
+    .join(",");
+  // the coupon is kept for the checkout, so it is still on after a refresh
+  const couponToPrice = coupon?.coupon.code || checkout.coupon;
+  useEffect(() => {
+    getPromotions();
+    if (cart?.length && couponToPrice) applyCoupon(couponToPrice);
+    //eslint-disable-next-line
+  }, [cartLines]);
   return (
     <Layout>
       <div className=" cart-page">
@@ -90,7 +155,7 @@ const CartPage = () => {
                 : `Hello  ${auth?.token && auth?.user?.name}`}
               <p className="text-center">
                 {cart?.length
-                  ? `You Have ${cart.length} ${cart.length === 1 ? "item" : "items"} in your cart ${
+                  ? `You Have ${itemCount} ${itemCount === 1 ? "item" : "items"} in your cart ${
                       auth?.token ? "" : "please login to checkout !"
                     }`
                   : " Your Cart Is Empty"}
@@ -101,11 +166,39 @@ const CartPage = () => {
         <div className="container ">
           <div className="row ">
             <div className="col-md-7  p-0 m-0">
-              {cart?.map((p) => (
-                <div className="row card flex-row" key={p._id}>
+              {cartChanges.length > 0 && (
+                <div className="alert alert-warning" role="alert">
+                  <h6>Some items in your cart have changed</h6>
+                  <ul className="mb-2">
+                    {cartChanges.map((change) => (
+                      <li key={`${change._id}-${change.type}`}>
+                        {describeCartChange(change)}
+                      </li>
+                    ))}
+                  </ul>
+                  <button
+                    className="btn btn-sm btn-outline-dark"
+                    onClick={() => setCartChanges([])}
+                  >
+                    OK, got it
+                  </button>
+                </div>
+              )}
+              {cart?.map((p) => {
+                const key = lineKey(p);
+                const label = p.variantName ? `${p.name} (${p.variantName})` : p.name;
+                return (
+                <div
+                  className={`row card flex-row${
+                    cartChanges.some((change) => change._id === p._id)
+                      ? " border-warning"
+                      : ""
+                  }`}
+                  key={key}
+                >
                   <div className="col-md-4">
                     <img
-                      src={`/api/v1/product/product-photo/${p._id}`}
+                      src={productPhotoUrl(p._id, "thumbnail", p.updatedAt)}
                       className="card-img-top"
                       alt={p.name}
                       width="100%"
@@ -114,48 +207,125 @@ const CartPage = () => {
                   </div>
                   <div className="col-md-4">
                     <p>{p.name}</p>
+                    {p.variantName && <p className="text-muted">{p.variantName}</p>}
                     <p>{p.description?.substring(0, 30)}</p>
                     <p>Price : {p.price}</p>
+                    <div className="cart-quantity">
+                      <button
+                        className="btn btn-outline-secondary btn-sm"
+                        aria-label={`Decrease quantity of ${label}`}
+                        disabled={p.quantity <= 1}
+                        onClick={() => updateQuantity(key, p.quantity - 1)}
+                      >
+                        -
+                      </button>
+                      <input
+                        type="number"
+                        className="form-control form-control-sm"
+                        aria-label={`Quantity of ${label}`}
+                        min={1}
+                        max={p.stock ?? undefined}
+                        value={p.quantity}
+                        onChange={(e) =>
+                          updateQuantity(key, Number(e.target.value))
+                        }
+                      />
+                      <button
+                        className="btn btn-outline-secondary btn-sm"
+                        aria-label={`Increase quantity of ${label}`}
+                        disabled={p.quantity >= maxQuantity(p)}
+                        onClick={() => updateQuantity(key, p.quantity + 1)}
+                      >
+                        +
+                      </button>
+                    </div>
+                    {p.quantity >= maxQuantity(p) && (
+                      <small className="text-muted">Only {p.stock} in stock</small>
+                    )}
                   </div>
                   <div className="col-md-4 cart-remove-btn">
                     <button
                       className="btn btn-danger"
-                      onClick={() => removeCartItem(p._id)}
+                      onClick={() => removeCartItem(key)}
                     >
                       Remove
                     </button>
                   </div>
                 </div>
-              ))}
+                );
+              })}
             </div>
             <div className="col-md-5 cart-summary ">
               <h2>Cart Summary</h2>
               <p>Total | Checkout | Payment</p>
               <hr />
+              {discount > 0 && (
+                <div className="cart-discounts">
+                  <p>Subtotal : {formatPrice(cartTotal(cart))}</p>
+                  {promotions.map((promotion) => (
+                    <p key={promotion.promotion || promotion.name}>
+                      {promotion.name} : -{formatPrice(promotion.amount)}
+                    </p>
+                  ))}
+                  {coupon && (
+                    <p>
+                      Discount ({coupon.coupon.code}) : -
+                      {formatPrice(coupon.discount)}
+                    </p>
+                  )}
+                </div>
+              )}
               <h4>Total : {totalPrice()} </h4>
-              {auth?.user?.address ? (
-                <>
-                  <div className="mb-3">
-                    <h4>Current Address</h4>
-                    <h5>{auth?.user?.address}</h5>
-                    <button
-                      className="btn btn-outline-warning"
-                      onClick={() => navigate("/dashboard/user/profile")}
-                    >
-                      Update Address
-                    </button>
-                  </div>
-                </>
-              ) : (
-                <div className="mb-3">
-                  {auth?.token ? (
-                    <button
-                      className="btn btn-outline-warning"
-                      onClick={() => navigate("/dashboard/user/profile")}
-                    >
-                      Update Address
-                    </button>
+              {cart?.length > 0 && (
+                <p className="text-muted">Tax and shipping are added at checkout</p>
+              )}
+              {auth?.token && cart?.length > 0 && (
+                <div className="cart-coupon mb-3">
+                  {coupon ? (
+                    <p className="mb-0">
+                      Coupon {coupon.coupon.code} applied
+                      <button
+                        className="btn btn-link btn-sm"
+                        onClick={() => {
+                          setCoupon(null);
+                          setCheckout({ coupon: "" });
+                        }}
+                      >
+                        Remove coupon
+                      </button>
+                    </p>
                   ) : (
+                    <form className="input-group" onSubmit={handleCouponSubmit}>
+                      <input
+                        type="text"
+                        className="form-control"
+                        placeholder="Coupon code"
+                        aria-label="Coupon code"
+                        value={couponCode}
+                        onChange={(e) => setCouponCode(e.target.value)}
+                      />
+                      <button
+                        type="submit"
+                        className="btn btn-outline-secondary"
+                        disabled={!couponCode.trim()}
+                      >
+                        Apply
+                      </button>
+                    </form>
+                  )}
+                </div>
+              )}
+              <div className="mb-3">
+                {auth?.token ? (
+                  <button
+                    className="btn btn-primary"
+                    onClick={() => navigate("/checkout")}
+                    disabled={!cart?.length || cartChanges.length > 0}
+                  >
+                    Proceed to Checkout
+                  </button>
+                ) : (
+                  <>
                     <button
                       className="btn btn-outline-warning"
                       onClick={() =>
@@ -166,31 +336,15 @@ const CartPage = () => {
                     >
                       Plase Login to checkout
                     </button>
-                  )}
-                </div>
-              )}
-              <div className="mt-2">
-                {!clientToken || !auth?.token || !cart?.length ? (
-                  ""
-                ) : (
-                  <>
-                    <DropIn
-                      options={{
-                        authorization: clientToken,
-                        paypal: {
-                          flow: "vault",
-                        },
-                      }}
-                      onInstance={(instance) => setInstance(instance)}
-                    />
-
-                    <button
-                      className="btn btn-primary"
-                      onClick={handlePayment}
-                      disabled={loading || !instance || !auth?.user?.address}
-                    >
-                      {loading ? "Processing ...." : "Make Payment"}
-                    </button>
+                    {cart?.length > 0 && (
+                      <button
+                        className="btn btn-outline-primary ms-2"
+                        onClick={() => navigate("/checkout")}
+                        disabled={cartChanges.length > 0}
+                      >
+                        Checkout as Guest
+                      </button>
+                    )}
                   </>
                 )}
               </div>
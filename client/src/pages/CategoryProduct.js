@@ -1,14 +1,17 @@
 import React, { useState, useEffect } from "react";
 import Layout from "../components/Layout";
 import { useParams, useNavigate } from "react-router-dom";
-import { useCart } from "../context/cart";
-import toast from "react-hot-toast";
+import useAddToCart from "../hooks/useAddToCart";
+import { hasVariants } from "../helpers/variantHelper";
+import { productPhotoUrl } from "../helpers/imageHelper";
+import StarRating from "../components/StarRating";
+import WishlistButton from "../components/WishlistButton";
 import "../styles/CategoryProductStyles.css";
 import axios from "axios";
 const CategoryProduct = () => {
   const params = useParams();
   const navigate = useNavigate();
-  const [cart, setCart] = useCart();
+  const handleAddToCart = useAddToCart();
   const [products, setProducts] = useState([]);
   const [category, setCategory] = useState([]);
   const [page, setPage] = useState(1);
@@ -43,7 +46,7 @@ const CategoryProduct = () => {
               {products?.slice(0, page * 6).map((p) => (
                 <div className="card m-2" key={p._id}>
                   <img
-                    src={`/api/v1/product/product-photo/${p._id}`}
+                    src={productPhotoUrl(p._id, "thumbnail", p.updatedAt)}
                     className="card-img-top"
                     alt={p.name}
                   />
@@ -57,6 +60,10 @@ const CategoryProduct = () => {
                         })}
                       </h5>
                     </div>
+                    <StarRating
+                      value={p.ratingAverage}
+                      count={p.ratingCount || 0}
+                    />
                     <p className="card-text ">
                       {(p.description || "").substring(0, 60)}...
                     </p>
@@ -67,19 +74,22 @@ const CategoryProduct = () => {
                       >
                         More Details
                       </button>
-                      <button
-                        className="btn btn-dark ms-1"
-                        onClick={() => {
-                          setCart([...cart, p]);
-                          localStorage.setItem(
-                            "cart",
-                            JSON.stringify([...cart, p])
-                          );
-                          toast.success("Item Added to cart");
-                        }}
-                      >
-                        ADD TO CART
-                      </button>
+                      {hasVariants(p) ? (
+                        <button
+                          className="btn btn-dark ms-1"
+                          onClick={() => navigate(`/product/${p.slug}`)}
+                        >
+                          CHOOSE OPTIONS
+                        </button>
+                      ) : (
+                        <button
+                          className="btn btn-dark ms-1"
+                          onClick={() => handleAddToCart(p)}
+                        >
+                          ADD TO CART
+                        </button>
+                      )}
+                      <WishlistButton product={p} />
                     </div>
                   </div>
                 </div>
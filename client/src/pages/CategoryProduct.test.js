@@ -5,6 +5,7 @@ import { MemoryRouter, Routes, Route, Link } from "react-router-dom";
 import axios from "axios";
 import toast from "react-hot-toast";
 import CategoryProduct from "./CategoryProduct";
+import { toCartLine } from "../helpers/cartHelper";
 
 var mockNavigate = jest.fn();
 jest.mock("axios");
@@ -33,6 +34,9 @@ jest.mock("../components/Layout", () => {
   );
 });
 jest.mock("../styles/CategoryProductStyles.css", () => ({}));
+jest.mock("../components/WishlistButton", () => ({ product }) => (
+  <span data-testid="wishlist-button" data-product={product._id} />
+));
 
 Object.defineProperty(window, "matchMedia", {
   writable: true,
@@ -156,7 +160,7 @@ describe("CategoryProduct", () => {
 
       await waitFor(() => {
         const img = screen.getByAltText("Product 1");
-        expect(img).toHaveAttribute("src", "/api/v1/product/product-photo/prod1");
+        expect(img).toHaveAttribute("src", "/api/v1/product/product-photo/prod1?size=thumbnail");
       });
     });
 
@@ -207,10 +211,26 @@ describe("CategoryProduct", () => {
 
       expect(mockNavigate).toHaveBeenCalledWith("/product/product-1");
     });
+
+    it("sends a product sold in variants to its page to choose options", async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          success: true,
+          category: sampleCategory,
+          products: [{ ...sampleProducts[0], variants: [{ _id: "v1", options: [] }] }],
+        },
+      });
+      renderCategoryProduct();
+
+      fireEvent.click(await screen.findByRole("button", { name: "CHOOSE OPTIONS" }));
+
+      expect(mockNavigate).toHaveBeenCalledWith("/product/product-1");
+      expect(mockSetCart).not.toHaveBeenCalled();
+    });
   });
 
   describe("Add to Cart", () => {
-    it("clicking ADD TO CART calls setCart, localStorage.setItem, and toast.success", async () => {
+    it("clicking ADD TO CART calls setCart and toast.success", async () => {
       renderCategoryProduct();
 
       await waitFor(() => {
@@ -220,11 +240,7 @@ describe("CategoryProduct", () => {
       const addToCartButtons = screen.getAllByRole("button", { name: /ADD TO CART/i });
       fireEvent.click(addToCartButtons[0]);
 
-      expect(mockSetCart).toHaveBeenCalledWith([sampleProducts[0]]);
-      expect(window.localStorage.setItem).toHaveBeenCalledWith(
-        "cart",
-        JSON.stringify([sampleProducts[0]])
-      );
+      expect(mockSetCart).toHaveBeenCalledWith([toCartLine(sampleProducts[0])]);
       expect(toast.success).toHaveBeenCalledWith("Item Added to cart");
     });
 
@@ -238,7 +254,7 @@ describe("CategoryProduct", () => {
       const addToCartButtons = screen.getAllByRole("button", { name: /ADD TO CART/i });
       fireEvent.click(addToCartButtons[1]);
 
-      expect(mockSetCart).toHaveBeenCalledWith([sampleProducts[1]]);
+      expect(mockSetCart).toHaveBeenCalledWith([toCartLine(sampleProducts[1])]);
     });
   });
 
@@ -417,6 +433,17 @@ describe("CategoryProduct", () => {
     });
   });
 
+  describe("Wishlist", () => {
+    it("offers a wishlist button on every product card", async () => {
+      renderCategoryProduct();
+
+      await waitFor(() => {
+        expect(screen.getAllByTestId("wishlist-button")).toHaveLength(3);
+      });
+      expect(screen.getAllByTestId("wishlist-button")[0]).toHaveAttribute("data-product", "prod1");
+    });
+  });
+
   describe("Edge cases", () => {
     it("renders safely when product has no description", async () => {
       axios.get.mockResolvedValue({
@@ -0,0 +1,623 @@
+import React, { useState, useEffect, useRef } from "react";
+import Layout from "./../components/Layout";
+import { useCart } from "../context/cart";
+import { useAuth } from "../context/auth";
+import { Navigate, useNavigate, useParams } from "react-router-dom";
+import DropIn from "braintree-web-drop-in-react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { isPending, newCheckoutKey, retryWhilePending } from "../helpers/checkoutHelper";
+import { cartTotal, lineKey, reviewCart, toCartItems } from "../helpers/cartHelper";
+import { ADDRESS_FIELDS, formatAddress } from "../components/AddressBook";
+import useCheckout from "../hooks/useCheckout";
+import "../styles/CartStyles.css";
+
+export const CHECKOUT_STEPS = [
+  { key: "address", label: "Address" },
+  { key: "shipping", label: "Shipping" },
+  { key: "review", label: "Review" },
+  { key: "payment", label: "Payment" },
+];
+
+// stands in for the DropIn when the server runs the offline fake provider
+const fakePaymentInstance = {
+  requestPaymentMethod: async () => ({ nonce: "fake-valid-nonce" }),
+};
+
+// what a guest has to fill in before the order can ship
+const GUEST_REQUIRED = ["recipient", "line1", "city", "postalCode", "country"];
+const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
+
+const formatPrice = (value) =>
+  value.toLocaleString("en-US", {
+    style: "currency",
+    currency: "USD",
+  });
+
+const CheckoutPage = () => {
+  const { step } = useParams();
+  const [auth] = useAuth();
+  const [cart, setCart] = useCart();
+  const [checkout, setCheckout, clearCheckout] = useCheckout();
+  const [addresses, setAddresses] = useState([]);
+  const [addressesLoaded, setAddressesLoaded] = useState(false);
+  const [taxOptions, setTaxOptions] = useState({ regions: [], mode: "exclusive" });
+  const [promotions, setPromotions] = useState([]);
+  const [coupon, setCoupon] = useState(null);
+  const [taxQuote, setTaxQuote] = useState(null);
+  const [shippingMethods, setShippingMethods] = useState([]);
+  const [shippingLoaded, setShippingLoaded] = useState(false);
+  const [clientToken, setClientToken] = useState("");
+  const [instance, setInstance] = useState("");
+  const [fakePayments, setFakePayments] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const checkoutKey = useRef(newCheckoutKey());
+  const navigate = useNavigate();
+
+  const stepIndex = CHECKOUT_STEPS.findIndex((s) => s.key === step);
+  const goTo = (index) => navigate(`/checkout/${CHECKOUT_STEPS[index].key}`);
+
+  const discount =
+    Math.round(
+      (promotions.reduce((sum, promotion) => sum + promotion.amount, 0) +
+        (coupon?.discount || 0)) *
+        100
+    ) / 100;
+  const subtotal = cartTotal(cart || []);
+  // shoppers without an account give an email and the address to ship to
+  const guest = !auth?.token;
+  const guestEmail = checkout.guestEmail || "";
+  const guestAddress = checkout.guestAddress || {};
+  const guestReady =
+    isEmail(guestEmail) && GUEST_REQUIRED.every((key) => guestAddress[key]?.trim());
+  // an order shipping to a saved address is taxed where it is going
+  const selectedAddress = guest
+    ? null
+    : addresses.find((a) => a._id === checkout.shippingAddress);
+  const taxRegion = guest
+    ? guestReady
+      ? (guestAddress.region || guestAddress.country).trim()
+      : ""
+    : selectedAddress
+    ? selectedAddress.region || selectedAddress.country
+    : checkout.region || "";
+  const hasAddress = guest
+    ? guestReady
+    : Boolean(selectedAddress || (addresses.length === 0 && auth?.user?.address));
+  const shipping = shippingMethods.find((m) => m._id === checkout.shippingMethod);
+  const taxes = taxQuote?.taxes || [];
+  // inclusive prices already hold the tax, so only exclusive tax adds up
+  const addedTax = taxQuote?.mode === "exclusive" ? taxQuote.tax : 0;
+  const total =
+    Math.max(subtotal - discount, 0) + addedTax + (shipping?.cost || 0);
+
+  // the furthest step the shopper can be on with what is picked so far
+  const reachableStep = () => {
+    if (!hasAddress) return 0;
+    if (shippingMethods.length > 0 && !shipping) return 1;
+    return CHECKOUT_STEPS.length - 1;
+  };
+
+  //the shopper's address book, starting on the default shipping address
+  const getAddresses = async () => {
+    if (guest) return;
+    try {
+      const { data } = await axios.get("/api/v1/address/get-addresses");
+      if (data?.success) {
+        setAddresses(data.addresses);
+        if (!data.addresses.some((a) => a._id === checkout.shippingAddress)) {
+          const preferred =
+            data.addresses.find((a) => a.isDefaultShipping) || data.addresses[0];
+          setCheckout({ shippingAddress: preferred?._id || "" });
+        }
+      }
+    } catch (error) {
+      console.log(error);
+    }
+    setAddressesLoaded(true);
+  };
+  //regions shoppers can be taxed for and whether prices include tax
+  const getTaxOptions = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/tax/options");
+      if (data?.success) setTaxOptions(data);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  //get payment gateway token
+  const getToken = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/product/braintree/token");
+      setClientToken(data?.clientToken);
+      if (data?.provider === "fake") {
+        setFakePayments(true);
+        setInstance(fakePaymentInstance);
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  useEffect(() => {
+    getTaxOptions();
+  }, []);
+  useEffect(() => {
+    getAddresses();
+    getToken();
+    //eslint-disable-next-line
+  }, [auth?.token]);
+
+  //the automatic promotions the cart gets
+  const getPromotions = async () => {
+    if (!cart?.length) return;
+    try {
+      const { data } = await axios.post("/api/v1/promotion/cart", {
+        items: toCartItems(cart),
+      });
+      if (data?.success) setPromotions(data.promotions);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  //price the coupon brought from the cart; one that stopped applying is dropped
+  const getCoupon = async () => {
+    if (guest || !checkout.coupon || !cart?.length) {
+      setCoupon(null);
+      return;
+    }
+    try {
+      const { data } = await axios.post("/api/v1/coupon/preview", {
+        code: checkout.coupon,
+        items: toCartItems(cart),
+      });
+      setCoupon(data?.success ? data : null);
+    } catch (error) {
+      console.log(error);
+      setCoupon(null);
+      setCheckout({ coupon: "" });
+      toast.error(error?.response?.data?.message || "Could not apply the coupon");
+    }
+  };
+  //what each shipping method costs the cart; keeps the shopper's pick
+  //while it is still offered and picks the first method otherwise
+  const getShippingMethods = async () => {
+    if (!cart?.length) return;
+    try {
+      const { data } = await axios.post("/api/v1/shipping/quote", {
+        items: toCartItems(cart),
+        discount,
+      });
+      if (data?.success) {
+        setShippingMethods(data.methods);
+        if (!data.methods.some((m) => m._id === checkout.shippingMethod)) {
+          setCheckout({ shippingMethod: data.methods[0]?._id || "" });
+        }
+      }
+    } catch (error) {
+      console.log(error);
+    }
+    setShippingLoaded(true);
+  };
+  //the tax on the order, worked out by the same code the payment uses
+  const getTaxQuote = async () => {
+    if (!cart?.length) return;
+    try {
+      const { data } = await axios.post("/api/v1/tax/quote", {
+        items: toCartItems(cart),
+        region: taxRegion,
+        discount,
+      });
+      setTaxQuote(data?.success ? data : null);
+    } catch (error) {
+      console.log(error);
+      setTaxQuote(null);
+    }
+  };
+  const cartLines = (cart || [])
+    .map((item) => `${lineKey(item)}:${item.quantity}`)
+    .join(",");
+  useEffect(() => {
+    getPromotions();
+    getCoupon();
+    //eslint-disable-next-line
+  }, [cartLines, checkout.coupon, guest]);
+  useEffect(() => {
+    getShippingMethods();
+    //eslint-disable-next-line
+  }, [cartLines, discount]);
+  useEffect(() => {
+    getTaxQuote();
+    //eslint-disable-next-line
+  }, [cartLines, taxRegion, discount]);
+
+  //check the cart against current prices and stock; a changed cart goes
+  //back to the cart page for the shopper to look at
+  const revalidateCart = async () => {
+    try {
+      const { data } = await axios.post("/api/v1/cart/validate", {
+        items: toCartItems(cart),
+      });
+      if (!data?.success) return true;
+      const reviewed = reviewCart(cart, data.items);
+      if (reviewed.cart !== cart) setCart(reviewed.cart);
+      return reviewed.changes.length === 0;
+    } catch (error) {
+      console.log(error);
+      // the payment endpoint still charges current prices
+      return true;
+    }
+  };
+
+  //handle payments
+  const handlePayment = async () => {
+    try {
+      setLoading(true);
+      if (!(await revalidateCart())) {
+        setLoading(false);
+        toast.error("Your cart has changed, please review it before paying");
+        navigate("/cart");
+        return;
+      }
+      const { nonce } = await instance.requestPaymentMethod();
+      const key = checkoutKey.current;
+      const { data } = await retryWhilePending(() =>
+        axios.post(
+          guest
+            ? "/api/v1/product/braintree/guest-payment"
+            : "/api/v1/product/braintree/payment",
+          guest
+            ? {
+                nonce,
+                cart,
+                email: guestEmail.trim(),
+                address: guestAddress,
+                shippingMethod: shipping?._id,
+              }
+            : {
+                nonce,
+                cart,
+                coupon: coupon?.coupon.code,
+                region: selectedAddress ? undefined : taxRegion || undefined,
+                shippingMethod: shipping?._id,
+                shippingAddress: selectedAddress?._id,
+              },
+          { headers: { "Idempotency-Key": key } }
+        )
+      );
+      // a second click waited on the first, which has already finished
+      if (checkoutKey.current !== key) return;
+      checkoutKey.current = newCheckoutKey();
+      setLoading(false);
+      setCart([]);
+      clearCheckout();
+      // a guest needs the email again to look the order up or keep it
+      navigate(`/checkout/confirmation/${data?.order}`, {
+        replace: true,
+        state: guest ? { email: guestEmail.trim() } : undefined,
+      });
+      toast.success("Payment Completed Successfully ");
+    } catch (error) {
+      console.log(error);
+      // still being processed: the key is kept, so paying again picks up
+      // the result instead of charging twice
+      if (isPending(error)) {
+        setLoading(false);
+        toast("Your payment is still being processed, please check again in a moment");
+        return;
+      }
+      // without a reply the charge may have gone through, so keep the key
+      // and let a retry pick up the original result
+      if (error?.response) checkoutKey.current = newCheckoutKey();
+      // nothing is charged when the order is refused, so say why and price
+      // the coupon again in case it was the reason
+      if (error?.response?.status === 400) {
+        toast.error(error.response.data?.error || "Payment failed");
+        getCoupon();
+      } else {
+        toast.error("Payment failed");
+      }
+      setLoading(false);
+    }
+  };
+
+  if (stepIndex === -1) {
+    return <Navigate to="/checkout/address" replace />;
+  }
+  // a step can only be opened once the steps before it are done
+  if (
+    cart?.length > 0 &&
+    (guest || addressesLoaded) &&
+    shippingLoaded &&
+    stepIndex > reachableStep()
+  ) {
+    return <Navigate to={`/checkout/${CHECKOUT_STEPS[reachableStep()].key}`} replace />;
+  }
+
+  const backButton = stepIndex > 0 && (
+    <button
+      className="btn btn-outline-secondary me-2"
+      onClick={() => goTo(stepIndex - 1)}
+    >
+      Back
+    </button>
+  );
+  const continueButton = (enabled) => (
+    <button
+      className="btn btn-primary"
+      disabled={!enabled}
+      onClick={() => goTo(stepIndex + 1)}
+    >
+      Continue
+    </button>
+  );
+
+  return (
+    <Layout title={"Checkout"}>
+      <div className="container cart-page">
+        <h1 className="text-center bg-light p-2 mb-3">Checkout</h1>
+        <ol className="checkout-steps list-inline text-center">
+          {CHECKOUT_STEPS.map((s, index) => (
+            <li
+              key={s.key}
+              className={`list-inline-item ${index === stepIndex ? "fw-bold" : "text-muted"}`}
+              aria-current={index === stepIndex ? "step" : undefined}
+            >
+              {index + 1}. {s.label}
+            </li>
+          ))}
+        </ol>
+        {!cart?.length ? (
+          <div className="text-center">
+            <p>Your Cart Is Empty</p>
+            <button className="btn btn-outline-primary" onClick={() => navigate("/")}>
+              Continue Shopping
+            </button>
+          </div>
+        ) : (
+          <div className="row">
+            <div className="col-md-7">
+              {step === "address" && (
+                <div className="checkout-address">
+                  <h4>Ship To</h4>
+                  {guest ? (
+                    <div className="checkout-guest mb-3">
+                      <p>
+                        Checking out as a guest.{" "}
+                        <button
+                          className="btn btn-link p-0 align-baseline"
+                          onClick={() => navigate("/login", { state: "/checkout" })}
+                        >
+                          Login
+                        </button>{" "}
+                        to use your saved addresses.
+                      </p>
+                      <div className="mb-2">
+                        <label htmlFor="guest-email" className="form-label">
+                          Email
+                        </label>
+                        <input
+                          id="guest-email"
+                          type="email"
+                          className="form-control"
+                          value={guestEmail}
+                          onChange={(e) => setCheckout({ guestEmail: e.target.value })}
+                        />
+                      </div>
+                      {ADDRESS_FIELDS.map(({ key, label, placeholder }) => (
+                        <div className="mb-2" key={key}>
+                          <label htmlFor={`guest-${key}`} className="form-label">
+                            {label}
+                          </label>
+                          <input
+                            id={`guest-${key}`}
+                            type="text"
+                            className="form-control"
+                            placeholder={placeholder}
+                            value={guestAddress[key] || ""}
+                            onChange={(e) =>
+                              setCheckout({
+                                guestAddress: { ...guestAddress, [key]: e.target.value },
+                              })
+                            }
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  ) : addresses.length > 0 ? (
+                    <fieldset className="mb-3">
+                      <legend className="visually-hidden">Shipping address</legend>
+                      {addresses.map((a) => (
+                        <div className="form-check" key={a._id}>
+                          <input
+                            className="form-check-input"
+                            type="radio"
+                            name="shippingAddress"
+                            id={`address-${a._id}`}
+                            checked={checkout.shippingAddress === a._id}
+                            onChange={() => setCheckout({ shippingAddress: a._id })}
+                          />
+                          <label className="form-check-label" htmlFor={`address-${a._id}`}>
+                            {a.recipient}, {formatAddress(a)}
+                          </label>
+                        </div>
+                      ))}
+                    </fieldset>
+                  ) : auth?.user?.address ? (
+                    <div className="mb-3">
+                      <h5>{auth.user.address}</h5>
+                      {taxOptions.regions.length > 0 && (
+                        <select
+                          className="form-select"
+                          aria-label="Delivery region"
+                          value={checkout.region || ""}
+                          onChange={(e) => setCheckout({ region: e.target.value })}
+                        >
+                          <option value="">Select your region for tax</option>
+                          {taxOptions.regions.map((r) => (
+                            <option key={r} value={r}>
+                              {r}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  ) : (
+                    addressesLoaded && <p>Add an address to your profile to continue.</p>
+                  )}
+                  {!guest && (
+                    <button
+                      className="btn btn-outline-warning mb-3"
+                      onClick={() => navigate("/dashboard/user/profile")}
+                    >
+                      Manage Addresses
+                    </button>
+                  )}
+                  <div>{continueButton(hasAddress)}</div>
+                </div>
+              )}
+              {step === "shipping" && (
+                <div className="checkout-shipping">
+                  <h4>Shipping Method</h4>
+                  {shippingMethods.length > 0 ? (
+                    <fieldset className="mb-3">
+                      <legend className="visually-hidden">Shipping method</legend>
+                      {shippingMethods.map((method) => (
+                        <div className="form-check" key={method._id}>
+                          <input
+                            className="form-check-input"
+                            type="radio"
+                            name="shippingMethod"
+                            id={`shipping-${method._id}`}
+                            checked={checkout.shippingMethod === method._id}
+                            onChange={() => setCheckout({ shippingMethod: method._id })}
+                          />
+                          <label
+                            className="form-check-label"
+                            htmlFor={`shipping-${method._id}`}
+                          >
+                            {method.name} -{" "}
+                            {method.cost ? formatPrice(method.cost) : "Free"}
+                            {method.description && (
+                              <small className="text-muted d-block">
+                                {method.description}
+                              </small>
+                            )}
+                          </label>
+                        </div>
+                      ))}
+                    </fieldset>
+                  ) : (
+                    <p>No shipping method is needed for this order.</p>
+                  )}
+                  {backButton}
+                  {continueButton(shippingMethods.length === 0 || shipping)}
+                </div>
+              )}
+              {step === "review" && (
+                <div className="checkout-review">
+                  <h4>Review Your Order</h4>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th scope="col">Item</th>
+                        <th scope="col">Quantity</th>
+                        <th scope="col">Total</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {cart.map((p) => (
+                        <tr key={lineKey(p)}>
+                          <td>
+                            {p.variantName ? `${p.name} (${p.variantName})` : p.name}
+                          </td>
+                          <td>{p.quantity}</td>
+                          <td>{formatPrice(p.price * p.quantity)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p>
+                    Ship to:{" "}
+                    {guest
+                      ? `${guestAddress.recipient}, ${formatAddress(guestAddress)}`
+                      : selectedAddress
+                      ? `${selectedAddress.recipient}, ${formatAddress(selectedAddress)}`
+                      : auth?.user?.address}
+                  </p>
+                  {guest && <p>Order updates go to {guestEmail.trim()}</p>}
+                  {backButton}
+                  <button
+                    className="btn btn-outline-secondary me-2"
+                    onClick={() => navigate("/cart")}
+                  >
+                    Edit Cart
+                  </button>
+                  {continueButton(true)}
+                </div>
+              )}
+              {step === "payment" && (
+                <div className="checkout-payment">
+                  <h4>Payment</h4>
+                  {clientToken &&
+                    (fakePayments ? (
+                      <p>Test payments are on, no card details needed.</p>
+                    ) : (
+                      <DropIn
+                        options={{
+                          authorization: clientToken,
+                          paypal: {
+                            flow: "vault",
+                          },
+                        }}
+                        onInstance={(instance) => setInstance(instance)}
+                      />
+                    ))}
+                  {backButton}
+                  <button
+                    className="btn btn-primary"
+                    onClick={handlePayment}
+                    disabled={loading || !instance}
+                  >
+                    {loading ? "Processing ...." : "Make Payment"}
+                  </button>
+                </div>
+              )}
+            </div>
+            <div className="col-md-5 cart-summary">
+              <h2>Order Summary</h2>
+              <hr />
+              <div className="cart-discounts">
+                <p>Subtotal : {formatPrice(subtotal)}</p>
+                {promotions.map((promotion) => (
+                  <p key={promotion.promotion || promotion.name}>
+                    {promotion.name} : -{formatPrice(promotion.amount)}
+                  </p>
+                ))}
+                {coupon && (
+                  <p>
+                    Discount ({coupon.coupon.code}) : -{formatPrice(coupon.discount)}
+                  </p>
+                )}
+                {taxes.map((line) => (
+                  <p key={`${line.region}-${line.taxClass}`}>
+                    {taxQuote.mode === "inclusive" ? "Includes " : ""}
+                    {line.name} ({line.rate}%) : {formatPrice(line.amount)}
+                  </p>
+                ))}
+                {shipping && (
+                  <p>
+                    Shipping ({shipping.name}) :{" "}
+                    {shipping.cost ? formatPrice(shipping.cost) : "Free"}
+                  </p>
+                )}
+              </div>
+              <h4>Total : {formatPrice(total)}</h4>
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default CheckoutPage;
@@ -0,0 +1,762 @@
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import CheckoutPage from './CheckoutPage';
+
+// ─── Mocks ──────────────────────────────────────────────────────────────────
+
+jest.mock('axios');
+jest.mock('react-hot-toast');
+
+let mockAuth = { user: null, token: '' };
+jest.mock('../context/auth', () => ({
+  useAuth: jest.fn(() => [mockAuth, jest.fn()]),
+}));
+
+let mockCart = [];
+const mockSetCart = jest.fn();
+jest.mock('../context/cart', () => ({
+  useCart: jest.fn(() => [mockCart, mockSetCart]),
+}));
+
+jest.mock('../components/Layout', () => {
+  return ({ children, title }) => (
+    <div data-testid='layout' data-title={title}>
+      {children}
+    </div>
+  );
+});
+
+let mockDropInInstance = null;
+jest.mock('braintree-web-drop-in-react', () => {
+  const { useEffect } = require('react');
+  return function MockDropIn({ onInstance }) {
+    useEffect(() => {
+      if (mockDropInInstance) {
+        onInstance(mockDropInInstance);
+      }
+    }, [onInstance]);
+    return <div data-testid='braintree-dropin'>Mock DropIn</div>;
+  };
+});
+
+// ─── Test Data ──────────────────────────────────────────────────────────────
+
+const makeProduct = (id, overrides = {}) => ({
+  _id: `prod${id}`,
+  name: `Product ${id}`,
+  slug: `product-${id}`,
+  price: 29.99 + id,
+  stock: 10,
+  quantity: 1,
+  ...overrides,
+});
+
+const loggedInUser = {
+  user: { _id: 'user1', name: 'Test User', address: '123 Test Street' },
+  token: 'valid-token-123',
+};
+
+const loggedInUserNoAddress = {
+  user: { _id: 'user2', name: 'No Address User', address: '' },
+  token: 'valid-token-456',
+};
+
+const home = {
+  _id: 'addr1', recipient: 'Test User', line1: '1 Main St', city: 'Oakland', region: 'CA',
+  postalCode: '94601', country: 'US', isDefaultShipping: false,
+};
+const office = {
+  _id: 'addr2', recipient: 'Test User', line1: '9 Work Rd', city: 'Toronto', region: '',
+  postalCode: 'M5V', country: 'CA-ON', isDefaultShipping: true,
+};
+
+const methods = [
+  { _id: 'ship1', name: 'Standard', kind: 'standard', description: '3-5 business days', cost: 6 },
+  { _id: 'ship2', name: 'Express', kind: 'express', cost: 15 },
+  { _id: 'ship3', name: 'Store pickup', kind: 'pickup', cost: 0 },
+];
+
+const taxQuote = (overrides = {}) => ({
+  success: true,
+  mode: 'exclusive',
+  taxes: [{ name: 'CA sales tax', region: 'CA', taxClass: 'standard', rate: 10, taxable: 50, amount: 5 }],
+  tax: 5,
+  ...overrides,
+});
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const PAYMENT_URL = '/api/v1/product/braintree/payment';
+
+// answers each GET by url, falling back to an empty reply
+const mockGets = (replies = {}) =>
+  axios.get.mockImplementation((url) => {
+    if (url in replies) {
+      const reply = replies[url];
+      return reply instanceof Error ? Promise.reject(reply) : Promise.resolve({ data: reply });
+    }
+    if (url === '/api/v1/product/braintree/token') {
+      return Promise.resolve({ data: { clientToken: 'test-client-token' } });
+    }
+    return Promise.resolve({ data: {} });
+  });
+
+// answers each POST by url with a function of its body
+const mockPosts = (replies = {}) =>
+  axios.post.mockImplementation((url, body) =>
+    url in replies ? replies[url](body) : Promise.resolve({ data: { ok: true } }),
+  );
+
+const postCalls = (url) => axios.post.mock.calls.filter(([called]) => called === url);
+const paymentCalls = () => postCalls(PAYMENT_URL);
+
+const LocationDisplay = () => {
+  const { pathname, state } = useLocation();
+  return (
+    <>
+      <div data-testid='location'>{pathname}</div>
+      <div data-testid='location-state'>{JSON.stringify(state)}</div>
+    </>
+  );
+};
+
+const renderCheckout = async (path = '/checkout/payment') => {
+  let result;
+  await act(async () => {
+    result = render(
+      <MemoryRouter initialEntries={[path]}>
+        <Routes>
+          <Route path='/checkout' element={<CheckoutPage />} />
+          <Route path='/checkout/:step' element={<CheckoutPage />} />
+          <Route path='/checkout/confirmation/:orderId' element={<div>Confirmation Page</div>} />
+          <Route path='/cart' element={<div>Cart Page</div>} />
+          <Route path='/login' element={<div>Login Page</div>} />
+          <Route path='/dashboard/user/profile' element={<div>Profile Page</div>} />
+          <Route path='/' element={<div>Home Page</div>} />
+        </Routes>
+        <LocationDisplay />
+      </MemoryRouter>,
+    );
+  });
+  return result;
+};
+
+const location = () => screen.getByTestId('location').textContent;
+
+describe('CheckoutPage', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sessionStorage.clear();
+    mockAuth = loggedInUser;
+    mockCart = [makeProduct(1, { price: 20, quantity: 2 }), makeProduct(2, { price: 10 })];
+    mockDropInInstance = null;
+    mockGets();
+    mockPosts();
+  });
+
+  describe('Steps', () => {
+    it('starts on the address step', async () => {
+      await renderCheckout('/checkout');
+
+      expect(location()).toBe('/checkout/address');
+      expect(screen.getByRole('listitem', { current: 'step' })).toHaveTextContent('1. Address');
+    });
+
+    it('sends an unknown step back to the address step', async () => {
+      await renderCheckout('/checkout/somewhere');
+
+      expect(location()).toBe('/checkout/address');
+    });
+
+    it('moves forward and back through the steps', async () => {
+      mockPosts({ '/api/v1/shipping/quote': () => Promise.resolve({ data: { success: true, methods } }) });
+      await renderCheckout('/checkout/address');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+      expect(location()).toBe('/checkout/shipping');
+      expect(screen.getByText('Shipping Method')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+      expect(location()).toBe('/checkout/review');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+      expect(location()).toBe('/checkout/payment');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Back' }));
+      expect(location()).toBe('/checkout/review');
+    });
+
+    it('keeps what was picked when the page is reloaded', async () => {
+      mockPosts({ '/api/v1/shipping/quote': () => Promise.resolve({ data: { success: true, methods } }) });
+      const first = await renderCheckout('/checkout/shipping');
+      fireEvent.click(screen.getByRole('radio', { name: /Express/ }));
+      first.unmount();
+
+      await renderCheckout('/checkout/shipping');
+
+      expect(screen.getByRole('radio', { name: /Express/ })).toBeChecked();
+      expect(screen.getByText('Shipping (Express) : $15.00')).toBeInTheDocument();
+    });
+
+    it('goes back to the address step until there is an address', async () => {
+      mockAuth = loggedInUserNoAddress;
+      await renderCheckout('/checkout/payment');
+
+      expect(location()).toBe('/checkout/address');
+      expect(screen.getByText('Add an address to your profile to continue.')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Continue' })).toBeDisabled();
+    });
+
+    it('says when the cart is empty', async () => {
+      mockCart = [];
+      await renderCheckout('/checkout/review');
+
+      expect(screen.getByText('Your Cart Is Empty')).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: 'Continue Shopping' }));
+      expect(location()).toBe('/');
+    });
+  });
+
+  describe('Address', () => {
+    const withBook = (addresses = [home, office]) =>
+      mockGets({
+        '/api/v1/address/get-addresses': { success: true, addresses },
+        '/api/v1/tax/options': { success: true, regions: ['CA', 'NY'], classes: ['standard'], mode: 'exclusive' },
+      });
+
+    it('lists the saved addresses and starts on the default shipping address', async () => {
+      withBook();
+      await renderCheckout('/checkout/address');
+
+      expect(screen.getByRole('radio', { name: 'Test User, 9 Work Rd, Toronto M5V, CA-ON' })).toBeChecked();
+      expect(screen.getByRole('radio', { name: 'Test User, 1 Main St, Oakland CA 94601, US' })).not.toBeChecked();
+      expect(screen.queryByRole('combobox', { name: 'Delivery region' })).not.toBeInTheDocument();
+    });
+
+    it('taxes for the chosen address', async () => {
+      withBook();
+      await renderCheckout('/checkout/address');
+
+      expect(postCalls('/api/v1/tax/quote').at(-1)[1]).toEqual(expect.objectContaining({ region: 'CA-ON' }));
+
+      await act(async () => {
+        fireEvent.click(screen.getByRole('radio', { name: /1 Main St/ }));
+      });
+
+      expect(postCalls('/api/v1/tax/quote').at(-1)[1]).toEqual(expect.objectContaining({ region: 'CA' }));
+    });
+
+    it('lets a shopper with a saved address but no profile address continue', async () => {
+      mockAuth = loggedInUserNoAddress;
+      withBook([home]);
+      await renderCheckout('/checkout/address');
+
+      expect(screen.getByRole('radio', { name: /1 Main St/ })).toBeChecked();
+      expect(screen.getByRole('button', { name: 'Continue' })).toBeEnabled();
+    });
+
+    it('falls back to the profile address and asks for the tax region', async () => {
+      withBook([]);
+      await renderCheckout('/checkout/address');
+
+      expect(screen.getByText('123 Test Street')).toBeInTheDocument();
+      await act(async () => {
+        fireEvent.change(screen.getByRole('combobox', { name: 'Delivery region' }), { target: { value: 'NY' } });
+      });
+
+      expect(postCalls('/api/v1/tax/quote').at(-1)[1]).toEqual(expect.objectContaining({ region: 'NY' }));
+    });
+
+    it('links to the profile to manage the addresses', async () => {
+      withBook();
+      await renderCheckout('/checkout/address');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Manage Addresses' }));
+
+      expect(location()).toBe('/dashboard/user/profile');
+    });
+  });
+
+  describe('Guest', () => {
+    const shipTo = {
+      recipient: 'Gus Guest', line1: '1 Main St', city: 'Oakland', region: 'CA', postalCode: '94601', country: 'US',
+    };
+    const fillIn = async (values) => {
+      for (const [label, value] of Object.entries(values)) {
+        await act(async () => {
+          fireEvent.change(screen.getByLabelText(label), { target: { value } });
+        });
+      }
+    };
+
+    beforeEach(() => {
+      mockAuth = { user: null, token: '' };
+    });
+
+    it('asks for an email and an address instead of the address book', async () => {
+      await renderCheckout('/checkout/address');
+
+      expect(screen.getByText(/Checking out as a guest/)).toBeInTheDocument();
+      expect(axios.get).not.toHaveBeenCalledWith('/api/v1/address/get-addresses');
+      expect(screen.queryByRole('button', { name: 'Manage Addresses' })).not.toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Continue' })).toBeDisabled();
+
+      await fillIn({
+        Email: 'gus@example.com', Recipient: 'Gus Guest', 'Address line 1': '1 Main St', City: 'Oakland',
+        'State / region code': 'CA', 'Postal code': '94601', Country: 'US',
+      });
+
+      expect(screen.getByRole('button', { name: 'Continue' })).toBeEnabled();
+      expect(postCalls('/api/v1/tax/quote').at(-1)[1]).toEqual(expect.objectContaining({ region: 'CA' }));
+    });
+
+    it('holds the order until the email looks like one', async () => {
+      sessionStorage.setItem('checkout', JSON.stringify({ guestEmail: 'gus', guestAddress: shipTo }));
+      await renderCheckout('/checkout/payment');
+
+      expect(location()).toBe('/checkout/address');
+      expect(screen.getByRole('button', { name: 'Continue' })).toBeDisabled();
+    });
+
+    it('sends a signed-out shopper to login and back', async () => {
+      await renderCheckout('/checkout/address');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Login' }));
+
+      expect(location()).toBe('/login');
+    });
+
+    it('pays through the guest checkout and passes the email to the confirmation', async () => {
+      mockDropInInstance = { requestPaymentMethod: jest.fn().mockResolvedValue({ nonce: 'guest-nonce' }) };
+      sessionStorage.setItem(
+        'checkout',
+        JSON.stringify({ guestEmail: ' gus@example.com ', guestAddress: shipTo, coupon: 'SAVE10' }),
+      );
+      mockPosts({
+        '/api/v1/product/braintree/guest-payment': () => Promise.resolve({ data: { ok: true, order: 'order123' } }),
+      });
+      await renderCheckout('/checkout/review');
+      expect(screen.getByText('Ship to: Gus Guest, 1 Main St, Oakland CA 94601, US')).toBeInTheDocument();
+      expect(screen.getByText('Order updates go to gus@example.com')).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+
+      await act(async () => {
+        fireEvent.click(screen.getByRole('button', { name: /Make Payment/i }));
+      });
+
+      expect(postCalls('/api/v1/coupon/preview')).toHaveLength(0);
+      expect(paymentCalls()).toHaveLength(0);
+      expect(postCalls('/api/v1/product/braintree/guest-payment')[0][1]).toEqual({
+        nonce: 'guest-nonce',
+        cart: mockCart,
+        email: 'gus@example.com',
+        address: shipTo,
+      });
+      expect(location()).toBe('/checkout/confirmation/order123');
+      expect(screen.getByTestId('location-state')).toHaveTextContent('{"email":"gus@example.com"}');
+    });
+  });
+
+  describe('Shipping', () => {
+    const shippingQuote = (reply = () => Promise.resolve({ data: { success: true, methods } })) =>
+      mockPosts({ '/api/v1/shipping/quote': reply });
+
+    it('lists the methods with their cost and picks the first', async () => {
+      shippingQuote();
+      await renderCheckout('/checkout/shipping');
+
+      expect(postCalls('/api/v1/shipping/quote')[0][1]).toEqual({
+        items: [
+          { productId: 'prod1', quantity: 2 },
+          { productId: 'prod2', quantity: 1 },
+        ],
+        discount: 0,
+      });
+      expect(screen.getByRole('radio', { name: /Standard - \$6\.00/ })).toBeChecked();
+      expect(screen.getByText('3-5 business days')).toBeInTheDocument();
+      expect(screen.getByRole('radio', { name: /Store pickup - Free/ })).toBeInTheDocument();
+      expect(screen.getByText('Shipping (Standard) : $6.00')).toBeInTheDocument();
+      expect(screen.getByText('Total : $56.00')).toBeInTheDocument();
+    });
+
+    it('adds the cost of the method the shopper picks', async () => {
+      shippingQuote();
+      await renderCheckout('/checkout/shipping');
+
+      fireEvent.click(screen.getByRole('radio', { name: /Express/ }));
+
+      expect(screen.getByText('Shipping (Express) : $15.00')).toBeInTheDocument();
+      expect(screen.getByText('Total : $65.00')).toBeInTheDocument();
+    });
+
+    it('says when no shipping is needed', async () => {
+      shippingQuote(() => Promise.resolve({ data: { success: true, methods: [] } }));
+      await renderCheckout('/checkout/shipping');
+
+      expect(screen.getByText('No shipping method is needed for this order.')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Continue' })).toBeEnabled();
+    });
+  });
+
+  describe('Review', () => {
+    it('lists the items, discounts, tax and total', async () => {
+      sessionStorage.setItem('checkout', JSON.stringify({ coupon: 'SAVE10' }));
+      mockPosts({
+        '/api/v1/coupon/preview': () =>
+          Promise.resolve({ data: { success: true, coupon: { code: 'SAVE10' }, discount: 10 } }),
+        '/api/v1/promotion/cart': () =>
+          Promise.resolve({ data: { success: true, promotions: [{ promotion: 'p1', name: 'Deal', amount: 5 }] } }),
+        '/api/v1/tax/quote': () => Promise.resolve({ data: taxQuote({ tax: 3.5 }) }),
+      });
+      await renderCheckout('/checkout/review');
+
+      expect(screen.getByRole('row', { name: 'Product 1 2 $40.00' })).toBeInTheDocument();
+      expect(screen.getByRole('row', { name: 'Product 2 1 $10.00' })).toBeInTheDocument();
+      expect(screen.getByText('Ship to: 123 Test Street')).toBeInTheDocument();
+      expect(screen.getByText('Subtotal : $50.00')).toBeInTheDocument();
+      expect(screen.getByText('Deal : -$5.00')).toBeInTheDocument();
+      expect(screen.getByText('Discount (SAVE10) : -$10.00')).toBeInTheDocument();
+      expect(postCalls('/api/v1/tax/quote').at(-1)[1]).toEqual(expect.objectContaining({ discount: 15 }));
+      expect(screen.getByText('Total : $38.50')).toBeInTheDocument();
+    });
+
+    it('names the variant of each line', async () => {
+      mockCart = [
+        makeProduct(1, { price: 20, variant: 'v1', variantName: 'S' }),
+        makeProduct(1, { price: 25, variant: 'v2', variantName: 'L' }),
+      ];
+      await renderCheckout('/checkout/review');
+
+      expect(screen.getByRole('row', { name: 'Product 1 (S) 1 $20.00' })).toBeInTheDocument();
+      expect(screen.getByRole('row', { name: 'Product 1 (L) 1 $25.00' })).toBeInTheDocument();
+    });
+
+    it('shows included tax without adding it to the total', async () => {
+      mockPosts({
+        '/api/v1/tax/quote': () => Promise.resolve({ data: taxQuote({ mode: 'inclusive', tax: 4.55 }) }),
+      });
+      await renderCheckout('/checkout/review');
+
+      expect(screen.getByText(/Includes CA sales tax \(10%\)/)).toBeInTheDocument();
+      expect(screen.getByText('Total : $50.00')).toBeInTheDocument();
+    });
+
+    it('drops a coupon that no longer applies and says why', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      sessionStorage.setItem('checkout', JSON.stringify({ coupon: 'OLD' }));
+      mockPosts({
+        '/api/v1/coupon/preview': () =>
+          Promise.reject({ response: { status: 400, data: { message: 'Coupon has expired' } } }),
+      });
+      await renderCheckout('/checkout/review');
+
+      expect(toast.error).toHaveBeenCalledWith('Coupon has expired');
+      expect(screen.queryByText(/Discount/)).not.toBeInTheDocument();
+      expect(JSON.parse(sessionStorage.getItem('checkout'))).toEqual({ coupon: '' });
+      consoleSpy.mockRestore();
+    });
+
+    it('goes back to the cart to change it', async () => {
+      await renderCheckout('/checkout/review');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Edit Cart' }));
+
+      expect(location()).toBe('/cart');
+    });
+  });
+
+  describe('Payment', () => {
+    beforeEach(() => {
+      mockDropInInstance = {
+        requestPaymentMethod: jest.fn().mockResolvedValue({ nonce: 'test-nonce-123' }),
+      };
+    });
+
+    it('fetches the braintree token and renders the DropIn', async () => {
+      await renderCheckout();
+
+      expect(axios.get).toHaveBeenCalledWith('/api/v1/product/braintree/token');
+      expect(screen.getByTestId('braintree-dropin')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: /Make Payment/i })).toBeEnabled();
+    });
+
+    it('skips the DropIn and pays with the fake nonce when the server uses the fake provider', async () => {
+      mockDropInInstance = null;
+      mockGets({ '/api/v1/product/braintree/token': { clientToken: 'fake-client-token', provider: 'fake' } });
+      await renderCheckout();
+
+      expect(screen.getByText(/Test payments are on/)).toBeInTheDocument();
+      expect(screen.queryByTestId('braintree-dropin')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: /Make Payment/i }));
+
+      await waitFor(() => expect(paymentCalls()).toHaveLength(1));
+      expect(paymentCalls()[0][1]).toEqual({ nonce: 'fake-valid-nonce', cart: mockCart });
+    });
+
+    it('keeps the payment disabled until the DropIn is ready', async () => {
+      mockDropInInstance = null;
+      await renderCheckout();
+
+      expect(screen.getByRole('button', { name: /Make Payment/i })).toBeDisabled();
+    });
+
+    it('handles a braintree token fetch failure gracefully', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockGets({ '/api/v1/product/braintree/token': new Error('Token fetch failed') });
+      await renderCheckout();
+
+      expect(consoleSpy).toHaveBeenCalled();
+      expect(screen.queryByTestId('braintree-dropin')).not.toBeInTheDocument();
+      expect(screen.getByText('Order Summary')).toBeInTheDocument();
+      consoleSpy.mockRestore();
+    });
+
+    it('sends the picks made along the way with the payment', async () => {
+      sessionStorage.setItem('checkout', JSON.stringify({ coupon: 'SAVE10', shippingMethod: 'ship3' }));
+      mockGets({ '/api/v1/address/get-addresses': { success: true, addresses: [home, office] } });
+      mockPosts({
+        '/api/v1/coupon/preview': () =>
+          Promise.resolve({ data: { success: true, coupon: { code: 'SAVE10' }, discount: 10 } }),
+        '/api/v1/shipping/quote': () => Promise.resolve({ data: { success: true, methods } }),
+        [PAYMENT_URL]: () => Promise.resolve({ data: { ok: true, order: 'order123' } }),
+      });
+      await renderCheckout();
+
+      fireEvent.click(screen.getByRole('button', { name: /Make Payment/i }));
+
+      await waitFor(() => expect(paymentCalls()).toHaveLength(1));
+      expect(paymentCalls()[0][1]).toEqual({
+        nonce: 'test-nonce-123',
+        cart: mockCart,
+        coupon: 'SAVE10',
+        shippingMethod: 'ship3',
+        shippingAddress: 'addr2',
+      });
+      expect(paymentCalls()[0][2]).toEqual({ headers: { 'Idempotency-Key': expect.any(String) } });
+    });
+
+    it('sends the tax region when there is no saved address', async () => {
+      sessionStorage.setItem('checkout', JSON.stringify({ region: 'CA' }));
+      await renderCheckout();
+
+      fireEvent.click(screen.getByRole('button', { name: /Make Payment/i }));
+
+      await waitFor(() => expect(paymentCalls()).toHaveLength(1));
+      expect(paymentCalls()[0][1]).toEqual({ nonce: 'test-nonce-123', cart: mockCart, region: 'CA' });
+    });
+
+    it('clears the cart and the checkout and shows the confirmation', async () => {
+      sessionStorage.setItem('checkout', JSON.stringify({ region: 'CA' }));
+      mockPosts({ [PAYMENT_URL]: () => Promise.resolve({ data: { ok: true, order: 'order123' } }) });
+      await renderCheckout();
+
+      await act(async () => {
+        fireEvent.click(screen.getByRole('button', { name: /Make Payment/i }));
+      });
+
+      expect(mockSetCart).toHaveBeenCalledWith([]);
+      expect(sessionStorage.getItem('checkout')).toBeNull();
+      expect(location()).toBe('/checkout/confirmation/order123');
+      expect(screen.getByText('Confirmation Page')).toBeInTheDocument();
+      expect(toast.success).toHaveBeenCalledWith('Payment Completed Successfully ');
+    });
+
+    it('does not pay when the cart changed and sends the shopper back to it', async () => {
+      mockPosts({
+        '/api/v1/cart/validate': () =>
+          Promise.resolve({
+            data: {
+              success: true,
+              items: mockCart.map((p) => ({
+                productId: p._id, exists: true, name: p.name, slug: p.slug, price: p.price + 5, stock: p.stock,
+              })),
+            },
+          }),
+      });
+      await renderCheckout();
+
+      await act(async () => {
+        fireEvent.click(screen.getByRole('button', { name: /Make Payment/i }));
+      });
+
+      expect(toast.error).toHaveBeenCalledWith('Your cart has changed, please review it before paying');
+      expect(mockDropInInstance.requestPaymentMethod).not.toHaveBeenCalled();
+      expect(paymentCalls()).toHaveLength(0);
+      expect(mockSetCart).toHaveBeenCalledWith([expect.objectContaining({ price: 25 }), expect.objectContaining({ price: 15 })]);
+      expect(location()).toBe('/cart');
+    });
+
+    const sentKeys = () => paymentCalls().map(([, , config]) => config.headers['Idempotency-Key']);
+
+    it('sends the same idempotency key when Make Payment is clicked twice quickly', async () => {
+      await renderCheckout();
+      const button = screen.getByRole('button', { name: /Make Payment/i });
+
+      await act(async () => {
+        fireEvent.click(button);
+        fireEvent.click(button);
+      });
+
+      await waitFor(() => expect(paymentCalls()).toHaveLength(2));
+      const [first, second] = sentKeys();
+      expect(first).toBeTruthy();
+      expect(second).toBe(first);
+    });
+
+    const pendingReply = () =>
+      Promise.reject({
+        response: { status: 409, data: { error: 'This checkout is already being processed', inProgress: true } },
+      });
+
+    it('asks again with the same key while the checkout is being processed and completes on the replay', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      let calls = 0;
+      mockPosts({
+        [PAYMENT_URL]: () => (++calls < 3 ? pendingReply() : Promise.resolve({ data: { success: true, order: 'order-1' } })),
+      });
+      await renderCheckout();
+      jest.useFakeTimers();
+
+      fireEvent.click(screen.getByRole('button', { name: /Make Payment/i }));
+
+      // the retries wait two seconds apart
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Payment Completed Successfully '), {
+        timeout: 10000,
+      });
+      jest.useRealTimers();
+      expect(paymentCalls()).toHaveLength(3);
+      expect(new Set(sentKeys()).size).toBe(1);
+      expect(toast.error).not.toHaveBeenCalled();
+      expect(location()).toBe('/checkout/confirmation/order-1');
+      consoleSpy.mockRestore();
+    });
+
+    it('frees the button and keeps the key when the checkout is still being processed', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockPosts({ [PAYMENT_URL]: pendingReply });
+      await renderCheckout();
+      const button = screen.getByRole('button', { name: /Make Payment/i });
+      jest.useFakeTimers();
+
+      fireEvent.click(button);
+
+      await waitFor(
+        () => expect(toast).toHaveBeenCalledWith('Your payment is still being processed, please check again in a moment'),
+        { timeout: 10000 },
+      );
+      jest.useRealTimers();
+      expect(toast.error).not.toHaveBeenCalled();
+      await waitFor(() => expect(button).toBeEnabled());
+      expect(paymentCalls()).toHaveLength(4);
+
+      mockPosts({ [PAYMENT_URL]: () => Promise.resolve({ data: { success: true, order: 'order-1' } }) });
+      fireEvent.click(button);
+      await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Payment Completed Successfully '));
+      expect(paymentCalls()).toHaveLength(5);
+      expect(new Set(sentKeys()).size).toBe(1);
+      consoleSpy.mockRestore();
+    });
+
+    it('keeps the key for a retry when the request got no reply', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockPosts({ [PAYMENT_URL]: () => Promise.reject(new Error('Network Error')) });
+      await renderCheckout();
+      const button = screen.getByRole('button', { name: /Make Payment/i });
+
+      fireEvent.click(button);
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith('Payment failed'));
+      await waitFor(() => expect(button).toBeEnabled());
+      fireEvent.click(button);
+
+      await waitFor(() => expect(paymentCalls()).toHaveLength(2));
+      const [first, second] = sentKeys();
+      expect(second).toBe(first);
+      consoleSpy.mockRestore();
+    });
+
+    it('starts a new key after the server rejects the payment', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockPosts({ [PAYMENT_URL]: () => Promise.reject({ response: { status: 409, data: { error: 'out of stock' } } }) });
+      await renderCheckout();
+      const button = screen.getByRole('button', { name: /Make Payment/i });
+
+      fireEvent.click(button);
+      await waitFor(() => expect(toast.error).toHaveBeenCalledWith('Payment failed'));
+      await waitFor(() => expect(button).toBeEnabled());
+      fireEvent.click(button);
+
+      await waitFor(() => expect(paymentCalls()).toHaveLength(2));
+      const [first, second] = sentKeys();
+      expect(second).not.toBe(first);
+      consoleSpy.mockRestore();
+    });
+
+    it('says why the order was refused and prices the coupon again', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      sessionStorage.setItem('checkout', JSON.stringify({ coupon: 'SAVE10' }));
+      let couponStillApplies = true;
+      mockPosts({
+        '/api/v1/coupon/preview': () =>
+          couponStillApplies
+            ? Promise.resolve({ data: { success: true, coupon: { code: 'SAVE10' }, discount: 10 } })
+            : Promise.reject({ response: { status: 400, data: { message: 'Coupon has reached its usage limit' } } }),
+        [PAYMENT_URL]: () => {
+          couponStillApplies = false;
+          return Promise.reject({ response: { status: 400, data: { error: 'Coupon has reached its usage limit' } } });
+        },
+      });
+      await renderCheckout();
+      expect(screen.getByText('Discount (SAVE10) : -$10.00')).toBeInTheDocument();
+
+      await act(async () => {
+        fireEvent.click(screen.getByRole('button', { name: /Make Payment/i }));
+      });
+
+      expect(toast.error).toHaveBeenCalledWith('Coupon has reached its usage limit');
+      expect(screen.queryByText(/Discount/)).not.toBeInTheDocument();
+      expect(location()).toBe('/checkout/payment');
+      consoleSpy.mockRestore();
+    });
+
+    it("shows 'Processing ....' while payment is in progress", async () => {
+      let resolvePayment;
+      mockPosts({
+        [PAYMENT_URL]: () =>
+          new Promise((resolve) => {
+            resolvePayment = resolve;
+          }),
+      });
+      await renderCheckout();
+
+      await act(async () => {
+        fireEvent.click(screen.getByRole('button', { name: /Make Payment/i }));
+      });
+
+      expect(screen.getByRole('button', { name: 'Processing ....' })).toBeDisabled();
+
+      await act(async () => {
+        resolvePayment({ data: { ok: true, order: 'order123' } });
+      });
+    });
+
+    it('keeps the cart and the step when the payment method fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockDropInInstance.requestPaymentMethod.mockRejectedValue(new Error('Payment Failed'));
+      await renderCheckout();
+
+      await act(async () => {
+        fireEvent.click(screen.getByRole('button', { name: /Make Payment/i }));
+      });
+
+      expect(toast.error).toHaveBeenCalledWith('Payment failed');
+      expect(mockSetCart).not.toHaveBeenCalled();
+      expect(location()).toBe('/checkout/payment');
+      expect(screen.getByRole('button', { name: /Make Payment/i })).toBeEnabled();
+      consoleSpy.mockRestore();
+    });
+  });
+});
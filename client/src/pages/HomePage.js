@@ -2,15 +2,22 @@ import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { Checkbox, Radio } from "antd";
 import { Prices } from "../components/Prices";
-import { useCart } from "../context/cart";
+import useAddToCart from "../hooks/useAddToCart";
+import { hasVariants } from "../helpers/variantHelper";
+import { productPhotoUrl } from "../helpers/imageHelper";
 import axios from "axios";
-import toast from "react-hot-toast";
 import Layout from "./../components/Layout";
+import StarRating from "../components/StarRating";
+import WishlistButton from "../components/WishlistButton";
 import "../styles/Homepages.css";
 
+// the product list newest first, or best rated first
+const productListUrl = (page, sort) =>
+  `/api/v1/product/product-list/${page}${sort === "rating" ? "?sort=rating" : ""}`;
+
 const HomePage = () => {
   const navigate = useNavigate();
-  const [cart, setCart] = useCart();
+  const handleAddToCart = useAddToCart();
   const [products, setProducts] = useState([]);
   const [categories, setCategories] = useState([]);
   const [checked, setChecked] = useState([]);
@@ -18,6 +25,7 @@ const HomePage = () => {
   const [total, setTotal] = useState(0);
   const [page, setPage] = useState(1);
   const [loading, setLoading] = useState(false);
+  const [sort, setSort] = useState("newest");
 
   //get all cat
   const getAllCategory = async () => {
@@ -36,10 +44,10 @@ const HomePage = () => {
     getTotal();
   }, []);
   //get products
-  const getAllProducts = async () => {
+  const getAllProducts = async (listPage = page, listSort = sort) => {
     try {
       setLoading(true);
-      const { data } = await axios.get(`/api/v1/product/product-list/${page}`);
+      const { data } = await axios.get(productListUrl(listPage, listSort));
       setLoading(false);
       setProducts(data.products);
     } catch (error) {
@@ -66,7 +74,7 @@ const HomePage = () => {
   const loadMore = async () => {
     try {
       setLoading(true);
-      const { data } = await axios.get(`/api/v1/product/product-list/${page}`);
+      const { data } = await axios.get(productListUrl(page, sort));
       setLoading(false);
       setProducts([...products, ...data?.products]);
     } catch (error) {
@@ -75,6 +83,13 @@ const HomePage = () => {
     }
   };
 
+  // a new order starts the list again from the first page
+  const handleSort = (value) => {
+    setSort(value);
+    setPage(1);
+    getAllProducts(1, value);
+  };
+
   // filter by cat
   const handleFilter = (value, id) => {
     let all = [...checked];
@@ -150,11 +165,27 @@ const HomePage = () => {
         </div>
         <div className="col-md-9 ">
           <h1 className="text-center">All Products</h1>
+          {!checked.length && !radio.length && (
+            <div className="d-flex justify-content-end align-items-center m-2">
+              <label htmlFor="product-sort" className="me-2">
+                Sort by
+              </label>
+              <select
+                id="product-sort"
+                className="form-select w-auto"
+                value={sort}
+                onChange={(e) => handleSort(e.target.value)}
+              >
+                <option value="newest">Newest</option>
+                <option value="rating">Top Rated</option>
+              </select>
+            </div>
+          )}
           <div className="d-flex flex-wrap">
             {products?.map((p) => (
               <div className="card m-2" key={p._id}>
                 <img
-                  src={`/api/v1/product/product-photo/${p._id}`}
+                  src={productPhotoUrl(p._id, "thumbnail", p.updatedAt)}
                   className="card-img-top"
                   alt={p.name}
                 />
@@ -168,6 +199,7 @@ const HomePage = () => {
                       })}
                     </h5>
                   </div>
+                  <StarRating value={p.ratingAverage} count={p.ratingCount || 0} />
                   <p className="card-text ">
                     {p.description.substring(0, 60)}...
                   </p>
@@ -178,19 +210,22 @@ const HomePage = () => {
                     >
                       More Details
                     </button>
-                    <button
-                      className="btn btn-dark ms-1"
-                      onClick={() => {
-                        setCart([...cart, p]);
-                        localStorage.setItem(
-                          "cart",
-                          JSON.stringify([...cart, p])
-                        );
-                        toast.success("Item Added to cart");
-                      }}
-                    >
-                      ADD TO CART
-                    </button>
+                    {hasVariants(p) ? (
+                      <button
+                        className="btn btn-dark ms-1"
+                        onClick={() => navigate(`/product/${p.slug}`)}
+                      >
+                        CHOOSE OPTIONS
+                      </button>
+                    ) : (
+                      <button
+                        className="btn btn-dark ms-1"
+                        onClick={() => handleAddToCart(p)}
+                      >
+                        ADD TO CART
+                      </button>
+                    )}
+                    <WishlistButton product={p} />
                   </div>
                 </div>
               </div>
@@ -5,6 +5,7 @@ import axios from 'axios';
 import toast from 'react-hot-toast';
 import { MemoryRouter, Routes, Route } from 'react-router-dom';
 import HomePage from './HomePage';
+import { toCartLine } from '../helpers/cartHelper';
 import { Prices } from '../components/Prices';
 
 // ─── Mocks ──────────────────────────────────────────────────────────────────
@@ -46,6 +47,11 @@ jest.mock('../components/Layout', () => {
   );
 });
 
+// The wishlist button talks to its own context; its tests cover it
+jest.mock('../components/WishlistButton', () => ({ product }) => (
+  <span data-testid='wishlist-button' data-product={product._id} />
+));
+
 // Mock antd components to avoid jsdom rendering issues
 jest.mock('antd', () => {
   const React = require('react');
@@ -339,7 +345,7 @@ describe('HomePage – Unit Tests', () => {
       await waitFor(() => {
         sampleProducts.forEach((p) => {
           const img = screen.getByAltText(p.name);
-          expect(img).toHaveAttribute('src', `/api/v1/product/product-photo/${p._id}`);
+          expect(img).toHaveAttribute('src', `/api/v1/product/product-photo/${p._id}?size=thumbnail`);
         });
       });
     });
@@ -546,17 +552,17 @@ describe('HomePage – Unit Tests', () => {
       fireEvent.click(addBtns[0]);
 
       // setCart called with new array including the product
-      expect(mockSetCart).toHaveBeenCalledWith(expect.arrayContaining([sampleProducts[0]]));
+      expect(mockSetCart).toHaveBeenCalledWith(expect.arrayContaining([toCartLine(sampleProducts[0])]));
 
-      // localStorage updated
-      expect(window.localStorage.setItem).toHaveBeenCalledWith('cart', expect.any(String));
+      // persisting the cart is left to CartProvider
+      expect(window.localStorage.setItem).not.toHaveBeenCalledWith('cart', expect.anything());
 
       // toast shown
       expect(toast.success).toHaveBeenCalledWith('Item Added to cart');
     });
 
     it('preserves existing cart items when adding a new product', async () => {
-      const existingItem = makeProduct(99);
+      const existingItem = toCartLine(makeProduct(99));
       mockCart = [existingItem];
 
       setupDefaultAxiosMocks();
@@ -569,10 +575,7 @@ describe('HomePage – Unit Tests', () => {
       const addBtns = screen.getAllByText('ADD TO CART');
       fireEvent.click(addBtns[0]);
 
-      expect(mockSetCart).toHaveBeenCalledWith([existingItem, sampleProducts[0]]);
-
-      const storedValue = JSON.parse(window.localStorage.setItem.mock.calls[0][1]);
-      expect(storedValue).toHaveLength(2);
+      expect(mockSetCart).toHaveBeenCalledWith([existingItem, toCartLine(sampleProducts[0])]);
     });
   });
 
@@ -1092,6 +1095,93 @@ describe('HomePage – Unit Tests', () => {
       expect(getProductListCalls.length).toBe(0);
     });
   });
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // 17. RATINGS AND SORTING
+  // ═══════════════════════════════════════════════════════════════════════════
+  describe('Ratings and sorting', () => {
+    it('shows the average rating on reviewed product cards only', async () => {
+      setupDefaultAxiosMocks({
+        productList: {
+          data: {
+            success: true,
+            products: [makeProduct(1, { ratingAverage: 4.5, ratingCount: 8 }), makeProduct(2)],
+          },
+        },
+      });
+      await renderHomePage();
+
+      expect(screen.getByText('4.5 (8)')).toBeInTheDocument();
+      expect(screen.getAllByRole('img', { name: /out of 5 stars/ })).toHaveLength(1);
+    });
+
+    it('lists the best rated products first when asked, from the first page', async () => {
+      setupDefaultAxiosMocks({
+        productListPage2: { data: { success: true, products: [makeProduct(9, { name: 'Top Pick' })] } },
+      });
+      await renderHomePage();
+
+      await act(async () => {
+        fireEvent.change(screen.getByLabelText('Sort by'), { target: { value: 'rating' } });
+      });
+
+      expect(axios.get).toHaveBeenLastCalledWith('/api/v1/product/product-list/1?sort=rating');
+      expect(screen.getByText('Top Pick')).toBeInTheDocument();
+      expect(screen.queryByText('Product 1')).not.toBeInTheDocument();
+    });
+
+    it('keeps the chosen order when loading more', async () => {
+      setupDefaultAxiosMocks();
+      await renderHomePage();
+
+      await act(async () => {
+        fireEvent.change(screen.getByLabelText('Sort by'), { target: { value: 'rating' } });
+      });
+      await act(async () => {
+        fireEvent.click(screen.getByRole('button', { name: /loadmore/i }));
+      });
+
+      expect(axios.get).toHaveBeenLastCalledWith('/api/v1/product/product-list/2?sort=rating');
+    });
+
+    it('hides the sort order while filters are applied', async () => {
+      setupDefaultAxiosMocks();
+      await renderHomePage();
+
+      await act(async () => {
+        fireEvent.click(screen.getByLabelText('Electronics'));
+      });
+
+      expect(screen.queryByLabelText('Sort by')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Wishlist', () => {
+    it('offers a wishlist button on every product card', async () => {
+      setupDefaultAxiosMocks();
+      await renderHomePage();
+
+      const buttons = screen.getAllByTestId('wishlist-button');
+      expect(buttons.length).toBeGreaterThan(0);
+      expect(buttons[0]).toHaveAttribute('data-product', 'prod1');
+    });
+  });
+
+  describe('Variants', () => {
+    it('sends a product sold in variants to its page to choose options', async () => {
+      const tee = { ...sampleProducts[0], variants: [{ _id: 'v1', options: [] }] };
+      setupDefaultAxiosMocks({
+        productList: { data: { success: true, products: [tee, sampleProducts[1]] } },
+      });
+      await renderHomePage();
+
+      fireEvent.click(await screen.findByRole('button', { name: 'CHOOSE OPTIONS' }));
+
+      expect(mockNavigate).toHaveBeenCalledWith(`/product/${tee.slug}`);
+      expect(mockSetCart).not.toHaveBeenCalled();
+      expect(screen.getAllByRole('button', { name: 'ADD TO CART' })).toHaveLength(1);
+    });
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1246,7 +1336,7 @@ describe('HomePage – Integration Tests', () => {
   });
   // Lee Seng Kitt, A0252087A
   describe('Cart interaction with product data', () => {
-    it('stores full product object in cart via context and localStorage', async () => {
+    it('stores full product object in cart via context', async () => {
       setupDefaultAxiosMocks();
       await renderHomePage();
 
@@ -1257,10 +1347,9 @@ describe('HomePage – Integration Tests', () => {
       const addBtns = screen.getAllByText('ADD TO CART');
       fireEvent.click(addBtns[1]); // add second product
 
-      expect(mockSetCart).toHaveBeenCalledWith([sampleProducts[1]]);
+      expect(mockSetCart).toHaveBeenCalledWith([toCartLine(sampleProducts[1])]);
 
-      const storedJSON = window.localStorage.setItem.mock.calls[0][1];
-      const storedCart = JSON.parse(storedJSON);
+      const storedCart = mockSetCart.mock.calls[0][0];
       expect(storedCart[0]._id).toBe(sampleProducts[1]._id);
       expect(storedCart[0].name).toBe(sampleProducts[1].name);
       expect(storedCart[0].price).toBe(sampleProducts[1].price);
@@ -1276,7 +1365,7 @@ describe('HomePage – Integration Tests', () => {
 
       // Add first product
       fireEvent.click(screen.getAllByText('ADD TO CART')[0]);
-      expect(mockSetCart).toHaveBeenCalledWith([sampleProducts[0]]);
+      expect(mockSetCart).toHaveBeenCalledWith([toCartLine(sampleProducts[0])]);
       expect(toast.success).toHaveBeenCalledWith('Item Added to cart');
 
       // Add second product (cart is still [] from the component's perspective
@@ -1284,7 +1373,7 @@ describe('HomePage – Integration Tests', () => {
       // This documents that the component uses spread of current cart closure.
       fireEvent.click(screen.getAllByText('ADD TO CART')[1]);
       // Second call also starts from the same cart state (empty array from mock)
-      expect(mockSetCart).toHaveBeenNthCalledWith(2, [sampleProducts[1]]);
+      expect(mockSetCart).toHaveBeenNthCalledWith(2, [toCartLine(sampleProducts[1])]);
       // Toast called twice
       expect(toast.success).toHaveBeenCalledTimes(2);
     });
@@ -1416,8 +1505,8 @@ describe('HomePage – Integration Tests', () => {
  *    This is not testable in unit tests and bypasses React state management.
  *    A proper implementation would reset checked/radio state and re-fetch.
  *
- * 7. localStorage.setItem NOT WRAPPED IN TRY-CATCH:
- *    If localStorage is full or disabled, the ADD TO CART handler will throw.
+ * 7. FIXED: the ADD TO CART handler no longer writes localStorage itself;
+ *    CartProvider persists the cart.
  *
  * 8. NO DEBOUNCING ON FILTER CHANGES:
  *    Rapid checkbox/radio clicks each trigger a new API call without
@@ -0,0 +1,58 @@
+import React from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import Layout from "./../components/Layout";
+
+const OrderConfirmation = () => {
+  const { orderId } = useParams();
+  const navigate = useNavigate();
+  // guest checkouts pass on the email the order was placed with
+  const guestEmail = useLocation().state?.email;
+
+  return (
+    <Layout title={"Order Confirmed"}>
+      <div className="container text-center p-5">
+        <h1>Thank you for your order!</h1>
+        <p className="lead">
+          Your order number is <strong>{orderId}</strong>
+        </p>
+        <p>We will let you know when it is on its way.</p>
+        {guestEmail ? (
+          <>
+            <p>
+              Keep your order number: with it and {guestEmail} you can look up
+              this order at any time, or create an account to keep it there.
+            </p>
+            <button
+              className="btn btn-primary me-2"
+              onClick={() =>
+                navigate("/register", { state: { guestOrder: orderId, email: guestEmail } })
+              }
+            >
+              Create an Account
+            </button>
+            <button
+              className="btn btn-outline-primary me-2"
+              onClick={() =>
+                navigate("/order-lookup", { state: { orderId, email: guestEmail } })
+              }
+            >
+              Look Up Your Order
+            </button>
+          </>
+        ) : (
+          <button
+            className="btn btn-primary me-2"
+            onClick={() => navigate("/dashboard/user/orders")}
+          >
+            View Your Orders
+          </button>
+        )}
+        <button className="btn btn-outline-secondary" onClick={() => navigate("/")}>
+          Continue Shopping
+        </button>
+      </div>
+    </Layout>
+  );
+};
+
+export default OrderConfirmation;
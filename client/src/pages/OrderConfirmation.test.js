@@ -0,0 +1,85 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { MemoryRouter, Routes, Route, useLocation } from "react-router-dom";
+import "@testing-library/jest-dom/extend-expect";
+import OrderConfirmation from "./OrderConfirmation";
+
+jest.mock("../components/Layout", () => ({ children, title }) => (
+  <div data-testid="layout" data-title={title}>
+    {children}
+  </div>
+));
+
+const StateDisplay = () => <div data-testid="state">{JSON.stringify(useLocation().state)}</div>;
+
+const renderConfirmation = (state) =>
+  render(
+    <MemoryRouter initialEntries={[{ pathname: "/checkout/confirmation/order123", state }]}>
+      <Routes>
+        <Route path="/checkout/confirmation/:orderId" element={<OrderConfirmation />} />
+        <Route path="/dashboard/user/orders" element={<div>Orders Page</div>} />
+        <Route path="/register" element={<StateDisplay />} />
+        <Route path="/order-lookup" element={<StateDisplay />} />
+        <Route path="/" element={<div>Home Page</div>} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe("OrderConfirmation", () => {
+  it("thanks the shopper and shows the order number", () => {
+    renderConfirmation();
+
+    expect(screen.getByTestId("layout")).toHaveAttribute("data-title", "Order Confirmed");
+    expect(screen.getByText("Thank you for your order!")).toBeInTheDocument();
+    expect(screen.getByText("order123")).toBeInTheDocument();
+  });
+
+  it("links to the orders", () => {
+    renderConfirmation();
+
+    fireEvent.click(screen.getByRole("button", { name: "View Your Orders" }));
+
+    expect(screen.getByText("Orders Page")).toBeInTheDocument();
+  });
+
+  it("goes back to the shop", () => {
+    renderConfirmation();
+
+    fireEvent.click(screen.getByRole("button", { name: "Continue Shopping" }));
+
+    expect(screen.getByText("Home Page")).toBeInTheDocument();
+  });
+
+  describe("after a guest checkout", () => {
+    const guest = { email: "gus@example.com" };
+
+    it("offers an account and the order lookup instead of the orders page", () => {
+      renderConfirmation(guest);
+
+      expect(screen.getByText(/with it and gus@example.com you can look up/)).toBeInTheDocument();
+      expect(screen.queryByRole("button", { name: "View Your Orders" })).not.toBeInTheDocument();
+    });
+
+    it("takes the order and email to the registration", () => {
+      renderConfirmation(guest);
+
+      fireEvent.click(screen.getByRole("button", { name: "Create an Account" }));
+
+      expect(JSON.parse(screen.getByTestId("state").textContent)).toEqual({
+        guestOrder: "order123",
+        email: "gus@example.com",
+      });
+    });
+
+    it("takes the order and email to the lookup", () => {
+      renderConfirmation(guest);
+
+      fireEvent.click(screen.getByRole("button", { name: "Look Up Your Order" }));
+
+      expect(JSON.parse(screen.getByTestId("state").textContent)).toEqual({
+        orderId: "order123",
+        email: "gus@example.com",
+      });
+    });
+  });
+});
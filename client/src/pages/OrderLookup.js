@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import Layout from "./../components/Layout";
+import { formatAddress } from "../components/AddressBook";
+
+const formatPrice = (value) =>
+  (value || 0).toLocaleString("en-US", {
+    style: "currency",
+    currency: "USD",
+  });
+
+const OrderLookup = () => {
+  const { state } = useLocation();
+  const navigate = useNavigate();
+  const [orderId, setOrderId] = useState(state?.orderId || "");
+  const [email, setEmail] = useState(state?.email || "");
+  const [order, setOrder] = useState(null);
+
+  //find a guest order by its number and email
+  const lookUp = async (id, address) => {
+    try {
+      const { data } = await axios.post("/api/v1/order/guest-lookup", {
+        orderId: id.trim(),
+        email: address.trim(),
+      });
+      if (data?.success) {
+        setOrder(data.order);
+      }
+    } catch (error) {
+      console.log(error);
+      setOrder(null);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  // coming from the order confirmation, the details are already known
+  useEffect(() => {
+    if (state?.orderId && state?.email) lookUp(state.orderId, state.email);
+    //eslint-disable-next-line
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    lookUp(orderId, email);
+  };
+
+  return (
+    <Layout title={"Find an Order"}>
+      <div className="container p-3">
+        <div className="row">
+          <div className="col-md-4">
+            <form onSubmit={handleSubmit}>
+              <h4 className="title">FIND AN ORDER</h4>
+              <div className="mb-2">
+                <label htmlFor="lookup-order" className="form-label">
+                  Order number
+                </label>
+                <input
+                  id="lookup-order"
+                  type="text"
+                  className="form-control"
+                  value={orderId}
+                  onChange={(e) => setOrderId(e.target.value)}
+                />
+              </div>
+              <div className="mb-3">
+                <label htmlFor="lookup-email" className="form-label">
+                  Email
+                </label>
+                <input
+                  id="lookup-email"
+                  type="email"
+                  className="form-control"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+              </div>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={!orderId.trim() || !email.trim()}
+              >
+                Find Order
+              </button>
+            </form>
+          </div>
+          {order && (
+            <div className="col-md-8" data-testid="guest-order">
+              <h4>Order {order._id}</h4>
+              <p>
+                Status: {order.status} · Placed {moment(order.createdAt).fromNow()}
+              </p>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th scope="col">Item</th>
+                    <th scope="col">Quantity</th>
+                    <th scope="col">Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {order.products?.map((item) => (
+                    <tr key={item.product}>
+                      <td>{item.name}</td>
+                      <td>{item.quantity}</td>
+                      <td>{formatPrice(item.total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {order.shippingAddress && (
+                <p>
+                  Ship to: {order.shippingAddress.recipient},{" "}
+                  {formatAddress(order.shippingAddress)}
+                </p>
+              )}
+              <h5>Total : {formatPrice(order.total)}</h5>
+              {order.buyer ? (
+                <p>This order is kept in an account, login to see it with your orders.</p>
+              ) : (
+                <button
+                  className="btn btn-outline-primary mt-2"
+                  onClick={() =>
+                    navigate("/register", {
+                      state: { guestOrder: order._id, email: email.trim() },
+                    })
+                  }
+                >
+                  Create an Account
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default OrderLookup;
@@ -0,0 +1,132 @@
+import React from "react";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import { MemoryRouter, Routes, Route, useLocation } from "react-router-dom";
+import "@testing-library/jest-dom/extend-expect";
+import axios from "axios";
+import toast from "react-hot-toast";
+import OrderLookup from "./OrderLookup";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
+
+jest.mock("../components/Layout", () => ({ children, title }) => (
+  <div data-testid="layout" data-title={title}>
+    {children}
+  </div>
+));
+
+const guestOrder = {
+  _id: "order123",
+  status: "Not Process",
+  createdAt: new Date().toISOString(),
+  products: [{ product: "prod1", name: "Widget", price: 12.5, quantity: 2, total: 25 }],
+  shippingAddress: {
+    recipient: "Gus Guest",
+    line1: "1 Main St",
+    city: "Oakland",
+    region: "CA",
+    postalCode: "94601",
+    country: "US",
+  },
+  total: 25,
+};
+
+const StateDisplay = () => <div data-testid="state">{JSON.stringify(useLocation().state)}</div>;
+
+const renderLookup = async (state) => {
+  await act(async () => {
+    render(
+      <MemoryRouter initialEntries={[{ pathname: "/order-lookup", state }]}>
+        <Routes>
+          <Route path="/order-lookup" element={<OrderLookup />} />
+          <Route path="/register" element={<StateDisplay />} />
+        </Routes>
+      </MemoryRouter>
+    );
+  });
+};
+
+const findOrder = async (orderId, email) => {
+  fireEvent.change(screen.getByLabelText("Order number"), { target: { value: orderId } });
+  fireEvent.change(screen.getByLabelText("Email"), { target: { value: email } });
+  await act(async () => {
+    fireEvent.click(screen.getByRole("button", { name: "Find Order" }));
+  });
+};
+
+describe("OrderLookup", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("asks for both the order number and the email", async () => {
+    await renderLookup();
+
+    expect(screen.getByRole("button", { name: "Find Order" })).toBeDisabled();
+    fireEvent.change(screen.getByLabelText("Order number"), { target: { value: "order123" } });
+    expect(screen.getByRole("button", { name: "Find Order" })).toBeDisabled();
+  });
+
+  it("shows the order found by its number and email", async () => {
+    axios.post.mockResolvedValueOnce({ data: { success: true, order: guestOrder } });
+    await renderLookup();
+
+    await findOrder(" order123 ", " gus@example.com ");
+
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/order/guest-lookup", {
+      orderId: "order123",
+      email: "gus@example.com",
+    });
+    expect(screen.getByText("Order order123")).toBeInTheDocument();
+    expect(screen.getByRole("row", { name: "Widget 2 $25.00" })).toBeInTheDocument();
+    expect(screen.getByText("Ship to: Gus Guest, 1 Main St, Oakland CA 94601, US")).toBeInTheDocument();
+    expect(screen.getByText("Total : $25.00")).toBeInTheDocument();
+  });
+
+  it("says when no order matches", async () => {
+    axios.post.mockRejectedValueOnce({
+      response: { status: 404, data: { success: false, message: "Order not found" } },
+    });
+    await renderLookup();
+
+    await findOrder("order123", "someone@example.com");
+
+    expect(toast.error).toHaveBeenCalledWith("Order not found");
+    expect(screen.queryByTestId("guest-order")).not.toBeInTheDocument();
+  });
+
+  it("looks the order up straight away when coming from the confirmation", async () => {
+    axios.post.mockResolvedValueOnce({ data: { success: true, order: guestOrder } });
+    await renderLookup({ orderId: "order123", email: "gus@example.com" });
+
+    expect(screen.getByLabelText("Order number")).toHaveValue("order123");
+    expect(screen.getByText("Order order123")).toBeInTheDocument();
+  });
+
+  it("offers to keep a guest order in a new account", async () => {
+    axios.post.mockResolvedValueOnce({ data: { success: true, order: guestOrder } });
+    await renderLookup({ orderId: "order123", email: "gus@example.com" });
+
+    fireEvent.click(screen.getByRole("button", { name: "Create an Account" }));
+
+    expect(JSON.parse(screen.getByTestId("state").textContent)).toEqual({
+      guestOrder: "order123",
+      email: "gus@example.com",
+    });
+  });
+
+  it("points to the account when the order already belongs to one", async () => {
+    axios.post.mockResolvedValueOnce({
+      data: { success: true, order: { ...guestOrder, buyer: "user1" } },
+    });
+    await renderLookup({ orderId: "order123", email: "gus@example.com" });
+
+    expect(screen.queryByRole("button", { name: "Create an Account" })).not.toBeInTheDocument();
+    expect(screen.getByText(/login to see it with your orders/)).toBeInTheDocument();
+  });
+});
@@ -2,17 +2,43 @@ import React, { useState, useEffect } from "react";
 import Layout from "./../components/Layout";
 import axios from "axios";
 import { useParams, useNavigate } from "react-router-dom";
-import { useCart } from "../context/cart";
-import toast from "react-hot-toast";
+import useAddToCart from "../hooks/useAddToCart";
+import {
+  hasVariants,
+  matchVariant,
+  unitPrice,
+  valueInStock,
+} from "../helpers/variantHelper";
+import {
+  galleryImageUrl,
+  imageAlt,
+  productPhotoUrl,
+  variantPhotoUrl,
+} from "../helpers/imageHelper";
+import ProductReviews from "../components/ProductReviews";
+import ProductQuestions from "../components/ProductQuestions";
+import StarRating from "../components/StarRating";
+import WishlistButton from "../components/WishlistButton";
 import "../styles/ProductDetailsStyles.css";
 
 const ProductDetails = () => {
   const params = useParams();
   const navigate = useNavigate();
-  const [cart, setCart] = useCart();
+  const handleAddToCart = useAddToCart();
   const [product, setProduct] = useState({});
+  const [selected, setSelected] = useState({});
+  const [shown, setShown] = useState(0);
   const [relatedProducts, setRelatedProducts] = useState([]);
 
+  // the variant picked with the option selects, once every option is picked
+  const variant = matchVariant(product, selected);
+  const needsOptions = hasVariants(product);
+  const soldOut = needsOptions
+    ? Boolean(variant) && !(variant.quantity > 0)
+    : product?.outOfStock;
+  const images = product?.images || [];
+  const image = images[shown] || images[0];
+
   //initial details
   useEffect(() => {
     if (params?.slug) getProduct();
@@ -24,6 +50,8 @@ const ProductDetails = () => {
         `/api/v1/product/get-product/${params.slug}`
       );
       setProduct(data?.product);
+      setSelected({});
+      setShown(0);
       getSimilarProduct(data?.product._id, data?.product.category._id);
     } catch (error) {
       console.log(error);
@@ -45,42 +73,108 @@ const ProductDetails = () => {
       <div className="row container product-details">
         <div className="col-md-6">
           <img
-            src={`/api/v1/product/product-photo/${product._id}`}
+            src={
+              variant?.photo?.contentType
+                ? variantPhotoUrl(product._id, variant._id, product.updatedAt)
+                : image
+                ? galleryImageUrl(product._id, image._id, "medium")
+                : productPhotoUrl(product._id, "medium", product.updatedAt)
+            }
             className="card-img-top"
-            alt={product.name}
+            alt={variant?.photo?.contentType ? product.name : imageAlt(image, product)}
             height="300"
             width={"350px"}
           />
+          {images.length > 1 && (
+            <div className="d-flex flex-wrap gap-2 mt-2 product-gallery">
+              {images.map((img, i) => (
+                <button
+                  type="button"
+                  key={img._id}
+                  className={`btn p-0 border ${
+                    img === image ? "border-primary" : "border-light"
+                  }`}
+                  aria-label={`Show image ${i + 1}`}
+                  aria-pressed={img === image}
+                  onClick={() => setShown(i)}
+                >
+                  <img
+                    src={galleryImageUrl(product._id, img._id, "thumbnail")}
+                    alt=""
+                    height="60"
+                    width="60"
+                  />
+                </button>
+              ))}
+            </div>
+          )}
         </div>
         <div className="col-md-6 product-details-info">
           <h1 className="text-center">Product Details</h1>
           <hr />
           <h6>Name : {product.name}</h6>
+          <StarRating
+            value={product.ratingAverage}
+            count={product.ratingCount || 0}
+          />
           <h6>Description : {product.description}</h6>
           <h6>
             Price :
-            {product?.price?.toLocaleString("en-US", {
+            {unitPrice(product, variant)?.toLocaleString("en-US", {
               style: "currency",
               currency: "USD",
             })}
           </h6>
           <h6>Category : {product?.category?.name}</h6>
+          {product?.options?.map((option) => (
+            <div className="mb-2 product-option" key={option.name}>
+              <label className="form-label" htmlFor={`option-${option.name}`}>
+                {option.name}
+              </label>
+              <select
+                id={`option-${option.name}`}
+                className="form-select"
+                value={selected[option.name] || ""}
+                onChange={(e) =>
+                  setSelected({ ...selected, [option.name]: e.target.value })
+                }
+              >
+                <option value="">Choose {option.name}</option>
+                {option.values.map((value) => (
+                  <option key={value} value={value}>
+                    {valueInStock(product, selected, option.name, value)
+                      ? value
+                      : `${value} (out of stock)`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+          {variant && <h6>SKU : {variant.sku}</h6>}
+          {needsOptions && !variant && product.options?.every((o) => selected[o.name]) && (
+            <h6 className="text-danger">This combination is not available</h6>
+          )}
+          {soldOut && <h6 className="text-danger">Out of Stock</h6>}
           <button
             className="btn btn-secondary ms-1"
-            onClick={() => {
-              setCart([...cart, product]);
-              localStorage.setItem(
-                "cart",
-                JSON.stringify([...cart, product])
-              );
-              toast.success("Item Added to cart");
-            }}
+            disabled={soldOut || (needsOptions && !variant)}
+            onClick={() => handleAddToCart(product, variant)}
           >
             ADD TO CART
           </button>
+          {product?._id && <WishlistButton product={product} />}
         </div>
       </div>
       <hr />
+      {product?._id && (
+        <ProductReviews
+          product={product}
+          onRating={(rating) => setProduct({ ...product, ...rating })}
+        />
+      )}
+      <hr />
+      {product?._id && <ProductQuestions product={product} />}
+      <hr />
       <div className="row container similar-products">
         <h4>Similar Products ➡️</h4>
         {relatedProducts.length < 1 && (
@@ -90,7 +184,7 @@ const ProductDetails = () => {
           {relatedProducts?.map((p) => (
             <div className="card m-2" key={p._id}>
               <img
-                src={`/api/v1/product/product-photo/${p._id}`}
+                src={productPhotoUrl(p._id, "thumbnail", p.updatedAt)}
                 className="card-img-top"
                 alt={p.name}
               />
@@ -104,6 +198,7 @@ const ProductDetails = () => {
                     })}
                   </h5>
                 </div>
+                <StarRating value={p.ratingAverage} count={p.ratingCount || 0} />
                 <p className="card-text ">
                   {p.description.substring(0, 60)}...
                 </p>
@@ -114,19 +209,22 @@ const ProductDetails = () => {
                   >
                     More Details
                   </button>
-                  <button
-                  className="btn btn-dark ms-1"
-                  onClick={() => {
-                    setCart([...cart, p]);
-                    localStorage.setItem(
-                      "cart",
-                      JSON.stringify([...cart, p])
-                    );
-                    toast.success("Item Added to cart");
-                  }}
-                >
-                  ADD TO CART
-                </button>
+                  {hasVariants(p) ? (
+                    <button
+                      className="btn btn-dark ms-1"
+                      onClick={() => navigate(`/product/${p.slug}`)}
+                    >
+                      CHOOSE OPTIONS
+                    </button>
+                  ) : (
+                    <button
+                      className="btn btn-dark ms-1"
+                      onClick={() => handleAddToCart(p)}
+                    >
+                      ADD TO CART
+                    </button>
+                  )}
+                  <WishlistButton product={p} />
                 </div>
               </div>
             </div>
@@ -5,6 +5,8 @@ import { MemoryRouter, Routes, Route } from "react-router-dom";
 import "@testing-library/jest-dom/extend-expect";
 import toast from "react-hot-toast";
 import ProductDetails from "./ProductDetails";
+import { toCartLine } from "../helpers/cartHelper";
+import { useCart } from "../context/cart";
 
 var mockNavigate = jest.fn();
 jest.mock("axios");
@@ -27,6 +29,20 @@ jest.mock("../context/search", () => ({
 
 jest.mock("../components/Layout", () => ({ children }) => <div>{children}</div>);
 jest.mock("../styles/ProductDetailsStyles.css", () => ({}));
+// the reviews and questions fetch their own data; their own tests cover them
+jest.mock("../components/ProductQuestions", () => ({ product }) => (
+  <div data-testid="product-questions" data-product={product._id} />
+));
+jest.mock("../components/WishlistButton", () => ({ product }) => (
+  <span data-testid="wishlist-button" data-product={product._id} />
+));
+jest.mock("../components/ProductReviews", () => ({ product, onRating }) => (
+  <div data-testid="product-reviews" data-product={product._id}>
+    <button onClick={() => onRating({ ratingAverage: 4, ratingCount: 3 })}>
+      Rate
+    </button>
+  </div>
+));
 
 Object.defineProperty(window, "localStorage", {
   value: {
@@ -108,6 +124,7 @@ describe("ProductDetails", () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    useCart.mockImplementation(() => [[], mockSetCart]);
   });
 
   describe("Rendering after data fetch", () => {
@@ -148,7 +165,7 @@ describe("ProductDetails", () => {
       const img = screen.getByAltText("Test Product");
       expect(img).toHaveAttribute(
         "src",
-        "/api/v1/product/product-photo/1"
+        "/api/v1/product/product-photo/1?size=medium"
       );
     });
   });
@@ -277,10 +294,43 @@ describe("ProductDetails", () => {
       const addToCartButtons = screen.getAllByText("ADD TO CART");
       fireEvent.click(addToCartButtons[0]);
 
-      expect(mockSetCart).toHaveBeenCalledWith([mockProduct]);
+      expect(mockSetCart).toHaveBeenCalledWith([toCartLine(mockProduct)]);
     });
 
-    it("calls localStorage.setItem with cart key and serialised cart", async () => {
+    it("adds another unit when the product is already in the cart", async () => {
+      useCart.mockReturnValue([[toCartLine(mockProduct, 2)], mockSetCart]);
+      axios.get
+        .mockResolvedValueOnce({ data: { product: mockProduct } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+
+      renderWithRouter();
+
+      await waitFor(() => {
+        expect(screen.getByText(/Test Product/)).toBeInTheDocument();
+      });
+      fireEvent.click(screen.getAllByText("ADD TO CART")[0]);
+
+      expect(mockSetCart).toHaveBeenCalledWith([toCartLine(mockProduct, 3)]);
+    });
+
+    it("refuses to add past the stock and says so", async () => {
+      useCart.mockReturnValue([[toCartLine(mockProduct, 10)], mockSetCart]);
+      axios.get
+        .mockResolvedValueOnce({ data: { product: mockProduct } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+
+      renderWithRouter();
+
+      await waitFor(() => {
+        expect(screen.getByText(/Test Product/)).toBeInTheDocument();
+      });
+      fireEvent.click(screen.getAllByText("ADD TO CART")[0]);
+
+      expect(mockSetCart).not.toHaveBeenCalled();
+      expect(toast.error).toHaveBeenCalledWith("No more stock available");
+    });
+
+    it("leaves persisting the cart to CartProvider", async () => {
       axios.get
         .mockResolvedValueOnce({ data: { product: mockProduct } })
         .mockResolvedValueOnce({ data: { products: [] } });
@@ -297,9 +347,9 @@ describe("ProductDetails", () => {
       const addToCartButtons = screen.getAllByText("ADD TO CART");
       fireEvent.click(addToCartButtons[0]);
 
-      expect(window.localStorage.setItem).toHaveBeenCalledWith(
+      expect(window.localStorage.setItem).not.toHaveBeenCalledWith(
         "cart",
-        JSON.stringify([mockProduct])
+        expect.anything()
       );
     });
 
@@ -322,6 +372,189 @@ describe("ProductDetails", () => {
 
       expect(toast.success).toHaveBeenCalledWith("Item Added to cart");
     });
+
+    it("shows Out of Stock and disables ADD TO CART when the product is flagged", async () => {
+      axios.get
+        .mockResolvedValueOnce({
+          data: { product: { ...mockProduct, quantity: 0, outOfStock: true } },
+        })
+        .mockResolvedValueOnce({ data: { products: [] } });
+
+      renderWithRouter();
+
+      expect(await screen.findByText("Out of Stock")).toBeInTheDocument();
+      const [mainButton] = screen.getAllByText("ADD TO CART");
+      expect(mainButton).toBeDisabled();
+
+      fireEvent.click(mainButton);
+      expect(mockSetCart).not.toHaveBeenCalled();
+    });
+
+    it("does not show Out of Stock for an in-stock product", async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { product: { ...mockProduct, outOfStock: false } } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+
+      renderWithRouter();
+
+      await waitFor(() => {
+        expect(screen.getByText("No Similar Products found")).toBeInTheDocument();
+      });
+      expect(screen.queryByText("Out of Stock")).not.toBeInTheDocument();
+      expect(screen.getAllByText("ADD TO CART")[0]).not.toBeDisabled();
+    });
+  });
+
+  describe("Variants", () => {
+    const small = {
+      _id: "v1",
+      sku: "TEE-S",
+      options: [{ name: "Size", value: "S" }],
+      quantity: 0,
+    };
+    const large = {
+      _id: "v2",
+      sku: "TEE-L",
+      options: [{ name: "Size", value: "L" }],
+      price: 34.5,
+      quantity: 4,
+      photo: { contentType: "image/png" },
+    };
+    const tee = {
+      ...mockProduct,
+      options: [{ name: "Size", values: ["S", "L"] }],
+      variants: [small, large],
+    };
+
+    const renderTee = async (related = []) => {
+      axios.get
+        .mockResolvedValueOnce({ data: { product: tee } })
+        .mockResolvedValueOnce({ data: { products: related } });
+      renderWithRouter();
+      return screen.findByLabelText("Size");
+    };
+
+    it("asks for the options before adding to the cart", async () => {
+      await renderTee();
+
+      expect(screen.getByRole("option", { name: "S (out of stock)" })).toBeInTheDocument();
+      expect(screen.getByRole("option", { name: "L" })).toBeInTheDocument();
+      expect(screen.getAllByText("ADD TO CART")[0]).toBeDisabled();
+    });
+
+    it("shows the chosen variant's price, SKU and photo and adds it to the cart", async () => {
+      const select = await renderTee();
+
+      fireEvent.change(select, { target: { value: "L" } });
+
+      expect(screen.getByText(/\$34\.50/)).toBeInTheDocument();
+      expect(screen.getByText("SKU : TEE-L")).toBeInTheDocument();
+      expect(screen.getByAltText("Test Product")).toHaveAttribute(
+        "src",
+        "/api/v1/product/variant-photo/1/v2"
+      );
+      fireEvent.click(screen.getAllByText("ADD TO CART")[0]);
+      expect(mockSetCart).toHaveBeenCalledWith([toCartLine(tee, 1, large)]);
+    });
+
+    it("shows a sold out variant as out of stock", async () => {
+      const select = await renderTee();
+
+      fireEvent.change(select, { target: { value: "S" } });
+
+      expect(screen.getByText("Out of Stock")).toBeInTheDocument();
+      expect(screen.getAllByText("ADD TO CART")[0]).toBeDisabled();
+      expect(screen.getByAltText("Test Product")).toHaveAttribute(
+        "src",
+        "/api/v1/product/product-photo/1?size=medium"
+      );
+    });
+
+    it("sends a similar product with variants to its page to choose options", async () => {
+      await renderTee([{ ...mockRelatedProducts[0], variants: [small] }]);
+
+      fireEvent.click(await screen.findByText("CHOOSE OPTIONS"));
+
+      expect(mockNavigate).toHaveBeenCalledWith("/product/related-product-1");
+    });
+  });
+
+  describe("Image gallery", () => {
+    const gallery = {
+      ...mockProduct,
+      images: [
+        { _id: "i1", alt: "Front of the lamp" },
+        { _id: "i2", alt: "" },
+      ],
+    };
+
+    const renderGallery = async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { product: gallery } })
+        .mockResolvedValueOnce({ data: { products: mockRelatedProducts } });
+      renderWithRouter();
+      return screen.findByAltText("Front of the lamp");
+    };
+
+    it("shows the first image at medium size with its alt text", async () => {
+      const main = await renderGallery();
+
+      expect(main).toHaveAttribute("src", "/api/v1/product/product-image/1/i1?size=medium");
+      expect(screen.getByRole("button", { name: "Show image 1" })).toHaveAttribute(
+        "aria-pressed",
+        "true"
+      );
+    });
+
+    it("switches the main image with the thumbnails", async () => {
+      await renderGallery();
+      const thumbnail = screen.getByRole("button", { name: "Show image 2" });
+      expect(thumbnail.querySelector("img")).toHaveAttribute(
+        "src",
+        "/api/v1/product/product-image/1/i2?size=thumbnail"
+      );
+
+      fireEvent.click(thumbnail);
+
+      // an image without alt text is described by the product's name
+      expect(screen.getByAltText("Test Product")).toHaveAttribute(
+        "src",
+        "/api/v1/product/product-image/1/i2?size=medium"
+      );
+      expect(thumbnail).toHaveAttribute("aria-pressed", "true");
+    });
+
+    it("versions the product's photos by its last update", async () => {
+      const updatedAt = "2024-05-01T08:00:00.000Z";
+      axios.get
+        .mockResolvedValueOnce({ data: { product: { ...mockProduct, updatedAt } } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+      renderWithRouter();
+
+      expect(await screen.findByAltText("Test Product")).toHaveAttribute(
+        "src",
+        `/api/v1/product/product-photo/1?size=medium&v=${new Date(updatedAt).getTime()}`
+      );
+    });
+
+    it("shows no thumbnails for a single image", async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { product: { ...gallery, images: [gallery.images[0]] } } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+      renderWithRouter();
+
+      await screen.findByAltText("Front of the lamp");
+      expect(screen.queryByRole("button", { name: "Show image 1" })).not.toBeInTheDocument();
+    });
+
+    it("shows similar products at thumbnail size", async () => {
+      await renderGallery();
+
+      expect(await screen.findByAltText("Related Product 1")).toHaveAttribute(
+        "src",
+        "/api/v1/product/product-photo/2?size=thumbnail"
+      );
+    });
   });
 
   describe("Add to Cart — related product", () => {
@@ -339,7 +572,7 @@ describe("ProductDetails", () => {
       const addToCartButtons = screen.getAllByText("ADD TO CART");
       fireEvent.click(addToCartButtons[1]);
 
-      expect(mockSetCart).toHaveBeenCalledWith([mockRelatedProducts[0]]);
+      expect(mockSetCart).toHaveBeenCalledWith([toCartLine(mockRelatedProducts[0])]);
     });
 
     it("calls localStorage.setItem and toast.success for related product add", async () => {
@@ -356,10 +589,7 @@ describe("ProductDetails", () => {
       const addToCartButtons = screen.getAllByText("ADD TO CART");
       fireEvent.click(addToCartButtons[2]);
 
-      expect(window.localStorage.setItem).toHaveBeenCalledWith(
-        "cart",
-        JSON.stringify([mockRelatedProducts[1]])
-      );
+      expect(mockSetCart).toHaveBeenCalledWith([toCartLine(mockRelatedProducts[1])]);
       expect(toast.success).toHaveBeenCalledWith("Item Added to cart");
     });
   });
@@ -385,6 +615,70 @@ describe("ProductDetails", () => {
     });
   });
 
+  describe("Reviews", () => {
+    beforeEach(() => {
+      // drop replies queued but never used by earlier tests
+      axios.get.mockReset();
+    });
+
+    it("shows the product's rating, its reviews and its questions", async () => {
+      axios.get
+        .mockResolvedValueOnce({
+          data: { product: { ...mockProduct, ratingAverage: 4.5, ratingCount: 2 } },
+        })
+        .mockResolvedValueOnce({
+          data: { products: [{ ...mockRelatedProducts[0], ratingAverage: 3, ratingCount: 1 }] },
+        });
+
+      renderWithRouter();
+
+      await waitFor(() => {
+        expect(screen.getByTestId("product-reviews")).toHaveAttribute("data-product", "1");
+      });
+      expect(screen.getByTestId("product-questions")).toHaveAttribute("data-product", "1");
+      expect(screen.getByText("4.5 (2)")).toBeInTheDocument();
+      await waitFor(() => {
+        expect(screen.getByText("3.0 (1)")).toBeInTheDocument();
+      });
+    });
+
+    it("updates the rating once the user's review is saved", async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { product: mockProduct } })
+        .mockResolvedValueOnce({ data: { products: [] } });
+
+      renderWithRouter();
+
+      const rate = await screen.findByRole("button", { name: "Rate" });
+      expect(screen.queryByText(/\(3\)/)).not.toBeInTheDocument();
+
+      fireEvent.click(rate);
+
+      expect(screen.getByText("4.0 (3)")).toBeInTheDocument();
+    });
+  });
+
+  describe("Wishlist", () => {
+    beforeEach(() => {
+      axios.get.mockReset();
+    });
+
+    it("offers the wishlist for the product and each similar product", async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { product: mockProduct } })
+        .mockResolvedValueOnce({ data: { products: mockRelatedProducts } });
+
+      renderWithRouter();
+
+      await waitFor(() => {
+        expect(screen.getAllByTestId("wishlist-button")).toHaveLength(3);
+      });
+      expect(
+        screen.getAllByTestId("wishlist-button").map((b) => b.getAttribute("data-product"))
+      ).toEqual(["1", "2", "3"]);
+    });
+  });
+
   describe("Edge case", () => {
     it("does not call API when params.slug is undefined", () => {
       render(
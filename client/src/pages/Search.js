@@ -1,23 +1,96 @@
-import React from "react";
+import React, { useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
 import Layout from "./../components/Layout";
 import { useSearch } from "../context/search";
+import { productPhotoUrl } from "../helpers/imageHelper";
+import {
+  emptyFilters,
+  searchParams,
+  searchUrl,
+  withResults,
+} from "../helpers/searchHelper";
 const Search = () => {
   const [values, setValues] = useSearch();
+  // the filters as typed, sent once applied
+  const [filters, setFilters] = useState(values?.filters || emptyFilters);
+  const results = values?.results || [];
+  const total = values?.total ?? results.length;
+  const page = values?.page || 1;
+  const pages = values?.pages || 0;
+
+  const loadPage = async (nextPage, nextFilters = values.filters) => {
+    try {
+      const { data } = await axios.get(searchUrl(values.keyword), {
+        params: searchParams(nextPage, nextFilters),
+      });
+      setValues(withResults({ ...values, filters: nextFilters }, data));
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Could not load the search results");
+    }
+  };
+
+  // new filters change the results, so go back to the first page
+  const handleFilters = (e) => {
+    e.preventDefault();
+    loadPage(1, filters);
+  };
+
   return (
     <Layout title={"Search results"}>
       <div className="container">
         <div className="text-center">
           <h1>Search Resuts</h1>
-          <h6>
-            {values?.results.length < 1
-              ? "No Products Found"
-              : `Found ${values?.results.length}`}
-          </h6>
+          <h6>{total < 1 ? "No Products Found" : `Found ${total}`}</h6>
+          {values?.keyword && (
+            <form
+              className="d-flex flex-wrap justify-content-center align-items-center gap-2 mt-3"
+              aria-label="Search filters"
+              onSubmit={handleFilters}
+            >
+              <div className="form-check">
+                <input
+                  id="search-in-stock"
+                  type="checkbox"
+                  className="form-check-input"
+                  checked={filters.inStock}
+                  onChange={(e) => setFilters({ ...filters, inStock: e.target.checked })}
+                />
+                <label className="form-check-label" htmlFor="search-in-stock">
+                  In stock only
+                </label>
+              </div>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                className="form-control w-auto"
+                placeholder="Min price"
+                aria-label="Min price"
+                value={filters.minPrice}
+                onChange={(e) => setFilters({ ...filters, minPrice: e.target.value })}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                className="form-control w-auto"
+                placeholder="Max price"
+                aria-label="Max price"
+                value={filters.maxPrice}
+                onChange={(e) => setFilters({ ...filters, maxPrice: e.target.value })}
+              />
+              <button type="submit" className="btn btn-outline-secondary">
+                Apply filters
+              </button>
+            </form>
+          )}
           <div className="d-flex flex-wrap mt-4">
-            {values?.results.map((p) => (
+            {results.map((p) => (
               <div className="card m-2" style={{ width: "18rem" }} key={p._id}>
                 <img
-                  src={`/api/v1/product/product-photo/${p._id}`}
+                  src={productPhotoUrl(p._id, "thumbnail", p.updatedAt)}
                   className="card-img-top"
                   alt={p.name}
                 />
@@ -33,10 +106,36 @@ const Search = () => {
               </div>
             ))}
           </div>
+          {pages > 1 && (
+            <nav
+              className="d-flex justify-content-center align-items-center gap-3 my-3"
+              aria-label="Search pages"
+            >
+              <button
+                type="button"
+                className="btn btn-outline-primary"
+                disabled={page <= 1}
+                onClick={() => loadPage(page - 1)}
+              >
+                Previous
+              </button>
+              <span>
+                Page {page} of {pages}
+              </span>
+              <button
+                type="button"
+                className="btn btn-outline-primary"
+                disabled={page >= pages}
+                onClick={() => loadPage(page + 1)}
+              >
+                Next
+              </button>
+            </nav>
+          )}
         </div>
       </div>
     </Layout>
   );
 };
 
-export default Search;
\ No newline at end of file
+export default Search;
@@ -5,17 +5,12 @@ import AdminMenu from "../../components/AdminMenu";
 import Layout from "../../components/Layout";
 import { useAuth } from "../../context/auth";
 import moment from "moment";
+import { canRefund, countItems, nextStatuses } from "../../helpers/orderHelper";
 import { Select } from "antd";
+import { productPhotoUrl } from "../../helpers/imageHelper";
 const { Option } = Select;
 
 const AdminOrders = () => {
-  const [status, setStatus] = useState([
-    "Not Process",
-    "Processing",
-    "Shipped",
-    "deliverd",
-    "cancel",
-  ]);
   const [changeStatus, setCHangeStatus] = useState("");
   const [orders, setOrders] = useState([]);
   const [auth, setAuth] = useAuth();
@@ -32,14 +27,35 @@ const AdminOrders = () => {
     if (auth?.token) getOrders();
   }, [auth?.token]);
 
-  const handleChange = async (orderId, value) => {
+  // cancelling or refunding a paid order sends the money back, so it goes
+  // through the refund endpoint rather than the plain status update
+  const refundOrder = async (orderId, items) => {
     try {
-      const { data } = await axios.put(`/api/v1/auth/order-status/${orderId}`, {
+      const { data } = await axios.post(
+        `/api/v1/order/${orderId}/refund`,
+        items ? { items } : {}
+      );
+      toast.success(data?.message);
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Could not refund order");
+    }
+    getOrders();
+  };
+
+  const handleChange = async (order, value) => {
+    if (["cancel", "refunded"].includes(value) && order?.payment?.success) {
+      return refundOrder(order._id);
+    }
+    try {
+      const { data } = await axios.put(`/api/v1/auth/order-status/${order._id}`, {
         status: value,
       });
       getOrders();
     } catch (error) {
       console.log(error);
+      toast.error(error?.response?.data?.message || "Could not update order status");
+      getOrders();
     }
   };
   return (
@@ -62,6 +78,7 @@ const AdminOrders = () => {
                       <th scope="col"> date</th>
                       <th scope="col">Payment</th>
                       <th scope="col">Quantity</th>
+                      <th scope="col">Total</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -70,10 +87,11 @@ const AdminOrders = () => {
                       <td>
                         <Select
                           bordered={false}
-                          onChange={(value) => handleChange(o._id, value)}
-                          defaultValue={o?.status}
+                          onChange={(value) => handleChange(o, value)}
+                          value={o?.status}
+                          disabled={nextStatuses(o?.status).length === 0}
                         >
-                          {status.map((s, i) => (
+                          {[o?.status, ...nextStatuses(o?.status)].map((s, i) => (
                             <Option key={i} value={s}>
                               {s}
                             </Option>
@@ -83,26 +101,64 @@ const AdminOrders = () => {
                       <td>{o?.buyer?.name}</td>
                       <td>{moment(o?.createAt).fromNow()}</td>
                       <td>{o?.payment.success ? "Success" : "Failed"}</td>
-                      <td>{o?.products?.length}</td>
+                      <td>{countItems(o?.products)}</td>
+                      <td>{o?.total}</td>
                     </tr>
                   </tbody>
                 </table>
+                {o?.refundedTotal > 0 && (
+                  <p className="container">Refunded : {o.refundedTotal}</p>
+                )}
+                {o?.statusHistory?.length > 0 && (
+                  <ul className="list-unstyled container">
+                    {o.statusHistory.map((entry, j) => (
+                      <li key={j}>
+                        {entry.from} → {entry.status} by {entry.changedBy?.name}{" "}
+                        {moment(entry.changedAt).fromNow()}
+                      </li>
+                    ))}
+                  </ul>
+                )}
                 <div className="container">
-                  {o?.products?.map((p, i) => (
-                    <div className="row mb-2 p-3 card flex-row" key={p._id}>
+                  {o?.products?.map((item) => (
+                    <div
+                      className="row mb-2 p-3 card flex-row"
+                      key={item.variant || item.product}
+                    >
                       <div className="col-md-4">
                         <img
-                          src={`/api/v1/product/product-photo/${p._id}`}
+                          src={productPhotoUrl(item.product, "thumbnail", item.productUpdatedAt)}
                           className="card-img-top"
-                          alt={p.name}
+                          alt={item.name}
                           width="100px"
                           height={"100px"}
                         />
                       </div>
                       <div className="col-md-8">
-                        <p>{p.name}</p>
-                        <p>{p.description.substring(0, 30)}</p>
-                        <p>Price : {p.price}</p>
+                        <p>{item.name}</p>
+                        <p>Price : {item.price}</p>
+                        <p>Quantity : {item.quantity}</p>
+                        <p>Subtotal : {item.total}</p>
+                        {item.refundedQuantity > 0 && (
+                          <p>Refunded : {item.refundedQuantity}</p>
+                        )}
+                        {canRefund(o) &&
+                          (item.refundedQuantity || 0) < item.quantity && (
+                            <button
+                              className="btn btn-outline-danger btn-sm"
+                              onClick={() =>
+                                refundOrder(o._id, [
+                                  {
+                                    product: item.product,
+                                    ...(item.variant && { variant: item.variant }),
+                                    quantity: item.quantity - (item.refundedQuantity || 0),
+                                  },
+                                ])
+                              }
+                            >
+                              Refund item
+                            </button>
+                          )}
                       </div>
                     </div>
                   ))}
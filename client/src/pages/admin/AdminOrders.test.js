@@ -7,6 +7,7 @@ import axios from "axios";
 import { MemoryRouter } from "react-router-dom";
 import { act } from "react-dom/test-utils";
 import userEvent from "@testing-library/user-event";
+import toast from "react-hot-toast";
 import AdminOrders from "./AdminOrders";
 
 beforeAll(() => {
@@ -22,6 +23,7 @@ beforeAll(() => {
 });
 
 jest.mock("axios");
+jest.mock("react-hot-toast", () => ({ success: jest.fn(), error: jest.fn() }));
 
 jest.mock("../../components/Layout", () => ({ children, title }) => (
   <div data-testid="mock-layout" data-title={title}>
@@ -47,10 +49,11 @@ jest.mock("moment", () => {
 // mock antd Select into native <select>
 jest.mock("antd", () => {
   const React = require("react");
-  const Select = ({ children, onChange, defaultValue }) => (
+  const Select = ({ children, onChange, defaultValue, value, disabled }) => (
     <select
       data-testid="status-select"
-      defaultValue={defaultValue}
+      defaultValue={value ?? defaultValue}
+      disabled={disabled}
       onChange={(e) => onChange?.(e.target.value)}
     >
       {children}
@@ -133,12 +136,14 @@ describe("AdminOrders", () => {
           payment: { success: false },
           products: [
             {
-              _id: "product1",
+              product: "product1",
               name: "Laptop Computer",
-              description: "High performance laptop with extra long description",
               price: 1500,
+              quantity: 1,
+              total: 1500,
             },
           ],
+          total: 1500,
         },
       ],
     });
@@ -155,11 +160,11 @@ describe("AdminOrders", () => {
     expect(within(row).getAllByText(/^1$/).length).toBeGreaterThanOrEqual(1);
 
     expect(screen.getByText("Laptop Computer")).toBeInTheDocument();
-    expect(screen.getByText(/High performance laptop/i)).toBeInTheDocument();
     expect(screen.getByText(/Price\s*:\s*1500/)).toBeInTheDocument();
+    expect(screen.getByText(/Quantity\s*:\s*1/)).toBeInTheDocument();
 
     const img = screen.getByAltText("Laptop Computer");
-    expect(img).toHaveAttribute("src", "/api/v1/product/product-photo/product1");
+    expect(img).toHaveAttribute("src", "/api/v1/product/product-photo/product1?size=thumbnail");
     expect(img).toHaveAttribute("width", "100px");
     expect(img).toHaveAttribute("height", "100px");
   });
@@ -242,7 +247,7 @@ describe("AdminOrders", () => {
           status: "Processing",
           buyer: { name: "Alice" },
           createAt: "2026-01-01T00:00:00.000Z",
-          payment: { success: true },
+          payment: { success: false },
           products: [],
         },
       ],
@@ -271,4 +276,279 @@ describe("AdminOrders", () => {
 
     logSpy.mockRestore();
   });
+
+  test("only offers the current status and its legal next statuses", async () => {
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    axios.get.mockResolvedValueOnce({
+      data: [
+        {
+          _id: "order1",
+          status: "Shipped",
+          buyer: { name: "Alice" },
+          payment: { success: true },
+          products: [],
+        },
+      ],
+    });
+
+    renderComponent();
+
+    expect(await screen.findByText("Alice")).toBeInTheDocument();
+    const options = within(screen.getByTestId("status-select"))
+      .getAllByRole("option")
+      .map((option) => option.value);
+    expect(options).toEqual(["Shipped", "deliverd", "refunded"]);
+    expect(screen.getByTestId("status-select")).not.toBeDisabled();
+  });
+
+  test("disables the status picker for terminal statuses", async () => {
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    axios.get.mockResolvedValueOnce({
+      data: [
+        {
+          _id: "order1",
+          status: "cancel",
+          buyer: { name: "Alice" },
+          payment: { success: true },
+          products: [],
+        },
+      ],
+    });
+
+    renderComponent();
+
+    expect(await screen.findByText("Alice")).toBeInTheDocument();
+    expect(screen.getByTestId("status-select")).toBeDisabled();
+  });
+
+  test("shows the server message when a transition is rejected", async () => {
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    const order = {
+      _id: "order1",
+      status: "Processing",
+      buyer: { name: "Alice" },
+      payment: { success: true },
+      products: [],
+    };
+    axios.get.mockResolvedValue({ data: [order] });
+    axios.put.mockRejectedValueOnce({
+      response: { status: 409, data: { message: "Order status was changed by someone else, please refresh" } },
+    });
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+
+    renderComponent();
+
+    expect(await screen.findByText("Alice")).toBeInTheDocument();
+    await actUser(async () => {
+      await userEvent.selectOptions(screen.getByTestId("status-select"), "Shipped");
+    });
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith(
+        "Order status was changed by someone else, please refresh"
+      )
+    );
+    await waitFor(() => expect(axios.get).toHaveBeenCalledTimes(2));
+
+    logSpy.mockRestore();
+    axios.get.mockReset();
+  });
+
+  test("renders the status history with the admin who made each change", async () => {
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    axios.get.mockResolvedValueOnce({
+      data: [
+        {
+          _id: "order1",
+          status: "Shipped",
+          buyer: { name: "Alice" },
+          payment: { success: true },
+          products: [],
+          statusHistory: [
+            { from: "Not Process", status: "Processing", changedBy: { name: "Admin" } },
+            { from: "Processing", status: "Shipped", changedBy: { name: "Admin" } },
+          ],
+        },
+      ],
+    });
+
+    renderComponent();
+
+    expect(
+      await screen.findByText("Not Process → Processing by Admin 2 days ago")
+    ).toBeInTheDocument();
+    expect(screen.getByText("Processing → Shipped by Admin 2 days ago")).toBeInTheDocument();
+  });
+
+  test("cancelling a paid order refunds it through the refund endpoint", async () => {
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    const order = {
+      _id: "order1",
+      status: "Processing",
+      buyer: { name: "Alice" },
+      payment: { success: true },
+      products: [],
+    };
+    axios.get.mockResolvedValue({ data: [order] });
+    axios.post.mockResolvedValueOnce({ data: { success: true, message: "Payment voided" } });
+
+    renderComponent();
+
+    expect(await screen.findByText("Alice")).toBeInTheDocument();
+    await actUser(async () => {
+      await userEvent.selectOptions(screen.getByTestId("status-select"), "cancel");
+    });
+
+    await waitFor(() =>
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/order/order1/refund", {})
+    );
+    expect(axios.put).not.toHaveBeenCalled();
+    expect(toast.success).toHaveBeenCalledWith("Payment voided");
+    await waitFor(() => expect(axios.get).toHaveBeenCalledTimes(2));
+    axios.get.mockReset();
+  });
+
+  test("refunds the unrefunded units of a single line", async () => {
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    const order = {
+      _id: "order1",
+      status: "deliverd",
+      buyer: { name: "Alice" },
+      payment: { success: true },
+      refundedTotal: 10,
+      products: [
+        { product: "p1", name: "Lamp", price: 10, quantity: 3, total: 30, refundedQuantity: 1 },
+        { product: "p2", name: "Rug", price: 5, quantity: 1, total: 5, refundedQuantity: 1 },
+      ],
+    };
+    axios.get.mockResolvedValue({ data: [order] });
+    axios.post.mockResolvedValueOnce({ data: { success: true, message: "Refund issued" } });
+
+    renderComponent();
+
+    expect(await screen.findByText("Refunded : 10")).toBeInTheDocument();
+    // the fully refunded rug has nothing left to refund
+    const buttons = screen.getAllByRole("button", { name: "Refund item" });
+    expect(buttons).toHaveLength(1);
+    await actUser(async () => {
+      await userEvent.click(buttons[0]);
+    });
+
+    await waitFor(() =>
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/order/order1/refund", {
+        items: [{ product: "p1", quantity: 2 }],
+      })
+    );
+    expect(toast.success).toHaveBeenCalledWith("Refund issued");
+    axios.get.mockReset();
+  });
+
+  test("refunds a variant line by its variant", async () => {
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    const order = {
+      _id: "order1",
+      status: "deliverd",
+      buyer: { name: "Alice" },
+      payment: { success: true },
+      products: [
+        { product: "p1", variant: "v1", sku: "TEE-S", name: "Tee (S)", price: 10, quantity: 1, total: 10 },
+        { product: "p1", variant: "v2", sku: "TEE-L", name: "Tee (L)", price: 12, quantity: 2, total: 24 },
+      ],
+    };
+    axios.get.mockResolvedValue({ data: [order] });
+    axios.post.mockResolvedValueOnce({ data: { success: true, message: "Refund issued" } });
+
+    renderComponent();
+
+    expect(await screen.findByText("Tee (L)")).toBeInTheDocument();
+    const buttons = screen.getAllByRole("button", { name: "Refund item" });
+    await actUser(async () => {
+      await userEvent.click(buttons[1]);
+    });
+
+    await waitFor(() =>
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/order/order1/refund", {
+        items: [{ product: "p1", variant: "v2", quantity: 2 }],
+      })
+    );
+    axios.get.mockReset();
+  });
+
+  test("shows the server message when a refund is rejected", async () => {
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    const order = {
+      _id: "order1",
+      status: "Shipped",
+      buyer: { name: "Alice" },
+      payment: { success: true },
+      products: [{ product: "p1", name: "Lamp", price: 10, quantity: 1, total: 10 }],
+    };
+    axios.get.mockResolvedValue({ data: [order] });
+    axios.post.mockRejectedValueOnce({
+      response: { data: { message: "Partial refunds are only possible once the payment has settled" } },
+    });
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+
+    renderComponent();
+
+    const button = await screen.findByRole("button", { name: "Refund item" });
+    await actUser(async () => {
+      await userEvent.click(button);
+    });
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith(
+        "Partial refunds are only possible once the payment has settled"
+      )
+    );
+    logSpy.mockRestore();
+    axios.get.mockReset();
+  });
+
+  test("offers a refund on a shipped order but not on a refunded one", async () => {
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    axios.get.mockResolvedValueOnce({
+      data: [
+        {
+          _id: "order1",
+          status: "Shipped",
+          buyer: { name: "Alice" },
+          payment: { success: true },
+          products: [{ product: "p1", name: "Lamp", price: 10, quantity: 1, total: 10 }],
+        },
+        {
+          _id: "order2",
+          status: "refunded",
+          buyer: { name: "Bob" },
+          payment: { success: true },
+          products: [{ product: "p2", name: "Rug", price: 5, quantity: 1, total: 5 }],
+        },
+      ],
+    });
+
+    renderComponent();
+
+    expect(await screen.findByText("Rug")).toBeInTheDocument();
+    expect(screen.getAllByRole("button", { name: "Refund item" })).toHaveLength(1);
+  });
+
+  test("hides refund buttons on orders that were never paid", async () => {
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    axios.get.mockResolvedValueOnce({
+      data: [
+        {
+          _id: "order1",
+          status: "Processing",
+          buyer: { name: "Alice" },
+          payment: { success: false },
+          products: [{ product: "p1", name: "Lamp", price: 10, quantity: 1, total: 10 }],
+        },
+      ],
+    });
+
+    renderComponent();
+
+    expect(await screen.findByText("Lamp")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Refund item" })).not.toBeInTheDocument();
+  });
 });
@@ -0,0 +1,373 @@
+import React, { useEffect, useState } from "react";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+import { Select } from "antd";
+const { Option } = Select;
+
+const emptyForm = {
+  code: "",
+  type: "percent",
+  value: "",
+  minSpend: "",
+  expiresAt: "",
+  usageLimit: "",
+  perUserLimit: "",
+  categories: [],
+  products: [],
+  active: true,
+};
+
+const formatPrice = (value) =>
+  Number(value).toLocaleString("en-US", { style: "currency", currency: "USD" });
+
+const CreateCoupon = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [productOptions, setProductOptions] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editing, setEditing] = useState(null);
+
+  const setField = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  //get all coupons
+  const getAllCoupons = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/coupon/get-coupons");
+      if (data?.success) {
+        setCoupons(data.coupons);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting coupons");
+    }
+  };
+
+  //get all cat
+  const getAllCategory = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/category/get-category");
+      if (data?.success) {
+        setCategories(data.category);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting category");
+    }
+  };
+
+  useEffect(() => {
+    getAllCoupons();
+    getAllCategory();
+  }, []);
+
+  //find products to scope the coupon to, keeping the ones already picked
+  const searchProducts = async (keyword) => {
+    if (!keyword.trim()) return;
+    try {
+      const { data } = await axios.get(
+        `/api/v1/product/search/${encodeURIComponent(keyword)}`
+      );
+      const picked = productOptions.filter((p) => form.products.includes(p._id));
+      const found = (data || []).filter(
+        (p) => !picked.some((option) => option._id === p._id)
+      );
+      setProductOptions([...picked, ...found]);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditing(null);
+  };
+
+  //create or update coupon
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = editing
+        ? await axios.put(`/api/v1/coupon/update-coupon/${editing}`, form)
+        : await axios.post("/api/v1/coupon/create-coupon", form);
+      if (data?.success) {
+        toast.success(
+          `${data.coupon.code} is ${editing ? "updated" : "created"}`
+        );
+        resetForm();
+        getAllCoupons();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  const handleEdit = (c) => {
+    setEditing(c._id);
+    setProductOptions(c.products || []);
+    setForm({
+      code: c.code,
+      type: c.type,
+      value: String(c.value),
+      minSpend: c.minSpend ? String(c.minSpend) : "",
+      expiresAt: c.expiresAt ? c.expiresAt.slice(0, 10) : "",
+      usageLimit: c.usageLimit ? String(c.usageLimit) : "",
+      perUserLimit: c.perUserLimit ? String(c.perUserLimit) : "",
+      categories: (c.categories || []).map((cat) => cat._id),
+      products: (c.products || []).map((p) => p._id),
+      active: c.active,
+    });
+  };
+
+  //delete coupon
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/coupon/delete-coupon/${id}`);
+      if (data?.success) {
+        toast.success("Coupon is deleted");
+        if (editing === id) resetForm();
+        getAllCoupons();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  const describeScope = (c) => {
+    const names = [...(c.categories || []), ...(c.products || [])].map(
+      (item) => item.name
+    );
+    return names.length ? names.join(", ") : "Everything";
+  };
+
+  return (
+    <Layout title={"Dashboard - Coupons"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Manage Coupons</h1>
+            <form className="p-3 w-75" onSubmit={handleSubmit}>
+              <div className="row g-2 mb-2">
+                <div className="col-md-4">
+                  <label htmlFor="coupon-code" className="form-label">
+                    Code
+                  </label>
+                  <input
+                    id="coupon-code"
+                    type="text"
+                    className="form-control"
+                    value={form.code}
+                    onChange={setField("code")}
+                  />
+                </div>
+                <div className="col-md-4">
+                  <label htmlFor="coupon-type" className="form-label">
+                    Discount type
+                  </label>
+                  <select
+                    id="coupon-type"
+                    className="form-select"
+                    value={form.type}
+                    onChange={setField("type")}
+                  >
+                    <option value="percent">Percentage</option>
+                    <option value="fixed">Fixed amount</option>
+                  </select>
+                </div>
+                <div className="col-md-4">
+                  <label htmlFor="coupon-value" className="form-label">
+                    {form.type === "percent" ? "Percent off" : "Amount off"}
+                  </label>
+                  <input
+                    id="coupon-value"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    className="form-control"
+                    value={form.value}
+                    onChange={setField("value")}
+                  />
+                </div>
+              </div>
+              <div className="row g-2 mb-2">
+                <div className="col-md-3">
+                  <label htmlFor="coupon-min-spend" className="form-label">
+                    Minimum spend
+                  </label>
+                  <input
+                    id="coupon-min-spend"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    className="form-control"
+                    value={form.minSpend}
+                    onChange={setField("minSpend")}
+                  />
+                </div>
+                <div className="col-md-3">
+                  <label htmlFor="coupon-expires" className="form-label">
+                    Expires on
+                  </label>
+                  <input
+                    id="coupon-expires"
+                    type="date"
+                    className="form-control"
+                    value={form.expiresAt}
+                    onChange={setField("expiresAt")}
+                  />
+                </div>
+                <div className="col-md-3">
+                  <label htmlFor="coupon-usage-limit" className="form-label">
+                    Total uses
+                  </label>
+                  <input
+                    id="coupon-usage-limit"
+                    type="number"
+                    min="1"
+                    placeholder="Unlimited"
+                    className="form-control"
+                    value={form.usageLimit}
+                    onChange={setField("usageLimit")}
+                  />
+                </div>
+                <div className="col-md-3">
+                  <label htmlFor="coupon-per-user-limit" className="form-label">
+                    Uses per customer
+                  </label>
+                  <input
+                    id="coupon-per-user-limit"
+                    type="number"
+                    min="1"
+                    placeholder="Unlimited"
+                    className="form-control"
+                    value={form.perUserLimit}
+                    onChange={setField("perUserLimit")}
+                  />
+                </div>
+              </div>
+              <div className="mb-2">
+                <Select
+                  mode="multiple"
+                  allowClear
+                  placeholder="Only for these categories (optional)"
+                  className="form-select mb-2"
+                  value={form.categories}
+                  onChange={(value) => setForm({ ...form, categories: value })}
+                >
+                  {categories?.map((c) => (
+                    <Option key={c._id} value={c._id}>
+                      {c.name}
+                    </Option>
+                  ))}
+                </Select>
+                <Select
+                  mode="multiple"
+                  allowClear
+                  showSearch
+                  filterOption={false}
+                  onSearch={searchProducts}
+                  placeholder="Only for these products (optional)"
+                  className="form-select mb-2"
+                  value={form.products}
+                  onChange={(value) => setForm({ ...form, products: value })}
+                >
+                  {productOptions.map((p) => (
+                    <Option key={p._id} value={p._id}>
+                      {p.name}
+                    </Option>
+                  ))}
+                </Select>
+              </div>
+              <div className="form-check mb-3">
+                <input
+                  id="coupon-active"
+                  type="checkbox"
+                  className="form-check-input"
+                  checked={form.active}
+                  onChange={(e) => setForm({ ...form, active: e.target.checked })}
+                />
+                <label htmlFor="coupon-active" className="form-check-label">
+                  Active
+                </label>
+              </div>
+              <button type="submit" className="btn btn-primary">
+                {editing ? "Update Coupon" : "Create Coupon"}
+              </button>
+              {editing && (
+                <button
+                  type="button"
+                  className="btn btn-outline-secondary ms-2"
+                  onClick={resetForm}
+                >
+                  Cancel
+                </button>
+              )}
+            </form>
+            <div className="w-100">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th scope="col">Code</th>
+                    <th scope="col">Discount</th>
+                    <th scope="col">Min spend</th>
+                    <th scope="col">Expires</th>
+                    <th scope="col">Used</th>
+                    <th scope="col">Applies to</th>
+                    <th scope="col">Status</th>
+                    <th scope="col">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {coupons?.map((c) => (
+                    <tr key={c._id}>
+                      <td>{c.code}</td>
+                      <td>
+                        {c.type === "percent"
+                          ? `${c.value}%`
+                          : formatPrice(c.value)}
+                      </td>
+                      <td>{c.minSpend ? formatPrice(c.minSpend) : "-"}</td>
+                      <td>{c.expiresAt ? c.expiresAt.slice(0, 10) : "Never"}</td>
+                      <td>
+                        {c.usedCount}
+                        {c.usageLimit ? ` / ${c.usageLimit}` : ""}
+                      </td>
+                      <td>{describeScope(c)}</td>
+                      <td>{c.active ? "Active" : "Inactive"}</td>
+                      <td>
+                        <button
+                          className="btn btn-primary ms-2"
+                          onClick={() => handleEdit(c)}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-danger ms-2"
+                          onClick={() => handleDelete(c._id)}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default CreateCoupon;
@@ -0,0 +1,264 @@
+import React from 'react';
+import { render, screen, waitFor, fireEvent, act, within } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { MemoryRouter } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import CreateCoupon from './CreateCoupon';
+
+jest.mock('axios');
+jest.mock('react-hot-toast');
+
+jest.mock('../../components/Layout', () => {
+  return ({ children, title }) => (
+    <div data-testid='layout' data-title={title}>
+      {children}
+    </div>
+  );
+});
+
+jest.mock('../../components/AdminMenu', () => {
+  return () => <div data-testid='admin-menu'>AdminMenu</div>;
+});
+
+// a plain multiple select standing in for antd's
+jest.mock('antd', () => {
+  const Select = ({ children, onChange, onSearch, placeholder, value }) => (
+    <>
+      {onSearch && <input aria-label={`Search ${placeholder}`} onChange={(e) => onSearch(e.target.value)} />}
+      <select
+        multiple
+        aria-label={placeholder}
+        value={value}
+        onChange={(e) => onChange([...e.target.selectedOptions].map((option) => option.value))}
+      >
+        {children}
+      </select>
+    </>
+  );
+  Select.Option = ({ value, children }) => <option value={value}>{children}</option>;
+  return { Select };
+});
+
+const sampleCategories = [
+  { _id: 'c1', name: 'Electronics' },
+  { _id: 'c2', name: 'Books' },
+];
+
+const sampleCoupons = [
+  {
+    _id: 'k1',
+    code: 'SPRING20',
+    type: 'percent',
+    value: 20,
+    minSpend: 50,
+    expiresAt: '2030-06-30T00:00:00.000Z',
+    usageLimit: 100,
+    usedCount: 3,
+    categories: [{ _id: 'c2', name: 'Books' }],
+    products: [],
+    active: true,
+  },
+  {
+    _id: 'k2',
+    code: 'TENOFF',
+    type: 'fixed',
+    value: 10,
+    minSpend: 0,
+    usedCount: 0,
+    categories: [],
+    products: [{ _id: 'p1', name: 'Laptop' }],
+    active: false,
+  },
+];
+
+const setupGetMock = ({ coupons = sampleCoupons, products = [] } = {}) => {
+  axios.get.mockImplementation((url) => {
+    if (url === '/api/v1/coupon/get-coupons') {
+      return Promise.resolve({ data: { success: true, coupons } });
+    }
+    if (url === '/api/v1/category/get-category') {
+      return Promise.resolve({ data: { success: true, category: sampleCategories } });
+    }
+    if (url.startsWith('/api/v1/product/search/')) {
+      return Promise.resolve({ data: products });
+    }
+    return Promise.resolve({ data: {} });
+  });
+};
+
+const renderPage = async () => {
+  await act(async () => {
+    render(
+      <MemoryRouter>
+        <CreateCoupon />
+      </MemoryRouter>,
+    );
+  });
+};
+
+const pick = (label, optionText) => {
+  const select = screen.getByLabelText(label);
+  within(select).getByText(optionText).selected = true;
+  fireEvent.change(select);
+};
+
+const fillForm = () => {
+  fireEvent.change(screen.getByLabelText('Code'), { target: { value: 'summer' } });
+  fireEvent.change(screen.getByLabelText('Discount type'), { target: { value: 'fixed' } });
+  fireEvent.change(screen.getByLabelText('Amount off'), { target: { value: '15' } });
+  fireEvent.change(screen.getByLabelText('Minimum spend'), { target: { value: '60' } });
+  fireEvent.change(screen.getByLabelText('Uses per customer'), { target: { value: '1' } });
+};
+
+describe('CreateCoupon Admin Page', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setupGetMock();
+  });
+
+  it('lists the coupons with their terms', async () => {
+    await renderPage();
+
+    const spring = screen.getByText('SPRING20').closest('tr');
+    expect(within(spring).getByText('20%')).toBeInTheDocument();
+    expect(within(spring).getByText('$50.00')).toBeInTheDocument();
+    expect(within(spring).getByText('2030-06-30')).toBeInTheDocument();
+    expect(within(spring).getByText('3 / 100')).toBeInTheDocument();
+    expect(within(spring).getByText('Books')).toBeInTheDocument();
+    expect(within(spring).getByText('Active')).toBeInTheDocument();
+
+    const tenOff = screen.getByText('TENOFF').closest('tr');
+    expect(within(tenOff).getByText('$10.00')).toBeInTheDocument();
+    expect(within(tenOff).getByText('Never')).toBeInTheDocument();
+    expect(within(tenOff).getByText('Laptop')).toBeInTheDocument();
+    expect(within(tenOff).getByText('Inactive')).toBeInTheDocument();
+  });
+
+  it('creates a coupon from the form', async () => {
+    axios.post.mockResolvedValue({ data: { success: true, coupon: { code: 'SUMMER' } } });
+    await renderPage();
+    fillForm();
+    pick('Only for these categories (optional)', 'Electronics');
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Create Coupon' }));
+    });
+
+    expect(axios.post).toHaveBeenCalledWith('/api/v1/coupon/create-coupon', {
+      code: 'summer',
+      type: 'fixed',
+      value: '15',
+      minSpend: '60',
+      expiresAt: '',
+      usageLimit: '',
+      perUserLimit: '1',
+      categories: ['c1'],
+      products: [],
+      active: true,
+    });
+    expect(toast.success).toHaveBeenCalledWith('SUMMER is created');
+    expect(screen.getByLabelText('Code')).toHaveValue('');
+  });
+
+  it('scopes a coupon to products found by search', async () => {
+    setupGetMock({ products: [{ _id: 'p9', name: 'Desk Lamp' }] });
+    axios.post.mockResolvedValue({ data: { success: true, coupon: { code: 'SUMMER' } } });
+    await renderPage();
+    fillForm();
+
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Search Only for these products (optional)'), {
+        target: { value: 'lamp' },
+      });
+    });
+    expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/lamp');
+    pick('Only for these products (optional)', 'Desk Lamp');
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Create Coupon' }));
+    });
+
+    expect(axios.post).toHaveBeenCalledWith(
+      '/api/v1/coupon/create-coupon',
+      expect.objectContaining({ products: ['p9'] }),
+    );
+  });
+
+  it('shows the reason the server refused a coupon', async () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.post.mockRejectedValue({ response: { data: { message: 'Coupon code already exists' } } });
+    await renderPage();
+    fillForm();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Create Coupon' }));
+    });
+
+    expect(toast.error).toHaveBeenCalledWith('Coupon code already exists');
+    consoleSpy.mockRestore();
+  });
+
+  it('loads a coupon into the form and saves the changes', async () => {
+    axios.put.mockResolvedValue({ data: { success: true, coupon: { code: 'SPRING20' } } });
+    await renderPage();
+
+    fireEvent.click(within(screen.getByText('SPRING20').closest('tr')).getByRole('button', { name: 'Edit' }));
+    expect(screen.getByLabelText('Code')).toHaveValue('SPRING20');
+    expect(screen.getByLabelText('Percent off')).toHaveValue(20);
+    expect(screen.getByLabelText('Expires on')).toHaveValue('2030-06-30');
+    fireEvent.click(screen.getByLabelText('Active'));
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Update Coupon' }));
+    });
+
+    expect(axios.put).toHaveBeenCalledWith('/api/v1/coupon/update-coupon/k1', {
+      code: 'SPRING20',
+      type: 'percent',
+      value: '20',
+      minSpend: '50',
+      expiresAt: '2030-06-30',
+      usageLimit: '100',
+      perUserLimit: '',
+      categories: ['c2'],
+      products: [],
+      active: false,
+    });
+    expect(toast.success).toHaveBeenCalledWith('SPRING20 is updated');
+    expect(screen.getByRole('button', { name: 'Create Coupon' })).toBeInTheDocument();
+  });
+
+  it('cancels an edit', async () => {
+    await renderPage();
+    fireEvent.click(within(screen.getByText('TENOFF').closest('tr')).getByRole('button', { name: 'Edit' }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(screen.getByLabelText('Code')).toHaveValue('');
+    expect(screen.getByRole('button', { name: 'Create Coupon' })).toBeInTheDocument();
+  });
+
+  it('deletes a coupon and reloads the list', async () => {
+    axios.delete.mockResolvedValue({ data: { success: true } });
+    await renderPage();
+
+    await act(async () => {
+      fireEvent.click(within(screen.getByText('TENOFF').closest('tr')).getByRole('button', { name: 'Delete' }));
+    });
+
+    expect(axios.delete).toHaveBeenCalledWith('/api/v1/coupon/delete-coupon/k2');
+    expect(toast.success).toHaveBeenCalledWith('Coupon is deleted');
+    await waitFor(() =>
+      expect(axios.get.mock.calls.filter(([url]) => url === '/api/v1/coupon/get-coupons')).toHaveLength(2),
+    );
+  });
+
+  it('tells the admin when the coupons cannot be loaded', async () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.get.mockRejectedValue(new Error('Network Error'));
+    await renderPage();
+
+    expect(toast.error).toHaveBeenCalledWith('Something went wrong in getting coupons');
+    consoleSpy.mockRestore();
+  });
+});
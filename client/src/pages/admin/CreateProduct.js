@@ -4,6 +4,12 @@ import AdminMenu from "./../../components/AdminMenu";
 import toast from "react-hot-toast";
 import axios from "axios";
 import { Select } from "antd";
+import VariantForm from "./../../components/Form/VariantForm";
+import ImageGalleryForm from "./../../components/Form/ImageGalleryForm";
+import {
+  appendVariants,
+} from "./../../helpers/variantHelper";
+import { appendImages } from "./../../helpers/imageHelper";
 import { useNavigate } from "react-router-dom";
 const { Option } = Select;
 
@@ -16,7 +22,12 @@ const CreateProduct = () => {
   const [category, setCategory] = useState("");
   const [quantity, setQuantity] = useState("");
   const [shipping, setShipping] = useState("");
+  const [taxClass, setTaxClass] = useState("standard");
+  const [weight, setWeight] = useState("");
   const [photo, setPhoto] = useState("");
+  const [options, setOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
+  const [images, setImages] = useState([]);
 
   //get all category
   const getAllCategory = async () => {
@@ -46,6 +57,10 @@ const CreateProduct = () => {
       productData.append("quantity", quantity);
       productData.append("photo", photo);
       productData.append("category", category);
+      productData.append("taxClass", taxClass);
+      productData.append("weight", weight);
+      appendVariants(productData, options, variants);
+      appendImages(productData, images);
       
       const { data } = await axios.post(
         "/api/v1/product/create-product",
@@ -142,13 +157,45 @@ const CreateProduct = () => {
                   onChange={(e) => setPrice(e.target.value)}
                 />
               </div>
+              {variants.length === 0 && (
+                <div className="mb-3">
+                  <input
+                    type="number"
+                    value={quantity}
+                    placeholder="write a quantity"
+                    className="form-control"
+                    onChange={(e) => setQuantity(e.target.value)}
+                  />
+                </div>
+              )}
               <div className="mb-3">
                 <input
                   type="number"
-                  value={quantity}
-                  placeholder="write a quantity"
+                  value={weight}
+                  placeholder="write a weight in kg"
+                  className="form-control"
+                  onChange={(e) => setWeight(e.target.value)}
+                />
+              </div>
+              <VariantForm
+                options={options}
+                setOptions={setOptions}
+                variants={variants}
+                setVariants={setVariants}
+                skuPrefix={name.trim()}
+              />
+              <ImageGalleryForm
+                images={images}
+                setImages={setImages}
+              />
+              <div className="mb-3">
+                <input
+                  type="text"
+                  value={taxClass}
+                  placeholder="write a tax class"
+                  aria-label="Tax class"
                   className="form-control"
-                  onChange={(e) => setQuantity(e.target.value)}
+                  onChange={(e) => setTaxClass(e.target.value)}
                 />
               </div>
               <div className="mb-3">
@@ -543,6 +543,33 @@ describe("CreateProduct Component - Unit Tests", () => {
       expect(formData._data.quantity).toBe("");
       expect(formData._data.category).toBe("");
       expect(formData._data.photo).toBe("");
+      expect(formData._data.taxClass).toBe("standard");
+      expect(formData._data.weight).toBe("");
+    });
+
+    test("should send the tax class and weight typed in", async () => {
+      axios.post.mockResolvedValue({
+        data: { success: true },
+      });
+
+      await renderCreateProduct();
+      await waitFor(() => expect(axios.get).toHaveBeenCalled());
+
+      await actDo(async () => {
+        fireEvent.change(screen.getByLabelText("Tax class"), {
+          target: { value: "food" },
+        });
+        fireEvent.change(screen.getByPlaceholderText("write a weight in kg"), {
+          target: { value: "1.5" },
+        });
+        fireEvent.click(screen.getByText("CREATE PRODUCT"));
+      });
+
+      await waitFor(() => expect(axios.post).toHaveBeenCalled());
+
+      const [, formData] = axios.post.mock.calls[0];
+      expect(formData._data.taxClass).toBe("food");
+      expect(formData._data.weight).toBe("1.5");
     });
 
     test("should submit FormData without shipping field (not appended)", async () => {
@@ -675,4 +702,107 @@ describe("CreateProduct Component - Unit Tests", () => {
       expect(quantityInput.value).toBe("-5");
     });
   });
+
+  describe("Variants", () => {
+    test("sends the options and generated variants and hides the quantity", async () => {
+      axios.get.mockResolvedValue({
+        data: { success: true, category: [] },
+      });
+      axios.post.mockResolvedValue({ data: { success: true } });
+
+      await renderCreateProduct();
+
+      await actDo(async () => {
+        fireEvent.change(screen.getByPlaceholderText("write a name"), {
+          target: { value: "Tee" },
+        });
+        fireEvent.click(screen.getByText("Add Option"));
+      });
+      await actDo(async () => {
+        fireEvent.change(screen.getByLabelText("Option 1 name"), {
+          target: { value: "Size" },
+        });
+        fireEvent.change(screen.getByLabelText("Option 1 values"), {
+          target: { value: "S, M" },
+        });
+        fireEvent.click(screen.getByText("Generate Variants"));
+      });
+      expect(screen.queryByPlaceholderText("write a quantity")).not.toBeInTheDocument();
+
+      const photo = new File(["img"], "small.png", { type: "image/png" });
+      await actDo(async () => {
+        fireEvent.change(screen.getByLabelText("Stock for S"), {
+          target: { value: "4" },
+        });
+        fireEvent.change(screen.getByLabelText("Photo for S"), {
+          target: { files: [photo] },
+        });
+        fireEvent.click(screen.getByText("CREATE PRODUCT"));
+      });
+
+      await waitFor(() => expect(axios.post).toHaveBeenCalled());
+      const [, formData] = axios.post.mock.calls[0];
+      expect(JSON.parse(formData._data.options)).toEqual([
+        { name: "Size", values: ["S", "M"] },
+      ]);
+      expect(JSON.parse(formData._data.variants)).toEqual([
+        { sku: "TEE-S", options: [{ name: "Size", value: "S" }], price: "", quantity: "4" },
+        { sku: "TEE-M", options: [{ name: "Size", value: "M" }], price: "", quantity: 0 },
+      ]);
+      expect(formData._data.variantPhoto0).toBe(photo);
+    });
+
+    test("sends empty options and variants for a plain product", async () => {
+      axios.get.mockResolvedValue({
+        data: { success: true, category: [] },
+      });
+      axios.post.mockResolvedValue({ data: { success: true } });
+
+      await renderCreateProduct();
+      await actDo(async () => {
+        fireEvent.click(screen.getByText("CREATE PRODUCT"));
+      });
+
+      await waitFor(() => expect(axios.post).toHaveBeenCalled());
+      const [, formData] = axios.post.mock.calls[0];
+      expect(formData._data.options).toBe("[]");
+      expect(formData._data.variants).toBe("[]");
+    });
+  });
+
+  describe("Image gallery", () => {
+    test("sends the images in order with their alt text", async () => {
+      axios.get.mockResolvedValue({
+        data: { success: true, category: [] },
+      });
+      axios.post.mockResolvedValue({ data: { success: true } });
+      const front = new File(["f"], "front.png", { type: "image/png" });
+      const back = new File(["b"], "back.png", { type: "image/png" });
+
+      await renderCreateProduct();
+      await actDo(async () => {
+        fireEvent.change(screen.getByLabelText("Add Images"), {
+          target: { files: [front, back] },
+        });
+      });
+      await actDo(async () => {
+        fireEvent.change(screen.getByLabelText("Alt text for image 2"), {
+          target: { value: "The back" },
+        });
+        fireEvent.click(screen.getByRole("button", { name: "Move image 2 up" }));
+      });
+      await actDo(async () => {
+        fireEvent.click(screen.getByText("CREATE PRODUCT"));
+      });
+
+      await waitFor(() => expect(axios.post).toHaveBeenCalled());
+      const [, formData] = axios.post.mock.calls[0];
+      expect(JSON.parse(formData._data.images)).toEqual([
+        { upload: 0, alt: "The back" },
+        { upload: 1, alt: "" },
+      ]);
+      expect(formData._data.image0).toBe(back);
+      expect(formData._data.image1).toBe(front);
+    });
+  });
 });
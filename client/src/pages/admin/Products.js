@@ -4,6 +4,7 @@ import Layout from "./../../components/Layout";
 import axios from "axios";
 import toast from "react-hot-toast";
 import { Link } from "react-router-dom";
+import { productPhotoUrl } from "../../helpers/imageHelper";
 const Products = () => {
   const [products, setProducts] = useState([]);
 
@@ -39,7 +40,7 @@ const Products = () => {
               >
                 <div className="card m-2" style={{ width: "18rem" }}>
                   <img
-                    src={`/api/v1/product/product-photo/${p._id}`}
+                    src={productPhotoUrl(p._id, "thumbnail", p.updatedAt)}
                     className="card-img-top"
                     alt={p.name}
                   />
@@ -76,8 +76,8 @@ describe("Products page", () => {
 
     const img1 = screen.getByAltText("Product 1");
     const img2 = screen.getByAltText("Product 2");
-    expect(img1).toHaveAttribute("src", "/api/v1/product/product-photo/p1");
-    expect(img2).toHaveAttribute("src", "/api/v1/product/product-photo/p2");
+    expect(img1).toHaveAttribute("src", "/api/v1/product/product-photo/p1?size=thumbnail");
+    expect(img2).toHaveAttribute("src", "/api/v1/product/product-photo/p2?size=thumbnail");
   });
 
   test("shows toast error when API call fails", async () => {
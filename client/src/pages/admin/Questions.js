@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import moment from "moment";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+
+const Questions = () => {
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState({});
+
+  //questions waiting for an answer
+  const getUnanswered = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/question/unanswered-questions");
+      if (data?.success) {
+        setQuestions(data.questions);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting questions");
+    }
+  };
+
+  useEffect(() => {
+    getUnanswered();
+  }, []);
+
+  //answer a question, which takes it off the queue
+  const handleAnswer = async (e, id) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post(
+        `/api/v1/question/answer-question/${id}`,
+        { body: answers[id] || "" }
+      );
+      if (data?.success) {
+        toast.success("Answer posted");
+        setAnswers({ ...answers, [id]: "" });
+        getUnanswered();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  //delete question
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(
+        `/api/v1/question/delete-question/${id}`
+      );
+      if (data?.success) {
+        toast.success("Question is deleted");
+        getUnanswered();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Questions"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Unanswered Questions</h1>
+            {!questions.length && <p>Every question has been answered</p>}
+            {questions?.map((q) => (
+              <div className="border shadow p-3 mb-3" key={q._id} data-testid="question">
+                <p className="mb-1">
+                  {q.product ? (
+                    <Link to={`/product/${q.product.slug}`}>{q.product.name}</Link>
+                  ) : (
+                    "Deleted product"
+                  )}{" "}
+                  <small className="text-muted">
+                    asked by {q.user?.name} {moment(q.createdAt).fromNow()}
+                  </small>
+                </p>
+                <p>
+                  <strong>{q.body}</strong>
+                </p>
+                <form className="d-flex" onSubmit={(e) => handleAnswer(e, q._id)}>
+                  <label htmlFor={`answer-${q._id}`} className="visually-hidden">
+                    Answer to {q.body}
+                  </label>
+                  <input
+                    id={`answer-${q._id}`}
+                    type="text"
+                    className="form-control"
+                    placeholder="Write an answer"
+                    value={answers[q._id] || ""}
+                    onChange={(e) => setAnswers({ ...answers, [q._id]: e.target.value })}
+                  />
+                  <button
+                    type="submit"
+                    className="btn btn-primary ms-2"
+                    disabled={!(answers[q._id] || "").trim()}
+                  >
+                    Answer
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-danger ms-2"
+                    onClick={() => handleDelete(q._id)}
+                  >
+                    Delete
+                  </button>
+                </form>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Questions;
@@ -0,0 +1,137 @@
+import React from 'react';
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { MemoryRouter } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import Questions from './Questions';
+
+jest.mock('axios');
+jest.mock('react-hot-toast');
+
+jest.mock('../../components/Layout', () => {
+  return ({ children, title }) => (
+    <div data-testid='layout' data-title={title}>
+      {children}
+    </div>
+  );
+});
+
+jest.mock('../../components/AdminMenu', () => {
+  return () => <div data-testid='admin-menu'>AdminMenu</div>;
+});
+
+const sampleQuestions = [
+  {
+    _id: 'q1',
+    product: { _id: 'p1', name: 'Trail Jacket', slug: 'trail-jacket' },
+    user: { _id: 'u1', name: 'Ann' },
+    body: 'Is it waterproof?',
+    createdAt: new Date().toISOString(),
+  },
+  {
+    _id: 'q2',
+    product: null,
+    user: { _id: 'u2', name: 'Bob' },
+    body: 'Still sold?',
+    createdAt: new Date().toISOString(),
+  },
+];
+
+const renderPage = async () => {
+  await act(async () => {
+    render(
+      <MemoryRouter>
+        <Questions />
+      </MemoryRouter>,
+    );
+  });
+};
+
+const block = (text) => screen.getByText(text).closest("[data-testid='question']");
+
+describe('Questions Admin Page', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.get.mockResolvedValue({ data: { success: true, questions: sampleQuestions } });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('lists the unanswered questions with their product and asker', async () => {
+    await renderPage();
+
+    expect(axios.get).toHaveBeenCalledWith('/api/v1/question/unanswered-questions');
+    expect(screen.getByTestId('layout')).toHaveAttribute('data-title', 'Dashboard - Questions');
+    expect(screen.getByRole('link', { name: 'Trail Jacket' })).toHaveAttribute('href', '/product/trail-jacket');
+    expect(within(block('Is it waterproof?')).getByText(/asked by Ann/)).toBeInTheDocument();
+    expect(within(block('Still sold?')).getByText('Deleted product')).toBeInTheDocument();
+  });
+
+  it('says when the queue is empty', async () => {
+    axios.get.mockResolvedValue({ data: { success: true, questions: [] } });
+
+    await renderPage();
+
+    expect(screen.getByText('Every question has been answered')).toBeInTheDocument();
+  });
+
+  it('answers a question from the queue', async () => {
+    axios.post.mockResolvedValue({ data: { success: true } });
+    await renderPage();
+
+    expect(within(block('Is it waterproof?')).getByRole('button', { name: 'Answer' })).toBeDisabled();
+    fireEvent.change(screen.getByLabelText('Answer to Is it waterproof?'), {
+      target: { value: 'It is showerproof' },
+    });
+    await act(async () => {
+      fireEvent.click(within(block('Is it waterproof?')).getByRole('button', { name: 'Answer' }));
+    });
+
+    expect(axios.post).toHaveBeenCalledWith('/api/v1/question/answer-question/q1', {
+      body: 'It is showerproof',
+    });
+    expect(toast.success).toHaveBeenCalledWith('Answer posted');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('deletes a question', async () => {
+    axios.delete.mockResolvedValue({ data: { success: true } });
+    await renderPage();
+
+    await act(async () => {
+      fireEvent.click(within(block('Still sold?')).getByRole('button', { name: 'Delete' }));
+    });
+
+    expect(axios.delete).toHaveBeenCalledWith('/api/v1/question/delete-question/q2');
+    expect(toast.success).toHaveBeenCalledWith('Question is deleted');
+  });
+
+  it('reports failed actions', async () => {
+    axios.post.mockRejectedValue({ response: { data: { message: 'Answer is required' } } });
+    axios.delete.mockResolvedValue({ data: { success: false, message: 'Question not found' } });
+    await renderPage();
+
+    fireEvent.change(screen.getByLabelText('Answer to Is it waterproof?'), { target: { value: 'x' } });
+    await act(async () => {
+      fireEvent.click(within(block('Is it waterproof?')).getByRole('button', { name: 'Answer' }));
+    });
+    await act(async () => {
+      fireEvent.click(within(block('Is it waterproof?')).getByRole('button', { name: 'Delete' }));
+    });
+
+    expect(toast.error).toHaveBeenCalledWith('Answer is required');
+    expect(toast.error).toHaveBeenCalledWith('Question not found');
+  });
+
+  it('reports when the queue cannot be loaded', async () => {
+    axios.get.mockRejectedValue(new Error('network'));
+
+    await renderPage();
+
+    expect(toast.error).toHaveBeenCalledWith('Something went wrong in getting questions');
+  });
+});
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import moment from "moment";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+
+const Reviews = () => {
+  const [reviews, setReviews] = useState([]);
+
+  //get all reviews
+  const getAllReviews = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/review/all-reviews");
+      if (data?.success) {
+        setReviews(data.reviews);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting reviews");
+    }
+  };
+
+  useEffect(() => {
+    getAllReviews();
+  }, []);
+
+  //hide a review from the product page, or show it again
+  const handleVisibility = async (r) => {
+    try {
+      const { data } = await axios.put(
+        `/api/v1/review/review-visibility/${r._id}`,
+        { hidden: !r.hidden }
+      );
+      if (data?.success) {
+        toast.success(data.message);
+        getAllReviews();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  //delete review
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/review/delete-review/${id}`);
+      if (data?.success) {
+        toast.success("Review is deleted");
+        getAllReviews();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Reviews"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Moderate Reviews</h1>
+            {!reviews.length && <p>No reviews yet</p>}
+            <div className="w-100">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th scope="col">Product</th>
+                    <th scope="col">Customer</th>
+                    <th scope="col">Rating</th>
+                    <th scope="col">Review</th>
+                    <th scope="col">Written</th>
+                    <th scope="col">Status</th>
+                    <th scope="col">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reviews?.map((r) => (
+                    <tr key={r._id}>
+                      <td>
+                        {r.product ? (
+                          <Link to={`/product/${r.product.slug}`}>
+                            {r.product.name}
+                          </Link>
+                        ) : (
+                          "Deleted product"
+                        )}
+                      </td>
+                      <td>{r.user?.name}</td>
+                      <td>{r.rating} / 5</td>
+                      <td>{r.comment}</td>
+                      <td>{moment(r.updatedAt).fromNow()}</td>
+                      <td>{r.hidden ? "Hidden" : "Visible"}</td>
+                      <td>
+                        <button
+                          className="btn btn-outline-secondary ms-2"
+                          onClick={() => handleVisibility(r)}
+                        >
+                          {r.hidden ? "Show" : "Hide"}
+                        </button>
+                        <button
+                          className="btn btn-danger ms-2"
+                          onClick={() => handleDelete(r._id)}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Reviews;
@@ -0,0 +1,141 @@
+import React from 'react';
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { MemoryRouter } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import Reviews from './Reviews';
+
+jest.mock('axios');
+jest.mock('react-hot-toast');
+
+jest.mock('../../components/Layout', () => {
+  return ({ children, title }) => (
+    <div data-testid='layout' data-title={title}>
+      {children}
+    </div>
+  );
+});
+
+jest.mock('../../components/AdminMenu', () => {
+  return () => <div data-testid='admin-menu'>AdminMenu</div>;
+});
+
+const sampleReviews = [
+  {
+    _id: 'r1',
+    product: { _id: 'p1', name: 'Widget', slug: 'widget' },
+    user: { _id: 'u1', name: 'Ann' },
+    rating: 5,
+    comment: 'Love it',
+    hidden: false,
+    updatedAt: new Date().toISOString(),
+  },
+  {
+    _id: 'r2',
+    product: null,
+    user: { _id: 'u2', name: 'Bob' },
+    rating: 1,
+    comment: 'Buy my stuff instead',
+    hidden: true,
+    updatedAt: new Date().toISOString(),
+  },
+];
+
+const renderPage = async () => {
+  await act(async () => {
+    render(
+      <MemoryRouter>
+        <Reviews />
+      </MemoryRouter>,
+    );
+  });
+};
+
+const row = (name) => screen.getByRole('cell', { name }).closest('tr');
+
+describe('Reviews Admin Page', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.get.mockResolvedValue({ data: { success: true, reviews: sampleReviews } });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('lists every review with its product, author and status', async () => {
+    await renderPage();
+
+    expect(axios.get).toHaveBeenCalledWith('/api/v1/review/all-reviews');
+    expect(screen.getByTestId('layout')).toHaveAttribute('data-title', 'Dashboard - Reviews');
+    expect(screen.getByRole('link', { name: 'Widget' })).toHaveAttribute('href', '/product/widget');
+    expect(within(row('Love it')).getByText('5 / 5')).toBeInTheDocument();
+    expect(within(row('Love it')).getByText('Visible')).toBeInTheDocument();
+    expect(within(row('Buy my stuff instead')).getByText('Deleted product')).toBeInTheDocument();
+    expect(within(row('Buy my stuff instead')).getByText('Hidden')).toBeInTheDocument();
+  });
+
+  it('says when there is nothing to moderate', async () => {
+    axios.get.mockResolvedValue({ data: { success: true, reviews: [] } });
+
+    await renderPage();
+
+    expect(screen.getByText('No reviews yet')).toBeInTheDocument();
+  });
+
+  it('hides a visible review and shows a hidden one', async () => {
+    axios.put.mockResolvedValue({ data: { success: true, message: 'Review hidden' } });
+    await renderPage();
+
+    await act(async () => {
+      fireEvent.click(within(row('Love it')).getByRole('button', { name: 'Hide' }));
+    });
+    await act(async () => {
+      fireEvent.click(within(row('Buy my stuff instead')).getByRole('button', { name: 'Show' }));
+    });
+
+    expect(axios.put).toHaveBeenNthCalledWith(1, '/api/v1/review/review-visibility/r1', { hidden: true });
+    expect(axios.put).toHaveBeenNthCalledWith(2, '/api/v1/review/review-visibility/r2', { hidden: false });
+    expect(toast.success).toHaveBeenCalledWith('Review hidden');
+    expect(axios.get).toHaveBeenCalledTimes(3);
+  });
+
+  it('deletes a review', async () => {
+    axios.delete.mockResolvedValue({ data: { success: true } });
+    await renderPage();
+
+    await act(async () => {
+      fireEvent.click(within(row('Love it')).getByRole('button', { name: 'Delete' }));
+    });
+
+    expect(axios.delete).toHaveBeenCalledWith('/api/v1/review/delete-review/r1');
+    expect(toast.success).toHaveBeenCalledWith('Review is deleted');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports a failed moderation action', async () => {
+    axios.put.mockResolvedValue({ data: { success: false, message: 'Review not found' } });
+    axios.delete.mockRejectedValue(new Error('network'));
+    await renderPage();
+
+    await act(async () => {
+      fireEvent.click(within(row('Love it')).getByRole('button', { name: 'Hide' }));
+    });
+    await act(async () => {
+      fireEvent.click(within(row('Love it')).getByRole('button', { name: 'Delete' }));
+    });
+
+    expect(toast.error).toHaveBeenCalledWith('Review not found');
+    expect(toast.error).toHaveBeenCalledWith('Something went wrong');
+  });
+
+  it('reports when the reviews cannot be loaded', async () => {
+    axios.get.mockRejectedValue(new Error('network'));
+
+    await renderPage();
+
+    expect(toast.error).toHaveBeenCalledWith('Something went wrong in getting reviews');
+  });
+});
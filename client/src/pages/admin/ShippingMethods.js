@@ -0,0 +1,286 @@
+import React, { useEffect, useState } from "react";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+
+const emptyForm = {
+  name: "",
+  kind: "standard",
+  description: "",
+  rateType: "flat",
+  rate: "",
+  freeOver: "",
+  active: true,
+};
+
+const RATE_LABELS = {
+  flat: "Fee",
+  weight: "Fee per kg",
+  value: "Percent of order value",
+};
+
+const formatPrice = (value) =>
+  Number(value).toLocaleString("en-US", { style: "currency", currency: "USD" });
+
+const describeRate = (m) => {
+  if (m.rateType === "weight") return `${formatPrice(m.rate)} / kg`;
+  if (m.rateType === "value") return `${m.rate}% of order`;
+  return m.rate ? formatPrice(m.rate) : "Free";
+};
+
+const ShippingMethods = () => {
+  const [methods, setMethods] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editing, setEditing] = useState(null);
+
+  const setField = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  //get all shipping methods
+  const getAllMethods = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/shipping/get-methods");
+      if (data?.success) {
+        setMethods(data.shippingMethods);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting shipping methods");
+    }
+  };
+
+  useEffect(() => {
+    getAllMethods();
+  }, []);
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditing(null);
+  };
+
+  //create or update shipping method
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = editing
+        ? await axios.put(`/api/v1/shipping/update-method/${editing}`, form)
+        : await axios.post("/api/v1/shipping/create-method", form);
+      if (data?.success) {
+        toast.success(
+          `${data.shippingMethod.name} is ${editing ? "updated" : "created"}`
+        );
+        resetForm();
+        getAllMethods();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  const handleEdit = (m) => {
+    setEditing(m._id);
+    setForm({
+      name: m.name,
+      kind: m.kind,
+      description: m.description || "",
+      rateType: m.rateType,
+      rate: String(m.rate),
+      freeOver: typeof m.freeOver === "number" ? String(m.freeOver) : "",
+      active: m.active,
+    });
+  };
+
+  //delete shipping method
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/shipping/delete-method/${id}`);
+      if (data?.success) {
+        toast.success("Shipping method is deleted");
+        if (editing === id) resetForm();
+        getAllMethods();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Shipping"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Manage Shipping Methods</h1>
+            <form className="p-3 w-75" onSubmit={handleSubmit}>
+              <div className="row g-2 mb-2">
+                <div className="col-md-4">
+                  <label htmlFor="shipping-name" className="form-label">
+                    Name
+                  </label>
+                  <input
+                    id="shipping-name"
+                    type="text"
+                    className="form-control"
+                    value={form.name}
+                    onChange={setField("name")}
+                  />
+                </div>
+                <div className="col-md-3">
+                  <label htmlFor="shipping-kind" className="form-label">
+                    Kind
+                  </label>
+                  <select
+                    id="shipping-kind"
+                    className="form-select"
+                    value={form.kind}
+                    onChange={setField("kind")}
+                  >
+                    <option value="standard">Standard</option>
+                    <option value="express">Express</option>
+                    <option value="pickup">Pickup</option>
+                  </select>
+                </div>
+                <div className="col-md-5">
+                  <label htmlFor="shipping-description" className="form-label">
+                    Description
+                  </label>
+                  <input
+                    id="shipping-description"
+                    type="text"
+                    placeholder="e.g. 3-5 business days"
+                    className="form-control"
+                    value={form.description}
+                    onChange={setField("description")}
+                  />
+                </div>
+              </div>
+              <div className="row g-2 mb-2">
+                <div className="col-md-4">
+                  <label htmlFor="shipping-rate-type" className="form-label">
+                    Priced by
+                  </label>
+                  <select
+                    id="shipping-rate-type"
+                    className="form-select"
+                    value={form.rateType}
+                    onChange={setField("rateType")}
+                  >
+                    <option value="flat">Flat fee</option>
+                    <option value="weight">Weight</option>
+                    <option value="value">Order value</option>
+                  </select>
+                </div>
+                <div className="col-md-4">
+                  <label htmlFor="shipping-rate" className="form-label">
+                    {RATE_LABELS[form.rateType]}
+                  </label>
+                  <input
+                    id="shipping-rate"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    className="form-control"
+                    value={form.rate}
+                    onChange={setField("rate")}
+                  />
+                </div>
+                <div className="col-md-4">
+                  <label htmlFor="shipping-free-over" className="form-label">
+                    Free from order value
+                  </label>
+                  <input
+                    id="shipping-free-over"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="Never free"
+                    className="form-control"
+                    value={form.freeOver}
+                    onChange={setField("freeOver")}
+                  />
+                </div>
+              </div>
+              <div className="form-check mb-3">
+                <input
+                  id="shipping-active"
+                  type="checkbox"
+                  className="form-check-input"
+                  checked={form.active}
+                  onChange={(e) => setForm({ ...form, active: e.target.checked })}
+                />
+                <label htmlFor="shipping-active" className="form-check-label">
+                  Offered at checkout
+                </label>
+              </div>
+              <button type="submit" className="btn btn-primary">
+                {editing ? "Update Method" : "Create Method"}
+              </button>
+              {editing && (
+                <button
+                  type="button"
+                  className="btn btn-outline-secondary ms-2"
+                  onClick={resetForm}
+                >
+                  Cancel
+                </button>
+              )}
+            </form>
+            <div className="w-100">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th scope="col">Name</th>
+                    <th scope="col">Kind</th>
+                    <th scope="col">Rate</th>
+                    <th scope="col">Free from</th>
+                    <th scope="col">Status</th>
+                    <th scope="col">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {methods?.map((m) => (
+                    <tr key={m._id}>
+                      <td>{m.name}</td>
+                      <td>{m.kind}</td>
+                      <td>{describeRate(m)}</td>
+                      <td>
+                        {typeof m.freeOver === "number"
+                          ? formatPrice(m.freeOver)
+                          : "-"}
+                      </td>
+                      <td>{m.active ? "Active" : "Inactive"}</td>
+                      <td>
+                        <button
+                          className="btn btn-primary ms-2"
+                          onClick={() => handleEdit(m)}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-danger ms-2"
+                          onClick={() => handleDelete(m._id)}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default ShippingMethods;
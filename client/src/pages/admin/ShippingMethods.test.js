@@ -0,0 +1,153 @@
+import React from 'react';
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { MemoryRouter } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import ShippingMethods from './ShippingMethods';
+
+jest.mock('axios');
+jest.mock('react-hot-toast');
+
+jest.mock('../../components/Layout', () => {
+  return ({ children, title }) => (
+    <div data-testid='layout' data-title={title}>
+      {children}
+    </div>
+  );
+});
+
+jest.mock('../../components/AdminMenu', () => {
+  return () => <div data-testid='admin-menu'>AdminMenu</div>;
+});
+
+const sampleMethods = [
+  { _id: 's1', name: 'Standard', kind: 'standard', rateType: 'weight', rate: 2.5, freeOver: 100, active: true },
+  { _id: 's2', name: 'Express', kind: 'express', description: 'Next day', rateType: 'flat', rate: 12, active: true },
+  { _id: 's3', name: 'Store pickup', kind: 'pickup', rateType: 'flat', rate: 0, active: false },
+  { _id: 's4', name: 'Insured', kind: 'standard', rateType: 'value', rate: 3, active: true },
+];
+
+const renderPage = async () => {
+  await act(async () => {
+    render(
+      <MemoryRouter>
+        <ShippingMethods />
+      </MemoryRouter>,
+    );
+  });
+};
+
+const row = (name) => screen.getByRole('cell', { name }).closest('tr');
+
+describe('ShippingMethods Admin Page', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.get.mockResolvedValue({ data: { success: true, shippingMethods: sampleMethods } });
+  });
+
+  it('lists the methods with how they are priced', async () => {
+    await renderPage();
+
+    expect(axios.get).toHaveBeenCalledWith('/api/v1/shipping/get-methods');
+    expect(within(row('Standard')).getByText('$2.50 / kg')).toBeInTheDocument();
+    expect(within(row('Standard')).getByText('$100.00')).toBeInTheDocument();
+    expect(within(row('Express')).getByText('$12.00')).toBeInTheDocument();
+    expect(within(row('Store pickup')).getByText('Free')).toBeInTheDocument();
+    expect(within(row('Store pickup')).getByText('Inactive')).toBeInTheDocument();
+    expect(within(row('Insured')).getByText('3% of order')).toBeInTheDocument();
+  });
+
+  it('creates a method from the form', async () => {
+    axios.post.mockResolvedValue({ data: { success: true, shippingMethod: { name: 'Overnight' } } });
+    await renderPage();
+
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Overnight' } });
+    fireEvent.change(screen.getByLabelText('Kind'), { target: { value: 'express' } });
+    fireEvent.change(screen.getByLabelText('Priced by'), { target: { value: 'weight' } });
+    fireEvent.change(screen.getByLabelText('Fee per kg'), { target: { value: '4' } });
+    fireEvent.change(screen.getByLabelText('Free from order value'), { target: { value: '250' } });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Create Method' }));
+    });
+
+    expect(axios.post).toHaveBeenCalledWith('/api/v1/shipping/create-method', {
+      name: 'Overnight',
+      kind: 'express',
+      description: '',
+      rateType: 'weight',
+      rate: '4',
+      freeOver: '250',
+      active: true,
+    });
+    expect(toast.success).toHaveBeenCalledWith('Overnight is created');
+    expect(screen.getByLabelText('Name')).toHaveValue('');
+  });
+
+  it('shows the reason the server refused a method', async () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.post.mockRejectedValue({ response: { data: { message: 'Rate cannot be negative' } } });
+    await renderPage();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Create Method' }));
+    });
+
+    expect(toast.error).toHaveBeenCalledWith('Rate cannot be negative');
+    consoleSpy.mockRestore();
+  });
+
+  it('edits a method in the form', async () => {
+    axios.put.mockResolvedValue({ data: { success: true, shippingMethod: { name: 'Express' } } });
+    await renderPage();
+
+    fireEvent.click(within(row('Express')).getByRole('button', { name: 'Edit' }));
+    expect(screen.getByLabelText('Description')).toHaveValue('Next day');
+    fireEvent.click(screen.getByLabelText('Offered at checkout'));
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Update Method' }));
+    });
+
+    expect(axios.put).toHaveBeenCalledWith('/api/v1/shipping/update-method/s2', {
+      name: 'Express',
+      kind: 'express',
+      description: 'Next day',
+      rateType: 'flat',
+      rate: '12',
+      freeOver: '',
+      active: false,
+    });
+    expect(toast.success).toHaveBeenCalledWith('Express is updated');
+  });
+
+  it('cancels an edit', async () => {
+    await renderPage();
+
+    fireEvent.click(within(row('Standard')).getByRole('button', { name: 'Edit' }));
+    expect(screen.getByLabelText('Free from order value')).toHaveValue(100);
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(screen.getByLabelText('Name')).toHaveValue('');
+  });
+
+  it('deletes a method', async () => {
+    axios.delete.mockResolvedValue({ data: { success: true } });
+    await renderPage();
+
+    await act(async () => {
+      fireEvent.click(within(row('Insured')).getByRole('button', { name: 'Delete' }));
+    });
+
+    expect(axios.delete).toHaveBeenCalledWith('/api/v1/shipping/delete-method/s4');
+    expect(toast.success).toHaveBeenCalledWith('Shipping method is deleted');
+  });
+
+  it('reports a failed load', async () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.get.mockRejectedValue(new Error('Network Error'));
+    await renderPage();
+
+    expect(toast.error).toHaveBeenCalledWith('Something went wrong in getting shipping methods');
+    consoleSpy.mockRestore();
+  });
+});
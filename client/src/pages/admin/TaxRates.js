@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from "react";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+
+const emptyForm = {
+  name: "",
+  region: "",
+  taxClass: "standard",
+  rate: "",
+};
+
+const TaxRates = () => {
+  const [taxRates, setTaxRates] = useState([]);
+  const [mode, setMode] = useState("exclusive");
+  const [form, setForm] = useState(emptyForm);
+  const [editing, setEditing] = useState(null);
+
+  const setField = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  //get all tax rates
+  const getAllTaxRates = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/tax/get-rates");
+      if (data?.success) {
+        setTaxRates(data.taxRates);
+        setMode(data.mode);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting tax rates");
+    }
+  };
+
+  useEffect(() => {
+    getAllTaxRates();
+  }, []);
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditing(null);
+  };
+
+  //create or update tax rate
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = editing
+        ? await axios.put(`/api/v1/tax/update-rate/${editing}`, form)
+        : await axios.post("/api/v1/tax/create-rate", form);
+      if (data?.success) {
+        toast.success(`${data.taxRate.name} is ${editing ? "updated" : "created"}`);
+        resetForm();
+        getAllTaxRates();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  const handleEdit = (t) => {
+    setEditing(t._id);
+    setForm({
+      name: t.name,
+      region: t.region,
+      taxClass: t.taxClass,
+      rate: String(t.rate),
+    });
+  };
+
+  //delete tax rate
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(`/api/v1/tax/delete-rate/${id}`);
+      if (data?.success) {
+        toast.success("Tax rate is deleted");
+        if (editing === id) resetForm();
+        getAllTaxRates();
+      } else {
+        toast.error(data?.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Tax Rates"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Manage Tax Rates</h1>
+            <p className="text-muted">
+              {mode === "inclusive"
+                ? "Product prices include tax."
+                : "Tax is added on top of product prices."}{" "}
+              Region * applies wherever no other rate names the destination.
+            </p>
+            <form className="p-3 w-75" onSubmit={handleSubmit}>
+              <div className="row g-2 mb-3">
+                <div className="col-md-4">
+                  <label htmlFor="tax-name" className="form-label">
+                    Name
+                  </label>
+                  <input
+                    id="tax-name"
+                    type="text"
+                    className="form-control"
+                    value={form.name}
+                    onChange={setField("name")}
+                  />
+                </div>
+                <div className="col-md-3">
+                  <label htmlFor="tax-region" className="form-label">
+                    Region
+                  </label>
+                  <input
+                    id="tax-region"
+                    type="text"
+                    placeholder="e.g. CA or *"
+                    className="form-control"
+                    value={form.region}
+                    onChange={setField("region")}
+                  />
+                </div>
+                <div className="col-md-3">
+                  <label htmlFor="tax-class" className="form-label">
+                    Tax class
+                  </label>
+                  <input
+                    id="tax-class"
+                    type="text"
+                    className="form-control"
+                    value={form.taxClass}
+                    onChange={setField("taxClass")}
+                  />
+                </div>
+                <div className="col-md-2">
+                  <label htmlFor="tax-rate" className="form-label">
+                    Rate (%)
+                  </label>
+                  <input
+                    id="tax-rate"
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.001"
+                    className="form-control"
+                    value={form.rate}
+                    onChange={setField("rate")}
+                  />
+                </div>
+              </div>
+              <button type="submit" className="btn btn-primary">
+                {editing ? "Update Rate" : "Create Rate"}
+              </button>
+              {editing && (
+                <button
+                  type="button"
+                  className="btn btn-outline-secondary ms-2"
+                  onClick={resetForm}
+                >
+                  Cancel
+                </button>
+              )}
+            </form>
+            <div className="w-75">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th scope="col">Name</th>
+                    <th scope="col">Region</th>
+                    <th scope="col">Tax class</th>
+                    <th scope="col">Rate</th>
+                    <th scope="col">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {taxRates?.map((t) => (
+                    <tr key={t._id}>
+                      <td>{t.name}</td>
+                      <td>{t.region}</td>
+                      <td>{t.taxClass}</td>
+                      <td>{t.rate}%</td>
+                      <td>
+                        <button
+                          className="btn btn-primary ms-2"
+                          onClick={() => handleEdit(t)}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-danger ms-2"
+                          onClick={() => handleDelete(t._id)}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default TaxRates;
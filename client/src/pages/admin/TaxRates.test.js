@@ -0,0 +1,159 @@
+import React from 'react';
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { MemoryRouter } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import TaxRates from './TaxRates';
+
+jest.mock('axios');
+jest.mock('react-hot-toast');
+
+jest.mock('../../components/Layout', () => {
+  return ({ children, title }) => (
+    <div data-testid='layout' data-title={title}>
+      {children}
+    </div>
+  );
+});
+
+jest.mock('../../components/AdminMenu', () => {
+  return () => <div data-testid='admin-menu'>AdminMenu</div>;
+});
+
+const sampleRates = [
+  { _id: 't1', name: 'CA sales tax', region: 'CA', taxClass: 'standard', rate: 7.25 },
+  { _id: 't2', name: 'Food', region: '*', taxClass: 'food', rate: 1 },
+];
+
+const setupGetMock = ({ taxRates = sampleRates, mode = 'exclusive' } = {}) => {
+  axios.get.mockResolvedValue({ data: { success: true, taxRates, mode } });
+};
+
+const renderPage = async () => {
+  await act(async () => {
+    render(
+      <MemoryRouter>
+        <TaxRates />
+      </MemoryRouter>,
+    );
+  });
+};
+
+const fillForm = () => {
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'NY sales tax' } });
+  fireEvent.change(screen.getByLabelText('Region'), { target: { value: 'ny' } });
+  fireEvent.change(screen.getByLabelText('Rate (%)'), { target: { value: '8' } });
+};
+
+describe('TaxRates Admin Page', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setupGetMock();
+  });
+
+  it('lists the rates', async () => {
+    await renderPage();
+
+    expect(axios.get).toHaveBeenCalledWith('/api/v1/tax/get-rates');
+    const ca = screen.getByText('CA sales tax').closest('tr');
+    expect(within(ca).getByText('CA')).toBeInTheDocument();
+    expect(within(ca).getByText('standard')).toBeInTheDocument();
+    expect(within(ca).getByText('7.25%')).toBeInTheDocument();
+    expect(within(screen.getByText('Food').closest('tr')).getByText('*')).toBeInTheDocument();
+  });
+
+  it('says whether prices include tax', async () => {
+    setupGetMock({ mode: 'inclusive' });
+    await renderPage();
+
+    expect(screen.getByText(/Product prices include tax/)).toBeInTheDocument();
+  });
+
+  it('creates a rate from the form', async () => {
+    axios.post.mockResolvedValue({ data: { success: true, taxRate: { name: 'NY sales tax' } } });
+    await renderPage();
+    fillForm();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Create Rate' }));
+    });
+
+    expect(axios.post).toHaveBeenCalledWith('/api/v1/tax/create-rate', {
+      name: 'NY sales tax',
+      region: 'ny',
+      taxClass: 'standard',
+      rate: '8',
+    });
+    expect(toast.success).toHaveBeenCalledWith('NY sales tax is created');
+    expect(screen.getByLabelText('Name')).toHaveValue('');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('shows the reason the server refused a rate', async () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.post.mockRejectedValue({
+      response: { data: { message: 'A rate for this region and tax class already exists' } },
+    });
+    await renderPage();
+    fillForm();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Create Rate' }));
+    });
+
+    expect(toast.error).toHaveBeenCalledWith('A rate for this region and tax class already exists');
+    consoleSpy.mockRestore();
+  });
+
+  it('edits a rate in the form', async () => {
+    axios.put.mockResolvedValue({ data: { success: true, taxRate: { name: 'CA sales tax' } } });
+    await renderPage();
+
+    fireEvent.click(within(screen.getByText('CA sales tax').closest('tr')).getByRole('button', { name: 'Edit' }));
+    expect(screen.getByLabelText('Rate (%)')).toHaveValue(7.25);
+    fireEvent.change(screen.getByLabelText('Rate (%)'), { target: { value: '7.5' } });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Update Rate' }));
+    });
+
+    expect(axios.put).toHaveBeenCalledWith('/api/v1/tax/update-rate/t1', {
+      name: 'CA sales tax',
+      region: 'CA',
+      taxClass: 'standard',
+      rate: '7.5',
+    });
+    expect(toast.success).toHaveBeenCalledWith('CA sales tax is updated');
+  });
+
+  it('cancels an edit', async () => {
+    await renderPage();
+
+    fireEvent.click(within(screen.getByText('Food').closest('tr')).getByRole('button', { name: 'Edit' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(screen.getByLabelText('Name')).toHaveValue('');
+    expect(screen.getByRole('button', { name: 'Create Rate' })).toBeInTheDocument();
+  });
+
+  it('deletes a rate', async () => {
+    axios.delete.mockResolvedValue({ data: { success: true } });
+    await renderPage();
+
+    await act(async () => {
+      fireEvent.click(within(screen.getByText('Food').closest('tr')).getByRole('button', { name: 'Delete' }));
+    });
+
+    expect(axios.delete).toHaveBeenCalledWith('/api/v1/tax/delete-rate/t2');
+    expect(toast.success).toHaveBeenCalledWith('Tax rate is deleted');
+  });
+
+  it('reports a failed load', async () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.get.mockRejectedValue(new Error('Network Error'));
+    await renderPage();
+
+    expect(toast.error).toHaveBeenCalledWith('Something went wrong in getting tax rates');
+    consoleSpy.mockRestore();
+  });
+});
@@ -4,6 +4,14 @@ import AdminMenu from "./../../components/AdminMenu";
 import toast from "react-hot-toast";
 import axios from "axios";
 import { Select } from "antd";
+import VariantForm from "./../../components/Form/VariantForm";
+import ImageGalleryForm from "./../../components/Form/ImageGalleryForm";
+import {
+  appendVariants,
+  toEditorOptions,
+  toEditorVariants,
+} from "./../../helpers/variantHelper";
+import { appendImages, toEditorImages } from "./../../helpers/imageHelper";
 import { useNavigate, useParams } from "react-router-dom";
 const { Option } = Select;
 
@@ -17,7 +25,12 @@ const UpdateProduct = () => {
   const [category, setCategory] = useState("");
   const [quantity, setQuantity] = useState("");
   const [shipping, setShipping] = useState("");
+  const [taxClass, setTaxClass] = useState("standard");
+  const [weight, setWeight] = useState("");
   const [photo, setPhoto] = useState("");
+  const [options, setOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
+  const [images, setImages] = useState([]);
   const [id, setId] = useState("");
 
   //get single product
@@ -32,7 +45,12 @@ const UpdateProduct = () => {
       setPrice(data.product.price);
       setQuantity(data.product.quantity);
       setShipping(data.product.shipping);
+      setTaxClass(data.product.taxClass || "standard");
+      setWeight(data.product.weight ?? "");
       setCategory(data.product.category._id);
+      setOptions(toEditorOptions(data.product.options));
+      setVariants(toEditorVariants(data.product.variants));
+      setImages(toEditorImages(data.product.images));
     } catch (error) {
       console.log(error);
     }
@@ -70,6 +88,10 @@ const UpdateProduct = () => {
       productData.append("quantity", quantity);
       photo && productData.append("photo", photo);
       productData.append("category", category);
+      productData.append("taxClass", taxClass);
+      productData.append("weight", weight);
+      appendVariants(productData, options, variants);
+      appendImages(productData, images);
       productData.append("shipping", shipping);  
       
       const { data } = await axios.put(
@@ -192,13 +214,46 @@ const UpdateProduct = () => {
                   onChange={(e) => setPrice(e.target.value)}
                 />
               </div>
+              {variants.length === 0 && (
+                <div className="mb-3">
+                  <input
+                    type="number"
+                    value={quantity}
+                    placeholder="write a quantity"
+                    className="form-control"
+                    onChange={(e) => setQuantity(e.target.value)}
+                  />
+                </div>
+              )}
               <div className="mb-3">
                 <input
                   type="number"
-                  value={quantity}
-                  placeholder="write a quantity"
+                  value={weight}
+                  placeholder="write a weight in kg"
+                  className="form-control"
+                  onChange={(e) => setWeight(e.target.value)}
+                />
+              </div>
+              <VariantForm
+                options={options}
+                setOptions={setOptions}
+                variants={variants}
+                setVariants={setVariants}
+                skuPrefix={name.trim()}
+              />
+              <ImageGalleryForm
+                images={images}
+                setImages={setImages}
+                productId={id}
+              />
+              <div className="mb-3">
+                <input
+                  type="text"
+                  value={taxClass}
+                  placeholder="write a tax class"
+                  aria-label="Tax class"
                   className="form-control"
-                  onChange={(e) => setQuantity(e.target.value)}
+                  onChange={(e) => setTaxClass(e.target.value)}
                 />
               </div>
               <div className="mb-3">
@@ -85,6 +85,8 @@ function setupDefaultAxios() {
             price: 99,
             quantity: 5,
             shipping: 1,
+            taxClass: "reduced",
+            weight: 2.5,
             category: { _id: "cat2", name: "Cat 2" },
           },
         },
@@ -227,12 +229,131 @@ test("handleUpdate sends PUT with FormData and navigates on success", async () =
   expect(body.quantity).toBe("9");
   expect(body.category).toBe("cat1");
   expect(body.shipping).toBe("1");
+  expect(body.taxClass).toBe("reduced");
+  expect(body.weight).toBe("2.5");
   expect(body.photo).toBeInstanceOf(File);
 
   expect(toast.success).toHaveBeenCalledWith("Product Updated Successfully");
   expect(mockNavigate).toHaveBeenCalledWith("/dashboard/admin/products");
 });
 
+test("loads the product's tax class and sends the edited one", async () => {
+  setupDefaultAxios();
+  axios.put.mockResolvedValue({ data: { success: true } });
+
+  render(<UpdateProduct />);
+
+  await waitForInitialLoad();
+  await waitFor(() => expect(screen.getByLabelText("Tax class")).toHaveValue("reduced"));
+
+  await actUser(async () => {
+    await userEvent.clear(screen.getByLabelText("Tax class"));
+    await userEvent.type(screen.getByLabelText("Tax class"), "food");
+    await userEvent.click(screen.getByRole("button", { name: /update product/i }));
+  });
+
+  await waitFor(() => expect(axios.put).toHaveBeenCalledTimes(1));
+  expect(formDataToObject(axios.put.mock.calls[0][1]).taxClass).toBe("food");
+});
+
+test("loads the product's variants and sends them back with their ids", async () => {
+  setupDefaultAxios();
+  const getDefault = axios.get.getMockImplementation();
+  axios.get.mockImplementation((url) =>
+    url.startsWith("/api/v1/product/get-product/")
+      ? getDefault(url).then(({ data }) => ({
+          data: {
+            product: {
+              ...data.product,
+              options: [{ name: "Size", values: ["S", "M"] }],
+              variants: [
+                {
+                  _id: "v1",
+                  sku: "OLD-S",
+                  options: [{ name: "Size", value: "S" }],
+                  price: 89,
+                  quantity: 2,
+                  photo: { contentType: "image/png" },
+                },
+              ],
+            },
+          },
+        }))
+      : getDefault(url)
+  );
+  axios.put.mockResolvedValue({ data: { success: true } });
+
+  render(<UpdateProduct />);
+
+  await waitForInitialLoad();
+  await waitFor(() => expect(screen.getByLabelText("SKU for S")).toHaveValue("OLD-S"));
+  expect(screen.getByLabelText("Option 1 values")).toHaveValue("S, M");
+  expect(screen.getByText("Change Photo")).toBeInTheDocument();
+  expect(screen.queryByPlaceholderText("write a quantity")).not.toBeInTheDocument();
+
+  await actUser(async () => {
+    await userEvent.clear(screen.getByLabelText("Stock for S"));
+    await userEvent.type(screen.getByLabelText("Stock for S"), "6");
+    await userEvent.click(screen.getByRole("button", { name: /update product/i }));
+  });
+
+  await waitFor(() => expect(axios.put).toHaveBeenCalledTimes(1));
+  const sent = formDataToObject(axios.put.mock.calls[0][1]);
+  expect(JSON.parse(sent.variants)).toEqual([
+    { _id: "v1", sku: "OLD-S", options: [{ name: "Size", value: "S" }], price: 89, quantity: "6" },
+  ]);
+  expect(JSON.parse(sent.options)).toEqual([{ name: "Size", values: ["S", "M"] }]);
+});
+
+test("loads the product's gallery and sends it back with its ids", async () => {
+  setupDefaultAxios();
+  const getDefault = axios.get.getMockImplementation();
+  axios.get.mockImplementation((url) =>
+    url.startsWith("/api/v1/product/get-product/")
+      ? getDefault(url).then(({ data }) => ({
+          data: {
+            product: {
+              ...data.product,
+              images: [
+                { _id: "i1", alt: "Front", contentType: "image/png", original: "f1" },
+                { _id: "i2", alt: "Back", contentType: "image/png", original: "f2" },
+              ],
+            },
+          },
+        }))
+      : getDefault(url)
+  );
+  axios.put.mockResolvedValue({ data: { success: true } });
+  const side = new File(["s"], "side.png", { type: "image/png" });
+
+  render(<UpdateProduct />);
+
+  await waitForInitialLoad();
+  await waitFor(() => expect(screen.getByAltText("Back")).toBeInTheDocument());
+  expect(screen.getByAltText("Front")).toHaveAttribute(
+    "src",
+    expect.stringContaining("/api/v1/product/product-image/")
+  );
+
+  await actUser(async () => {
+    await userEvent.click(screen.getByRole("button", { name: "Remove image 1" }));
+  });
+  await actUser(async () => {
+    await userEvent.upload(screen.getByLabelText("Add Images"), side);
+  });
+  await actUser(async () => {
+    await userEvent.click(screen.getByRole("button", { name: /update product/i }));
+  });
+
+  await waitFor(() => expect(axios.put).toHaveBeenCalledTimes(1));
+  const sent = formDataToObject(axios.put.mock.calls[0][1]);
+  expect(JSON.parse(sent.images)).toEqual([
+    { _id: "i2", alt: "Back" },
+    { upload: 0, alt: "" },
+  ]);
+  expect(sent.image0).toBe(side);
+});
+
 test("handleUpdate shows error toast when API returns success=false", async () => {
   setupDefaultAxios();
   axios.put.mockResolvedValue({ data: { success: false, message: "Nope" } });
@@ -1,8 +1,16 @@
 // Yeo Zi Yi, A0266292X
 import React from "react";
-import { render } from "@testing-library/react";
+import { fireEvent, render, waitFor } from "@testing-library/react";
+import axios from "axios";
+import toast from "react-hot-toast";
 import Search from "./Search";
 
+jest.mock("axios");
+jest.mock("react-hot-toast", () => ({
+  __esModule: true,
+  default: { error: jest.fn() },
+}));
+
 jest.mock("../context/search", () => ({
   useSearch: jest.fn(),
 }));
@@ -37,6 +45,21 @@ describe("Search page", () => {
     expect(getByTestId("layout-title")).toHaveTextContent("Search results");
   });
 
+  it("versions each card's photo by the product's last update", () => {
+    const updatedAt = "2024-05-01T08:00:00.000Z";
+    useSearch.mockReturnValue([
+      { results: [{ _id: "p1", name: "Prod 1", description: "d", price: 10, updatedAt }] },
+      jest.fn(),
+    ]);
+
+    const { getByAltText } = render(<Search />);
+
+    expect(getByAltText("Prod 1")).toHaveAttribute(
+      "src",
+      `/api/v1/product/product-photo/p1?size=thumbnail&v=${new Date(updatedAt).getTime()}`
+    );
+  });
+
   it('renders "No Products Found" when results length is < 1', () => {
     // Arrange
     useSearch.mockReturnValue([{ results: [] }, jest.fn()]);
@@ -73,7 +96,7 @@ describe("Search page", () => {
     expect(getByText("Found 2")).toBeInTheDocument();
 
     expect(getByText("Prod 1")).toBeInTheDocument();
-    expect(getByAltText("Prod 1")).toHaveAttribute("src", "/api/v1/product/product-photo/p1");
+    expect(getByAltText("Prod 1")).toHaveAttribute("src", "/api/v1/product/product-photo/p1?size=thumbnail");
     const p1Desc = products[0].description.substring(0, 30);
     expect(
       getByText((_, node) => node?.textContent === `${p1Desc}...`)
@@ -81,12 +104,113 @@ describe("Search page", () => {
     expect(getByText(/\$\s*10/)).toBeInTheDocument();
 
     expect(getByText("Prod 2")).toBeInTheDocument();
-    expect(getByAltText("Prod 2")).toHaveAttribute("src", "/api/v1/product/product-photo/p2");
+    expect(getByAltText("Prod 2")).toHaveAttribute("src", "/api/v1/product/product-photo/p2?size=thumbnail");
     const p2Desc = products[1].description.substring(0, 30);
     expect(
       getByText((_, node) => node?.textContent === `${p2Desc}...`)
     ).toBeInTheDocument();
     expect(getByText(/\$\s*20/)).toBeInTheDocument();
   });
-});
 
+  describe("counts, filters and paging", () => {
+    const page = (overrides = {}) => ({
+      keyword: "lamp",
+      filters: { inStock: false, minPrice: "", maxPrice: "" },
+      results: [{ _id: "p1", name: "Lamp", description: "A lamp", price: 20 }],
+      total: 25,
+      page: 1,
+      pages: 3,
+      ...overrides,
+    });
+    const nextPage = {
+      success: true,
+      products: [{ _id: "p2", name: "Desk lamp", description: "A desk lamp", price: 30 }],
+      total: 25,
+      page: 2,
+      pages: 3,
+    };
+
+    it("shows the total over all pages and where the page is", () => {
+      useSearch.mockReturnValue([page(), jest.fn()]);
+
+      const { getByText, getByRole } = render(<Search />);
+
+      expect(getByText("Found 25")).toBeInTheDocument();
+      expect(getByText("Page 1 of 3")).toBeInTheDocument();
+      expect(getByRole("button", { name: "Previous" })).toBeDisabled();
+      expect(getByRole("button", { name: "Next" })).toBeEnabled();
+    });
+
+    it("hides paging when the results fit on one page", () => {
+      useSearch.mockReturnValue([page({ total: 1, pages: 1 }), jest.fn()]);
+
+      const { queryByRole } = render(<Search />);
+
+      expect(queryByRole("navigation", { name: "Search pages" })).not.toBeInTheDocument();
+    });
+
+    it("loads the next page with the same filters", async () => {
+      const setValues = jest.fn();
+      const values = page({ filters: { inStock: true, minPrice: "", maxPrice: "" } });
+      useSearch.mockReturnValue([values, setValues]);
+      axios.get.mockResolvedValueOnce({ data: nextPage });
+
+      const { getByRole } = render(<Search />);
+      fireEvent.click(getByRole("button", { name: "Next" }));
+
+      await waitFor(() => expect(setValues).toHaveBeenCalled());
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search/lamp", {
+        params: { page: 2, inStock: true },
+      });
+      expect(setValues).toHaveBeenCalledWith({
+        ...values,
+        results: nextPage.products,
+        page: 2,
+      });
+    });
+
+    it("applies the filters from the first page", async () => {
+      const setValues = jest.fn();
+      useSearch.mockReturnValue([page({ page: 3 }), setValues]);
+      axios.get.mockResolvedValueOnce({ data: { ...nextPage, page: 1, total: 4, pages: 1 } });
+
+      const { getByLabelText, getByRole } = render(<Search />);
+      fireEvent.click(getByLabelText("In stock only"));
+      fireEvent.change(getByLabelText("Min price"), { target: { value: "10" } });
+      fireEvent.change(getByLabelText("Max price"), { target: { value: "50" } });
+      fireEvent.click(getByRole("button", { name: "Apply filters" }));
+
+      await waitFor(() => expect(setValues).toHaveBeenCalled());
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search/lamp", {
+        params: { page: 1, inStock: true, minPrice: "10", maxPrice: "50" },
+      });
+      expect(setValues).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filters: { inStock: true, minPrice: "10", maxPrice: "50" },
+          total: 4,
+          page: 1,
+        })
+      );
+    });
+
+    it("tells the shopper when the filters are refused", async () => {
+      const setValues = jest.fn();
+      useSearch.mockReturnValue([page(), setValues]);
+      axios.get.mockRejectedValueOnce({
+        response: { data: { message: "The lowest price cannot be above the highest" } },
+      });
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const { getByLabelText, getByRole } = render(<Search />);
+      fireEvent.change(getByLabelText("Min price"), { target: { value: "60" } });
+      fireEvent.change(getByLabelText("Max price"), { target: { value: "5" } });
+      fireEvent.click(getByRole("button", { name: "Apply filters" }));
+
+      await waitFor(() =>
+        expect(toast.error).toHaveBeenCalledWith("The lowest price cannot be above the highest")
+      );
+      expect(setValues).not.toHaveBeenCalled();
+      logSpy.mockRestore();
+    });
+  });
+});
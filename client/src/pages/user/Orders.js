@@ -4,6 +4,8 @@ import Layout from "./../../components/Layout";
 import axios from "axios";
 import { useAuth } from "../../context/auth";
 import moment from "moment";
+import { countItems } from "../../helpers/orderHelper";
+import { productPhotoUrl } from "../../helpers/imageHelper";
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
@@ -41,6 +43,7 @@ const Orders = () => {
                         <th scope="col"> date</th>
                         <th scope="col">Payment</th>
                         <th scope="col">Quantity</th>
+                        <th scope="col">Total</th>
                       </tr>
                     </thead>
                     <tbody>
@@ -50,26 +53,43 @@ const Orders = () => {
                         <td>{o?.buyer?.name}</td>
                         <td>{moment(o?.createAt).fromNow()}</td>
                         <td>{o?.payment.success ? "Success" : "Failed"}</td>
-                        <td>{o?.products?.length}</td>
+                        <td>{countItems(o?.products)}</td>
+                        <td>{o?.total}</td>
                       </tr>
                     </tbody>
                   </table>
+                  {o?.statusHistory?.length > 0 && (
+                    <ul className="list-unstyled container">
+                      {o.statusHistory.map((entry, j) => (
+                        <li key={j}>
+                          {entry.status} {moment(entry.changedAt).fromNow()}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                   <div className="container">
-                    {o?.products?.map((p, i) => (
-                      <div className="row mb-2 p-3 card flex-row" key={p._id}>
+                    {o?.products?.map((item) => (
+                      <div
+                        className="row mb-2 p-3 card flex-row"
+                        key={item.variant || item.product}
+                      >
                         <div className="col-md-4">
                           <img
-                            src={`/api/v1/product/product-photo/${p._id}`}
+                            src={productPhotoUrl(item.product, "thumbnail", item.productUpdatedAt)}
                             className="card-img-top"
-                            alt={p.name}
+                            alt={item.name}
                             width="100px"
                             height={"100px"}
                           />
                         </div>
                         <div className="col-md-8">
-                          <p>{p.name}</p>
-                          <p>{p.description.substring(0, 30)}</p>
-                          <p>Price : {p.price}</p>
+                          <p>{item.name}</p>
+                          <p>Price : {item.price}</p>
+                          <p>Quantity : {item.quantity}</p>
+                          <p>Subtotal : {item.total}</p>
+                          {item.refundedQuantity > 0 && (
+                            <p>Refunded : {item.refundedQuantity}</p>
+                          )}
                         </div>
                       </div>
                     ))}
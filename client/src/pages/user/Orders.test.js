@@ -84,7 +84,11 @@ describe("Orders page", () => {
           buyer: { name: "Alice" },
           createAt: "2026-01-01T00:00:00.000Z",
           payment: { success: true },
-          products: [{ _id: "p1", name: "N", description: "D".repeat(40), price: 10 }],
+          products: [
+            { product: "p1", name: "N", price: 10, quantity: 2, total: 20 },
+            { product: "p2", name: "M", price: 5, quantity: 1, total: 5 },
+          ],
+          total: 25,
         },
       ],
     });
@@ -99,11 +103,12 @@ describe("Orders page", () => {
     const row = statusCell.closest("tr");
     expect(row).not.toBeNull();
     const cells = within(row).getAllByRole("cell");
-    // cells: [#, status, buyer, date, payment, quantity]
+    // cells: [#, status, buyer, date, payment, quantity, total]
     expect(cells[1]).toHaveTextContent("Processing");
     expect(cells[2]).toHaveTextContent("Alice");
     expect(cells[4]).toHaveTextContent("Success");
-    expect(cells[5]).toHaveTextContent("1"); // quantity
+    expect(cells[5]).toHaveTextContent("3"); // units across line items
+    expect(cells[6]).toHaveTextContent("25");
     expect(mockMomentFromNow).toHaveBeenCalledTimes(1);
   });
 
@@ -117,7 +122,7 @@ describe("Orders page", () => {
           buyer: { name: "Bob" },
           createAt: "2026-01-01T00:00:00.000Z",
           payment: { success: false },
-          products: [{ _id: "p1", name: "N", description: "desc", price: 10 }],
+          products: [{ product: "p1", name: "N", price: 10, quantity: 1, total: 10 }],
         },
       ],
     });
@@ -129,10 +134,9 @@ describe("Orders page", () => {
     expect(await findByText("Failed")).toBeInTheDocument();
   });
 
-  it("renders product cards with image src, name, truncated description and price", async () => {
+  it("renders line item cards with image src, name, historical price, quantity and subtotal", async () => {
     // Arrange
     useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
-    const longDescription = "abcdefghijklmnopqrstuvwxyz1234567890EXTRA";
     axios.get.mockResolvedValueOnce({
       data: [
         {
@@ -142,10 +146,11 @@ describe("Orders page", () => {
           payment: { success: true },
           products: [
             {
-              _id: "p123",
+              product: "p123",
               name: "Product Name",
-              description: longDescription,
               price: 99,
+              quantity: 2,
+              total: 198,
             },
           ],
         },
@@ -157,11 +162,42 @@ describe("Orders page", () => {
 
     // Assert
     expect(await findByText("Product Name")).toBeInTheDocument();
-    expect(await findByText(longDescription.substring(0, 30))).toBeInTheDocument();
     expect(await findByText("Price : 99")).toBeInTheDocument();
+    expect(await findByText("Quantity : 2")).toBeInTheDocument();
+    expect(await findByText("Subtotal : 198")).toBeInTheDocument();
 
     const img = getByAltText("Product Name");
-    expect(img).toHaveAttribute("src", "/api/v1/product/product-photo/p123");
+    expect(img).toHaveAttribute("src", "/api/v1/product/product-photo/p123?size=thumbnail");
+  });
+
+  it("versions line item images by the product update time the server sends", async () => {
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    axios.get.mockResolvedValueOnce({
+      data: [
+        {
+          status: "S",
+          buyer: { name: "C" },
+          payment: { success: true },
+          products: [
+            {
+              product: "p123",
+              name: "Product Name",
+              price: 99,
+              quantity: 1,
+              total: 99,
+              productUpdatedAt: "2026-10-01T00:00:00.000Z",
+            },
+          ],
+        },
+      ],
+    });
+
+    const { findByAltText } = render(<Orders />);
+
+    expect(await findByAltText("Product Name")).toHaveAttribute(
+      "src",
+      `/api/v1/product/product-photo/p123?size=thumbnail&v=${Date.parse("2026-10-01T00:00:00.000Z")}`
+    );
   });
 
   it("logs error when fetching orders fails", async () => {
@@ -179,5 +215,54 @@ describe("Orders page", () => {
     expect(logSpy).toHaveBeenCalledWith(err);
     logSpy.mockRestore();
   });
+
+  it("renders the status timeline when the order has moved", async () => {
+    // Arrange
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    axios.get.mockResolvedValueOnce({
+      data: [
+        {
+          status: "Shipped",
+          buyer: { name: "Alice" },
+          payment: { success: true },
+          products: [],
+          statusHistory: [
+            { from: "Not Process", status: "Processing", changedAt: "2026-01-02T00:00:00.000Z" },
+            { from: "Processing", status: "Shipped", changedAt: "2026-01-03T00:00:00.000Z" },
+          ],
+        },
+      ],
+    });
+
+    // Act
+    const { findByText, getByText } = render(<Orders />);
+
+    // Assert
+    expect(await findByText("Processing some time ago")).toBeInTheDocument();
+    expect(getByText("Shipped some time ago")).toBeInTheDocument();
+  });
+
+  it("shows how many units of a line were refunded", async () => {
+    // Arrange
+    useAuth.mockReturnValue([{ token: "t" }, jest.fn()]);
+    axios.get.mockResolvedValueOnce({
+      data: [
+        {
+          status: "deliverd",
+          buyer: { name: "Alice" },
+          payment: { success: true },
+          products: [
+            { product: "p1", name: "Lamp", price: 10, quantity: 2, total: 20, refundedQuantity: 1 },
+          ],
+        },
+      ],
+    });
+
+    // Act
+    const { findByText } = render(<Orders />);
+
+    // Assert
+    expect(await findByText("Refunded : 1")).toBeInTheDocument();
+  });
 });
 
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import UserMenu from "../../components/UserMenu";
+import AddressBook from "../../components/AddressBook";
 import Layout from "./../../components/Layout";
 import { useAuth } from "../../context/auth";
 import toast from "react-hot-toast";
@@ -119,6 +120,7 @@ const Profile = () => {
                 </button>
               </form>
             </div>
+            <AddressBook />
           </div>
         </div>
       </div>
@@ -20,6 +20,7 @@ jest.mock("react-hot-toast", () => ({
 }));
 
 jest.mock("../../components/UserMenu", () => () => <div data-testid="user-menu" />);
+jest.mock("../../components/AddressBook", () => () => <div data-testid="address-book" />);
 
 jest.mock("../../components/Layout", () => {
   return function LayoutMock({ title, children }) {
@@ -89,6 +90,20 @@ describe("Profile page", () => {
     expect(addressInput).toHaveValue("Somewhere");
   });
 
+  it("shows the address book under the profile form", async () => {
+    // Arrange
+    useAuth.mockReturnValue([{ token: "t", user: { name: "Jane Doe" } }, jest.fn()]);
+
+    // Act
+    let getByTestId;
+    await act(async () => {
+      ({ getByTestId } = render(<Profile />));
+    });
+
+    // Assert
+    expect(getByTestId("address-book")).toBeInTheDocument();
+  });
+
   it("submits updated profile successfully and persists updated user to localStorage", async () => {
     // Arrange
     const setAuthMock = jest.fn();
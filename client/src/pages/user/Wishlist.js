@@ -0,0 +1,128 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import toast from "react-hot-toast";
+import UserMenu from "../../components/UserMenu";
+import Layout from "./../../components/Layout";
+import useAddToCart from "../../hooks/useAddToCart";
+import { useWishlist } from "../../context/wishlist";
+import { hasVariants } from "../../helpers/variantHelper";
+import { productPhotoUrl } from "../../helpers/imageHelper";
+
+const formatPrice = (value) =>
+  value.toLocaleString("en-US", { style: "currency", currency: "USD" });
+
+const Wishlist = () => {
+  const navigate = useNavigate();
+  const addOneToCart = useAddToCart();
+  const [wishlist, { removeFromWishlist }] = useWishlist();
+
+  const handleRemove = async (productId) => {
+    try {
+      const data = await removeFromWishlist(productId);
+      if (data?.success) toast.success(data.message);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  // one unit into the cart, then off the wishlist
+  const handleMoveToCart = async (product) => {
+    if (!addOneToCart(product, null, null)) return;
+    try {
+      await removeFromWishlist(product._id);
+      toast.success("Moved to cart");
+    } catch (error) {
+      console.log(error);
+      toast.error("Added to cart, but it is still on your wishlist");
+    }
+  };
+
+  return (
+    <Layout title={"Your Wishlist"}>
+      <div className="container-flui p-3 m-3 dashboard">
+        <div className="row">
+          <div className="col-md-3">
+            <UserMenu />
+          </div>
+          <div className="col-md-9">
+            <h1 className="text-center">Wishlist</h1>
+            {wishlist.length === 0 && (
+              <p className="text-center">Your wishlist is empty</p>
+            )}
+            {wishlist.map((item) => (
+              <div
+                className="row mb-2 p-3 card flex-row"
+                key={item.product._id}
+                data-testid="wishlist-item"
+              >
+                <div className="col-md-4">
+                  <img
+                    src={productPhotoUrl(
+                      item.product._id,
+                      "thumbnail",
+                      item.product.updatedAt
+                    )}
+                    className="card-img-top"
+                    alt={item.product.name}
+                    width="100px"
+                    height={"100px"}
+                  />
+                </div>
+                <div className="col-md-8">
+                  <p>{item.product.name}</p>
+                  <p>Price : {formatPrice(item.product.price)}</p>
+                  <p>Saved at : {formatPrice(item.savedPrice)}</p>
+                  {item.priceDrop > 0 && (
+                    <span className="badge bg-success me-1">
+                      Price dropped by {formatPrice(item.priceDrop)}
+                    </span>
+                  )}
+                  {item.backInStock && (
+                    <span className="badge bg-info me-1">Back in stock</span>
+                  )}
+                  {item.outOfStock && (
+                    <p className="text-danger">Out of Stock</p>
+                  )}
+                  <div className="mt-2">
+                    {hasVariants(item.product) ? (
+                      <button
+                        className="btn btn-dark ms-1"
+                        disabled={item.outOfStock}
+                        onClick={() => navigate(`/product/${item.product.slug}`)}
+                      >
+                        Choose Options
+                      </button>
+                    ) : (
+                      <button
+                        className="btn btn-dark ms-1"
+                        disabled={item.outOfStock}
+                        onClick={() => handleMoveToCart(item.product)}
+                      >
+                        Move to Cart
+                      </button>
+                    )}
+                    <button
+                      className="btn btn-info ms-1"
+                      onClick={() => navigate(`/product/${item.product.slug}`)}
+                    >
+                      More Details
+                    </button>
+                    <button
+                      className="btn btn-danger ms-1"
+                      onClick={() => handleRemove(item.product._id)}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Wishlist;
@@ -0,0 +1,181 @@
+import React from "react";
+import { render, screen, fireEvent, act, within } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import toast from "react-hot-toast";
+import Wishlist from "./Wishlist";
+import { useCart } from "../../context/cart";
+import { useWishlist } from "../../context/wishlist";
+import { toCartLine } from "../../helpers/cartHelper";
+
+jest.mock("react-hot-toast");
+
+const mockNavigate = jest.fn();
+jest.mock("react-router-dom", () => ({
+  useNavigate: () => mockNavigate,
+}));
+
+jest.mock("../../context/cart", () => ({
+  useCart: jest.fn(),
+}));
+
+jest.mock("../../context/wishlist", () => ({
+  useWishlist: jest.fn(),
+}));
+
+jest.mock("../../components/UserMenu", () => () => <div data-testid="user-menu" />);
+
+jest.mock("../../components/Layout", () => ({ children, title }) => (
+  <div data-testid="layout" data-title={title}>
+    {children}
+  </div>
+));
+
+const lamp = { _id: "p1", name: "Lamp", slug: "lamp", price: 15, quantity: 4 };
+const chair = { _id: "p2", name: "Chair", slug: "chair", price: 40, quantity: 0 };
+
+const entry = (product, overrides = {}) => ({
+  product,
+  savedPrice: product.price,
+  outOfStock: product.quantity === 0,
+  priceDrop: 0,
+  backInStock: false,
+  ...overrides,
+});
+
+describe("Wishlist", () => {
+  let setCart;
+  let removeFromWishlist;
+
+  const renderWishlist = ({ wishlist = [], cart = [] } = {}) => {
+    useCart.mockReturnValue([cart, setCart]);
+    useWishlist.mockReturnValue([wishlist, { removeFromWishlist }]);
+    render(<Wishlist />);
+  };
+
+  const item = (name) =>
+    screen.getAllByTestId("wishlist-item").find((el) => within(el).queryByText(name));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    setCart = jest.fn();
+    removeFromWishlist = jest.fn().mockResolvedValue({
+      success: true,
+      message: "Removed from wishlist",
+      wishlist: [],
+    });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("says when nothing has been saved", () => {
+    renderWishlist();
+
+    expect(screen.getByTestId("layout")).toHaveAttribute("data-title", "Your Wishlist");
+    expect(screen.getByTestId("user-menu")).toBeInTheDocument();
+    expect(screen.getByText("Your wishlist is empty")).toBeInTheDocument();
+  });
+
+  it("shows each saved product with the price it was saved at", () => {
+    renderWishlist({ wishlist: [entry(lamp, { savedPrice: 20, priceDrop: 5 }), entry(chair)] });
+
+    expect(screen.getAllByTestId("wishlist-item")).toHaveLength(2);
+    expect(within(item("Lamp")).getByText("Price : $15.00")).toBeInTheDocument();
+    expect(within(item("Lamp")).getByText("Saved at : $20.00")).toBeInTheDocument();
+    expect(within(item("Lamp")).getByText("Price dropped by $5.00")).toBeInTheDocument();
+    expect(within(item("Chair")).queryByText(/Price dropped/)).not.toBeInTheDocument();
+  });
+
+  it("flags an item that is back in stock", () => {
+    renderWishlist({ wishlist: [entry(lamp, { backInStock: true })] });
+
+    expect(screen.getByText("Back in stock")).toBeInTheDocument();
+    expect(screen.queryByText("Out of Stock")).not.toBeInTheDocument();
+  });
+
+  it("cannot move an out-of-stock item to the cart", () => {
+    renderWishlist({ wishlist: [entry(chair)] });
+
+    expect(screen.getByText("Out of Stock")).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Move to Cart" })).toBeDisabled();
+  });
+
+  it("moves an item to the cart in one click", async () => {
+    renderWishlist({ wishlist: [entry(lamp)] });
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Move to Cart" }));
+    });
+
+    expect(setCart).toHaveBeenCalledWith([toCartLine(lamp)]);
+    expect(removeFromWishlist).toHaveBeenCalledWith("p1");
+    expect(toast.success).toHaveBeenCalledWith("Moved to cart");
+  });
+
+  it("keeps the item when the cart already holds all its stock", async () => {
+    renderWishlist({ wishlist: [entry(lamp)], cart: [toCartLine(lamp, 4)] });
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Move to Cart" }));
+    });
+
+    expect(toast.error).toHaveBeenCalledWith("No more stock available");
+    expect(setCart).not.toHaveBeenCalled();
+    expect(removeFromWishlist).not.toHaveBeenCalled();
+  });
+
+  it("says so when the item reached the cart but stayed on the wishlist", async () => {
+    removeFromWishlist.mockRejectedValueOnce(new Error("Network Error"));
+    renderWishlist({ wishlist: [entry(lamp)] });
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Move to Cart" }));
+    });
+
+    expect(setCart).toHaveBeenCalled();
+    expect(toast.error).toHaveBeenCalledWith("Added to cart, but it is still on your wishlist");
+  });
+
+  it("removes an item", async () => {
+    renderWishlist({ wishlist: [entry(lamp)] });
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Remove" }));
+    });
+
+    expect(removeFromWishlist).toHaveBeenCalledWith("p1");
+    expect(toast.success).toHaveBeenCalledWith("Removed from wishlist");
+    expect(setCart).not.toHaveBeenCalled();
+  });
+
+  it("reports a failed removal", async () => {
+    removeFromWishlist.mockRejectedValueOnce(new Error("Network Error"));
+    renderWishlist({ wishlist: [entry(lamp)] });
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Remove" }));
+    });
+
+    expect(toast.error).toHaveBeenCalledWith("Something went wrong");
+  });
+
+  it("sends a product sold in variants to its page to choose options", () => {
+    renderWishlist({ wishlist: [entry({ ...lamp, variants: [{ _id: "v1" }] })] });
+
+    expect(screen.queryByRole("button", { name: "Move to Cart" })).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Choose Options" }));
+
+    expect(mockNavigate).toHaveBeenCalledWith("/product/lamp");
+    expect(setCart).not.toHaveBeenCalled();
+  });
+
+  it("opens the product page", () => {
+    renderWishlist({ wishlist: [entry(lamp)] });
+
+    fireEvent.click(screen.getByRole("button", { name: "More Details" }));
+
+    expect(mockNavigate).toHaveBeenCalledWith("/product/lamp");
+  });
+});
@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+import userModel from "../models/userModel.js";
+import { readAddress, withDefaults } from "../helpers/addressHelper.js";
+
+const loadAddresses = async (userId) => {
+  const user = await userModel.findById(userId).select("addresses");
+  return user?.addresses || [];
+};
+
+const saveAddresses = async (userId, addresses) => {
+  const user = await userModel
+    .findByIdAndUpdate(userId, { addresses }, { new: true, runValidators: true })
+    .select("addresses");
+  return user?.addresses || [];
+};
+
+//the signed-in user's address book
+export const getAddressesController = async (req, res) => {
+  try {
+    const addresses = await loadAddresses(req.user._id);
+    res.status(200).send({
+      success: true,
+      addresses,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting addresses",
+      error,
+    });
+  }
+};
+
+//add address
+export const createAddressController = async (req, res) => {
+  try {
+    const { error, address, ...flags } = readAddress(req.body);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    const current = await loadAddresses(req.user._id);
+    const _id = new mongoose.Types.ObjectId();
+    const addresses = await saveAddresses(
+      req.user._id,
+      withDefaults(
+        [...current, { ...address, _id, isDefaultShipping: false, isDefaultBilling: false }],
+        _id,
+        flags
+      )
+    );
+    res.status(201).send({
+      success: true,
+      message: "Address added",
+      addresses,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while adding address",
+      error,
+    });
+  }
+};
+
+//update address, and make it a default when asked
+export const updateAddressController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, address, ...flags } = readAddress(req.body);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    const current = await loadAddresses(req.user._id);
+    if (!current.some((entry) => String(entry._id) === String(id))) {
+      return res.status(404).send({
+        success: false,
+        message: "Address not found",
+      });
+    }
+    const edited = current.map((entry) =>
+      String(entry._id) === String(id)
+        ? { ...(entry.toObject ? entry.toObject() : entry), ...address }
+        : entry
+    );
+    const addresses = await saveAddresses(req.user._id, withDefaults(edited, id, flags));
+    res.status(200).send({
+      success: true,
+      message: "Address updated",
+      addresses,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating address",
+      error,
+    });
+  }
+};
+
+//delete address; a deleted default hands the flag to the first address left
+export const deleteAddressController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const current = await loadAddresses(req.user._id);
+    const rest = current.filter((entry) => String(entry._id) !== String(id));
+    if (rest.length === current.length) {
+      return res.status(404).send({
+        success: false,
+        message: "Address not found",
+      });
+    }
+    const addresses = await saveAddresses(req.user._id, withDefaults(rest));
+    res.status(200).send({
+      success: true,
+      message: "Address deleted",
+      addresses,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting address",
+      error,
+    });
+  }
+};
@@ -0,0 +1,248 @@
+import userModel from '../models/userModel.js';
+import {
+  createAddressController,
+  deleteAddressController,
+  getAddressesController,
+  updateAddressController,
+} from './addressController.js';
+
+jest.mock('../models/userModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+  },
+}));
+
+const HOME_ID = '64b7f0c2a1b2c3d4e5f60718';
+const OFFICE_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+const home = {
+  _id: HOME_ID, recipient: 'Ann Lee', line1: '1 Main St', line2: '', city: 'Oakland',
+  region: 'CA', postalCode: '94601', country: 'US', phone: '', isDefaultShipping: true, isDefaultBilling: true,
+};
+const office = {
+  _id: OFFICE_ID, recipient: 'Ann Lee', line1: '9 Work Rd', line2: '', city: 'Austin',
+  region: 'TX', postalCode: '73301', country: 'US', phone: '', isDefaultShipping: false, isDefaultBilling: false,
+};
+const body = {
+  recipient: 'Ann Lee', line1: '5 New Ave', city: 'Reno', region: 'NV', postalCode: '89501', country: 'US',
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  user: { _id: 'user1' },
+  ...overrides,
+});
+
+// findById(...).select(...) and findByIdAndUpdate(...).select(...)
+const resolvesTo = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+const savedAddresses = () => userModel.findByIdAndUpdate.mock.calls[0][1].addresses;
+
+describe('addressController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    userModel.findById.mockReturnValue(resolvesTo({ addresses: [home, office] }));
+    userModel.findByIdAndUpdate.mockImplementation((id, update) => resolvesTo(update));
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('getAddressesController', () => {
+    it('lists the signed-in user addresses', async () => {
+      const res = mockResponse();
+
+      await getAddressesController(mockRequest(), res);
+
+      expect(userModel.findById).toHaveBeenCalledWith('user1');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, addresses: [home, office] });
+    });
+
+    it('returns an empty book for a user that is gone', async () => {
+      userModel.findById.mockReturnValue(resolvesTo(null));
+      const res = mockResponse();
+
+      await getAddressesController(mockRequest(), res);
+
+      expect(res.send).toHaveBeenCalledWith({ success: true, addresses: [] });
+    });
+
+    it('returns 500 when the lookup fails', async () => {
+      userModel.findById.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('db down')) });
+      const res = mockResponse();
+
+      await getAddressesController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, message: 'Error while getting addresses' }),
+      );
+    });
+  });
+
+  describe('createAddressController', () => {
+    it('adds the address to the end of the book', async () => {
+      const res = mockResponse();
+
+      await createAddressController(mockRequest({ body }), res);
+
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        'user1',
+        { addresses: expect.any(Array) },
+        { new: true, runValidators: true },
+      );
+      const addresses = savedAddresses();
+      expect(addresses).toHaveLength(3);
+      expect(addresses[2]).toMatchObject({ line1: '5 New Ave', isDefaultShipping: false, isDefaultBilling: false });
+      expect(addresses[2]._id).toBeDefined();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Address added', addresses });
+    });
+
+    it('makes the new address a default when asked', async () => {
+      await createAddressController(mockRequest({ body: { ...body, isDefaultShipping: true } }), mockResponse());
+
+      const addresses = savedAddresses();
+      expect(addresses.map((a) => a.isDefaultShipping)).toEqual([false, false, true]);
+      expect(addresses.map((a) => a.isDefaultBilling)).toEqual([true, false, false]);
+    });
+
+    it('makes the first address the default', async () => {
+      userModel.findById.mockReturnValue(resolvesTo({ addresses: [] }));
+
+      await createAddressController(mockRequest({ body }), mockResponse());
+
+      expect(savedAddresses()[0]).toMatchObject({ isDefaultShipping: true, isDefaultBilling: true });
+    });
+
+    it('rejects an incomplete address', async () => {
+      const res = mockResponse();
+
+      await createAddressController(mockRequest({ body: { ...body, city: '' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'City is required' });
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when saving fails', async () => {
+      userModel.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('db down')) });
+      const res = mockResponse();
+
+      await createAddressController(mockRequest({ body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, message: 'Error while adding address' }),
+      );
+    });
+  });
+
+  describe('updateAddressController', () => {
+    it('replaces the fields of the address', async () => {
+      const res = mockResponse();
+
+      await updateAddressController(mockRequest({ params: { id: OFFICE_ID }, body }), res);
+
+      const addresses = savedAddresses();
+      expect(addresses[0]).toEqual(home);
+      expect(addresses[1]).toMatchObject({ _id: OFFICE_ID, line1: '5 New Ave', city: 'Reno', isDefaultShipping: false });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Address updated', addresses });
+    });
+
+    it('moves a default flag to the address', async () => {
+      await updateAddressController(
+        mockRequest({ params: { id: OFFICE_ID }, body: { ...body, isDefaultBilling: true } }),
+        mockResponse(),
+      );
+
+      const addresses = savedAddresses();
+      expect(addresses.map((a) => a.isDefaultBilling)).toEqual([false, true]);
+      expect(addresses.map((a) => a.isDefaultShipping)).toEqual([true, false]);
+    });
+
+    it('returns 404 for an address that is not in the book', async () => {
+      const res = mockResponse();
+
+      await updateAddressController(mockRequest({ params: { id: 'missing' }, body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Address not found' });
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('rejects an incomplete address', async () => {
+      const res = mockResponse();
+
+      await updateAddressController(mockRequest({ params: { id: OFFICE_ID }, body: { ...body, country: '' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Country is required' });
+    });
+
+    it('returns 500 when the update fails', async () => {
+      userModel.findById.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('db down')) });
+      const res = mockResponse();
+
+      await updateAddressController(mockRequest({ params: { id: OFFICE_ID }, body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, message: 'Error while updating address' }),
+      );
+    });
+  });
+
+  describe('deleteAddressController', () => {
+    it('removes the address', async () => {
+      const res = mockResponse();
+
+      await deleteAddressController(mockRequest({ params: { id: OFFICE_ID } }), res);
+
+      expect(savedAddresses()).toEqual([home]);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Address deleted', addresses: [home] });
+    });
+
+    it('hands the default flags on when the default is deleted', async () => {
+      await deleteAddressController(mockRequest({ params: { id: HOME_ID } }), mockResponse());
+
+      expect(savedAddresses()).toEqual([{ ...office, isDefaultShipping: true, isDefaultBilling: true }]);
+    });
+
+    it('returns 404 for an address that is not in the book', async () => {
+      const res = mockResponse();
+
+      await deleteAddressController(mockRequest({ params: { id: 'missing' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Address not found' });
+    });
+
+    it('returns 500 when the delete fails', async () => {
+      userModel.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('db down')) });
+      const res = mockResponse();
+
+      await deleteAddressController(mockRequest({ params: { id: OFFICE_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, message: 'Error while deleting address' }),
+      );
+    });
+  });
+});
@@ -1,7 +1,11 @@
+import mongoose from "mongoose";
 import userModel from "../models/userModel.js";
 import orderModel from "../models/orderModel.js";
+import productModel from "../models/productModel.js";
 
 import { comparePassword, hashPassword } from "./../helpers/authHelper.js";
+import { ORDER_STATUSES, canTransition } from "../helpers/orderStatusHelper.js";
+import { addressSnapshot } from "../helpers/addressHelper.js";
 import JWT from "jsonwebtoken";
 
 // Validation helper functions
@@ -95,7 +99,8 @@ const isValidDOB = (dob) => {
 
 export const registerController = async (req, res) => {
   try {
-    const { name, email, password, phone, address, DOB, answer } = req.body;
+    const { name, email, password, phone, address, DOB, answer, guestOrder: guestOrderId } =
+      req.body;
     //validations
     if (!name) {
       return res.status(400).send({ error: "Name is Required" });
@@ -218,6 +223,20 @@ export const registerController = async (req, res) => {
         message: "Already Register please login",
       });
     }
+    // a guest turning an order into an account shows it is theirs with the
+    // order number and the email it was placed with
+    let guestOrder = null;
+    if (guestOrderId) {
+      guestOrder = mongoose.isValidObjectId(guestOrderId)
+        ? await orderModel.findOne({ _id: guestOrderId, guestEmail: emailLower, buyer: null })
+        : null;
+      if (!guestOrder) {
+        return res.status(404).send({
+          success: false,
+          message: "Guest order not found",
+        });
+      }
+    }
     //register user
     const hashedPassword = await hashPassword(password);
     //save
@@ -229,12 +248,29 @@ export const registerController = async (req, res) => {
       password: hashedPassword,
       DOB,
       answer,
+      // the guest order's address starts the new address book
+      ...(guestOrder?.shippingAddress && {
+        addresses: [
+          {
+            ...addressSnapshot(guestOrder.shippingAddress),
+            isDefaultShipping: true,
+            isDefaultBilling: true,
+          },
+        ],
+      }),
     }).save();
+    if (guestOrder) {
+      await orderModel.updateOne(
+        { _id: guestOrder._id, buyer: null },
+        { $set: { buyer: user._id } }
+      );
+    }
 
     res.status(201).send({
       success: true,
       message: "User Register Successfully",
       user,
+      ...(guestOrder && { order: guestOrder._id }),
     });
   } catch (error) {
     console.log(error);
@@ -462,13 +498,35 @@ export const updateProfileController = async (req, res) => {
 };
 
 //orders
+// Order lines keep only the product's id, so they are sent with the
+// product's last update too, which versions its photo URL
+const withPhotoVersions = async (orders) => {
+  const ids = [
+    ...new Set(
+      orders.flatMap((order) => (order.products || []).map((line) => String(line.product)))
+    ),
+  ];
+  if (ids.length === 0) return orders;
+  const products = await productModel.find({ _id: { $in: ids } }).select("updatedAt").lean();
+  const versions = new Map(products.map((product) => [String(product._id), product.updatedAt]));
+  return orders.map((order) => {
+    const doc = typeof order.toObject === "function" ? order.toObject() : order;
+    return {
+      ...doc,
+      products: (doc.products || []).map((line) => ({
+        ...line,
+        productUpdatedAt: versions.get(String(line.product)),
+      })),
+    };
+  });
+};
+
 export const getOrdersController = async (req, res) => {
   try {
     const orders = await orderModel
       .find({ buyer: req.user._id })
-      .populate("products", "-photo")
       .populate("buyer", "name");
-    res.json(orders);
+    res.json(await withPhotoVersions(orders));
   } catch (error) {
     console.log(error);
     res.status(500).send({
@@ -483,10 +541,10 @@ export const getAllOrdersController = async (req, res) => {
   try {
     const orders = await orderModel
       .find({})
-      .populate("products", "-photo")
       .populate("buyer", "name")
+      .populate("statusHistory.changedBy", "name")
       .sort({ createdAt: -1 });
-    res.json(orders);
+    res.json(await withPhotoVersions(orders));
   } catch (error) {
     console.log(error);
     res.status(500).send({
@@ -502,11 +560,54 @@ export const orderStatusController = async (req, res) => {
   try {
     const { orderId } = req.params;
     const { status } = req.body;
-    const orders = await orderModel.findByIdAndUpdate(
-      orderId,
-      { status },
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid order status",
+      });
+    }
+    const order = await orderModel.findById(orderId);
+    if (!order) {
+      return res.status(404).send({
+        success: false,
+        message: "Order not found",
+      });
+    }
+    if (!canTransition(order.status, status)) {
+      return res.status(409).send({
+        success: false,
+        message: `Cannot change order status from ${order.status} to ${status}`,
+      });
+    }
+    // money has to go back to the buyer for these, see refundOrderController
+    if (["cancel", "refunded"].includes(status) && order.payment?.success) {
+      return res.status(409).send({
+        success: false,
+        message: "Paid orders are cancelled or refunded through the refund endpoint",
+      });
+    }
+    // only apply the change if nobody moved the order since we read it
+    const orders = await orderModel.findOneAndUpdate(
+      { _id: orderId, status: order.status },
+      {
+        status,
+        $push: {
+          statusHistory: {
+            from: order.status,
+            status,
+            changedBy: req.user._id,
+            changedAt: new Date(),
+          },
+        },
+      },
       { new: true },
     );
+    if (!orders) {
+      return res.status(409).send({
+        success: false,
+        message: "Order status was changed by someone else, please refresh",
+      });
+    }
     res.json(orders);
   } catch (error) {
     console.log(error);
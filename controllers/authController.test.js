@@ -14,10 +14,17 @@ jest.mock("../models/userModel.js", () => {
 jest.mock("../models/orderModel.js", () => {
   const mockOrderModel = {
     find: jest.fn(),
-    findByIdAndUpdate: jest.fn(),
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
   };
   return { __esModule: true, default: mockOrderModel };
 });
+jest.mock("../models/productModel.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
 jest.mock("../helpers/authHelper.js", () => ({
   __esModule: true,
   comparePassword: jest.fn(),
@@ -30,6 +37,7 @@ jest.mock("jsonwebtoken", () => ({
 
 import userModel from "../models/userModel.js";
 import orderModel from "../models/orderModel.js";
+import productModel from "../models/productModel.js";
 import { hashPassword, comparePassword } from "../helpers/authHelper.js";
 import JWT from "jsonwebtoken";
 import {
@@ -1333,6 +1341,87 @@ describe("authController", () => {
     });
   });
 
+  describe("registerController with a guest order", () => {
+    const orderId = "64b000000000000000000001";
+    const shippingAddress = {
+      recipient: "Guest Shopper",
+      line1: "1 Main St",
+      city: "Oakland",
+      region: "CA",
+      postalCode: "94601",
+      country: "US",
+    };
+
+    beforeEach(() => {
+      mockReq.body = {
+        name: "Guest Shopper",
+        email: "Guest@Example.com",
+        password: "pass",
+        phone: "1234567890",
+        address: "1 Main St",
+        DOB: "2000-01-01",
+        answer: "ans",
+        guestOrder: orderId,
+      };
+      userModel.findOne.mockResolvedValue(null);
+      hashPassword.mockResolvedValue("hashedPassword");
+    });
+
+    it("moves the order to the new account and starts the address book with its address", async () => {
+      orderModel.findOne.mockResolvedValueOnce({ _id: orderId, shippingAddress });
+
+      await registerController(mockReq, mockRes);
+
+      expect(orderModel.findOne).toHaveBeenCalledWith({
+        _id: orderId,
+        guestEmail: "guest@example.com",
+        buyer: null,
+      });
+      expect(userModel.mock.calls[0][0].addresses).toEqual([
+        {
+          ...shippingAddress,
+          line2: "",
+          phone: "",
+          isDefaultShipping: true,
+          isDefaultBilling: true,
+        },
+      ]);
+      const { user } = mockRes.send.mock.calls[0][0];
+      expect(orderModel.updateOne).toHaveBeenCalledWith(
+        { _id: orderId, buyer: null },
+        { $set: { buyer: user._id } }
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, order: orderId })
+      );
+    });
+
+    it("returns 404 and creates no account when the order is not the guest's", async () => {
+      orderModel.findOne.mockResolvedValueOnce(null);
+
+      await registerController(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Guest order not found",
+      });
+      expect(userModel).not.toHaveBeenCalled();
+      expect(orderModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("returns 404 for an order number that is not an id", async () => {
+      mockReq.body.guestOrder = "not-an-id";
+
+      await registerController(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(orderModel.findOne).not.toHaveBeenCalled();
+      expect(userModel).not.toHaveBeenCalled();
+    });
+  });
+
   // Tsui Yi Wern, A0266070J
   describe("loginController", () => {
     it("returns 400 for missing email", async () => {
@@ -2332,14 +2421,12 @@ describe("authController", () => {
 
   // Yeo Zi Yi, A0266292X
   describe("getOrdersController", () => {
-    it("returns orders for the authenticated buyer and calls populate twice", async () => {
+    it("returns orders for the authenticated buyer with the buyer name populated", async () => {
       // Arrange
       const orders = [{ _id: "o1" }, { _id: "o2" }];
       const query = { populate: jest.fn() };
       orderModel.find.mockReturnValueOnce(query);
-      query.populate
-        .mockImplementationOnce(() => query) // populate products
-        .mockImplementationOnce(() => Promise.resolve(orders)); // populate buyer + resolve query
+      query.populate.mockImplementationOnce(() => Promise.resolve(orders)); // populate buyer + resolve query
 
       const req = { user: { _id: "u1" } };
       const res = createRes();
@@ -2349,11 +2436,45 @@ describe("authController", () => {
 
       // Assert
       expect(orderModel.find).toHaveBeenCalledWith({ buyer: "u1" });
-      expect(query.populate).toHaveBeenNthCalledWith(1, "products", "-photo");
-      expect(query.populate).toHaveBeenNthCalledWith(2, "buyer", "name");
+      expect(query.populate).toHaveBeenCalledTimes(1);
+      expect(query.populate).toHaveBeenCalledWith("buyer", "name");
       expect(res.json).toHaveBeenCalledWith(orders);
     });
 
+    it("sends each line with its product's update time, which versions the photo URL", async () => {
+      const orders = [
+        {
+          _id: "o1",
+          products: [
+            { product: "p1", name: "Lamp", quantity: 1 },
+            { product: "gone", name: "Rug", quantity: 2 },
+          ],
+        },
+      ];
+      const query = { populate: jest.fn().mockResolvedValueOnce(orders) };
+      orderModel.find.mockReturnValueOnce(query);
+      const productQuery = {
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ _id: "p1", updatedAt: "2026-10-01T00:00:00.000Z" }]),
+      };
+      productModel.find.mockReturnValueOnce(productQuery);
+      const res = createRes();
+
+      await getOrdersController({ user: { _id: "u1" } }, res);
+
+      expect(productModel.find).toHaveBeenCalledWith({ _id: { $in: ["p1", "gone"] } });
+      expect(productQuery.select).toHaveBeenCalledWith("updatedAt");
+      expect(res.json).toHaveBeenCalledWith([
+        {
+          _id: "o1",
+          products: [
+            { product: "p1", name: "Lamp", quantity: 1, productUpdatedAt: "2026-10-01T00:00:00.000Z" },
+            { product: "gone", name: "Rug", quantity: 2, productUpdatedAt: undefined },
+          ],
+        },
+      ]);
+    });
+
     it("returns 500 when an error occurs while fetching orders", async () => {
       // Arrange
       const err = new Error("query failed");
@@ -2386,7 +2507,7 @@ describe("authController", () => {
       const orders = [{ _id: "o1" }];
       const query = { populate: jest.fn(), sort: jest.fn() };
       orderModel.find.mockReturnValueOnce(query);
-      query.populate.mockImplementationOnce(() => query).mockImplementationOnce(() => query);
+      query.populate.mockImplementation(() => query);
       query.sort.mockResolvedValueOnce(orders);
       const req = {};
       const res = createRes();
@@ -2396,8 +2517,9 @@ describe("authController", () => {
 
       // Assert
       expect(orderModel.find).toHaveBeenCalledWith({});
-      expect(query.populate).toHaveBeenNthCalledWith(1, "products", "-photo");
-      expect(query.populate).toHaveBeenNthCalledWith(2, "buyer", "name");
+      expect(query.populate).toHaveBeenCalledTimes(2);
+      expect(query.populate).toHaveBeenCalledWith("buyer", "name");
+      expect(query.populate).toHaveBeenCalledWith("statusHistory.changedBy", "name");
       expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
       expect(res.json).toHaveBeenCalledWith(orders);
     });
@@ -2407,7 +2529,7 @@ describe("authController", () => {
       const err = new Error("sort failed");
       const query = { populate: jest.fn(), sort: jest.fn() };
       orderModel.find.mockReturnValueOnce(query);
-      query.populate.mockImplementationOnce(() => query).mockImplementationOnce(() => query);
+      query.populate.mockImplementation(() => query);
       query.sort.mockRejectedValueOnce(err);
       const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
       const req = {};
@@ -2430,29 +2552,180 @@ describe("authController", () => {
 
   // Yeo Zi Yi, A0266292X
   describe("orderStatusController", () => {
-    it("updates order status by orderId and returns updated order", async () => {
+    it("moves the order to a legal next status and records who changed it", async () => {
       // Arrange
       const updatedOrder = { _id: "o1", status: "Shipped" };
-      orderModel.findByIdAndUpdate.mockResolvedValueOnce(updatedOrder);
-      const req = { params: { orderId: "o1" }, body: { status: "Shipped" } };
+      orderModel.findById.mockResolvedValueOnce({ _id: "o1", status: "Processing" });
+      orderModel.findOneAndUpdate.mockResolvedValueOnce(updatedOrder);
+      const req = {
+        params: { orderId: "o1" },
+        body: { status: "Shipped" },
+        user: { _id: "admin1" },
+      };
       const res = createRes();
 
       // Act
       await orderStatusController(req, res);
 
       // Assert
-      expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(
-        "o1",
-        { status: "Shipped" },
+      expect(orderModel.findById).toHaveBeenCalledWith("o1");
+      expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "o1", status: "Processing" },
+        {
+          status: "Shipped",
+          $push: {
+            statusHistory: {
+              from: "Processing",
+              status: "Shipped",
+              changedBy: "admin1",
+              changedAt: expect.any(Date),
+            },
+          },
+        },
         { new: true }
       );
       expect(res.json).toHaveBeenCalledWith(updatedOrder);
     });
 
+    it("returns 409 for an illegal transition without updating the order", async () => {
+      // Arrange
+      orderModel.findById.mockResolvedValueOnce({ _id: "o1", status: "cancel" });
+      const req = {
+        params: { orderId: "o1" },
+        body: { status: "Shipped" },
+        user: { _id: "admin1" },
+      };
+      const res = createRes();
+
+      // Act
+      await orderStatusController(req, res);
+
+      // Assert
+      expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Cannot change order status from cancel to Shipped",
+      });
+    });
+
+    it("returns 409 when the status changed between the read and the update", async () => {
+      // Arrange
+      orderModel.findById.mockResolvedValueOnce({ _id: "o1", status: "Not Process" });
+      orderModel.findOneAndUpdate.mockResolvedValueOnce(null);
+      const req = {
+        params: { orderId: "o1" },
+        body: { status: "Processing" },
+        user: { _id: "admin1" },
+      };
+      const res = createRes();
+
+      // Act
+      await orderStatusController(req, res);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Order status was changed by someone else, please refresh",
+      });
+      expect(res.json).not.toHaveBeenCalled();
+    });
+
+    it("returns 409 when cancelling a paid order outside the refund endpoint", async () => {
+      // Arrange
+      orderModel.findById.mockResolvedValueOnce({
+        _id: "o1",
+        status: "Processing",
+        payment: { success: true },
+      });
+      const req = {
+        params: { orderId: "o1" },
+        body: { status: "cancel" },
+        user: { _id: "admin1" },
+      };
+      const res = createRes();
+
+      // Act
+      await orderStatusController(req, res);
+
+      // Assert
+      expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Paid orders are cancelled or refunded through the refund endpoint",
+      });
+    });
+
+    it("cancels an order whose payment failed without going through a refund", async () => {
+      // Arrange
+      orderModel.findById.mockResolvedValueOnce({
+        _id: "o1",
+        status: "Not Process",
+        payment: { success: false },
+      });
+      orderModel.findOneAndUpdate.mockResolvedValueOnce({ _id: "o1", status: "cancel" });
+      const req = {
+        params: { orderId: "o1" },
+        body: { status: "cancel" },
+        user: { _id: "admin1" },
+      };
+      const res = createRes();
+
+      // Act
+      await orderStatusController(req, res);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({ _id: "o1", status: "cancel" });
+    });
+
+    it("returns 400 for a status outside the lifecycle", async () => {
+      // Arrange
+      const req = {
+        params: { orderId: "o1" },
+        body: { status: "Teleported" },
+        user: { _id: "admin1" },
+      };
+      const res = createRes();
+
+      // Act
+      await orderStatusController(req, res);
+
+      // Assert
+      expect(orderModel.findById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Invalid order status",
+      });
+    });
+
+    it("returns 404 when the order does not exist", async () => {
+      // Arrange
+      orderModel.findById.mockResolvedValueOnce(null);
+      const req = {
+        params: { orderId: "missing" },
+        body: { status: "Processing" },
+        user: { _id: "admin1" },
+      };
+      const res = createRes();
+
+      // Act
+      await orderStatusController(req, res);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Order not found",
+      });
+    });
+
     it("returns 500 when an error occurs while updating order status", async () => {
       // Arrange
       const err = new Error("update failed");
-      orderModel.findByIdAndUpdate.mockRejectedValueOnce(err);
+      orderModel.findById.mockRejectedValueOnce(err);
       const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
       const req = { params: { orderId: "o1" }, body: { status: "cancel" } };
       const res = createRes();
@@ -0,0 +1,333 @@
+import mongoose from "mongoose";
+import cartModel from "../models/cartModel.js";
+import productModel from "../models/productModel.js";
+import {
+  isCartItems,
+  isQuantity,
+  isVariantId,
+  mergeCartItems,
+} from "../helpers/cartHelper.js";
+import {
+  VARIANT_FIELDS,
+  findVariant,
+  unitPrice,
+} from "../helpers/variantHelper.js";
+
+// product fields the client needs to render a cart line, without the photo
+// but with the update time that versions its URL
+const CART_PRODUCT_FIELDS = `name slug description price quantity updatedAt ${VARIANT_FIELDS}`;
+
+// the cart line for a product, or for one variant of it
+const itemMatch = (productId, variantId) =>
+  variantId
+    ? { items: { $elemMatch: { product: productId, variant: variantId } } }
+    : { "items.product": productId };
+
+const noItemMatch = (productId, variantId) =>
+  variantId
+    ? { items: { $not: { $elemMatch: { product: productId, variant: variantId } } } }
+    : { "items.product": { $ne: productId } };
+
+// the user's cart lines with their products, skipping products and
+// variants since deleted
+const loadCart = async (userId) => {
+  const cart = await cartModel
+    .findOne({ user: userId })
+    .populate("items.product", CART_PRODUCT_FIELDS);
+  return (cart?.items || []).filter(
+    (item) => item.product && (!item.variant || findVariant(item.product, item.variant))
+  );
+};
+
+//get the signed-in user's cart
+export const getCartController = async (req, res) => {
+  try {
+    const cart = await loadCart(req.user._id);
+    res.status(200).send({
+      success: true,
+      cart,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting cart",
+      error,
+    });
+  }
+};
+
+//add a product to the cart, or add to its quantity when already there
+export const addCartItemController = async (req, res) => {
+  try {
+    const { productId, variantId, quantity = 1 } = req.body;
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid product",
+      });
+    }
+    if (!isVariantId(variantId)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid variant",
+      });
+    }
+    if (!isQuantity(quantity)) {
+      return res.status(400).send({
+        success: false,
+        message: "Quantity must be a whole number of at least 1",
+      });
+    }
+    const product = await productModel.findById(productId).select("_id variants._id");
+    if (!product) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    if (variantId && !findVariant(product, variantId)) {
+      return res.status(404).send({
+        success: false,
+        message: "Variant not found",
+      });
+    }
+    if (!variantId && product.variants?.length > 0) {
+      return res.status(400).send({
+        success: false,
+        message: "Choose the options for this product",
+      });
+    }
+    const user = req.user._id;
+    const increment = () =>
+      cartModel.findOneAndUpdate(
+        { user, ...itemMatch(productId, variantId) },
+        { $inc: { "items.$.quantity": quantity } }
+      );
+    if (!(await increment())) {
+      const item = variantId
+        ? { product: productId, variant: variantId, quantity }
+        : { product: productId, quantity };
+      try {
+        await cartModel.findOneAndUpdate(
+          { user, ...noItemMatch(productId, variantId) },
+          { $push: { items: item } },
+          { upsert: true }
+        );
+      } catch (error) {
+        // the upsert collides with a cart that gained this product meanwhile
+        if (error?.code !== 11000) throw error;
+        await increment();
+      }
+    }
+    res.status(200).send({
+      success: true,
+      message: "Item added to cart",
+      cart: await loadCart(user),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while adding to cart",
+      error,
+    });
+  }
+};
+
+//set the quantity of a product, or a variant of it, already in the cart
+export const updateCartItemController = async (req, res) => {
+  try {
+    const { productId, variantId } = req.params;
+    const { quantity } = req.body;
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid product",
+      });
+    }
+    if (!isQuantity(quantity)) {
+      return res.status(400).send({
+        success: false,
+        message: "Quantity must be a whole number of at least 1",
+      });
+    }
+    if (!isVariantId(variantId)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid variant",
+      });
+    }
+    const updated = await cartModel.findOneAndUpdate(
+      { user: req.user._id, ...itemMatch(productId, variantId) },
+      { $set: { "items.$.quantity": quantity } }
+    );
+    if (!updated) {
+      return res.status(404).send({
+        success: false,
+        message: "Item is not in the cart",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Cart updated",
+      cart: await loadCart(req.user._id),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating cart",
+      error,
+    });
+  }
+};
+
+//remove a product, or a variant of it, from the cart
+export const removeCartItemController = async (req, res) => {
+  try {
+    const { productId, variantId } = req.params;
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid product",
+      });
+    }
+    if (!isVariantId(variantId)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid variant",
+      });
+    }
+    await cartModel.updateOne(
+      { user: req.user._id },
+      {
+        $pull: {
+          items: variantId
+            ? { product: productId, variant: variantId }
+            : { product: productId },
+        },
+      }
+    );
+    res.status(200).send({
+      success: true,
+      message: "Item removed from cart",
+      cart: await loadCart(req.user._id),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while removing from cart",
+      error,
+    });
+  }
+};
+
+//empty the cart
+export const clearCartController = async (req, res) => {
+  try {
+    await cartModel.updateOne({ user: req.user._id }, { $set: { items: [] } });
+    res.status(200).send({
+      success: true,
+      message: "Cart cleared",
+      cart: [],
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while clearing cart",
+      error,
+    });
+  }
+};
+
+//fold a guest cart into the signed-in user's saved cart
+export const mergeCartController = async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!isCartItems(items)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid cart items",
+      });
+    }
+    const user = req.user._id;
+    const saved = await cartModel.findOne({ user });
+    const savedItems = saved?.items || [];
+    const guestItems = items.map((item) => ({
+      product: item.productId,
+      variant: item.variantId,
+      quantity: item.quantity,
+    }));
+    const ids = [...savedItems, ...guestItems].map((item) => item.product);
+    const products = await productModel
+      .find({ _id: { $in: ids } })
+      .select("name quantity variants._id variants.options variants.quantity");
+    const merged = mergeCartItems(savedItems, guestItems, products);
+    await cartModel.findOneAndUpdate(
+      { user },
+      { $set: { items: merged.items } },
+      { upsert: true }
+    );
+    res.status(200).send({
+      success: true,
+      message: "Cart merged",
+      cart: await loadCart(user),
+      changes: merged.changes,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while merging cart",
+      error,
+    });
+  }
+};
+
+//current name, price and stock for each cart line, so a cart kept in the
+//browser can be checked before it is paid for
+export const validateCartController = async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!isCartItems(items)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid cart items",
+      });
+    }
+    const products = await productModel
+      .find({ _id: { $in: items.map((item) => item.productId) } })
+      .select(CART_PRODUCT_FIELDS);
+    const byId = new Map(products.map((product) => [String(product._id), product]));
+    res.status(200).send({
+      success: true,
+      items: items.map(({ productId, variantId, quantity }) => {
+        const product = byId.get(String(productId));
+        const variant = variantId ? findVariant(product, variantId) : null;
+        const line = variantId ? { productId, variantId } : { productId };
+        if (!product || (variantId && !variant)) return { ...line, exists: false };
+        return {
+          ...line,
+          exists: true,
+          name: product.name,
+          slug: product.slug,
+          description: product.description,
+          price: variant ? unitPrice(product, variant) : product.price,
+          stock: variant ? variant.quantity : product.quantity,
+          updatedAt: product.updatedAt,
+          quantity,
+        };
+      }),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while checking cart",
+      error,
+    });
+  }
+};
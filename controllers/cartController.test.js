@@ -0,0 +1,684 @@
+import cartModel from '../models/cartModel.js';
+import productModel from '../models/productModel.js';
+import {
+  addCartItemController,
+  clearCartController,
+  getCartController,
+  mergeCartController,
+  removeCartItemController,
+  updateCartItemController,
+  validateCartController,
+} from './cartController.js';
+
+jest.mock('../models/cartModel.js', () => ({
+  __esModule: true,
+  default: {
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+
+jest.mock('../models/productModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+    find: jest.fn(),
+  },
+}));
+
+const PRODUCT_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  user: { _id: 'u1' },
+  ...overrides,
+});
+
+const lamp = { _id: PRODUCT_ID, name: 'Lamp', price: 10 };
+
+const mockStoredCart = (items) => {
+  const populate = jest.fn().mockResolvedValue(items === null ? null : { items });
+  cartModel.findOne.mockReturnValue({ populate });
+  return populate;
+};
+
+describe('cartController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    productModel.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(lamp) });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('getCartController', () => {
+    it('returns the cart lines with their products', async () => {
+      const populate = mockStoredCart([{ product: lamp, quantity: 2 }]);
+      const res = mockResponse();
+
+      await getCartController(mockRequest(), res);
+
+      expect(cartModel.findOne).toHaveBeenCalledWith({ user: 'u1' });
+      expect(populate).toHaveBeenCalledWith('items.product', expect.not.stringContaining('photo'));
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, cart: [{ product: lamp, quantity: 2 }] });
+    });
+
+    it('returns an empty cart when the user has never saved one', async () => {
+      mockStoredCart(null);
+      const res = mockResponse();
+
+      await getCartController(mockRequest(), res);
+
+      expect(res.send).toHaveBeenCalledWith({ success: true, cart: [] });
+    });
+
+    it('skips lines whose product has been deleted', async () => {
+      mockStoredCart([{ product: null, quantity: 1 }, { product: lamp, quantity: 1 }]);
+      const res = mockResponse();
+
+      await getCartController(mockRequest(), res);
+
+      expect(res.send.mock.calls[0][0].cart).toEqual([{ product: lamp, quantity: 1 }]);
+    });
+
+    it('returns 500 when the lookup fails', async () => {
+      cartModel.findOne.mockImplementation(() => {
+        throw new Error('db down');
+      });
+      const res = mockResponse();
+
+      await getCartController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, message: 'Error while getting cart' }),
+      );
+    });
+  });
+
+  describe('addCartItemController', () => {
+    it('adds to the quantity of a product already in the cart', async () => {
+      cartModel.findOneAndUpdate.mockResolvedValueOnce({ _id: 'c1' });
+      mockStoredCart([{ product: lamp, quantity: 3 }]);
+      const res = mockResponse();
+
+      await addCartItemController(mockRequest({ body: { productId: PRODUCT_ID, quantity: 2 } }), res);
+
+      expect(cartModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(cartModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: 'u1', 'items.product': PRODUCT_ID },
+        { $inc: { 'items.$.quantity': 2 } },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'Item added to cart',
+        cart: [{ product: lamp, quantity: 3 }],
+      });
+    });
+
+    it('pushes a new line, creating the cart if needed, with a default quantity of 1', async () => {
+      cartModel.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 'c1' });
+      mockStoredCart([{ product: lamp, quantity: 1 }]);
+      const res = mockResponse();
+
+      await addCartItemController(mockRequest({ body: { productId: PRODUCT_ID } }), res);
+
+      expect(cartModel.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { user: 'u1', 'items.product': { $ne: PRODUCT_ID } },
+        { $push: { items: { product: PRODUCT_ID, quantity: 1 } } },
+        { upsert: true },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('falls back to incrementing when the product was added concurrently', async () => {
+      const duplicate = Object.assign(new Error('E11000'), { code: 11000 });
+      cartModel.findOneAndUpdate
+        .mockResolvedValueOnce(null)
+        .mockRejectedValueOnce(duplicate)
+        .mockResolvedValueOnce({ _id: 'c1' });
+      mockStoredCart([{ product: lamp, quantity: 2 }]);
+      const res = mockResponse();
+
+      await addCartItemController(mockRequest({ body: { productId: PRODUCT_ID } }), res);
+
+      expect(cartModel.findOneAndUpdate).toHaveBeenCalledTimes(3);
+      expect(cartModel.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { user: 'u1', 'items.product': PRODUCT_ID },
+        { $inc: { 'items.$.quantity': 1 } },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('returns 500 when the push fails for another reason', async () => {
+      cartModel.findOneAndUpdate.mockResolvedValueOnce(null).mockRejectedValueOnce(new Error('db down'));
+      const res = mockResponse();
+
+      await addCartItemController(mockRequest({ body: { productId: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, message: 'Error while adding to cart' }),
+      );
+    });
+
+    it.each([undefined, 'not-an-id', { $gt: '' }])('rejects product id %p', async (productId) => {
+      const res = mockResponse();
+
+      await addCartItemController(mockRequest({ body: { productId } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Invalid product' });
+      expect(cartModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it.each([0, -1, 1.5, '2'])('rejects quantity %p', async (quantity) => {
+      const res = mockResponse();
+
+      await addCartItemController(mockRequest({ body: { productId: PRODUCT_ID, quantity } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(cartModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for a product that does not exist', async () => {
+      productModel.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      const res = mockResponse();
+
+      await addCartItemController(mockRequest({ body: { productId: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Product not found' });
+      expect(cartModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateCartItemController', () => {
+    it('sets the quantity of the line', async () => {
+      cartModel.findOneAndUpdate.mockResolvedValue({ _id: 'c1' });
+      mockStoredCart([{ product: lamp, quantity: 5 }]);
+      const res = mockResponse();
+
+      await updateCartItemController(
+        mockRequest({ params: { productId: PRODUCT_ID }, body: { quantity: 5 } }),
+        res,
+      );
+
+      expect(cartModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: 'u1', 'items.product': PRODUCT_ID },
+        { $set: { 'items.$.quantity': 5 } },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'Cart updated',
+        cart: [{ product: lamp, quantity: 5 }],
+      });
+    });
+
+    it('returns 404 when the product is not in the cart', async () => {
+      cartModel.findOneAndUpdate.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await updateCartItemController(
+        mockRequest({ params: { productId: PRODUCT_ID }, body: { quantity: 2 } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Item is not in the cart' });
+    });
+
+    it('rejects an invalid product id or quantity', async () => {
+      const badId = mockResponse();
+      const badQuantity = mockResponse();
+
+      await updateCartItemController(
+        mockRequest({ params: { productId: 'nope' }, body: { quantity: 2 } }),
+        badId,
+      );
+      await updateCartItemController(
+        mockRequest({ params: { productId: PRODUCT_ID }, body: { quantity: 0 } }),
+        badQuantity,
+      );
+
+      expect(badId.status).toHaveBeenCalledWith(400);
+      expect(badQuantity.status).toHaveBeenCalledWith(400);
+      expect(cartModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when the update fails', async () => {
+      cartModel.findOneAndUpdate.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await updateCartItemController(
+        mockRequest({ params: { productId: PRODUCT_ID }, body: { quantity: 2 } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('removeCartItemController', () => {
+    it('pulls the line from the cart', async () => {
+      cartModel.updateOne.mockResolvedValue({ matchedCount: 1 });
+      mockStoredCart([]);
+      const res = mockResponse();
+
+      await removeCartItemController(mockRequest({ params: { productId: PRODUCT_ID } }), res);
+
+      expect(cartModel.updateOne).toHaveBeenCalledWith(
+        { user: 'u1' },
+        { $pull: { items: { product: PRODUCT_ID } } },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'Item removed from cart',
+        cart: [],
+      });
+    });
+
+    it('rejects an invalid product id', async () => {
+      const res = mockResponse();
+
+      await removeCartItemController(mockRequest({ params: { productId: 'nope' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(cartModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when the update fails', async () => {
+      cartModel.updateOne.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await removeCartItemController(mockRequest({ params: { productId: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('clearCartController', () => {
+    it('empties the cart', async () => {
+      cartModel.updateOne.mockResolvedValue({ matchedCount: 1 });
+      const res = mockResponse();
+
+      await clearCartController(mockRequest(), res);
+
+      expect(cartModel.updateOne).toHaveBeenCalledWith({ user: 'u1' }, { $set: { items: [] } });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Cart cleared', cart: [] });
+    });
+
+    it('returns 500 when the update fails', async () => {
+      cartModel.updateOne.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await clearCartController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, message: 'Error while clearing cart' }),
+      );
+    });
+  });
+
+  describe('mergeCartController', () => {
+    const RUG_ID = '64b7f0c2a1b2c3d4e5f60719';
+    const rug = { _id: RUG_ID, name: 'Rug', price: 5 };
+
+    const mockProducts = (products) => {
+      const select = jest.fn().mockResolvedValue(products);
+      productModel.find.mockReturnValue({ select });
+      return select;
+    };
+
+    beforeEach(() => {
+      cartModel.findOneAndUpdate.mockResolvedValue({ _id: 'c1' });
+    });
+
+    it('combines the guest cart with the saved one and reports the changes', async () => {
+      cartModel.findOne
+        .mockResolvedValueOnce({ items: [{ product: PRODUCT_ID, quantity: 2 }] })
+        .mockReturnValueOnce({
+          populate: jest.fn().mockResolvedValue({
+            items: [
+              { product: lamp, quantity: 3 },
+              { product: rug, quantity: 1 },
+            ],
+          }),
+        });
+      mockProducts([
+        { _id: PRODUCT_ID, name: 'Lamp', quantity: 3 },
+        { _id: RUG_ID, name: 'Rug', quantity: 4 },
+      ]);
+      const res = mockResponse();
+
+      await mergeCartController(
+        mockRequest({
+          body: {
+            items: [
+              { productId: PRODUCT_ID, quantity: 2 },
+              { productId: RUG_ID, quantity: 1 },
+            ],
+          },
+        }),
+        res,
+      );
+
+      expect(productModel.find).toHaveBeenCalledWith({
+        _id: { $in: [PRODUCT_ID, PRODUCT_ID, RUG_ID] },
+      });
+      expect(cartModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: 'u1' },
+        {
+          $set: {
+            items: [
+              { product: PRODUCT_ID, quantity: 3 },
+              { product: RUG_ID, quantity: 1 },
+            ],
+          },
+        },
+        { upsert: true },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'Cart merged',
+        cart: [
+          { product: lamp, quantity: 3 },
+          { product: rug, quantity: 1 },
+        ],
+        changes: {
+          added: ['Rug'],
+          combined: ['Lamp'],
+          capped: [{ name: 'Lamp', quantity: 3 }],
+          removed: 0,
+        },
+      });
+    });
+
+    it('starts from an empty cart when the user has none saved', async () => {
+      cartModel.findOne.mockResolvedValueOnce(null).mockReturnValueOnce({
+        populate: jest.fn().mockResolvedValue({ items: [{ product: lamp, quantity: 1 }] }),
+      });
+      mockProducts([{ _id: PRODUCT_ID, name: 'Lamp', quantity: 3 }]);
+      const res = mockResponse();
+
+      await mergeCartController(
+        mockRequest({ body: { items: [{ productId: PRODUCT_ID, quantity: 1 }] } }),
+        res,
+      );
+
+      expect(res.send.mock.calls[0][0].changes).toEqual({
+        added: ['Lamp'],
+        combined: [],
+        capped: [],
+        removed: 0,
+      });
+    });
+
+    it.each([
+      ['a missing list', undefined],
+      ['a bad product id', [{ productId: 'nope', quantity: 1 }]],
+      ['a bad quantity', [{ productId: PRODUCT_ID, quantity: 0 }]],
+    ])('rejects %s', async (_label, items) => {
+      const res = mockResponse();
+
+      await mergeCartController(mockRequest({ body: { items } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Invalid cart items' });
+      expect(cartModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when the merge fails', async () => {
+      cartModel.findOne.mockRejectedValueOnce(new Error('db down'));
+      const res = mockResponse();
+
+      await mergeCartController(
+        mockRequest({ body: { items: [{ productId: PRODUCT_ID, quantity: 1 }] } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, message: 'Error while merging cart' }),
+      );
+    });
+  });
+
+  describe('validateCartController', () => {
+    const GONE_ID = '64b7f0c2a1b2c3d4e5f6071a';
+
+    it('returns the current price and stock of each line and flags missing products', async () => {
+      const select = jest.fn().mockResolvedValue([
+        {
+          _id: PRODUCT_ID,
+          name: 'Lamp',
+          slug: 'lamp',
+          description: 'A lamp',
+          price: 12,
+          quantity: 4,
+          updatedAt: '2026-10-01T00:00:00.000Z',
+        },
+      ]);
+      productModel.find.mockReturnValue({ select });
+      const res = mockResponse();
+
+      await validateCartController(
+        mockRequest({
+          body: {
+            items: [
+              { productId: PRODUCT_ID, quantity: 2 },
+              { productId: GONE_ID, quantity: 1 },
+            ],
+          },
+        }),
+        res,
+      );
+
+      expect(productModel.find).toHaveBeenCalledWith({ _id: { $in: [PRODUCT_ID, GONE_ID] } });
+      expect(select).toHaveBeenCalledWith(expect.not.stringContaining('photo'));
+      expect(select).toHaveBeenCalledWith(expect.stringContaining('updatedAt'));
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        items: [
+          {
+            productId: PRODUCT_ID,
+            exists: true,
+            name: 'Lamp',
+            slug: 'lamp',
+            description: 'A lamp',
+            price: 12,
+            stock: 4,
+            updatedAt: '2026-10-01T00:00:00.000Z',
+            quantity: 2,
+          },
+          { productId: GONE_ID, exists: false },
+        ],
+      });
+    });
+
+    it('rejects malformed items', async () => {
+      const res = mockResponse();
+
+      await validateCartController(mockRequest({ body: { items: [{ productId: PRODUCT_ID }] } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Invalid cart items' });
+      expect(productModel.find).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when the lookup fails', async () => {
+      productModel.find.mockImplementation(() => {
+        throw new Error('db down');
+      });
+      const res = mockResponse();
+
+      await validateCartController(
+        mockRequest({ body: { items: [{ productId: PRODUCT_ID, quantity: 1 }] } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, message: 'Error while checking cart' }),
+      );
+    });
+  });
+
+  describe('variants', () => {
+    const VARIANT_ID = '64b7f0c2a1b2c3d4e5f607a1';
+    const tee = {
+      _id: PRODUCT_ID,
+      name: 'Tee',
+      price: 20,
+      quantity: 5,
+      variants: [{ _id: VARIANT_ID, options: [{ name: 'Size', value: 'M' }], price: 25, quantity: 2 }],
+    };
+
+    beforeEach(() => {
+      productModel.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(tee) });
+    });
+
+    it('adds a variant as its own line', async () => {
+      cartModel.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 'c1' });
+      mockStoredCart([{ product: tee, variant: VARIANT_ID, quantity: 1 }]);
+      const res = mockResponse();
+
+      await addCartItemController(
+        mockRequest({ body: { productId: PRODUCT_ID, variantId: VARIANT_ID } }),
+        res,
+      );
+
+      expect(cartModel.findOneAndUpdate).toHaveBeenNthCalledWith(
+        1,
+        { user: 'u1', items: { $elemMatch: { product: PRODUCT_ID, variant: VARIANT_ID } } },
+        { $inc: { 'items.$.quantity': 1 } },
+      );
+      expect(cartModel.findOneAndUpdate).toHaveBeenNthCalledWith(
+        2,
+        {
+          user: 'u1',
+          items: { $not: { $elemMatch: { product: PRODUCT_ID, variant: VARIANT_ID } } },
+        },
+        { $push: { items: { product: PRODUCT_ID, variant: VARIANT_ID, quantity: 1 } } },
+        { upsert: true },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('asks for a variant of a product sold in variants', async () => {
+      const res = mockResponse();
+
+      await addCartItemController(mockRequest({ body: { productId: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: 'Choose the options for this product',
+      });
+      expect(cartModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for a variant the product does not have', async () => {
+      const res = mockResponse();
+
+      await addCartItemController(
+        mockRequest({ body: { productId: PRODUCT_ID, variantId: '64b7f0c2a1b2c3d4e5f607ff' } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Variant not found' });
+    });
+
+    it('rejects a malformed variant id', async () => {
+      const res = mockResponse();
+
+      await addCartItemController(
+        mockRequest({ body: { productId: PRODUCT_ID, variantId: { $ne: null } } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Invalid variant' });
+    });
+
+    it('updates and removes the line for one variant', async () => {
+      cartModel.findOneAndUpdate.mockResolvedValueOnce({ _id: 'c1' });
+      mockStoredCart([]);
+      const params = { productId: PRODUCT_ID, variantId: VARIANT_ID };
+
+      await updateCartItemController(mockRequest({ params, body: { quantity: 2 } }), mockResponse());
+      await removeCartItemController(mockRequest({ params }), mockResponse());
+
+      expect(cartModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: 'u1', items: { $elemMatch: { product: PRODUCT_ID, variant: VARIANT_ID } } },
+        { $set: { 'items.$.quantity': 2 } },
+      );
+      expect(cartModel.updateOne).toHaveBeenCalledWith(
+        { user: 'u1' },
+        { $pull: { items: { product: PRODUCT_ID, variant: VARIANT_ID } } },
+      );
+    });
+
+    it('skips lines whose variant has been deleted', async () => {
+      mockStoredCart([
+        { product: tee, variant: '64b7f0c2a1b2c3d4e5f607ff', quantity: 1 },
+        { product: tee, variant: VARIANT_ID, quantity: 1 },
+      ]);
+      const res = mockResponse();
+
+      await getCartController(mockRequest(), res);
+
+      expect(res.send.mock.calls[0][0].cart).toEqual([
+        { product: tee, variant: VARIANT_ID, quantity: 1 },
+      ]);
+    });
+
+    it("checks a variant line against the variant's own price and stock", async () => {
+      productModel.find.mockReturnValue({ select: jest.fn().mockResolvedValue([tee]) });
+      const res = mockResponse();
+
+      await validateCartController(
+        mockRequest({
+          body: {
+            items: [
+              { productId: PRODUCT_ID, variantId: VARIANT_ID, quantity: 1 },
+              { productId: PRODUCT_ID, variantId: '64b7f0c2a1b2c3d4e5f607ff', quantity: 1 },
+            ],
+          },
+        }),
+        res,
+      );
+
+      expect(res.send.mock.calls[0][0].items).toEqual([
+        expect.objectContaining({
+          productId: PRODUCT_ID,
+          variantId: VARIANT_ID,
+          exists: true,
+          price: 25,
+          stock: 2,
+        }),
+        { productId: PRODUCT_ID, variantId: '64b7f0c2a1b2c3d4e5f607ff', exists: false },
+      ]);
+    });
+  });
+});
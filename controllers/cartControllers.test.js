@@ -18,6 +18,31 @@ jest.mock('../models/productModel.js', () => ({
 }));
 jest.mock('../models/categoryModel.js');
 jest.mock('../models/orderModel.js');
+jest.mock('../helpers/stockHelper.js', () => ({
+  __esModule: true,
+  reserveStock: jest.fn().mockResolvedValue({ ok: true }),
+  releaseStock: jest.fn(),
+  commitStock: jest.fn(),
+}));
+jest.mock('../helpers/promotionHelper.js', () => ({
+  __esModule: true,
+  ...jest.requireActual('../helpers/promotionHelper.js'),
+  cartPromotions: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../models/taxRateModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn().mockResolvedValue([]) },
+}));
+jest.mock('../models/shippingMethodModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn().mockResolvedValue([]) },
+}));
+jest.mock('../models/userModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(() => ({ select: jest.fn().mockResolvedValue(null) })),
+  },
+}));
 
 // Mock braintree gateway — mock functions must be created inside the factory
 // because jest.mock is hoisted above all variable declarations.
@@ -162,9 +187,22 @@ describe('brainTreePaymentController – POST /api/v1/product/braintree/payment'
       expect.any(Function),
     );
 
-    // Verify order created with product IDs (not full objects)
+    // Verify order created with line item snapshots (not full objects)
     expect(orderModel).toHaveBeenCalledWith({
-      products: ['p1', 'p2'],
+      products: [
+        { product: 'p1', name: 'Item 1', price: 10, quantity: 1, total: 10 },
+        { product: 'p2', name: 'Item 2', price: 20, quantity: 1, total: 20 },
+      ],
+      subtotal: 30,
+      discount: 0,
+      promotions: [],
+      tax: 0,
+      taxMode: 'exclusive',
+      taxRegion: '',
+      taxes: [],
+      shipping: null,
+      shippingAddress: null,
+      total: 30,
       payment: transactionResult,
       buyer: 'buyer123',
     });
@@ -192,6 +230,42 @@ describe('brainTreePaymentController – POST /api/v1/product/braintree/payment'
     expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 42.5 }), expect.any(Function));
   });
 
+  it('groups repeated cart entries into a single line with a quantity', async () => {
+    const cart = [
+      { _id: 'p1', name: 'Item 1', price: 10 },
+      { _id: 'p1', name: 'Item 1', price: 10 },
+      { _id: 'p2', name: 'Item 2', price: 5 },
+    ];
+
+    mockProductFind.mockResolvedValue([
+      { _id: 'p1', name: 'Item 1', price: 10 },
+      { _id: 'p2', name: 'Item 2', price: 5 },
+    ]);
+    mockSale.mockImplementation((opts, cb) => {
+      cb(null, { success: true });
+    });
+
+    const req = mockRequest({
+      body: { nonce: 'nonce', cart },
+      user: { _id: 'u1' },
+    });
+    const res = mockResponse();
+
+    await brainTreePaymentController(req, res);
+
+    expect(mockProductFind).toHaveBeenCalledWith({ _id: { $in: ['p1', 'p2'] } });
+    expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 25 }), expect.any(Function));
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        products: [
+          { product: 'p1', name: 'Item 1', price: 10, quantity: 2, total: 20 },
+          { product: 'p2', name: 'Item 2', price: 5, quantity: 1, total: 5 },
+        ],
+        total: 25,
+      }),
+    );
+  });
+
   it('calculates total correctly for many items', async () => {
     const cart = Array.from({ length: 5 }, (_, i) => ({
       _id: `p${i}`,
@@ -1,5 +1,12 @@
 import categoryModel from "../models/categoryModel.js";
+import productModel from "../models/productModel.js";
 import slugify from "slugify";
+import {
+  catalogCache,
+  invalidateCatalog,
+  notModified,
+  validatorsFor,
+} from "../helpers/cacheHelper.js";
 export const createCategoryController = async (req, res) => {
   try {
     const { name } = req.body;
@@ -17,6 +24,7 @@ export const createCategoryController = async (req, res) => {
       name,
       slug: slugify(name),
     });
+    invalidateCatalog();
     res.status(201).send({
       success: true,
       message: "new category created",
@@ -42,6 +50,9 @@ export const updateCategoryController = async (req, res) => {
       { name, slug: slugify(name) },
       { new: true }
     );
+    // products carry the name for search
+    await productModel.updateMany({ category: id }, { categoryName: name });
+    invalidateCatalog();
     res.status(200).send({
       success: true,
       message: "Category Updated Successfully",
@@ -60,7 +71,10 @@ export const updateCategoryController = async (req, res) => {
 // get all cat
 export const categoryControlller = async (req, res) => {
   try {
-    const category = await categoryModel.find({});
+    const category = await catalogCache.remember("categories", () =>
+      categoryModel.find({})
+    );
+    if (notModified(req, res, validatorsFor(category))) return;
     res.status(200).send({
       success: true,
       message: "All Categories List",
@@ -106,6 +120,8 @@ export const deleteCategoryCOntroller = async (req, res) => {
   try {
     const { id } = req.params;
     await categoryModel.findByIdAndDelete(id);
+    await productModel.updateMany({ category: id }, { categoryName: "" });
+    invalidateCatalog();
     res.status(200).send({
       success: true,
       message: "Category Deleted Successfully",
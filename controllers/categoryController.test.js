@@ -7,10 +7,16 @@ import {
   deleteCategoryCOntroller,
 } from './categoryController';
 import categoryModel from '../models/categoryModel.js';
+import productModel from '../models/productModel.js';
 import slugify from 'slugify';
+import { catalogCache } from '../helpers/cacheHelper.js';
 
 
 jest.mock('../models/categoryModel.js');
+jest.mock('../models/productModel.js', () => ({
+  __esModule: true,
+  default: { updateMany: jest.fn() },
+}));
 jest.mock('slugify');
 
 
@@ -24,6 +30,8 @@ const mockRes = () => {
   const res = {};
   res.status = jest.fn().mockReturnValue(res);
   res.send = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  res.end = jest.fn().mockReturnValue(res);
   return res;
 };
 
@@ -31,6 +39,7 @@ const mockRes = () => {
 describe('categoryController', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    catalogCache.clear();
     slugify.mockImplementation((name) => name.toLowerCase().replace(/\s+/g, '-'));
   });
 
@@ -178,6 +187,20 @@ describe('categoryController', () => {
       expect(slugify).toHaveBeenCalledWith('My Category');
     });
 
+    it('renames the category on its products for search', async () => {
+      categoryModel.findByIdAndUpdate.mockResolvedValue({});
+
+      await updateCategoryController(
+        mockReq({ body: { name: 'Lamps' }, params: { id: 'c1' } }),
+        mockRes(),
+      );
+
+      expect(productModel.updateMany).toHaveBeenCalledWith(
+        { category: 'c1' },
+        { categoryName: 'Lamps' },
+      );
+    });
+
     it('returns 500 on database error', async () => {
       const dbError = new Error('DB fail');
       categoryModel.findByIdAndUpdate.mockRejectedValue(dbError);
@@ -259,6 +282,51 @@ describe('categoryController', () => {
 
       consoleSpy.mockRestore();
     });
+
+    it('keeps the list in the catalog cache until a category is written', async () => {
+      categoryModel.find.mockResolvedValue([{ _id: 'c1', name: 'A', slug: 'a' }]);
+      categoryModel.findOne.mockResolvedValue(null);
+      categoryModel.create.mockResolvedValue({ _id: 'c2', name: 'B', slug: 'b' });
+      categoryModel.findByIdAndUpdate.mockResolvedValue({ _id: 'c2', name: 'C', slug: 'c' });
+
+      await categoryControlller(mockReq(), mockRes());
+      await categoryControlller(mockReq(), mockRes());
+      expect(categoryModel.find).toHaveBeenCalledTimes(1);
+
+      await createCategoryController(mockReq({ body: { name: 'B' } }), mockRes());
+      await categoryControlller(mockReq(), mockRes());
+      await updateCategoryController(
+        mockReq({ params: { id: 'c2' }, body: { name: 'C' } }),
+        mockRes()
+      );
+      await categoryControlller(mockReq(), mockRes());
+      await deleteCategoryCOntroller(mockReq({ params: { id: 'c2' } }), mockRes());
+      await categoryControlller(mockReq(), mockRes());
+      expect(categoryModel.find).toHaveBeenCalledTimes(4);
+    });
+
+    it('answers 304 when the client has the current list', async () => {
+      categoryModel.find.mockResolvedValue([
+        { _id: 'c1', name: 'A', slug: 'a', updatedAt: new Date('2024-01-01') },
+      ]);
+      const first = mockRes();
+      await categoryControlller(mockReq(), first);
+      const headers = first.set.mock.calls[0][0];
+      expect(headers).toMatchObject({
+        'Cache-Control': 'no-cache',
+        'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT',
+      });
+
+      const res = mockRes();
+      await categoryControlller(
+        mockReq({ headers: { 'if-none-match': headers.ETag } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.end).toHaveBeenCalled();
+      expect(res.send).not.toHaveBeenCalled();
+    });
   });
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -335,6 +403,10 @@ describe('categoryController', () => {
       await deleteCategoryCOntroller(req, res);
 
       expect(categoryModel.findByIdAndDelete).toHaveBeenCalledWith('c1');
+      expect(productModel.updateMany).toHaveBeenCalledWith(
+        { category: 'c1' },
+        { categoryName: '' },
+      );
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.send).toHaveBeenCalledWith({
         success: true,
@@ -0,0 +1,221 @@
+import mongoose from "mongoose";
+import couponModel from "../models/couponModel.js";
+import { isCartItems, pricedCartLines } from "../helpers/cartHelper.js";
+import { applyCoupon, normalizeCode } from "../helpers/couponHelper.js";
+import { roundPrice } from "../helpers/priceHelper.js";
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+const isIdList = (value) =>
+  Array.isArray(value) && value.every((id) => mongoose.isValidObjectId(id));
+
+// check and tidy what the admin form sent; unset limits and expiry are
+// stored as null so an update can clear them
+const readCouponFields = (body) => {
+  const code = normalizeCode(body.code);
+  if (!code) return { error: "Code is required" };
+  const { type } = body;
+  if (!["percent", "fixed"].includes(type)) {
+    return { error: "Type must be percent or fixed" };
+  }
+  const value = Number(body.value);
+  if (!(value > 0)) return { error: "Value must be more than 0" };
+  if (type === "percent" && value > 100) {
+    return { error: "A percentage cannot be more than 100" };
+  }
+  const minSpend = isBlank(body.minSpend) ? 0 : Number(body.minSpend);
+  if (!(minSpend >= 0)) return { error: "Minimum spend cannot be negative" };
+  const limits = {};
+  for (const key of ["usageLimit", "perUserLimit"]) {
+    limits[key] = isBlank(body[key]) ? null : Number(body[key]);
+    if (limits[key] !== null && !(Number.isInteger(limits[key]) && limits[key] >= 1)) {
+      return { error: "Usage limits must be whole numbers of at least 1" };
+    }
+  }
+  const expiresAt = isBlank(body.expiresAt) ? null : new Date(body.expiresAt);
+  if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+    return { error: "Invalid expiry date" };
+  }
+  const categories = body.categories ?? [];
+  if (!isIdList(categories)) return { error: "Invalid categories" };
+  const products = body.products ?? [];
+  if (!isIdList(products)) return { error: "Invalid products" };
+  return {
+    fields: {
+      code,
+      type,
+      value,
+      minSpend,
+      ...limits,
+      expiresAt,
+      categories,
+      products,
+      active: body.active === undefined ? true : Boolean(body.active),
+    },
+  };
+};
+
+//create coupon
+export const createCouponController = async (req, res) => {
+  try {
+    const { error, fields } = readCouponFields(req.body);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    const existing = await couponModel.findOne({ code: fields.code });
+    if (existing) {
+      return res.status(409).send({
+        success: false,
+        message: "Coupon code already exists",
+      });
+    }
+    const coupon = await couponModel.create(fields);
+    res.status(201).send({
+      success: true,
+      message: "Coupon created",
+      coupon,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while creating coupon",
+      error,
+    });
+  }
+};
+
+//update coupon
+export const updateCouponController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, fields } = readCouponFields(req.body);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    const existing = await couponModel.findOne({ code: fields.code, _id: { $ne: id } });
+    if (existing) {
+      return res.status(409).send({
+        success: false,
+        message: "Coupon code already exists",
+      });
+    }
+    const coupon = await couponModel.findByIdAndUpdate(id, fields, { new: true });
+    if (!coupon) {
+      return res.status(404).send({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Coupon updated",
+      coupon,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating coupon",
+      error,
+    });
+  }
+};
+
+//all coupons, newest first
+export const getCouponsController = async (req, res) => {
+  try {
+    const coupons = await couponModel
+      .find({})
+      .select("-redemptions")
+      .populate("categories", "name")
+      .populate("products", "name")
+      .sort({ createdAt: -1 });
+    res.status(200).send({
+      success: true,
+      coupons,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting coupons",
+      error,
+    });
+  }
+};
+
+//delete coupon
+export const deleteCouponController = async (req, res) => {
+  try {
+    const coupon = await couponModel.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      return res.status(404).send({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Coupon deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting coupon",
+      error,
+    });
+  }
+};
+
+//what a code would take off the cart, priced like the payment will be
+export const previewCouponController = async (req, res) => {
+  try {
+    const { code, items } = req.body;
+    if (!normalizeCode(code)) {
+      return res.status(400).send({
+        success: false,
+        message: "Enter a coupon code",
+      });
+    }
+    if (!isCartItems(items)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid cart items",
+      });
+    }
+    const lines = (await pricedCartLines(items, "category")).map((line) => ({
+      product: line.product._id,
+      category: line.product.category,
+      total: line.total,
+    }));
+    const applied = await applyCoupon(code, lines, req.user._id);
+    if (!applied.ok) {
+      return res.status(400).send({
+        success: false,
+        message: applied.message,
+      });
+    }
+    const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.total, 0));
+    res.status(200).send({
+      success: true,
+      message: "Coupon applied",
+      coupon: {
+        code: applied.coupon.code,
+        type: applied.coupon.type,
+        value: applied.coupon.value,
+      },
+      subtotal,
+      discount: applied.discount,
+      total: roundPrice(subtotal - applied.discount),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while checking coupon",
+      error,
+    });
+  }
+};
@@ -0,0 +1,362 @@
+import couponModel from '../models/couponModel.js';
+import productModel from '../models/productModel.js';
+import {
+  createCouponController,
+  deleteCouponController,
+  getCouponsController,
+  previewCouponController,
+  updateCouponController,
+} from './couponController.js';
+
+jest.mock('../models/couponModel.js', () => ({
+  __esModule: true,
+  default: {
+    findOne: jest.fn(),
+    find: jest.fn(),
+    create: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    findByIdAndDelete: jest.fn(),
+  },
+}));
+
+jest.mock('../models/productModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+
+const LAMP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const RUG_ID = '64b7f0c2a1b2c3d4e5f60719';
+const CATEGORY_ID = '64b7f0c2a1b2c3d4e5f60720';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  user: { _id: 'u1' },
+  ...overrides,
+});
+
+const validBody = {
+  code: ' spring20 ',
+  type: 'percent',
+  value: '20',
+  minSpend: '',
+  usageLimit: '100',
+  perUserLimit: '',
+  expiresAt: '2030-06-30',
+  categories: [CATEGORY_ID],
+  products: [],
+};
+
+describe('couponController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('createCouponController', () => {
+    it('stores the tidied fields', async () => {
+      couponModel.findOne.mockResolvedValue(null);
+      couponModel.create.mockResolvedValue({ _id: 'c1', code: 'SPRING20' });
+      const res = mockResponse();
+
+      await createCouponController(mockRequest({ body: validBody }), res);
+
+      expect(couponModel.create).toHaveBeenCalledWith({
+        code: 'SPRING20',
+        type: 'percent',
+        value: 20,
+        minSpend: 0,
+        usageLimit: 100,
+        perUserLimit: null,
+        expiresAt: new Date('2030-06-30'),
+        categories: [CATEGORY_ID],
+        products: [],
+        active: true,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'Coupon created',
+        coupon: { _id: 'c1', code: 'SPRING20' },
+      });
+    });
+
+    it.each([
+      [{ code: '' }, 'Code is required'],
+      [{ type: 'free' }, 'Type must be percent or fixed'],
+      [{ value: '0' }, 'Value must be more than 0'],
+      [{ value: '120' }, 'A percentage cannot be more than 100'],
+      [{ minSpend: '-1' }, 'Minimum spend cannot be negative'],
+      [{ usageLimit: '1.5' }, 'Usage limits must be whole numbers of at least 1'],
+      [{ perUserLimit: '0' }, 'Usage limits must be whole numbers of at least 1'],
+      [{ expiresAt: 'someday' }, 'Invalid expiry date'],
+      [{ categories: ['nope'] }, 'Invalid categories'],
+      [{ products: 'all' }, 'Invalid products'],
+    ])('rejects %p', async (change, message) => {
+      const res = mockResponse();
+
+      await createCouponController(mockRequest({ body: { ...validBody, ...change } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(couponModel.create).not.toHaveBeenCalled();
+    });
+
+    it('allows a fixed amount above 100', async () => {
+      couponModel.findOne.mockResolvedValue(null);
+      couponModel.create.mockResolvedValue({});
+      const res = mockResponse();
+
+      await createCouponController(mockRequest({ body: { ...validBody, type: 'fixed', value: 150 } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('refuses a code that is already taken', async () => {
+      couponModel.findOne.mockResolvedValue({ _id: 'other' });
+      const res = mockResponse();
+
+      await createCouponController(mockRequest({ body: validBody }), res);
+
+      expect(couponModel.findOne).toHaveBeenCalledWith({ code: 'SPRING20' });
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Coupon code already exists' });
+    });
+
+    it('returns 500 when saving fails', async () => {
+      couponModel.findOne.mockResolvedValue(null);
+      couponModel.create.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await createCouponController(mockRequest({ body: validBody }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(expect.objectContaining({ message: 'Error while creating coupon' }));
+    });
+  });
+
+  describe('updateCouponController', () => {
+    it('saves the fields and clears unset limits', async () => {
+      couponModel.findOne.mockResolvedValue(null);
+      couponModel.findByIdAndUpdate.mockResolvedValue({ _id: 'c1' });
+      const res = mockResponse();
+
+      await updateCouponController(
+        mockRequest({ params: { id: 'c1' }, body: { ...validBody, usageLimit: '', active: false } }),
+        res,
+      );
+
+      expect(couponModel.findOne).toHaveBeenCalledWith({ code: 'SPRING20', _id: { $ne: 'c1' } });
+      expect(couponModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        'c1',
+        expect.objectContaining({ usageLimit: null, active: false }),
+        { new: true },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Coupon updated', coupon: { _id: 'c1' } });
+    });
+
+    it('refuses to take the code of another coupon', async () => {
+      couponModel.findOne.mockResolvedValue({ _id: 'c2' });
+      const res = mockResponse();
+
+      await updateCouponController(mockRequest({ params: { id: 'c1' }, body: validBody }), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(couponModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for an unknown coupon', async () => {
+      couponModel.findOne.mockResolvedValue(null);
+      couponModel.findByIdAndUpdate.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await updateCouponController(mockRequest({ params: { id: 'c1' }, body: validBody }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('rejects invalid fields', async () => {
+      const res = mockResponse();
+
+      await updateCouponController(mockRequest({ params: { id: 'c1' }, body: { ...validBody, type: '' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('returns 500 when saving fails', async () => {
+      couponModel.findOne.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await updateCouponController(mockRequest({ params: { id: 'c1' }, body: validBody }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getCouponsController', () => {
+    it('lists coupons newest first with scope names and without redemptions', async () => {
+      const sort = jest.fn().mockResolvedValue([{ code: 'A' }]);
+      const query = { populate: jest.fn(), sort };
+      query.populate.mockReturnValue(query);
+      const select = jest.fn().mockReturnValue(query);
+      couponModel.find.mockReturnValue({ select });
+      const res = mockResponse();
+
+      await getCouponsController(mockRequest(), res);
+
+      expect(select).toHaveBeenCalledWith('-redemptions');
+      expect(query.populate).toHaveBeenCalledWith('categories', 'name');
+      expect(query.populate).toHaveBeenCalledWith('products', 'name');
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(res.send).toHaveBeenCalledWith({ success: true, coupons: [{ code: 'A' }] });
+    });
+
+    it('returns 500 on a database error', async () => {
+      couponModel.find.mockImplementation(() => {
+        throw new Error('db down');
+      });
+      const res = mockResponse();
+
+      await getCouponsController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deleteCouponController', () => {
+    it('deletes the coupon', async () => {
+      couponModel.findByIdAndDelete.mockResolvedValue({ _id: 'c1' });
+      const res = mockResponse();
+
+      await deleteCouponController(mockRequest({ params: { id: 'c1' } }), res);
+
+      expect(couponModel.findByIdAndDelete).toHaveBeenCalledWith('c1');
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Coupon deleted' });
+    });
+
+    it('returns 404 for an unknown coupon', async () => {
+      couponModel.findByIdAndDelete.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await deleteCouponController(mockRequest({ params: { id: 'c1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 on a database error', async () => {
+      couponModel.findByIdAndDelete.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await deleteCouponController(mockRequest({ params: { id: 'c1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('previewCouponController', () => {
+    const items = [
+      { productId: LAMP_ID, quantity: 2 },
+      { productId: RUG_ID, quantity: 1 },
+    ];
+
+    beforeEach(() => {
+      productModel.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: LAMP_ID, price: 10, category: CATEGORY_ID },
+          { _id: RUG_ID, price: 5, category: 'other' },
+        ]),
+      });
+    });
+
+    it('prices the code against current product prices', async () => {
+      couponModel.findOne.mockResolvedValue({
+        code: 'LAMPS',
+        type: 'percent',
+        value: 50,
+        active: true,
+        categories: [CATEGORY_ID],
+        products: [],
+      });
+      const res = mockResponse();
+
+      await previewCouponController(mockRequest({ body: { code: 'lamps', items } }), res);
+
+      expect(couponModel.findOne).toHaveBeenCalledWith({ code: 'LAMPS' });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'Coupon applied',
+        coupon: { code: 'LAMPS', type: 'percent', value: 50 },
+        subtotal: 25,
+        discount: 10,
+        total: 15,
+      });
+    });
+
+    it('says why a code cannot be used', async () => {
+      couponModel.findOne.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await previewCouponController(mockRequest({ body: { code: 'nope', items } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Coupon code is not valid' });
+    });
+
+    it('asks for a code', async () => {
+      const res = mockResponse();
+
+      await previewCouponController(mockRequest({ body: { code: ' ', items } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Enter a coupon code' });
+    });
+
+    it('rejects malformed cart items', async () => {
+      const res = mockResponse();
+
+      await previewCouponController(
+        mockRequest({ body: { code: 'x', items: [{ productId: LAMP_ID, quantity: 0 }] } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Invalid cart items' });
+    });
+
+    it('rejects a variant id that is not one', async () => {
+      const res = mockResponse();
+
+      await previewCouponController(
+        mockRequest({ body: { code: 'x', items: [{ productId: LAMP_ID, variantId: 'v1', quantity: 1 }] } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(productModel.find).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 on a database error', async () => {
+      productModel.find.mockImplementation(() => {
+        throw new Error('db down');
+      });
+      const res = mockResponse();
+
+      await previewCouponController(mockRequest({ body: { code: 'x', items } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -12,6 +12,7 @@ import { productCountController, productListController, productFiltersController
 import { categoryControlller } from './categoryController.js';
 import productModel from '../models/productModel.js';
 import categoryModel from '../models/categoryModel.js';
+import { catalogCache } from '../helpers/cacheHelper.js';
 
 // ─── Mocks ──────────────────────────────────────────────────────────────────
 
@@ -32,6 +33,7 @@ const mockResponse = () => {
   res.send = jest.fn().mockReturnValue(res);
   res.json = jest.fn().mockReturnValue(res);
   res.set = jest.fn().mockReturnValue(res);
+  res.end = jest.fn().mockReturnValue(res);
   return res;
 };
 
@@ -42,6 +44,11 @@ const mockRequest = (overrides = {}) => ({
   ...overrides,
 });
 
+// each test reads the catalog afresh
+beforeEach(() => {
+  catalogCache.clear();
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // categoryControlller (get all categories)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -201,6 +208,7 @@ describe('productListController – GET /api/v1/product/product-list/:page', ()
     const products = Array.from({ length: 6 }, (_, i) => ({
       _id: `p${i}`,
       name: `Product ${i}`,
+      quantity: i,
     }));
     const chain = mockChain(products);
 
@@ -209,17 +217,28 @@ describe('productListController – GET /api/v1/product/product-list/:page', ()
 
     await productListController(req, res);
 
-    expect(chain.select).toHaveBeenCalledWith('-photo');
+    expect(chain.select).toHaveBeenCalledWith('-photo -variants.photo.data');
     expect(chain.skip).toHaveBeenCalledWith(0); // (1-1) * 6
     expect(chain.limit).toHaveBeenCalledWith(6);
     expect(chain.sort).toHaveBeenCalledWith({ createdAt: -1 });
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.send).toHaveBeenCalledWith({
       success: true,
-      products,
+      products: products.map((p) => ({ ...p, outOfStock: p.quantity === 0 })),
     });
   });
 
+  it('sorts by rating, then review count, when asked', async () => {
+    const chain = mockChain([]);
+
+    const req = mockRequest({ params: { page: '1' }, query: { sort: 'rating' } });
+    const res = mockResponse();
+
+    await productListController(req, res);
+
+    expect(chain.sort).toHaveBeenCalledWith({ ratingAverage: -1, ratingCount: -1, createdAt: -1 });
+  });
+
   it('calculates correct skip for page 2', async () => {
     const chain = mockChain([]);
 
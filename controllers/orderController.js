@@ -0,0 +1,257 @@
+import mongoose from "mongoose";
+import orderModel from "../models/orderModel.js";
+import { getPaymentProvider } from "../helpers/paymentProvider.js";
+import { canTransition, nextStatuses } from "../helpers/orderStatusHelper.js";
+import { roundPrice } from "../helpers/priceHelper.js";
+import { restockItems } from "../helpers/stockHelper.js";
+import { lineKey } from "../helpers/variantHelper.js";
+
+// a transaction can only be voided before it settles, and only refunded after
+const VOIDABLE = ["authorized", "submitted_for_settlement", "settlement_pending"];
+const REFUNDABLE = ["settling", "settled"];
+
+// turn the requested items into refund lines, or every unrefunded unit when
+// no items are given; returns null when an item is unknown or over-refunded.
+// Lines for different variants of a product are refunded separately.
+const pickRefundLines = (products, items) => {
+  const remaining = new Map(
+    products.map((line) => [
+      lineKey(line.product, line.variant),
+      {
+        product: line.product.toString(),
+        variant: line.variant?.toString(),
+        quantity: line.quantity - (line.refundedQuantity || 0),
+      },
+    ])
+  );
+  const refundLine = ({ product, variant }, quantity) =>
+    variant ? { product, variant, quantity } : { product, quantity };
+  if (items === undefined) {
+    return [...remaining.values()]
+      .filter((line) => line.quantity > 0)
+      .map((line) => refundLine(line, line.quantity));
+  }
+  if (!Array.isArray(items) || items.length === 0) return null;
+  const picked = new Map();
+  for (const item of items) {
+    const key = lineKey(item?.product, item?.variant);
+    const line = remaining.get(key);
+    const quantity = Number(item?.quantity);
+    const left = (line?.quantity ?? 0) - (picked.get(key) ?? 0);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > left) {
+      return null;
+    }
+    picked.set(key, (picked.get(key) ?? 0) + quantity);
+  }
+  return [...picked].map(([key, quantity]) => refundLine(remaining.get(key), quantity));
+};
+
+const releaseClaim = (order, amount) =>
+  orderModel.updateOne(
+    { _id: order._id },
+    { $set: { products: order.products }, $inc: { refundedTotal: -amount } }
+  );
+
+//refund or cancel a paid order
+export const refundOrderController = async (req, res) => {
+  let claim = null;
+  try {
+    const { orderId } = req.params;
+    const { items } = req.body;
+    const order = await orderModel.findById(orderId);
+    if (!order) {
+      return res.status(404).send({
+        success: false,
+        message: "Order not found",
+      });
+    }
+    const transactionId = order.payment?.transaction?.id;
+    if (!order.payment?.success || !transactionId) {
+      return res.status(400).send({
+        success: false,
+        message: "Order has no payment to refund",
+      });
+    }
+    const lines = pickRefundLines(order.products, items);
+    if (!lines) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid refund items",
+      });
+    }
+    if (lines.length === 0) {
+      return res.status(409).send({
+        success: false,
+        message: "Order has already been fully refunded",
+      });
+    }
+
+    const refunding = new Map(
+      lines.map((line) => [lineKey(line.product, line.variant), line.quantity])
+    );
+    const products = order.products.map((line) => {
+      const doc = typeof line.toObject === "function" ? line.toObject() : line;
+      return {
+        ...doc,
+        refundedQuantity:
+          (doc.refundedQuantity || 0) +
+          (refunding.get(lineKey(doc.product, doc.variant)) || 0),
+      };
+    });
+    const fullRefund = products.every((line) => line.refundedQuantity >= line.quantity);
+    let status = order.status;
+    if (fullRefund) {
+      status = ["cancel", "refunded"].find((next) => canTransition(order.status, next));
+    }
+    if (!status || nextStatuses(order.status).length === 0) {
+      return res.status(409).send({
+        success: false,
+        message: `Cannot refund an order that is ${order.status}`,
+      });
+    }
+    // the last refund takes whatever is left so rounding never strands
+    // cents; before that, units give back their price less their share of
+    // any order discount, plus their share of any tax added on top;
+    // shipping only comes back with the last refund
+    const goodsTotal = order.total - (order.shipping?.cost || 0);
+    const linesValue = lines.reduce((sum, line) => {
+      const orderLine = products.find(
+        (p) => lineKey(p.product, p.variant) === lineKey(line.product, line.variant)
+      );
+      return sum + orderLine.price * line.quantity;
+    }, 0);
+    const amount = fullRefund
+      ? roundPrice(order.total - (order.refundedTotal || 0))
+      : roundPrice(
+          order.subtotal > 0 && goodsTotal !== order.subtotal
+            ? (linesValue * goodsTotal) / order.subtotal
+            : linesValue
+        );
+
+    const provider = getPaymentProvider();
+    const transaction = await provider.getTransaction(transactionId);
+    let type;
+    if (VOIDABLE.includes(transaction?.status)) {
+      if (!fullRefund || order.refundedTotal > 0) {
+        return res.status(409).send({
+          success: false,
+          message: "Partial refunds are only possible once the payment has settled",
+        });
+      }
+      type = "void";
+    } else if (REFUNDABLE.includes(transaction?.status)) {
+      type = "refund";
+    } else {
+      return res.status(409).send({
+        success: false,
+        message: `Payment is ${transaction?.status} and cannot be refunded`,
+      });
+    }
+
+    // claim the units before calling the provider so two admins refunding
+    // at the same time cannot send the same money back twice
+    const claimed = await orderModel.findOneAndUpdate(
+      { _id: order._id, updatedAt: order.updatedAt },
+      { $set: { products }, $inc: { refundedTotal: amount } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).send({
+        success: false,
+        message: "Order was changed by someone else, please refresh",
+      });
+    }
+    claim = { order, amount };
+
+    const result =
+      type === "void"
+        ? await provider.void(transactionId)
+        : await provider.refund(transactionId, amount.toFixed(2));
+    if (!result?.success) {
+      claim = null;
+      await releaseClaim(order, amount);
+      return res.status(500).send({
+        success: false,
+        message: "Payment provider rejected the refund",
+        error: result?.message,
+      });
+    }
+    claim = null;
+
+    const changedAt = new Date();
+    const update = {
+      $push: {
+        refunds: {
+          amount,
+          type,
+          transactionId: result.transaction?.id,
+          items: lines,
+          refundedBy: req.user._id,
+          refundedAt: changedAt,
+        },
+      },
+    };
+    if (status !== order.status) {
+      update.status = status;
+      update.$push.statusHistory = {
+        from: order.status,
+        status,
+        changedBy: req.user._id,
+        changedAt,
+      };
+    }
+    const updated = await orderModel.findByIdAndUpdate(order._id, update, {
+      new: true,
+    });
+    await restockItems(lines);
+    res.status(200).send({
+      success: true,
+      message: type === "void" ? "Payment voided" : "Refund issued",
+      order: updated,
+    });
+  } catch (error) {
+    console.log(error);
+    if (claim) await releaseClaim(claim.order, claim.amount);
+    res.status(500).send({
+      success: false,
+      message: "Error while refunding order",
+      error,
+    });
+  }
+};
+
+//a guest order, found by its number and the email it was placed with
+export const guestOrderLookupController = async (req, res) => {
+  try {
+    const { orderId, email } = req.body;
+    const guestEmail = typeof email === "string" ? email.trim().toLowerCase() : "";
+    // one answer for every miss, so the lookup says nothing about which
+    // order numbers exist
+    if (!mongoose.isValidObjectId(orderId) || !guestEmail) {
+      return res.status(404).send({
+        success: false,
+        message: "Order not found",
+      });
+    }
+    const order = await orderModel
+      .findOne({ _id: orderId, guestEmail })
+      .select("-payment -refunds -statusHistory");
+    if (!order) {
+      return res.status(404).send({
+        success: false,
+        message: "Order not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      order,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while looking up order",
+      error,
+    });
+  }
+};
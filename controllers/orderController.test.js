@@ -0,0 +1,545 @@
+import orderModel from '../models/orderModel.js';
+import { restockItems } from '../helpers/stockHelper.js';
+import { setPaymentProvider } from '../helpers/paymentProvider.js';
+import { guestOrderLookupController, refundOrderController } from './orderController.js';
+
+jest.mock('../models/orderModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+
+jest.mock('../helpers/stockHelper.js', () => ({
+  restockItems: jest.fn(),
+}));
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  params: { orderId: 'o1' },
+  body: {},
+  user: { _id: 'admin1' },
+  ...overrides,
+});
+
+const makeOrder = (overrides = {}) => ({
+  _id: 'o1',
+  status: 'Processing',
+  updatedAt: 'u1',
+  total: 25,
+  refundedTotal: 0,
+  payment: { success: true, transaction: { id: 'txn1' } },
+  products: [
+    { product: 'p1', name: 'Lamp', price: 10, quantity: 2, total: 20, refundedQuantity: 0 },
+    { product: 'p2', name: 'Rug', price: 5, quantity: 1, total: 5, refundedQuantity: 0 },
+  ],
+  ...overrides,
+});
+
+const makeProvider = (settlement = 'settled') => ({
+  getTransaction: jest.fn().mockResolvedValue({ id: 'txn1', status: settlement }),
+  void: jest.fn().mockResolvedValue({ success: true, transaction: { id: 'txn1' } }),
+  refund: jest.fn().mockResolvedValue({ success: true, transaction: { id: 'refund1' } }),
+});
+
+describe('refundOrderController', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    provider = makeProvider();
+    setPaymentProvider(provider);
+    orderModel.findOneAndUpdate.mockResolvedValue({ _id: 'o1' });
+    orderModel.findByIdAndUpdate.mockResolvedValue({ _id: 'o1', status: 'updated' });
+  });
+
+  afterEach(() => {
+    setPaymentProvider(null);
+    console.log.mockRestore();
+  });
+
+  it('voids an unsettled payment, cancels the order and restocks everything', async () => {
+    provider = makeProvider('submitted_for_settlement');
+    setPaymentProvider(provider);
+    orderModel.findById.mockResolvedValue(makeOrder());
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(provider.void).toHaveBeenCalledWith('txn1');
+    expect(provider.refund).not.toHaveBeenCalled();
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'o1', updatedAt: 'u1' },
+      {
+        $set: {
+          products: [
+            expect.objectContaining({ product: 'p1', refundedQuantity: 2 }),
+            expect.objectContaining({ product: 'p2', refundedQuantity: 1 }),
+          ],
+        },
+        $inc: { refundedTotal: 25 },
+      },
+      { new: true },
+    );
+    expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      'o1',
+      {
+        status: 'cancel',
+        $push: {
+          refunds: {
+            amount: 25,
+            type: 'void',
+            transactionId: 'txn1',
+            items: [
+              { product: 'p1', quantity: 2 },
+              { product: 'p2', quantity: 1 },
+            ],
+            refundedBy: 'admin1',
+            refundedAt: expect.any(Date),
+          },
+          statusHistory: {
+            from: 'Processing',
+            status: 'cancel',
+            changedBy: 'admin1',
+            changedAt: expect.any(Date),
+          },
+        },
+      },
+      { new: true },
+    );
+    expect(restockItems).toHaveBeenCalledWith([
+      { product: 'p1', quantity: 2 },
+      { product: 'p2', quantity: 1 },
+    ]);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: 'Payment voided',
+      order: { _id: 'o1', status: 'updated' },
+    });
+  });
+
+  it('refunds a settled payment in full and marks a delivered order refunded', async () => {
+    orderModel.findById.mockResolvedValue(makeOrder({ status: 'deliverd' }));
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(provider.refund).toHaveBeenCalledWith('txn1', '25.00');
+    expect(provider.void).not.toHaveBeenCalled();
+    const [, update] = orderModel.findByIdAndUpdate.mock.calls[0];
+    expect(update.status).toBe('refunded');
+    expect(update.$push.refunds).toMatchObject({ amount: 25, type: 'refund', transactionId: 'refund1' });
+    expect(res.send).toHaveBeenCalledWith(expect.objectContaining({ message: 'Refund issued' }));
+  });
+
+  it('refunds only the requested items and keeps the status', async () => {
+    orderModel.findById.mockResolvedValue(makeOrder({ status: 'Shipped' }));
+    const res = mockResponse();
+
+    await refundOrderController(
+      mockRequest({ body: { items: [{ product: 'p1', quantity: 1 }] } }),
+      res,
+    );
+
+    expect(provider.refund).toHaveBeenCalledWith('txn1', '10.00');
+    const [, claim] = orderModel.findOneAndUpdate.mock.calls[0];
+    expect(claim.$inc).toEqual({ refundedTotal: 10 });
+    expect(claim.$set.products[0].refundedQuantity).toBe(1);
+    expect(claim.$set.products[1].refundedQuantity).toBe(0);
+    const [, update] = orderModel.findByIdAndUpdate.mock.calls[0];
+    expect(update.status).toBeUndefined();
+    expect(update.$push.statusHistory).toBeUndefined();
+    expect(restockItems).toHaveBeenCalledWith([{ product: 'p1', quantity: 1 }]);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('refunds one variant of a product without touching its other variants', async () => {
+    orderModel.findById.mockResolvedValue(
+      makeOrder({
+        status: 'Shipped',
+        total: 30,
+        products: [
+          { product: 'p1', variant: 'v1', name: 'Tee (S)', price: 10, quantity: 1, total: 10, refundedQuantity: 0 },
+          { product: 'p1', variant: 'v2', name: 'Tee (M)', price: 20, quantity: 1, total: 20, refundedQuantity: 0 },
+        ],
+      }),
+    );
+    const res = mockResponse();
+
+    await refundOrderController(
+      mockRequest({ body: { items: [{ product: 'p1', variant: 'v2', quantity: 1 }] } }),
+      res,
+    );
+
+    expect(provider.refund).toHaveBeenCalledWith('txn1', '20.00');
+    const [, claim] = orderModel.findOneAndUpdate.mock.calls[0];
+    expect(claim.$set.products.map((line) => line.refundedQuantity)).toEqual([0, 1]);
+    expect(restockItems).toHaveBeenCalledWith([{ product: 'p1', variant: 'v2', quantity: 1 }]);
+  });
+
+  it('rejects a refund for a variant the order does not have', async () => {
+    orderModel.findById.mockResolvedValue(makeOrder());
+    const res = mockResponse();
+
+    await refundOrderController(
+      mockRequest({ body: { items: [{ product: 'p1', variant: 'v9', quantity: 1 }] } }),
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(provider.refund).not.toHaveBeenCalled();
+  });
+
+  it('takes the order discount off items refunded on their own', async () => {
+    orderModel.findById.mockResolvedValue(makeOrder({ status: 'Shipped', subtotal: 25, discount: 5, total: 20 }));
+    const res = mockResponse();
+
+    await refundOrderController(
+      mockRequest({ body: { items: [{ product: 'p1', quantity: 1 }] } }),
+      res,
+    );
+
+    expect(provider.refund).toHaveBeenCalledWith('txn1', '8.00');
+    const [, claim] = orderModel.findOneAndUpdate.mock.calls[0];
+    expect(claim.$inc).toEqual({ refundedTotal: 8 });
+  });
+
+  it('gives back the tax paid on items refunded on their own', async () => {
+    orderModel.findById.mockResolvedValue(
+      makeOrder({ status: 'Shipped', subtotal: 25, discount: 5, tax: 2, total: 22 }),
+    );
+    const res = mockResponse();
+
+    await refundOrderController(
+      mockRequest({ body: { items: [{ product: 'p1', quantity: 1 }] } }),
+      res,
+    );
+
+    expect(provider.refund).toHaveBeenCalledWith('txn1', '8.80');
+  });
+
+  it('keeps the shipping back from items refunded on their own', async () => {
+    orderModel.findById.mockResolvedValue(
+      makeOrder({ status: 'Shipped', subtotal: 25, total: 30, shipping: { name: 'Express', cost: 5 } }),
+    );
+    const res = mockResponse();
+
+    await refundOrderController(
+      mockRequest({ body: { items: [{ product: 'p1', quantity: 1 }] } }),
+      res,
+    );
+
+    expect(provider.refund).toHaveBeenCalledWith('txn1', '10.00');
+  });
+
+  it('refunds whatever is left of the total on the last refund', async () => {
+    const order = makeOrder({ status: 'deliverd', refundedTotal: 10 });
+    order.products[0].refundedQuantity = 1;
+    orderModel.findById.mockResolvedValue(order);
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(provider.refund).toHaveBeenCalledWith('txn1', '15.00');
+    expect(restockItems).toHaveBeenCalledWith([
+      { product: 'p1', quantity: 1 },
+      { product: 'p2', quantity: 1 },
+    ]);
+    const [, update] = orderModel.findByIdAndUpdate.mock.calls[0];
+    expect(update.status).toBe('refunded');
+  });
+
+  it('rejects a partial refund while the payment is unsettled', async () => {
+    provider = makeProvider('authorized');
+    setPaymentProvider(provider);
+    orderModel.findById.mockResolvedValue(makeOrder());
+    const res = mockResponse();
+
+    await refundOrderController(
+      mockRequest({ body: { items: [{ product: 'p2', quantity: 1 }] } }),
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Partial refunds are only possible once the payment has settled',
+    });
+    expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(provider.void).not.toHaveBeenCalled();
+  });
+
+  it('refunds an order that is in transit in full and marks it refunded', async () => {
+    orderModel.findById.mockResolvedValue(makeOrder({ status: 'Shipped' }));
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(provider.refund).toHaveBeenCalledWith('txn1', '25.00');
+    const [, update] = orderModel.findByIdAndUpdate.mock.calls[0];
+    expect(update.status).toBe('refunded');
+    expect(update.$push.statusHistory).toMatchObject({ from: 'Shipped', status: 'refunded' });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('refunds the last units of a shipped order and marks it refunded', async () => {
+    orderModel.findById.mockResolvedValue(
+      makeOrder({
+        status: 'Shipped',
+        refundedTotal: 10,
+        products: [
+          { product: 'p1', name: 'Lamp', price: 10, quantity: 2, total: 20, refundedQuantity: 1 },
+          { product: 'p2', name: 'Rug', price: 5, quantity: 1, total: 5, refundedQuantity: 1 },
+        ],
+      }),
+    );
+    const res = mockResponse();
+
+    await refundOrderController(
+      mockRequest({ body: { items: [{ product: 'p1', quantity: 1 }] } }),
+      res,
+    );
+
+    expect(provider.refund).toHaveBeenCalledWith('txn1', '15.00');
+    const [, update] = orderModel.findByIdAndUpdate.mock.calls[0];
+    expect(update.status).toBe('refunded');
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('rejects refunds on a cancelled order', async () => {
+    orderModel.findById.mockResolvedValue(makeOrder({ status: 'cancel' }));
+    const res = mockResponse();
+
+    await refundOrderController(
+      mockRequest({ body: { items: [{ product: 'p1', quantity: 1 }] } }),
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(provider.getTransaction).not.toHaveBeenCalled();
+  });
+
+  it('rejects a payment that can no longer be refunded', async () => {
+    provider = makeProvider('voided');
+    setPaymentProvider(provider);
+    orderModel.findById.mockResolvedValue(makeOrder());
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Payment is voided and cannot be refunded',
+    });
+  });
+
+  it.each([
+    ['more units than were bought', [{ product: 'p1', quantity: 3 }]],
+    ['a product that is not on the order', [{ product: 'p9', quantity: 1 }]],
+    ['a fractional quantity', [{ product: 'p1', quantity: 1.5 }]],
+    ['the same line twice past its quantity', [{ product: 'p2', quantity: 1 }, { product: 'p2', quantity: 1 }]],
+    ['an empty list', []],
+  ])('returns 400 for %s', async (_label, items) => {
+    orderModel.findById.mockResolvedValue(makeOrder());
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest({ body: { items } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Invalid refund items' });
+    expect(provider.getTransaction).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 when every unit has already been refunded', async () => {
+    const order = makeOrder({ status: 'deliverd' });
+    order.products.forEach((line) => {
+      line.refundedQuantity = line.quantity;
+    });
+    orderModel.findById.mockResolvedValue(order);
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Order has already been fully refunded',
+    });
+  });
+
+  it('returns 400 when the order was never paid', async () => {
+    orderModel.findById.mockResolvedValue(makeOrder({ payment: { success: false } }));
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Order has no payment to refund',
+    });
+  });
+
+  it('returns 404 when the order does not exist', async () => {
+    orderModel.findById.mockResolvedValue(null);
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('returns 409 without touching the provider when another refund got there first', async () => {
+    orderModel.findById.mockResolvedValue(makeOrder());
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Order was changed by someone else, please refresh',
+    });
+    expect(provider.refund).not.toHaveBeenCalled();
+  });
+
+  it('releases the claim when the provider rejects the refund', async () => {
+    const order = makeOrder({ status: 'deliverd' });
+    orderModel.findById.mockResolvedValue(order);
+    provider.refund.mockResolvedValue({ success: false, message: 'Declined' });
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(orderModel.updateOne).toHaveBeenCalledWith(
+      { _id: 'o1' },
+      { $set: { products: order.products }, $inc: { refundedTotal: -25 } },
+    );
+    expect(orderModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(restockItems).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Payment provider rejected the refund',
+      error: 'Declined',
+    });
+  });
+
+  it('releases the claim when the provider call throws', async () => {
+    const order = makeOrder({ status: 'deliverd' });
+    orderModel.findById.mockResolvedValue(order);
+    const error = new Error('network down');
+    provider.refund.mockRejectedValue(error);
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(orderModel.updateOne).toHaveBeenCalledWith(
+      { _id: 'o1' },
+      { $set: { products: order.products }, $inc: { refundedTotal: -25 } },
+    );
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Error while refunding order',
+      error,
+    });
+  });
+
+  it('does not release the claim once the money has been sent back', async () => {
+    orderModel.findById.mockResolvedValue(makeOrder({ status: 'deliverd' }));
+    orderModel.findByIdAndUpdate.mockRejectedValue(new Error('write failed'));
+    const res = mockResponse();
+
+    await refundOrderController(mockRequest(), res);
+
+    expect(orderModel.updateOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+describe('guestOrderLookupController', () => {
+  const orderId = '64b000000000000000000001';
+  const lookupRequest = (body) => ({ body });
+  const findReturns = (order) => {
+    const select = jest.fn().mockResolvedValue(order);
+    orderModel.findOne.mockReturnValue({ select });
+    return select;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('finds the order by its number and email, without its payment details', async () => {
+    const order = makeOrder({ _id: orderId, guestEmail: 'gus@example.com' });
+    const select = findReturns(order);
+    const res = mockResponse();
+
+    await guestOrderLookupController(lookupRequest({ orderId, email: ' Gus@Example.com ' }), res);
+
+    expect(orderModel.findOne).toHaveBeenCalledWith({ _id: orderId, guestEmail: 'gus@example.com' });
+    expect(select).toHaveBeenCalledWith('-payment -refunds -statusHistory');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ success: true, order });
+  });
+
+  it('returns 404 when the email does not match', async () => {
+    findReturns(null);
+    const res = mockResponse();
+
+    await guestOrderLookupController(lookupRequest({ orderId, email: 'someone@example.com' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Order not found' });
+  });
+
+  it.each([
+    [{ orderId: 'not-an-id', email: 'gus@example.com' }],
+    [{ orderId }],
+    [{ orderId, email: '  ' }],
+  ])('returns 404 without a lookup for %p', async (body) => {
+    const res = mockResponse();
+
+    await guestOrderLookupController(lookupRequest(body), res);
+
+    expect(orderModel.findOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('returns 500 when the lookup fails', async () => {
+    const error = new Error('db down');
+    orderModel.findOne.mockReturnValue({ select: jest.fn().mockRejectedValue(error) });
+    const res = mockResponse();
+
+    await guestOrderLookupController(lookupRequest({ orderId, email: 'gus@example.com' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Error while looking up order',
+      error,
+    });
+  });
+});
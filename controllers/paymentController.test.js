@@ -14,9 +14,9 @@
  * [SEC-2] FIXED — Payment amount is now computed from server-side product
  *         prices, NOT from client-provided cart prices.
  *
- * [SEC-3] No idempotency key or duplicate-payment guard. The same nonce
- *         and cart can be submitted multiple times, creating duplicate
- *         orders and charges.
+ * [SEC-3] FIXED — Checkouts carry an Idempotency-Key header; the
+ *         idempotentCheckout middleware replays the first reply for a
+ *         repeated key (see middlewares/idempotencyMiddleware.test.js).
  *
  * BUGS FIXED:
  * -----------
@@ -33,7 +33,8 @@
  *
  * [BUG-6] FIXED — brainTreePaymentController outer catch now sends 500.
  *
- * [BUG-7] FIXED — Product IDs are now stored instead of full cart objects.
+ * [BUG-7] FIXED — Line item snapshots (product ID, name, price, quantity,
+ *         line total) are now stored instead of full cart objects.
  *
  * [BUG-8] NOT FIXED — Gateway initialized at module level with env vars.
  */
@@ -44,17 +45,21 @@
 // in a module-level object that the factory can reference after assignment.
 let mockGenerate;
 let mockSale;
+let mockVoid;
+let mockRefund;
 
 jest.mock('braintree', () => {
   const generate = jest.fn();
   const sale = jest.fn();
+  const voidSale = jest.fn();
+  const refund = jest.fn();
   // Store references so tests can access them
   // We use a side-channel: assign to outer scope in beforeEach after import
   return {
-    __getMocks: () => ({ generate, sale }),
+    __getMocks: () => ({ generate, sale, voidSale, refund }),
     BraintreeGateway: jest.fn().mockImplementation(() => ({
       clientToken: { generate },
-      transaction: { sale },
+      transaction: { sale, void: voidSale, refund },
     })),
     Environment: { Sandbox: 'sandbox' },
   };
@@ -85,17 +90,59 @@ jest.mock('../models/categoryModel.js', () => ({
 }));
 jest.mock('slugify', () => jest.fn((str) => str));
 jest.mock('fs');
+jest.mock('../helpers/stockHelper.js', () => ({
+  __esModule: true,
+  reserveStock: jest.fn(),
+  releaseStock: jest.fn(),
+  commitStock: jest.fn(),
+}));
+jest.mock('../helpers/promotionHelper.js', () => ({
+  __esModule: true,
+  ...jest.requireActual('../helpers/promotionHelper.js'),
+  cartPromotions: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../models/taxRateModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn().mockResolvedValue([]) },
+}));
+jest.mock('../models/shippingMethodModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn().mockResolvedValue([]) },
+}));
+jest.mock('../models/userModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(() => ({ select: jest.fn().mockResolvedValue(null) })),
+  },
+}));
+jest.mock('../helpers/couponHelper.js', () => ({
+  __esModule: true,
+  applyCoupon: jest.fn(),
+  claimCoupon: jest.fn(),
+  releaseCoupon: jest.fn(),
+}));
 
 // ─── Import controllers AFTER mocks are hoisted ────────────────────────────
 import { braintreeTokenController, brainTreePaymentController } from './productController.js';
 import orderModel from '../models/orderModel.js';
 import braintree from 'braintree';
 import productModelMock from '../models/productModel.js';
+import { reserveStock, releaseStock, commitStock } from '../helpers/stockHelper.js';
+import { applyCoupon, claimCoupon, releaseCoupon } from '../helpers/couponHelper.js';
+import { cartPromotions } from '../helpers/promotionHelper.js';
+import taxRateModel from '../models/taxRateModel.js';
+import shippingMethodModel from '../models/shippingMethodModel.js';
+import userModel from '../models/userModel.js';
 
 // Retrieve the actual mock function references created inside jest.mock factory
 const braintreeMocks = braintree.__getMocks();
 mockGenerate = braintreeMocks.generate;
 mockSale = braintreeMocks.sale;
+mockVoid = braintreeMocks.voidSale;
+mockRefund = braintreeMocks.refund;
+// a sale left without an order is voided; tests override these once
+mockVoid.mockImplementation((id, cb) => cb(null, { success: true }));
+mockRefund.mockImplementation((id, amount, cb) => cb(null, { success: true }));
 mockProductFind = productModelMock.__getMocks().find;
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
@@ -235,6 +282,7 @@ describe('brainTreePaymentController', () => {
     req = makeReq({ nonce: validNonce, cart: validCart }, fakeUser);
     res = makeRes();
     mockSave.mockResolvedValue({});
+    reserveStock.mockResolvedValue({ ok: true, hold: 'hold1' });
     // Mock productModel.find to return DB products matching validCart
     mockProductFind.mockResolvedValue([
       { _id: 'prod1', name: 'Widget', price: 29.99 },
@@ -262,7 +310,20 @@ describe('brainTreePaymentController', () => {
     );
 
     expect(orderModel).toHaveBeenCalledWith({
-      products: ['prod1', 'prod2'],
+      products: [
+        { product: 'prod1', name: 'Widget', price: 29.99, quantity: 1, total: 29.99 },
+        { product: 'prod2', name: 'Gadget', price: 49.99, quantity: 1, total: 49.99 },
+      ],
+      subtotal: 79.98,
+      discount: 0,
+      promotions: [],
+      tax: 0,
+      taxMode: 'exclusive',
+      taxRegion: '',
+      taxes: [],
+      shipping: null,
+      shippingAddress: null,
+      total: 79.98,
       payment: fakeResult,
       buyer: 'user456',
     });
@@ -310,6 +371,451 @@ describe('brainTreePaymentController', () => {
     expect(orderModel).toHaveBeenCalledWith(expect.objectContaining({ buyer: 'custom-buyer-789' }));
   });
 
+  // ── Cart line quantities ────────────────────────────────────────────────
+  test('should price each cart line by its quantity', async () => {
+    req = makeReq(
+      {
+        nonce: validNonce,
+        cart: [
+          { _id: 'prod1', quantity: 3 },
+          { _id: 'prod2', quantity: 2 },
+        ],
+      },
+      fakeUser,
+    );
+    mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+
+    await brainTreePaymentController(req, res);
+
+    expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 189.95 }), expect.any(Function));
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        products: [
+          { product: 'prod1', name: 'Widget', price: 29.99, quantity: 3, total: 89.97 },
+          { product: 'prod2', name: 'Gadget', price: 49.99, quantity: 2, total: 99.98 },
+        ],
+      }),
+    );
+  });
+
+  test.each([0, -1, 1.5, '2'])('should reject a cart line with quantity %p', async (quantity) => {
+    req = makeReq({ nonce: validNonce, cart: [{ _id: 'prod1', quantity }] }, fakeUser);
+
+    await brainTreePaymentController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ error: 'Invalid cart' });
+    expect(mockSale).not.toHaveBeenCalled();
+  });
+
+  // ── Coupons ─────────────────────────────────────────────────────────────
+  describe('with a coupon code', () => {
+    const coupon = { _id: 'coupon1', code: 'SAVE10' };
+
+    beforeEach(() => {
+      req = makeReq({ nonce: validNonce, cart: validCart, coupon: 'save10' }, fakeUser);
+      mockProductFind.mockResolvedValue([
+        { _id: 'prod1', name: 'Widget', price: 29.99, category: 'cat1' },
+        { _id: 'prod2', name: 'Gadget', price: 49.99, category: 'cat2' },
+      ]);
+      applyCoupon.mockResolvedValue({ ok: true, discount: 10, coupon });
+      claimCoupon.mockResolvedValue(true);
+    });
+
+    test('should price the coupon from DB lines and charge the discounted total', async () => {
+      mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+
+      await brainTreePaymentController(req, res);
+
+      expect(applyCoupon).toHaveBeenCalledWith(
+        'save10',
+        [
+          expect.objectContaining({ product: 'prod1', total: 29.99, category: 'cat1' }),
+          expect.objectContaining({ product: 'prod2', total: 49.99, category: 'cat2' }),
+        ],
+        'user456',
+      );
+      expect(claimCoupon).toHaveBeenCalledWith(coupon, 'user456');
+      expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 69.98 }), expect.any(Function));
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({ subtotal: 79.98, discount: 10, coupon: 'SAVE10', total: 69.98 }),
+      );
+      expect(releaseCoupon).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ ok: true });
+    });
+
+    test('should refuse a coupon that does not apply, before holding anything', async () => {
+      applyCoupon.mockResolvedValue({ ok: false, message: 'Coupon has expired' });
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: 'Coupon has expired' });
+      expect(reserveStock).not.toHaveBeenCalled();
+      expect(mockSale).not.toHaveBeenCalled();
+    });
+
+    test('should give the stock back when the last use of the coupon is gone', async () => {
+      claimCoupon.mockResolvedValue(false);
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({ error: 'Coupon has reached its usage limit' });
+      expect(releaseStock).toHaveBeenCalled();
+      expect(mockSale).not.toHaveBeenCalled();
+    });
+
+    test('should give the coupon use back when the charge fails', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockSale.mockImplementation((opts, cb) => cb(new Error('Declined'), null));
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(releaseCoupon).toHaveBeenCalledWith(coupon, 'user456');
+      expect(releaseStock).toHaveBeenCalled();
+      console.log.mockRestore();
+    });
+
+    test('should give the coupon use back when the order cannot be saved', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+      mockSave.mockRejectedValue(new Error('DB down'));
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(releaseCoupon).toHaveBeenCalledWith(coupon, 'user456');
+      console.log.mockRestore();
+    });
+  });
+
+  // ── Promotions ──────────────────────────────────────────────────────────
+  describe('with automatic promotions', () => {
+    const bundle = { promotion: 'promo1', name: 'Desk set', amount: 9.98 };
+
+    beforeEach(() => {
+      mockProductFind.mockResolvedValue([
+        { _id: 'prod1', name: 'Widget', price: 29.99, category: 'cat1' },
+        { _id: 'prod2', name: 'Gadget', price: 49.99, category: 'cat2' },
+      ]);
+      mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+    });
+
+    afterEach(() => {
+      cartPromotions.mockResolvedValue([]);
+    });
+
+    test('should charge the total less the promotions and store them on the order', async () => {
+      cartPromotions.mockResolvedValue([bundle]);
+
+      await brainTreePaymentController(req, res);
+
+      expect(cartPromotions).toHaveBeenCalledWith([
+        expect.objectContaining({ product: 'prod1', price: 29.99, quantity: 1, category: 'cat1' }),
+        expect.objectContaining({ product: 'prod2', price: 49.99, quantity: 1, category: 'cat2' }),
+      ]);
+      expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 70 }), expect.any(Function));
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({ subtotal: 79.98, discount: 9.98, promotions: [bundle], total: 70 }),
+      );
+    });
+
+    test('should add a coupon on top of the promotions', async () => {
+      cartPromotions.mockResolvedValue([bundle]);
+      applyCoupon.mockResolvedValue({ ok: true, discount: 5, coupon: { _id: 'c1', code: 'FIVE' } });
+      claimCoupon.mockResolvedValue(true);
+      req = makeReq({ nonce: validNonce, cart: validCart, coupon: 'FIVE' }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 65 }), expect.any(Function));
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({ discount: 14.98, coupon: 'FIVE', total: 65 }),
+      );
+    });
+  });
+
+  describe('with tax', () => {
+    const rates = [
+      { name: 'CA sales tax', region: 'CA', taxClass: 'standard', rate: 10 },
+      { name: 'Reduced rate', region: '*', taxClass: 'reduced', rate: 5 },
+    ];
+
+    beforeEach(() => {
+      mockProductFind.mockResolvedValue([
+        { _id: 'prod1', name: 'Widget', price: 30, taxClass: 'standard' },
+        { _id: 'prod2', name: 'Gadget', price: 50, taxClass: 'reduced' },
+      ]);
+      mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+      taxRateModel.find.mockResolvedValue(rates);
+    });
+
+    afterEach(() => {
+      taxRateModel.find.mockResolvedValue([]);
+      cartPromotions.mockResolvedValue([]);
+      delete process.env.TAX_MODE;
+    });
+
+    test('should add the tax for the region to the charge and keep the tax lines', async () => {
+      req = makeReq({ nonce: validNonce, cart: validCart, region: 'ca' }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 85.5 }), expect.any(Function));
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          subtotal: 80,
+          tax: 5.5,
+          taxMode: 'exclusive',
+          taxRegion: 'CA',
+          taxes: [
+            { name: 'CA sales tax', region: 'CA', taxClass: 'standard', rate: 10, taxable: 30, amount: 3 },
+            { name: 'Reduced rate', region: '*', taxClass: 'reduced', rate: 5, taxable: 50, amount: 2.5 },
+          ],
+          total: 85.5,
+        }),
+      );
+    });
+
+    test('should tax what is left after the discounts', async () => {
+      cartPromotions.mockResolvedValue([{ promotion: 'promo1', name: 'Deal', amount: 40 }]);
+      req = makeReq({ nonce: validNonce, cart: validCart, region: 'CA' }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 42.75 }), expect.any(Function));
+      expect(orderModel).toHaveBeenCalledWith(expect.objectContaining({ discount: 40, tax: 2.75, total: 42.75 }));
+    });
+
+    test('should only use the fallback rates when no region is sent', async () => {
+      await brainTreePaymentController(req, res);
+
+      expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 82.5 }), expect.any(Function));
+    });
+
+    test('should not add tax to the charge when prices include it', async () => {
+      process.env.TAX_MODE = 'inclusive';
+      req = makeReq({ nonce: validNonce, cart: validCart, region: 'CA' }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 80 }), expect.any(Function));
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({ taxMode: 'inclusive', tax: 5.11, total: 80 }),
+      );
+    });
+  });
+
+  describe('with shipping methods', () => {
+    const standard = { _id: 'ship1', name: 'Standard', kind: 'standard', rateType: 'weight', rate: 2, freeOver: 100 };
+    const express = { _id: 'ship2', name: 'Express', kind: 'express', rateType: 'flat', rate: 15 };
+
+    beforeEach(() => {
+      mockProductFind.mockResolvedValue([
+        { _id: 'prod1', name: 'Widget', price: 29.99, weight: 1.5 },
+        { _id: 'prod2', name: 'Gadget', price: 49.99, weight: 2 },
+      ]);
+      mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+      shippingMethodModel.find.mockResolvedValue([express, standard]);
+    });
+
+    afterEach(() => {
+      shippingMethodModel.find.mockResolvedValue([]);
+    });
+
+    test('should charge the chosen method and keep it on the order', async () => {
+      req = makeReq({ nonce: validNonce, cart: validCart, shippingMethod: 'ship1' }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(shippingMethodModel.find).toHaveBeenCalledWith({ active: true });
+      expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 86.98 }), expect.any(Function));
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          shipping: { method: 'ship1', name: 'Standard', kind: 'standard', cost: 7 },
+          total: 86.98,
+        }),
+      );
+    });
+
+    test('should ship free once the order passes the threshold', async () => {
+      mockProductFind.mockResolvedValue([
+        { _id: 'prod1', name: 'Widget', price: 60, weight: 1.5 },
+        { _id: 'prod2', name: 'Gadget', price: 50, weight: 2 },
+      ]);
+      req = makeReq({ nonce: validNonce, cart: validCart, shippingMethod: 'ship1' }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 110 }), expect.any(Function));
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({ shipping: expect.objectContaining({ cost: 0 }) }),
+      );
+    });
+
+    test('should require a method once the store has some', async () => {
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: 'Choose a shipping method' });
+      expect(reserveStock).not.toHaveBeenCalled();
+      expect(mockSale).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a method that is not offered', async () => {
+      req = makeReq({ nonce: validNonce, cart: validCart, shippingMethod: 'gone' }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: 'Shipping method is not available' });
+    });
+  });
+
+  describe('with an address book', () => {
+    const home = {
+      _id: 'addr1', recipient: 'Ann Lee', line1: '1 Main St', line2: '', city: 'Oakland',
+      region: 'CA', postalCode: '94601', country: 'US', phone: '555', isDefaultShipping: true,
+    };
+    const office = {
+      _id: 'addr2', recipient: 'Ann Lee', line1: '9 Work Rd', line2: 'Floor 2', city: 'Austin',
+      region: '', postalCode: '73301', country: 'US', phone: '', isDefaultShipping: false,
+    };
+    const withAddresses = (addresses) =>
+      userModel.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ addresses }) });
+
+    beforeEach(() => {
+      mockProductFind.mockResolvedValue([
+        { _id: 'prod1', name: 'Widget', price: 30, taxClass: 'standard' },
+        { _id: 'prod2', name: 'Gadget', price: 50, taxClass: 'standard' },
+      ]);
+      mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+      taxRateModel.find.mockResolvedValue([{ name: 'CA sales tax', region: 'CA', taxClass: 'standard', rate: 10 }]);
+      withAddresses([home, office]);
+    });
+
+    afterEach(() => {
+      taxRateModel.find.mockResolvedValue([]);
+      userModel.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+    });
+
+    test('should keep a copy of the chosen address on the order', async () => {
+      req = makeReq({ nonce: validNonce, cart: validCart, shippingAddress: 'addr2' }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(userModel.findById).toHaveBeenCalledWith(fakeUser._id);
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          shippingAddress: {
+            recipient: 'Ann Lee', line1: '9 Work Rd', line2: 'Floor 2', city: 'Austin',
+            region: '', postalCode: '73301', country: 'US', phone: '',
+          },
+          taxRegion: 'US',
+        }),
+      );
+    });
+
+    test('should ship to the default address when none is chosen and tax for its region', async () => {
+      req = makeReq({ nonce: validNonce, cart: validCart, region: 'NY' }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 88 }), expect.any(Function));
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          shippingAddress: expect.objectContaining({ line1: '1 Main St' }),
+          taxRegion: 'CA',
+          tax: 8,
+        }),
+      );
+    });
+
+    test('should refuse an address that is not in the book', async () => {
+      req = makeReq({ nonce: validNonce, cart: validCart, shippingAddress: 'someone-elses' }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: 'Shipping address not found' });
+      expect(reserveStock).not.toHaveBeenCalled();
+      expect(mockSale).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('as a guest', () => {
+    const shipTo = {
+      recipient: 'Gus Guest', line1: '1 Main St', city: 'Oakland', region: 'CA', postalCode: '94601', country: 'US',
+    };
+    const guestReq = (body = {}) => ({
+      body: { nonce: validNonce, cart: validCart, email: ' Gus@Example.com ', address: shipTo, ...body },
+    });
+
+    beforeEach(() => {
+      mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+    });
+
+    test('should create an order without a buyer, kept under the email', async () => {
+      await brainTreePaymentController(guestReq(), res);
+
+      expect(userModel.findById).not.toHaveBeenCalled();
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          buyer: undefined,
+          guestEmail: 'gus@example.com',
+          shippingAddress: { ...shipTo, line2: '', phone: '' },
+          taxRegion: 'CA',
+        }),
+      );
+      expect(res.json).toHaveBeenCalledWith({ ok: true });
+    });
+
+    test.each([[undefined], ['not-an-email'], ['a@b']])('should refuse the email %p', async (email) => {
+      await brainTreePaymentController(guestReq({ email }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: 'A valid email is required' });
+      expect(mockSale).not.toHaveBeenCalled();
+    });
+
+    test('should refuse an incomplete address', async () => {
+      await brainTreePaymentController(guestReq({ address: { ...shipTo, postalCode: ' ' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: 'Postal code is required' });
+      expect(reserveStock).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a coupon', async () => {
+      await brainTreePaymentController(guestReq({ coupon: 'SAVE10' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: 'Sign in to use a coupon' });
+      expect(applyCoupon).not.toHaveBeenCalled();
+    });
+
+    test('should not keep a guest email on a signed-in order', async () => {
+      req = makeReq({ nonce: validNonce, cart: validCart, email: 'other@example.com' }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({ buyer: fakeUser._id, guestEmail: undefined }),
+      );
+    });
+  });
+
+  test('should answer with the id of the new order', async () => {
+    orderModel.mockImplementationOnce(() => ({ _id: 'order789', save: mockSave }));
+    mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+
+    await brainTreePaymentController(req, res);
+
+    expect(res.json).toHaveBeenCalledWith({ ok: true, order: 'order789' });
+  });
+
   // ── Single item cart ────────────────────────────────────────────────────
   test('should handle single item cart', async () => {
     const singleCart = [{ _id: 'p1', price: 15.5 }];
@@ -352,17 +858,25 @@ describe('brainTreePaymentController', () => {
   });
 
   // ── Declined transaction (result.success = false) ──────────────────────
-  test('should still return { ok: true } even if result.success is false but result is truthy [BUG]', async () => {
+  test('should refuse a declined sale, release the holds and save no order [BUG FIXED]', async () => {
     const declinedResult = {
       success: false,
+      message: 'Do Not Honor',
       transaction: { id: 'txn_declined', status: 'processor_declined' },
     };
     mockSale.mockImplementation((opts, cb) => cb(null, declinedResult));
 
     await brainTreePaymentController(req, res);
 
-    expect(orderModel).toHaveBeenCalled();
-    expect(res.json).toHaveBeenCalledWith({ ok: true });
+    expect(orderModel).not.toHaveBeenCalled();
+    expect(releaseStock).toHaveBeenCalled();
+    expect(commitStock).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(res.send).toHaveBeenCalledWith({
+      error: 'Do Not Honor',
+      transaction: declinedResult.transaction,
+    });
+    expect(res.json).not.toHaveBeenCalled();
   });
 
   // ── Missing nonce [BUG-3] ──────────────────────────────────────────────
@@ -547,39 +1061,46 @@ describe('brainTreePaymentController', () => {
     consoleSpy.mockRestore();
   });
 
-  // ── Products stored as IDs instead of full objects (BUG-7 FIXED) ───────
-  test('should store product IDs in order, not full cart objects [BUG-7 FIXED]', async () => {
+  // ── Line items stored instead of full objects (BUG-7 FIXED) ────────────
+  test('should store line item snapshots in order, not full cart objects [BUG-7 FIXED]', async () => {
     const fakeResult = { success: true, transaction: {} };
     mockSale.mockImplementation((opts, cb) => cb(null, fakeResult));
 
     await brainTreePaymentController(req, res);
 
+    const { products } = orderModel.mock.calls[0][0];
+    expect(products.map((line) => line.product)).toEqual(['prod1', 'prod2']);
+    products.forEach((line) => {
+      expect(Object.keys(line).sort()).toEqual(['name', 'price', 'product', 'quantity', 'total']);
+    });
+  });
+
+  test('should snapshot DB name and price so later product edits do not change the order', async () => {
+    req = makeReq({ nonce: validNonce, cart: [{ _id: 'prod1', name: 'Client name', price: 1 }] }, fakeUser);
+    mockProductFind.mockResolvedValue([{ _id: 'prod1', name: 'Widget', price: 29.99 }]);
+    mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+
+    await brainTreePaymentController(req, res);
+
     expect(orderModel).toHaveBeenCalledWith(
       expect.objectContaining({
-        products: ['prod1', 'prod2'],
+        products: [{ product: 'prod1', name: 'Widget', price: 29.99, quantity: 1, total: 29.99 }],
+        total: 29.99,
       }),
     );
   });
 
-  // ── Missing req.user (would crash if middleware not applied) ────────────
-  test('should return 500 if req.user is undefined (missing auth middleware)', async () => {
+  // ── Missing req.user: a guest checkout, which must say where it ships ──
+  test('should return 400 if req.user is undefined and no guest details are given', async () => {
     req = { body: { nonce: validNonce, cart: validCart } };
-    const fakeResult = { success: true, transaction: {} };
-    mockSale.mockImplementation((opts, cb) => cb(null, fakeResult));
-    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
 
     await brainTreePaymentController(req, res);
 
-    // Allow microtasks to flush so the async callback runs
-    await new Promise((r) => setTimeout(r, 50));
-
-    // Accessing req.user._id on undefined throws TypeError,
-    // now caught by the inner try-catch and sends 500
-    expect(consoleSpy).toHaveBeenCalled();
-    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ error: 'A valid email is required' });
+    expect(mockSale).not.toHaveBeenCalled();
     expect(res.json).not.toHaveBeenCalledWith({ ok: true });
-
-    consoleSpy.mockRestore();
   });
 
   // ── Large cart ──────────────────────────────────────────────────────────
@@ -643,6 +1164,123 @@ describe('brainTreePaymentController', () => {
     expect(res.json).not.toHaveBeenCalled();
   });
 
+  // ── Stock reservation ──────────────────────────────────────────────────
+  test('should reserve stock for every line before charging', async () => {
+    mockSale.mockImplementation((opts, cb) => {
+      expect(reserveStock).toHaveBeenCalled();
+      cb(null, { success: true, transaction: {} });
+    });
+
+    await brainTreePaymentController(req, res);
+
+    expect(reserveStock).toHaveBeenCalledWith([
+      expect.objectContaining({ product: 'prod1', quantity: 1 }),
+      expect.objectContaining({ product: 'prod2', quantity: 1 }),
+    ]);
+  });
+
+  test('should return 409 and not charge when a line cannot be reserved', async () => {
+    reserveStock.mockResolvedValue({
+      ok: false,
+      line: { product: 'prod2', name: 'Gadget', quantity: 1 },
+    });
+
+    await brainTreePaymentController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith({ error: 'Gadget is out of stock', product: 'prod2' });
+    expect(mockSale).not.toHaveBeenCalled();
+    expect(orderModel).not.toHaveBeenCalled();
+  });
+
+  test('should commit the reservation once the order is saved', async () => {
+    mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+
+    await brainTreePaymentController(req, res);
+
+    expect(commitStock).toHaveBeenCalledWith(orderModel.mock.calls[0][0].products, 'hold1');
+    expect(releaseStock).not.toHaveBeenCalled();
+  });
+
+  test('should release the reservation when the sale fails', async () => {
+    mockSale.mockImplementation((opts, cb) => cb(new Error('Declined'), null));
+
+    await brainTreePaymentController(req, res);
+
+    expect(releaseStock).toHaveBeenCalledWith(
+      [expect.objectContaining({ product: 'prod1' }), expect.objectContaining({ product: 'prod2' })],
+      'hold1',
+    );
+    expect(commitStock).not.toHaveBeenCalled();
+  });
+
+  test('should release the reservation when the order cannot be saved', async () => {
+    mockSave.mockRejectedValue(new Error('DB write failed'));
+    mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await brainTreePaymentController(req, res);
+    await new Promise((r) => setTimeout(r, 0));
+
+    expect(releaseStock).toHaveBeenCalled();
+    expect(commitStock).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+
+    consoleSpy.mockRestore();
+  });
+
+  test('should void the sale before releasing the holds when the order cannot be saved', async () => {
+    mockSave.mockRejectedValue(new Error('DB write failed'));
+    mockSale.mockImplementation((opts, cb) =>
+      cb(null, { success: true, transaction: { id: 'txn_lost', status: 'submitted_for_settlement' } })
+    );
+    mockVoid.mockImplementationOnce((id, cb) => cb(null, { success: true, transaction: { id, status: 'voided' } }));
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await brainTreePaymentController(req, res);
+
+    expect(mockVoid).toHaveBeenCalledWith('txn_lost', expect.any(Function));
+    expect(mockRefund).not.toHaveBeenCalled();
+    expect(mockVoid.mock.invocationCallOrder[0]).toBeLessThan(releaseStock.mock.invocationCallOrder[0]);
+    expect(res.status).toHaveBeenCalledWith(500);
+    consoleSpy.mockRestore();
+  });
+
+  test('should refund a settled sale and log one that cannot be given back when the order cannot be saved', async () => {
+    mockSave.mockRejectedValue(new Error('DB write failed'));
+    mockSale.mockImplementation((opts, cb) =>
+      cb(null, { success: true, transaction: { id: 'txn_lost', status: 'settled' } })
+    );
+    mockVoid.mockImplementationOnce((id, cb) => cb(null, { success: false, message: 'Cannot void' }));
+    mockRefund.mockImplementationOnce((id, amount, cb) => cb(null, { success: false, message: 'Refund refused' }));
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await brainTreePaymentController(req, res);
+
+    expect(mockRefund).toHaveBeenCalledWith('txn_lost', undefined, expect.any(Function));
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('txn_lost'));
+    expect(releaseStock).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+    consoleSpy.mockRestore();
+  });
+
+  test('should release the reservation when the gateway throws synchronously', async () => {
+    mockSale.mockImplementation(() => {
+      throw new Error('Gateway not initialized');
+    });
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await brainTreePaymentController(req, res);
+
+    expect(releaseStock).toHaveBeenCalledWith(
+      [expect.objectContaining({ product: 'prod1' }), expect.objectContaining({ product: 'prod2' })],
+      'hold1',
+    );
+    expect(res.status).toHaveBeenCalledWith(500);
+
+    consoleSpy.mockRestore();
+  });
+
   // ── Cart with zero price items ─────────────────────────────────────────
   test('should process payment even with all zero-price items', async () => {
     const freeCart = [
@@ -661,6 +1299,79 @@ describe('brainTreePaymentController', () => {
     expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 0 }), expect.any(Function));
     expect(res.json).toHaveBeenCalledWith({ ok: true });
   });
+
+  // ── Variants ────────────────────────────────────────────────────────────
+  describe('variants', () => {
+    const tee = {
+      _id: 'tee',
+      name: 'Tee',
+      price: 20,
+      variants: [
+        { _id: 'v-s', sku: 'TEE-S', options: [{ name: 'Size', value: 'S' }], quantity: 3 },
+        { _id: 'v-m', sku: 'TEE-M', options: [{ name: 'Size', value: 'M' }], price: 25, quantity: 3 },
+      ],
+    };
+
+    beforeEach(() => {
+      mockProductFind.mockResolvedValue([tee]);
+      mockSale.mockImplementation((opts, cb) => cb(null, { success: true, transaction: {} }));
+    });
+
+    test('buys each variant as its own line at its own price', async () => {
+      req = makeReq(
+        {
+          nonce: validNonce,
+          cart: [
+            { _id: 'tee', variant: 'v-s', quantity: 2 },
+            { _id: 'tee', variant: 'v-m', quantity: 1 },
+            { _id: 'tee', variant: 'v-s', quantity: 1 },
+          ],
+        },
+        fakeUser,
+      );
+
+      await brainTreePaymentController(req, res);
+
+      expect(mockProductFind).toHaveBeenCalledWith({ _id: { $in: ['tee'] } });
+      const lines = [
+        { product: 'tee', variant: 'v-s', sku: 'TEE-S', name: 'Tee (S)', price: 20, quantity: 3, total: 60 },
+        { product: 'tee', variant: 'v-m', sku: 'TEE-M', name: 'Tee (M)', price: 25, quantity: 1, total: 25 },
+      ];
+      expect(reserveStock).toHaveBeenCalledWith(lines);
+      expect(orderModel).toHaveBeenCalledWith(expect.objectContaining({ products: lines, subtotal: 85 }));
+      expect(mockSale).toHaveBeenCalledWith(expect.objectContaining({ amount: 85 }), expect.any(Function));
+    });
+
+    test('names the variant that ran out of stock', async () => {
+      reserveStock.mockImplementation(async (lines) => ({ ok: false, line: lines[0] }));
+      req = makeReq({ nonce: validNonce, cart: [{ _id: 'tee', variant: 'v-m' }] }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({ error: 'Tee (M) is out of stock', product: 'tee' });
+    });
+
+    test('refuses a product sold in variants without one picked', async () => {
+      req = makeReq({ nonce: validNonce, cart: [{ _id: 'tee' }] }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: 'Choose the options for Tee' });
+      expect(reserveStock).not.toHaveBeenCalled();
+    });
+
+    test('refuses a variant the product no longer has', async () => {
+      req = makeReq({ nonce: validNonce, cart: [{ _id: 'tee', variant: 'v-xl' }] }, fakeUser);
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: 'One or more products not found' });
+      expect(mockSale).not.toHaveBeenCalled();
+    });
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -672,6 +1383,7 @@ describe('Payment flow integration', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     mockSave.mockResolvedValue({});
+    reserveStock.mockResolvedValue({ ok: true });
   });
 
   test('should complete full token → payment flow', async () => {
@@ -694,7 +1406,7 @@ describe('Payment flow integration', () => {
     expect(paymentRes.json).toHaveBeenCalledWith({ ok: true });
     expect(orderModel).toHaveBeenCalledWith(
       expect.objectContaining({
-        products: ['prod1'],
+        products: [expect.objectContaining({ product: 'prod1', quantity: 1 })],
         buyer: 'integration-user',
       }),
     );
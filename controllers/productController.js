@@ -1,23 +1,187 @@
 import productModel from "../models/productModel.js";
 import categoryModel from "../models/categoryModel.js";
 import orderModel from "../models/orderModel.js";
+import userModel from "../models/userModel.js";
+import {
+  commitStock,
+  releaseStock,
+  reserveStock,
+} from "../helpers/stockHelper.js";
+import { getPaymentProvider } from "../helpers/paymentProvider.js";
+import { roundPrice } from "../helpers/priceHelper.js";
+import {
+  applyCoupon,
+  claimCoupon,
+  releaseCoupon,
+} from "../helpers/couponHelper.js";
+import { cartPromotions, promotionsTotal } from "../helpers/promotionHelper.js";
+import { cartTax, normalizeRegion } from "../helpers/taxHelper.js";
+import {
+  addressSnapshot,
+  addressTaxRegion,
+  pickShippingAddress,
+  readAddress,
+} from "../helpers/addressHelper.js";
+import {
+  activeShippingMethods,
+  cartWeight,
+  shippingCost,
+} from "../helpers/shippingHelper.js";
+import { productsAnsweredAbout } from "../helpers/questionHelper.js";
+import {
+  findVariant,
+  lineKey,
+  readVariants,
+  totalStock,
+  unitPrice,
+  variantName,
+} from "../helpers/variantHelper.js";
+import {
+  IMAGE_SIZES,
+  makeRenditions,
+  readGallery,
+  removeImageFiles,
+  saveImage,
+  sendImage,
+} from "../helpers/imageHelper.js";
 
+import {
+  PHOTO_MAX_AGE,
+  cacheHeaders,
+  catalogCache,
+  invalidateCatalog,
+  isFresh,
+  notModified,
+  photoCacheControl,
+  photoVersion,
+  suggestionCache,
+  validatorsFor,
+} from "../helpers/cacheHelper.js";
+import {
+  MIN_SUGGEST_LENGTH,
+  inOrder,
+  normalizeQuery,
+  popularQueries,
+  rankedIds,
+  readSearch,
+  recordSearch,
+  suggestNames,
+} from "../helpers/searchHelper.js";
 import fs from "fs";
 import slugify from "slugify";
-import braintree from "braintree";
-import dotenv from "dotenv";
 
-dotenv.config();
+// flag products that can no longer be added to a cart
+const withStockFlag = (product) => {
+  const doc =
+    typeof product.toObject === "function" ? product.toObject() : product;
+  return { ...doc, outOfStock: !(doc.quantity > 0) };
+};
+
+// the name of a product's category, copied onto it for search
+const categoryNameOf = async (categoryId) =>
+  (await categoryModel.findById(categoryId).select("name"))?.name || "";
 
-//payment gateway
-var gateway = new braintree.BraintreeGateway({
-  environment: braintree.Environment.Sandbox,
-  merchantId: process.env.BRAINTREE_MERCHANT_ID,
-  publicKey: process.env.BRAINTREE_PUBLIC_KEY,
-  privateKey: process.env.BRAINTREE_PRIVATE_KEY,
-});
+// product photos are served on their own routes
+const WITHOUT_PHOTOS = "-photo -variants.photo.data";
+
+// The options and variants sent with a product form, each variant keeping
+// the photo and held units it had; a product with variants is stocked by
+// them. Forms that send neither leave the product's variants as they are.
+const variantFields = (fields, files, existing = []) => {
+  if (fields.options === undefined && fields.variants === undefined) return {};
+  const read = readVariants(fields.options, fields.variants);
+  if (read.error) return read;
+  const variants = [];
+  for (const [i, variant] of read.variants.entries()) {
+    const before = variant._id && findVariant({ variants: existing }, variant._id);
+    const next = {
+      ...variant,
+      reserved: before?.reserved || 0,
+      photo: before?.photo,
+    };
+    const photo = files?.[`variantPhoto${i}`];
+    if (photo) {
+      if (photo.size > 1000000) {
+        return { error: "Variant photo should be less than 1MB" };
+      }
+      next.photo = { data: fs.readFileSync(photo.path), contentType: photo.type };
+    }
+    variants.push(next);
+  }
+  return {
+    options: read.options,
+    variants,
+    ...(variants.length > 0 && { quantity: totalStock(variants) }),
+  };
+};
+
+// The gallery sent with a product form, with new uploads stored in GridFS
+// along with their renditions. `stored` lists the images stored for this
+// request, to remove again if the product is not saved, and `removed` the
+// images the form left out. Forms that send no gallery leave it as it is.
+const storeGallery = async (fields, files, existing = []) => {
+  if (fields.images === undefined) return { fields: {}, stored: [], removed: [] };
+  const read = readGallery(fields.images, existing, files);
+  if (read.error) return read;
+  const stored = [];
+  const images = [];
+  try {
+    for (const entry of read.entries) {
+      if (entry.image) {
+        const image =
+          typeof entry.image.toObject === "function" ? entry.image.toObject() : entry.image;
+        images.push({ ...image, alt: entry.alt });
+        continue;
+      }
+      const buffer = fs.readFileSync(entry.file.path);
+      let renditions;
+      try {
+        renditions = await makeRenditions(buffer);
+      } catch (error) {
+        console.log(error);
+        await removeImageFiles(stored);
+        return { error: `${entry.file.name} could not be read as an image` };
+      }
+      // the original is served with the type its content was read as
+      const image = await saveImage(buffer, renditions, {
+        name: entry.file.name,
+        contentType: renditions.contentType,
+        alt: entry.alt,
+      });
+      stored.push(image);
+      images.push(image);
+    }
+  } catch (error) {
+    await removeImageFiles(stored);
+    throw error;
+  }
+  return { fields: { images }, stored, removed: read.removed };
+};
+
+// drop gallery files that are no longer needed; the product is already
+// saved by then, so a failure here is only logged
+const discardImages = async (images) => {
+  try {
+    await removeImageFiles(images);
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+// a product sold in variants is stocked by them and needs no quantity
+const sellsVariants = (fields) =>
+  (readVariants(fields.options, fields.variants).variants?.length || 0) > 0;
+
+const isSkuTaken = (error) =>
+  error?.code === 11000 && Boolean(error.keyPattern?.["variants.sku"]);
+
+const isEmail = (value) =>
+  typeof value === "string" &&
+  value.length <= 254 &&
+  /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
 
 export const createProductController = async (req, res) => {
+  let stored = [];
   try {
     const { name, description, price, category, quantity, shipping } =
       req.fields;
@@ -32,7 +196,7 @@ export const createProductController = async (req, res) => {
         return res.status(500).send({ error: "Price is Required" });
       case !category:
         return res.status(500).send({ error: "Category is Required" });
-      case !quantity:
+      case !quantity && !sellsVariants(req.fields):
         return res.status(500).send({ error: "Quantity is Required" });
       case photo && photo.size > 1000000:
         return res
@@ -40,12 +204,29 @@ export const createProductController = async (req, res) => {
           .send({ error: "Photo is required and should be less than 1MB" });
     }
 
-    const products = new productModel({ ...req.fields, slug: slugify(name) });
+    const stock = variantFields(req.fields, req.files);
+    if (stock.error) {
+      return res.status(400).send({ error: stock.error });
+    }
+    const gallery = await storeGallery(req.fields, req.files);
+    if (gallery.error) {
+      return res.status(400).send({ error: gallery.error });
+    }
+    stored = gallery.stored;
+
+    const products = new productModel({
+      ...req.fields,
+      ...stock,
+      ...gallery.fields,
+      categoryName: await categoryNameOf(category),
+      slug: slugify(name),
+    });
     if (photo) {
       products.photo.data = fs.readFileSync(photo.path);
       products.photo.contentType = photo.type;
     }
     await products.save();
+    invalidateCatalog();
     res.status(201).send({
       success: true,
       message: "Product Created Successfully",
@@ -53,6 +234,13 @@ export const createProductController = async (req, res) => {
     });
   } catch (error) {
     console.log(error);
+    await discardImages(stored);
+    if (isSkuTaken(error)) {
+      return res.status(409).send({
+        success: false,
+        message: "A SKU is already used by another product",
+      });
+    }
     res.status(500).send({
       success: false,
       error,
@@ -64,12 +252,17 @@ export const createProductController = async (req, res) => {
 //get all products
 export const getProductController = async (req, res) => {
   try {
-    const products = await productModel
-      .find({})
-      .populate("category")
-      .select("-photo")
-      .limit(12)
-      .sort({ createdAt: -1 });
+    const products = await catalogCache.remember("products:latest", async () =>
+      (
+        await productModel
+          .find({})
+          .populate("category")
+          .select(WITHOUT_PHOTOS)
+          .limit(12)
+          .sort({ createdAt: -1 })
+      ).map(withStockFlag)
+    );
+    if (notModified(req, res, validatorsFor(products))) return;
     res.status(200).send({
       success: true,
       countTotal: products.length,
@@ -88,10 +281,17 @@ export const getProductController = async (req, res) => {
 // get single product
 export const getSingleProductController = async (req, res) => {
   try {
-    const product = await productModel
-      .findOne({ slug: req.params.slug })
-      .select("-photo")
-      .populate("category");
+    const product = await catalogCache.remember(
+      `product:${req.params.slug}`,
+      async () => {
+        const found = await productModel
+          .findOne({ slug: req.params.slug })
+          .select(WITHOUT_PHOTOS)
+          .populate("category");
+        return found && withStockFlag(found);
+      }
+    );
+    if (product && notModified(req, res, validatorsFor(product))) return;
     res.status(200).send({
       success: true,
       message: "Single Product Fetched",
@@ -107,17 +307,42 @@ export const getSingleProductController = async (req, res) => {
   }
 };
 
-// get photo
+// the size asked for with ?size=, the original when none is given
+const readSize = (query) => query?.size || "original";
+
+// get photo: the first gallery image in the size asked for, else the
+// product's single photo
 export const productPhotoController = async (req, res) => {
   try {
-    const product = await productModel.findById(req.params.pid).select("photo");
+    const size = readSize(req.query);
+    if (!IMAGE_SIZES.includes(size)) {
+      return res.status(400).send({
+        success: false,
+        message: "Size must be thumbnail, medium or original",
+      });
+    }
+    const product = await productModel
+      .findById(req.params.pid)
+      .select("photo images updatedAt");
     if (!product) {
       return res.status(404).send({
         success: false,
         message: "Product Not Found",
       });
     }
-    if (product.photo.data) {
+    if (product.images?.length || product.photo?.data) {
+      const validators = validatorsFor(product, size);
+      const headers = cacheHeaders(
+        validators,
+        photoCacheControl(req, photoVersion(product))
+      );
+      if (isFresh(req, validators)) {
+        return res.set(headers).status(304).end();
+      }
+      if (product.images?.length) {
+        return sendImage(res, product.images[0], size, headers);
+      }
+      res.set(headers);
       res.set("Content-type", product.photo.contentType);
       return res.status(200).send(product.photo.data);
     }
@@ -135,10 +360,88 @@ export const productPhotoController = async (req, res) => {
   }
 };
 
+// get one image of the product's gallery
+export const productImageController = async (req, res) => {
+  try {
+    const size = readSize(req.query);
+    if (!IMAGE_SIZES.includes(size)) {
+      return res.status(400).send({
+        success: false,
+        message: "Size must be thumbnail, medium or original",
+      });
+    }
+    const product = await productModel.findById(req.params.pid).select("images");
+    const image = (product?.images || []).find(
+      (i) => String(i._id) === req.params.imageId
+    );
+    if (!image) {
+      return res.status(404).send({
+        success: false,
+        message: "Image Not Found",
+      });
+    }
+    // a gallery image's files never change, so any copy of it is current
+    const validators = validatorsFor(image, size);
+    const headers = cacheHeaders(
+      validators,
+      `public, max-age=${PHOTO_MAX_AGE}, immutable`
+    );
+    if (isFresh(req, validators)) {
+      return res.set(headers).status(304).end();
+    }
+    return sendImage(res, image, size, headers);
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while Fetching Photo",
+      error,
+    });
+  }
+};
+
+// get a variant's own photo
+export const variantPhotoController = async (req, res) => {
+  try {
+    const product = await productModel
+      .findById(req.params.pid)
+      .select("variants._id variants.photo updatedAt");
+    const variant = findVariant(product, req.params.vid);
+    if (!variant) {
+      return res.status(404).send({
+        success: false,
+        message: "Variant Not Found",
+      });
+    }
+    if (variant.photo?.data) {
+      const validators = validatorsFor(product, String(variant._id));
+      const cacheControl = photoCacheControl(req, photoVersion(product));
+      if (notModified(req, res, validators, cacheControl)) return;
+      res.set("Content-type", variant.photo.contentType);
+      return res.status(200).send(variant.photo.data);
+    }
+    return res.status(404).send({
+      success: false,
+      message: "Photo Not Found",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while Fetching Photo",
+      error,
+    });
+  }
+};
+
 //delete controller
 export const deleteProductController = async (req, res) => {
   try {
-    await productModel.findByIdAndDelete(req.params.pid).select("-photo");
+    const product = await productModel
+      .findByIdAndDelete(req.params.pid)
+      .select("-photo");
+    invalidateCatalog();
+    if (product?.images?.length) await discardImages(product.images);
     res.status(200).send({
       success: true,
       message: "Product Deleted Successfully",
@@ -155,6 +458,7 @@ export const deleteProductController = async (req, res) => {
 
 //upate producta
 export const updateProductController = async (req, res) => {
+  let stored = [];
   try {
     const { name, description, price, category, quantity, shipping } =
       req.fields;
@@ -169,7 +473,7 @@ export const updateProductController = async (req, res) => {
         return res.status(500).send({ error: "Price is Required" });
       case !category:
         return res.status(500).send({ error: "Category is Required" });
-      case !quantity:
+      case !quantity && !sellsVariants(req.fields):
         return res.status(500).send({ error: "Quantity is Required" });
       case photo && photo.size > 1000000:
         return res
@@ -177,9 +481,29 @@ export const updateProductController = async (req, res) => {
           .send({ error: "Photo is Required and should be less than 1MB" });
     }
 
+    const existing =
+      req.fields.variants === undefined && req.fields.images === undefined
+        ? null
+        : await productModel.findById(req.params.pid).select("variants images");
+    const stock = variantFields(req.fields, req.files, existing?.variants);
+    if (stock.error) {
+      return res.status(400).send({ error: stock.error });
+    }
+    const gallery = await storeGallery(req.fields, req.files, existing?.images);
+    if (gallery.error) {
+      return res.status(400).send({ error: gallery.error });
+    }
+    stored = gallery.stored;
+
     const products = await productModel.findByIdAndUpdate(
       req.params.pid,
-      { ...req.fields, slug: slugify(name) },
+      {
+        ...req.fields,
+        ...stock,
+        ...gallery.fields,
+        categoryName: await categoryNameOf(category),
+        slug: slugify(name),
+      },
       { new: true }
     );
     if (photo) {
@@ -187,6 +511,9 @@ export const updateProductController = async (req, res) => {
       products.photo.contentType = photo.type;
     }
     await products.save();
+    invalidateCatalog();
+    stored = [];
+    await discardImages(gallery.removed);
     res.status(201).send({
       success: true,
       message: "Product Updated Successfully",
@@ -194,6 +521,13 @@ export const updateProductController = async (req, res) => {
     });
   } catch (error) {
     console.log(error);
+    await discardImages(stored);
+    if (isSkuTaken(error)) {
+      return res.status(409).send({
+        success: false,
+        message: "A SKU is already used by another product",
+      });
+    }
     res.status(500).send({
       success: false,
       error,
@@ -227,7 +561,9 @@ export const productFiltersController = async (req, res) => {
 // product count
 export const productCountController = async (req, res) => {
   try {
-    const total = await productModel.find({}).estimatedDocumentCount();
+    const total = await catalogCache.remember("products:count", () =>
+      productModel.find({}).estimatedDocumentCount()
+    );
     res.status(200).send({
       success: true,
       total,
@@ -247,12 +583,24 @@ export const productListController = async (req, res) => {
   try {
     const perPage = 6;
     const page = req.params.page ? req.params.page : 1;
-    const products = await productModel
-      .find({})
-      .select("-photo")
-      .skip((page - 1) * perPage)
-      .limit(perPage)
-      .sort({ createdAt: -1 });
+    // best rated first, more reviews breaking a tie; otherwise newest first
+    const byRating = req.query?.sort === "rating";
+    const sort = byRating
+      ? { ratingAverage: -1, ratingCount: -1, createdAt: -1 }
+      : { createdAt: -1 };
+    const products = await catalogCache.remember(
+      `products:page:${page}:${byRating ? "rating" : "newest"}`,
+      async () =>
+        (
+          await productModel
+            .find({})
+            .select(WITHOUT_PHOTOS)
+            .skip((page - 1) * perPage)
+            .limit(perPage)
+            .sort(sort)
+        ).map(withStockFlag)
+    );
+    if (notModified(req, res, validatorsFor(products))) return;
     res.status(200).send({
       success: true,
       products,
@@ -267,19 +615,50 @@ export const productListController = async (req, res) => {
   }
 };
 
-// search product
+// search product: text matches ranked by relevance, then products with an
+// answered question about the search, a page at a time
 export const searchProductController = async (req, res) => {
   try {
-    const { keyword } = req.params;
-    const resutls = await productModel
-      .find({
-        $or: [
-          { name: { $regex: keyword, $options: "i" } },
-          { description: { $regex: keyword, $options: "i" } },
-        ],
-      })
-      .select("-photo");
-    res.json(resutls);
+    const keyword = String(req.params.keyword || "").trim();
+    const search = readSearch(req.query);
+    if (search.error) {
+      return res.status(400).send({ success: false, message: search.error });
+    }
+    const { page, perPage, filter } = search;
+
+    const [matches, answered] = await Promise.all([
+      productModel
+        .find({ $text: { $search: keyword }, ...filter })
+        .select({ _id: 1, score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" } })
+        .lean(),
+      productsAnsweredAbout(keyword),
+    ]);
+    const others = answered.length
+      ? await productModel
+          .find({ _id: { $in: answered }, ...filter })
+          .select("_id")
+          .lean()
+      : [];
+    const ids = rankedIds(matches, others);
+    // searches that find something feed the popular suggestions
+    if (page === 1 && ids.length) await recordSearch(keyword);
+
+    const pageIds = ids.slice((page - 1) * perPage, page * perPage);
+    const found = pageIds.length
+      ? await productModel
+          .find({ _id: { $in: pageIds } })
+          .select(WITHOUT_PHOTOS)
+          .populate("category")
+      : [];
+    res.status(200).send({
+      success: true,
+      products: inOrder(pageIds, found).map(withStockFlag),
+      total: ids.length,
+      page,
+      pages: Math.ceil(ids.length / perPage),
+      perPage,
+    });
   } catch (error) {
     console.log(error);
     res.status(400).send({
@@ -290,6 +669,35 @@ export const searchProductController = async (req, res) => {
   }
 };
 
+// suggestions while typing a search: products, categories and popular
+// searches, kept in a cache of their own
+export const searchSuggestionsController = async (req, res) => {
+  try {
+    const text = normalizeQuery(req.query.q);
+    if (text.length < MIN_SUGGEST_LENGTH) {
+      return res
+        .status(200)
+        .send({ success: true, products: [], categories: [], queries: [] });
+    }
+    const suggestions = await suggestionCache.remember(text, async () => {
+      const [products, categories, queries] = await Promise.all([
+        suggestNames(productModel, text, 5),
+        suggestNames(categoryModel, text, 3),
+        popularQueries(text, 3),
+      ]);
+      return { products, categories, queries };
+    });
+    res.status(200).send({ success: true, ...suggestions });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting search suggestions",
+      error,
+    });
+  }
+};
+
 // similar products
 export const realtedProductController = async (req, res) => {
   try {
@@ -299,7 +707,7 @@ export const realtedProductController = async (req, res) => {
         category: cid,
         _id: { $ne: pid },
       })
-      .select("-photo")
+      .select(WITHOUT_PHOTOS)
       .limit(3)
       .populate("category");
     res.status(200).send({
@@ -340,61 +748,266 @@ export const productCategoryController = async (req, res) => {
 //token
 export const braintreeTokenController = async (req, res) => {
   try {
-    gateway.clientToken.generate({}, function (err, response) {
-      if (err) {
-        res.status(500).send(err);
-      } else {
-        res.send(response);
-      }
-    });
+    const response = await getPaymentProvider().generateToken();
+    res.send(response);
   } catch (error) {
     console.log(error);
     res.status(500).send(error);
   }
 };
 
+// Give back a charge that ended with no order: void it while it is
+// unsettled, refund it after. One that cannot be given back is logged with
+// its transaction id, to be settled by hand.
+const cancelSale = async (transaction) => {
+  const provider = getPaymentProvider();
+  try {
+    const voided = await provider.void(transaction.id);
+    if (voided?.success) return true;
+    const refunded = await provider.refund(transaction.id);
+    if (refunded?.success) return true;
+    console.log(
+      `Payment ${transaction.id} was taken for an order that was not saved and could not be given back: ${
+        refunded?.message || voided?.message
+      }`
+    );
+  } catch (error) {
+    console.log(
+      `Payment ${transaction?.id} was taken for an order that was not saved and could not be given back`,
+      error
+    );
+  }
+  return false;
+};
+
 //payment
 export const brainTreePaymentController = async (req, res) => {
+  let held = [];
+  let hold;
+  let claimed = null;
   try {
-    const { nonce, cart } = req.body;
+    const {
+      nonce,
+      cart,
+      coupon: couponCode,
+      region,
+      shippingMethod: shippingMethodId,
+      shippingAddress: shippingAddressId,
+      email,
+      address: guestAddressBody,
+    } = req.body;
     if (!cart || !Array.isArray(cart) || cart.length === 0) {
       return res.status(400).send({ error: "Invalid cart" });
     }
+    // guests have no account, so they give the address to ship to and an
+    // email to find the order by; coupons stay with signed-in shoppers
+    const guest = !req.user;
+    let guestAddress = null;
+    if (guest) {
+      if (!isEmail(email)) {
+        return res.status(400).send({ error: "A valid email is required" });
+      }
+      const read = readAddress(guestAddressBody);
+      if (read.error) {
+        return res.status(400).send({ error: read.error });
+      }
+      guestAddress = read.address;
+      if (couponCode) {
+        return res.status(400).send({ error: "Sign in to use a coupon" });
+      }
+    }
+    // Each cart line carries a quantity; lines without one count as a
+    // single unit and repeated lines for a product, or for one variant of
+    // it, are bought as one
+    const wanted = new Map();
+    for (const item of cart) {
+      const quantity = item?.quantity === undefined ? 1 : item.quantity;
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).send({ error: "Invalid cart" });
+      }
+      const key = lineKey(item?._id, item?.variant);
+      const line = wanted.get(key) || {
+        product: String(item?._id),
+        variant: item?.variant,
+        quantity: 0,
+      };
+      line.quantity += quantity;
+      wanted.set(key, line);
+    }
     // Validate cart items exist in the database and compute total from DB prices
-    const productIds = cart.map((i) => i._id);
-    const dbProducts = await productModel.find({ _id: { $in: productIds } });
-    if (dbProducts.length !== cart.length) {
+    const ids = [...new Set([...wanted.values()].map((line) => line.product))];
+    const dbProducts = await productModel.find({
+      _id: { $in: ids },
+    });
+    if (dbProducts.length !== ids.length) {
       return res.status(400).send({ error: "One or more products not found" });
     }
-    const total = dbProducts.reduce((sum, p) => sum + (Number(p.price) || 0), 0);
-    let newTransaction = gateway.transaction.sale(
-      {
-        amount: total,
-        paymentMethodNonce: nonce,
-        options: {
-          submitForSettlement: true,
-        },
-      },
-      async function (error, result) {
-        if (result) {
-          try {
-            const order = await new orderModel({
-              products: productIds,
-              payment: result,
-              buyer: req.user._id,
-            }).save();
-            res.json({ ok: true });
-          } catch (err) {
-            console.log(err);
-            res.status(500).send(err);
-          }
-        } else {
-          res.status(500).send(error);
-        }
+    const byId = new Map(dbProducts.map((p) => [String(p._id), p]));
+    const products = [];
+    for (const line of wanted.values()) {
+      const p = byId.get(line.product);
+      const variant = line.variant ? findVariant(p, line.variant) : null;
+      if (line.variant && !variant) {
+        return res.status(400).send({ error: "One or more products not found" });
+      }
+      // a product sold in variants is bought as one of them
+      if (!variant && p.variants?.length > 0) {
+        return res.status(400).send({ error: `Choose the options for ${p.name}` });
+      }
+      const price = unitPrice(p, variant);
+      products.push({
+        product: p._id,
+        ...(variant && { variant: variant._id, sku: variant.sku }),
+        name: variant ? `${p.name} (${variantName(variant)})` : p.name,
+        price,
+        quantity: line.quantity,
+        total: roundPrice(price * line.quantity),
+      });
+    }
+    const subtotal = roundPrice(
+      products.reduce((sum, line) => sum + line.total, 0)
+    );
+    // Promotions, the coupon, tax and shipping are priced again here from
+    // DB prices, whatever the cart page previewed
+    const priced = products.map((line) => ({
+      ...line,
+      category: byId.get(String(line.product)).category,
+      taxClass: byId.get(String(line.product)).taxClass,
+      weight: byId.get(String(line.product)).weight,
+    }));
+    const promotions = await cartPromotions(priced);
+    let coupon = null;
+    let couponDiscount = 0;
+    if (couponCode) {
+      const applied = await applyCoupon(couponCode, priced, req.user._id);
+      if (!applied.ok) {
+        return res.status(400).send({ error: applied.message });
       }
+      coupon = applied.coupon;
+      couponDiscount = applied.discount;
+    }
+    const discount = Math.min(
+      roundPrice(promotionsTotal(promotions) + couponDiscount),
+      subtotal
     );
+    // once the store has shipping methods, every order needs one of them
+    const methods = await activeShippingMethods();
+    let shipping = null;
+    if (methods.length > 0) {
+      const method = methods.find((m) => String(m._id) === String(shippingMethodId));
+      if (!method) {
+        return res.status(400).send({
+          error: shippingMethodId
+            ? "Shipping method is not available"
+            : "Choose a shipping method",
+        });
+      }
+      shipping = {
+        method: method._id,
+        name: method.name,
+        kind: method.kind,
+        cost: shippingCost(method, {
+          weight: cartWeight(priced),
+          value: roundPrice(subtotal - discount),
+        }),
+      };
+    }
+    // ship to an address from the buyer's book, which also decides where
+    // the order is taxed; buyers without one are taxed for the cart's region
+    const buyer = guest
+      ? null
+      : await userModel.findById(req.user._id).select("addresses");
+    const address = guest
+      ? guestAddress
+      : pickShippingAddress(buyer?.addresses, shippingAddressId);
+    if (!guest && shippingAddressId && !address) {
+      return res.status(400).send({ error: "Shipping address not found" });
+    }
+    const taxRegion = address ? addressTaxRegion(address) : region;
+    const taxed = await cartTax(priced, discount, taxRegion);
+    const { mode: taxMode, taxes, tax } = taxed;
+    const total = roundPrice(taxed.total + (shipping?.cost || 0));
+    // Hold the stock before charging so an oversold cart is never paid for
+    const reservation = await reserveStock(products);
+    if (!reservation.ok) {
+      return res.status(409).send({
+        error: `${reservation.line.name} is out of stock`,
+        product: reservation.line.product,
+      });
+    }
+    held = products;
+    hold = reservation.hold;
+    // and the coupon use, so its last use is not handed out twice
+    if (coupon) {
+      if (!(await claimCoupon(coupon, req.user._id))) {
+        held = [];
+        await releaseStock(products, hold);
+        return res.status(409).send({ error: "Coupon has reached its usage limit" });
+      }
+      claimed = coupon;
+    }
+    // undo both holds when the checkout stops short of an order
+    const releaseHolds = async () => {
+      held = [];
+      await releaseStock(products, hold);
+      if (claimed) await releaseCoupon(claimed, req.user._id);
+      claimed = null;
+    };
+    let result;
+    try {
+      result = await getPaymentProvider().sale({ amount: total, nonce });
+    } catch (error) {
+      console.log(error);
+      await releaseHolds();
+      return res.status(500).send(error);
+    }
+    if (!result) {
+      await releaseHolds();
+      return res.status(500).send(result);
+    }
+    // a declined sale is no order: the units and coupon go back
+    if (!result.success) {
+      await releaseHolds();
+      return res.status(402).send({
+        error: result.message || "Payment was declined",
+        transaction: result.transaction,
+      });
+    }
+    const order = new orderModel({
+      products,
+      subtotal,
+      discount,
+      promotions,
+      coupon: coupon?.code,
+      tax,
+      taxMode,
+      taxRegion: normalizeRegion(taxRegion),
+      taxes,
+      shipping,
+      shippingAddress: address ? addressSnapshot(address) : null,
+      total,
+      payment: result,
+      buyer: req.user?._id,
+      guestEmail: guest ? email.trim().toLowerCase() : undefined,
+    });
+    try {
+      await order.save();
+    } catch (err) {
+      console.log(err);
+      // the shopper has paid for an order that does not exist
+      await cancelSale(result.transaction);
+      await releaseHolds();
+      return res.status(500).send(err);
+    }
+    held = [];
+    claimed = null;
+    // the order now owns the units, so drop them from the reserved pool
+    await commitStock(products, hold);
+    res.json({ ok: true, order: order._id });
   } catch (error) {
     console.log(error);
+    await releaseStock(held, hold);
+    if (claimed) await releaseCoupon(claimed, req.user._id);
     res.status(500).send(error);
   }
-};
\ No newline at end of file
+};
@@ -52,15 +52,53 @@ jest.mock("../models/productModel.js", () => {
 jest.mock("../models/categoryModel.js", () => ({
   __esModule: true,
   default: Object.assign(jest.fn(), {
+    find: jest.fn(),
     findOne: jest.fn(),
+    findById: jest.fn(() => ({ select: jest.fn().mockResolvedValue(null) })),
   }),
 }));
 
+jest.mock("../models/searchQueryModel.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn(), updateOne: jest.fn().mockResolvedValue({}) },
+}));
+
+jest.mock("../helpers/questionHelper.js", () => ({
+  __esModule: true,
+  productsAnsweredAbout: jest.fn(),
+}));
+
+jest.mock("../helpers/imageHelper.js", () => {
+  const actual = jest.requireActual("../helpers/imageHelper.js");
+  return {
+    __esModule: true,
+    IMAGE_SIZES: actual.IMAGE_SIZES,
+    readGallery: actual.readGallery,
+    makeRenditions: jest.fn(),
+    removeImageFiles: jest.fn(),
+    saveImage: jest.fn(),
+    sendImage: jest.fn(),
+  };
+});
+
 import braintree from "braintree";
 import fs from "fs";
 import slugify from "slugify";
 import productModel from "../models/productModel.js";
 import categoryModel from "../models/categoryModel.js";
+import searchQueryModel from "../models/searchQueryModel.js";
+import { productsAnsweredAbout } from "../helpers/questionHelper.js";
+import {
+  makeRenditions,
+  removeImageFiles,
+  saveImage,
+  sendImage,
+} from "../helpers/imageHelper.js";
+import {
+  catalogCache,
+  invalidateCatalog,
+  suggestionCache,
+} from "../helpers/cacheHelper.js";
 
 import {
   createProductController,
@@ -69,10 +107,13 @@ import {
   getProductController,
   getSingleProductController,
   productPhotoController,
+  productImageController,
+  variantPhotoController,
   productFiltersController,
   productCountController,
   productListController,
   searchProductController,
+  searchSuggestionsController,
   realtedProductController,
   productCategoryController,
 } from "./productController.js";
@@ -83,9 +124,11 @@ const makeReq = ({
   fields = {},
   files = {},
   params = {},
+  query = {},
+  headers = {},
   body = {},
   user = {},
-} = {}) => ({ fields, files, params, body, user });
+} = {}) => ({ fields, files, params, query, headers, body, user });
 
 const makeRes = () => {
   const res = {};
@@ -93,6 +136,7 @@ const makeRes = () => {
   res.send = jest.fn().mockReturnValue(res);
   res.json = jest.fn().mockReturnValue(res);
   res.set = jest.fn().mockReturnValue(res);
+  res.end = jest.fn().mockReturnValue(res);
   return res;
 };
 
@@ -103,6 +147,8 @@ const makeQuery = (resolvedValue) => {
     limit: jest.fn().mockReturnThis(),
     sort: jest.fn().mockReturnThis(),
     skip: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockReturnThis(),
+    collation: jest.fn().mockReturnThis(),
     estimatedDocumentCount: jest.fn().mockResolvedValue(resolvedValue),
     then: (resolve, reject) =>
       Promise.resolve(resolvedValue).then(resolve, reject),
@@ -112,6 +158,8 @@ const makeQuery = (resolvedValue) => {
 
 beforeEach(() => {
   jest.clearAllMocks();
+  catalogCache.clear();
+  suggestionCache.clear();
   jest.spyOn(console, "log").mockImplementation(() => {});
 });
 
@@ -134,12 +182,31 @@ describe("getProductController", () => {
     expect(res.send).toHaveBeenCalledWith(
       expect.objectContaining({
         success: true,
-        products: mockProducts,
+        products: [{ name: "A", outOfStock: true }],
         countTotal: mockProducts.length,
       })
     );
   });
 
+  it("should flag products by stock, converting mongoose documents", async () => {
+    const inStock = { toObject: () => ({ name: "A", quantity: 3 }) };
+    const soldOut = { name: "B", quantity: 0 };
+    productModel.find.mockReturnValue(makeQuery([inStock, soldOut]));
+    const req = makeReq();
+    const res = makeRes();
+
+    await getProductController(req, res);
+
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        products: [
+          { name: "A", quantity: 3, outOfStock: false },
+          { name: "B", quantity: 0, outOfStock: true },
+        ],
+      })
+    );
+  });
+
   it("should return error on failure", async () => {
     productModel.find.mockImplementation(() => {
       throw new Error("boom");
@@ -159,7 +226,7 @@ describe("getProductController", () => {
 // Keagan Pang, A0258729L
 describe("getSingleProductController", () => {
   it("should return single product on success", async () => {
-    const mockProduct = { name: "A" };
+    const mockProduct = { name: "A", quantity: 2 };
     productModel.findOne.mockReturnValue(makeQuery(mockProduct));
     const req = makeReq({ params: { slug: "slug" } });
     const res = makeRes();
@@ -169,7 +236,22 @@ describe("getSingleProductController", () => {
     expect(productModel.findOne).toHaveBeenCalledWith({ slug: "slug" });
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.send).toHaveBeenCalledWith(
-      expect.objectContaining({ success: true, product: mockProduct })
+      expect.objectContaining({
+        success: true,
+        product: { ...mockProduct, outOfStock: false },
+      })
+    );
+  });
+
+  it("should return a null product when the slug does not match", async () => {
+    productModel.findOne.mockReturnValue(makeQuery(null));
+    const req = makeReq({ params: { slug: "missing" } });
+    const res = makeRes();
+
+    await getSingleProductController(req, res);
+
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true, product: null })
     );
   });
 
@@ -235,6 +317,38 @@ describe("productPhotoController", () => {
     );
   });
 
+  it("sends the first gallery image in the size asked for", async () => {
+    const images = [{ _id: "i1", original: "f1" }, { _id: "i2", original: "f2" }];
+    const query = makeQuery({ photo: { data: Buffer.from("p") }, images });
+    productModel.findById.mockReturnValue(query);
+    const res = makeRes();
+
+    await productPhotoController(
+      makeReq({ params: { pid: "pid" }, query: { size: "thumbnail" } }),
+      res
+    );
+
+    expect(query.select).toHaveBeenCalledWith("photo images updatedAt");
+    expect(sendImage).toHaveBeenCalledWith(res, images[0], "thumbnail", expect.any(Object));
+    expect(res.send).not.toHaveBeenCalled();
+  });
+
+  it("turns down an unknown size", async () => {
+    const res = makeRes();
+
+    await productPhotoController(
+      makeReq({ params: { pid: "pid" }, query: { size: "huge" } }),
+      res
+    );
+
+    expect(productModel.findById).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Size must be thumbnail, medium or original",
+    });
+  });
+
   it("should return error on failure", async () => {
     productModel.findById.mockImplementation(() => {
       throw new Error("boom");
@@ -254,6 +368,62 @@ describe("productPhotoController", () => {
   });
 });
 
+describe("variantPhotoController", () => {
+  const product = {
+    variants: [
+      { _id: "v1", photo: { data: Buffer.from("v"), contentType: "image/jpeg" } },
+      { _id: "v2", photo: {} },
+    ],
+  };
+
+  it("should send the variant's own photo", async () => {
+    productModel.findById.mockReturnValue(makeQuery(product));
+    const res = makeRes();
+
+    await variantPhotoController(makeReq({ params: { pid: "p1", vid: "v1" } }), res);
+
+    expect(productModel.findById).toHaveBeenCalledWith("p1");
+    expect(res.set).toHaveBeenCalledWith("Content-type", "image/jpeg");
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith(product.variants[0].photo.data);
+  });
+
+  it("should return 404 when the variant has no photo", async () => {
+    productModel.findById.mockReturnValue(makeQuery(product));
+    const res = makeRes();
+
+    await variantPhotoController(makeReq({ params: { pid: "p1", vid: "v2" } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ success: false, message: "Photo Not Found" })
+    );
+  });
+
+  it("should return 404 when the product or variant is not found", async () => {
+    productModel.findById.mockReturnValue(makeQuery(null));
+    const res = makeRes();
+
+    await variantPhotoController(makeReq({ params: { pid: "p1", vid: "v1" } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ success: false, message: "Variant Not Found" })
+    );
+  });
+
+  it("should return 500 on failure", async () => {
+    productModel.findById.mockImplementation(() => {
+      throw new Error("boom");
+    });
+    const res = makeRes();
+
+    await variantPhotoController(makeReq({ params: { pid: "p1", vid: "v1" } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
 // Keagan Pang, A0258729L
 describe("productFiltersController", () => {
   it("should filter by category and price", async () => {
@@ -359,7 +529,7 @@ describe("productCountController", () => {
 // Keagan Pang, A0258729L
 describe("productListController", () => {
   it("should return products for specific page", async () => {
-    const products = [{ name: "A" }];
+    const products = [{ name: "A", quantity: 0 }];
     productModel.find.mockReturnValue(makeQuery(products));
     const req = makeReq({ params: { page: 2 } });
     const res = makeRes();
@@ -368,11 +538,14 @@ describe("productListController", () => {
 
     expect(productModel.find).toHaveBeenCalledWith({});
     expect(res.status).toHaveBeenCalledWith(200);
-    expect(res.send).toHaveBeenCalledWith({ success: true, products });
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: [{ name: "A", quantity: 0, outOfStock: true }],
+    });
   });
 
   it("should default to page 1 when page param missing", async () => {
-    const products = [{ name: "A" }];
+    const products = [{ name: "A", quantity: 5 }];
     productModel.find.mockReturnValue(makeQuery(products));
     const req = makeReq({ params: {} });
     const res = makeRes();
@@ -380,7 +553,10 @@ describe("productListController", () => {
     await productListController(req, res);
 
     expect(res.status).toHaveBeenCalledWith(200);
-    expect(res.send).toHaveBeenCalledWith({ success: true, products });
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: [{ name: "A", quantity: 5, outOfStock: false }],
+    });
   });
 
   it("should return error on failure", async () => {
@@ -401,21 +577,174 @@ describe("productListController", () => {
 
 // Keagan Pang, A0258729L
 describe("searchProductController", () => {
-  it("should return search results on success", async () => {
-    const results = [{ name: "A" }];
-    productModel.find.mockReturnValue(makeQuery(results));
-    const req = makeReq({ params: { keyword: "abc" } });
+  // the text matches, the answered products that pass the filters (only
+  // looked up when there are any), then the page of products
+  const mockSearch = ({ matches = [], others, page = [] } = {}) => {
+    const queries = [matches, others, page]
+      .filter((docs) => docs !== undefined)
+      .map(makeQuery);
+    queries.forEach((query) => productModel.find.mockReturnValueOnce(query));
+    return queries;
+  };
+
+  beforeEach(() => {
+    productModel.find.mockReset();
+    productsAnsweredAbout.mockResolvedValue([]);
+  });
+
+  it("should rank text matches by relevance and send a page with the total", async () => {
+    const [text, found] = mockSearch({
+      matches: [{ _id: "p2" }, { _id: "p1" }],
+      page: [
+        { _id: "p1", name: "Desk lamp", quantity: 3 },
+        { _id: "p2", name: "Lamp", quantity: 0 },
+      ],
+    });
     const res = makeRes();
 
-    await searchProductController(req, res);
+    await searchProductController(makeReq({ params: { keyword: "lamp" } }), res);
 
-    expect(productModel.find).toHaveBeenCalledWith({
-      $or: [
-        { name: { $regex: "abc", $options: "i" } },
-        { description: { $regex: "abc", $options: "i" } },
+    expect(productModel.find).toHaveBeenNthCalledWith(1, { $text: { $search: "lamp" } });
+    expect(text.select).toHaveBeenCalledWith({ _id: 1, score: { $meta: "textScore" } });
+    expect(text.sort).toHaveBeenCalledWith({ score: { $meta: "textScore" } });
+    expect(productModel.find).toHaveBeenLastCalledWith({ _id: { $in: ["p2", "p1"] } });
+    expect(found.select).toHaveBeenCalledWith("-photo -variants.photo.data");
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: [
+        { _id: "p2", name: "Lamp", quantity: 0, outOfStock: true },
+        { _id: "p1", name: "Desk lamp", quantity: 3, outOfStock: false },
       ],
+      total: 2,
+      page: 1,
+      pages: 1,
+      perPage: 12,
+    });
+  });
+
+  it("should list products with answered questions about the keyword after the matches", async () => {
+    productsAnsweredAbout.mockResolvedValue(["p1", "p3"]);
+    mockSearch({
+      matches: [{ _id: "p1" }],
+      others: [{ _id: "p1" }, { _id: "p3" }],
+      page: [{ _id: "p3" }, { _id: "p1" }],
+    });
+    const res = makeRes();
+
+    await searchProductController(makeReq({ params: { keyword: "waterproof" } }), res);
+
+    expect(productsAnsweredAbout).toHaveBeenCalledWith("waterproof");
+    expect(productModel.find).toHaveBeenNthCalledWith(2, { _id: { $in: ["p1", "p3"] } });
+    const body = res.send.mock.calls[0][0];
+    expect(body.products.map((p) => p._id)).toEqual(["p1", "p3"]);
+    expect(body.total).toBe(2);
+  });
+
+  it("should apply the stock and price filters to every match", async () => {
+    productsAnsweredAbout.mockResolvedValue(["p9"]);
+    mockSearch({ others: [] });
+    const res = makeRes();
+
+    await searchProductController(
+      makeReq({
+        params: { keyword: "lamp" },
+        query: { inStock: "true", minPrice: "10", maxPrice: "50" },
+      }),
+      res
+    );
+
+    const filter = { quantity: { $gt: 0 }, price: { $gte: 10, $lte: 50 } };
+    expect(productModel.find).toHaveBeenNthCalledWith(1, {
+      $text: { $search: "lamp" },
+      ...filter,
+    });
+    expect(productModel.find).toHaveBeenNthCalledWith(2, { _id: { $in: ["p9"] }, ...filter });
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ products: [], total: 0, pages: 0 })
+    );
+  });
+
+  it("should send the page asked for", async () => {
+    const ids = Array.from({ length: 5 }, (_, i) => ({ _id: `p${i}` }));
+    mockSearch({ matches: ids, page: [{ _id: "p3" }, { _id: "p2" }] });
+    const res = makeRes();
+
+    await searchProductController(
+      makeReq({ params: { keyword: "lamp" }, query: { page: "2", perPage: "2" } }),
+      res
+    );
+
+    expect(productModel.find).toHaveBeenLastCalledWith({ _id: { $in: ["p2", "p3"] } });
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ total: 5, page: 2, pages: 3, perPage: 2 })
+    );
+    expect(res.send.mock.calls[0][0].products.map((p) => p._id)).toEqual(["p2", "p3"]);
+  });
+
+  it("should count a search that found something", async () => {
+    mockSearch({ matches: [{ _id: "p1" }], page: [{ _id: "p1" }] });
+
+    await searchProductController(makeReq({ params: { keyword: " Desk  Lamp " } }), makeRes());
+
+    expect(searchQueryModel.updateOne).toHaveBeenCalledWith(
+      { query: "desk lamp" },
+      { $inc: { count: 1 }, $set: { lastSearchedAt: expect.any(Date) } },
+      { upsert: true }
+    );
+  });
+
+  it("should not count searches that found nothing or later pages", async () => {
+    mockSearch();
+    await searchProductController(makeReq({ params: { keyword: "zzz" } }), makeRes());
+    mockSearch({ matches: [{ _id: "p1" }] });
+    await searchProductController(
+      makeReq({ params: { keyword: "lamp" }, query: { page: "2" } }),
+      makeRes()
+    );
+
+    expect(searchQueryModel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("should still answer when the search cannot be counted", async () => {
+    mockSearch({ matches: [{ _id: "p1" }], page: [{ _id: "p1" }] });
+    searchQueryModel.updateOne.mockRejectedValueOnce(new Error("db down"));
+    const res = makeRes();
+
+    await searchProductController(makeReq({ params: { keyword: "lamp" } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should not look up products past the last page", async () => {
+    mockSearch({ matches: [{ _id: "p1" }] });
+    const res = makeRes();
+
+    await searchProductController(
+      makeReq({ params: { keyword: "lamp" }, query: { page: "4" } }),
+      res
+    );
+
+    expect(productModel.find).toHaveBeenCalledTimes(1);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ products: [], total: 1, page: 4 })
+    );
+  });
+
+  it("should refuse a price range that makes no sense", async () => {
+    const res = makeRes();
+
+    await searchProductController(
+      makeReq({ params: { keyword: "lamp" }, query: { minPrice: "50", maxPrice: "10" } }),
+      res
+    );
+
+    expect(productModel.find).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "The lowest price cannot be above the highest",
     });
-    expect(res.json).toHaveBeenCalledWith(results);
   });
 
   it("should return error on failure", async () => {
@@ -434,6 +763,102 @@ describe("searchProductController", () => {
   });
 });
 
+describe("searchSuggestionsController", () => {
+  beforeEach(() => {
+    productModel.find.mockReset();
+    categoryModel.find.mockReset();
+    searchQueryModel.find.mockReset();
+  });
+
+  const mockSuggestions = ({ products = [], categories = [], queries = [] } = {}) => {
+    // the names starting with the text, then nothing more
+    productModel.find.mockReturnValueOnce(makeQuery(products)).mockReturnValue(makeQuery([]));
+    categoryModel.find.mockReturnValueOnce(makeQuery(categories)).mockReturnValue(makeQuery([]));
+    searchQueryModel.find.mockReturnValue(makeQuery(queries));
+  };
+
+  it("should suggest products, categories and popular searches starting with the text", async () => {
+    mockSuggestions({
+      products: [{ _id: "p1", name: "Lamp", slug: "lamp" }],
+      categories: [{ _id: "c1", name: "Lamps", slug: "lamps" }],
+      queries: [{ query: "lamp" }, { query: "lamp shade" }],
+    });
+    const res = makeRes();
+
+    await searchSuggestionsController(makeReq({ query: { q: " LAM " } }), res);
+
+    expect(productModel.find).toHaveBeenCalledWith({
+      name: { $gte: "lam", $lt: "lam\uffff" },
+    });
+    expect(searchQueryModel.find).toHaveBeenCalledWith({ query: { $regex: "^lam" } });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: [{ _id: "p1", name: "Lamp", slug: "lamp" }],
+      categories: [{ _id: "c1", name: "Lamps", slug: "lamps" }],
+      queries: ["lamp", "lamp shade"],
+    });
+  });
+
+  it("should suggest nothing for a single letter", async () => {
+    const res = makeRes();
+
+    await searchSuggestionsController(makeReq({ query: { q: "l" } }), res);
+
+    expect(productModel.find).not.toHaveBeenCalled();
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: [],
+      categories: [],
+      queries: [],
+    });
+  });
+
+  it("should keep suggestions in their own cache", async () => {
+    mockSuggestions({ products: [{ _id: "p1", name: "Lamp", slug: "lamp" }] });
+
+    await searchSuggestionsController(makeReq({ query: { q: "lam" } }), makeRes());
+    const res = makeRes();
+    await searchSuggestionsController(makeReq({ query: { q: "Lam" } }), res);
+
+    expect(searchQueryModel.find).toHaveBeenCalledTimes(1);
+    expect(res.send.mock.calls[0][0].products).toEqual([
+      { _id: "p1", name: "Lamp", slug: "lamp" },
+    ]);
+    expect(suggestionCache.size).toBe(1);
+    expect(catalogCache.size).toBe(0);
+  });
+
+  it("should keep suggestions when the catalog changes", async () => {
+    mockSuggestions({ products: [{ _id: "p1", name: "Lamp", slug: "lamp" }] });
+
+    await searchSuggestionsController(makeReq({ query: { q: "lam" } }), makeRes());
+    invalidateCatalog();
+    await searchSuggestionsController(makeReq({ query: { q: "lam" } }), makeRes());
+
+    expect(searchQueryModel.find).toHaveBeenCalledTimes(1);
+  });
+
+  it("should return error on failure", async () => {
+    productModel.find.mockImplementation(() => {
+      throw new Error("boom");
+    });
+    categoryModel.find.mockReturnValue(makeQuery([]));
+    searchQueryModel.find.mockReturnValue(makeQuery([]));
+    const res = makeRes();
+
+    await searchSuggestionsController(makeReq({ query: { q: "lamp" } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: false,
+        message: "Error while getting search suggestions",
+      })
+    );
+  });
+});
+
 // Keagan Pang, A0258729L
 describe("realtedProductController", () => {
   it("should return related products on success", async () => {
@@ -570,13 +995,31 @@ describe("createProductController", () => {
 
     await createProductController(req, res);
 
-    expect(productModel).toHaveBeenCalledWith({ ...req.fields, slug: "phone" });
+    expect(productModel).toHaveBeenCalledWith({ ...req.fields, categoryName: "", slug: "phone" });
     expect(res.status).toHaveBeenCalledWith(201);
     expect(res.send).toHaveBeenCalledWith(
       expect.objectContaining({ success: true, message: "Product Created Successfully" })
     );
   });
 
+  test("copies the category's name onto the product for search", async () => {
+    const req = {
+      fields: { name: "Lamp", description: "d", price: 1, category: "c1", quantity: 1 },
+      files: {},
+    };
+    categoryModel.findById.mockReturnValueOnce({
+      select: jest.fn().mockResolvedValue({ name: "Lighting" }),
+    });
+    productModel.__mockCtorSave.mockResolvedValueOnce(undefined);
+
+    await createProductController(req, makeRes());
+
+    expect(categoryModel.findById).toHaveBeenCalledWith("c1");
+    expect(productModel).toHaveBeenCalledWith(
+      expect.objectContaining({ categoryName: "Lighting" })
+    );
+  });
+
   test("happy path: creates with photo -> 201", async () => {
     const req = {
       fields: { name: "Cam", description: "Nice", price: 10, category: "c", quantity: 2, shipping: 1 },
@@ -611,6 +1054,118 @@ describe("createProductController", () => {
       expect.objectContaining({ success: false, message: "Error in Creating product" })
     );
   });
+
+  describe("with variants", () => {
+    const fields = {
+      name: "Tee",
+      description: "Cotton",
+      price: "20",
+      category: "c",
+      quantity: "1",
+      options: JSON.stringify([{ name: "Size", values: ["S", "M"] }]),
+      variants: JSON.stringify([
+        { sku: "TEE-S", options: [{ name: "Size", value: "S" }], quantity: 2 },
+        { sku: "TEE-M", options: [{ name: "Size", value: "M" }], price: 25, quantity: 3 },
+      ]),
+    };
+
+    test("stores the variants and stocks the product by them", async () => {
+      slugify.mockReturnValueOnce("tee");
+      fs.readFileSync.mockReturnValueOnce(Buffer.from("m"));
+      productModel.__mockCtorSave.mockResolvedValueOnce(undefined);
+      const res = makeRes();
+
+      await createProductController(
+        {
+          fields,
+          files: { variantPhoto1: { size: 10, path: "/tmp/m.png", type: "image/png" } },
+        },
+        res
+      );
+
+      expect(productModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          options: [{ name: "Size", values: ["S", "M"] }],
+          variants: [
+            expect.objectContaining({ sku: "TEE-S", quantity: 2, reserved: 0, photo: undefined }),
+            expect.objectContaining({
+              sku: "TEE-M",
+              price: 25,
+              quantity: 3,
+              photo: { data: Buffer.from("m"), contentType: "image/png" },
+            }),
+          ],
+          quantity: 5,
+          slug: "tee",
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("needs no quantity of its own when sold in variants", async () => {
+      slugify.mockReturnValueOnce("tee");
+      productModel.__mockCtorSave.mockResolvedValueOnce(undefined);
+      const res = makeRes();
+
+      await createProductController({ fields: { ...fields, quantity: "" }, files: {} }, res);
+
+      expect(productModel).toHaveBeenCalledWith(expect.objectContaining({ quantity: 5 }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("still needs a quantity when the variants list is empty", async () => {
+      const res = makeRes();
+
+      await createProductController(
+        { fields: { ...fields, quantity: "", options: "[]", variants: "[]" }, files: {} },
+        res
+      );
+
+      expect(res.send).toHaveBeenCalledWith({ error: "Quantity is Required" });
+    });
+
+    test("turns down variants that do not match the options -> 400", async () => {
+      const res = makeRes();
+
+      await createProductController(
+        { fields: { ...fields, variants: JSON.stringify([{ sku: "TEE-S", quantity: 1 }]) }, files: {} },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: "Pick a Size for variant TEE-S" });
+      expect(productModel).not.toHaveBeenCalled();
+    });
+
+    test("turns down a variant photo over 1MB -> 400", async () => {
+      const res = makeRes();
+
+      await createProductController(
+        { fields, files: { variantPhoto0: { size: 1000001, path: "/tmp/s.png", type: "image/png" } } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: "Variant photo should be less than 1MB" });
+    });
+
+    test("says so when a SKU belongs to another product -> 409", async () => {
+      slugify.mockReturnValueOnce("tee");
+      productModel.__mockCtorSave.mockRejectedValueOnce({
+        code: 11000,
+        keyPattern: { "variants.sku": 1 },
+      });
+      const res = makeRes();
+
+      await createProductController({ fields, files: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "A SKU is already used by another product",
+      });
+    });
+  });
 });
 
 // Shivangi Kamat, A0319665R
@@ -649,6 +1204,29 @@ describe("updateProductController", () => {
     expect(res.status).toHaveBeenCalledWith(201);
   });
 
+  test("keeps the category's name on the product in step", async () => {
+    const req = {
+      params: { pid: "p1" },
+      fields: { name: "New", description: "d", price: 10, category: "c2", quantity: 1 },
+      files: {},
+    };
+    categoryModel.findById.mockReturnValueOnce({
+      select: jest.fn().mockResolvedValue({ name: "Desks" }),
+    });
+    productModel.findByIdAndUpdate.mockResolvedValueOnce({
+      photo: {},
+      save: jest.fn().mockResolvedValue(undefined),
+    });
+
+    await updateProductController(req, makeRes());
+
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      "p1",
+      expect.objectContaining({ category: "c2", categoryName: "Desks" }),
+      { new: true }
+    );
+  });
+
   test("happy path: update with photo -> 201", async () => {
     const req = {
       params: { pid: "p1" },
@@ -688,6 +1266,62 @@ describe("updateProductController", () => {
       expect.objectContaining({ success: false, message: "Error in Updating Product" })
     );
   });
+
+  test("keeps the photo and held units of variants that stay", async () => {
+    const photo = { data: Buffer.from("s"), contentType: "image/png" };
+    productModel.findById.mockReturnValueOnce(
+      makeQuery({ variants: [{ _id: "65f000000000000000000001", reserved: 2, photo }] })
+    );
+    slugify.mockReturnValueOnce("tee");
+    const docSave = jest.fn().mockResolvedValueOnce(undefined);
+    productModel.findByIdAndUpdate.mockResolvedValueOnce({ photo: {}, save: docSave });
+    const req = {
+      params: { pid: "p1" },
+      fields: {
+        name: "Tee",
+        description: "d",
+        price: 20,
+        category: "c",
+        quantity: "",
+        options: JSON.stringify([{ name: "Size", values: ["S", "M"] }]),
+        variants: JSON.stringify([
+          { _id: "65f000000000000000000001", sku: "TEE-S", options: [{ name: "Size", value: "S" }], quantity: 4 },
+          { sku: "TEE-M", options: [{ name: "Size", value: "M" }], quantity: 1 },
+        ]),
+      },
+      files: {},
+    };
+    const res = makeRes();
+
+    await updateProductController(req, res);
+
+    const [, update] = productModel.findByIdAndUpdate.mock.calls[0];
+    expect(update.variants[0]).toEqual(
+      expect.objectContaining({ _id: "65f000000000000000000001", reserved: 2, photo })
+    );
+    expect(update.variants[1]).toEqual(expect.objectContaining({ sku: "TEE-M", reserved: 0 }));
+    expect(update.quantity).toBe(5);
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  test("leaves the variants alone when the form sends none", async () => {
+    slugify.mockReturnValueOnce("new");
+    productModel.findByIdAndUpdate.mockResolvedValueOnce({ photo: {}, save: jest.fn() });
+    const req = {
+      params: { pid: "p1" },
+      fields: { name: "New", description: "d", price: 10, category: "c", quantity: 1 },
+      files: {},
+    };
+
+    await updateProductController(req, makeRes());
+
+    expect(productModel.findById).not.toHaveBeenCalled();
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      "p1",
+      { ...req.fields, categoryName: "", slug: "new" },
+      { new: true }
+    );
+  });
 });
 
 // Shivangi Kamat, A0319665R
@@ -721,3 +1355,544 @@ describe("deleteProductController", () => {
     expect(res.status).toHaveBeenCalledWith(500);
   });
 });
+
+describe("productImageController", () => {
+  const images = [
+    { _id: "i1", original: "f1" },
+    { _id: "i2", original: "f2", medium: "m2" },
+  ];
+
+  it("sends the image asked for, at its original size by default", async () => {
+    const query = makeQuery({ images });
+    productModel.findById.mockReturnValueOnce(query);
+    const res = makeRes();
+
+    await productImageController(makeReq({ params: { pid: "p1", imageId: "i2" } }), res);
+
+    expect(productModel.findById).toHaveBeenCalledWith("p1");
+    expect(query.select).toHaveBeenCalledWith("images");
+    expect(sendImage).toHaveBeenCalledWith(res, images[1], "original", expect.any(Object));
+  });
+
+  it("sends the size asked for", async () => {
+    productModel.findById.mockReturnValueOnce(makeQuery({ images }));
+    const res = makeRes();
+
+    await productImageController(
+      makeReq({ params: { pid: "p1", imageId: "i2" }, query: { size: "medium" } }),
+      res
+    );
+
+    expect(sendImage).toHaveBeenCalledWith(res, images[1], "medium", expect.any(Object));
+  });
+
+  it.each([
+    ["an image the product does not have", { images }],
+    ["a missing product", null],
+  ])("answers 404 for %s", async (label, product) => {
+    productModel.findById.mockReturnValueOnce(makeQuery(product));
+    const res = makeRes();
+
+    await productImageController(makeReq({ params: { pid: "p1", imageId: "i9" } }), res);
+
+    expect(sendImage).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message: "Image Not Found" });
+  });
+
+  it("turns down an unknown size", async () => {
+    const res = makeRes();
+
+    await productImageController(
+      makeReq({ params: { pid: "p1", imageId: "i1" }, query: { size: "tiny" } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it("answers 500 when the lookup fails", async () => {
+    productModel.findById.mockImplementationOnce(() => {
+      throw new Error("boom");
+    });
+    const res = makeRes();
+
+    await productImageController(makeReq({ params: { pid: "p1", imageId: "i1" } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ success: false, message: "Error while Fetching Photo" })
+    );
+  });
+});
+
+describe("product image galleries", () => {
+  const fields = {
+    name: "Lamp",
+    description: "A desk lamp",
+    price: "30",
+    category: "c",
+    quantity: "2",
+  };
+  const file = (name) => ({ name, type: "image/png", size: 100, path: `/tmp/${name}` });
+  const renditions = { thumbnail: Buffer.from("t"), medium: Buffer.from("m"), contentType: "image/png" };
+  const stored = (name) => ({
+    alt: "",
+    contentType: "image/png",
+    original: `${name}-o`,
+    medium: `${name}-m`,
+    thumbnail: `${name}-t`,
+  });
+
+  beforeEach(() => {
+    slugify.mockReturnValue("lamp");
+    fs.readFileSync.mockImplementation((path) => Buffer.from(path));
+    makeRenditions.mockResolvedValue(renditions);
+    saveImage.mockImplementation(async (buffer, r, { name, alt }) => ({
+      ...stored(name),
+      alt,
+    }));
+    removeImageFiles.mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    slugify.mockReset();
+    fs.readFileSync.mockReset();
+    makeRenditions.mockReset();
+    saveImage.mockReset();
+    removeImageFiles.mockReset();
+  });
+
+  describe("on create", () => {
+    test("stores each upload with its renditions in the order given", async () => {
+      productModel.__mockCtorSave.mockResolvedValueOnce(undefined);
+      const res = makeRes();
+
+      await createProductController(
+        makeReq({
+          fields: {
+            ...fields,
+            images: JSON.stringify([
+              { upload: 1, alt: "Lit" },
+              { upload: 0, alt: "Off" },
+            ]),
+          },
+          files: { image0: file("off.png"), image1: file("lit.png") },
+        }),
+        res
+      );
+
+      expect(makeRenditions).toHaveBeenCalledWith(Buffer.from("/tmp/lit.png"));
+      expect(saveImage).toHaveBeenCalledWith(Buffer.from("/tmp/lit.png"), renditions, {
+        name: "lit.png",
+        contentType: "image/png",
+        alt: "Lit",
+      });
+      expect(productModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          images: [
+            { ...stored("lit.png"), alt: "Lit" },
+            { ...stored("off.png"), alt: "Off" },
+          ],
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(removeImageFiles).not.toHaveBeenCalled();
+    });
+
+    test("leaves the gallery out when the form sends none", async () => {
+      productModel.__mockCtorSave.mockResolvedValueOnce(undefined);
+
+      await createProductController(makeReq({ fields }), makeRes());
+
+      expect(productModel.mock.calls[0][0]).not.toHaveProperty("images");
+      expect(saveImage).not.toHaveBeenCalled();
+    });
+
+    test("turns down a gallery that does not check out", async () => {
+      const res = makeRes();
+
+      await createProductController(
+        makeReq({
+          fields: { ...fields, images: JSON.stringify([{ upload: 0 }]) },
+          files: { image0: { ...file("notes.txt"), type: "text/plain" } },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: "notes.txt is not a JPEG, PNG, WebP or GIF image" });
+      expect(productModel).not.toHaveBeenCalled();
+    });
+
+    test("turns down a file that cannot be read as an image, removing those stored", async () => {
+      makeRenditions
+        .mockResolvedValueOnce(renditions)
+        .mockRejectedValueOnce(new Error("unsupported image format"));
+      const res = makeRes();
+
+      await createProductController(
+        makeReq({
+          fields: { ...fields, images: JSON.stringify([{ upload: 0 }, { upload: 1 }]) },
+          files: { image0: file("a.png"), image1: file("broken.png") },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        error: "broken.png could not be read as an image",
+      });
+      expect(removeImageFiles).toHaveBeenCalledWith([stored("a.png")]);
+      expect(productModel).not.toHaveBeenCalled();
+    });
+
+    test("removes the stored images when the product cannot be saved", async () => {
+      productModel.__mockCtorSave.mockRejectedValueOnce(new Error("db down"));
+      const res = makeRes();
+
+      await createProductController(
+        makeReq({
+          fields: { ...fields, images: JSON.stringify([{ upload: 0 }]) },
+          files: { image0: file("a.png") },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(removeImageFiles).toHaveBeenCalledWith([stored("a.png")]);
+    });
+  });
+
+  describe("on update", () => {
+    const front = { _id: "i1", alt: "Front", contentType: "image/png", original: "f1" };
+    const back = { _id: "i2", alt: "Back", contentType: "image/png", original: "f2" };
+
+    test("reorders and relabels kept images, adds uploads and removes the rest", async () => {
+      const query = makeQuery({ variants: [], images: [front, back] });
+      productModel.findById.mockReturnValueOnce(query);
+      const docSave = jest.fn().mockResolvedValueOnce(undefined);
+      productModel.findByIdAndUpdate.mockResolvedValueOnce({ photo: {}, save: docSave });
+      const res = makeRes();
+
+      await updateProductController(
+        makeReq({
+          params: { pid: "p1" },
+          fields: {
+            ...fields,
+            images: JSON.stringify([
+              { upload: 0, alt: "Side" },
+              { _id: "i1", alt: "Front view" },
+            ]),
+          },
+          files: { image0: file("side.png") },
+        }),
+        res
+      );
+
+      expect(query.select).toHaveBeenCalledWith("variants images");
+      const [, update] = productModel.findByIdAndUpdate.mock.calls[0];
+      expect(update.images).toEqual([
+        { ...stored("side.png"), alt: "Side" },
+        { ...front, alt: "Front view" },
+      ]);
+      expect(removeImageFiles).toHaveBeenCalledTimes(1);
+      expect(removeImageFiles).toHaveBeenCalledWith([back]);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("answers 400 for an image the product does not have", async () => {
+      productModel.findById.mockReturnValueOnce(makeQuery({ images: [front] }));
+      const res = makeRes();
+
+      await updateProductController(
+        makeReq({
+          params: { pid: "p1" },
+          fields: { ...fields, images: JSON.stringify([{ _id: "i9" }]) },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ error: "Image not found" });
+      expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("keeps the old images and drops the new ones when the update fails", async () => {
+      productModel.findById.mockReturnValueOnce(makeQuery({ images: [front] }));
+      productModel.findByIdAndUpdate.mockRejectedValueOnce(new Error("db down"));
+      const res = makeRes();
+
+      await updateProductController(
+        makeReq({
+          params: { pid: "p1" },
+          fields: { ...fields, images: JSON.stringify([{ upload: 0 }]) },
+          files: { image0: file("new.png") },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(removeImageFiles).toHaveBeenCalledTimes(1);
+      expect(removeImageFiles).toHaveBeenCalledWith([stored("new.png")]);
+    });
+
+    test("still answers 201 when old files cannot be removed", async () => {
+      productModel.findById.mockReturnValueOnce(makeQuery({ images: [front] }));
+      productModel.findByIdAndUpdate.mockResolvedValueOnce({ photo: {}, save: jest.fn() });
+      removeImageFiles.mockRejectedValueOnce(new Error("gridfs down"));
+      const res = makeRes();
+
+      await updateProductController(
+        makeReq({ params: { pid: "p1" }, fields: { ...fields, images: "[]" } }),
+        res
+      );
+
+      expect(removeImageFiles).toHaveBeenCalledWith([front]);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  test("deleting a product removes its gallery files", async () => {
+    const images = [{ _id: "i1", original: "f1" }];
+    productModel.findByIdAndDelete.mockReturnValueOnce({
+      select: jest.fn().mockResolvedValueOnce({ images }),
+    });
+    const res = makeRes();
+
+    await deleteProductController(makeReq({ params: { pid: "p1" } }), res);
+
+    expect(removeImageFiles).toHaveBeenCalledWith(images);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe("HTTP caching", () => {
+  const updatedAt = new Date("2024-05-01T08:00:00.000Z");
+  const version = String(updatedAt.getTime());
+  const lamp = { _id: "p1", name: "Lamp", quantity: 2, updatedAt };
+
+  const etagOf = (res) => res.set.mock.calls.find(([h]) => typeof h === "object")[0].ETag;
+
+  describe("catalog reads", () => {
+    it("keeps the latest products in the catalog cache until a product is written", async () => {
+      productModel.find.mockReturnValue(makeQuery([lamp]));
+
+      await getProductController(makeReq(), makeRes());
+      await getProductController(makeReq(), makeRes());
+      expect(productModel.find).toHaveBeenCalledTimes(1);
+
+      slugify.mockReturnValueOnce("desk");
+      productModel.__mockCtorSave.mockResolvedValueOnce(undefined);
+      await createProductController(
+        makeReq({
+          fields: { name: "Desk", description: "d", price: "9", category: "c", quantity: "1" },
+        }),
+        makeRes()
+      );
+      await getProductController(makeReq(), makeRes());
+      expect(productModel.find).toHaveBeenCalledTimes(2);
+    });
+
+    it.each([
+      ["updated", () => {
+        productModel.findByIdAndUpdate.mockResolvedValueOnce({ photo: {}, save: jest.fn() });
+        return updateProductController(
+          makeReq({
+            params: { pid: "p1" },
+            fields: { name: "Lamp", description: "d", price: "9", category: "c", quantity: "1" },
+          }),
+          makeRes()
+        );
+      }],
+      ["deleted", () => {
+        productModel.findByIdAndDelete.mockReturnValueOnce(makeQuery(lamp));
+        return deleteProductController(makeReq({ params: { pid: "p1" } }), makeRes());
+      }],
+    ])("reads a product afresh once it is %s", async (label, write) => {
+      productModel.findOne.mockReturnValue(makeQuery(lamp));
+      const read = () =>
+        getSingleProductController(makeReq({ params: { slug: "lamp" } }), makeRes());
+
+      await read();
+      await read();
+      expect(productModel.findOne).toHaveBeenCalledTimes(1);
+
+      await write();
+      await read();
+      expect(productModel.findOne).toHaveBeenCalledTimes(2);
+    });
+
+    it("sends validators from the products' update times", async () => {
+      productModel.find.mockReturnValue(makeQuery([lamp]));
+      const res = makeRes();
+
+      await getProductController(makeReq(), res);
+
+      expect(res.set).toHaveBeenCalledWith({
+        "Cache-Control": "no-cache",
+        ETag: expect.stringMatching(/^W\//),
+        "Last-Modified": updatedAt.toUTCString(),
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("answers 304 when the client has the current listing", async () => {
+      productModel.find.mockReturnValue(makeQuery([lamp]));
+      const first = makeRes();
+      await getProductController(makeReq(), first);
+      const res = makeRes();
+
+      await getProductController(
+        makeReq({ headers: { "if-none-match": etagOf(first) } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.end).toHaveBeenCalled();
+      expect(res.send).not.toHaveBeenCalled();
+    });
+
+    it("answers 304 for a product page not modified since", async () => {
+      productModel.findOne.mockReturnValue(makeQuery(lamp));
+      const res = makeRes();
+
+      await getSingleProductController(
+        makeReq({
+          params: { slug: "lamp" },
+          headers: { "if-modified-since": updatedAt.toUTCString() },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(304);
+    });
+
+    it("caches each page and sort of the product list on its own", async () => {
+      productModel.find.mockReturnValue(makeQuery([lamp]));
+      const list = (page, query = {}) =>
+        productListController(makeReq({ params: { page }, query }), makeRes());
+
+      await list("1");
+      await list("1");
+      await list("2");
+      await list("1", { sort: "rating" });
+
+      expect(productModel.find).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe("photos", () => {
+    const photoProduct = {
+      _id: "p1",
+      updatedAt,
+      photo: { data: Buffer.from("p"), contentType: "image/png" },
+    };
+
+    it("keeps a photo for a year under its current version", async () => {
+      productModel.findById.mockReturnValue(makeQuery(photoProduct));
+      const res = makeRes();
+
+      await productPhotoController(
+        makeReq({ params: { pid: "p1" }, query: { v: version } }),
+        res
+      );
+
+      expect(res.set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          "Cache-Control": "public, max-age=31536000, immutable",
+          "Last-Modified": updatedAt.toUTCString(),
+        })
+      );
+      expect(res.send).toHaveBeenCalledWith(photoProduct.photo.data);
+    });
+
+    it("has the browser check back for a photo under an old or no version", async () => {
+      productModel.findById.mockReturnValue(makeQuery(photoProduct));
+      const res = makeRes();
+
+      await productPhotoController(
+        makeReq({ params: { pid: "p1" }, query: { v: "12345" } }),
+        res
+      );
+
+      expect(res.set).toHaveBeenCalledWith(
+        expect.objectContaining({ "Cache-Control": "no-cache" })
+      );
+    });
+
+    it("answers 304 for a photo the client has, without sending it", async () => {
+      productModel.findById.mockReturnValue(makeQuery(photoProduct));
+      const first = makeRes();
+      await productPhotoController(makeReq({ params: { pid: "p1" } }), first);
+      const res = makeRes();
+
+      await productPhotoController(
+        makeReq({ params: { pid: "p1" }, headers: { "if-none-match": etagOf(first) } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+
+    it("tags each size of a gallery photo apart and passes the headers on", async () => {
+      productModel.findById.mockReturnValue(
+        makeQuery({ _id: "p1", updatedAt, images: [{ _id: "i1", original: "f1" }] })
+      );
+      const thumbnail = makeRes();
+      const medium = makeRes();
+
+      await productPhotoController(
+        makeReq({ params: { pid: "p1" }, query: { size: "thumbnail" } }),
+        thumbnail
+      );
+      await productPhotoController(
+        makeReq({ params: { pid: "p1" }, query: { size: "medium" } }),
+        medium
+      );
+
+      const [[, , , thumbnailHeaders], [, , , mediumHeaders]] = sendImage.mock.calls;
+      expect(thumbnailHeaders.ETag).not.toBe(mediumHeaders.ETag);
+      expect(thumbnail.set).not.toHaveBeenCalled();
+    });
+
+    it("keeps gallery images for a year, since their files never change", async () => {
+      productModel.findById.mockReturnValue(
+        makeQuery({ images: [{ _id: "i1", original: "f1" }] })
+      );
+      const res = makeRes();
+
+      await productImageController(makeReq({ params: { pid: "p1", imageId: "i1" } }), res);
+
+      expect(sendImage.mock.calls[0][3]).toMatchObject({
+        "Cache-Control": "public, max-age=31536000, immutable",
+      });
+    });
+
+    it("answers 304 for a variant photo the client has", async () => {
+      productModel.findById.mockReturnValue(
+        makeQuery({
+          updatedAt,
+          variants: [{ _id: "v1", photo: { data: Buffer.from("v"), contentType: "image/png" } }],
+        })
+      );
+      const res = makeRes();
+
+      await variantPhotoController(
+        makeReq({
+          params: { pid: "p1", vid: "v1" },
+          query: { v: version },
+          headers: { "if-modified-since": updatedAt.toUTCString() },
+        }),
+        res
+      );
+
+      expect(res.set).toHaveBeenCalledWith(
+        expect.objectContaining({ "Cache-Control": "public, max-age=31536000, immutable" })
+      );
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,204 @@
+import mongoose from "mongoose";
+import promotionModel from "../models/promotionModel.js";
+import { isCartItems, pricedCartLines } from "../helpers/cartHelper.js";
+import { cartPromotions, promotionsTotal } from "../helpers/promotionHelper.js";
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+const isCount = (value) => Number.isInteger(value) && value >= 1;
+
+const readDate = (value) => (isBlank(value) ? null : new Date(value));
+
+// check and tidy what the admin sent; fields that belong to the other
+// promotion types are cleared so a changed type leaves nothing behind
+const readPromotionFields = (body) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) return { error: "Name is required" };
+  const fields = {
+    name,
+    type: body.type,
+    category: null,
+    buy: null,
+    free: null,
+    products: [],
+    bundlePrice: null,
+    product: null,
+    tiers: [],
+    startsAt: readDate(body.startsAt),
+    endsAt: readDate(body.endsAt),
+    active: body.active === undefined ? true : Boolean(body.active),
+  };
+  if ([fields.startsAt, fields.endsAt].some((date) => date && Number.isNaN(date.getTime()))) {
+    return { error: "Invalid dates" };
+  }
+  if (fields.startsAt && fields.endsAt && fields.endsAt <= fields.startsAt) {
+    return { error: "The promotion must end after it starts" };
+  }
+  if (body.type === "buyXGetY") {
+    fields.buy = Number(body.buy);
+    fields.free = Number(body.free);
+    if (!mongoose.isValidObjectId(body.category)) return { error: "Invalid category" };
+    if (!isCount(fields.buy) || !isCount(fields.free)) {
+      return { error: "Buy and free quantities must be whole numbers of at least 1" };
+    }
+    fields.category = body.category;
+  } else if (body.type === "bundle") {
+    const products = Array.isArray(body.products) ? [...new Set(body.products.map(String))] : [];
+    if (products.length < 2 || !products.every((id) => mongoose.isValidObjectId(id))) {
+      return { error: "A bundle needs at least two products" };
+    }
+    fields.products = products;
+    fields.bundlePrice = Number(body.bundlePrice);
+    if (isBlank(body.bundlePrice) || !(fields.bundlePrice >= 0)) {
+      return { error: "Invalid bundle price" };
+    }
+  } else if (body.type === "volume") {
+    if (!mongoose.isValidObjectId(body.product)) return { error: "Invalid product" };
+    const tiers = Array.isArray(body.tiers)
+      ? body.tiers.map((tier) => ({
+          minQuantity: Number(tier?.minQuantity),
+          price: Number(tier?.price),
+        }))
+      : [];
+    const validTiers =
+      tiers.length > 0 &&
+      tiers.every((tier) => Number.isInteger(tier.minQuantity) && tier.minQuantity >= 2 && tier.price >= 0);
+    if (!validTiers) {
+      return { error: "Tiers need a quantity of at least 2 and a price" };
+    }
+    fields.product = body.product;
+    fields.tiers = tiers;
+  } else {
+    return { error: "Type must be buyXGetY, bundle or volume" };
+  }
+  return { fields };
+};
+
+//create promotion
+export const createPromotionController = async (req, res) => {
+  try {
+    const { error, fields } = readPromotionFields(req.body);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    const promotion = await promotionModel.create(fields);
+    res.status(201).send({
+      success: true,
+      message: "Promotion created",
+      promotion,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while creating promotion",
+      error,
+    });
+  }
+};
+
+//update promotion
+export const updatePromotionController = async (req, res) => {
+  try {
+    const { error, fields } = readPromotionFields(req.body);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    const promotion = await promotionModel.findByIdAndUpdate(req.params.id, fields, {
+      new: true,
+    });
+    if (!promotion) {
+      return res.status(404).send({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Promotion updated",
+      promotion,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating promotion",
+      error,
+    });
+  }
+};
+
+//all promotions, in the order they are applied
+export const getPromotionsController = async (req, res) => {
+  try {
+    const promotions = await promotionModel.find({}).sort({ createdAt: 1 });
+    res.status(200).send({
+      success: true,
+      promotions,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting promotions",
+      error,
+    });
+  }
+};
+
+//delete promotion
+export const deletePromotionController = async (req, res) => {
+  try {
+    const promotion = await promotionModel.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return res.status(404).send({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Promotion deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting promotion",
+      error,
+    });
+  }
+};
+
+//the promotions a cart gets, priced like the payment will be
+export const cartPromotionsController = async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!isCartItems(items)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid cart items",
+      });
+    }
+    const lines = (await pricedCartLines(items, "category")).map((line) => ({
+      product: line.product._id,
+      variant: line.variant?._id,
+      category: line.product.category,
+      price: line.price,
+      quantity: line.quantity,
+    }));
+    const promotions = await cartPromotions(lines);
+    res.status(200).send({
+      success: true,
+      promotions,
+      discount: promotionsTotal(promotions),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while checking promotions",
+      error,
+    });
+  }
+};
@@ -0,0 +1,378 @@
+import promotionModel from '../models/promotionModel.js';
+import productModel from '../models/productModel.js';
+import {
+  cartPromotionsController,
+  createPromotionController,
+  deletePromotionController,
+  getPromotionsController,
+  updatePromotionController,
+} from './promotionController.js';
+
+jest.mock('../models/promotionModel.js', () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(),
+    create: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    findByIdAndDelete: jest.fn(),
+  },
+}));
+
+jest.mock('../models/productModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+
+const DESK_ID = '64b7f0c2a1b2c3d4e5f60718';
+const CHAIR_ID = '64b7f0c2a1b2c3d4e5f60719';
+const CATEGORY_ID = '64b7f0c2a1b2c3d4e5f60720';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  user: { _id: 'admin1' },
+  ...overrides,
+});
+
+const cleared = {
+  category: null,
+  buy: null,
+  free: null,
+  products: [],
+  bundlePrice: null,
+  product: null,
+  tiers: [],
+  startsAt: null,
+  endsAt: null,
+  active: true,
+};
+
+describe('promotionController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('createPromotionController', () => {
+    it('stores a buy X get Y promotion', async () => {
+      promotionModel.create.mockResolvedValue({ _id: 'p1' });
+      const res = mockResponse();
+
+      await createPromotionController(
+        mockRequest({
+          body: { name: ' 3 for 2 ', type: 'buyXGetY', category: CATEGORY_ID, buy: '2', free: '1', products: [DESK_ID] },
+        }),
+        res,
+      );
+
+      expect(promotionModel.create).toHaveBeenCalledWith({
+        ...cleared,
+        name: '3 for 2',
+        type: 'buyXGetY',
+        category: CATEGORY_ID,
+        buy: 2,
+        free: 1,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Promotion created', promotion: { _id: 'p1' } });
+    });
+
+    it('stores a bundle without duplicate products', async () => {
+      promotionModel.create.mockResolvedValue({});
+      const res = mockResponse();
+
+      await createPromotionController(
+        mockRequest({
+          body: { name: 'Desk set', type: 'bundle', products: [DESK_ID, CHAIR_ID, DESK_ID], bundlePrice: 250 },
+        }),
+        res,
+      );
+
+      expect(promotionModel.create).toHaveBeenCalledWith({
+        ...cleared,
+        name: 'Desk set',
+        type: 'bundle',
+        products: [DESK_ID, CHAIR_ID],
+        bundlePrice: 250,
+      });
+    });
+
+    it('stores volume tiers', async () => {
+      promotionModel.create.mockResolvedValue({});
+      const res = mockResponse();
+
+      await createPromotionController(
+        mockRequest({
+          body: {
+            name: 'Bulk desks',
+            type: 'volume',
+            product: DESK_ID,
+            tiers: [{ minQuantity: '5', price: '180' }],
+            startsAt: '2026-01-01',
+            endsAt: '2026-02-01',
+            active: false,
+          },
+        }),
+        res,
+      );
+
+      expect(promotionModel.create).toHaveBeenCalledWith({
+        ...cleared,
+        name: 'Bulk desks',
+        type: 'volume',
+        product: DESK_ID,
+        tiers: [{ minQuantity: 5, price: 180 }],
+        startsAt: new Date('2026-01-01'),
+        endsAt: new Date('2026-02-01'),
+        active: false,
+      });
+    });
+
+    it.each([
+      [{ name: '' }, 'Name is required'],
+      [{ type: 'mystery' }, 'Type must be buyXGetY, bundle or volume'],
+      [{ category: 'nope' }, 'Invalid category'],
+      [{ free: 0 }, 'Buy and free quantities must be whole numbers of at least 1'],
+      [{ startsAt: 'soon' }, 'Invalid dates'],
+      [{ startsAt: '2026-02-01', endsAt: '2026-01-01' }, 'The promotion must end after it starts'],
+      [{ type: 'bundle', products: [DESK_ID], bundlePrice: 10 }, 'A bundle needs at least two products'],
+      [{ type: 'bundle', products: [DESK_ID, CHAIR_ID] }, 'Invalid bundle price'],
+      [{ type: 'volume', product: 'x' }, 'Invalid product'],
+      [{ type: 'volume', product: DESK_ID, tiers: [{ minQuantity: 1, price: 5 }] }, 'Tiers need a quantity of at least 2 and a price'],
+    ])('rejects %p', async (change, message) => {
+      const res = mockResponse();
+
+      await createPromotionController(
+        mockRequest({
+          body: { name: '3 for 2', type: 'buyXGetY', category: CATEGORY_ID, buy: 2, free: 1, ...change },
+        }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    });
+
+    it('returns 500 when saving fails', async () => {
+      promotionModel.create.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await createPromotionController(
+        mockRequest({ body: { name: 'x', type: 'buyXGetY', category: CATEGORY_ID, buy: 1, free: 1 } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('updatePromotionController', () => {
+    const body = { name: 'Desk set', type: 'bundle', products: [DESK_ID, CHAIR_ID], bundlePrice: 250 };
+
+    it('replaces the rule, clearing fields of other types', async () => {
+      promotionModel.findByIdAndUpdate.mockResolvedValue({ _id: 'p1' });
+      const res = mockResponse();
+
+      await updatePromotionController(mockRequest({ params: { id: 'p1' }, body }), res);
+
+      expect(promotionModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        'p1',
+        expect.objectContaining({ category: null, tiers: [], bundlePrice: 250 }),
+        { new: true },
+      );
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Promotion updated', promotion: { _id: 'p1' } });
+    });
+
+    it('returns 404 for an unknown promotion', async () => {
+      promotionModel.findByIdAndUpdate.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await updatePromotionController(mockRequest({ params: { id: 'p1' }, body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('rejects invalid fields', async () => {
+      const res = mockResponse();
+
+      await updatePromotionController(mockRequest({ params: { id: 'p1' }, body: { ...body, name: '' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(promotionModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when saving fails', async () => {
+      promotionModel.findByIdAndUpdate.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await updatePromotionController(mockRequest({ params: { id: 'p1' }, body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getPromotionsController', () => {
+    it('lists promotions in the order they are applied', async () => {
+      const sort = jest.fn().mockResolvedValue([{ name: 'A' }]);
+      promotionModel.find.mockReturnValue({ sort });
+      const res = mockResponse();
+
+      await getPromotionsController(mockRequest(), res);
+
+      expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+      expect(res.send).toHaveBeenCalledWith({ success: true, promotions: [{ name: 'A' }] });
+    });
+
+    it('returns 500 on a database error', async () => {
+      promotionModel.find.mockImplementation(() => {
+        throw new Error('db down');
+      });
+      const res = mockResponse();
+
+      await getPromotionsController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deletePromotionController', () => {
+    it('deletes the promotion', async () => {
+      promotionModel.findByIdAndDelete.mockResolvedValue({ _id: 'p1' });
+      const res = mockResponse();
+
+      await deletePromotionController(mockRequest({ params: { id: 'p1' } }), res);
+
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Promotion deleted' });
+    });
+
+    it('returns 404 for an unknown promotion', async () => {
+      promotionModel.findByIdAndDelete.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await deletePromotionController(mockRequest({ params: { id: 'p1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 on a database error', async () => {
+      promotionModel.findByIdAndDelete.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await deletePromotionController(mockRequest({ params: { id: 'p1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('cartPromotionsController', () => {
+    const items = [
+      { productId: DESK_ID, quantity: 1 },
+      { productId: CHAIR_ID, quantity: 1 },
+    ];
+
+    beforeEach(() => {
+      productModel.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: DESK_ID, price: 200, category: CATEGORY_ID },
+          { _id: CHAIR_ID, price: 80, category: CATEGORY_ID },
+        ]),
+      });
+      promotionModel.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          { _id: 'p1', name: 'Desk set', type: 'bundle', products: [DESK_ID, CHAIR_ID], bundlePrice: 250 },
+        ]),
+      });
+    });
+
+    it('returns the promotions the cart gets at current prices', async () => {
+      const res = mockResponse();
+
+      await cartPromotionsController(mockRequest({ body: { items } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        promotions: [{ promotion: 'p1', name: 'Desk set', amount: 30 }],
+        discount: 30,
+      });
+    });
+
+    it('counts the variants of a product together', async () => {
+      const SMALL_ID = '64b7f0c2a1b2c3d4e5f60721';
+      const MEDIUM_ID = '64b7f0c2a1b2c3d4e5f60722';
+      productModel.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          {
+            _id: DESK_ID,
+            price: 10,
+            category: CATEGORY_ID,
+            variants: [{ _id: SMALL_ID }, { _id: MEDIUM_ID }],
+          },
+        ]),
+      });
+      promotionModel.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          { _id: 'p2', name: 'Buy 2 get 1', type: 'buyXGetY', category: CATEGORY_ID, buy: 2, free: 1 },
+        ]),
+      });
+      const res = mockResponse();
+
+      await cartPromotionsController(
+        mockRequest({
+          body: {
+            items: [
+              { productId: DESK_ID, variantId: SMALL_ID, quantity: 2 },
+              { productId: DESK_ID, variantId: MEDIUM_ID, quantity: 1 },
+            ],
+          },
+        }),
+        res,
+      );
+
+      expect(res.send).toHaveBeenCalledWith(expect.objectContaining({ discount: 10 }));
+    });
+
+    it('rejects malformed cart items', async () => {
+      const res = mockResponse();
+
+      await cartPromotionsController(mockRequest({ body: { items: [{ productId: DESK_ID, quantity: 0 }] } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Invalid cart items' });
+    });
+
+    it('rejects a variant id that is not one', async () => {
+      const res = mockResponse();
+
+      await cartPromotionsController(
+        mockRequest({ body: { items: [{ productId: DESK_ID, variantId: 'v1', quantity: 1 }] } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(productModel.find).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 on a database error', async () => {
+      productModel.find.mockImplementation(() => {
+        throw new Error('db down');
+      });
+      const res = mockResponse();
+
+      await cartPromotionsController(mockRequest({ body: { items } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,254 @@
+import mongoose from "mongoose";
+import productModel from "../models/productModel.js";
+import questionModel from "../models/questionModel.js";
+import { answerRole } from "../helpers/questionHelper.js";
+
+// check and tidy a question or answer the user sent
+const readText = (body, label, max) => {
+  const text = typeof body.body === "string" ? body.body.trim() : "";
+  if (!text) return { error: `${label} is required` };
+  if (text.length > max) {
+    return { error: `${label} must be ${max} characters or fewer` };
+  }
+  return { text };
+};
+
+// the most upvoted answers first, older answers breaking a tie
+const withRankedAnswers = (question) => {
+  const doc =
+    typeof question.toObject === "function" ? question.toObject() : question;
+  return {
+    ...doc,
+    answers: [...(doc.answers || [])].sort(
+      (a, b) =>
+        (b.upvotes?.length || 0) - (a.upvotes?.length || 0) ||
+        new Date(a.createdAt) - new Date(b.createdAt)
+    ),
+  };
+};
+
+//questions about a product and their answers, newest question first
+export const getProductQuestionsController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.isValidObjectId(pid)) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    const questions = await questionModel
+      .find({ product: pid })
+      .populate("user", "name")
+      .populate("answers.user", "name")
+      .sort({ createdAt: -1 });
+    res.status(200).send({
+      success: true,
+      questions: questions.map(withRankedAnswers),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting questions",
+      error,
+    });
+  }
+};
+
+//ask a question about a product
+export const askQuestionController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    const { error, text } = readText(req.body, "Question", 1000);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    if (!mongoose.isValidObjectId(pid) || !(await productModel.exists({ _id: pid }))) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    const question = await questionModel.create({
+      product: pid,
+      user: req.user._id,
+      body: text,
+    });
+    res.status(201).send({
+      success: true,
+      message: "Question posted",
+      question,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while posting question",
+      error,
+    });
+  }
+};
+
+//whether the signed-in user may answer questions about a product
+export const canAnswerController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.isValidObjectId(pid)) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    const role = await answerRole(req.user._id, pid);
+    res.status(200).send({
+      success: true,
+      canAnswer: Boolean(role),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while checking who can answer",
+      error,
+    });
+  }
+};
+
+//answer a question, as an admin or a buyer of the product
+export const answerQuestionController = async (req, res) => {
+  try {
+    const { qid } = req.params;
+    const { error, text } = readText(req.body, "Answer", 2000);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    const question = mongoose.isValidObjectId(qid)
+      ? await questionModel.findById(qid).select("product")
+      : null;
+    if (!question) {
+      return res.status(404).send({
+        success: false,
+        message: "Question not found",
+      });
+    }
+    const role = await answerRole(req.user._id, question.product);
+    if (!role) {
+      return res.status(403).send({
+        success: false,
+        message: "Only admins and customers who bought this product can answer",
+      });
+    }
+    const updated = await questionModel
+      .findByIdAndUpdate(
+        qid,
+        { $push: { answers: { user: req.user._id, body: text, role } } },
+        { new: true, runValidators: true }
+      )
+      .populate("user", "name")
+      .populate("answers.user", "name");
+    res.status(201).send({
+      success: true,
+      message: "Answer posted",
+      question: withRankedAnswers(updated),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while posting answer",
+      error,
+    });
+  }
+};
+
+//upvote an answer, or take the upvote back
+export const upvoteAnswerController = async (req, res) => {
+  try {
+    const { qid, aid } = req.params;
+    const question =
+      mongoose.isValidObjectId(qid) && mongoose.isValidObjectId(aid)
+        ? await questionModel.findOne({ _id: qid, "answers._id": aid })
+        : null;
+    const answer = question?.answers.id(aid);
+    if (!answer) {
+      return res.status(404).send({
+        success: false,
+        message: "Answer not found",
+      });
+    }
+    const userId = String(req.user._id);
+    if (String(answer.user) === userId) {
+      return res.status(400).send({
+        success: false,
+        message: "You cannot upvote your own answer",
+      });
+    }
+    const upvoted = !answer.upvotes.some((id) => String(id) === userId);
+    const updated = await questionModel.findOneAndUpdate(
+      { _id: qid, "answers._id": aid },
+      upvoted
+        ? { $addToSet: { "answers.$.upvotes": req.user._id } }
+        : { $pull: { "answers.$.upvotes": req.user._id } },
+      { new: true }
+    );
+    res.status(200).send({
+      success: true,
+      upvoted,
+      upvotes: updated.answers.id(aid).upvotes.length,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while upvoting answer",
+      error,
+    });
+  }
+};
+
+//questions nobody has answered yet, oldest first
+export const unansweredQuestionsController = async (req, res) => {
+  try {
+    const questions = await questionModel
+      .find({ "answers.0": { $exists: false } })
+      .populate("product", "name slug")
+      .populate("user", "name")
+      .sort({ createdAt: 1 });
+    res.status(200).send({
+      success: true,
+      questions,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting unanswered questions",
+      error,
+    });
+  }
+};
+
+//delete question
+export const deleteQuestionController = async (req, res) => {
+  try {
+    const question = await questionModel.findByIdAndDelete(req.params.id);
+    if (!question) {
+      return res.status(404).send({
+        success: false,
+        message: "Question not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Question deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting question",
+      error,
+    });
+  }
+};
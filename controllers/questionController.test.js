@@ -0,0 +1,412 @@
+import productModel from '../models/productModel.js';
+import questionModel from '../models/questionModel.js';
+import { answerRole } from '../helpers/questionHelper.js';
+import {
+  answerQuestionController,
+  askQuestionController,
+  canAnswerController,
+  deleteQuestionController,
+  getProductQuestionsController,
+  unansweredQuestionsController,
+  upvoteAnswerController,
+} from './questionController.js';
+
+jest.mock('../models/productModel.js', () => ({
+  __esModule: true,
+  default: { exists: jest.fn() },
+}));
+
+jest.mock('../models/questionModel.js', () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(),
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    findByIdAndDelete: jest.fn(),
+  },
+}));
+
+jest.mock('../helpers/questionHelper.js', () => ({
+  __esModule: true,
+  answerRole: jest.fn(),
+}));
+
+const PRODUCT_ID = '64b7f0c2a1b2c3d4e5f60718';
+const QUESTION_ID = '64b7f0c2a1b2c3d4e5f60719';
+const ANSWER_ID = '64b7f0c2a1b2c3d4e5f6071a';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  user: { _id: 'user1' },
+  ...overrides,
+});
+
+// find().populate()...sort() resolving with the questions
+const mockQuery = (result) => {
+  const chain = {};
+  chain.populate = jest.fn().mockReturnValue(chain);
+  chain.sort = jest.fn().mockResolvedValue(result);
+  return chain;
+};
+
+// an answer list that can be looked up by id like a mongoose array
+const answersOf = (...answers) => Object.assign(answers, {
+  id: (aid) => answers.find((a) => a._id === aid) || null,
+});
+
+describe('questionController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('getProductQuestionsController', () => {
+    it('lists the questions with the most upvoted answers first', async () => {
+      const chain = mockQuery([
+        {
+          _id: 'q1',
+          body: 'Is it loud?',
+          answers: [
+            { _id: 'a1', body: 'A bit', upvotes: [], createdAt: '2024-01-01' },
+            { _id: 'a2', body: 'No', upvotes: ['u1', 'u2'], createdAt: '2024-01-03' },
+            { _id: 'a3', body: 'Not really', upvotes: ['u3'], createdAt: '2024-01-02' },
+          ],
+        },
+      ]);
+      questionModel.find.mockReturnValue(chain);
+      const res = mockResponse();
+
+      await getProductQuestionsController(mockRequest({ params: { pid: PRODUCT_ID } }), res);
+
+      expect(questionModel.find).toHaveBeenCalledWith({ product: PRODUCT_ID });
+      expect(chain.populate).toHaveBeenCalledWith('user', 'name');
+      expect(chain.populate).toHaveBeenCalledWith('answers.user', 'name');
+      expect(chain.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      const { questions } = res.send.mock.calls[0][0];
+      expect(questions[0].answers.map((a) => a._id)).toEqual(['a2', 'a3', 'a1']);
+    });
+
+    it('returns 404 for an id that cannot be a product', async () => {
+      const res = mockResponse();
+
+      await getProductQuestionsController(mockRequest({ params: { pid: 'nope' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(questionModel.find).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when the lookup fails', async () => {
+      const chain = mockQuery();
+      chain.sort.mockRejectedValue(new Error('db down'));
+      questionModel.find.mockReturnValue(chain);
+      const res = mockResponse();
+
+      await getProductQuestionsController(mockRequest({ params: { pid: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('askQuestionController', () => {
+    const ask = async (body, pid = PRODUCT_ID) => {
+      const res = mockResponse();
+      await askQuestionController(mockRequest({ params: { pid }, body }), res);
+      return res;
+    };
+
+    it("posts the user's question about the product", async () => {
+      productModel.exists.mockResolvedValue({ _id: PRODUCT_ID });
+      questionModel.create.mockResolvedValue({ _id: 'q1' });
+
+      const res = await ask({ body: '  Is it loud?  ' });
+
+      expect(questionModel.create).toHaveBeenCalledWith({
+        product: PRODUCT_ID,
+        user: 'user1',
+        body: 'Is it loud?',
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'Question posted',
+        question: { _id: 'q1' },
+      });
+    });
+
+    it('refuses an empty or overly long question', async () => {
+      const empty = await ask({ body: '   ' });
+      const long = await ask({ body: 'x'.repeat(1001) });
+
+      expect(empty.send).toHaveBeenCalledWith({ success: false, message: 'Question is required' });
+      expect(long.send).toHaveBeenCalledWith({
+        success: false,
+        message: 'Question must be 1000 characters or fewer',
+      });
+      expect(questionModel.create).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 when the product does not exist', async () => {
+      productModel.exists.mockResolvedValue(null);
+
+      const res = await ask({ body: 'Is it loud?' });
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 when saving fails', async () => {
+      productModel.exists.mockResolvedValue({ _id: PRODUCT_ID });
+      questionModel.create.mockRejectedValue(new Error('db down'));
+
+      const res = await ask({ body: 'Is it loud?' });
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('canAnswerController', () => {
+    it('says whether the user may answer', async () => {
+      answerRole.mockResolvedValue('buyer');
+      const res = mockResponse();
+
+      await canAnswerController(mockRequest({ params: { pid: PRODUCT_ID } }), res);
+
+      expect(answerRole).toHaveBeenCalledWith('user1', PRODUCT_ID);
+      expect(res.send).toHaveBeenCalledWith({ success: true, canAnswer: true });
+    });
+
+    it('returns 404 for an id that cannot be a product', async () => {
+      const res = mockResponse();
+
+      await canAnswerController(mockRequest({ params: { pid: 'nope' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 when the check fails', async () => {
+      answerRole.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await canAnswerController(mockRequest({ params: { pid: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('answerQuestionController', () => {
+    const answer = async (body, qid = QUESTION_ID) => {
+      const res = mockResponse();
+      await answerQuestionController(mockRequest({ params: { qid }, body }), res);
+      return res;
+    };
+
+    const mockQuestion = (question) => {
+      questionModel.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(question) });
+    };
+
+    it("adds the answer with the author's role", async () => {
+      mockQuestion({ _id: QUESTION_ID, product: PRODUCT_ID });
+      answerRole.mockResolvedValue('buyer');
+      // findByIdAndUpdate().populate().populate()
+      const chain = { populate: jest.fn() };
+      chain.populate
+        .mockReturnValueOnce(chain)
+        .mockResolvedValueOnce({ _id: QUESTION_ID, answers: [{ _id: 'a1', upvotes: [] }] });
+      questionModel.findByIdAndUpdate.mockReturnValue(chain);
+
+      const res = await answer({ body: ' It is quiet ' });
+
+      expect(answerRole).toHaveBeenCalledWith('user1', PRODUCT_ID);
+      expect(questionModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        QUESTION_ID,
+        { $push: { answers: { user: 'user1', body: 'It is quiet', role: 'buyer' } } },
+        { new: true, runValidators: true },
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: 'Answer posted' }),
+      );
+    });
+
+    it('refuses an empty answer', async () => {
+      const res = await answer({ body: '' });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message: 'Answer is required' });
+    });
+
+    it('returns 404 for an unknown question', async () => {
+      mockQuestion(null);
+
+      const res = await answer({ body: 'Yes' });
+      const badId = await answer({ body: 'Yes' }, 'nope');
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(badId.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 403 for users who are neither admins nor buyers', async () => {
+      mockQuestion({ _id: QUESTION_ID, product: PRODUCT_ID });
+      answerRole.mockResolvedValue(null);
+
+      const res = await answer({ body: 'Yes' });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: 'Only admins and customers who bought this product can answer',
+      });
+      expect(questionModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when saving fails', async () => {
+      mockQuestion({ _id: QUESTION_ID, product: PRODUCT_ID });
+      answerRole.mockRejectedValue(new Error('db down'));
+
+      const res = await answer({ body: 'Yes' });
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('upvoteAnswerController', () => {
+    const upvote = async (aid = ANSWER_ID) => {
+      const res = mockResponse();
+      await upvoteAnswerController(mockRequest({ params: { qid: QUESTION_ID, aid } }), res);
+      return res;
+    };
+
+    const mockAnswer = (answer) => {
+      questionModel.findOne.mockResolvedValue(answer && { answers: answersOf(answer) });
+    };
+
+    it('upvotes an answer the user has not upvoted yet', async () => {
+      mockAnswer({ _id: ANSWER_ID, user: 'user2', upvotes: ['user3'] });
+      questionModel.findOneAndUpdate.mockResolvedValue({
+        answers: answersOf({ _id: ANSWER_ID, upvotes: ['user3', 'user1'] }),
+      });
+
+      const res = await upvote();
+
+      expect(questionModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: QUESTION_ID, 'answers._id': ANSWER_ID },
+        { $addToSet: { 'answers.$.upvotes': 'user1' } },
+        { new: true },
+      );
+      expect(res.send).toHaveBeenCalledWith({ success: true, upvoted: true, upvotes: 2 });
+    });
+
+    it('takes back an upvote given before', async () => {
+      mockAnswer({ _id: ANSWER_ID, user: 'user2', upvotes: ['user1'] });
+      questionModel.findOneAndUpdate.mockResolvedValue({
+        answers: answersOf({ _id: ANSWER_ID, upvotes: [] }),
+      });
+
+      const res = await upvote();
+
+      expect(questionModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: QUESTION_ID, 'answers._id': ANSWER_ID },
+        { $pull: { 'answers.$.upvotes': 'user1' } },
+        { new: true },
+      );
+      expect(res.send).toHaveBeenCalledWith({ success: true, upvoted: false, upvotes: 0 });
+    });
+
+    it('does not let users upvote their own answer', async () => {
+      mockAnswer({ _id: ANSWER_ID, user: 'user1', upvotes: [] });
+
+      const res = await upvote();
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(questionModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for an unknown answer', async () => {
+      mockAnswer(null);
+
+      const res = await upvote();
+      const badId = await upvote('nope');
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(badId.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 when the update fails', async () => {
+      questionModel.findOne.mockRejectedValue(new Error('db down'));
+
+      const res = await upvote();
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('unansweredQuestionsController', () => {
+    it('lists the questions without answers, oldest first', async () => {
+      const chain = mockQuery([{ _id: 'q1' }]);
+      questionModel.find.mockReturnValue(chain);
+      const res = mockResponse();
+
+      await unansweredQuestionsController(mockRequest(), res);
+
+      expect(questionModel.find).toHaveBeenCalledWith({ 'answers.0': { $exists: false } });
+      expect(chain.populate).toHaveBeenCalledWith('product', 'name slug');
+      expect(chain.sort).toHaveBeenCalledWith({ createdAt: 1 });
+      expect(res.send).toHaveBeenCalledWith({ success: true, questions: [{ _id: 'q1' }] });
+    });
+
+    it('returns 500 when the lookup fails', async () => {
+      const chain = mockQuery();
+      chain.sort.mockRejectedValue(new Error('db down'));
+      questionModel.find.mockReturnValue(chain);
+      const res = mockResponse();
+
+      await unansweredQuestionsController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deleteQuestionController', () => {
+    it('deletes a question', async () => {
+      questionModel.findByIdAndDelete.mockResolvedValue({ _id: 'q1' });
+      const res = mockResponse();
+
+      await deleteQuestionController(mockRequest({ params: { id: 'q1' } }), res);
+
+      expect(questionModel.findByIdAndDelete).toHaveBeenCalledWith('q1');
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Question deleted' });
+    });
+
+    it('returns 404 for an unknown question', async () => {
+      questionModel.findByIdAndDelete.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await deleteQuestionController(mockRequest({ params: { id: 'q1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 when the delete fails', async () => {
+      questionModel.findByIdAndDelete.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await deleteQuestionController(mockRequest({ params: { id: 'q1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
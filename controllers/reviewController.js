@@ -0,0 +1,185 @@
+import mongoose from "mongoose";
+import productModel from "../models/productModel.js";
+import reviewModel from "../models/reviewModel.js";
+import {
+  hasBought,
+  readReview,
+  refreshProductRating,
+} from "../helpers/reviewHelper.js";
+
+//the visible reviews of a product, newest first
+export const getProductReviewsController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.isValidObjectId(pid)) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    const reviews = await reviewModel
+      .find({ product: pid, hidden: false })
+      .populate("user", "name")
+      .sort({ updatedAt: -1 });
+    res.status(200).send({
+      success: true,
+      reviews,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting reviews",
+      error,
+    });
+  }
+};
+
+//the signed-in user's review of a product, and whether they may write one
+export const getMyReviewController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.isValidObjectId(pid)) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    const [review, canReview] = await Promise.all([
+      reviewModel.findOne({ product: pid, user: req.user._id }),
+      hasBought(req.user._id, pid),
+    ]);
+    res.status(200).send({
+      success: true,
+      review,
+      canReview,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting your review",
+      error,
+    });
+  }
+};
+
+//write or edit the signed-in user's review; only buyers of the product may
+export const saveReviewController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    const { error, review: fields } = readReview(req.body);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    if (!mongoose.isValidObjectId(pid) || !(await productModel.exists({ _id: pid }))) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    if (!(await hasBought(req.user._id, pid))) {
+      return res.status(403).send({
+        success: false,
+        message: "Only customers who bought this product can review it",
+      });
+    }
+    const review = await reviewModel.findOneAndUpdate(
+      { product: pid, user: req.user._id },
+      fields,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    const rating = await refreshProductRating(pid);
+    res.status(200).send({
+      success: true,
+      message: "Review saved",
+      review,
+      ...rating,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while saving review",
+      error,
+    });
+  }
+};
+
+//every review, hidden ones too, for moderation
+export const getAllReviewsController = async (req, res) => {
+  try {
+    const reviews = await reviewModel
+      .find({})
+      .populate("product", "name slug")
+      .populate("user", "name email")
+      .sort({ createdAt: -1 });
+    res.status(200).send({
+      success: true,
+      reviews,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting reviews",
+      error,
+    });
+  }
+};
+
+//hide a review from the product page, or show it again
+export const reviewVisibilityController = async (req, res) => {
+  try {
+    const hidden = Boolean(req.body.hidden);
+    const review = await reviewModel.findByIdAndUpdate(
+      req.params.id,
+      { hidden },
+      { new: true }
+    );
+    if (!review) {
+      return res.status(404).send({
+        success: false,
+        message: "Review not found",
+      });
+    }
+    await refreshProductRating(review.product);
+    res.status(200).send({
+      success: true,
+      message: hidden ? "Review hidden" : "Review shown",
+      review,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating review",
+      error,
+    });
+  }
+};
+
+//delete review
+export const deleteReviewController = async (req, res) => {
+  try {
+    const review = await reviewModel.findByIdAndDelete(req.params.id);
+    if (!review) {
+      return res.status(404).send({
+        success: false,
+        message: "Review not found",
+      });
+    }
+    await refreshProductRating(review.product);
+    res.status(200).send({
+      success: true,
+      message: "Review deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting review",
+      error,
+    });
+  }
+};
@@ -0,0 +1,318 @@
+import productModel from '../models/productModel.js';
+import reviewModel from '../models/reviewModel.js';
+import { hasBought, refreshProductRating } from '../helpers/reviewHelper.js';
+import {
+  deleteReviewController,
+  getAllReviewsController,
+  getMyReviewController,
+  getProductReviewsController,
+  reviewVisibilityController,
+  saveReviewController,
+} from './reviewController.js';
+
+jest.mock('../models/productModel.js', () => ({
+  __esModule: true,
+  default: { exists: jest.fn() },
+}));
+
+jest.mock('../models/reviewModel.js', () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    findByIdAndDelete: jest.fn(),
+  },
+}));
+
+jest.mock('../helpers/reviewHelper.js', () => ({
+  __esModule: true,
+  ...jest.requireActual('../helpers/reviewHelper.js'),
+  hasBought: jest.fn(),
+  refreshProductRating: jest.fn(),
+}));
+
+const PRODUCT_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  user: { _id: 'user1' },
+  ...overrides,
+});
+
+// find().populate()...sort() resolving with the reviews
+const mockFind = (result) => {
+  const chain = {};
+  chain.populate = jest.fn().mockReturnValue(chain);
+  chain.sort = jest.fn().mockResolvedValue(result);
+  reviewModel.find.mockReturnValue(chain);
+  return chain;
+};
+
+describe('reviewController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('getProductReviewsController', () => {
+    it('lists the visible reviews with their authors, newest first', async () => {
+      const chain = mockFind([{ _id: 'r1' }]);
+      const res = mockResponse();
+
+      await getProductReviewsController(mockRequest({ params: { pid: PRODUCT_ID } }), res);
+
+      expect(reviewModel.find).toHaveBeenCalledWith({ product: PRODUCT_ID, hidden: false });
+      expect(chain.populate).toHaveBeenCalledWith('user', 'name');
+      expect(chain.sort).toHaveBeenCalledWith({ updatedAt: -1 });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, reviews: [{ _id: 'r1' }] });
+    });
+
+    it('returns 404 for an id that cannot be a product', async () => {
+      const res = mockResponse();
+
+      await getProductReviewsController(mockRequest({ params: { pid: 'nope' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(reviewModel.find).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when the lookup fails', async () => {
+      const chain = mockFind();
+      chain.sort.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await getProductReviewsController(mockRequest({ params: { pid: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, message: 'Error while getting reviews' }),
+      );
+    });
+  });
+
+  describe('getMyReviewController', () => {
+    it("returns the user's review and whether they bought the product", async () => {
+      reviewModel.findOne.mockResolvedValue({ _id: 'r1', rating: 4 });
+      hasBought.mockResolvedValue(true);
+      const res = mockResponse();
+
+      await getMyReviewController(mockRequest({ params: { pid: PRODUCT_ID } }), res);
+
+      expect(reviewModel.findOne).toHaveBeenCalledWith({ product: PRODUCT_ID, user: 'user1' });
+      expect(hasBought).toHaveBeenCalledWith('user1', PRODUCT_ID);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        review: { _id: 'r1', rating: 4 },
+        canReview: true,
+      });
+    });
+
+    it('returns 404 for an id that cannot be a product', async () => {
+      const res = mockResponse();
+
+      await getMyReviewController(mockRequest({ params: { pid: 'nope' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 when the lookup fails', async () => {
+      reviewModel.findOne.mockRejectedValue(new Error('db down'));
+      hasBought.mockResolvedValue(true);
+      const res = mockResponse();
+
+      await getMyReviewController(mockRequest({ params: { pid: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('saveReviewController', () => {
+    const save = async (body) => {
+      const res = mockResponse();
+      await saveReviewController(mockRequest({ params: { pid: PRODUCT_ID }, body }), res);
+      return res;
+    };
+
+    it("writes the buyer's review and refreshes the product rating", async () => {
+      productModel.exists.mockResolvedValue({ _id: PRODUCT_ID });
+      hasBought.mockResolvedValue(true);
+      reviewModel.findOneAndUpdate.mockResolvedValue({ _id: 'r1', rating: 5 });
+      refreshProductRating.mockResolvedValue({ ratingAverage: 4.5, ratingCount: 2 });
+
+      const res = await save({ rating: '5', comment: ' Great ' });
+
+      expect(reviewModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { product: PRODUCT_ID, user: 'user1' },
+        { rating: 5, comment: 'Great' },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true },
+      );
+      expect(refreshProductRating).toHaveBeenCalledWith(PRODUCT_ID);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'Review saved',
+        review: { _id: 'r1', rating: 5 },
+        ratingAverage: 4.5,
+        ratingCount: 2,
+      });
+    });
+
+    it('refuses a bad rating before looking anything up', async () => {
+      const res = await save({ rating: 9 });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: 'Rating must be between 1 and 5 stars',
+      });
+      expect(productModel.exists).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 when the product does not exist', async () => {
+      productModel.exists.mockResolvedValue(null);
+
+      const res = await save({ rating: 3 });
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(reviewModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 403 when the user never bought the product', async () => {
+      productModel.exists.mockResolvedValue({ _id: PRODUCT_ID });
+      hasBought.mockResolvedValue(false);
+
+      const res = await save({ rating: 3 });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: 'Only customers who bought this product can review it',
+      });
+      expect(reviewModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when saving fails', async () => {
+      productModel.exists.mockResolvedValue({ _id: PRODUCT_ID });
+      hasBought.mockResolvedValue(true);
+      reviewModel.findOneAndUpdate.mockRejectedValue(new Error('db down'));
+
+      const res = await save({ rating: 3 });
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(refreshProductRating).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAllReviewsController', () => {
+    it('lists every review with its product and author', async () => {
+      const chain = mockFind([{ _id: 'r1', hidden: true }]);
+      const res = mockResponse();
+
+      await getAllReviewsController(mockRequest(), res);
+
+      expect(reviewModel.find).toHaveBeenCalledWith({});
+      expect(chain.populate).toHaveBeenCalledWith('product', 'name slug');
+      expect(chain.populate).toHaveBeenCalledWith('user', 'name email');
+      expect(res.send).toHaveBeenCalledWith({ success: true, reviews: [{ _id: 'r1', hidden: true }] });
+    });
+
+    it('returns 500 when the lookup fails', async () => {
+      mockFind().sort.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await getAllReviewsController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('reviewVisibilityController', () => {
+    it('hides a review and takes it out of the rating', async () => {
+      reviewModel.findByIdAndUpdate.mockResolvedValue({ _id: 'r1', product: PRODUCT_ID, hidden: true });
+      const res = mockResponse();
+
+      await reviewVisibilityController(mockRequest({ params: { id: 'r1' }, body: { hidden: true } }), res);
+
+      expect(reviewModel.findByIdAndUpdate).toHaveBeenCalledWith('r1', { hidden: true }, { new: true });
+      expect(refreshProductRating).toHaveBeenCalledWith(PRODUCT_ID);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: 'Review hidden' }),
+      );
+    });
+
+    it('shows a hidden review again', async () => {
+      reviewModel.findByIdAndUpdate.mockResolvedValue({ _id: 'r1', product: PRODUCT_ID, hidden: false });
+      const res = mockResponse();
+
+      await reviewVisibilityController(mockRequest({ params: { id: 'r1' }, body: { hidden: false } }), res);
+
+      expect(reviewModel.findByIdAndUpdate).toHaveBeenCalledWith('r1', { hidden: false }, { new: true });
+      expect(res.send).toHaveBeenCalledWith(expect.objectContaining({ message: 'Review shown' }));
+    });
+
+    it('returns 404 for an unknown review', async () => {
+      reviewModel.findByIdAndUpdate.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await reviewVisibilityController(mockRequest({ params: { id: 'r1' }, body: { hidden: true } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(refreshProductRating).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when the update fails', async () => {
+      reviewModel.findByIdAndUpdate.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await reviewVisibilityController(mockRequest({ params: { id: 'r1' }, body: { hidden: true } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deleteReviewController', () => {
+    it('deletes a review and refreshes the product rating', async () => {
+      reviewModel.findByIdAndDelete.mockResolvedValue({ _id: 'r1', product: PRODUCT_ID });
+      const res = mockResponse();
+
+      await deleteReviewController(mockRequest({ params: { id: 'r1' } }), res);
+
+      expect(reviewModel.findByIdAndDelete).toHaveBeenCalledWith('r1');
+      expect(refreshProductRating).toHaveBeenCalledWith(PRODUCT_ID);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Review deleted' });
+    });
+
+    it('returns 404 for an unknown review', async () => {
+      reviewModel.findByIdAndDelete.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await deleteReviewController(mockRequest({ params: { id: 'r1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 when the delete fails', async () => {
+      reviewModel.findByIdAndDelete.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await deleteReviewController(mockRequest({ params: { id: 'r1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import shippingMethodModel from "../models/shippingMethodModel.js";
+import { isCartItems, pricedCartLines } from "../helpers/cartHelper.js";
+import {
+  activeShippingMethods,
+  cartWeight,
+  quoteShipping,
+} from "../helpers/shippingHelper.js";
+import { roundPrice } from "../helpers/priceHelper.js";
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// check and tidy what the admin sent; a blank threshold is stored as
+// null so an update can take it away
+const readShippingFields = (body) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) return { error: "Name is required" };
+  if (!["standard", "express", "pickup"].includes(body.kind)) {
+    return { error: "Kind must be standard, express or pickup" };
+  }
+  const rateType = isBlank(body.rateType) ? "flat" : body.rateType;
+  if (!["flat", "weight", "value"].includes(rateType)) {
+    return { error: "Rate type must be flat, weight or value" };
+  }
+  const rate = isBlank(body.rate) ? 0 : Number(body.rate);
+  if (!(rate >= 0)) return { error: "Rate cannot be negative" };
+  const freeOver = isBlank(body.freeOver) ? null : Number(body.freeOver);
+  if (freeOver !== null && !(freeOver >= 0)) {
+    return { error: "Free shipping threshold cannot be negative" };
+  }
+  return {
+    fields: {
+      name,
+      kind: body.kind,
+      description: typeof body.description === "string" ? body.description.trim() : "",
+      rateType,
+      rate,
+      freeOver,
+      active: body.active === undefined ? true : Boolean(body.active),
+    },
+  };
+};
+
+//create shipping method
+export const createShippingMethodController = async (req, res) => {
+  try {
+    const { error, fields } = readShippingFields(req.body);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    const shippingMethod = await shippingMethodModel.create(fields);
+    res.status(201).send({
+      success: true,
+      message: "Shipping method created",
+      shippingMethod,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while creating shipping method",
+      error,
+    });
+  }
+};
+
+//update shipping method
+export const updateShippingMethodController = async (req, res) => {
+  try {
+    const { error, fields } = readShippingFields(req.body);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    const shippingMethod = await shippingMethodModel.findByIdAndUpdate(
+      req.params.id,
+      fields,
+      { new: true }
+    );
+    if (!shippingMethod) {
+      return res.status(404).send({
+        success: false,
+        message: "Shipping method not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Shipping method updated",
+      shippingMethod,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating shipping method",
+      error,
+    });
+  }
+};
+
+//all shipping methods
+export const getShippingMethodsController = async (req, res) => {
+  try {
+    const shippingMethods = await shippingMethodModel.find({}).sort({ createdAt: 1 });
+    res.status(200).send({
+      success: true,
+      shippingMethods,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting shipping methods",
+      error,
+    });
+  }
+};
+
+//delete shipping method
+export const deleteShippingMethodController = async (req, res) => {
+  try {
+    const shippingMethod = await shippingMethodModel.findByIdAndDelete(req.params.id);
+    if (!shippingMethod) {
+      return res.status(404).send({
+        success: false,
+        message: "Shipping method not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Shipping method deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting shipping method",
+      error,
+    });
+  }
+};
+
+//what each method would cost the cart, priced like the payment will be
+export const shippingQuoteController = async (req, res) => {
+  try {
+    const { items } = req.body;
+    const discount = isBlank(req.body.discount) ? 0 : Number(req.body.discount);
+    if (!isCartItems(items)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid cart items",
+      });
+    }
+    if (!(discount >= 0)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid discount",
+      });
+    }
+    const lines = (await pricedCartLines(items, "weight")).map((line) => ({
+      weight: line.product.weight,
+      quantity: line.quantity,
+      total: line.total,
+    }));
+    const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+    const methods = await activeShippingMethods();
+    res.status(200).send({
+      success: true,
+      methods: quoteShipping(methods, {
+        weight: cartWeight(lines),
+        value: roundPrice(Math.max(subtotal - discount, 0)),
+      }),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while pricing shipping",
+      error,
+    });
+  }
+};
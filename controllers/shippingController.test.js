@@ -0,0 +1,305 @@
+import shippingMethodModel from '../models/shippingMethodModel.js';
+import productModel from '../models/productModel.js';
+import {
+  createShippingMethodController,
+  deleteShippingMethodController,
+  getShippingMethodsController,
+  shippingQuoteController,
+  updateShippingMethodController,
+} from './shippingController.js';
+
+jest.mock('../models/shippingMethodModel.js', () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(),
+    create: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    findByIdAndDelete: jest.fn(),
+  },
+}));
+
+jest.mock('../models/productModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+
+const LAMP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const BOOK_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  user: { _id: 'admin1' },
+  ...overrides,
+});
+
+describe('shippingController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('createShippingMethodController', () => {
+    it('stores a tidied method', async () => {
+      shippingMethodModel.create.mockResolvedValue({ _id: 's1' });
+      const res = mockResponse();
+
+      await createShippingMethodController(
+        mockRequest({
+          body: {
+            name: ' Standard ',
+            kind: 'standard',
+            description: ' 3-5 days ',
+            rateType: 'weight',
+            rate: '2.5',
+            freeOver: '75',
+          },
+        }),
+        res,
+      );
+
+      expect(shippingMethodModel.create).toHaveBeenCalledWith({
+        name: 'Standard',
+        kind: 'standard',
+        description: '3-5 days',
+        rateType: 'weight',
+        rate: 2.5,
+        freeOver: 75,
+        active: true,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'Shipping method created',
+        shippingMethod: { _id: 's1' },
+      });
+    });
+
+    it('defaults to a free flat rate with no threshold', async () => {
+      shippingMethodModel.create.mockResolvedValue({ _id: 's1' });
+
+      await createShippingMethodController(
+        mockRequest({ body: { name: 'Pickup', kind: 'pickup', rate: '', freeOver: '', active: false } }),
+        mockResponse(),
+      );
+
+      expect(shippingMethodModel.create).toHaveBeenCalledWith({
+        name: 'Pickup',
+        kind: 'pickup',
+        description: '',
+        rateType: 'flat',
+        rate: 0,
+        freeOver: null,
+        active: false,
+      });
+    });
+
+    it.each([
+      [{ kind: 'standard' }, 'Name is required'],
+      [{ name: 'Drone', kind: 'drone' }, 'Kind must be standard, express or pickup'],
+      [{ name: 'X', kind: 'express', rateType: 'distance' }, 'Rate type must be flat, weight or value'],
+      [{ name: 'X', kind: 'express', rate: -2 }, 'Rate cannot be negative'],
+      [{ name: 'X', kind: 'express', rate: 'cheap' }, 'Rate cannot be negative'],
+      [{ name: 'X', kind: 'express', freeOver: -1 }, 'Free shipping threshold cannot be negative'],
+    ])('rejects %j', async (body, message) => {
+      const res = mockResponse();
+
+      await createShippingMethodController(mockRequest({ body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(shippingMethodModel.create).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when saving fails', async () => {
+      shippingMethodModel.create.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await createShippingMethodController(mockRequest({ body: { name: 'X', kind: 'standard' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('updateShippingMethodController', () => {
+    it('updates the method', async () => {
+      shippingMethodModel.findByIdAndUpdate.mockResolvedValue({ _id: 's1' });
+      const res = mockResponse();
+
+      await updateShippingMethodController(
+        mockRequest({ params: { id: 's1' }, body: { name: 'Express', kind: 'express', rate: 12 } }),
+        res,
+      );
+
+      expect(shippingMethodModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        's1',
+        expect.objectContaining({ name: 'Express', rate: 12, freeOver: null }),
+        { new: true },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('rejects bad fields', async () => {
+      const res = mockResponse();
+
+      await updateShippingMethodController(mockRequest({ params: { id: 's1' }, body: { name: 'X' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(shippingMethodModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for a missing method', async () => {
+      shippingMethodModel.findByIdAndUpdate.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await updateShippingMethodController(
+        mockRequest({ params: { id: 's1' }, body: { name: 'X', kind: 'standard' } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 when the update fails', async () => {
+      shippingMethodModel.findByIdAndUpdate.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await updateShippingMethodController(
+        mockRequest({ params: { id: 's1' }, body: { name: 'X', kind: 'standard' } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getShippingMethodsController', () => {
+    it('lists every method oldest first', async () => {
+      const sort = jest.fn().mockResolvedValue([{ _id: 's1' }]);
+      shippingMethodModel.find.mockReturnValue({ sort });
+      const res = mockResponse();
+
+      await getShippingMethodsController(mockRequest(), res);
+
+      expect(shippingMethodModel.find).toHaveBeenCalledWith({});
+      expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+      expect(res.send).toHaveBeenCalledWith({ success: true, shippingMethods: [{ _id: 's1' }] });
+    });
+
+    it('returns 500 when loading fails', async () => {
+      shippingMethodModel.find.mockReturnValue({ sort: jest.fn().mockRejectedValue(new Error('db down')) });
+      const res = mockResponse();
+
+      await getShippingMethodsController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deleteShippingMethodController', () => {
+    it('deletes the method', async () => {
+      shippingMethodModel.findByIdAndDelete.mockResolvedValue({ _id: 's1' });
+      const res = mockResponse();
+
+      await deleteShippingMethodController(mockRequest({ params: { id: 's1' } }), res);
+
+      expect(shippingMethodModel.findByIdAndDelete).toHaveBeenCalledWith('s1');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('returns 404 for a missing method', async () => {
+      shippingMethodModel.findByIdAndDelete.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await deleteShippingMethodController(mockRequest({ params: { id: 's1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 when deleting fails', async () => {
+      shippingMethodModel.findByIdAndDelete.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await deleteShippingMethodController(mockRequest({ params: { id: 's1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('shippingQuoteController', () => {
+    const items = [
+      { productId: LAMP_ID, quantity: 2 },
+      { productId: BOOK_ID, quantity: 1 },
+    ];
+
+    beforeEach(() => {
+      productModel.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: LAMP_ID, price: 20, weight: 1.5 },
+          { _id: BOOK_ID, price: 10, weight: 0.5 },
+        ]),
+      });
+      shippingMethodModel.find.mockResolvedValue([
+        { _id: 's2', name: 'Express', kind: 'express', rateType: 'flat', rate: 15 },
+        { _id: 's1', name: 'Standard', kind: 'standard', rateType: 'weight', rate: 2, freeOver: 45 },
+      ]);
+    });
+
+    it('prices each method for the cart', async () => {
+      const res = mockResponse();
+
+      await shippingQuoteController(mockRequest({ body: { items, discount: 10 } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        methods: [
+          { _id: 's1', name: 'Standard', kind: 'standard', description: undefined, cost: 7 },
+          { _id: 's2', name: 'Express', kind: 'express', description: undefined, cost: 15 },
+        ],
+      });
+    });
+
+    it('ships free once the cart reaches the threshold', async () => {
+      const res = mockResponse();
+
+      await shippingQuoteController(mockRequest({ body: { items } }), res);
+
+      expect(res.send.mock.calls[0][0].methods[0].cost).toBe(0);
+    });
+
+    it.each([
+      [{ items: 'nope' }, 'Invalid cart items'],
+      [{ items: [{ productId: 'bad', quantity: 1 }] }, 'Invalid cart items'],
+      [{ items: [{ productId: LAMP_ID, variantId: 'v1', quantity: 1 }] }, 'Invalid cart items'],
+      [{ items, discount: -1 }, 'Invalid discount'],
+    ])('rejects %j', async (body, message) => {
+      const res = mockResponse();
+
+      await shippingQuoteController(mockRequest({ body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    });
+
+    it('returns 500 when pricing fails', async () => {
+      productModel.find.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('db down')) });
+      const res = mockResponse();
+
+      await shippingQuoteController(mockRequest({ body: { items } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
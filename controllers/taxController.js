@@ -0,0 +1,202 @@
+import taxRateModel from "../models/taxRateModel.js";
+import { isCartItems, pricedCartLines } from "../helpers/cartHelper.js";
+import {
+  cartTax,
+  getTaxMode,
+  normalizeRegion,
+  normalizeTaxClass,
+} from "../helpers/taxHelper.js";
+
+// check and tidy what the admin sent
+const readTaxRateFields = (body) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) return { error: "Name is required" };
+  const region = normalizeRegion(body.region);
+  if (!region) return { error: "Region is required" };
+  const rate = Number(body.rate);
+  if (body.rate === "" || body.rate === null || !(rate >= 0 && rate <= 100)) {
+    return { error: "Rate must be a percentage from 0 to 100" };
+  }
+  return {
+    fields: { name, region, taxClass: normalizeTaxClass(body.taxClass), rate },
+  };
+};
+
+const duplicateRate = (fields, id) =>
+  taxRateModel.findOne({
+    region: fields.region,
+    taxClass: fields.taxClass,
+    ...(id ? { _id: { $ne: id } } : {}),
+  });
+
+//create tax rate
+export const createTaxRateController = async (req, res) => {
+  try {
+    const { error, fields } = readTaxRateFields(req.body);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    if (await duplicateRate(fields)) {
+      return res.status(409).send({
+        success: false,
+        message: "A rate for this region and tax class already exists",
+      });
+    }
+    const taxRate = await taxRateModel.create(fields);
+    res.status(201).send({
+      success: true,
+      message: "Tax rate created",
+      taxRate,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while creating tax rate",
+      error,
+    });
+  }
+};
+
+//update tax rate
+export const updateTaxRateController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, fields } = readTaxRateFields(req.body);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    if (await duplicateRate(fields, id)) {
+      return res.status(409).send({
+        success: false,
+        message: "A rate for this region and tax class already exists",
+      });
+    }
+    const taxRate = await taxRateModel.findByIdAndUpdate(id, fields, { new: true });
+    if (!taxRate) {
+      return res.status(404).send({
+        success: false,
+        message: "Tax rate not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Tax rate updated",
+      taxRate,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating tax rate",
+      error,
+    });
+  }
+};
+
+//all tax rates
+export const getTaxRatesController = async (req, res) => {
+  try {
+    const taxRates = await taxRateModel.find({}).sort({ region: 1, taxClass: 1 });
+    res.status(200).send({
+      success: true,
+      taxRates,
+      mode: getTaxMode(),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting tax rates",
+      error,
+    });
+  }
+};
+
+//delete tax rate
+export const deleteTaxRateController = async (req, res) => {
+  try {
+    const taxRate = await taxRateModel.findByIdAndDelete(req.params.id);
+    if (!taxRate) {
+      return res.status(404).send({
+        success: false,
+        message: "Tax rate not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Tax rate deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting tax rate",
+      error,
+    });
+  }
+};
+
+//the regions shoppers can pick, the tax classes products can use and
+//whether prices include tax
+export const taxOptionsController = async (req, res) => {
+  try {
+    const taxRates = await taxRateModel.find({}).select("region taxClass");
+    const regions = [...new Set(taxRates.map((rate) => rate.region))]
+      .filter((region) => region !== "*")
+      .sort();
+    const classes = [
+      ...new Set(["standard", ...taxRates.map((rate) => normalizeTaxClass(rate.taxClass))]),
+    ].sort();
+    res.status(200).send({
+      success: true,
+      regions,
+      classes,
+      mode: getTaxMode(),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting tax options",
+      error,
+    });
+  }
+};
+
+//the tax on a cart, worked out the same way the payment will
+export const taxQuoteController = async (req, res) => {
+  try {
+    const { items, region } = req.body;
+    const discount = req.body.discount === undefined ? 0 : Number(req.body.discount);
+    if (!isCartItems(items)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid cart items",
+      });
+    }
+    if (!(discount >= 0)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid discount",
+      });
+    }
+    const lines = (await pricedCartLines(items, "taxClass")).map((line) => ({
+      taxClass: line.product.taxClass,
+      total: line.total,
+    }));
+    const quote = await cartTax(lines, discount, region);
+    res.status(200).send({
+      success: true,
+      region: normalizeRegion(region),
+      ...quote,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while working out tax",
+      error,
+    });
+  }
+};
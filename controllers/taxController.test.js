@@ -0,0 +1,365 @@
+import taxRateModel from '../models/taxRateModel.js';
+import productModel from '../models/productModel.js';
+import {
+  createTaxRateController,
+  deleteTaxRateController,
+  getTaxRatesController,
+  taxOptionsController,
+  taxQuoteController,
+  updateTaxRateController,
+} from './taxController.js';
+
+jest.mock('../models/taxRateModel.js', () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    findByIdAndDelete: jest.fn(),
+  },
+}));
+
+jest.mock('../models/productModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+
+const LAMP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const BREAD_ID = '64b7f0c2a1b2c3d4e5f60719';
+const VARIANT_ID = '64b7f0c2a1b2c3d4e5f60720';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  user: { _id: 'admin1' },
+  ...overrides,
+});
+
+describe('taxController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    taxRateModel.findOne.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    delete process.env.TAX_MODE;
+  });
+
+  describe('createTaxRateController', () => {
+    it('stores a tidied rate', async () => {
+      taxRateModel.create.mockResolvedValue({ _id: 't1' });
+      const res = mockResponse();
+
+      await createTaxRateController(
+        mockRequest({ body: { name: ' CA sales tax ', region: ' ca ', taxClass: ' Food ', rate: '7.25' } }),
+        res,
+      );
+
+      expect(taxRateModel.findOne).toHaveBeenCalledWith({ region: 'CA', taxClass: 'food' });
+      expect(taxRateModel.create).toHaveBeenCalledWith({
+        name: 'CA sales tax',
+        region: 'CA',
+        taxClass: 'food',
+        rate: 7.25,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({ success: true, message: 'Tax rate created', taxRate: { _id: 't1' } });
+    });
+
+    it('uses the standard class when none is given', async () => {
+      taxRateModel.create.mockResolvedValue({ _id: 't1' });
+
+      await createTaxRateController(mockRequest({ body: { name: 'Sales tax', region: '*', rate: 5 } }), mockResponse());
+
+      expect(taxRateModel.create).toHaveBeenCalledWith(expect.objectContaining({ region: '*', taxClass: 'standard' }));
+    });
+
+    it.each([
+      [{ region: 'CA', rate: 5 }, 'Name is required'],
+      [{ name: 'Tax', rate: 5 }, 'Region is required'],
+      [{ name: 'Tax', region: 'CA' }, 'Rate must be a percentage from 0 to 100'],
+      [{ name: 'Tax', region: 'CA', rate: '' }, 'Rate must be a percentage from 0 to 100'],
+      [{ name: 'Tax', region: 'CA', rate: 120 }, 'Rate must be a percentage from 0 to 100'],
+      [{ name: 'Tax', region: 'CA', rate: -1 }, 'Rate must be a percentage from 0 to 100'],
+    ])('rejects %j', async (body, message) => {
+      const res = mockResponse();
+
+      await createTaxRateController(mockRequest({ body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(taxRateModel.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a second rate for the same region and class', async () => {
+      taxRateModel.findOne.mockResolvedValue({ _id: 'other' });
+      const res = mockResponse();
+
+      await createTaxRateController(mockRequest({ body: { name: 'Tax', region: 'CA', rate: 5 } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(taxRateModel.create).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when saving fails', async () => {
+      taxRateModel.create.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await createTaxRateController(mockRequest({ body: { name: 'Tax', region: 'CA', rate: 5 } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('updateTaxRateController', () => {
+    it('updates the rate', async () => {
+      taxRateModel.findByIdAndUpdate.mockResolvedValue({ _id: 't1' });
+      const res = mockResponse();
+
+      await updateTaxRateController(
+        mockRequest({ params: { id: 't1' }, body: { name: 'Tax', region: 'ny', rate: 8 } }),
+        res,
+      );
+
+      expect(taxRateModel.findOne).toHaveBeenCalledWith({ region: 'NY', taxClass: 'standard', _id: { $ne: 't1' } });
+      expect(taxRateModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        't1',
+        { name: 'Tax', region: 'NY', taxClass: 'standard', rate: 8 },
+        { new: true },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('rejects a bad rate', async () => {
+      const res = mockResponse();
+
+      await updateTaxRateController(mockRequest({ params: { id: 't1' }, body: { name: 'Tax', region: 'NY' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('refuses to clash with another rate', async () => {
+      taxRateModel.findOne.mockResolvedValue({ _id: 't2' });
+      const res = mockResponse();
+
+      await updateTaxRateController(
+        mockRequest({ params: { id: 't1' }, body: { name: 'Tax', region: 'NY', rate: 8 } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(taxRateModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for a missing rate', async () => {
+      taxRateModel.findByIdAndUpdate.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await updateTaxRateController(
+        mockRequest({ params: { id: 't1' }, body: { name: 'Tax', region: 'NY', rate: 8 } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 when the update fails', async () => {
+      taxRateModel.findByIdAndUpdate.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await updateTaxRateController(
+        mockRequest({ params: { id: 't1' }, body: { name: 'Tax', region: 'NY', rate: 8 } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getTaxRatesController', () => {
+    it('lists the rates by region and class with the mode', async () => {
+      const sort = jest.fn().mockResolvedValue([{ _id: 't1' }]);
+      taxRateModel.find.mockReturnValue({ sort });
+      process.env.TAX_MODE = 'inclusive';
+      const res = mockResponse();
+
+      await getTaxRatesController(mockRequest(), res);
+
+      expect(sort).toHaveBeenCalledWith({ region: 1, taxClass: 1 });
+      expect(res.send).toHaveBeenCalledWith({ success: true, taxRates: [{ _id: 't1' }], mode: 'inclusive' });
+    });
+
+    it('returns 500 when loading fails', async () => {
+      taxRateModel.find.mockReturnValue({ sort: jest.fn().mockRejectedValue(new Error('db down')) });
+      const res = mockResponse();
+
+      await getTaxRatesController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deleteTaxRateController', () => {
+    it('deletes the rate', async () => {
+      taxRateModel.findByIdAndDelete.mockResolvedValue({ _id: 't1' });
+      const res = mockResponse();
+
+      await deleteTaxRateController(mockRequest({ params: { id: 't1' } }), res);
+
+      expect(taxRateModel.findByIdAndDelete).toHaveBeenCalledWith('t1');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('returns 404 for a missing rate', async () => {
+      taxRateModel.findByIdAndDelete.mockResolvedValue(null);
+      const res = mockResponse();
+
+      await deleteTaxRateController(mockRequest({ params: { id: 't1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 500 when deleting fails', async () => {
+      taxRateModel.findByIdAndDelete.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await deleteTaxRateController(mockRequest({ params: { id: 't1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('taxOptionsController', () => {
+    it('lists the named regions and every class', async () => {
+      taxRateModel.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { region: 'NY', taxClass: 'standard' },
+          { region: '*', taxClass: 'reduced' },
+          { region: 'CA', taxClass: 'food' },
+          { region: 'CA', taxClass: 'standard' },
+        ]),
+      });
+      const res = mockResponse();
+
+      await taxOptionsController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        regions: ['CA', 'NY'],
+        classes: ['food', 'reduced', 'standard'],
+        mode: 'exclusive',
+      });
+    });
+
+    it('returns 500 when loading fails', async () => {
+      taxRateModel.find.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('db down')) });
+      const res = mockResponse();
+
+      await taxOptionsController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('taxQuoteController', () => {
+    const items = [
+      { productId: LAMP_ID, quantity: 2 },
+      { productId: BREAD_ID, quantity: 1 },
+    ];
+
+    beforeEach(() => {
+      productModel.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: LAMP_ID, price: 20, taxClass: 'standard' },
+          { _id: BREAD_ID, price: 10, taxClass: 'food' },
+        ]),
+      });
+      taxRateModel.find.mockResolvedValue([
+        { name: 'CA sales tax', region: 'CA', taxClass: 'standard', rate: 10 },
+        { name: 'Food', region: '*', taxClass: 'food', rate: 5 },
+      ]);
+    });
+
+    it('quotes the tax at current prices after the discount', async () => {
+      const res = mockResponse();
+
+      await taxQuoteController(mockRequest({ body: { items, region: 'ca', discount: 10 } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        region: 'CA',
+        mode: 'exclusive',
+        taxes: [
+          { name: 'CA sales tax', region: 'CA', taxClass: 'standard', rate: 10, taxable: 32, amount: 3.2 },
+          { name: 'Food', region: '*', taxClass: 'food', rate: 5, taxable: 8, amount: 0.4 },
+        ],
+        tax: 3.6,
+        total: 43.6,
+      });
+    });
+
+    it("taxes a variant at the variant's own price", async () => {
+      productModel.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: LAMP_ID, price: 20, taxClass: 'standard', variants: [{ _id: VARIANT_ID, price: 30 }] },
+        ]),
+      });
+      const res = mockResponse();
+
+      await taxQuoteController(
+        mockRequest({ body: { items: [{ productId: LAMP_ID, variantId: VARIANT_ID, quantity: 1 }], region: 'CA' } }),
+        res,
+      );
+
+      expect(res.send).toHaveBeenCalledWith(expect.objectContaining({ tax: 3, total: 33 }));
+    });
+
+    it('skips products that no longer exist', async () => {
+      const res = mockResponse();
+
+      await taxQuoteController(
+        mockRequest({ body: { items: [...items, { productId: '64b7f0c2a1b2c3d4e5f60799', quantity: 1 }] } }),
+        res,
+      );
+
+      expect(res.send).toHaveBeenCalledWith(expect.objectContaining({ region: '', tax: 0.5, total: 50.5 }));
+    });
+
+    it.each([
+      [{ items: 'nope' }, 'Invalid cart items'],
+      [{ items: [{ productId: 'bad', quantity: 1 }] }, 'Invalid cart items'],
+      [{ items: [{ productId: LAMP_ID, quantity: 0 }] }, 'Invalid cart items'],
+      [{ items: [{ productId: LAMP_ID, variantId: 'v1', quantity: 1 }] }, 'Invalid cart items'],
+      [{ items, discount: -5 }, 'Invalid discount'],
+      [{ items, discount: 'lots' }, 'Invalid discount'],
+    ])('rejects %j', async (body, message) => {
+      const res = mockResponse();
+
+      await taxQuoteController(mockRequest({ body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    });
+
+    it('returns 500 when pricing fails', async () => {
+      productModel.find.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('db down')) });
+      const res = mockResponse();
+
+      await taxQuoteController(mockRequest({ body: { items } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
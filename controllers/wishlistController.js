@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+import wishlistModel from "../models/wishlistModel.js";
+import productModel from "../models/productModel.js";
+import { describeWishlistItem } from "../helpers/wishlistHelper.js";
+
+// product fields the client needs to render a wishlist entry, without the photo
+const WISHLIST_PRODUCT_FIELDS = "name slug description price quantity updatedAt variants._id";
+
+// the user's saved products, newest first, skipping products since deleted
+const loadWishlist = async (userId) => {
+  const wishlist = await wishlistModel
+    .findOne({ user: userId })
+    .populate("items.product", WISHLIST_PRODUCT_FIELDS);
+  return (wishlist?.items || [])
+    .filter((item) => item.product)
+    .map(describeWishlistItem)
+    .reverse();
+};
+
+//get the signed-in user's wishlist
+export const getWishlistController = async (req, res) => {
+  try {
+    const wishlist = await loadWishlist(req.user._id);
+    res.status(200).send({
+      success: true,
+      wishlist,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting wishlist",
+      error,
+    });
+  }
+};
+
+//save a product with its current price; saving it again keeps the first price
+export const addWishlistItemController = async (req, res) => {
+  try {
+    const { productId } = req.body;
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid product",
+      });
+    }
+    const product = await productModel.findById(productId).select("price quantity");
+    if (!product) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    const user = req.user._id;
+    try {
+      await wishlistModel.findOneAndUpdate(
+        { user, "items.product": { $ne: productId } },
+        {
+          $push: {
+            items: {
+              product: productId,
+              savedPrice: product.price,
+              savedInStock: product.quantity > 0,
+            },
+          },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // the upsert collides with a wishlist that already has the product
+      if (error?.code !== 11000) throw error;
+    }
+    res.status(200).send({
+      success: true,
+      message: "Saved to wishlist",
+      wishlist: await loadWishlist(user),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while adding to wishlist",
+      error,
+    });
+  }
+};
+
+//remove a product from the wishlist
+export const removeWishlistItemController = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid product",
+      });
+    }
+    await wishlistModel.updateOne(
+      { user: req.user._id },
+      { $pull: { items: { product: productId } } }
+    );
+    res.status(200).send({
+      success: true,
+      message: "Removed from wishlist",
+      wishlist: await loadWishlist(req.user._id),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while removing from wishlist",
+      error,
+    });
+  }
+};
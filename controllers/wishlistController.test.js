@@ -0,0 +1,211 @@
+import wishlistModel from '../models/wishlistModel.js';
+import productModel from '../models/productModel.js';
+import {
+  addWishlistItemController,
+  getWishlistController,
+  removeWishlistItemController,
+} from './wishlistController.js';
+
+jest.mock('../models/wishlistModel.js', () => ({
+  __esModule: true,
+  default: {
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+
+jest.mock('../models/productModel.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() },
+}));
+
+const PRODUCT_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  user: { _id: 'u1' },
+  ...overrides,
+});
+
+const lamp = { _id: PRODUCT_ID, name: 'Lamp', price: 8, quantity: 3 };
+
+const mockStoredWishlist = (items) => {
+  const populate = jest.fn().mockResolvedValue(items === null ? null : { items });
+  wishlistModel.findOne.mockReturnValue({ populate });
+  return populate;
+};
+
+describe('wishlistController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    productModel.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(lamp) });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('getWishlistController', () => {
+    it('returns the saved products, newest first, with their flags', async () => {
+      const populate = mockStoredWishlist([
+        { product: lamp, savedPrice: 10, savedInStock: true, addedAt: 'a' },
+        { product: { ...lamp, _id: 'p2' }, savedPrice: 8, savedInStock: false, addedAt: 'b' },
+      ]);
+      const res = mockResponse();
+
+      await getWishlistController(mockRequest(), res);
+
+      expect(wishlistModel.findOne).toHaveBeenCalledWith({ user: 'u1' });
+      expect(populate).toHaveBeenCalledWith('items.product', 'name slug description price quantity updatedAt variants._id');
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { wishlist } = res.send.mock.calls[0][0];
+      expect(wishlist.map((entry) => entry.product._id)).toEqual(['p2', PRODUCT_ID]);
+      expect(wishlist[0]).toMatchObject({ priceDrop: 0, backInStock: true });
+      expect(wishlist[1]).toMatchObject({ priceDrop: 2, backInStock: false });
+    });
+
+    it('returns an empty wishlist when the user has never saved one', async () => {
+      mockStoredWishlist(null);
+      const res = mockResponse();
+
+      await getWishlistController(mockRequest(), res);
+
+      expect(res.send).toHaveBeenCalledWith({ success: true, wishlist: [] });
+    });
+
+    it('skips products that have been deleted', async () => {
+      mockStoredWishlist([{ product: null, savedPrice: 5, savedInStock: true }]);
+      const res = mockResponse();
+
+      await getWishlistController(mockRequest(), res);
+
+      expect(res.send).toHaveBeenCalledWith({ success: true, wishlist: [] });
+    });
+
+    it('returns 500 when the lookup fails', async () => {
+      wishlistModel.findOne.mockReturnValue({ populate: jest.fn().mockRejectedValue(new Error('db down')) });
+      const res = mockResponse();
+
+      await getWishlistController(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('addWishlistItemController', () => {
+    it('saves the product with its current price and stock, creating the wishlist if needed', async () => {
+      wishlistModel.findOneAndUpdate.mockResolvedValue(null);
+      mockStoredWishlist([{ product: lamp, savedPrice: 8, savedInStock: true }]);
+      const res = mockResponse();
+
+      await addWishlistItemController(mockRequest({ body: { productId: PRODUCT_ID } }), res);
+
+      expect(wishlistModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: 'u1', 'items.product': { $ne: PRODUCT_ID } },
+        { $push: { items: { product: PRODUCT_ID, savedPrice: 8, savedInStock: true } } },
+        { upsert: true },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: 'Saved to wishlist' }),
+      );
+    });
+
+    it('remembers that an out of stock product was saved while unavailable', async () => {
+      productModel.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ ...lamp, quantity: 0 }),
+      });
+      mockStoredWishlist([]);
+
+      await addWishlistItemController(mockRequest({ body: { productId: PRODUCT_ID } }), mockResponse());
+
+      expect(wishlistModel.findOneAndUpdate.mock.calls[0][1].$push.items.savedInStock).toBe(false);
+    });
+
+    it('keeps the first saved price when the product is already on the wishlist', async () => {
+      wishlistModel.findOneAndUpdate.mockRejectedValue({ code: 11000 });
+      mockStoredWishlist([{ product: lamp, savedPrice: 10, savedInStock: true }]);
+      const res = mockResponse();
+
+      await addWishlistItemController(mockRequest({ body: { productId: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send.mock.calls[0][0].wishlist[0].savedPrice).toBe(10);
+    });
+
+    it('returns 500 when saving fails for another reason', async () => {
+      wishlistModel.findOneAndUpdate.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await addWishlistItemController(mockRequest({ body: { productId: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+
+    it('rejects an invalid product id', async () => {
+      const res = mockResponse();
+
+      await addWishlistItemController(mockRequest({ body: { productId: 'nope' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(productModel.findById).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for a product that does not exist', async () => {
+      productModel.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      const res = mockResponse();
+
+      await addWishlistItemController(mockRequest({ body: { productId: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(wishlistModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeWishlistItemController', () => {
+    it('pulls the product from the wishlist', async () => {
+      mockStoredWishlist([]);
+      const res = mockResponse();
+
+      await removeWishlistItemController(mockRequest({ params: { productId: PRODUCT_ID } }), res);
+
+      expect(wishlistModel.updateOne).toHaveBeenCalledWith(
+        { user: 'u1' },
+        { $pull: { items: { product: PRODUCT_ID } } },
+      );
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: 'Removed from wishlist',
+        wishlist: [],
+      });
+    });
+
+    it('rejects an invalid product id', async () => {
+      const res = mockResponse();
+
+      await removeWishlistItemController(mockRequest({ params: { productId: 'nope' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(wishlistModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when the update fails', async () => {
+      wishlistModel.updateOne.mockRejectedValue(new Error('db down'));
+      const res = mockResponse();
+
+      await removeWishlistItemController(mockRequest({ params: { productId: PRODUCT_ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
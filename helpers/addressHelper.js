@@ -0,0 +1,55 @@
+const FIELDS = ["recipient", "line1", "line2", "city", "region", "postalCode", "country", "phone"];
+
+const REQUIRED = {
+  recipient: "Recipient is required",
+  line1: "Address line 1 is required",
+  city: "City is required",
+  postalCode: "Postal code is required",
+  country: "Country is required",
+};
+
+// check and tidy an address sent by the user
+export const readAddress = (body = {}) => {
+  const address = {};
+  for (const field of FIELDS) {
+    address[field] = typeof body[field] === "string" ? body[field].trim() : "";
+  }
+  for (const [field, message] of Object.entries(REQUIRED)) {
+    if (!address[field]) return { error: message };
+  }
+  return {
+    address,
+    isDefaultShipping: Boolean(body.isDefaultShipping),
+    isDefaultBilling: Boolean(body.isDefaultBilling),
+  };
+};
+
+// Make `id` the default for the flags that are set and clear them on the
+// others. Whenever the book is not empty something stays the default, the
+// first address if nothing else is.
+export const withDefaults = (addresses, id, { isDefaultShipping, isDefaultBilling } = {}) => {
+  const next = addresses.map((address) => {
+    const plain = typeof address.toObject === "function" ? address.toObject() : { ...address };
+    const isTarget = id !== undefined && String(plain._id) === String(id);
+    if (isDefaultShipping) plain.isDefaultShipping = isTarget;
+    if (isDefaultBilling) plain.isDefaultBilling = isTarget;
+    return plain;
+  });
+  for (const flag of ["isDefaultShipping", "isDefaultBilling"]) {
+    if (next.length > 0 && !next.some((address) => address[flag])) next[0][flag] = true;
+  }
+  return next;
+};
+
+// the address an order ships to: the one asked for, else the default
+export const pickShippingAddress = (addresses = [], id) =>
+  id
+    ? addresses.find((address) => String(address._id) === String(id)) || null
+    : addresses.find((address) => address.isDefaultShipping) || addresses[0] || null;
+
+// the copy kept on an order, without the address book's own id and flags
+export const addressSnapshot = (address) =>
+  Object.fromEntries(FIELDS.map((field) => [field, address[field] || ""]));
+
+// the tax region an address is in
+export const addressTaxRegion = (address) => address.region || address.country;
@@ -0,0 +1,106 @@
+import {
+  addressSnapshot,
+  addressTaxRegion,
+  pickShippingAddress,
+  readAddress,
+  withDefaults,
+} from './addressHelper.js';
+
+const home = {
+  _id: 'a1', recipient: 'Ann Lee', line1: '1 Main St', line2: '', city: 'Oakland',
+  region: 'CA', postalCode: '94601', country: 'US', phone: '', isDefaultShipping: true, isDefaultBilling: true,
+};
+const office = {
+  _id: 'a2', recipient: 'Ann Lee', line1: '9 Work Rd', line2: 'Floor 2', city: 'Toronto',
+  region: '', postalCode: 'M5V', country: 'CA-ON', phone: '555', isDefaultShipping: false, isDefaultBilling: false,
+};
+
+describe('addressHelper', () => {
+  describe('readAddress', () => {
+    it('trims the fields and reads the default flags', () => {
+      expect(
+        readAddress({
+          recipient: ' Ann Lee ', line1: '1 Main St ', city: 'Oakland', region: 'CA',
+          postalCode: '94601', country: 'US', isDefaultShipping: true, extra: 'ignored',
+        }),
+      ).toEqual({
+        address: {
+          recipient: 'Ann Lee', line1: '1 Main St', line2: '', city: 'Oakland', region: 'CA',
+          postalCode: '94601', country: 'US', phone: '',
+        },
+        isDefaultShipping: true,
+        isDefaultBilling: false,
+      });
+    });
+
+    it.each([
+      ['recipient', 'Recipient is required'],
+      ['line1', 'Address line 1 is required'],
+      ['city', 'City is required'],
+      ['postalCode', 'Postal code is required'],
+      ['country', 'Country is required'],
+    ])('requires %s', (field, message) => {
+      const body = { recipient: 'Ann', line1: '1 Main St', city: 'Oakland', postalCode: '94601', country: 'US' };
+      expect(readAddress({ ...body, [field]: '  ' })).toEqual({ error: message });
+    });
+
+    it('treats a missing body as empty', () => {
+      expect(readAddress()).toEqual({ error: 'Recipient is required' });
+    });
+  });
+
+  describe('withDefaults', () => {
+    it('moves the flags that are set to the given address', () => {
+      const next = withDefaults([home, office], 'a2', { isDefaultShipping: true });
+
+      expect(next.map((a) => [a.isDefaultShipping, a.isDefaultBilling])).toEqual([
+        [false, true],
+        [true, false],
+      ]);
+    });
+
+    it('makes the first address the default when none is', () => {
+      const next = withDefaults([{ ...office }, { ...home, isDefaultShipping: false, isDefaultBilling: false }]);
+
+      expect(next[0]).toMatchObject({ _id: 'a2', isDefaultShipping: true, isDefaultBilling: true });
+      expect(next[1]).toMatchObject({ isDefaultShipping: false, isDefaultBilling: false });
+    });
+
+    it('works on mongoose subdocuments and leaves the inputs alone', () => {
+      const doc = { toObject: () => ({ ...home }) };
+
+      expect(withDefaults([doc])).toEqual([home]);
+      expect(withDefaults([])).toEqual([]);
+    });
+  });
+
+  describe('pickShippingAddress', () => {
+    it('picks the asked for address', () => {
+      expect(pickShippingAddress([home, office], 'a2')).toBe(office);
+      expect(pickShippingAddress([home, office], 'nope')).toBeNull();
+    });
+
+    it('falls back to the default, then the first address', () => {
+      expect(pickShippingAddress([office, home])).toBe(home);
+      expect(pickShippingAddress([office])).toBe(office);
+      expect(pickShippingAddress([])).toBeNull();
+      expect(pickShippingAddress(undefined)).toBeNull();
+    });
+  });
+
+  describe('addressSnapshot', () => {
+    it('copies the address without its id or flags', () => {
+      expect(addressSnapshot(office)).toEqual({
+        recipient: 'Ann Lee', line1: '9 Work Rd', line2: 'Floor 2', city: 'Toronto',
+        region: '', postalCode: 'M5V', country: 'CA-ON', phone: '555',
+      });
+    });
+  });
+
+  describe('addressTaxRegion', () => {
+    it('uses the region and falls back to the country', () => {
+      expect(addressTaxRegion(home)).toBe('CA');
+      expect(addressTaxRegion(office)).toBe('CA-ON');
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import braintree from "braintree";
+
+// runs a braintree callback-style call as a promise
+const call = (fn) =>
+  new Promise((resolve, reject) => {
+    fn((error, result) => (error ? reject(error) : resolve(result)));
+  });
+
+// payment provider backed by the braintree sandbox; results are braintree's
+// own objects so `success` and `transaction.id` are stored on orders as before
+export const createBraintreeProvider = () => {
+  const gateway = new braintree.BraintreeGateway({
+    environment: braintree.Environment.Sandbox,
+    merchantId: process.env.BRAINTREE_MERCHANT_ID,
+    publicKey: process.env.BRAINTREE_PUBLIC_KEY,
+    privateKey: process.env.BRAINTREE_PRIVATE_KEY,
+  });
+  return {
+    name: "braintree",
+    generateToken: () => call((done) => gateway.clientToken.generate({}, done)),
+    sale: ({ amount, nonce }) =>
+      call((done) =>
+        gateway.transaction.sale(
+          {
+            amount,
+            paymentMethodNonce: nonce,
+            options: {
+              submitForSettlement: true,
+            },
+          },
+          done
+        )
+      ),
+    getTransaction: (transactionId) =>
+      call((done) => gateway.transaction.find(transactionId, done)),
+    void: (transactionId) =>
+      call((done) => gateway.transaction.void(transactionId, done)),
+    refund: (transactionId, amount) =>
+      call((done) => gateway.transaction.refund(transactionId, amount, done)),
+  };
+};
@@ -0,0 +1,78 @@
+import braintree from 'braintree';
+import { createBraintreeProvider } from './braintreeProvider.js';
+
+const mockGateway = {
+  clientToken: { generate: jest.fn() },
+  transaction: {
+    sale: jest.fn(),
+    find: jest.fn(),
+    void: jest.fn(),
+    refund: jest.fn(),
+  },
+};
+
+jest.mock('braintree', () => ({
+  BraintreeGateway: jest.fn(() => mockGateway),
+  Environment: { Sandbox: 'sandbox' },
+}));
+
+describe('braintreeProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = createBraintreeProvider();
+  });
+
+  it('connects to the sandbox with credentials from the environment', () => {
+    expect(provider.name).toBe('braintree');
+    expect(braintree.BraintreeGateway).toHaveBeenCalledWith(
+      expect.objectContaining({ environment: 'sandbox' }),
+    );
+  });
+
+  it('resolves the client token response', async () => {
+    const response = { success: true, clientToken: 'abc' };
+    mockGateway.clientToken.generate.mockImplementation((opts, cb) => cb(null, response));
+
+    await expect(provider.generateToken()).resolves.toBe(response);
+  });
+
+  it('rejects when braintree reports an error', async () => {
+    const error = new Error('bad credentials');
+    mockGateway.clientToken.generate.mockImplementation((opts, cb) => cb(error));
+
+    await expect(provider.generateToken()).rejects.toBe(error);
+  });
+
+  it('rejects when the braintree call throws', async () => {
+    const error = new Error('not initialized');
+    mockGateway.transaction.sale.mockImplementation(() => {
+      throw error;
+    });
+
+    await expect(provider.sale({ amount: 10, nonce: 'n' })).rejects.toBe(error);
+  });
+
+  it('submits sales for settlement with the nonce', async () => {
+    const result = { success: true, transaction: { id: 't1' } };
+    mockGateway.transaction.sale.mockImplementation((opts, cb) => cb(null, result));
+
+    await expect(provider.sale({ amount: 25, nonce: 'n' })).resolves.toBe(result);
+    expect(mockGateway.transaction.sale).toHaveBeenCalledWith(
+      { amount: 25, paymentMethodNonce: 'n', options: { submitForSettlement: true } },
+      expect.any(Function),
+    );
+  });
+
+  it('looks up, voids and refunds transactions by id', async () => {
+    mockGateway.transaction.find.mockImplementation((id, cb) => cb(null, { id, status: 'settled' }));
+    mockGateway.transaction.void.mockImplementation((id, cb) => cb(null, { success: true }));
+    mockGateway.transaction.refund.mockImplementation((id, amount, cb) => cb(null, { success: true }));
+
+    await expect(provider.getTransaction('t1')).resolves.toEqual({ id: 't1', status: 'settled' });
+    await expect(provider.void('t1')).resolves.toEqual({ success: true });
+    await expect(provider.refund('t1', '5.00')).resolves.toEqual({ success: true });
+    expect(mockGateway.transaction.refund).toHaveBeenCalledWith('t1', '5.00', expect.any(Function));
+  });
+});
@@ -0,0 +1,139 @@
+import crypto from "crypto";
+
+// HTTP caching for catalog reads and product photos. Responses carry an
+// ETag and Last-Modified taken from the products' `updatedAt`, so a
+// browser that already has the current copy gets a 304 with no body.
+// Photo URLs that carry the product's version (`?v=<updatedAt in ms>`)
+// never change content and may be kept for a year.
+
+export const PHOTO_MAX_AGE = 31536000;
+
+// A small in-process cache with a time limit per entry; the oldest
+// entries go first once it holds `max` of them.
+export const createCache = ({ ttl = 60000, max = 500 } = {}) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expires: Date.now() + ttl });
+    while (entries.size > max) entries.delete(entries.keys().next().value);
+    return value;
+  };
+
+  // the cached value for `key`, loading and keeping it when missing
+  const remember = async (key, load) => {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+    return set(key, await load());
+  };
+
+  return {
+    get,
+    set,
+    remember,
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    },
+  };
+};
+
+// Hot catalog queries: product listings, single products and categories.
+// Cleared whenever a product or category is written to; the time limit
+// bounds how stale a listing can get from writes made elsewhere.
+export const catalogCache = createCache({ ttl: 60000 });
+
+export const invalidateCatalog = () => catalogCache.clear();
+
+// Search suggestions, one entry per text typed. Kept apart so that the
+// many short-lived texts do not push the hot catalog queries out, and
+// left to expire rather than cleared by catalog writes: a new or renamed
+// product shows up within the time limit.
+export const suggestionCache = createCache({ ttl: 60000, max: 2000 });
+
+const toTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+// the version photo URLs carry: the product's last update in ms
+export const photoVersion = (product) => {
+  const time = toTime(product?.updatedAt);
+  return time === null ? null : String(time);
+};
+
+// Stock and rating counters change without touching `updatedAt`, so that
+// photo versions hold; the ETag of a response showing them takes them in.
+const counters = (doc) =>
+  [doc.quantity, doc.ratingAverage, doc.ratingCount, ...(doc.variants || []).map((v) => v.quantity)]
+    .map((value) => value ?? "")
+    .join("/");
+
+// An ETag and Last-Modified for a list of documents (or one), from their
+// ids, update times and counters. `tag` tells apart responses built from
+// the same documents, such as the sizes of a photo.
+export const validatorsFor = (docs, tag = "") => {
+  const list = (Array.isArray(docs) ? docs : [docs]).filter(Boolean);
+  const times = list.map((doc) => toTime(doc.updatedAt));
+  const hash = crypto
+    .createHash("sha1")
+    .update(tag)
+    .update(list.map((doc, i) => `${doc._id}:${times[i] ?? ""}:${counters(doc)}`).join(","))
+    .digest("base64url");
+  const known = times.filter((time) => time !== null);
+  return {
+    etag: `W/"${hash}"`,
+    lastModified: known.length ? new Date(Math.max(...known)) : null,
+  };
+};
+
+// the headers a cacheable response is sent with
+export const cacheHeaders = ({ etag, lastModified }, cacheControl = "no-cache") => ({
+  "Cache-Control": cacheControl,
+  ETag: etag,
+  ...(lastModified && { "Last-Modified": lastModified.toUTCString() }),
+});
+
+const opaque = (etag) => etag.trim().replace(/^W\//, "");
+
+// whether the copy the client already holds is current: If-None-Match is
+// compared when sent, otherwise If-Modified-Since
+export const isFresh = (req, { etag, lastModified }) => {
+  const noneMatch = req.headers?.["if-none-match"];
+  if (noneMatch) {
+    return (
+      noneMatch.trim() === "*" ||
+      noneMatch.split(",").some((tag) => opaque(tag) === opaque(etag))
+    );
+  }
+  const since = Date.parse(req.headers?.["if-modified-since"] || "");
+  if (!lastModified || Number.isNaN(since)) return false;
+  // HTTP dates have no milliseconds
+  return Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+};
+
+// Set the cache headers and answer 304 when the client's copy is
+// current; true when the response has been sent.
+export const notModified = (req, res, validators, cacheControl) => {
+  res.set(cacheHeaders(validators, cacheControl));
+  if (!isFresh(req, validators)) return false;
+  res.status(304).end();
+  return true;
+};
+
+// Cache-Control for a photo: a year when the URL carries the current
+// version, else the browser checks back each time
+export const photoCacheControl = (req, version) =>
+  version !== null && req.query?.v === version
+    ? `public, max-age=${PHOTO_MAX_AGE}, immutable`
+    : "no-cache";
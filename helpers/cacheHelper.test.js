@@ -0,0 +1,216 @@
+import {
+  PHOTO_MAX_AGE,
+  cacheHeaders,
+  catalogCache,
+  createCache,
+  invalidateCatalog,
+  isFresh,
+  notModified,
+  photoCacheControl,
+  photoVersion,
+  validatorsFor,
+} from "./cacheHelper.js";
+
+const makeRes = () => {
+  const res = {};
+  res.set = jest.fn().mockReturnValue(res);
+  res.status = jest.fn().mockReturnValue(res);
+  res.end = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const older = { _id: "a", updatedAt: new Date("2024-03-01T10:00:00.500Z") };
+const newer = { _id: "b", updatedAt: new Date("2024-03-02T10:00:00.000Z") };
+
+describe("createCache", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("keeps values until their time is up", () => {
+    jest.useFakeTimers();
+    const cache = createCache({ ttl: 1000 });
+    cache.set("k", 1);
+
+    jest.advanceTimersByTime(999);
+    expect(cache.get("k")).toBe(1);
+    jest.advanceTimersByTime(1);
+    expect(cache.get("k")).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+
+  it("lets the oldest entries go once full", () => {
+    const cache = createCache({ max: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.set("a", 3);
+    cache.set("c", 4);
+
+    expect(cache.get("b")).toBeUndefined();
+    expect(cache.get("a")).toBe(3);
+    expect(cache.get("c")).toBe(4);
+  });
+
+  it("loads a missing value once and keeps it, null included", async () => {
+    const cache = createCache();
+    const load = jest.fn().mockResolvedValue(null);
+
+    expect(await cache.remember("k", load)).toBeNull();
+    expect(await cache.remember("k", load)).toBeNull();
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps nothing when loading fails", async () => {
+    const cache = createCache();
+
+    await expect(cache.remember("k", () => Promise.reject(new Error("db down")))).rejects.toThrow(
+      "db down"
+    );
+    expect(cache.size).toBe(0);
+  });
+
+  it("clears the catalog cache", () => {
+    catalogCache.set("categories", []);
+
+    invalidateCatalog();
+
+    expect(catalogCache.get("categories")).toBeUndefined();
+  });
+});
+
+describe("validatorsFor", () => {
+  it("takes the latest update as Last-Modified", () => {
+    expect(validatorsFor([newer, older]).lastModified).toEqual(newer.updatedAt);
+    expect(validatorsFor(older).lastModified).toEqual(older.updatedAt);
+  });
+
+  it("gives a weak ETag that changes with the documents, their updates and the tag", () => {
+    const { etag } = validatorsFor([older, newer]);
+
+    expect(etag).toMatch(/^W\/"[\w-]+"$/);
+    expect(validatorsFor([older, newer]).etag).toBe(etag);
+    expect(validatorsFor([newer, older]).etag).not.toBe(etag);
+    expect(validatorsFor([older]).etag).not.toBe(etag);
+    expect(
+      validatorsFor([older, { ...newer, updatedAt: new Date("2024-03-03") }]).etag
+    ).not.toBe(etag);
+    expect(validatorsFor([older, newer], "thumbnail").etag).not.toBe(etag);
+  });
+
+  it("changes the ETag with the stock and rating counters, which keep updatedAt", () => {
+    const lamp = { ...older, quantity: 3, ratingAverage: 4, ratingCount: 2 };
+    const { etag, lastModified } = validatorsFor(lamp);
+
+    expect(validatorsFor({ ...lamp, quantity: 2 }).etag).not.toBe(etag);
+    expect(validatorsFor({ ...lamp, ratingCount: 3 }).etag).not.toBe(etag);
+    expect(
+      validatorsFor({ ...lamp, variants: [{ quantity: 1 }] }).etag
+    ).not.toBe(validatorsFor({ ...lamp, variants: [{ quantity: 0 }] }).etag);
+    expect(validatorsFor({ ...lamp, quantity: 2 }).lastModified).toEqual(lastModified);
+  });
+
+  it("has no Last-Modified for documents without update times", () => {
+    expect(validatorsFor([{ _id: "c" }]).lastModified).toBeNull();
+    expect(validatorsFor(null).lastModified).toBeNull();
+  });
+});
+
+describe("isFresh", () => {
+  const validators = validatorsFor([older, newer]);
+  const fresh = (headers) => isFresh({ headers }, validators);
+
+  it("matches If-None-Match against the ETag, weak or not", () => {
+    const opaque = validators.etag.slice(2);
+
+    expect(fresh({ "if-none-match": validators.etag })).toBe(true);
+    expect(fresh({ "if-none-match": opaque })).toBe(true);
+    expect(fresh({ "if-none-match": `"other", ${validators.etag}` })).toBe(true);
+    expect(fresh({ "if-none-match": "*" })).toBe(true);
+    expect(fresh({ "if-none-match": '"other"' })).toBe(false);
+  });
+
+  it("compares If-Modified-Since to the second", () => {
+    expect(fresh({ "if-modified-since": newer.updatedAt.toUTCString() })).toBe(true);
+    expect(fresh({ "if-modified-since": "Sat, 02 Mar 2024 09:59:59 GMT" })).toBe(false);
+    expect(
+      isFresh(
+        { headers: { "if-modified-since": older.updatedAt.toUTCString() } },
+        validatorsFor(older)
+      )
+    ).toBe(true);
+  });
+
+  it("lets If-None-Match decide when both are sent", () => {
+    expect(
+      fresh({
+        "if-none-match": '"other"',
+        "if-modified-since": newer.updatedAt.toUTCString(),
+      })
+    ).toBe(false);
+  });
+
+  it("is not fresh without conditions or with a date it cannot read", () => {
+    expect(isFresh({}, validators)).toBe(false);
+    expect(fresh({ "if-modified-since": "yesterday-ish" })).toBe(false);
+    expect(
+      isFresh(
+        { headers: { "if-modified-since": newer.updatedAt.toUTCString() } },
+        validatorsFor({ _id: "c" })
+      )
+    ).toBe(false);
+  });
+});
+
+describe("notModified", () => {
+  const validators = validatorsFor(newer);
+
+  it("sets the cache headers and lets the response go on for a new copy", () => {
+    const res = makeRes();
+
+    expect(notModified({ headers: {} }, res, validators)).toBe(false);
+    expect(res.set).toHaveBeenCalledWith({
+      "Cache-Control": "no-cache",
+      ETag: validators.etag,
+      "Last-Modified": "Sat, 02 Mar 2024 10:00:00 GMT",
+    });
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it("answers 304 with no body when the client's copy is current", () => {
+    const res = makeRes();
+
+    expect(
+      notModified({ headers: { "if-none-match": validators.etag } }, res, validators)
+    ).toBe(true);
+    expect(res.status).toHaveBeenCalledWith(304);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it("leaves Last-Modified out when there is none", () => {
+    expect(cacheHeaders(validatorsFor({ _id: "c" }), "public")).toEqual({
+      "Cache-Control": "public",
+      ETag: expect.any(String),
+    });
+  });
+});
+
+describe("photo caching", () => {
+  it("versions photos by the product's last update", () => {
+    expect(photoVersion(newer)).toBe(String(newer.updatedAt.getTime()));
+    expect(photoVersion({ updatedAt: "2024-03-02T10:00:00.000Z" })).toBe(
+      String(newer.updatedAt.getTime())
+    );
+    expect(photoVersion({})).toBeNull();
+  });
+
+  it("keeps a photo for a year only under its current version", () => {
+    const version = photoVersion(newer);
+
+    expect(photoCacheControl({ query: { v: version } }, version)).toBe(
+      `public, max-age=${PHOTO_MAX_AGE}, immutable`
+    );
+    expect(photoCacheControl({ query: { v: "1" } }, version)).toBe("no-cache");
+    expect(photoCacheControl({ query: {} }, version)).toBe("no-cache");
+    expect(photoCacheControl({ query: { v: "null" } }, null)).toBe("no-cache");
+  });
+});
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+import productModel from "../models/productModel.js";
+import { roundPrice } from "./priceHelper.js";
+import { findVariant, lineKey, unitPrice, variantName } from "./variantHelper.js";
+
+export const isQuantity = (value) => Number.isInteger(value) && value >= 1;
+
+export const isVariantId = (value) => value === undefined || mongoose.isValidObjectId(value);
+
+// a list of { productId, variantId, quantity } lines as sent by the client,
+// variantId only for products sold in variants
+export const isCartItems = (items) =>
+  Array.isArray(items) &&
+  items.every(
+    (item) =>
+      mongoose.isValidObjectId(item?.productId) &&
+      isVariantId(item?.variantId) &&
+      isQuantity(item?.quantity)
+  );
+
+// The lines of a cart sent by the client, checked with isCartItems, priced
+// like the payment will be: each with its product, the variant bought, the
+// unit price and the line total. Lines for products since deleted are
+// left out. `fields` names the other product fields the caller needs.
+export const pricedCartLines = async (items, fields = "") => {
+  const products = await productModel
+    .find({ _id: { $in: items.map((item) => item.productId) } })
+    .select(`price variants._id variants.price ${fields}`.trim());
+  const byId = new Map(products.map((product) => [String(product._id), product]));
+  return items
+    .filter((item) => byId.has(String(item.productId)))
+    .map((item) => {
+      const product = byId.get(String(item.productId));
+      const variant = findVariant(product, item.variantId);
+      const price = unitPrice(product, variant);
+      return {
+        product,
+        variant,
+        price,
+        quantity: item.quantity,
+        total: roundPrice(price * item.quantity),
+      };
+    });
+};
+
+// Combine the cart a guest built before signing in with the account's saved
+// cart. Quantities for the same product, or the same variant of it, add up
+// but never past what is in stock, and lines for products or variants that
+// were deleted or sold out are dropped. `changes` says what happened so the
+// shopper can be told.
+export const mergeCartItems = (saved, guest, products) => {
+  const stock = new Map(products.map((product) => [String(product._id), product]));
+  const lines = new Map();
+  const lineFor = (item) => {
+    const key = lineKey(item.product, item.variant);
+    if (!lines.has(key)) {
+      lines.set(key, { product: item.product, variant: item.variant, saved: 0, guest: 0 });
+    }
+    return lines.get(key);
+  };
+  saved.forEach((item) => {
+    lineFor(item).saved += item.quantity;
+  });
+  guest.forEach((item) => {
+    lineFor(item).guest += item.quantity;
+  });
+
+  const items = [];
+  const changes = { added: [], combined: [], capped: [], removed: 0 };
+  for (const line of lines.values()) {
+    const product = stock.get(String(line.product));
+    const variant = line.variant ? findVariant(product, line.variant) : null;
+    const available = line.variant ? variant?.quantity : product?.quantity;
+    if (!product || !(available > 0)) {
+      changes.removed += 1;
+      continue;
+    }
+    const wanted = line.saved + line.guest;
+    const quantity = Math.min(wanted, available);
+    items.push(
+      variant
+        ? { product: product._id, variant: variant._id, quantity }
+        : { product: product._id, quantity }
+    );
+    const name = variant ? `${product.name} (${variantName(variant)})` : product.name;
+    if (line.guest && line.saved) changes.combined.push(name);
+    else if (line.guest) changes.added.push(name);
+    if (quantity < wanted) changes.capped.push({ name, quantity });
+  }
+  return { items, changes };
+};
@@ -0,0 +1,169 @@
+import productModel from "../models/productModel.js";
+import { isCartItems, mergeCartItems, pricedCartLines } from "./cartHelper.js";
+
+jest.mock("../models/productModel.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+
+const lamp = { _id: "p1", name: "Lamp", quantity: 5 };
+const rug = { _id: "p2", name: "Rug", quantity: 2 };
+const vase = { _id: "p3", name: "Vase", quantity: 0 };
+
+describe("mergeCartItems", () => {
+  it("adds guest lines the account cart does not have", () => {
+    const { items, changes } = mergeCartItems(
+      [{ product: "p1", quantity: 1 }],
+      [{ product: "p2", quantity: 1 }],
+      [lamp, rug]
+    );
+
+    expect(items).toEqual([
+      { product: "p1", quantity: 1 },
+      { product: "p2", quantity: 1 },
+    ]);
+    expect(changes).toEqual({ added: ["Rug"], combined: [], capped: [], removed: 0 });
+  });
+
+  it("sums quantities for a product in both carts", () => {
+    const { items, changes } = mergeCartItems(
+      [{ product: "p1", quantity: 2 }],
+      [{ product: "p1", quantity: 1 }],
+      [lamp]
+    );
+
+    expect(items).toEqual([{ product: "p1", quantity: 3 }]);
+    expect(changes.combined).toEqual(["Lamp"]);
+  });
+
+  it("caps the summed quantity at the stock left", () => {
+    const { items, changes } = mergeCartItems(
+      [{ product: "p2", quantity: 2 }],
+      [{ product: "p2", quantity: 2 }],
+      [rug]
+    );
+
+    expect(items).toEqual([{ product: "p2", quantity: 2 }]);
+    expect(changes.capped).toEqual([{ name: "Rug", quantity: 2 }]);
+  });
+
+  it("drops deleted and sold out products from either cart", () => {
+    const { items, changes } = mergeCartItems(
+      [{ product: "gone", quantity: 1 }],
+      [
+        { product: "p3", quantity: 1 },
+        { product: "p1", quantity: 1 },
+      ],
+      [lamp, vase]
+    );
+
+    expect(items).toEqual([{ product: "p1", quantity: 1 }]);
+    expect(changes).toEqual({ added: ["Lamp"], combined: [], capped: [], removed: 2 });
+  });
+
+  it("keeps the saved cart as it is when the guest cart is empty", () => {
+    const { items, changes } = mergeCartItems([{ product: "p1", quantity: 2 }], [], [lamp]);
+
+    expect(items).toEqual([{ product: "p1", quantity: 2 }]);
+    expect(changes).toEqual({ added: [], combined: [], capped: [], removed: 0 });
+  });
+
+  it("merges each variant of a product on its own, within that variant's stock", () => {
+    const tee = {
+      _id: "p4",
+      name: "Tee",
+      quantity: 3,
+      variants: [
+        { _id: "v1", options: [{ name: "Size", value: "S" }], quantity: 2 },
+        { _id: "v2", options: [{ name: "Size", value: "M" }], quantity: 1 },
+        { _id: "v3", options: [{ name: "Size", value: "L" }], quantity: 0 },
+      ],
+    };
+
+    const { items, changes } = mergeCartItems(
+      [{ product: "p4", variant: "v1", quantity: 1 }],
+      [
+        { product: "p4", variant: "v1", quantity: 2 },
+        { product: "p4", variant: "v2", quantity: 1 },
+        { product: "p4", variant: "v3", quantity: 1 },
+        { product: "p4", variant: "gone", quantity: 1 },
+      ],
+      [tee]
+    );
+
+    expect(items).toEqual([
+      { product: "p4", variant: "v1", quantity: 2 },
+      { product: "p4", variant: "v2", quantity: 1 },
+    ]);
+    expect(changes).toEqual({
+      added: ["Tee (M)"],
+      combined: ["Tee (S)"],
+      capped: [{ name: "Tee (S)", quantity: 2 }],
+      removed: 2,
+    });
+  });
+});
+
+describe("isCartItems", () => {
+  const id = "64b7f0c2a1b2c3d4e5f60718";
+
+  it("takes lines with a product, an optional variant and a quantity", () => {
+    expect(isCartItems([{ productId: id, quantity: 2 }])).toBe(true);
+    expect(isCartItems([{ productId: id, variantId: id, quantity: 1 }])).toBe(true);
+    expect(isCartItems([])).toBe(true);
+  });
+
+  it.each([
+    ["not a list", "nope"],
+    ["a bad product id", [{ productId: "bad", quantity: 1 }]],
+    ["a bad variant id", [{ productId: id, variantId: "v1", quantity: 1 }]],
+    ["no quantity", [{ productId: id, quantity: 0 }]],
+    ["part of a unit", [{ productId: id, quantity: 1.5 }]],
+  ])("turns down %s", (_, items) => {
+    expect(isCartItems(items)).toBe(false);
+  });
+});
+
+describe("pricedCartLines", () => {
+  const select = (products) => {
+    const query = { select: jest.fn().mockResolvedValue(products) };
+    productModel.find.mockReturnValue(query);
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("prices each line at its variant's price, or else the product's", async () => {
+    const tee = { _id: "p1", price: 10, variants: [{ _id: "v1", price: 12.5 }] };
+    const mug = { _id: "p2", price: 4.1, variants: [] };
+    const query = select([tee, mug]);
+
+    const lines = await pricedCartLines(
+      [
+        { productId: "p1", variantId: "v1", quantity: 2 },
+        { productId: "p2", quantity: 3 },
+      ],
+      "category"
+    );
+
+    expect(productModel.find).toHaveBeenCalledWith({ _id: { $in: ["p1", "p2"] } });
+    expect(query.select).toHaveBeenCalledWith("price variants._id variants.price category");
+    expect(lines).toEqual([
+      { product: tee, variant: tee.variants[0], price: 12.5, quantity: 2, total: 25 },
+      { product: mug, variant: null, price: 4.1, quantity: 3, total: 12.3 },
+    ]);
+  });
+
+  it("leaves out products since deleted", async () => {
+    select([{ _id: "p1", price: 10 }]);
+
+    const lines = await pricedCartLines([
+      { productId: "p1", quantity: 1 },
+      { productId: "p9", quantity: 1 },
+    ]);
+
+    expect(lines.map((line) => line.product._id)).toEqual(["p1"]);
+  });
+});
@@ -0,0 +1,8 @@
+// Product and category names are compared without regard to case through
+// an index with this collation, so looking a name up by its start is a
+// range on the index rather than a regex over every name.
+export const NAME_COLLATION = { locale: "en", strength: 2 };
+
+// names starting with the text; U+FFFF sorts after every other character
+// under the collation, which closes the range
+export const namePrefixRange = (text) => ({ $gte: text, $lt: `${text}\uffff` });
@@ -0,0 +1,11 @@
+import { NAME_COLLATION, namePrefixRange } from "./collationHelper.js";
+
+describe("namePrefixRange", () => {
+  it("runs from the text up to anything that starts with it", () => {
+    expect(namePrefixRange("lam")).toEqual({ $gte: "lam", $lt: "lam\uffff" });
+  });
+
+  it("compares names whatever their case", () => {
+    expect(NAME_COLLATION).toEqual({ locale: "en", strength: 2 });
+  });
+});
@@ -0,0 +1,96 @@
+import couponModel from "../models/couponModel.js";
+import { roundPrice } from "./priceHelper.js";
+
+// codes are stored upper case, so shoppers can type them either way
+export const normalizeCode = (code) =>
+  typeof code === "string" ? code.trim().toUpperCase() : "";
+
+// how many times the user has already redeemed the coupon
+export const couponUses = (coupon, userId) =>
+  coupon.redemptions?.find((r) => String(r.user) === String(userId))?.uses || 0;
+
+// an unscoped coupon applies to every line
+const appliesTo = (coupon, line) => {
+  const products = coupon.products || [];
+  const categories = coupon.categories || [];
+  if (products.length === 0 && categories.length === 0) return true;
+  return (
+    products.some((id) => String(id) === String(line.product)) ||
+    categories.some((id) => String(id) === String(line.category))
+  );
+};
+
+const sumLines = (lines) => roundPrice(lines.reduce((sum, line) => sum + line.total, 0));
+
+// Work out what a coupon takes off the cart lines ({ product, category,
+// total }) for this user. The minimum spend is checked against the whole
+// cart; the discount only against the lines the coupon is scoped to.
+export const couponDiscount = (coupon, lines, userId, now = new Date()) => {
+  if (!coupon || !coupon.active) {
+    return { ok: false, message: "Coupon code is not valid" };
+  }
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+    return { ok: false, message: "Coupon has expired" };
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { ok: false, message: "Coupon has reached its usage limit" };
+  }
+  if (coupon.perUserLimit && couponUses(coupon, userId) >= coupon.perUserLimit) {
+    return { ok: false, message: "You have already used this coupon" };
+  }
+  const minSpend = coupon.minSpend || 0;
+  if (sumLines(lines) < minSpend) {
+    return {
+      ok: false,
+      message: `Spend at least $${minSpend.toFixed(2)} to use this coupon`,
+    };
+  }
+  const eligible = sumLines(lines.filter((line) => appliesTo(coupon, line)));
+  if (eligible === 0) {
+    return { ok: false, message: "Coupon does not apply to any item in your cart" };
+  }
+  const discount =
+    coupon.type === "percent"
+      ? roundPrice((eligible * coupon.value) / 100)
+      : roundPrice(Math.min(coupon.value, eligible));
+  return { ok: true, discount };
+};
+
+// look a code up and price it against the cart lines
+export const applyCoupon = async (code, lines, userId) => {
+  const coupon = await couponModel.findOne({ code: normalizeCode(code) });
+  const result = couponDiscount(coupon, lines, userId);
+  return result.ok ? { ...result, coupon } : result;
+};
+
+// Count one use of the coupon for the user. The limits are part of each
+// update's filter, so two checkouts racing for the last use cannot both
+// win. A first use pushes a redemption, later ones add to it; the second
+// add covers a first use that lost a race with another checkout.
+export const claimCoupon = async (coupon, userId) => {
+  const limit = coupon.usageLimit ? { usedCount: { $lt: coupon.usageLimit } } : {};
+  const uses = coupon.perUserLimit ? { $lt: coupon.perUserLimit } : { $gte: 0 };
+  const addUse = () =>
+    couponModel.updateOne(
+      { _id: coupon._id, ...limit, redemptions: { $elemMatch: { user: userId, uses } } },
+      { $inc: { usedCount: 1, "redemptions.$.uses": 1 } }
+    );
+  const firstUse = () =>
+    couponModel.updateOne(
+      { _id: coupon._id, ...limit, "redemptions.user": { $ne: userId } },
+      { $inc: { usedCount: 1 }, $push: { redemptions: { user: userId, uses: 1 } } }
+    );
+  for (const attempt of [addUse, firstUse, addUse]) {
+    const result = await attempt();
+    if (result?.modifiedCount === 1) return true;
+  }
+  return false;
+};
+
+// give back a use claimed by a checkout that did not go through
+export const releaseCoupon = async (coupon, userId) => {
+  await couponModel.updateOne(
+    { _id: coupon._id, "redemptions.user": userId },
+    { $inc: { usedCount: -1, "redemptions.$.uses": -1 } }
+  );
+};
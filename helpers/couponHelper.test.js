@@ -0,0 +1,170 @@
+import couponModel from '../models/couponModel.js';
+import {
+  applyCoupon,
+  claimCoupon,
+  couponDiscount,
+  couponUses,
+  normalizeCode,
+  releaseCoupon,
+} from './couponHelper.js';
+
+jest.mock('../models/couponModel.js', () => ({
+  __esModule: true,
+  default: { findOne: jest.fn(), updateOne: jest.fn() },
+}));
+
+const lines = [
+  { product: 'p1', category: 'c1', total: 30 },
+  { product: 'p2', category: 'c2', total: 20 },
+];
+
+const makeCoupon = (overrides = {}) => ({
+  _id: 'coupon1',
+  code: 'SAVE',
+  type: 'percent',
+  value: 10,
+  minSpend: 0,
+  usedCount: 0,
+  redemptions: [],
+  categories: [],
+  products: [],
+  active: true,
+  ...overrides,
+});
+
+describe('couponHelper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('normalizes codes to trimmed upper case', () => {
+    expect(normalizeCode(' save10 ')).toBe('SAVE10');
+    expect(normalizeCode(undefined)).toBe('');
+  });
+
+  it('counts how often a user has redeemed a coupon', () => {
+    const coupon = makeCoupon({ redemptions: [{ user: 'u1', uses: 2 }] });
+
+    expect(couponUses(coupon, 'u1')).toBe(2);
+    expect(couponUses(coupon, 'u2')).toBe(0);
+  });
+
+  describe('couponDiscount', () => {
+    it('takes a percentage off the whole cart', () => {
+      expect(couponDiscount(makeCoupon(), lines, 'u1')).toEqual({ ok: true, discount: 5 });
+    });
+
+    it('takes a fixed amount off, never more than the cart is worth', () => {
+      expect(couponDiscount(makeCoupon({ type: 'fixed', value: 15 }), lines, 'u1')).toEqual({
+        ok: true,
+        discount: 15,
+      });
+      expect(couponDiscount(makeCoupon({ type: 'fixed', value: 80 }), lines, 'u1').discount).toBe(50);
+    });
+
+    it('only discounts the products or categories it is scoped to', () => {
+      expect(couponDiscount(makeCoupon({ products: ['p2'] }), lines, 'u1').discount).toBe(2);
+      expect(couponDiscount(makeCoupon({ categories: ['c1'] }), lines, 'u1').discount).toBe(3);
+      expect(couponDiscount(makeCoupon({ categories: ['c9'] }), lines, 'u1')).toEqual({
+        ok: false,
+        message: 'Coupon does not apply to any item in your cart',
+      });
+    });
+
+    it('checks the minimum spend against the whole cart', () => {
+      expect(couponDiscount(makeCoupon({ minSpend: 50, products: ['p2'] }), lines, 'u1').ok).toBe(true);
+      expect(couponDiscount(makeCoupon({ minSpend: 60 }), lines, 'u1')).toEqual({
+        ok: false,
+        message: 'Spend at least $60.00 to use this coupon',
+      });
+    });
+
+    it.each([
+      ['a missing coupon', null, 'Coupon code is not valid'],
+      ['an inactive coupon', makeCoupon({ active: false }), 'Coupon code is not valid'],
+      ['an expired coupon', makeCoupon({ expiresAt: new Date('2020-01-01') }), 'Coupon has expired'],
+      ['a used up coupon', makeCoupon({ usageLimit: 3, usedCount: 3 }), 'Coupon has reached its usage limit'],
+      [
+        'a coupon the user has used up',
+        makeCoupon({ perUserLimit: 1, redemptions: [{ user: 'u1', uses: 1 }] }),
+        'You have already used this coupon',
+      ],
+    ])('refuses %s', (_, coupon, message) => {
+      expect(couponDiscount(coupon, lines, 'u1')).toEqual({ ok: false, message });
+    });
+
+    it('accepts a coupon until its expiry', () => {
+      const coupon = makeCoupon({ expiresAt: new Date('2030-01-01') });
+
+      expect(couponDiscount(coupon, lines, 'u1', new Date('2029-12-31')).ok).toBe(true);
+    });
+  });
+
+  describe('applyCoupon', () => {
+    it('looks the code up and returns the coupon with its discount', async () => {
+      const coupon = makeCoupon();
+      couponModel.findOne.mockResolvedValue(coupon);
+
+      const result = await applyCoupon('save', lines, 'u1');
+
+      expect(couponModel.findOne).toHaveBeenCalledWith({ code: 'SAVE' });
+      expect(result).toEqual({ ok: true, discount: 5, coupon });
+    });
+
+    it('reports an unknown code', async () => {
+      couponModel.findOne.mockResolvedValue(null);
+
+      expect(await applyCoupon('nope', lines, 'u1')).toEqual({
+        ok: false,
+        message: 'Coupon code is not valid',
+      });
+    });
+  });
+
+  describe('claimCoupon', () => {
+    it("adds to the user's redemption within both limits", async () => {
+      couponModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const claimed = await claimCoupon(makeCoupon({ usageLimit: 5, perUserLimit: 2 }), 'u1');
+
+      expect(claimed).toBe(true);
+      expect(couponModel.updateOne).toHaveBeenCalledTimes(1);
+      expect(couponModel.updateOne).toHaveBeenCalledWith(
+        {
+          _id: 'coupon1',
+          usedCount: { $lt: 5 },
+          redemptions: { $elemMatch: { user: 'u1', uses: { $lt: 2 } } },
+        },
+        { $inc: { usedCount: 1, 'redemptions.$.uses': 1 } },
+      );
+    });
+
+    it("records a user's first use", async () => {
+      couponModel.updateOne.mockResolvedValueOnce({ modifiedCount: 0 }).mockResolvedValueOnce({ modifiedCount: 1 });
+
+      expect(await claimCoupon(makeCoupon(), 'u1')).toBe(true);
+      expect(couponModel.updateOne).toHaveBeenLastCalledWith(
+        { _id: 'coupon1', 'redemptions.user': { $ne: 'u1' } },
+        { $inc: { usedCount: 1 }, $push: { redemptions: { user: 'u1', uses: 1 } } },
+      );
+    });
+
+    it('fails when every attempt hits a limit', async () => {
+      couponModel.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      expect(await claimCoupon(makeCoupon({ usageLimit: 1 }), 'u1')).toBe(false);
+      expect(couponModel.updateOne).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  it('releaseCoupon takes back one use', async () => {
+    couponModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    await releaseCoupon(makeCoupon(), 'u1');
+
+    expect(couponModel.updateOne).toHaveBeenCalledWith(
+      { _id: 'coupon1', 'redemptions.user': 'u1' },
+      { $inc: { usedCount: -1, 'redemptions.$.uses': -1 } },
+    );
+  });
+});
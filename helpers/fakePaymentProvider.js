@@ -0,0 +1,88 @@
+import { roundPrice } from "./priceHelper.js";
+
+// nonces understood by the fake, named after braintree's sandbox test nonces
+export const FAKE_VALID_NONCE = "fake-valid-nonce";
+export const FAKE_DECLINED_NONCE = "fake-processor-declined-visa-nonce";
+
+const VOIDABLE = ["authorized", "submitted_for_settlement"];
+const REFUNDABLE = ["settling", "settled"];
+
+// deterministic in-process provider for tests and offline development.
+// Transactions live in memory with sequential ids, sales wait for settle()
+// before they can be refunded, and results mirror braintree's shape.
+export const createFakePaymentProvider = () => {
+  const transactions = new Map();
+  let sequence = 0;
+
+  const record = (fields) => {
+    sequence += 1;
+    const transaction = { id: `fake_txn_${sequence}`, refunded: 0, ...fields };
+    transactions.set(transaction.id, transaction);
+    return transaction;
+  };
+  const view = ({ id, type, status, amount }) => ({
+    id,
+    type,
+    status,
+    amount: amount.toFixed(2),
+  });
+  const fail = (message, transaction) => ({
+    success: false,
+    message,
+    ...(transaction ? { transaction: view(transaction) } : {}),
+  });
+
+  return {
+    name: "fake",
+    generateToken: async () => ({
+      success: true,
+      clientToken: "fake-client-token",
+      provider: "fake",
+    }),
+    sale: async ({ amount, nonce }) => {
+      if (!nonce) return fail("Payment method nonce is required");
+      const value = roundPrice(Number(amount));
+      if (!(value > 0)) return fail("Amount must be greater than zero");
+      if (nonce === FAKE_DECLINED_NONCE) {
+        const declined = record({ type: "sale", status: "processor_declined", amount: value });
+        return fail("Processor Declined", declined);
+      }
+      const sale = record({ type: "sale", status: "submitted_for_settlement", amount: value });
+      return { success: true, transaction: view(sale) };
+    },
+    getTransaction: async (transactionId) => {
+      const transaction = transactions.get(transactionId);
+      if (!transaction) throw new Error(`Transaction ${transactionId} not found`);
+      return view(transaction);
+    },
+    void: async (transactionId) => {
+      const transaction = transactions.get(transactionId);
+      if (!transaction || !VOIDABLE.includes(transaction.status)) {
+        return fail("Transaction can only be voided before it settles", transaction);
+      }
+      transaction.status = "voided";
+      return { success: true, transaction: view(transaction) };
+    },
+    refund: async (transactionId, amount) => {
+      const sale = transactions.get(transactionId);
+      if (!sale || !REFUNDABLE.includes(sale.status)) {
+        return fail("Transaction can only be refunded once it has settled", sale);
+      }
+      const left = roundPrice(sale.amount - sale.refunded);
+      const value = amount === undefined ? left : roundPrice(Number(amount));
+      if (!(value > 0) || value > left) {
+        return fail("Refund amount is too large", sale);
+      }
+      sale.refunded = roundPrice(sale.refunded + value);
+      const credit = record({ type: "credit", status: "submitted_for_settlement", amount: value });
+      return { success: true, transaction: view(credit) };
+    },
+    // move a sale to settled, as braintree does in its nightly batch
+    settle: (transactionId) => {
+      const transaction = transactions.get(transactionId);
+      if (transaction && VOIDABLE.includes(transaction.status)) {
+        transaction.status = "settled";
+      }
+    },
+  };
+};
@@ -0,0 +1,94 @@
+import {
+  FAKE_DECLINED_NONCE,
+  FAKE_VALID_NONCE,
+  createFakePaymentProvider,
+} from './fakePaymentProvider.js';
+
+describe('fakePaymentProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createFakePaymentProvider();
+  });
+
+  it('hands out a token that tells the client no card form is needed', async () => {
+    await expect(provider.generateToken()).resolves.toEqual({
+      success: true,
+      clientToken: 'fake-client-token',
+      provider: 'fake',
+    });
+  });
+
+  it('charges a valid nonce with sequential transaction ids', async () => {
+    const first = await provider.sale({ amount: 25, nonce: FAKE_VALID_NONCE });
+    const second = await provider.sale({ amount: '10.5', nonce: FAKE_VALID_NONCE });
+
+    expect(first).toEqual({
+      success: true,
+      transaction: { id: 'fake_txn_1', type: 'sale', status: 'submitted_for_settlement', amount: '25.00' },
+    });
+    expect(second.transaction).toMatchObject({ id: 'fake_txn_2', amount: '10.50' });
+  });
+
+  it('declines the declined test nonce', async () => {
+    const result = await provider.sale({ amount: 25, nonce: FAKE_DECLINED_NONCE });
+
+    expect(result).toMatchObject({
+      success: false,
+      message: 'Processor Declined',
+      transaction: { status: 'processor_declined' },
+    });
+  });
+
+  it('fails a sale without a nonce or with a non-positive amount', async () => {
+    await expect(provider.sale({ amount: 25 })).resolves.toMatchObject({ success: false });
+    await expect(provider.sale({ amount: 0, nonce: FAKE_VALID_NONCE })).resolves.toMatchObject({
+      success: false,
+    });
+  });
+
+  it('voids a sale until it settles', async () => {
+    const { transaction } = await provider.sale({ amount: 25, nonce: FAKE_VALID_NONCE });
+
+    const result = await provider.void(transaction.id);
+
+    expect(result).toMatchObject({ success: true, transaction: { status: 'voided' } });
+    await expect(provider.getTransaction(transaction.id)).resolves.toMatchObject({ status: 'voided' });
+    await expect(provider.void(transaction.id)).resolves.toMatchObject({ success: false });
+  });
+
+  it('refuses to refund before settlement and to void after it', async () => {
+    const { transaction } = await provider.sale({ amount: 25, nonce: FAKE_VALID_NONCE });
+
+    await expect(provider.refund(transaction.id, '5.00')).resolves.toMatchObject({ success: false });
+    provider.settle(transaction.id);
+    await expect(provider.void(transaction.id)).resolves.toMatchObject({ success: false });
+  });
+
+  it('refunds a settled sale in parts up to the amount charged', async () => {
+    const { transaction } = await provider.sale({ amount: 25, nonce: FAKE_VALID_NONCE });
+    provider.settle(transaction.id);
+
+    const partial = await provider.refund(transaction.id, '10.00');
+    const tooMuch = await provider.refund(transaction.id, '20.00');
+    const rest = await provider.refund(transaction.id);
+
+    expect(partial).toMatchObject({ success: true, transaction: { type: 'credit', amount: '10.00' } });
+    expect(tooMuch).toMatchObject({ success: false, message: 'Refund amount is too large' });
+    expect(rest.transaction.amount).toBe('15.00');
+    await expect(provider.refund(transaction.id, '0.01')).resolves.toMatchObject({ success: false });
+  });
+
+  it('rejects lookups of unknown transactions', async () => {
+    await expect(provider.getTransaction('missing')).rejects.toThrow('Transaction missing not found');
+  });
+
+  it('keeps transactions separate between provider instances', async () => {
+    await provider.sale({ amount: 25, nonce: FAKE_VALID_NONCE });
+    const other = createFakePaymentProvider();
+
+    const { transaction } = await other.sale({ amount: 5, nonce: FAKE_VALID_NONCE });
+
+    expect(transaction.id).toBe('fake_txn_1');
+  });
+});
@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+import sharp from "sharp";
+import { parseList, text } from "./variantHelper.js";
+
+// Gallery images are kept in GridFS rather than in the product document.
+// Each upload is stored as sent along with two smaller webp renditions: a
+// thumbnail for listing cards and a medium size for the product page.
+export const IMAGE_BUCKET = "productImages";
+export const MAX_IMAGE_SIZE = 5000000;
+export const RENDITIONS = { thumbnail: 200, medium: 800 };
+export const IMAGE_SIZES = ["thumbnail", "medium", "original"];
+const RENDITION_TYPE = "image/webp";
+// Originals are served as uploaded, so only formats that cannot carry
+// script are taken: no SVG.
+export const IMAGE_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+};
+
+export const imageBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: IMAGE_BUCKET });
+
+// Check the gallery sent with a product form: an ordered list of
+// `{ _id, alt }` for images the product already has and `{ upload, alt }`
+// for files sent as `image<upload>`. Images left out are to be removed.
+export const readGallery = (input, existing = [], files = {}) => {
+  const list = parseList(input);
+  if (!list) return { error: "Invalid images" };
+  const entries = [];
+  const kept = new Set();
+  const uploads = new Set();
+  for (const raw of list) {
+    const alt = text(raw?.alt);
+    if (raw?._id !== undefined) {
+      const image = existing.find((i) => String(i._id) === String(raw._id));
+      if (!image) return { error: "Image not found" };
+      if (kept.has(String(image._id))) return { error: "An image is listed twice" };
+      kept.add(String(image._id));
+      entries.push({ image, alt });
+      continue;
+    }
+    const file = Number.isInteger(raw?.upload) ? files[`image${raw.upload}`] : null;
+    if (!file) return { error: "Image upload is missing" };
+    if (uploads.has(raw.upload)) return { error: "An image is listed twice" };
+    uploads.add(raw.upload);
+    if (!Object.values(IMAGE_TYPES).includes(file.type)) {
+      return { error: `${file.name || "Upload"} is not a JPEG, PNG, WebP or GIF image` };
+    }
+    if (file.size > MAX_IMAGE_SIZE) return { error: "Each image should be less than 5MB" };
+    entries.push({ file, alt });
+  }
+  const removed = existing.filter((image) => !kept.has(String(image._id)));
+  return { entries, removed };
+};
+
+// the thumbnail and medium renditions of an image, and the type of the
+// original as read from its content; rejects when the buffer is not a
+// JPEG, PNG, WebP or GIF image
+export const makeRenditions = async (buffer) => {
+  const { format } = await sharp(buffer).metadata();
+  if (!IMAGE_TYPES[format]) throw new Error(`Unsupported image format ${format}`);
+  const resize = (size) =>
+    sharp(buffer)
+      .rotate()
+      .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  const [thumbnail, medium] = await Promise.all([
+    resize(RENDITIONS.thumbnail),
+    resize(RENDITIONS.medium),
+  ]);
+  return { thumbnail, medium, contentType: IMAGE_TYPES[format] };
+};
+
+const upload = (buffer, filename, contentType) =>
+  new Promise((resolve, reject) => {
+    const stream = imageBucket().openUploadStream(filename, { contentType });
+    stream.once("error", reject);
+    stream.once("finish", () => resolve(stream.id));
+    stream.end(buffer);
+  });
+
+// delete the files of gallery images; files already gone are skipped
+export const removeImageFiles = async (images) => {
+  const bucket = imageBucket();
+  for (const image of images || []) {
+    for (const id of [image.original, image.medium, image.thumbnail]) {
+      if (!id) continue;
+      try {
+        await bucket.delete(id);
+      } catch (error) {
+        if (!/FileNotFound|File not found/i.test(error?.message || "")) throw error;
+      }
+    }
+  }
+};
+
+// store an image and its renditions, returning the gallery entry
+export const saveImage = async (buffer, renditions, { name, contentType, alt }) => {
+  const image = { alt, contentType };
+  try {
+    image.original = await upload(buffer, name, contentType);
+    image.medium = await upload(renditions.medium, `medium-${name}`, RENDITION_TYPE);
+    image.thumbnail = await upload(renditions.thumbnail, `thumbnail-${name}`, RENDITION_TYPE);
+  } catch (error) {
+    await removeImageFiles([image]);
+    throw error;
+  }
+  return image;
+};
+
+// the file and type to send for one size of a gallery image
+export const imageFile = (image, size) =>
+  size === "original" || !image[size]
+    ? { id: image.original, contentType: image.contentType }
+    : { id: image[size], contentType: RENDITION_TYPE };
+
+// stream one size of a gallery image as the response, with `headers`
+// once the file is found
+export const sendImage = (res, image, size, headers = {}) => {
+  const { id, contentType } = imageFile(image, size);
+  const stream = imageBucket().openDownloadStream(id);
+  stream.once("error", (error) => {
+    console.log(error);
+    if (res.headersSent) return res.end();
+    res.status(404).send({
+      success: false,
+      message: "Photo Not Found",
+    });
+  });
+  stream.once("file", () => {
+    res.set(headers);
+    res.set("Content-type", contentType);
+    res.status(200);
+  });
+  stream.pipe(res);
+};
@@ -0,0 +1,263 @@
+import { EventEmitter } from "events";
+import { Writable } from "stream";
+import sharp from "sharp";
+
+const mockBucket = {
+  openUploadStream: jest.fn(),
+  openDownloadStream: jest.fn(),
+  delete: jest.fn(),
+};
+
+jest.mock("mongoose", () => ({
+  __esModule: true,
+  default: {
+    connection: { db: {} },
+    mongo: { GridFSBucket: jest.fn(() => mockBucket) },
+  },
+}));
+
+import mongoose from "mongoose";
+import {
+  IMAGE_BUCKET,
+  imageFile,
+  makeRenditions,
+  readGallery,
+  removeImageFiles,
+  saveImage,
+  sendImage,
+} from "./imageHelper.js";
+
+// an upload stream that takes the data and finishes with the next id
+let nextId;
+const uploadStream = () => {
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      callback();
+    },
+  });
+  stream.id = `file${(nextId += 1)}`;
+  return stream;
+};
+
+const makeImage = (width, height) =>
+  sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } },
+  })
+    .png()
+    .toBuffer();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  nextId = 0;
+  mockBucket.openUploadStream.mockImplementation(uploadStream);
+  mockBucket.delete.mockResolvedValue(undefined);
+});
+
+describe("readGallery", () => {
+  const existing = [
+    { _id: "i1", alt: "Front", original: "f1" },
+    { _id: "i2", alt: "Back", original: "f2" },
+  ];
+  const file = { name: "side.png", type: "image/png", size: 1000, path: "/tmp/side.png" };
+
+  it("reads a product without a gallery", () => {
+    expect(readGallery(undefined)).toEqual({ entries: [], removed: [] });
+    expect(readGallery("[]", existing)).toEqual({ entries: [], removed: existing });
+  });
+
+  it("orders kept and uploaded images as listed, with tidied alt text", () => {
+    const result = readGallery(
+      JSON.stringify([
+        { upload: 0, alt: " Side " },
+        { _id: "i2", alt: "Back view" },
+      ]),
+      existing,
+      { image0: file }
+    );
+
+    expect(result).toEqual({
+      entries: [
+        { file, alt: "Side" },
+        { image: existing[1], alt: "Back view" },
+      ],
+      removed: [existing[0]],
+    });
+  });
+
+  it.each([
+    ["{nope", {}, "Invalid images"],
+    [[{ _id: "missing" }], {}, "Image not found"],
+    [[{ _id: "i1" }, { _id: "i1" }], {}, "An image is listed twice"],
+    [[{ upload: 1 }], { image0: file }, "Image upload is missing"],
+    [[{ upload: "0" }], { image0: file }, "Image upload is missing"],
+    [[{ upload: 0 }, { upload: 0 }], { image0: file }, "An image is listed twice"],
+    [[{ upload: 0 }], { image0: { ...file, type: "text/plain" } }, "side.png is not a JPEG, PNG, WebP or GIF image"],
+    [[{ upload: 0 }], { image0: { ...file, type: "image/svg+xml" } }, "side.png is not a JPEG, PNG, WebP or GIF image"],
+    [[{ upload: 0 }], { image0: { ...file, size: 6000000 } }, "Each image should be less than 5MB"],
+  ])("turns down %j", (input, files, error) => {
+    expect(readGallery(input, existing, files)).toEqual({ error });
+  });
+});
+
+describe("makeRenditions", () => {
+  it("makes a webp thumbnail and medium size within their bounds", async () => {
+    const { thumbnail, medium } = await makeRenditions(await makeImage(1600, 900));
+
+    const small = await sharp(thumbnail).metadata();
+    const large = await sharp(medium).metadata();
+    expect(small).toMatchObject({ format: "webp", width: 200, height: 113 });
+    expect(large).toMatchObject({ format: "webp", width: 800, height: 450 });
+  });
+
+  it("does not enlarge a small image", async () => {
+    const { medium } = await makeRenditions(await makeImage(300, 100));
+
+    expect(await sharp(medium).metadata()).toMatchObject({ width: 300, height: 100 });
+  });
+
+  it("rejects data that is not an image", async () => {
+    await expect(makeRenditions(Buffer.from("not an image"))).rejects.toThrow();
+  });
+
+  it("gives the type read from the content, whatever the upload claimed", async () => {
+    const jpeg = await sharp(await makeImage(40, 40)).jpeg().toBuffer();
+
+    expect((await makeRenditions(jpeg)).contentType).toBe("image/jpeg");
+  });
+
+  it("rejects an SVG, which could carry script", async () => {
+    const svg = Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><script>alert(1)</script><rect width="10" height="10"/></svg>'
+    );
+
+    await expect(makeRenditions(svg)).rejects.toThrow("Unsupported image format svg");
+  });
+});
+
+describe("saveImage", () => {
+  const renditions = { thumbnail: Buffer.from("t"), medium: Buffer.from("m") };
+
+  it("stores the original and both renditions in the image bucket", async () => {
+    const image = await saveImage(Buffer.from("o"), renditions, {
+      name: "lamp.png",
+      contentType: "image/png",
+      alt: "Lamp",
+    });
+
+    expect(mongoose.mongo.GridFSBucket).toHaveBeenCalledWith(mongoose.connection.db, {
+      bucketName: IMAGE_BUCKET,
+    });
+    expect(mockBucket.openUploadStream.mock.calls).toEqual([
+      ["lamp.png", { contentType: "image/png" }],
+      ["medium-lamp.png", { contentType: "image/webp" }],
+      ["thumbnail-lamp.png", { contentType: "image/webp" }],
+    ]);
+    expect(image).toEqual({
+      alt: "Lamp",
+      contentType: "image/png",
+      original: "file1",
+      medium: "file2",
+      thumbnail: "file3",
+    });
+  });
+
+  it("removes the files already stored when an upload fails", async () => {
+    mockBucket.openUploadStream
+      .mockImplementationOnce(uploadStream)
+      .mockImplementationOnce(() => {
+        const stream = uploadStream();
+        stream._write = (chunk, encoding, callback) => callback(new Error("disk full"));
+        return stream;
+      });
+
+    await expect(
+      saveImage(Buffer.from("o"), renditions, { name: "a.png", contentType: "image/png" })
+    ).rejects.toThrow("disk full");
+    expect(mockBucket.delete).toHaveBeenCalledWith("file1");
+    expect(mockBucket.delete).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("removeImageFiles", () => {
+  it("deletes every file of every image", async () => {
+    await removeImageFiles([
+      { original: "a", medium: "b", thumbnail: "c" },
+      { original: "d" },
+    ]);
+
+    expect(mockBucket.delete.mock.calls).toEqual([["a"], ["b"], ["c"], ["d"]]);
+  });
+
+  it("skips files that are already gone but passes on other errors", async () => {
+    mockBucket.delete.mockRejectedValueOnce(new Error("File not found for id a"));
+    await expect(removeImageFiles([{ original: "a", medium: "b" }])).resolves.toBeUndefined();
+
+    mockBucket.delete.mockRejectedValueOnce(new Error("connection lost"));
+    await expect(removeImageFiles([{ original: "a" }])).rejects.toThrow("connection lost");
+  });
+});
+
+describe("sending images", () => {
+  const image = {
+    contentType: "image/png",
+    original: "o",
+    medium: "m",
+    thumbnail: "t",
+  };
+
+  it("picks the file and type for each size", () => {
+    expect(imageFile(image, "original")).toEqual({ id: "o", contentType: "image/png" });
+    expect(imageFile(image, "medium")).toEqual({ id: "m", contentType: "image/webp" });
+    expect(imageFile({ ...image, thumbnail: undefined }, "thumbnail")).toEqual({
+      id: "o",
+      contentType: "image/png",
+    });
+  });
+
+  const makeRes = () => {
+    const res = new EventEmitter();
+    res.set = jest.fn().mockReturnValue(res);
+    res.status = jest.fn().mockReturnValue(res);
+    res.send = jest.fn().mockReturnValue(res);
+    res.end = jest.fn();
+    res.headersSent = false;
+    return res;
+  };
+
+  const downloadStream = () => {
+    const stream = new EventEmitter();
+    stream.pipe = jest.fn();
+    return stream;
+  };
+
+  it("streams the file with its type once it is found", () => {
+    const stream = downloadStream();
+    mockBucket.openDownloadStream.mockReturnValue(stream);
+    const res = makeRes();
+
+    sendImage(res, image, "thumbnail", { ETag: 'W/"x"' });
+    expect(res.set).not.toHaveBeenCalled();
+    stream.emit("file", { _id: "t" });
+
+    expect(res.set).toHaveBeenCalledWith({ ETag: 'W/"x"' });
+    expect(mockBucket.openDownloadStream).toHaveBeenCalledWith("t");
+    expect(stream.pipe).toHaveBeenCalledWith(res);
+    expect(res.set).toHaveBeenCalledWith("Content-type", "image/webp");
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("answers 404 when the file is missing, without the cache headers", () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const stream = downloadStream();
+    mockBucket.openDownloadStream.mockReturnValue(stream);
+    const res = makeRes();
+
+    sendImage(res, image, "original", { "Cache-Control": "public" });
+    stream.emit("error", new Error("FileNotFound"));
+
+    expect(res.set).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message: "Photo Not Found" });
+    console.log.mockRestore();
+  });
+});
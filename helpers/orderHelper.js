@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import orderModel from "../models/orderModel.js";
+import productModel from "../models/productModel.js";
+import { roundPrice } from "./priceHelper.js";
+
+// the name kept on a line whose product was deleted before it was backfilled
+export const DELETED_PRODUCT_NAME = "Deleted product";
+
+const isId = (item) => item instanceof mongoose.Types.ObjectId;
+
+// Orders placed before they kept line items list their products as bare
+// ids, one per unit bought. Run as the server starts, this turns them into
+// line items. What was paid then was never kept, so lines take the
+// product's current name and price, and a product since deleted is kept
+// as a line at no price. It returns how many orders it changed.
+export const backfillOrderLines = async () => {
+  try {
+    const orders = await orderModel
+      .find({ products: { $type: "objectId" } })
+      .select("products")
+      .lean();
+    if (!orders.length) return 0;
+    const ids = [...new Set(orders.flatMap((order) => order.products.filter(isId).map(String)))];
+    const products = await productModel.find({ _id: { $in: ids } }).select("name price").lean();
+    const byId = new Map(products.map((product) => [String(product._id), product]));
+
+    let changed = 0;
+    for (const order of orders) {
+      const items = [];
+      const legacy = new Map();
+      for (const item of order.products) {
+        if (!isId(item)) {
+          items.push(item);
+          continue;
+        }
+        const key = String(item);
+        if (!legacy.has(key)) {
+          const product = byId.get(key);
+          const line = {
+            product: item,
+            name: product?.name || DELETED_PRODUCT_NAME,
+            price: Number(product?.price) || 0,
+            quantity: 0,
+          };
+          legacy.set(key, line);
+          items.push(line);
+        }
+        legacy.get(key).quantity += 1;
+      }
+      legacy.forEach((line) => {
+        line.total = roundPrice(line.price * line.quantity);
+      });
+      // only while it still lists bare ids, so two servers starting at
+      // once do not both convert it
+      const result = await orderModel.updateOne(
+        { _id: order._id, products: { $type: "objectId" } },
+        { $set: { products: items } },
+        { timestamps: false }
+      );
+      changed += result.modifiedCount || 0;
+    }
+    return changed;
+  } catch (error) {
+    console.log(error);
+    return 0;
+  }
+};
@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+import orderModel from "../models/orderModel.js";
+import productModel from "../models/productModel.js";
+import { DELETED_PRODUCT_NAME, backfillOrderLines } from "./orderHelper.js";
+
+jest.mock("../models/orderModel.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn(), updateOne: jest.fn() },
+}));
+
+jest.mock("../models/productModel.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+
+const makeQuery = (docs) => ({
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(docs),
+});
+
+const lampId = new mongoose.Types.ObjectId();
+const rugId = new mongoose.Types.ObjectId();
+const goneId = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe("backfillOrderLines", () => {
+  it("turns bare product ids into line items at the product's current name and price", async () => {
+    orderModel.find.mockReturnValue(
+      makeQuery([{ _id: "o1", products: [lampId, rugId, lampId, goneId] }])
+    );
+    productModel.find.mockReturnValue(
+      makeQuery([
+        { _id: lampId, name: "Lamp", price: 19.99 },
+        { _id: rugId, name: "Rug", price: 50 },
+      ])
+    );
+    orderModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await backfillOrderLines()).toBe(1);
+    expect(orderModel.find).toHaveBeenCalledWith({ products: { $type: "objectId" } });
+    expect(productModel.find).toHaveBeenCalledWith({
+      _id: { $in: [String(lampId), String(rugId), String(goneId)] },
+    });
+    expect(orderModel.updateOne).toHaveBeenCalledWith(
+      { _id: "o1", products: { $type: "objectId" } },
+      {
+        $set: {
+          products: [
+            { product: lampId, name: "Lamp", price: 19.99, quantity: 2, total: 39.98 },
+            { product: rugId, name: "Rug", price: 50, quantity: 1, total: 50 },
+            { product: goneId, name: DELETED_PRODUCT_NAME, price: 0, quantity: 1, total: 0 },
+          ],
+        },
+      },
+      { timestamps: false }
+    );
+  });
+
+  it("keeps line items an order already has", async () => {
+    const line = { product: rugId, name: "Rug", price: 45, quantity: 1, total: 45 };
+    orderModel.find.mockReturnValue(makeQuery([{ _id: "o1", products: [line, lampId] }]));
+    productModel.find.mockReturnValue(makeQuery([{ _id: lampId, name: "Lamp", price: 20 }]));
+    orderModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    await backfillOrderLines();
+
+    expect(orderModel.updateOne.mock.calls[0][1].$set.products).toEqual([
+      line,
+      { product: lampId, name: "Lamp", price: 20, quantity: 1, total: 20 },
+    ]);
+  });
+
+  it("counts only the orders it changed", async () => {
+    orderModel.find.mockReturnValue(
+      makeQuery([
+        { _id: "o1", products: [lampId] },
+        { _id: "o2", products: [lampId] },
+      ])
+    );
+    productModel.find.mockReturnValue(makeQuery([{ _id: lampId, name: "Lamp", price: 20 }]));
+    orderModel.updateOne
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    expect(await backfillOrderLines()).toBe(1);
+  });
+
+  it("does nothing when every order has line items", async () => {
+    orderModel.find.mockReturnValue(makeQuery([]));
+
+    expect(await backfillOrderLines()).toBe(0);
+    expect(productModel.find).not.toHaveBeenCalled();
+    expect(orderModel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("logs and carries on when the database fails", async () => {
+    orderModel.find.mockImplementation(() => {
+      throw new Error("db down");
+    });
+
+    expect(await backfillOrderLines()).toBe(0);
+    expect(console.log).toHaveBeenCalled();
+  });
+});
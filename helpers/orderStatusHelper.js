@@ -0,0 +1,18 @@
+// Order lifecycle: Not Process -> Processing -> Shipped -> deliverd, with
+// cancel allowed until the parcel ships and refunded once it has left.
+// "cancel" and "refunded" are terminal. The stored values keep the spelling
+// existing orders already use. Keep in sync with client/src/helpers/orderHelper.js.
+export const ORDER_TRANSITIONS = {
+  "Not Process": ["Processing", "cancel"],
+  Processing: ["Shipped", "cancel"],
+  Shipped: ["deliverd", "refunded"],
+  deliverd: ["refunded"],
+  cancel: [],
+  refunded: [],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+export const nextStatuses = (status) => ORDER_TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => nextStatuses(from).includes(to);
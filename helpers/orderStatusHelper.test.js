@@ -0,0 +1,50 @@
+import {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  canTransition,
+  nextStatuses,
+} from "./orderStatusHelper.js";
+
+describe("orderStatusHelper", () => {
+  it("lists every status that appears as a transition target", () => {
+    Object.values(ORDER_TRANSITIONS)
+      .flat()
+      .forEach((status) => expect(ORDER_STATUSES).toContain(status));
+  });
+
+  it("allows the forward lifecycle", () => {
+    expect(canTransition("Not Process", "Processing")).toBe(true);
+    expect(canTransition("Processing", "Shipped")).toBe(true);
+    expect(canTransition("Shipped", "deliverd")).toBe(true);
+    expect(canTransition("deliverd", "refunded")).toBe(true);
+  });
+
+  it("allows refunding a parcel that has shipped", () => {
+    expect(canTransition("Shipped", "refunded")).toBe(true);
+  });
+
+  it("allows cancelling only before shipping", () => {
+    expect(canTransition("Not Process", "cancel")).toBe(true);
+    expect(canTransition("Processing", "cancel")).toBe(true);
+    expect(canTransition("Shipped", "cancel")).toBe(false);
+    expect(canTransition("deliverd", "cancel")).toBe(false);
+  });
+
+  it("rejects skipping steps, going backwards and leaving terminal states", () => {
+    expect(canTransition("Not Process", "Shipped")).toBe(false);
+    expect(canTransition("Shipped", "Processing")).toBe(false);
+    expect(canTransition("cancel", "Shipped")).toBe(false);
+    expect(canTransition("refunded", "deliverd")).toBe(false);
+  });
+
+  it("rejects staying on the same status", () => {
+    expect(canTransition("Processing", "Processing")).toBe(false);
+  });
+
+  it("returns no next statuses for unknown or terminal statuses", () => {
+    expect(nextStatuses("cancel")).toEqual([]);
+    expect(nextStatuses("refunded")).toEqual([]);
+    expect(nextStatuses("bogus")).toEqual([]);
+    expect(canTransition("bogus", "Processing")).toBe(false);
+  });
+});
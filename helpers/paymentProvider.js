@@ -0,0 +1,35 @@
+import dotenv from "dotenv";
+import { createBraintreeProvider } from "./braintreeProvider.js";
+import { createFakePaymentProvider } from "./fakePaymentProvider.js";
+
+dotenv.config();
+
+// Every provider offers the same operations, each returning a promise:
+//   generateToken()                -> client token response for the checkout UI
+//   sale({ amount, nonce })        -> { success, message, transaction: { id, status } }
+//   getTransaction(transactionId)  -> { id, status, amount }
+//   void(transactionId)            -> same shape as sale
+//   refund(transactionId, amount)  -> same shape as sale
+// PAYMENT_PROVIDER picks the implementation and defaults to braintree.
+const providers = {
+  braintree: createBraintreeProvider,
+  fake: createFakePaymentProvider,
+};
+
+let provider = null;
+
+// built on first use so importing a controller never needs credentials
+export const getPaymentProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || "braintree";
+    const create = providers[name];
+    if (!create) throw new Error(`Unknown payment provider "${name}"`);
+    provider = create();
+  }
+  return provider;
+};
+
+// swap the provider for a fake in tests, or reset to the configured one with null
+export const setPaymentProvider = (next) => {
+  provider = next;
+};
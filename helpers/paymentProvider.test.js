@@ -0,0 +1,64 @@
+import { createBraintreeProvider } from './braintreeProvider.js';
+import { createFakePaymentProvider } from './fakePaymentProvider.js';
+import { getPaymentProvider, setPaymentProvider } from './paymentProvider.js';
+
+jest.mock('./braintreeProvider.js', () => ({
+  createBraintreeProvider: jest.fn(() => ({ name: 'braintree' })),
+}));
+
+jest.mock('./fakePaymentProvider.js', () => ({
+  createFakePaymentProvider: jest.fn(() => ({ name: 'fake' })),
+}));
+
+describe('paymentProvider', () => {
+  const originalProvider = process.env.PAYMENT_PROVIDER;
+
+  afterEach(() => {
+    setPaymentProvider(null);
+    if (originalProvider === undefined) delete process.env.PAYMENT_PROVIDER;
+    else process.env.PAYMENT_PROVIDER = originalProvider;
+    jest.clearAllMocks();
+  });
+
+  it('defaults to braintree and reuses the provider it built', () => {
+    delete process.env.PAYMENT_PROVIDER;
+
+    const first = getPaymentProvider();
+    const second = getPaymentProvider();
+
+    expect(first.name).toBe('braintree');
+    expect(second).toBe(first);
+    expect(createBraintreeProvider).toHaveBeenCalledTimes(1);
+    expect(createFakePaymentProvider).not.toHaveBeenCalled();
+  });
+
+  it('builds the fake provider when PAYMENT_PROVIDER is fake', () => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+
+    expect(getPaymentProvider().name).toBe('fake');
+    expect(createBraintreeProvider).not.toHaveBeenCalled();
+  });
+
+  it('throws for an unknown provider name', () => {
+    process.env.PAYMENT_PROVIDER = 'paypal';
+
+    expect(() => getPaymentProvider()).toThrow('Unknown payment provider "paypal"');
+  });
+
+  it('returns an injected provider instead of the configured one', () => {
+    const injected = { name: 'test' };
+
+    setPaymentProvider(injected);
+
+    expect(getPaymentProvider()).toBe(injected);
+    expect(createBraintreeProvider).not.toHaveBeenCalled();
+  });
+
+  it('rebuilds the configured provider after the injected one is cleared', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    setPaymentProvider({ name: 'test' });
+    setPaymentProvider(null);
+
+    expect(getPaymentProvider().name).toBe('braintree');
+  });
+});
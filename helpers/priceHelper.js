@@ -0,0 +1,2 @@
+// round to cents so float sums like 0.1 + 0.2 are charged as 0.3
+export const roundPrice = (value) => Math.round(value * 100) / 100;
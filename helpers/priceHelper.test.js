@@ -0,0 +1,15 @@
+import { roundPrice } from "./priceHelper.js";
+
+describe("priceHelper", () => {
+  describe("roundPrice", () => {
+    it("rounds float sums to whole cents", () => {
+      expect(roundPrice(0.1 + 0.2)).toBe(0.3);
+      expect(roundPrice(19.999)).toBe(20);
+    });
+
+    it("keeps values that are already in cents", () => {
+      expect(roundPrice(12.5)).toBe(12.5);
+      expect(roundPrice(0)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import promotionModel from "../models/promotionModel.js";
+import { roundPrice } from "./priceHelper.js";
+import { lineKey } from "./variantHelper.js";
+
+const isRunning = (promotion, now) =>
+  promotion.active !== false &&
+  (!promotion.startsAt || new Date(promotion.startsAt) <= now) &&
+  (!promotion.endsAt || new Date(promotion.endsAt) > now);
+
+// one entry per unit left in `remaining`, for the lines given as
+// [key, line] pairs
+const unitsOf = (entries, remaining) =>
+  entries.flatMap(([key, line]) =>
+    Array.from({ length: remaining.get(key) || 0 }, () => ({ key, line }))
+  );
+
+// the lines of one product, one per variant bought
+const linesOf = (lines, product) =>
+  [...lines].filter(([, line]) => String(line.product) === String(product));
+
+// Each rule works out its discount from the cart lines, keyed by product
+// and variant, and takes the units it used out of `remaining`, so a unit
+// is never discounted twice. Rules about a product count the units of all
+// its variants together.
+const RULES = {
+  volume: (promotion, lines, remaining) => {
+    const own = linesOf(lines, promotion.product);
+    const units = own.reduce((sum, [key]) => sum + (remaining.get(key) || 0), 0);
+    if (units === 0) return 0;
+    const tier = [...(promotion.tiers || [])]
+      .sort((a, b) => b.minQuantity - a.minQuantity)
+      .find((t) => units >= t.minQuantity);
+    if (!tier) return 0;
+    let discount = 0;
+    for (const [key, line] of own) {
+      if (tier.price >= line.price) continue;
+      discount += (line.price - tier.price) * (remaining.get(key) || 0);
+      remaining.set(key, 0);
+    }
+    return discount;
+  },
+
+  // each set takes the dearest unit left of every product in the bundle
+  bundle: (promotion, lines, remaining) => {
+    const ids = [...new Set((promotion.products || []).map(String))];
+    if (ids.length < 2) return 0;
+    const queues = ids.map((id) =>
+      unitsOf(linesOf(lines, id), remaining).sort((a, b) => b.line.price - a.line.price)
+    );
+    const sets = Math.min(...queues.map((queue) => queue.length));
+    let discount = 0;
+    for (let s = 0; s < sets; s++) {
+      const set = queues.map((queue) => queue[s]);
+      const saving =
+        set.reduce((sum, unit) => sum + unit.line.price, 0) - promotion.bundlePrice;
+      if (!(saving > 0)) break;
+      set.forEach((unit) => remaining.set(unit.key, remaining.get(unit.key) - 1));
+      discount += saving;
+    }
+    return discount;
+  },
+
+  // units are grouped most expensive first, and the cheapest units of
+  // each full group are the free ones
+  buyXGetY: (promotion, lines, remaining) => {
+    const size = promotion.buy + promotion.free;
+    if (!(size > 1)) return 0;
+    const inCategory = [...lines].filter(
+      ([, line]) => String(line.category) === String(promotion.category)
+    );
+    const units = unitsOf(inCategory, remaining).sort((a, b) => b.line.price - a.line.price);
+    const groups = Math.floor(units.length / size);
+    let discount = 0;
+    for (let g = 0; g < groups; g++) {
+      const group = units.slice(g * size, (g + 1) * size);
+      group.slice(promotion.buy).forEach((unit) => {
+        discount += unit.line.price;
+      });
+      group.forEach((unit) => remaining.set(unit.key, remaining.get(unit.key) - 1));
+    }
+    return discount;
+  },
+};
+
+// Apply the promotions in order to the cart lines ({ product, variant,
+// category, price, quantity }) and return the ones that took something
+// off, as { promotion, name, amount }.
+export const evaluatePromotions = (promotions, lines, now = new Date()) => {
+  const byKey = new Map();
+  const remaining = new Map();
+  for (const line of lines) {
+    const key = lineKey(line.product, line.variant);
+    byKey.set(key, line);
+    remaining.set(key, (remaining.get(key) || 0) + line.quantity);
+  }
+  const applied = [];
+  for (const promotion of promotions) {
+    const rule = RULES[promotion.type];
+    if (!rule || !isRunning(promotion, now)) continue;
+    const amount = roundPrice(rule(promotion, byKey, remaining));
+    if (amount > 0) {
+      applied.push({ promotion: promotion._id, name: promotion.name, amount });
+    }
+  }
+  return applied;
+};
+
+// the running promotions, oldest first, applied to the cart lines
+export const cartPromotions = async (lines) => {
+  const promotions = await promotionModel.find({ active: true }).sort({ createdAt: 1 });
+  return evaluatePromotions(promotions, lines);
+};
+
+export const promotionsTotal = (applied) =>
+  roundPrice(applied.reduce((sum, promotion) => sum + promotion.amount, 0));
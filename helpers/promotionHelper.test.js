@@ -0,0 +1,168 @@
+import promotionModel from '../models/promotionModel.js';
+import { cartPromotions, evaluatePromotions, promotionsTotal } from './promotionHelper.js';
+
+jest.mock('../models/promotionModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+
+const line = (product, category, price, quantity) => ({ product, category, price, quantity });
+
+describe('promotionHelper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('evaluatePromotions', () => {
+    describe('buy X get Y', () => {
+      const buy2get1 = { _id: 'b1', name: 'Books: buy 2 get 1 free', type: 'buyXGetY', category: 'books', buy: 2, free: 1 };
+
+      it('makes the cheapest unit of each full group free', () => {
+        const lines = [line('novel', 'books', 20, 2), line('comic', 'books', 5, 2), line('lamp', 'home', 50, 1)];
+
+        expect(evaluatePromotions([buy2get1], lines)).toEqual([
+          { promotion: 'b1', name: 'Books: buy 2 get 1 free', amount: 5 },
+        ]);
+      });
+
+      it('counts several full groups', () => {
+        expect(evaluatePromotions([buy2get1], [line('novel', 'books', 10, 6)])[0].amount).toBe(20);
+      });
+
+      it('gives nothing until a group is complete', () => {
+        expect(evaluatePromotions([buy2get1], [line('novel', 'books', 10, 2), line('lamp', 'home', 10, 5)])).toEqual([]);
+      });
+    });
+
+    describe('bundles', () => {
+      const deskSet = { _id: 'd1', name: 'Desk set', type: 'bundle', products: ['desk', 'chair'], bundlePrice: 250 };
+
+      it('prices each complete set at the bundle price', () => {
+        const lines = [line('desk', 'home', 200, 2), line('chair', 'home', 80, 1)];
+
+        expect(evaluatePromotions([deskSet], lines)).toEqual([{ promotion: 'd1', name: 'Desk set', amount: 30 }]);
+      });
+
+      it('needs every product of the bundle', () => {
+        expect(evaluatePromotions([deskSet], [line('desk', 'home', 200, 1)])).toEqual([]);
+      });
+
+      it('ignores a bundle that would cost more than buying separately', () => {
+        const lines = [line('desk', 'home', 100, 1), line('chair', 'home', 80, 1)];
+
+        expect(evaluatePromotions([deskSet], lines)).toEqual([]);
+      });
+    });
+
+    describe('volume tiers', () => {
+      const pens = {
+        _id: 'v1',
+        name: 'Pens in bulk',
+        type: 'volume',
+        product: 'pen',
+        tiers: [
+          { minQuantity: 10, price: 0.8 },
+          { minQuantity: 50, price: 0.6 },
+        ],
+      };
+
+      it('sells every unit at the price of the highest tier reached', () => {
+        expect(evaluatePromotions([pens], [line('pen', 'office', 1, 12)])[0].amount).toBe(2.4);
+        expect(evaluatePromotions([pens], [line('pen', 'office', 1, 50)])[0].amount).toBe(20);
+      });
+
+      it('gives nothing below the first tier', () => {
+        expect(evaluatePromotions([pens], [line('pen', 'office', 1, 9)])).toEqual([]);
+      });
+    });
+
+    describe('variants', () => {
+      const variantLine = (product, variant, category, price, quantity) => ({
+        ...line(product, category, price, quantity),
+        variant,
+      });
+
+      it('counts the units of every variant of a product towards buy X get Y', () => {
+        const buy2get1 = { _id: 'b1', name: 'Shirts: buy 2 get 1', type: 'buyXGetY', category: 'shirts', buy: 2, free: 1 };
+        const lines = [variantLine('tee', 'small', 'shirts', 10, 2), variantLine('tee', 'medium', 'shirts', 10, 1)];
+
+        expect(evaluatePromotions([buy2get1], lines)).toEqual([
+          { promotion: 'b1', name: 'Shirts: buy 2 get 1', amount: 10 },
+        ]);
+      });
+
+      it('reaches a volume tier across variants and prices each at its own price', () => {
+        const tees = { _id: 'v1', name: 'Tees in bulk', type: 'volume', product: 'tee', tiers: [{ minQuantity: 3, price: 8 }] };
+        const lines = [variantLine('tee', 'small', 'shirts', 10, 2), variantLine('tee', 'xxl', 'shirts', 12, 1)];
+
+        expect(evaluatePromotions([tees], lines)[0].amount).toBe(8);
+      });
+
+      it('takes the dearest variant left into each bundle and leaves the rest for other rules', () => {
+        const pair = { _id: 'p1', name: 'Tee and cap', type: 'bundle', products: ['tee', 'cap'], bundlePrice: 15 };
+        const buy1get1 = { _id: 'p2', name: 'BOGOF', type: 'buyXGetY', category: 'shirts', buy: 1, free: 1 };
+        const lines = [
+          variantLine('tee', 'small', 'shirts', 10, 1),
+          variantLine('tee', 'xxl', 'shirts', 12, 2),
+          line('cap', 'hats', 8, 1),
+        ];
+
+        expect(evaluatePromotions([pair, buy1get1], lines)).toEqual([
+          { promotion: 'p1', name: 'Tee and cap', amount: 5 },
+          { promotion: 'p2', name: 'BOGOF', amount: 10 },
+        ]);
+      });
+    });
+
+    it('never discounts a unit twice', () => {
+      const bundle = { _id: 'p1', name: 'Pair', type: 'bundle', products: ['a', 'b'], bundlePrice: 15 };
+      const buy1get1 = { _id: 'p2', name: 'BOGOF', type: 'buyXGetY', category: 'c', buy: 1, free: 1 };
+      const lines = [line('a', 'c', 10, 1), line('b', 'c', 10, 3)];
+
+      expect(evaluatePromotions([bundle, buy1get1], lines)).toEqual([
+        { promotion: 'p1', name: 'Pair', amount: 5 },
+        { promotion: 'p2', name: 'BOGOF', amount: 10 },
+      ]);
+    });
+
+    it('skips promotions that are switched off or outside their dates', () => {
+      const base = { name: 'Pair', type: 'bundle', products: ['a', 'b'], bundlePrice: 15 };
+      const lines = [line('a', 'c', 10, 1), line('b', 'c', 10, 1)];
+      const now = new Date('2026-06-15');
+
+      expect(
+        evaluatePromotions(
+          [
+            { ...base, _id: 'off', active: false },
+            { ...base, _id: 'early', startsAt: new Date('2026-07-01') },
+            { ...base, _id: 'late', endsAt: new Date('2026-06-01') },
+            { ...base, _id: 'unknown', type: 'mystery' },
+          ],
+          lines,
+          now,
+        ),
+      ).toEqual([]);
+      expect(
+        evaluatePromotions([{ ...base, _id: 'on', startsAt: new Date('2026-06-01'), endsAt: new Date('2026-07-01') }], lines, now),
+      ).toHaveLength(1);
+    });
+  });
+
+  it('cartPromotions applies the active promotions oldest first', async () => {
+    const sort = jest.fn().mockResolvedValue([
+      { _id: 'd1', name: 'Desk set', type: 'bundle', products: ['desk', 'chair'], bundlePrice: 250 },
+    ]);
+    promotionModel.find.mockReturnValue({ sort });
+
+    const applied = await cartPromotions([line('desk', 'home', 200, 1), line('chair', 'home', 80, 1)]);
+
+    expect(promotionModel.find).toHaveBeenCalledWith({ active: true });
+    expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+    expect(applied).toEqual([{ promotion: 'd1', name: 'Desk set', amount: 30 }]);
+  });
+
+  it('promotionsTotal adds the amounts up to the cent', () => {
+    expect(promotionsTotal([{ amount: 0.1 }, { amount: 0.2 }])).toBe(0.3);
+    expect(promotionsTotal([])).toBe(0);
+  });
+});
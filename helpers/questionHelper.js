@@ -0,0 +1,26 @@
+import questionModel from "../models/questionModel.js";
+import userModel from "../models/userModel.js";
+import { hasBought } from "./reviewHelper.js";
+import { escapeRegex } from "./searchHelper.js";
+
+// who may answer questions about a product: admins answer as staff and
+// verified buyers as customers; anyone else gets null
+export const answerRole = async (userId, productId) => {
+  const user = await userModel.findById(userId).select("role");
+  if (!user) return null;
+  if (user.role === 1) return "admin";
+  return (await hasBought(userId, productId)) ? "buyer" : null;
+};
+
+// products with an answered question whose question or answers match
+// the search; unanswered questions are left out of search
+export const productsAnsweredAbout = (keyword) => {
+  const pattern = escapeRegex(keyword);
+  return questionModel.distinct("product", {
+    "answers.0": { $exists: true },
+    $or: [
+      { body: { $regex: pattern, $options: "i" } },
+      { "answers.body": { $regex: pattern, $options: "i" } },
+    ],
+  });
+};
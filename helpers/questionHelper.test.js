@@ -0,0 +1,84 @@
+import questionModel from '../models/questionModel.js';
+import userModel from '../models/userModel.js';
+import { hasBought } from './reviewHelper.js';
+import { answerRole, productsAnsweredAbout } from './questionHelper.js';
+
+jest.mock('../models/questionModel.js', () => ({
+  __esModule: true,
+  default: { distinct: jest.fn() },
+}));
+
+jest.mock('../models/userModel.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() },
+}));
+
+jest.mock('./reviewHelper.js', () => ({
+  __esModule: true,
+  hasBought: jest.fn(),
+}));
+
+const mockUser = (user) => {
+  userModel.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+};
+
+describe('questionHelper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('answerRole', () => {
+    it('lets an admin answer as staff without checking orders', async () => {
+      mockUser({ _id: 'u1', role: 1 });
+
+      expect(await answerRole('u1', 'p1')).toBe('admin');
+      expect(hasBought).not.toHaveBeenCalled();
+    });
+
+    it('lets a customer who bought the product answer as a buyer', async () => {
+      mockUser({ _id: 'u1', role: 0 });
+      hasBought.mockResolvedValue(true);
+
+      expect(await answerRole('u1', 'p1')).toBe('buyer');
+      expect(hasBought).toHaveBeenCalledWith('u1', 'p1');
+    });
+
+    it('turns away other customers', async () => {
+      mockUser({ _id: 'u1', role: 0 });
+      hasBought.mockResolvedValue(false);
+
+      expect(await answerRole('u1', 'p1')).toBeNull();
+    });
+
+    it('turns away a user that no longer exists', async () => {
+      mockUser(null);
+
+      expect(await answerRole('u1', 'p1')).toBeNull();
+    });
+  });
+
+  describe('productsAnsweredAbout', () => {
+    it('matches answered questions by their question or answers', async () => {
+      questionModel.distinct.mockResolvedValue(['p1']);
+
+      expect(await productsAnsweredAbout('waterproof')).toEqual(['p1']);
+      expect(questionModel.distinct).toHaveBeenCalledWith('product', {
+        'answers.0': { $exists: true },
+        $or: [
+          { body: { $regex: 'waterproof', $options: 'i' } },
+          { 'answers.body': { $regex: 'waterproof', $options: 'i' } },
+        ],
+      });
+    });
+
+    it('matches the search literally', async () => {
+      questionModel.distinct.mockResolvedValue([]);
+
+      await productsAnsweredAbout('usb (c)');
+
+      expect(questionModel.distinct.mock.calls[0][1].$or[0]).toEqual({
+        body: { $regex: 'usb \\(c\\)', $options: 'i' },
+      });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import orderModel from "../models/orderModel.js";
+import productModel from "../models/productModel.js";
+import reviewModel from "../models/reviewModel.js";
+import { invalidateCatalog } from "./cacheHelper.js";
+
+// a verified buyer has an order with the product in it that was not
+// cancelled; a refunded order still counts, the customer did receive it
+export const hasBought = async (userId, productId) =>
+  Boolean(
+    await orderModel.exists({
+      buyer: userId,
+      "products.product": productId,
+      status: { $ne: "cancel" },
+    })
+  );
+
+// check and tidy a review the customer sent
+export const readReview = (body) => {
+  const rating = Number(body.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return { error: "Rating must be between 1 and 5 stars" };
+  }
+  const comment = typeof body.comment === "string" ? body.comment.trim() : "";
+  if (comment.length > 2000) {
+    return { error: "Review must be 2000 characters or fewer" };
+  }
+  return { review: { rating, comment } };
+};
+
+// work the product's average and count out again from the reviews that
+// are not hidden, after any review is written, hidden or removed; listings
+// show the rating, so the catalog cache is cleared
+export const refreshProductRating = async (productId) => {
+  const [stats] = await reviewModel.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(String(productId)),
+        hidden: false,
+      },
+    },
+    {
+      $group: {
+        _id: "$product",
+        average: { $avg: "$rating" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  const rating = {
+    ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+    ratingCount: stats ? stats.count : 0,
+  };
+  // photo URLs are versioned by updatedAt, which a new rating leaves alone
+  await productModel.updateOne({ _id: productId }, rating, { timestamps: false });
+  invalidateCatalog();
+  return rating;
+};
@@ -0,0 +1,107 @@
+import orderModel from '../models/orderModel.js';
+import productModel from '../models/productModel.js';
+import reviewModel from '../models/reviewModel.js';
+import { hasBought, readReview, refreshProductRating } from './reviewHelper.js';
+import { catalogCache } from './cacheHelper.js';
+
+jest.mock('../models/orderModel.js', () => ({
+  __esModule: true,
+  default: { exists: jest.fn() },
+}));
+
+jest.mock('../models/productModel.js', () => ({
+  __esModule: true,
+  default: { updateOne: jest.fn() },
+}));
+
+jest.mock('../models/reviewModel.js', () => ({
+  __esModule: true,
+  default: { aggregate: jest.fn() },
+}));
+
+const PRODUCT_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('reviewHelper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('hasBought', () => {
+    it('looks for an order of the product by the user that was not cancelled', async () => {
+      orderModel.exists.mockResolvedValue({ _id: 'o1' });
+
+      expect(await hasBought('u1', PRODUCT_ID)).toBe(true);
+      expect(orderModel.exists).toHaveBeenCalledWith({
+        buyer: 'u1',
+        'products.product': PRODUCT_ID,
+        status: { $ne: 'cancel' },
+      });
+    });
+
+    it('is false without such an order', async () => {
+      orderModel.exists.mockResolvedValue(null);
+
+      expect(await hasBought('u1', PRODUCT_ID)).toBe(false);
+    });
+  });
+
+  describe('readReview', () => {
+    it('takes whole stars and a trimmed comment', () => {
+      expect(readReview({ rating: '4', comment: '  Nice  ' })).toEqual({
+        review: { rating: 4, comment: 'Nice' },
+      });
+    });
+
+    it('lets the comment be left out', () => {
+      expect(readReview({ rating: 5 })).toEqual({ review: { rating: 5, comment: '' } });
+    });
+
+    it.each([undefined, 0, 6, 2.5, 'five'])('refuses a rating of %p', (rating) => {
+      expect(readReview({ rating })).toEqual({ error: 'Rating must be between 1 and 5 stars' });
+    });
+
+    it('refuses an overly long comment', () => {
+      expect(readReview({ rating: 3, comment: 'x'.repeat(2001) })).toEqual({
+        error: 'Review must be 2000 characters or fewer',
+      });
+    });
+  });
+
+  describe('refreshProductRating', () => {
+    it('stores the average of the visible reviews, to one decimal', async () => {
+      reviewModel.aggregate.mockResolvedValue([{ _id: PRODUCT_ID, average: 4.666, count: 3 }]);
+
+      const rating = await refreshProductRating(PRODUCT_ID);
+
+      expect(rating).toEqual({ ratingAverage: 4.7, ratingCount: 3 });
+      const [match] = reviewModel.aggregate.mock.calls[0][0];
+      expect(String(match.$match.product)).toBe(PRODUCT_ID);
+      expect(match.$match.hidden).toBe(false);
+      expect(productModel.updateOne).toHaveBeenCalledWith(
+        { _id: PRODUCT_ID },
+        { ratingAverage: 4.7, ratingCount: 3 },
+        { timestamps: false },
+      );
+    });
+
+    it('resets the product when no visible reviews are left', async () => {
+      reviewModel.aggregate.mockResolvedValue([]);
+
+      expect(await refreshProductRating(PRODUCT_ID)).toEqual({ ratingAverage: 0, ratingCount: 0 });
+      expect(productModel.updateOne).toHaveBeenCalledWith(
+        { _id: PRODUCT_ID },
+        { ratingAverage: 0, ratingCount: 0 },
+        { timestamps: false },
+      );
+    });
+
+    it('clears the catalog cache, as listings show the rating', async () => {
+      reviewModel.aggregate.mockResolvedValue([]);
+      catalogCache.set('products:latest', []);
+
+      await refreshProductRating(PRODUCT_ID);
+
+      expect(catalogCache.get('products:latest')).toBeUndefined();
+    });
+  });
+});
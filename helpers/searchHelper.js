@@ -0,0 +1,184 @@
+import categoryModel from "../models/categoryModel.js";
+import productModel from "../models/productModel.js";
+import searchQueryModel from "../models/searchQueryModel.js";
+import { NAME_COLLATION, namePrefixRange } from "./collationHelper.js";
+
+// Product search: a text index over name, category name and description
+// ranks the matches; products with an answered question about the search
+// come after them. Results are paged and may be narrowed to products in
+// stock or within a price range.
+
+export const SEARCH_PAGE_SIZE = 12;
+export const MAX_SEARCH_PAGE_SIZE = 48;
+
+// the search as a literal pattern, for the fields outside the text index
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const wholeNumber = (value, fallback) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isNaN(number) || number < 1 ? fallback : number;
+};
+
+// an optional price from the query: undefined when left out, NaN when not
+// a price at all
+const priceParam = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : NaN;
+};
+
+// Read the page and filters of a search from the query string. Paging
+// falls back to the first page; a price that makes no sense is an error.
+export const readSearch = (query = {}) => {
+  const minPrice = priceParam(query.minPrice);
+  const maxPrice = priceParam(query.maxPrice);
+  if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+    return { error: "Prices must be numbers of zero or more" };
+  }
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    return { error: "The lowest price cannot be above the highest" };
+  }
+
+  const filter = {};
+  if (query.inStock === "true") filter.quantity = { $gt: 0 };
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {
+      ...(minPrice !== undefined && { $gte: minPrice }),
+      ...(maxPrice !== undefined && { $lte: maxPrice }),
+    };
+  }
+
+  return {
+    page: wholeNumber(query.page, 1),
+    perPage: Math.min(wholeNumber(query.perPage, SEARCH_PAGE_SIZE), MAX_SEARCH_PAGE_SIZE),
+    filter,
+  };
+};
+
+// the ids of the text matches in order of relevance, then those of the
+// other products, each once
+export const rankedIds = (matches, others = []) => {
+  const seen = new Set();
+  return [...matches, ...others]
+    .map((doc) => String(doc._id ?? doc))
+    .filter((id) => !seen.has(id) && seen.add(id));
+};
+
+// put the products of one page back in the order of its ids
+export const inOrder = (ids, products) => {
+  const byId = new Map(products.map((product) => [String(product._id), product]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+};
+
+// Suggestions as the shopper types: products and categories whose name
+// starts with the text, then those with a later word starting with it,
+// then, once it is long enough, those one typo away, and the popular
+// searches it starts.
+
+export const MIN_SUGGEST_LENGTH = 2;
+export const FUZZY_MIN_LENGTH = 4;
+
+// a search as it is counted: trimmed, lower case, single spaced
+export const normalizeQuery = (text) =>
+  String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .slice(0, 100);
+
+const atWordStart = (alternatives) => `(^|\\s)(${alternatives})`;
+
+export const prefixPattern = (text) => atWordStart(escapeRegex(text));
+
+// a word starting with the text give or take one letter: one wrong, one
+// too many, one missing, or two swapped
+export const fuzzyPattern = (text) => {
+  const chars = [...text];
+  const literal = (list) => list.map(escapeRegex).join("");
+  const variants = new Set();
+  chars.forEach((char, i) => {
+    const before = chars.slice(0, i);
+    const rest = chars.slice(i + 1);
+    variants.add(`${literal(before)}.${literal(rest)}`);
+    variants.add(literal([...before, ...rest]));
+    variants.add(`${literal(before)}.${literal([char, ...rest])}`);
+    if (rest.length) variants.add(literal([...before, rest[0], char, ...rest.slice(1)]));
+  });
+  return atWordStart([...variants].join("|"));
+};
+
+// up to `limit` documents whose name matches the text: those it starts
+// first, in name order straight off the index, then those with a later
+// word it starts, then the close matches
+export const suggestNames = async (model, text, limit) => {
+  const byName = (pattern) => ({ name: { $regex: pattern, $options: "i" } });
+  const found = await model
+    .find({ name: namePrefixRange(text) })
+    .collation(NAME_COLLATION)
+    .sort({ name: 1 })
+    .select("name slug")
+    .limit(limit)
+    .lean();
+  const more = async (filter) => {
+    if (found.length >= limit) return;
+    const docs = await model
+      .find({ ...filter, _id: { $nin: found.map((doc) => doc._id) } })
+      .select("name slug")
+      .limit(limit - found.length)
+      .lean();
+    found.push(...docs);
+  };
+  await more(byName(prefixPattern(text)));
+  if (text.length >= FUZZY_MIN_LENGTH) await more(byName(fuzzyPattern(text)));
+  return found;
+};
+
+// the most searched queries starting with the text
+export const popularQueries = async (text, limit) => {
+  const queries = await searchQueryModel
+    .find({ query: { $regex: `^${escapeRegex(text)}` } })
+    .sort({ count: -1, lastSearchedAt: -1 })
+    .limit(limit)
+    .select("query")
+    .lean();
+  return queries.map((doc) => doc.query);
+};
+
+// count a search that found something; a search still answers when it
+// cannot be counted
+export const recordSearch = async (keyword) => {
+  const query = normalizeQuery(keyword);
+  if (!query) return;
+  try {
+    await searchQueryModel.updateOne(
+      { query },
+      { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+// Products saved before category names were searched carry none. Run as the
+// server starts, this copies each category's name onto its products still
+// without it, leaving their photo versions alone; it returns how many
+// products it changed.
+export const backfillCategoryNames = async () => {
+  try {
+    const categories = await categoryModel.find({}).select("name").lean();
+    const results = await Promise.all(
+      categories.map((category) =>
+        productModel.updateMany(
+          { category: category._id, categoryName: { $ne: category.name } },
+          { categoryName: category.name },
+          { timestamps: false }
+        )
+      )
+    );
+    return results.reduce((total, result) => total + (result.modifiedCount || 0), 0);
+  } catch (error) {
+    console.log(error);
+    return 0;
+  }
+};
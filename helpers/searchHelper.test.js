@@ -0,0 +1,284 @@
+import categoryModel from "../models/categoryModel.js";
+import productModel from "../models/productModel.js";
+import searchQueryModel from "../models/searchQueryModel.js";
+import {
+  MAX_SEARCH_PAGE_SIZE,
+  SEARCH_PAGE_SIZE,
+  backfillCategoryNames,
+  escapeRegex,
+  fuzzyPattern,
+  inOrder,
+  normalizeQuery,
+  popularQueries,
+  prefixPattern,
+  rankedIds,
+  readSearch,
+  recordSearch,
+  suggestNames,
+} from "./searchHelper.js";
+import { NAME_COLLATION, namePrefixRange } from "./collationHelper.js";
+
+jest.mock("../models/searchQueryModel.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn(), updateOne: jest.fn() },
+}));
+
+jest.mock("../models/categoryModel.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+
+jest.mock("../models/productModel.js", () => ({
+  __esModule: true,
+  default: { updateMany: jest.fn() },
+}));
+
+const makeQuery = (docs) => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    collation: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(docs),
+  };
+  return query;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("escapeRegex", () => {
+  it("makes every special character literal", () => {
+    const text = "usb (c) [v2] 3.5mm* a+b? ^$|{}\\";
+
+    expect(new RegExp(escapeRegex(text)).test(`cable ${text}`)).toBe(true);
+    expect(escapeRegex("(")).toBe("\\(");
+    expect(escapeRegex("lamp")).toBe("lamp");
+  });
+});
+
+describe("readSearch", () => {
+  it("starts on the first page with no filters", () => {
+    expect(readSearch({})).toEqual({ page: 1, perPage: SEARCH_PAGE_SIZE, filter: {} });
+    expect(readSearch()).toEqual({ page: 1, perPage: SEARCH_PAGE_SIZE, filter: {} });
+  });
+
+  it("reads the page and page size, capping the size", () => {
+    expect(readSearch({ page: "3", perPage: "6" })).toMatchObject({ page: 3, perPage: 6 });
+    expect(readSearch({ perPage: "1000" }).perPage).toBe(MAX_SEARCH_PAGE_SIZE);
+    expect(readSearch({ page: "0", perPage: "-2" })).toMatchObject({
+      page: 1,
+      perPage: SEARCH_PAGE_SIZE,
+    });
+    expect(readSearch({ page: "two" }).page).toBe(1);
+  });
+
+  it("keeps to products in stock when asked", () => {
+    expect(readSearch({ inStock: "true" }).filter).toEqual({ quantity: { $gt: 0 } });
+    expect(readSearch({ inStock: "false" }).filter).toEqual({});
+  });
+
+  it("filters by either end of a price range or both", () => {
+    expect(readSearch({ minPrice: "10" }).filter).toEqual({ price: { $gte: 10 } });
+    expect(readSearch({ maxPrice: "25.5" }).filter).toEqual({ price: { $lte: 25.5 } });
+    expect(readSearch({ minPrice: "0", maxPrice: "20", inStock: "true" }).filter).toEqual({
+      quantity: { $gt: 0 },
+      price: { $gte: 0, $lte: 20 },
+    });
+    expect(readSearch({ minPrice: "", maxPrice: "" }).filter).toEqual({});
+  });
+
+  it("refuses prices that are not prices", () => {
+    expect(readSearch({ minPrice: "cheap" })).toEqual({
+      error: "Prices must be numbers of zero or more",
+    });
+    expect(readSearch({ maxPrice: "-1" }).error).toBe("Prices must be numbers of zero or more");
+  });
+
+  it("refuses a lowest price above the highest", () => {
+    expect(readSearch({ minPrice: "30", maxPrice: "20" })).toEqual({
+      error: "The lowest price cannot be above the highest",
+    });
+  });
+});
+
+describe("ranking", () => {
+  it("keeps the text matches first and lists each product once", () => {
+    expect(rankedIds([{ _id: "b" }, { _id: "a" }], [{ _id: "a" }, { _id: "c" }])).toEqual([
+      "b",
+      "a",
+      "c",
+    ]);
+    expect(rankedIds([])).toEqual([]);
+  });
+
+  it("puts a page of products back in the order of its ids", () => {
+    const products = [{ _id: "a" }, { _id: "c" }];
+
+    expect(inOrder(["c", "b", "a"], products)).toEqual([{ _id: "c" }, { _id: "a" }]);
+  });
+});
+
+describe("suggestion patterns", () => {
+  const matches = (pattern, name) => new RegExp(pattern, "i").test(name);
+
+  it("normalizes queries as they are counted", () => {
+    expect(normalizeQuery("  Desk   LAMP ")).toBe("desk lamp");
+    expect(normalizeQuery(undefined)).toBe("");
+    expect(normalizeQuery("a".repeat(150))).toHaveLength(100);
+  });
+
+  it("matches the start of any word in a name", () => {
+    const pattern = prefixPattern("lam");
+
+    expect(matches(pattern, "Lamp")).toBe(true);
+    expect(matches(pattern, "Desk lamp")).toBe(true);
+    expect(matches(pattern, "Clamp")).toBe(false);
+    expect(matches(prefixPattern("usb (c"), "Cable usb (c)")).toBe(true);
+  });
+
+  it("allows one typo in a word", () => {
+    const pattern = fuzzyPattern("lmap");
+
+    expect(matches(pattern, "Desk lamp")).toBe(true);
+    expect(matches(fuzzyPattern("lanp"), "Lamp")).toBe(true);
+    expect(matches(fuzzyPattern("laamp"), "Lamp")).toBe(true);
+    expect(matches(fuzzyPattern("lap"), "Lamp")).toBe(true);
+    expect(matches(pattern, "Table")).toBe(false);
+    expect(matches(fuzzyPattern("lxxp"), "Lamp")).toBe(false);
+  });
+
+  it("keeps special characters literal when allowing a typo", () => {
+    expect(matches(fuzzyPattern("c++x"), "C++ book")).toBe(true);
+    expect(() => new RegExp(fuzzyPattern("a(b[c"))).not.toThrow();
+  });
+});
+
+describe("suggestNames", () => {
+  it("takes the names starting with the text from the index when there are enough", async () => {
+    const docs = [{ _id: "p1" }, { _id: "p2" }];
+    const query = makeQuery(docs);
+    const model = { find: jest.fn().mockReturnValue(query) };
+
+    expect(await suggestNames(model, "lamp", 2)).toEqual(docs);
+    expect(model.find).toHaveBeenCalledTimes(1);
+    expect(model.find).toHaveBeenCalledWith({ name: namePrefixRange("lamp") });
+    expect(query.collation).toHaveBeenCalledWith(NAME_COLLATION);
+    expect(query.sort).toHaveBeenCalledWith({ name: 1 });
+  });
+
+  it("fills in with names that have a later word starting with the text", async () => {
+    const later = makeQuery([{ _id: "p2" }]);
+    const model = {
+      find: jest.fn().mockReturnValueOnce(makeQuery([{ _id: "p1" }])).mockReturnValueOnce(later),
+    };
+
+    expect(await suggestNames(model, "lam", 5)).toEqual([{ _id: "p1" }, { _id: "p2" }]);
+    expect(model.find).toHaveBeenLastCalledWith({
+      name: { $regex: prefixPattern("lam"), $options: "i" },
+      _id: { $nin: ["p1"] },
+    });
+    expect(later.limit).toHaveBeenCalledWith(4);
+  });
+
+  it("fills in with names one typo away", async () => {
+    const close = makeQuery([{ _id: "p3" }]);
+    const model = {
+      find: jest
+        .fn()
+        .mockReturnValueOnce(makeQuery([{ _id: "p1" }]))
+        .mockReturnValueOnce(makeQuery([{ _id: "p2" }]))
+        .mockReturnValueOnce(close),
+    };
+
+    expect(await suggestNames(model, "lmap", 5)).toEqual([
+      { _id: "p1" },
+      { _id: "p2" },
+      { _id: "p3" },
+    ]);
+    expect(model.find).toHaveBeenLastCalledWith({
+      name: { $regex: fuzzyPattern("lmap"), $options: "i" },
+      _id: { $nin: ["p1", "p2"] },
+    });
+    expect(close.limit).toHaveBeenCalledWith(3);
+  });
+
+  it("does not guess at typos in short text", async () => {
+    const model = { find: jest.fn().mockReturnValue(makeQuery([])) };
+
+    expect(await suggestNames(model, "lam", 5)).toEqual([]);
+    expect(model.find).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("popular searches", () => {
+  it("lists the most searched queries starting with the text", async () => {
+    const query = makeQuery([{ query: "lamp" }, { query: "lamp shade" }]);
+    searchQueryModel.find.mockReturnValue(query);
+
+    expect(await popularQueries("lamp", 3)).toEqual(["lamp", "lamp shade"]);
+    expect(searchQueryModel.find).toHaveBeenCalledWith({ query: { $regex: "^lamp" } });
+    expect(query.sort).toHaveBeenCalledWith({ count: -1, lastSearchedAt: -1 });
+    expect(query.limit).toHaveBeenCalledWith(3);
+  });
+
+  it("counts a search under its normalized text", async () => {
+    searchQueryModel.updateOne.mockResolvedValue({});
+
+    await recordSearch(" Desk Lamp ");
+
+    expect(searchQueryModel.updateOne).toHaveBeenCalledWith(
+      { query: "desk lamp" },
+      { $inc: { count: 1 }, $set: { lastSearchedAt: expect.any(Date) } },
+      { upsert: true }
+    );
+  });
+
+  it("skips blank searches and shrugs off a failed count", async () => {
+    await recordSearch("   ");
+    expect(searchQueryModel.updateOne).not.toHaveBeenCalled();
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    searchQueryModel.updateOne.mockRejectedValueOnce(new Error("db down"));
+    await expect(recordSearch("lamp")).resolves.toBeUndefined();
+    expect(logSpy).toHaveBeenCalled();
+    logSpy.mockRestore();
+  });
+});
+
+describe("backfillCategoryNames", () => {
+  it("gives each category's products without its name the name", async () => {
+    categoryModel.find.mockReturnValue(
+      makeQuery([
+        { _id: "c1", name: "Lamps" },
+        { _id: "c2", name: "Rugs" },
+      ])
+    );
+    productModel.updateMany
+      .mockResolvedValueOnce({ modifiedCount: 3 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    expect(await backfillCategoryNames()).toBe(3);
+    expect(productModel.updateMany).toHaveBeenCalledWith(
+      { category: "c1", categoryName: { $ne: "Lamps" } },
+      { categoryName: "Lamps" },
+      { timestamps: false }
+    );
+    expect(productModel.updateMany).toHaveBeenCalledWith(
+      { category: "c2", categoryName: { $ne: "Rugs" } },
+      { categoryName: "Rugs" },
+      { timestamps: false }
+    );
+  });
+
+  it("lets the server start when the backfill fails", async () => {
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    categoryModel.find.mockReturnValue(makeQuery([{ _id: "c1", name: "Lamps" }]));
+    productModel.updateMany.mockRejectedValueOnce(new Error("db down"));
+
+    await expect(backfillCategoryNames()).resolves.toBe(0);
+    expect(logSpy).toHaveBeenCalled();
+    logSpy.mockRestore();
+  });
+});
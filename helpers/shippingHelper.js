@@ -0,0 +1,39 @@
+import shippingMethodModel from "../models/shippingMethodModel.js";
+import { roundPrice } from "./priceHelper.js";
+
+const RATES = {
+  flat: (method) => method.rate,
+  weight: (method, { weight }) => method.rate * weight,
+  value: (method, { value }) => (method.rate * value) / 100,
+};
+
+// what the method charges for an order of `weight` kg worth `value`
+// after discounts
+export const shippingCost = (method, { weight = 0, value = 0 } = {}) => {
+  if (typeof method.freeOver === "number" && value >= method.freeOver) return 0;
+  const rate = RATES[method.rateType] || RATES.flat;
+  return roundPrice(Math.max(rate(method, { weight, value }) || 0, 0));
+};
+
+// the total weight of cart lines ({ weight, quantity })
+export const cartWeight = (lines) =>
+  lines.reduce((sum, line) => sum + (Number(line.weight) || 0) * line.quantity, 0);
+
+// each method with what it would cost the order, in the order shoppers see them
+export const quoteShipping = (methods, order) =>
+  methods.map((method) => ({
+    _id: method._id,
+    name: method.name,
+    kind: method.kind,
+    description: method.description,
+    cost: shippingCost(method, order),
+  }));
+
+const KIND_ORDER = ["standard", "express", "pickup"];
+
+export const activeShippingMethods = async () => {
+  const methods = await shippingMethodModel.find({ active: true });
+  return [...methods].sort(
+    (a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind)
+  );
+};
@@ -0,0 +1,67 @@
+import shippingMethodModel from '../models/shippingMethodModel.js';
+import { activeShippingMethods, cartWeight, quoteShipping, shippingCost } from './shippingHelper.js';
+
+jest.mock('../models/shippingMethodModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+
+describe('shippingHelper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('shippingCost', () => {
+    it('charges a flat fee whatever the order', () => {
+      expect(shippingCost({ rateType: 'flat', rate: 4.99 }, { weight: 20, value: 300 })).toBe(4.99);
+    });
+
+    it('charges per kg', () => {
+      expect(shippingCost({ rateType: 'weight', rate: 1.5 }, { weight: 3.3, value: 10 })).toBe(4.95);
+    });
+
+    it('charges a share of the order value', () => {
+      expect(shippingCost({ rateType: 'value', rate: 5 }, { weight: 1, value: 79.9 })).toBe(4);
+    });
+
+    it('ships free from the threshold up', () => {
+      const method = { rateType: 'flat', rate: 8, freeOver: 50 };
+
+      expect(shippingCost(method, { value: 49.99 })).toBe(8);
+      expect(shippingCost(method, { value: 50 })).toBe(0);
+    });
+
+    it('treats an unknown rate type as a flat fee', () => {
+      expect(shippingCost({ rate: 3 })).toBe(3);
+    });
+  });
+
+  it('adds up the weight of the cart lines', () => {
+    expect(cartWeight([{ weight: 1.25, quantity: 2 }, { weight: undefined, quantity: 3 }, { weight: 0.5, quantity: 1 }])).toBe(3);
+  });
+
+  it('quotes every method for the order', () => {
+    const methods = [
+      { _id: 's1', name: 'Standard', kind: 'standard', description: '3-5 days', rateType: 'weight', rate: 2 },
+      { _id: 'p1', name: 'Pickup', kind: 'pickup', rateType: 'flat', rate: 0 },
+    ];
+
+    expect(quoteShipping(methods, { weight: 2, value: 40 })).toEqual([
+      { _id: 's1', name: 'Standard', kind: 'standard', description: '3-5 days', cost: 4 },
+      { _id: 'p1', name: 'Pickup', kind: 'pickup', description: undefined, cost: 0 },
+    ]);
+  });
+
+  it('lists the active methods standard first, then express, then pickup', async () => {
+    shippingMethodModel.find.mockResolvedValue([
+      { name: 'Pickup', kind: 'pickup' },
+      { name: 'Express', kind: 'express' },
+      { name: 'Standard', kind: 'standard' },
+    ]);
+
+    const methods = await activeShippingMethods();
+
+    expect(shippingMethodModel.find).toHaveBeenCalledWith({ active: true });
+    expect(methods.map((method) => method.name)).toEqual(['Standard', 'Express', 'Pickup']);
+  });
+});
@@ -0,0 +1,181 @@
+import mongoose from "mongoose";
+import productModel from "../models/productModel.js";
+import { invalidateCatalog } from "./cacheHelper.js";
+
+// Stock is held in two counters on each product: `quantity` is what can
+// still be sold and `reserved` is what checkouts in flight are holding.
+// Reserving moves units from one to the other with a conditional update,
+// so two checkouts racing for the last unit cannot both succeed.
+// A line for a variant moves the variant's counters along with the
+// product's, which stay the totals over its variants.
+// Each hold is also recorded on the product, with the time it was taken,
+// so holds left by a checkout that never finished expire.
+// The counters leave `updatedAt` alone, as photo URLs and ETags are
+// versioned by it. Listings only show whether a product is in stock, so
+// the catalog cache is cleared when a change sells out or restocks one.
+
+// How long a checkout may hold units. Payment takes seconds, so a hold
+// this old belongs to a checkout that stopped halfway.
+export const HOLD_TTL = 15 * 60 * 1000;
+
+// the product, or the product and variant, a line's units come from
+const lineFilter = (line) =>
+  line.variant
+    ? { _id: line.product, "variants._id": line.variant }
+    : { _id: line.product };
+
+// the same change to the variant's counters as to the product's
+const lineChange = (line, counts) => {
+  const change = { ...counts };
+  if (line.variant) {
+    for (const [field, amount] of Object.entries(counts)) {
+      change[`variants.$[line].${field}`] = amount;
+    }
+  }
+  return { $inc: change };
+};
+
+const COUNTER_UPDATE = {
+  new: true,
+  timestamps: false,
+  projection: "quantity variants._id variants.quantity",
+};
+
+// Apply a line's change, with any other update to the product, and return
+// the product as it is now, or null when the filter did not match
+const updateLine = (filter, line, counts, update = {}) =>
+  productModel.findOneAndUpdate(
+    filter,
+    { ...lineChange(line, counts), ...update },
+    line.variant
+      ? { ...COUNTER_UPDATE, arrayFilters: [{ "line._id": line.variant }] }
+      : COUNTER_UPDATE
+  );
+
+// A line's part of a hold, as recorded on the product. Releasing or
+// committing a hold matches and removes that record along with the
+// counters, so a hold is undone at most once.
+const holdOf = (line, hold) => ({ hold, variant: line.variant || null });
+
+const heldLine = (line, hold) =>
+  hold
+    ? {
+        filter: { ...lineFilter(line), holds: { $elemMatch: holdOf(line, hold) } },
+        update: { $pull: { holds: holdOf(line, hold) } },
+      }
+    : { filter: lineFilter(line), update: {} };
+
+// the units on sale for the line after the change
+const unitsLeft = (product, line) => {
+  const variant = line.variant
+    ? (product.variants || []).find((v) => String(v._id) === String(line.variant))
+    : null;
+  return line.variant ? variant?.quantity : product.quantity;
+};
+
+// Clear the catalog cache when a change sold out a line (nothing added,
+// nothing left) or put one back on sale (all that is left was added)
+const invalidateIfFlipped = (products, lines, added) => {
+  const flipped = products.some(
+    (product, i) => product && unitsLeft(product, lines[i]) === added(lines[i])
+  );
+  if (flipped) invalidateCatalog();
+};
+
+// put the units of a hold back on sale
+export const releaseStock = async (lines, hold) => {
+  const products = await Promise.all(
+    lines.map((line) => {
+      const { filter, update } = heldLine(line, hold);
+      return updateLine(
+        filter,
+        line,
+        { quantity: line.quantity, reserved: -line.quantity },
+        update
+      );
+    })
+  );
+  invalidateIfFlipped(products, lines, (line) => line.quantity);
+};
+
+// Hold the units of every line, or none of them. Returns the hold to
+// release or commit, or the first line that is short of stock.
+export const reserveStock = async (lines) => {
+  const hold = new mongoose.Types.ObjectId();
+  const held = [];
+  const products = [];
+  for (const line of lines) {
+    const filter = line.variant
+      ? {
+          _id: line.product,
+          variants: { $elemMatch: { _id: line.variant, quantity: { $gte: line.quantity } } },
+        }
+      : { _id: line.product, quantity: { $gte: line.quantity } };
+    const product = await updateLine(
+      filter,
+      line,
+      { quantity: -line.quantity, reserved: line.quantity },
+      {
+        $push: {
+          holds: { ...holdOf(line, hold), quantity: line.quantity, heldAt: new Date() },
+        },
+      }
+    );
+    if (!product) {
+      await releaseStock(held, hold);
+      return { ok: false, line };
+    }
+    held.push(line);
+    products.push(product);
+  }
+  invalidateIfFlipped(products, lines, () => 0);
+  return { ok: true, hold };
+};
+
+// reserved units are not shown anywhere, so the cache stays
+export const commitStock = async (lines, hold) => {
+  await Promise.all(
+    lines.map((line) => {
+      const { filter, update } = heldLine(line, hold);
+      return updateLine(filter, line, { reserved: -line.quantity }, update);
+    })
+  );
+};
+
+// Put the units of holds older than HOLD_TTL back on sale. Run as the
+// server starts and every HOLD_TTL after; returns how many lines it
+// released.
+export const releaseExpiredHolds = async (now = Date.now()) => {
+  try {
+    const before = new Date(now - HOLD_TTL);
+    const products = await productModel
+      .find({ "holds.heldAt": { $lt: before } })
+      .select("+holds")
+      .lean();
+    const expired = products.flatMap((product) =>
+      product.holds
+        .filter((entry) => entry.heldAt < before)
+        .map((entry) => ({
+          product: product._id,
+          ...(entry.variant && { variant: entry.variant }),
+          quantity: entry.quantity,
+          hold: entry.hold,
+        }))
+    );
+    await Promise.all(
+      expired.map(({ hold, ...line }) => releaseStock([line], hold))
+    );
+    return expired.length;
+  } catch (error) {
+    console.log(error);
+    return 0;
+  }
+};
+
+// put units from a cancelled or refunded order back on sale
+export const restockItems = async (lines) => {
+  const products = await Promise.all(
+    lines.map((line) => updateLine(lineFilter(line), line, { quantity: line.quantity }))
+  );
+  invalidateIfFlipped(products, lines, (line) => line.quantity);
+};
@@ -0,0 +1,339 @@
+import productModel from '../models/productModel.js';
+import {
+  HOLD_TTL,
+  reserveStock,
+  releaseStock,
+  commitStock,
+  restockItems,
+  releaseExpiredHolds,
+} from './stockHelper.js';
+import { catalogCache } from './cacheHelper.js';
+
+jest.mock('../models/productModel.js', () => ({
+  __esModule: true,
+  default: { findOneAndUpdate: jest.fn(), find: jest.fn() },
+}));
+
+// what the updates return: the product's counters after the change
+const inStock = { quantity: 5, variants: [{ _id: 'v1', quantity: 5 }] };
+const counterUpdate = {
+  new: true,
+  timestamps: false,
+  projection: 'quantity variants._id variants.quantity',
+};
+const variantUpdate = { ...counterUpdate, arrayFilters: [{ 'line._id': 'v1' }] };
+// the record of a line's part of a hold, pushed with the reservation
+const holdEntry = (quantity, variant = null) => ({
+  hold: expect.anything(),
+  variant,
+  quantity,
+  heldAt: expect.any(Date),
+});
+
+const lines = [
+  { product: 'p1', name: 'Widget', quantity: 2 },
+  { product: 'p2', name: 'Gadget', quantity: 1 },
+];
+
+describe('stockHelper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('reserveStock', () => {
+    it('moves each line from available stock into the reserved pool', async () => {
+      productModel.findOneAndUpdate.mockResolvedValue(inStock);
+
+      const result = await reserveStock(lines);
+
+      expect(result).toEqual({ ok: true, hold: expect.anything() });
+      expect(productModel.findOneAndUpdate).toHaveBeenNthCalledWith(
+        1,
+        { _id: 'p1', quantity: { $gte: 2 } },
+        { $inc: { quantity: -2, reserved: 2 }, $push: { holds: holdEntry(2) } },
+        counterUpdate,
+      );
+      expect(productModel.findOneAndUpdate).toHaveBeenNthCalledWith(
+        2,
+        { _id: 'p2', quantity: { $gte: 1 } },
+        { $inc: { quantity: -1, reserved: 1 }, $push: { holds: holdEntry(1) } },
+        counterUpdate,
+      );
+      // every line of a checkout is part of one hold
+      const holds = productModel.findOneAndUpdate.mock.calls.map(([, update]) => update.$push.holds.hold);
+      expect(holds[1]).toBe(holds[0]);
+      expect(holds[0]).toBe(result.hold);
+    });
+
+    it('returns the failing line and releases the lines already held', async () => {
+      productModel.findOneAndUpdate
+        .mockResolvedValueOnce(inStock)
+        .mockResolvedValueOnce(null)
+        .mockResolvedValue(inStock);
+
+      const result = await reserveStock(lines);
+
+      expect(result).toEqual({ ok: false, line: lines[1] });
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledTimes(3);
+      const hold = productModel.findOneAndUpdate.mock.calls[0][1].$push.holds.hold;
+      expect(productModel.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { _id: 'p1', holds: { $elemMatch: { hold, variant: null } } },
+        { $inc: { quantity: 2, reserved: -2 }, $pull: { holds: { hold, variant: null } } },
+        counterUpdate,
+      );
+    });
+
+    it('stops at the first line when nothing can be reserved', async () => {
+      productModel.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await reserveStock(lines);
+
+      expect(result).toEqual({ ok: false, line: lines[0] });
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('lets only one of two concurrent checkouts take the last unit', async () => {
+      let stock = 1;
+      productModel.findOneAndUpdate.mockImplementation(async (filter, update) => {
+        if (filter.quantity && stock < filter.quantity.$gte) return null;
+        stock += update.$inc.quantity;
+        return { quantity: stock };
+      });
+      const lastUnit = [{ product: 'p1', name: 'Widget', quantity: 1 }];
+
+      const results = await Promise.all([reserveStock(lastUnit), reserveStock(lastUnit)]);
+
+      expect(results.filter((r) => r.ok)).toHaveLength(1);
+      expect(stock).toBe(0);
+    });
+  });
+
+  describe('releaseStock', () => {
+    it('returns reserved units to available stock', async () => {
+      productModel.findOneAndUpdate.mockResolvedValue(inStock);
+
+      await releaseStock(lines);
+
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'p1' },
+        { $inc: { quantity: 2, reserved: -2 } },
+        counterUpdate,
+      );
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'p2' },
+        { $inc: { quantity: 1, reserved: -1 } },
+        counterUpdate,
+      );
+    });
+
+    it('undoes only the hold it is given, and only while it is recorded', async () => {
+      productModel.findOneAndUpdate.mockResolvedValue(inStock);
+
+      await releaseStock([lines[0]], 'h1');
+
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'p1', holds: { $elemMatch: { hold: 'h1', variant: null } } },
+        { $inc: { quantity: 2, reserved: -2 }, $pull: { holds: { hold: 'h1', variant: null } } },
+        counterUpdate,
+      );
+    });
+
+    it('does nothing for an empty reservation', async () => {
+      await releaseStock([]);
+
+      expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('commitStock', () => {
+    it('drops sold units from the reserved pool without restocking', async () => {
+      productModel.findOneAndUpdate.mockResolvedValue(inStock);
+
+      await commitStock(lines);
+
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'p1' }, { $inc: { reserved: -2 } }, counterUpdate);
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'p2' }, { $inc: { reserved: -1 } }, counterUpdate);
+    });
+
+    it('removes the record of the hold with the reserved units', async () => {
+      productModel.findOneAndUpdate.mockResolvedValue(inStock);
+
+      await commitStock([lines[0]], 'h1');
+
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'p1', holds: { $elemMatch: { hold: 'h1', variant: null } } },
+        { $inc: { reserved: -2 }, $pull: { holds: { hold: 'h1', variant: null } } },
+        counterUpdate,
+      );
+    });
+  });
+
+  describe('releaseExpiredHolds', () => {
+    const NOW = Date.parse('2026-10-18T12:00:00Z');
+    const ago = (ms) => new Date(NOW - ms);
+    const findHolds = (products) => {
+      const query = { select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(products) };
+      productModel.find.mockReturnValue(query);
+      return query;
+    };
+
+    it('puts the units of holds older than the limit back on sale', async () => {
+      const query = findHolds([
+        {
+          _id: 'p1',
+          holds: [
+            { hold: 'old', variant: null, quantity: 2, heldAt: ago(HOLD_TTL + 1000) },
+            { hold: 'new', variant: null, quantity: 1, heldAt: ago(1000) },
+          ],
+        },
+        { _id: 'p2', holds: [{ hold: 'old', variant: 'v1', quantity: 3, heldAt: ago(HOLD_TTL * 2) }] },
+      ]);
+      productModel.findOneAndUpdate.mockResolvedValue(inStock);
+
+      expect(await releaseExpiredHolds(NOW)).toBe(2);
+
+      expect(productModel.find).toHaveBeenCalledWith({ 'holds.heldAt': { $lt: ago(HOLD_TTL) } });
+      expect(query.select).toHaveBeenCalledWith('+holds');
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'p1', holds: { $elemMatch: { hold: 'old', variant: null } } },
+        { $inc: { quantity: 2, reserved: -2 }, $pull: { holds: { hold: 'old', variant: null } } },
+        counterUpdate,
+      );
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'p2', 'variants._id': 'v1', holds: { $elemMatch: { hold: 'old', variant: 'v1' } } },
+        {
+          $inc: { quantity: 3, reserved: -3, 'variants.$[line].quantity': 3, 'variants.$[line].reserved': -3 },
+          $pull: { holds: { hold: 'old', variant: 'v1' } },
+        },
+        variantUpdate,
+      );
+    });
+
+    it('logs a failed sweep and releases nothing', async () => {
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      productModel.find.mockImplementation(() => {
+        throw new Error('db down');
+      });
+
+      expect(await releaseExpiredHolds(NOW)).toBe(0);
+      expect(logSpy).toHaveBeenCalled();
+      expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+      logSpy.mockRestore();
+    });
+  });
+
+  describe('restockItems', () => {
+    it('adds refunded units back to available stock only', async () => {
+      productModel.findOneAndUpdate.mockResolvedValue(inStock);
+
+      await restockItems(lines);
+
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'p1' }, { $inc: { quantity: 2 } }, counterUpdate);
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'p2' }, { $inc: { quantity: 1 } }, counterUpdate);
+    });
+  });
+
+  describe('catalog cache', () => {
+    beforeEach(() => {
+      catalogCache.set('products:latest', []);
+    });
+
+    const cleared = () => catalogCache.get('products:latest') === undefined;
+
+    it('is cleared when a reservation sells a product out', async () => {
+      productModel.findOneAndUpdate.mockResolvedValueOnce({ quantity: 0 });
+
+      await reserveStock([lines[0]]);
+
+      expect(cleared()).toBe(true);
+    });
+
+    it.each([
+      ['releasing', () => releaseStock([lines[0]])],
+      ['restocking', () => restockItems([lines[0]])],
+    ])('is cleared when %s puts a sold out product back on sale', async (label, change) => {
+      productModel.findOneAndUpdate.mockResolvedValueOnce({ quantity: 2 });
+
+      await change();
+
+      expect(cleared()).toBe(true);
+    });
+
+    it('is cleared when a variant sells out though the product has stock', async () => {
+      productModel.findOneAndUpdate.mockResolvedValueOnce({
+        quantity: 4,
+        variants: [{ _id: 'v1', quantity: 0 }],
+      });
+
+      await reserveStock([{ product: 'p1', variant: 'v1', name: 'Tee (M)', quantity: 2 }]);
+
+      expect(cleared()).toBe(true);
+    });
+
+    it.each([
+      ['reserving', () => reserveStock(lines)],
+      ['releasing', () => releaseStock(lines)],
+      ['committing', () => commitStock(lines)],
+      ['restocking', () => restockItems(lines)],
+    ])('is kept when %s leaves every product as available as before', async (label, change) => {
+      productModel.findOneAndUpdate.mockResolvedValue(inStock);
+
+      await change();
+
+      expect(cleared()).toBe(false);
+    });
+  });
+
+  describe('variant lines', () => {
+    const variantLine = { product: 'p1', variant: 'v1', name: 'Tee (M)', quantity: 2 };
+
+    it('reserves only when the variant itself has the units', async () => {
+      productModel.findOneAndUpdate.mockResolvedValue(inStock);
+
+      const result = await reserveStock([variantLine]);
+
+      expect(result).toEqual({ ok: true, hold: expect.anything() });
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'p1', variants: { $elemMatch: { _id: 'v1', quantity: { $gte: 2 } } } },
+        {
+          $inc: {
+            quantity: -2,
+            reserved: 2,
+            'variants.$[line].quantity': -2,
+            'variants.$[line].reserved': 2,
+          },
+          $push: { holds: holdEntry(2, 'v1') },
+        },
+        variantUpdate,
+      );
+    });
+
+    it('reports the variant line that could not be reserved', async () => {
+      productModel.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await reserveStock([variantLine]);
+
+      expect(result).toEqual({ ok: false, line: variantLine });
+    });
+
+    it('moves the variant counters with the product ones afterwards', async () => {
+      productModel.findOneAndUpdate.mockResolvedValue(inStock);
+      const filter = { _id: 'p1', 'variants._id': 'v1' };
+
+      await releaseStock([variantLine]);
+      await commitStock([variantLine]);
+      await restockItems([variantLine]);
+
+      expect(productModel.findOneAndUpdate).toHaveBeenNthCalledWith(1, filter, {
+        $inc: { quantity: 2, reserved: -2, 'variants.$[line].quantity': 2, 'variants.$[line].reserved': -2 },
+      }, variantUpdate);
+      expect(productModel.findOneAndUpdate).toHaveBeenNthCalledWith(2, filter, {
+        $inc: { reserved: -2, 'variants.$[line].reserved': -2 },
+      }, variantUpdate);
+      expect(productModel.findOneAndUpdate).toHaveBeenNthCalledWith(3, filter, {
+        $inc: { quantity: 2, 'variants.$[line].quantity': 2 },
+      }, variantUpdate);
+    });
+  });
+});
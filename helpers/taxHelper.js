@@ -0,0 +1,89 @@
+import taxRateModel from "../models/taxRateModel.js";
+import { roundPrice } from "./priceHelper.js";
+
+// exclusive: catalog prices are before tax and the tax is added on top
+// inclusive: catalog prices already include the tax, which is shown but
+//            does not change what is charged
+// TAX_MODE picks one for the whole store and defaults to exclusive.
+export const TAX_MODES = ["exclusive", "inclusive"];
+
+export const getTaxMode = () =>
+  TAX_MODES.includes(process.env.TAX_MODE) ? process.env.TAX_MODE : "exclusive";
+
+export const normalizeRegion = (region) =>
+  typeof region === "string" ? region.trim().toUpperCase() : "";
+
+export const normalizeTaxClass = (taxClass) =>
+  typeof taxClass === "string" && taxClass.trim()
+    ? taxClass.trim().toLowerCase()
+    : "standard";
+
+// the rate for the destination, falling back to the "*" rate for the class
+export const findRate = (rates, region, taxClass) => {
+  const wanted = normalizeTaxClass(taxClass);
+  const forClass = rates.filter((rate) => normalizeTaxClass(rate.taxClass) === wanted);
+  return (
+    forClass.find((rate) => rate.region === normalizeRegion(region)) ||
+    forClass.find((rate) => rate.region === "*") ||
+    null
+  );
+};
+
+// Work out the tax on cart lines ({ taxClass, total }) after `discount`,
+// which is shared across the lines in proportion to their totals. Tax is
+// rounded once per rate rather than per line so the lines add up. The
+// cart page quote and the payment both come through here, so what the
+// shopper is shown is what they are charged.
+export const calculateTax = (
+  lines,
+  { rates = [], region = "", mode = "exclusive", discount = 0 } = {}
+) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+  const taken = Math.min(Math.max(discount, 0), subtotal);
+  const groups = new Map();
+  for (const line of lines) {
+    const rate = findRate(rates, region, line.taxClass);
+    if (!rate || !(rate.rate > 0)) continue;
+    const taxable = subtotal > 0 ? line.total - (taken * line.total) / subtotal : 0;
+    const key = `${rate.region}:${normalizeTaxClass(rate.taxClass)}`;
+    const group = groups.get(key) || { rate, taxable: 0 };
+    group.taxable += taxable;
+    groups.set(key, group);
+  }
+  const taxes = [];
+  for (const { rate, taxable } of groups.values()) {
+    const amount = roundPrice(
+      mode === "inclusive"
+        ? (taxable * rate.rate) / (100 + rate.rate)
+        : (taxable * rate.rate) / 100
+    );
+    if (amount > 0) {
+      taxes.push({
+        name: rate.name,
+        region: rate.region,
+        taxClass: normalizeTaxClass(rate.taxClass),
+        rate: rate.rate,
+        taxable: roundPrice(taxable),
+        amount,
+      });
+    }
+  }
+  const tax = roundPrice(taxes.reduce((sum, line) => sum + line.amount, 0));
+  return {
+    mode,
+    taxes,
+    tax,
+    total: roundPrice(subtotal - taken + (mode === "inclusive" ? 0 : tax)),
+  };
+};
+
+// the tax on cart lines shipped to `region`, at the configured rates
+export const cartTax = async (lines, discount, region) => {
+  const rates = await taxRateModel.find({});
+  return calculateTax(lines, {
+    rates,
+    region: normalizeRegion(region),
+    mode: getTaxMode(),
+    discount,
+  });
+};
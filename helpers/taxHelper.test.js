@@ -0,0 +1,138 @@
+import taxRateModel from '../models/taxRateModel.js';
+import { calculateTax, cartTax, findRate, getTaxMode, normalizeRegion, normalizeTaxClass } from './taxHelper.js';
+
+jest.mock('../models/taxRateModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+
+const rates = [
+  { name: 'CA sales tax', region: 'CA', taxClass: 'standard', rate: 10 },
+  { name: 'CA food', region: 'CA', taxClass: 'food', rate: 0 },
+  { name: 'Sales tax', region: '*', taxClass: 'standard', rate: 5 },
+  { name: 'Reduced', region: '*', taxClass: 'reduced', rate: 2 },
+];
+
+describe('taxHelper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    delete process.env.TAX_MODE;
+  });
+
+  describe('getTaxMode', () => {
+    it('defaults to exclusive', () => {
+      expect(getTaxMode()).toBe('exclusive');
+    });
+
+    it('reads TAX_MODE and ignores values it does not know', () => {
+      process.env.TAX_MODE = 'inclusive';
+      expect(getTaxMode()).toBe('inclusive');
+      process.env.TAX_MODE = 'sometimes';
+      expect(getTaxMode()).toBe('exclusive');
+    });
+  });
+
+  it('normalizes regions and tax classes', () => {
+    expect(normalizeRegion(' ca ')).toBe('CA');
+    expect(normalizeRegion(undefined)).toBe('');
+    expect(normalizeTaxClass(' Food ')).toBe('food');
+    expect(normalizeTaxClass('')).toBe('standard');
+  });
+
+  describe('findRate', () => {
+    it('prefers the rate for the region', () => {
+      expect(findRate(rates, 'ca', 'standard').name).toBe('CA sales tax');
+    });
+
+    it('falls back to the rate for every region', () => {
+      expect(findRate(rates, 'NY', 'standard').name).toBe('Sales tax');
+      expect(findRate(rates, 'CA', 'reduced').name).toBe('Reduced');
+    });
+
+    it('treats a product without a class as standard', () => {
+      expect(findRate(rates, 'CA', undefined).name).toBe('CA sales tax');
+    });
+
+    it('finds nothing for a class without rates', () => {
+      expect(findRate(rates, 'CA', 'luxury')).toBeNull();
+    });
+  });
+
+  describe('calculateTax', () => {
+    it('adds one tax line per rate on top of exclusive prices', () => {
+      const lines = [
+        { taxClass: 'standard', total: 20 },
+        { taxClass: 'standard', total: 10 },
+        { taxClass: 'reduced', total: 50 },
+      ];
+
+      expect(calculateTax(lines, { rates, region: 'CA' })).toEqual({
+        mode: 'exclusive',
+        taxes: [
+          { name: 'CA sales tax', region: 'CA', taxClass: 'standard', rate: 10, taxable: 30, amount: 3 },
+          { name: 'Reduced', region: '*', taxClass: 'reduced', rate: 2, taxable: 50, amount: 1 },
+        ],
+        tax: 4,
+        total: 84,
+      });
+    });
+
+    it('shares the discount across the lines before taxing them', () => {
+      const lines = [
+        { taxClass: 'standard', total: 30 },
+        { taxClass: 'food', total: 10 },
+      ];
+
+      const quote = calculateTax(lines, { rates, region: 'CA', discount: 20 });
+
+      expect(quote.taxes).toEqual([
+        { name: 'CA sales tax', region: 'CA', taxClass: 'standard', rate: 10, taxable: 15, amount: 1.5 },
+      ]);
+      expect(quote.total).toBe(21.5);
+    });
+
+    it('never discounts below zero', () => {
+      const quote = calculateTax([{ taxClass: 'standard', total: 10 }], { rates, region: 'CA', discount: 50 });
+
+      expect(quote).toEqual({ mode: 'exclusive', taxes: [], tax: 0, total: 0 });
+    });
+
+    it('takes the tax out of inclusive prices without changing the total', () => {
+      const quote = calculateTax([{ taxClass: 'standard', total: 110 }], { rates, region: 'CA', mode: 'inclusive' });
+
+      expect(quote.tax).toBe(10);
+      expect(quote.taxes[0]).toMatchObject({ taxable: 110, amount: 10 });
+      expect(quote.total).toBe(110);
+    });
+
+    it('rounds once per rate so the lines add up', () => {
+      const lines = [1, 2, 3].map(() => ({ taxClass: 'standard', total: 0.05 }));
+
+      expect(calculateTax(lines, { rates, region: 'CA' }).tax).toBe(0.02);
+    });
+
+    it('charges nothing when no rates are set up', () => {
+      expect(calculateTax([{ taxClass: 'standard', total: 10 }])).toEqual({
+        mode: 'exclusive',
+        taxes: [],
+        tax: 0,
+        total: 10,
+      });
+    });
+  });
+
+  describe('cartTax', () => {
+    it('uses the configured rates and mode', async () => {
+      taxRateModel.find.mockResolvedValue(rates);
+      process.env.TAX_MODE = 'inclusive';
+
+      const quote = await cartTax([{ taxClass: 'standard', total: 105 }], 0, 'ny');
+
+      expect(taxRateModel.find).toHaveBeenCalledWith({});
+      expect(quote).toMatchObject({ mode: 'inclusive', tax: 5, total: 105 });
+    });
+  });
+});
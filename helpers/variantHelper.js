@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+
+// variant fields to load with a product when its photos are not wanted
+export const VARIANT_FIELDS =
+  "options variants._id variants.sku variants.options variants.price variants.quantity";
+
+// read a list field from a multipart form, where it may come as a JSON
+// string; null when it is not a list
+export const parseList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value !== "string") return null;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+// check and tidy the option types and variants sent with a product form;
+// both may come as JSON strings since product forms are multipart
+export const readVariants = (optionsInput, variantsInput) => {
+  const rawOptions = parseList(optionsInput);
+  const rawVariants = parseList(variantsInput);
+  if (!rawOptions || !rawVariants) return { error: "Invalid options or variants" };
+
+  const options = [];
+  for (const raw of rawOptions) {
+    const name = text(raw?.name);
+    if (!name) return { error: "Each option needs a name" };
+    if (options.some((option) => option.name === name)) {
+      return { error: `Option ${name} is listed twice` };
+    }
+    const values = [
+      ...new Set((Array.isArray(raw?.values) ? raw.values : []).map(text).filter(Boolean)),
+    ];
+    if (values.length === 0) return { error: `Option ${name} needs at least one value` };
+    options.push({ name, values });
+  }
+  if (options.length > 0 && rawVariants.length === 0) {
+    return { error: "Add at least one variant for the options" };
+  }
+  if (options.length === 0 && rawVariants.length > 0) {
+    return { error: "Add an option before adding variants" };
+  }
+
+  const variants = [];
+  const combinations = new Set();
+  for (const raw of rawVariants) {
+    const sku = text(raw?.sku);
+    if (!sku) return { error: "Each variant needs a SKU" };
+    if (variants.some((variant) => variant.sku === sku)) {
+      return { error: `SKU ${sku} is used twice` };
+    }
+    const given = Array.isArray(raw?.options) ? raw.options : [];
+    const picked = [];
+    for (const option of options) {
+      const value = text(given.find((o) => text(o?.name) === option.name)?.value);
+      if (!option.values.includes(value)) {
+        return { error: `Pick a ${option.name} for variant ${sku}` };
+      }
+      picked.push({ name: option.name, value });
+    }
+    const combination = picked.map((o) => o.value).join("\u0000");
+    if (combinations.has(combination)) {
+      return { error: `Variant ${sku} has the same options as another variant` };
+    }
+    combinations.add(combination);
+    const variant = { sku, options: picked };
+    if (raw.price !== undefined && raw.price !== null && raw.price !== "") {
+      const price = Number(raw.price);
+      if (!Number.isFinite(price) || price < 0) {
+        return { error: `Price for variant ${sku} must be 0 or more` };
+      }
+      variant.price = price;
+    }
+    const quantity = Number(raw.quantity ?? 0);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return { error: `Stock for variant ${sku} must be a whole number of 0 or more` };
+    }
+    variant.quantity = quantity;
+    if (mongoose.isValidObjectId(raw._id)) variant._id = String(raw._id);
+    variants.push(variant);
+  }
+  return { options, variants };
+};
+
+// "M / Red" for a variant sold in size M and colour red
+export const variantName = (variant) =>
+  (variant?.options || []).map((option) => option.value).join(" / ");
+
+export const findVariant = (product, variantId) =>
+  (product?.variants || []).find((variant) => String(variant._id) === String(variantId)) ||
+  null;
+
+// a variant's own price when it has one, else the product's
+export const unitPrice = (product, variant) =>
+  typeof variant?.price === "number" ? variant.price : Number(product?.price) || 0;
+
+// all the stock of a product sold in variants
+export const totalStock = (variants) =>
+  variants.reduce((sum, variant) => sum + (variant.quantity || 0), 0);
+
+// tells apart lines for different variants of the same product
+export const lineKey = (product, variant) =>
+  variant ? `${product}:${variant}` : String(product);
@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+import {
+  findVariant,
+  lineKey,
+  parseList,
+  readVariants,
+  totalStock,
+  unitPrice,
+  variantName,
+} from "./variantHelper.js";
+
+const size = { name: "Size", values: ["S", "M"] };
+const small = { sku: "TEE-S", options: [{ name: "Size", value: "S" }], quantity: 2 };
+const medium = { sku: "TEE-M", options: [{ name: "Size", value: "M" }], price: 25, quantity: 3 };
+
+describe("readVariants", () => {
+  it("reads a product without variants", () => {
+    expect(readVariants(undefined, undefined)).toEqual({ options: [], variants: [] });
+    expect(readVariants("[]", "")).toEqual({ options: [], variants: [] });
+  });
+
+  it("reads options and variants sent as JSON and tidies them", () => {
+    const result = readVariants(
+      JSON.stringify([{ name: " Size ", values: [" S", "M", "S", ""] }]),
+      JSON.stringify([
+        { ...small, sku: " TEE-S ", price: "" },
+        { ...medium, price: "25", quantity: "3" },
+      ])
+    );
+
+    expect(result).toEqual({
+      options: [size],
+      variants: [
+        { sku: "TEE-S", options: [{ name: "Size", value: "S" }], quantity: 2 },
+        { sku: "TEE-M", options: [{ name: "Size", value: "M" }], price: 25, quantity: 3 },
+      ],
+    });
+  });
+
+  it("keeps the id of a variant that already exists", () => {
+    const _id = new mongoose.Types.ObjectId().toString();
+
+    const result = readVariants([size], [{ ...small, _id }, { ...medium, _id: "new" }]);
+
+    expect(result.variants[0]._id).toBe(_id);
+    expect(result.variants[1]).not.toHaveProperty("_id");
+  });
+
+  it("turns down input that is not a list", () => {
+    expect(readVariants("{oops", "[]")).toEqual({ error: "Invalid options or variants" });
+    expect(readVariants("[]", '{"sku":"A"}')).toEqual({ error: "Invalid options or variants" });
+  });
+
+  it.each([
+    [[{ values: ["S"] }], [small], "Each option needs a name"],
+    [[size, size], [small], "Option Size is listed twice"],
+    [[{ name: "Size", values: [" "] }], [small], "Option Size needs at least one value"],
+    [[size], [], "Add at least one variant for the options"],
+    [[], [small], "Add an option before adding variants"],
+    [[size], [{ ...small, sku: " " }], "Each variant needs a SKU"],
+    [[size], [small, { ...medium, sku: "TEE-S" }], "SKU TEE-S is used twice"],
+    [[size], [{ ...small, options: [{ name: "Size", value: "XL" }] }], "Pick a Size for variant TEE-S"],
+    [[size], [small, { ...medium, options: small.options }], "Variant TEE-M has the same options as another variant"],
+    [[size], [{ ...small, price: -1 }], "Price for variant TEE-S must be 0 or more"],
+    [[size], [{ ...small, quantity: 1.5 }], "Stock for variant TEE-S must be a whole number of 0 or more"],
+  ])("turns down %j with %j", (options, variants, error) => {
+    expect(readVariants(options, variants)).toEqual({ error });
+  });
+});
+
+describe("parseList", () => {
+  it("reads lists sent as arrays or JSON strings", () => {
+    expect(parseList(["a"])).toEqual(["a"]);
+    expect(parseList('["a","b"]')).toEqual(["a", "b"]);
+    expect(parseList("")).toEqual([]);
+    expect(parseList(undefined)).toEqual([]);
+  });
+
+  it("returns null for anything that is not a list", () => {
+    expect(parseList("{bad")).toBeNull();
+    expect(parseList('{"a":1}')).toBeNull();
+    expect(parseList(3)).toBeNull();
+  });
+});
+
+describe("variant lookups", () => {
+  const _id = new mongoose.Types.ObjectId();
+  const product = { price: 20, variants: [{ ...medium, _id }] };
+
+  it("names a variant by its option values", () => {
+    expect(
+      variantName({ options: [{ name: "Size", value: "M" }, { name: "Colour", value: "Red" }] })
+    ).toBe("M / Red");
+    expect(variantName(undefined)).toBe("");
+  });
+
+  it("finds a variant by id", () => {
+    expect(findVariant(product, _id.toString())).toBe(product.variants[0]);
+    expect(findVariant(product, new mongoose.Types.ObjectId())).toBeNull();
+    expect(findVariant({}, _id)).toBeNull();
+  });
+
+  it("prices a variant at its own price or the product's", () => {
+    expect(unitPrice(product, product.variants[0])).toBe(25);
+    expect(unitPrice(product, small)).toBe(20);
+    expect(unitPrice(product, null)).toBe(20);
+    expect(unitPrice({ price: 0 }, { price: 0 })).toBe(0);
+  });
+
+  it("adds up the stock of every variant", () => {
+    expect(totalStock([small, medium])).toBe(5);
+    expect(totalStock([])).toBe(0);
+  });
+
+  it("keys lines by product and variant", () => {
+    expect(lineKey("p1")).toBe("p1");
+    expect(lineKey("p1", null)).toBe("p1");
+    expect(lineKey("p1", "v1")).toBe("p1:v1");
+  });
+});
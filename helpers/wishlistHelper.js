@@ -0,0 +1,16 @@
+import { roundPrice } from "./priceHelper.js";
+
+// a saved product compared with how it stands now: priceDrop is how much
+// cheaper it got since it was saved, and backInStock is set when it could
+// not be bought then and can be now
+export const describeWishlistItem = ({ product, savedPrice, savedInStock, addedAt }) => {
+  const inStock = product.quantity > 0;
+  return {
+    product,
+    savedPrice,
+    addedAt,
+    outOfStock: !inStock,
+    priceDrop: product.price < savedPrice ? roundPrice(savedPrice - product.price) : 0,
+    backInStock: !savedInStock && inStock,
+  };
+};
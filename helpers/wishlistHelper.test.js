@@ -0,0 +1,45 @@
+import { describeWishlistItem } from './wishlistHelper.js';
+
+const item = (product, overrides = {}) => ({
+  product: { _id: 'p1', name: 'Lamp', ...product },
+  savedPrice: 20,
+  savedInStock: true,
+  addedAt: '2024-01-01',
+  ...overrides,
+});
+
+describe('wishlistHelper', () => {
+  describe('describeWishlistItem', () => {
+    it('flags nothing when the product is unchanged', () => {
+      expect(describeWishlistItem(item({ price: 20, quantity: 3 }))).toEqual({
+        product: { _id: 'p1', name: 'Lamp', price: 20, quantity: 3 },
+        savedPrice: 20,
+        addedAt: '2024-01-01',
+        outOfStock: false,
+        priceDrop: 0,
+        backInStock: false,
+      });
+    });
+
+    it('gives how much cheaper the product is than when saved', () => {
+      expect(describeWishlistItem(item({ price: 14.99, quantity: 3 })).priceDrop).toBe(5.01);
+    });
+
+    it('ignores a price that went up', () => {
+      expect(describeWishlistItem(item({ price: 25, quantity: 3 })).priceDrop).toBe(0);
+    });
+
+    it('flags a product that was out of stock when saved and is back', () => {
+      expect(
+        describeWishlistItem(item({ price: 20, quantity: 2 }, { savedInStock: false })).backInStock,
+      ).toBe(true);
+    });
+
+    it('reports a product that is out of stock now', () => {
+      const described = describeWishlistItem(item({ price: 20, quantity: 0 }, { savedInStock: false }));
+
+      expect(described.outOfStock).toBe(true);
+      expect(described.backInStock).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import orderModel from "../../models/orderModel.js";
+import userModel from "../../models/userModel.js";
+import taxRateModel from "../../models/taxRateModel.js";
+import { setPaymentProvider } from "../../helpers/paymentProvider.js";
+import {
+  FAKE_VALID_NONCE,
+  createFakePaymentProvider,
+} from "../../helpers/fakePaymentProvider.js";
+import { brainTreePaymentController } from "../../controllers/productController.js";
+import {
+  createAddressController,
+  deleteAddressController,
+  getAddressesController,
+  updateAddressController,
+} from "../../controllers/addressController.js";
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const home = {
+  recipient: "Ann Lee",
+  line1: "1 Main St",
+  city: "Oakland",
+  region: "CA",
+  postalCode: "94601",
+  country: "US",
+};
+const office = {
+  recipient: "Ann Lee",
+  line1: "9 Work Rd",
+  line2: "Floor 2",
+  city: "Austin",
+  region: "TX",
+  postalCode: "73301",
+  country: "US",
+};
+
+let provider, user, lamp;
+
+beforeAll(async () => {
+  await connect();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  provider = createFakePaymentProvider();
+  setPaymentProvider(provider);
+  user = await userModel.create({
+    name: "Ann Lee",
+    email: "ann@test.com",
+    password: "hashedpassword123",
+    phone: "12345678",
+    address: "1 Main St",
+    DOB: "1990-01-01",
+    answer: "answer",
+  });
+  const category = await categoryModel.create({ name: "Lighting", slug: "lighting" });
+  lamp = await productModel.create({
+    name: "Lamp",
+    slug: "lamp",
+    description: "A lamp",
+    price: 50,
+    category: category._id,
+    quantity: 10,
+  });
+  await taxRateModel.create({ name: "CA sales tax", region: "CA", rate: 10 });
+  await taxRateModel.create({ name: "TX sales tax", region: "TX", rate: 5 });
+});
+
+afterEach(async () => {
+  setPaymentProvider(null);
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+const call = async (controller, { params = {}, body = {} } = {}) => {
+  const res = makeRes();
+  await controller({ params, body, user: { _id: user._id } }, res);
+  return res;
+};
+
+const addressesOf = (res) => res.send.mock.calls[0][0].addresses;
+
+const pay = async (shippingAddress) => {
+  const res = makeRes();
+  await brainTreePaymentController(
+    {
+      body: { nonce: FAKE_VALID_NONCE, cart: [{ _id: lamp._id, quantity: 1 }], shippingAddress },
+      user: { _id: user._id },
+    },
+    res,
+  );
+  return res;
+};
+
+describe("Backend Integration: address book", () => {
+  it("keeps one default shipping and billing address as the book changes", async () => {
+    await call(createAddressController, { body: home });
+    const added = addressesOf(
+      await call(createAddressController, { body: { ...office, isDefaultShipping: true } }),
+    );
+
+    expect(added.map((a) => [a.city, a.isDefaultShipping, a.isDefaultBilling])).toEqual([
+      ["Oakland", false, true],
+      ["Austin", true, false],
+    ]);
+
+    const [homeEntry] = added;
+    const deleted = addressesOf(
+      await call(deleteAddressController, { params: { id: String(added[1]._id) } }),
+    );
+    expect(deleted).toHaveLength(1);
+    expect(deleted[0]).toMatchObject({ isDefaultShipping: true, isDefaultBilling: true });
+
+    await call(updateAddressController, {
+      params: { id: String(homeEntry._id) },
+      body: { ...home, line2: "Unit 3" },
+    });
+    const listed = addressesOf(await call(getAddressesController));
+    expect(listed[0]).toMatchObject({ line2: "Unit 3", isDefaultShipping: true });
+  });
+
+  it("ships to the chosen address, taxes for its region and keeps a copy", async () => {
+    await call(createAddressController, { body: home });
+    const [, officeEntry] = addressesOf(await call(createAddressController, { body: office }));
+
+    const res = await pay(String(officeEntry._id));
+
+    expect(res.json).toHaveBeenCalledWith({ ok: true, order: expect.anything() });
+    const [order] = await orderModel.find({});
+    expect(order.taxRegion).toBe("TX");
+    expect(order.tax).toBe(2.5);
+    expect(order.total).toBe(52.5);
+    expect(order.shippingAddress.toObject()).toEqual({ ...office, phone: "" });
+
+    // editing the book afterwards leaves the order's copy alone
+    await call(updateAddressController, {
+      params: { id: String(officeEntry._id) },
+      body: { ...office, line1: "1 New Rd" },
+    });
+    const [stored] = await orderModel.find({});
+    expect(stored.shippingAddress.line1).toBe("9 Work Rd");
+  });
+
+  it("ships to the default address when none is chosen", async () => {
+    await call(createAddressController, { body: home });
+
+    await pay();
+
+    const [order] = await orderModel.find({});
+    expect(order.shippingAddress.city).toBe("Oakland");
+    expect(order.taxRegion).toBe("CA");
+    expect(order.total).toBe(55);
+  });
+
+  it("refuses an address from another user's book", async () => {
+    const res = await pay("64b7f0c2a1b2c3d4e5f60718");
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ error: "Shipping address not found" });
+    expect(await orderModel.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,194 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import { catalogCache } from "../../helpers/cacheHelper.js";
+import { commitStock, reserveStock } from "../../helpers/stockHelper.js";
+import {
+  createProductController,
+  getProductController,
+  getSingleProductController,
+  productPhotoController,
+  updateProductController,
+} from "../../controllers/productController.js";
+import {
+  categoryControlller,
+  updateCategoryController,
+} from "../../controllers/categoryController.js";
+
+const makeReq = (overrides = {}) => ({
+  params: {},
+  query: {},
+  headers: {},
+  body: {},
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = { headers: {} };
+  res.set = jest.fn((name, value) => {
+    if (typeof name === "object") Object.assign(res.headers, name);
+    else res.headers[name] = value;
+    return res;
+  });
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.end = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let category;
+
+const lampFields = (overrides = {}) => ({
+  name: "Lamp",
+  description: "A desk lamp",
+  price: "30",
+  category: category._id.toString(),
+  quantity: "5",
+  ...overrides,
+});
+
+const createLamp = async () => {
+  await createProductController(makeReq({ fields: lampFields(), files: {} }), makeRes());
+  return productModel.findOne({ slug: "Lamp" });
+};
+
+beforeAll(async () => {
+  await connect();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  catalogCache.clear();
+  category = await categoryModel.create({ name: "Lighting", slug: "lighting" });
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: HTTP caching", () => {
+  it("answers 304 for the listing the client has and 200 once a product changes", async () => {
+    const lamp = await createLamp();
+    const first = makeRes();
+    await getProductController(makeReq(), first);
+    expect(first.headers["Last-Modified"]).toBe(lamp.updatedAt.toUTCString());
+    const conditional = () =>
+      makeReq({ headers: { "if-none-match": first.headers.ETag } });
+
+    const unchanged = makeRes();
+    await getProductController(conditional(), unchanged);
+    expect(unchanged.status).toHaveBeenCalledWith(304);
+
+    await updateProductController(
+      makeReq({
+        params: { pid: lamp._id.toString() },
+        fields: lampFields({ price: "35" }),
+        files: {},
+      }),
+      makeRes()
+    );
+    const changed = makeRes();
+    await getProductController(conditional(), changed);
+    expect(changed.status).toHaveBeenCalledWith(200);
+    expect(changed.send.mock.calls[0][0].products[0].price).toBe(35);
+  });
+
+  it("serves a product page from the cache until the product is updated", async () => {
+    const lamp = await createLamp();
+    const read = async () => {
+      const res = makeRes();
+      await getSingleProductController(makeReq({ params: { slug: "Lamp" } }), res);
+      return res.send.mock.calls[0][0].product;
+    };
+
+    expect((await read()).price).toBe(30);
+    // written behind the controllers' back, so the cached copy still shows
+    await productModel.updateOne({ _id: lamp._id }, { price: 40 });
+    expect((await read()).price).toBe(30);
+
+    await updateProductController(
+      makeReq({
+        params: { pid: lamp._id.toString() },
+        fields: lampFields({ price: "45" }),
+        files: {},
+      }),
+      makeRes()
+    );
+    expect((await read()).price).toBe(45);
+  });
+
+  it("keeps a photo for a year under the product's current version only", async () => {
+    const file = { path: __filename, type: "image/png", size: 10 };
+    await createProductController(
+      makeReq({ fields: lampFields(), files: { photo: file } }),
+      makeRes()
+    );
+    const lamp = await productModel.findOne({ slug: "Lamp" });
+    const version = String(lamp.updatedAt.getTime());
+
+    const current = makeRes();
+    await productPhotoController(
+      makeReq({ params: { pid: lamp._id.toString() }, query: { v: version } }),
+      current
+    );
+    expect(current.headers["Cache-Control"]).toBe("public, max-age=31536000, immutable");
+
+    const old = makeRes();
+    await productPhotoController(
+      makeReq({ params: { pid: lamp._id.toString() }, query: { v: "1" } }),
+      old
+    );
+    expect(old.headers["Cache-Control"]).toBe("no-cache");
+
+    const revalidated = makeRes();
+    await productPhotoController(
+      makeReq({
+        params: { pid: lamp._id.toString() },
+        headers: { "if-modified-since": lamp.updatedAt.toUTCString() },
+      }),
+      revalidated
+    );
+    expect(revalidated.status).toHaveBeenCalledWith(304);
+    expect(revalidated.send).not.toHaveBeenCalled();
+  });
+
+  it("keeps the photo version and the cached listing through a sale that leaves stock", async () => {
+    const lamp = await createLamp();
+    const list = makeRes();
+    await getProductController(makeReq(), list);
+
+    const lines = [{ product: lamp._id, quantity: 2 }];
+    const reservation = await reserveStock(lines);
+    expect(reservation.ok).toBe(true);
+    await commitStock(lines, reservation.hold);
+
+    const sold = await productModel.findById(lamp._id);
+    expect(sold.quantity).toBe(3);
+    expect(sold.updatedAt.getTime()).toBe(lamp.updatedAt.getTime());
+    expect(catalogCache.size).toBeGreaterThan(0);
+  });
+
+  it("lists a renamed category at once and tags the list anew", async () => {
+    const first = makeRes();
+    await categoryControlller(makeReq(), first);
+
+    await updateCategoryController(
+      makeReq({ params: { id: category._id.toString() }, body: { name: "Lamps" } }),
+      makeRes()
+    );
+    const res = makeRes();
+    await categoryControlller(
+      makeReq({ headers: { "if-none-match": first.headers.ETag } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send.mock.calls[0][0].category[0].name).toBe("Lamps");
+  });
+});
@@ -0,0 +1,237 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import userModel from "../../models/userModel.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import cartModel from "../../models/cartModel.js";
+import {
+  addCartItemController,
+  clearCartController,
+  getCartController,
+  mergeCartController,
+  removeCartItemController,
+  updateCartItemController,
+  validateCartController,
+} from "../../controllers/cartController.js";
+
+const makeReq = (overrides = {}) => ({
+  params: {},
+  body: {},
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let user, lamp, rug;
+
+// the cart lines a controller sent back, as product name and quantity
+const sentLines = (res) =>
+  res.send.mock.calls[0][0].cart.map((item) => [item.product.name, item.quantity]);
+
+const add = async (product, quantity) => {
+  const res = makeRes();
+  await addCartItemController(
+    makeReq({ body: { productId: product._id.toString(), quantity }, user: { _id: user._id } }),
+    res,
+  );
+  return res;
+};
+
+beforeAll(async () => {
+  await connect();
+  await cartModel.init();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  user = await userModel.create({
+    name: "Shopper",
+    email: "shopper@test.com",
+    password: "hashedpassword123",
+    phone: "12345678",
+    address: "1 Cart Street",
+    DOB: "1990-01-01",
+    answer: "answer",
+  });
+  const category = await categoryModel.create({ name: "Home", slug: "home" });
+  lamp = await productModel.create({
+    name: "Lamp",
+    slug: "lamp",
+    description: "A lamp",
+    price: 10,
+    category: category._id,
+    quantity: 5,
+  });
+  rug = await productModel.create({
+    name: "Rug",
+    slug: "rug",
+    description: "A rug",
+    price: 5,
+    category: category._id,
+    quantity: 5,
+  });
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: server-side cart", () => {
+  it("creates the cart on the first add and merges repeat adds into one line", async () => {
+    await add(lamp, 1);
+    await add(rug, 1);
+    const res = await add(lamp, 2);
+
+    expect(sentLines(res)).toEqual([
+      ["Lamp", 3],
+      ["Rug", 1],
+    ]);
+    expect(await cartModel.countDocuments({})).toBe(1);
+  });
+
+  it("returns the saved cart on a later request", async () => {
+    await add(lamp, 2);
+    const res = makeRes();
+
+    await getCartController(makeReq({ user: { _id: user._id } }), res);
+
+    expect(sentLines(res)).toEqual([["Lamp", 2]]);
+    expect(res.send.mock.calls[0][0].cart[0].product.photo).toBeUndefined();
+  });
+
+  it("updates, removes and clears lines", async () => {
+    await add(lamp, 1);
+    await add(rug, 1);
+
+    const updated = makeRes();
+    await updateCartItemController(
+      makeReq({
+        params: { productId: lamp._id.toString() },
+        body: { quantity: 4 },
+        user: { _id: user._id },
+      }),
+      updated,
+    );
+    expect(sentLines(updated)).toEqual([
+      ["Lamp", 4],
+      ["Rug", 1],
+    ]);
+
+    const removed = makeRes();
+    await removeCartItemController(
+      makeReq({ params: { productId: rug._id.toString() }, user: { _id: user._id } }),
+      removed,
+    );
+    expect(sentLines(removed)).toEqual([["Lamp", 4]]);
+
+    await clearCartController(makeReq({ user: { _id: user._id } }), makeRes());
+    const cart = await cartModel.findOne({ user: user._id });
+    expect(cart.items).toHaveLength(0);
+  });
+
+  it("adds a new product once when two adds race", async () => {
+    await Promise.all([add(lamp, 1), add(lamp, 1)]);
+
+    const cart = await cartModel.findOne({ user: user._id });
+    expect(cart.items).toHaveLength(1);
+    expect(cart.items[0].quantity).toBe(2);
+  });
+
+  it("leaves deleted products out of the cart", async () => {
+    await add(lamp, 1);
+    await add(rug, 1);
+    await productModel.findByIdAndDelete(rug._id);
+    const res = makeRes();
+
+    await getCartController(makeReq({ user: { _id: user._id } }), res);
+
+    expect(sentLines(res)).toEqual([["Lamp", 1]]);
+  });
+
+  it("merges a guest cart into the saved cart, capped by stock", async () => {
+    await add(lamp, 4);
+    const res = makeRes();
+
+    await mergeCartController(
+      makeReq({
+        body: {
+          items: [
+            { productId: lamp._id.toString(), quantity: 3 },
+            { productId: rug._id.toString(), quantity: 1 },
+          ],
+        },
+        user: { _id: user._id },
+      }),
+      res,
+    );
+
+    expect(sentLines(res)).toEqual([
+      ["Lamp", 5],
+      ["Rug", 1],
+    ]);
+    expect(res.send.mock.calls[0][0].changes).toEqual({
+      added: ["Rug"],
+      combined: ["Lamp"],
+      capped: [{ name: "Lamp", quantity: 5 }],
+      removed: 0,
+    });
+  });
+
+  it("creates the cart from a guest cart and drops deleted products", async () => {
+    const gone = rug._id.toString();
+    await productModel.findByIdAndDelete(rug._id);
+    const res = makeRes();
+
+    await mergeCartController(
+      makeReq({
+        body: {
+          items: [
+            { productId: lamp._id.toString(), quantity: 2 },
+            { productId: gone, quantity: 1 },
+          ],
+        },
+        user: { _id: user._id },
+      }),
+      res,
+    );
+
+    expect(sentLines(res)).toEqual([["Lamp", 2]]);
+    expect(res.send.mock.calls[0][0].changes.removed).toBe(1);
+    const cart = await cartModel.findOne({ user: user._id });
+    expect(cart.items).toHaveLength(1);
+  });
+
+  it("reports the current price and stock of a guest cart", async () => {
+    const gone = rug._id.toString();
+    await productModel.findByIdAndDelete(rug._id);
+    await productModel.findByIdAndUpdate(lamp._id, { price: 12, quantity: 1 });
+    const res = makeRes();
+
+    await validateCartController(
+      makeReq({
+        body: {
+          items: [
+            { productId: lamp._id.toString(), quantity: 3 },
+            { productId: gone, quantity: 1 },
+          ],
+        },
+      }),
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send.mock.calls[0][0].items).toEqual([
+      expect.objectContaining({ productId: lamp._id.toString(), exists: true, price: 12, stock: 1, quantity: 3 }),
+      { productId: gone, exists: false },
+    ]);
+  });
+});
@@ -176,7 +176,7 @@ describe('Backend Integration: Category & Payment Controllers', () => {
         await new Promise((r) => setTimeout(r, 50));
       }
 
-      expect(res.json).toHaveBeenCalledWith({ ok: true });
+      expect(res.json).toHaveBeenCalledWith({ ok: true, order: expect.anything() });
 
       // Verify the order document in MongoDB
       expect(orders).toHaveLength(1);
@@ -184,13 +184,54 @@ describe('Backend Integration: Category & Payment Controllers', () => {
       const order = orders[0];
       expect(order.buyer.toString()).toBe(user._id.toString());
       expect(order.products).toHaveLength(2);
-      // Verify actual product IDs are stored correctly
-      const storedProductIds = order.products.map((p) => p.toString());
+      // Verify line items snapshot the product IDs, names and DB prices
+      const storedProductIds = order.products.map((p) => p.product.toString());
       expect(storedProductIds).toContain(product1._id.toString());
       expect(storedProductIds).toContain(product2._id.toString());
+      const widgetA = order.products.find((p) => p.name === 'Widget A');
+      expect(widgetA.price).toBe(25);
+      expect(widgetA.quantity).toBe(1);
+      expect(widgetA.total).toBe(25);
+      expect(order.total).toBe(100);
       expect(order.payment.success).toBe(true);
       expect(order.payment.transaction.id).toBe('fake_txn_123');
       expect(order.status).toBe('Not Process');
+
+      // Stock is decremented and nothing is left in the reserved pool
+      const dbProduct1 = await productModel.findById(product1._id);
+      expect(dbProduct1.quantity).toBe(9);
+      expect(dbProduct1.reserved).toBe(0);
+    });
+
+    it('lets only one of two concurrent checkouts buy the last unit', async () => {
+      const lastUnit = await productModel.create({
+        name: 'Last One',
+        slug: 'last-one',
+        description: 'Only one left',
+        price: 40,
+        category: cat._id,
+        quantity: 1,
+      });
+      const checkout = () => {
+        const res = makeRes();
+        const req = makeReq({
+          body: { nonce: 'fake-nonce', cart: [{ _id: lastUnit._id }] },
+          user: { _id: user._id },
+        });
+        return brainTreePaymentController(req, res).then(() => res);
+      };
+
+      const [resA, resB] = await Promise.all([checkout(), checkout()]);
+
+      const succeeded = [resA, resB].filter((r) => r.json.mock.calls.length > 0);
+      const rejected = [resA, resB].filter((r) => r.status.mock.calls.some(([code]) => code === 409));
+      expect(succeeded).toHaveLength(1);
+      expect(rejected).toHaveLength(1);
+
+      const dbProduct = await productModel.findById(lastUnit._id);
+      expect(dbProduct.quantity).toBe(0);
+      expect(dbProduct.reserved).toBe(0);
+      expect(await orderModel.countDocuments({})).toBe(1);
     });
 
     it('rejects payment when cart contains non-existent product IDs', async () => {
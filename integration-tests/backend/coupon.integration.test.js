@@ -0,0 +1,177 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import orderModel from "../../models/orderModel.js";
+import userModel from "../../models/userModel.js";
+import couponModel from "../../models/couponModel.js";
+import { claimCoupon } from "../../helpers/couponHelper.js";
+import { setPaymentProvider } from "../../helpers/paymentProvider.js";
+import {
+  FAKE_VALID_NONCE,
+  createFakePaymentProvider,
+} from "../../helpers/fakePaymentProvider.js";
+import { brainTreePaymentController } from "../../controllers/productController.js";
+import { previewCouponController } from "../../controllers/couponController.js";
+
+const makeReq = (overrides = {}) => ({
+  params: {},
+  body: {},
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let provider, user, lamp, rug, lighting;
+
+const pay = async (coupon) => {
+  const res = makeRes();
+  await brainTreePaymentController(
+    makeReq({
+      body: {
+        nonce: FAKE_VALID_NONCE,
+        cart: [
+          { _id: lamp._id, quantity: 2 },
+          { _id: rug._id, quantity: 1 },
+        ],
+        coupon,
+      },
+      user: { _id: user._id },
+    }),
+    res,
+  );
+  return res;
+};
+
+beforeAll(async () => {
+  await connect();
+  await couponModel.init();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  provider = createFakePaymentProvider();
+  setPaymentProvider(provider);
+  user = await userModel.create({
+    name: "Coupon Buyer",
+    email: "coupon@test.com",
+    password: "hashedpassword123",
+    phone: "12345678",
+    address: "1 Coupon Road",
+    DOB: "1990-01-01",
+    answer: "answer",
+  });
+  lighting = await categoryModel.create({ name: "Lighting", slug: "lighting" });
+  const floors = await categoryModel.create({ name: "Floors", slug: "floors" });
+  lamp = await productModel.create({
+    name: "Lamp",
+    slug: "lamp",
+    description: "A lamp",
+    price: 10,
+    category: lighting._id,
+    quantity: 10,
+  });
+  rug = await productModel.create({
+    name: "Rug",
+    slug: "rug",
+    description: "A rug",
+    price: 5,
+    category: floors._id,
+    quantity: 10,
+  });
+});
+
+afterEach(async () => {
+  setPaymentProvider(null);
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: coupons", () => {
+  it("previews and charges a category coupon the same way", async () => {
+    await couponModel.create({
+      code: "LIGHTS",
+      type: "percent",
+      value: 50,
+      categories: [lighting._id],
+    });
+    const preview = makeRes();
+
+    await previewCouponController(
+      makeReq({
+        body: {
+          code: "lights",
+          items: [
+            { productId: lamp._id.toString(), quantity: 2 },
+            { productId: rug._id.toString(), quantity: 1 },
+          ],
+        },
+        user: { _id: user._id },
+      }),
+      preview,
+    );
+    const res = await pay("lights");
+
+    expect(preview.send.mock.calls[0][0]).toMatchObject({ subtotal: 25, discount: 10, total: 15 });
+    expect(res.json).toHaveBeenCalledWith({ ok: true, order: expect.anything() });
+    const [order] = await orderModel.find({});
+    expect(order).toMatchObject({ subtotal: 25, discount: 10, coupon: "LIGHTS", total: 15 });
+    const charged = await provider.getTransaction(order.payment.transaction.id);
+    expect(charged.amount).toBe("15.00");
+    const coupon = await couponModel.findOne({ code: "LIGHTS" });
+    expect(coupon.usedCount).toBe(1);
+    expect(coupon.redemptions[0]).toMatchObject({ uses: 1 });
+  });
+
+  it("stops a user at their own limit", async () => {
+    await couponModel.create({ code: "ONCE", type: "fixed", value: 5, perUserLimit: 1 });
+
+    const first = await pay("ONCE");
+    const second = await pay("ONCE");
+
+    expect(first.json).toHaveBeenCalledWith({ ok: true, order: expect.anything() });
+    expect(second.status).toHaveBeenCalledWith(400);
+    expect(second.send).toHaveBeenCalledWith({ error: "You have already used this coupon" });
+    expect(await orderModel.countDocuments({})).toBe(1);
+  });
+
+  it("hands the last use to only one of two racing checkouts", async () => {
+    const coupon = await couponModel.create({
+      code: "LAST",
+      type: "fixed",
+      value: 5,
+      usageLimit: 1,
+    });
+
+    const results = await Promise.all([claimCoupon(coupon, user._id), claimCoupon(coupon, user._id)]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect((await couponModel.findById(coupon._id)).usedCount).toBe(1);
+  });
+
+  it("gives the use back when the gateway cannot be reached", async () => {
+    await couponModel.create({ code: "BACK", type: "fixed", value: 5, usageLimit: 1 });
+    setPaymentProvider({
+      ...provider,
+      sale: async () => {
+        throw new Error("Gateway unreachable");
+      },
+    });
+
+    const res = await pay("BACK");
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    const coupon = await couponModel.findOne({ code: "BACK" });
+    expect(coupon.usedCount).toBe(0);
+    expect((await productModel.findById(lamp._id)).quantity).toBe(10);
+  });
+});
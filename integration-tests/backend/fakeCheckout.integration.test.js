@@ -0,0 +1,244 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import orderModel from "../../models/orderModel.js";
+import userModel from "../../models/userModel.js";
+import checkoutModel from "../../models/checkoutModel.js";
+import { idempotentCheckout } from "../../middlewares/idempotencyMiddleware.js";
+import { setPaymentProvider } from "../../helpers/paymentProvider.js";
+import { HOLD_TTL, releaseExpiredHolds, reserveStock } from "../../helpers/stockHelper.js";
+import {
+  FAKE_DECLINED_NONCE,
+  FAKE_VALID_NONCE,
+  createFakePaymentProvider,
+} from "../../helpers/fakePaymentProvider.js";
+import {
+  braintreeTokenController,
+  brainTreePaymentController,
+} from "../../controllers/productController.js";
+
+const makeReq = (overrides = {}) => ({
+  params: {},
+  body: {},
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let provider, user, product;
+
+// runs the payment route's middleware and controller and resolves with the
+// status and body that were finally sent
+const submitCheckout = (key) =>
+  new Promise((resolve) => {
+    const res = { statusCode: 200 };
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.send = (body) => resolve({ status: res.statusCode, body });
+    res.json = res.send;
+    const req = makeReq({
+      headers: { "idempotency-key": key },
+      body: { nonce: FAKE_VALID_NONCE, cart: [{ _id: product._id }] },
+      user: { _id: user._id },
+    });
+    idempotentCheckout(req, res, () => brainTreePaymentController(req, res));
+  });
+
+beforeAll(async () => {
+  await connect();
+  await checkoutModel.init();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  provider = createFakePaymentProvider();
+  setPaymentProvider(provider);
+  user = await userModel.create({
+    name: "Offline Buyer",
+    email: "offline@test.com",
+    password: "hashedpassword123",
+    phone: "12345678",
+    address: "1 Offline Road",
+    DOB: "1990-01-01",
+    answer: "answer",
+  });
+  const category = await categoryModel.create({ name: "General", slug: "general" });
+  product = await productModel.create({
+    name: "Widget",
+    slug: "widget",
+    description: "A widget",
+    price: 12.5,
+    category: category._id,
+    quantity: 4,
+  });
+});
+
+afterEach(async () => {
+  setPaymentProvider(null);
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: checkout against the fake payment provider", () => {
+  it("issues a token that marks the fake provider", async () => {
+    const res = makeRes();
+
+    await braintreeTokenController(makeReq(), res);
+
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ clientToken: "fake-client-token", provider: "fake" }),
+    );
+  });
+
+  it("charges the cart, stores the order and decrements stock", async () => {
+    const res = makeRes();
+
+    await brainTreePaymentController(
+      makeReq({
+        body: { nonce: FAKE_VALID_NONCE, cart: [{ _id: product._id }, { _id: product._id }] },
+        user: { _id: user._id },
+      }),
+      res,
+    );
+
+    expect(res.json).toHaveBeenCalledWith({ ok: true, order: expect.anything() });
+    const [order] = await orderModel.find({});
+    expect(order.total).toBe(25);
+    expect(order.payment.success).toBe(true);
+    expect(order.payment.transaction.id).toBe("fake_txn_1");
+    const charged = await provider.getTransaction("fake_txn_1");
+    expect(charged).toMatchObject({ status: "submitted_for_settlement", amount: "25.00" });
+    expect((await productModel.findById(product._id)).quantity).toBe(2);
+  });
+
+  it("stores no order and gives the stock back when the sale is declined", async () => {
+    const res = makeRes();
+
+    await brainTreePaymentController(
+      makeReq({
+        body: { nonce: FAKE_DECLINED_NONCE, cart: [{ _id: product._id, quantity: 3 }] },
+        user: { _id: user._id },
+      }),
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ error: "Processor Declined" }),
+    );
+    expect(res.json).not.toHaveBeenCalled();
+    expect(await orderModel.countDocuments({})).toBe(0);
+    const stocked = await productModel.findById(product._id);
+    expect(stocked.quantity).toBe(4);
+    expect(stocked.reserved).toBe(0);
+    expect(await provider.getTransaction("fake_txn_1")).toMatchObject({
+      status: "processor_declined",
+    });
+  });
+
+  it("voids the sale and gives the stock back when the order cannot be saved", async () => {
+    jest.spyOn(orderModel.prototype, "save").mockRejectedValueOnce(new Error("DB write failed"));
+    const res = makeRes();
+
+    await brainTreePaymentController(
+      makeReq({
+        body: { nonce: FAKE_VALID_NONCE, cart: [{ _id: product._id, quantity: 3 }] },
+        user: { _id: user._id },
+      }),
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(await orderModel.countDocuments({})).toBe(0);
+    expect(await provider.getTransaction("fake_txn_1")).toMatchObject({ status: "voided" });
+    const stocked = await productModel.findById(product._id);
+    expect(stocked.quantity).toBe(4);
+    expect(stocked.reserved).toBe(0);
+  });
+
+  it("leaves no hold behind once the order is stored", async () => {
+    await brainTreePaymentController(
+      makeReq({
+        body: { nonce: FAKE_VALID_NONCE, cart: [{ _id: product._id, quantity: 3 }] },
+        user: { _id: user._id },
+      }),
+      makeRes(),
+    );
+
+    const sold = await productModel.findById(product._id).select("+holds");
+    expect(sold.reserved).toBe(0);
+    expect(sold.holds).toHaveLength(0);
+  });
+
+  it("puts units held by a checkout that never finished back on sale once the hold expires", async () => {
+    // the server stopped between holding the units and charging for them
+    expect((await reserveStock([{ product: product._id, quantity: 3 }])).ok).toBe(true);
+
+    expect(await releaseExpiredHolds()).toBe(0);
+    expect((await productModel.findById(product._id)).quantity).toBe(1);
+
+    expect(await releaseExpiredHolds(Date.now() + HOLD_TTL + 1000)).toBe(1);
+    const restocked = await productModel.findById(product._id).select("+holds");
+    expect(restocked.quantity).toBe(4);
+    expect(restocked.reserved).toBe(0);
+    expect(restocked.holds).toHaveLength(0);
+    expect(await releaseExpiredHolds(Date.now() + HOLD_TTL + 1000)).toBe(0);
+  });
+
+  it("charges cart lines by quantity", async () => {
+    const res = makeRes();
+
+    await brainTreePaymentController(
+      makeReq({
+        body: { nonce: FAKE_VALID_NONCE, cart: [{ _id: product._id, quantity: 3 }] },
+        user: { _id: user._id },
+      }),
+      res,
+    );
+
+    const [order] = await orderModel.find({});
+    expect(res.json).toHaveBeenCalledWith({ ok: true, order: order._id });
+    expect(order.products[0].quantity).toBe(3);
+    expect(order.total).toBe(37.5);
+    expect((await productModel.findById(product._id)).quantity).toBe(1);
+  });
+
+  it("charges once when the same submission is retried", async () => {
+    const first = await submitCheckout("key-1");
+    const retry = await submitCheckout("key-1");
+
+    const [order] = await orderModel.find({});
+    expect(first).toEqual({ status: 200, body: { ok: true, order: String(order._id) } });
+    expect(retry).toEqual(first);
+    expect(await orderModel.countDocuments({})).toBe(1);
+    await expect(provider.getTransaction("fake_txn_2")).rejects.toThrow();
+  });
+
+  it("charges once when the same submission arrives twice at the same time", async () => {
+    const replies = await Promise.all([submitCheckout("key-2"), submitCheckout("key-2")]);
+
+    const statuses = replies.map((reply) => reply.status).sort();
+    expect(statuses).toEqual([200, 409]);
+    expect(await orderModel.countDocuments({})).toBe(1);
+    expect((await productModel.findById(product._id)).quantity).toBe(3);
+  });
+
+  it("treats different keys as different checkouts", async () => {
+    await submitCheckout("key-3");
+    await submitCheckout("key-4");
+
+    expect(await orderModel.countDocuments({})).toBe(2);
+  });
+});
@@ -0,0 +1,197 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import orderModel from "../../models/orderModel.js";
+import userModel from "../../models/userModel.js";
+import checkoutModel from "../../models/checkoutModel.js";
+import { idempotentCheckout } from "../../middlewares/idempotencyMiddleware.js";
+import { setPaymentProvider } from "../../helpers/paymentProvider.js";
+import {
+  FAKE_VALID_NONCE,
+  createFakePaymentProvider,
+} from "../../helpers/fakePaymentProvider.js";
+import { brainTreePaymentController } from "../../controllers/productController.js";
+import { guestOrderLookupController } from "../../controllers/orderController.js";
+import { registerController } from "../../controllers/authController.js";
+
+const makeReq = (overrides = {}) => ({
+  params: {},
+  body: {},
+  headers: {},
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const shipTo = {
+  recipient: "Gus Guest",
+  line1: "1 Main St",
+  city: "Oakland",
+  region: "CA",
+  postalCode: "94601",
+  country: "US",
+};
+
+let product;
+
+// a guest checkout through the guest payment route, resolving with the
+// status and body that were finally sent
+const guestCheckout = (key, body = {}) =>
+  new Promise((resolve) => {
+    const res = { statusCode: 200 };
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.send = (sent) => resolve({ status: res.statusCode, body: sent });
+    res.json = res.send;
+    const req = makeReq({
+      headers: { "idempotency-key": key },
+      body: {
+        nonce: FAKE_VALID_NONCE,
+        cart: [{ _id: product._id, quantity: 2 }],
+        email: "Gus@Example.com",
+        address: shipTo,
+        ...body,
+      },
+    });
+    idempotentCheckout(req, res, () => brainTreePaymentController(req, res));
+  });
+
+const lookup = async (body) => {
+  const res = makeRes();
+  await guestOrderLookupController(makeReq({ body }), res);
+  return res;
+};
+
+beforeAll(async () => {
+  await connect();
+  await checkoutModel.init();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  setPaymentProvider(createFakePaymentProvider());
+  const category = await categoryModel.create({ name: "General", slug: "general" });
+  product = await productModel.create({
+    name: "Widget",
+    slug: "widget",
+    description: "A widget",
+    price: 12.5,
+    category: category._id,
+    quantity: 4,
+  });
+});
+
+afterEach(async () => {
+  setPaymentProvider(null);
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: guest checkout", () => {
+  it("creates an order without an account, shipped to the given address", async () => {
+    const { status, body } = await guestCheckout("guest-1");
+
+    expect(status).toBe(200);
+    expect(body).toEqual({ ok: true, order: expect.anything() });
+    const order = await orderModel.findById(body.order);
+    expect(order.buyer).toBeUndefined();
+    expect(order.guestEmail).toBe("gus@example.com");
+    expect(order.total).toBe(25);
+    expect(order.shippingAddress.toObject()).toEqual({ ...shipTo, line2: "", phone: "" });
+    expect((await productModel.findById(product._id)).quantity).toBe(2);
+  });
+
+  it("replays a retried guest checkout instead of charging twice", async () => {
+    const first = await guestCheckout("guest-2");
+    const retry = await guestCheckout("guest-2");
+
+    expect(retry).toEqual({ status: 200, body: { ok: true, order: String(first.body.order) } });
+    expect(await orderModel.countDocuments()).toBe(1);
+  });
+
+  it("refuses a guest checkout with an incomplete address before charging", async () => {
+    const { status, body } = await guestCheckout("guest-3", { address: { ...shipTo, line1: "" } });
+
+    expect(status).toBe(400);
+    expect(body).toEqual({ error: "Address line 1 is required" });
+    expect(await orderModel.countDocuments()).toBe(0);
+    expect((await productModel.findById(product._id)).quantity).toBe(4);
+  });
+
+  it("looks the order up by its number and email only", async () => {
+    const { body } = await guestCheckout("guest-4");
+
+    const found = await lookup({ orderId: String(body.order), email: "GUS@example.com" });
+    const wrongEmail = await lookup({ orderId: String(body.order), email: "other@example.com" });
+
+    expect(found.status).toHaveBeenCalledWith(200);
+    const { order } = found.send.mock.calls[0][0];
+    expect(order.total).toBe(25);
+    expect(order.payment).toBeUndefined();
+    expect(wrongEmail.status).toHaveBeenCalledWith(404);
+  });
+
+  it("turns the guest order into an account", async () => {
+    const { body } = await guestCheckout("guest-5");
+    const res = makeRes();
+
+    await registerController(
+      makeReq({
+        body: {
+          name: "Gus Guest",
+          email: "gus@example.com",
+          password: "password123",
+          phone: "12345678",
+          address: "1 Main St",
+          DOB: "1990-01-01",
+          answer: "football",
+          guestOrder: String(body.order),
+        },
+      }),
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const user = await userModel.findOne({ email: "gus@example.com" });
+    expect((await orderModel.findById(body.order)).buyer).toEqual(user._id);
+    expect(user.addresses).toHaveLength(1);
+    expect(user.addresses[0]).toMatchObject({ ...shipTo, isDefaultShipping: true, isDefaultBilling: true });
+  });
+
+  it("does not hand a guest order to an account under another email", async () => {
+    const { body } = await guestCheckout("guest-6");
+    const res = makeRes();
+
+    await registerController(
+      makeReq({
+        body: {
+          name: "Someone Else",
+          email: "else@example.com",
+          password: "password123",
+          phone: "12345678",
+          address: "2 Side St",
+          DOB: "1990-01-01",
+          answer: "football",
+          guestOrder: String(body.order),
+        },
+      }),
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(await userModel.countDocuments()).toBe(0);
+    expect((await orderModel.findById(body.order)).buyer).toBeUndefined();
+  });
+});
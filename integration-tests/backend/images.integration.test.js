@@ -0,0 +1,245 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Writable } from "stream";
+import sharp from "sharp";
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import { imageBucket } from "../../helpers/imageHelper.js";
+import {
+  createProductController,
+  deleteProductController,
+  productImageController,
+  productPhotoController,
+  updateProductController,
+} from "../../controllers/productController.js";
+
+const makeReq = (overrides = {}) => ({
+  params: {},
+  query: {},
+  body: {},
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// a response the image is streamed into, resolving with what was sent
+const streamRes = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  res.headers = {};
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.send = (body) => {
+    res.body = body;
+    res.end();
+    return res;
+  };
+  res.done = new Promise((resolve) =>
+    res.on("finish", () => resolve(Buffer.concat(chunks)))
+  );
+  return res;
+};
+
+let category, dir;
+
+const writeImage = async (name, width, height) => {
+  const file = path.join(dir, name);
+  await sharp({
+    create: { width, height, channels: 3, background: { r: 20, g: 120, b: 200 } },
+  })
+    .png()
+    .toFile(file);
+  return { name, path: file, type: "image/png", size: fs.statSync(file).size };
+};
+
+const lampFields = (overrides = {}) => ({
+  name: "Lamp",
+  description: "A desk lamp",
+  price: "30",
+  category: category._id.toString(),
+  quantity: "5",
+  ...overrides,
+});
+
+const storedFiles = () => imageBucket().find({}).toArray();
+
+beforeAll(async () => {
+  await connect();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "gallery-"));
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  category = await categoryModel.create({ name: "Lighting", slug: "lighting" });
+});
+
+afterEach(async () => {
+  await imageBucket().drop().catch(() => {});
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  await closeDatabase();
+});
+
+describe("Backend Integration: product image galleries", () => {
+  const createLamp = async () => {
+    const res = makeRes();
+    await createProductController(
+      makeReq({
+        fields: lampFields({
+          images: JSON.stringify([
+            { upload: 0, alt: "Lamp switched on" },
+            { upload: 1, alt: "Lamp from above" },
+          ]),
+        }),
+        files: {
+          image0: await writeImage("on.png", 1600, 1200),
+          image1: await writeImage("above.png", 400, 400),
+        },
+      }),
+      res
+    );
+    return res;
+  };
+
+  it("stores each image with a thumbnail and medium rendition", async () => {
+    const res = await createLamp();
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const lamp = await productModel.findOne({ slug: "Lamp" });
+    expect(lamp.images.map((i) => i.alt)).toEqual(["Lamp switched on", "Lamp from above"]);
+    expect(await storedFiles()).toHaveLength(6);
+  });
+
+  it("serves the first image as the product photo in the size asked for", async () => {
+    await createLamp();
+    const lamp = await productModel.findOne({ slug: "Lamp" });
+
+    const res = streamRes();
+    await productPhotoController(
+      makeReq({ params: { pid: lamp._id.toString() }, query: { size: "thumbnail" } }),
+      res
+    );
+    const body = await res.done;
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["Content-type"]).toBe("image/webp");
+    expect(await sharp(body).metadata()).toMatchObject({ width: 200, height: 150 });
+  });
+
+  it("serves any gallery image at medium size or as uploaded", async () => {
+    await createLamp();
+    const lamp = await productModel.findOne({ slug: "Lamp" });
+    const params = { pid: lamp._id.toString(), imageId: lamp.images[1]._id.toString() };
+
+    const medium = streamRes();
+    await productImageController(makeReq({ params, query: { size: "medium" } }), medium);
+    // smaller than the medium size, so it is not enlarged
+    expect(await sharp(await medium.done).metadata()).toMatchObject({ width: 400 });
+
+    const original = streamRes();
+    await productImageController(makeReq({ params }), original);
+    const body = await original.done;
+    expect(original.headers["Content-type"]).toBe("image/png");
+    expect(body.equals(fs.readFileSync(path.join(dir, "above.png")))).toBe(true);
+  });
+
+  it("reorders the gallery and removes the files of images left out", async () => {
+    await createLamp();
+    const lamp = await productModel.findOne({ slug: "Lamp" });
+    const [on, above] = lamp.images;
+
+    const res = makeRes();
+    await updateProductController(
+      makeReq({
+        params: { pid: lamp._id.toString() },
+        fields: lampFields({
+          images: JSON.stringify([{ _id: above._id, alt: "Top view" }]),
+        }),
+        files: {},
+      }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const updated = await productModel.findById(lamp._id);
+    expect(updated.images).toHaveLength(1);
+    expect(updated.images[0]).toMatchObject({ alt: "Top view" });
+    expect(updated.images[0].original.toString()).toBe(above.original.toString());
+    const ids = (await storedFiles()).map((f) => f._id.toString());
+    expect(ids).toHaveLength(3);
+    expect(ids).not.toContain(on.original.toString());
+  });
+
+  it("turns down a file that is not an image and stores nothing", async () => {
+    const file = path.join(dir, "fake.png");
+    fs.writeFileSync(file, "not really a png");
+    const res = makeRes();
+
+    await createProductController(
+      makeReq({
+        fields: lampFields({ images: JSON.stringify([{ upload: 0 }]) }),
+        files: { image0: { name: "fake.png", path: file, type: "image/png", size: 16 } },
+      }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(await productModel.countDocuments()).toBe(0);
+    expect(await storedFiles()).toHaveLength(0);
+  });
+
+  it("turns down an SVG sent as a PNG, which would be served with script", async () => {
+    const file = path.join(dir, "drawing.png");
+    fs.writeFileSync(
+      file,
+      '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><script>alert(1)</script></svg>'
+    );
+    const res = makeRes();
+
+    await createProductController(
+      makeReq({
+        fields: lampFields({ images: JSON.stringify([{ upload: 0 }]) }),
+        files: { image0: { name: "drawing.png", path: file, type: "image/png", size: 100 } },
+      }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(await productModel.countDocuments()).toBe(0);
+    expect(await storedFiles()).toHaveLength(0);
+  });
+
+  it("removes the gallery files with the product", async () => {
+    await createLamp();
+    const lamp = await productModel.findOne({ slug: "Lamp" });
+
+    const res = makeRes();
+    await deleteProductController(makeReq({ params: { pid: lamp._id.toString() } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(await storedFiles()).toHaveLength(0);
+  });
+});
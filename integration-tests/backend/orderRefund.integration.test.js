@@ -0,0 +1,180 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import userModel from "../../models/userModel.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import orderModel from "../../models/orderModel.js";
+import { setPaymentProvider } from "../../helpers/paymentProvider.js";
+import {
+  FAKE_VALID_NONCE,
+  createFakePaymentProvider,
+} from "../../helpers/fakePaymentProvider.js";
+import { refundOrderController } from "../../controllers/orderController.js";
+
+const makeReq = (overrides = {}) => ({
+  body: {},
+  params: {},
+  headers: {},
+  user: null,
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let admin, buyer, lamp, rug, provider;
+
+const createPaidOrder = async (status, { settled = false } = {}) => {
+  const payment = await provider.sale({ amount: 25, nonce: FAKE_VALID_NONCE });
+  if (settled) provider.settle(payment.transaction.id);
+  return orderModel.create({
+    buyer: buyer._id,
+    products: [
+      { product: lamp._id, name: "Lamp", price: 10, quantity: 2, total: 20 },
+      { product: rug._id, name: "Rug", price: 5, quantity: 1, total: 5 },
+    ],
+    total: 25,
+    payment,
+    status,
+  });
+};
+
+beforeAll(async () => {
+  await connect();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  provider = createFakePaymentProvider();
+  setPaymentProvider(provider);
+  admin = await userModel.create({
+    name: "Admin",
+    email: "admin@example.com",
+    password: "hashed",
+    phone: "12345678",
+    address: "1 Admin Way",
+    DOB: "1990-01-01",
+    answer: "answer",
+    role: 1,
+  });
+  buyer = await userModel.create({
+    name: "Buyer",
+    email: "buyer@example.com",
+    password: "hashed",
+    phone: "12345678",
+    address: "1 Buyer Way",
+    DOB: "1990-01-01",
+    answer: "answer",
+  });
+  const category = await categoryModel.create({ name: "Home", slug: "home" });
+  lamp = await productModel.create({
+    name: "Lamp",
+    slug: "lamp",
+    description: "A lamp",
+    price: 10,
+    category: category._id,
+    quantity: 3,
+  });
+  rug = await productModel.create({
+    name: "Rug",
+    slug: "rug",
+    description: "A rug",
+    price: 5,
+    category: category._id,
+    quantity: 0,
+  });
+});
+
+afterEach(async () => {
+  setPaymentProvider(null);
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: order refunds", () => {
+  it("voids an unsettled payment, cancels the order and restocks every unit", async () => {
+    const order = await createPaidOrder("Processing");
+    const res = makeRes();
+
+    await refundOrderController(
+      makeReq({ params: { orderId: order._id.toString() }, user: { _id: admin._id } }),
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const payment = await provider.getTransaction(order.payment.transaction.id);
+    expect(payment.status).toBe("voided");
+
+    const dbOrder = await orderModel.findById(order._id);
+    expect(dbOrder.status).toBe("cancel");
+    expect(dbOrder.refundedTotal).toBe(25);
+    expect(dbOrder.refunds).toHaveLength(1);
+    expect(dbOrder.refunds[0]).toMatchObject({ amount: 25, type: "void" });
+    expect(dbOrder.refunds[0].refundedBy.toString()).toBe(admin._id.toString());
+    expect(dbOrder.statusHistory[0]).toMatchObject({ from: "Processing", status: "cancel" });
+
+    expect((await productModel.findById(lamp._id)).quantity).toBe(5);
+    expect((await productModel.findById(rug._id)).quantity).toBe(1);
+  });
+
+  it("refunds a settled order item by item until it is fully refunded", async () => {
+    const order = await createPaidOrder("deliverd", { settled: true });
+
+    const first = makeRes();
+    await refundOrderController(
+      makeReq({
+        params: { orderId: order._id.toString() },
+        body: { items: [{ product: lamp._id.toString(), quantity: 1 }] },
+        user: { _id: admin._id },
+      }),
+      first,
+    );
+    expect(first.status).toHaveBeenCalledWith(200);
+
+    let dbOrder = await orderModel.findById(order._id);
+    expect(dbOrder.status).toBe("deliverd");
+    expect(dbOrder.refundedTotal).toBe(10);
+    expect(dbOrder.products[0].refundedQuantity).toBe(1);
+
+    const second = makeRes();
+    await refundOrderController(
+      makeReq({ params: { orderId: order._id.toString() }, user: { _id: admin._id } }),
+      second,
+    );
+    expect(second.status).toHaveBeenCalledWith(200);
+
+    dbOrder = await orderModel.findById(order._id);
+    expect(dbOrder.status).toBe("refunded");
+    expect(dbOrder.refundedTotal).toBe(25);
+    expect(dbOrder.refunds.map((r) => r.amount)).toEqual([10, 15]);
+    expect(dbOrder.refunds.map((r) => r.transactionId)).toEqual(["fake_txn_2", "fake_txn_3"]);
+    expect((await productModel.findById(lamp._id)).quantity).toBe(5);
+  });
+
+  it("lets only one of two concurrent full refunds through", async () => {
+    const order = await createPaidOrder("deliverd", { settled: true });
+    const refund = () => {
+      const res = makeRes();
+      return refundOrderController(
+        makeReq({ params: { orderId: order._id.toString() }, user: { _id: admin._id } }),
+        res,
+      ).then(() => res);
+    };
+
+    const results = await Promise.all([refund(), refund()]);
+
+    const codes = results.map((res) => res.status.mock.calls[0][0]).sort();
+    expect(codes).toEqual([200, 409]);
+    const dbOrder = await orderModel.findById(order._id);
+    expect(dbOrder.refundedTotal).toBe(25);
+    expect(dbOrder.refunds).toHaveLength(1);
+  });
+});
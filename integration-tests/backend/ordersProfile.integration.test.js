@@ -5,6 +5,7 @@ import categoryModel from "../../models/categoryModel.js";
 import productModel from "../../models/productModel.js";
 import orderModel from "../../models/orderModel.js";
 import { comparePassword, hashPassword } from "../../helpers/authHelper.js";
+import { DELETED_PRODUCT_NAME, backfillOrderLines } from "../../helpers/orderHelper.js";
 import {
   updateProfileController,
   getOrdersController,
@@ -68,7 +69,13 @@ const createOrder = async (overrides = {}) => {
   const products = overrides.products ?? [await createProduct()];
   return await orderModel.create({
     buyer: buyer._id ?? buyer,
-    products: products.map((p) => p._id ?? p),
+    products: products.map((p) => ({
+      product: p._id,
+      name: p.name,
+      price: p.price,
+      quantity: 1,
+      total: p.price,
+    })),
     payment: overrides.payment ?? { success: true },
     status: overrides.status ?? "Not Process",
     ...(overrides.createdAt ? { createdAt: overrides.createdAt, updatedAt: overrides.createdAt } : {}),
@@ -134,7 +141,7 @@ describe("Backend Integration: Orders + Profile Controllers", () => {
 
   // Yeo Zi Yi, A0266292X
   describe("Get orders with populated fields", () => {
-    it("returns buyer orders populated with buyer.name and product fields (without photo)", async () => {
+    it("returns buyer orders populated with buyer.name and line item snapshots (without photo)", async () => {
       const buyer = await createUser({ email: "buyer1@example.com", name: "Buyer One" });
       const cat = await createCategory({ name: "General", slug: "general" });
       const p1 = await createProduct({
@@ -180,7 +187,7 @@ describe("Backend Integration: Orders + Profile Controllers", () => {
 
   // Yeo Zi Yi, A0266292X
   describe("Get all orders sorted by date (admin)", () => {
-    it("returns all orders sorted newest first, with populated buyer.name and product fields", async () => {
+    it("returns all orders sorted newest first, with populated buyer.name and line item snapshots", async () => {
       const buyerA = await createUser({ email: "a@example.com", name: "Alice" });
       const buyerB = await createUser({ email: "b@example.com", name: "Bob" });
       const cat = await createCategory({ name: "Tech", slug: "tech" });
@@ -222,16 +229,65 @@ describe("Backend Integration: Orders + Profile Controllers", () => {
     });
   });
 
+  describe("Line items keep checkout prices", () => {
+    it("returns the historical name and price after the product is edited or deleted", async () => {
+      const buyer = await createUser({ email: "history@example.com", name: "Historian" });
+      const edited = await createProduct({ name: "Lamp", slug: "lamp", price: 40 });
+      const removed = await createProduct({ name: "Rug", slug: "rug", price: 90 });
+      await createOrder({ buyer, products: [edited, removed] });
+
+      await productModel.findByIdAndUpdate(edited._id, { name: "Desk Lamp", price: 55 });
+      await productModel.findByIdAndDelete(removed._id);
+
+      const res = makeRes();
+      await getOrdersController(makeReq({ user: { _id: buyer._id } }), res);
+
+      const [order] = res.json.mock.calls[0][0];
+      const lines = JSON.parse(JSON.stringify(order.products));
+      expect(lines).toEqual([
+        expect.objectContaining({ product: edited._id.toString(), name: "Lamp", price: 40, quantity: 1 }),
+        expect.objectContaining({ product: removed._id.toString(), name: "Rug", price: 90, quantity: 1 }),
+      ]);
+    });
+
+    it("gives orders saved as bare product ids line items once backfilled", async () => {
+      const buyer = await createUser({ email: "legacy@example.com", name: "Old Timer" });
+      const lamp = await createProduct({ name: "Lamp", slug: "lamp", price: 40 });
+      const removed = await createProduct({ name: "Rug", slug: "rug", price: 90 });
+      await productModel.findByIdAndDelete(removed._id);
+      // inserted directly, as orders were before they kept line items
+      await orderModel.collection.insertOne({
+        buyer: buyer._id,
+        products: [lamp._id, lamp._id, removed._id],
+        payment: { success: true },
+        status: "Not Process",
+      });
+
+      expect(await backfillOrderLines()).toBe(1);
+      expect(await backfillOrderLines()).toBe(0);
+
+      const res = makeRes();
+      await getOrdersController(makeReq({ user: { _id: buyer._id } }), res);
+      const [order] = res.json.mock.calls[0][0];
+      expect(JSON.parse(JSON.stringify(order.products))).toEqual([
+        expect.objectContaining({ product: lamp._id.toString(), name: "Lamp", price: 40, quantity: 2, total: 80 }),
+        expect.objectContaining({ product: removed._id.toString(), name: DELETED_PRODUCT_NAME, price: 0, quantity: 1, total: 0 }),
+      ]);
+    });
+  });
+
   // Yeo Zi Yi, A0266292X
   describe("Order status update persists", () => {
     it('updates status to "Shipped" and persists the change in MongoDB', async () => {
+      const admin = await createUser({ email: "admin@example.com", name: "Admin", role: 1 });
       const buyer = await createUser({ email: "ship@example.com", name: "Shipper" });
       const prod = await createProduct({ name: "Box", slug: "box" });
-      const order = await createOrder({ buyer, products: [prod], status: "Not Process" });
+      const order = await createOrder({ buyer, products: [prod], status: "Processing" });
 
       const req = makeReq({
         params: { orderId: order._id.toString() },
         body: { status: "Shipped" },
+        user: { _id: admin._id },
       });
       const res = makeRes();
 
@@ -242,6 +298,48 @@ describe("Backend Integration: Orders + Profile Controllers", () => {
 
       const dbOrder = await orderModel.findById(order._id);
       expect(dbOrder.status).toBe("Shipped");
+      expect(dbOrder.statusHistory).toHaveLength(1);
+      expect(dbOrder.statusHistory[0]).toMatchObject({ from: "Processing", status: "Shipped" });
+      expect(dbOrder.statusHistory[0].changedBy.toString()).toBe(admin._id.toString());
+      expect(dbOrder.statusHistory[0].changedAt).toBeInstanceOf(Date);
+    });
+
+    it("rejects reopening a cancelled order with 409 and leaves it untouched", async () => {
+      const admin = await createUser({ email: "admin@example.com", name: "Admin", role: 1 });
+      const order = await createOrder({ status: "cancel" });
+
+      const req = makeReq({
+        params: { orderId: order._id.toString() },
+        body: { status: "Shipped" },
+        user: { _id: admin._id },
+      });
+      const res = makeRes();
+
+      await orderStatusController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      const dbOrder = await orderModel.findById(order._id);
+      expect(dbOrder.status).toBe("cancel");
+      expect(dbOrder.statusHistory).toHaveLength(0);
+    });
+
+    it("includes the admin name on history entries for the admin order list", async () => {
+      const admin = await createUser({ email: "admin@example.com", name: "Admin", role: 1 });
+      const order = await createOrder();
+      await orderStatusController(
+        makeReq({
+          params: { orderId: order._id.toString() },
+          body: { status: "Processing" },
+          user: { _id: admin._id },
+        }),
+        makeRes(),
+      );
+
+      const res = makeRes();
+      await getAllOrdersController(makeReq(), res);
+
+      const [listed] = res.json.mock.calls[0][0];
+      expect(listed.statusHistory[0].changedBy.name).toBe("Admin");
     });
   });
 
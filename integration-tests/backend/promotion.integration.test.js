@@ -0,0 +1,131 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import orderModel from "../../models/orderModel.js";
+import userModel from "../../models/userModel.js";
+import promotionModel from "../../models/promotionModel.js";
+import { setPaymentProvider } from "../../helpers/paymentProvider.js";
+import {
+  FAKE_VALID_NONCE,
+  createFakePaymentProvider,
+} from "../../helpers/fakePaymentProvider.js";
+import { brainTreePaymentController } from "../../controllers/productController.js";
+import { cartPromotionsController } from "../../controllers/promotionController.js";
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let provider, user, books, novel, comic, desk, chair;
+
+beforeAll(async () => {
+  await connect();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  provider = createFakePaymentProvider();
+  setPaymentProvider(provider);
+  user = await userModel.create({
+    name: "Promo Buyer",
+    email: "promo@test.com",
+    password: "hashedpassword123",
+    phone: "12345678",
+    address: "1 Promo Road",
+    DOB: "1990-01-01",
+    answer: "answer",
+  });
+  books = await categoryModel.create({ name: "Books", slug: "books" });
+  const home = await categoryModel.create({ name: "Home", slug: "home" });
+  const product = (name, price, category) =>
+    productModel.create({
+      name,
+      slug: name.toLowerCase(),
+      description: `A ${name}`,
+      price,
+      category: category._id,
+      quantity: 10,
+    });
+  novel = await product("Novel", 20, books);
+  comic = await product("Comic", 5, books);
+  desk = await product("Desk", 200, home);
+  chair = await product("Chair", 80, home);
+  await promotionModel.create({
+    name: "Books: buy 2 get 1 free",
+    type: "buyXGetY",
+    category: books._id,
+    buy: 2,
+    free: 1,
+  });
+  await promotionModel.create({
+    name: "Desk set",
+    type: "bundle",
+    products: [desk._id, chair._id],
+    bundlePrice: 250,
+  });
+});
+
+afterEach(async () => {
+  setPaymentProvider(null);
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: automatic promotions", () => {
+  it("shows the cart the same discounts the payment charges", async () => {
+    const preview = makeRes();
+    await cartPromotionsController(
+      {
+        body: {
+          items: [
+            { productId: novel._id.toString(), quantity: 2 },
+            { productId: comic._id.toString(), quantity: 1 },
+            { productId: desk._id.toString(), quantity: 1 },
+            { productId: chair._id.toString(), quantity: 1 },
+          ],
+        },
+      },
+      preview,
+    );
+    const res = makeRes();
+    await brainTreePaymentController(
+      {
+        body: {
+          nonce: FAKE_VALID_NONCE,
+          cart: [
+            { _id: novel._id, quantity: 2 },
+            { _id: comic._id, quantity: 1 },
+            { _id: desk._id, quantity: 1 },
+            { _id: chair._id, quantity: 1 },
+          ],
+        },
+        user: { _id: user._id },
+      },
+      res,
+    );
+
+    expect(preview.send.mock.calls[0][0].discount).toBe(35);
+    expect(res.json).toHaveBeenCalledWith({ ok: true, order: expect.anything() });
+    const [order] = await orderModel.find({});
+    expect(order.subtotal).toBe(325);
+    expect(order.discount).toBe(35);
+    expect(order.total).toBe(290);
+    const applied = order.promotions
+      .map(({ name, amount }) => ({ name, amount }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    expect(applied).toEqual([
+      { name: "Books: buy 2 get 1 free", amount: 5 },
+      { name: "Desk set", amount: 30 },
+    ]);
+    const charged = await provider.getTransaction(order.payment.transaction.id);
+    expect(charged.amount).toBe("290.00");
+  });
+});
@@ -0,0 +1,164 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import orderModel from "../../models/orderModel.js";
+import userModel from "../../models/userModel.js";
+import questionModel from "../../models/questionModel.js";
+import {
+  answerQuestionController,
+  askQuestionController,
+  getProductQuestionsController,
+  unansweredQuestionsController,
+  upvoteAnswerController,
+} from "../../controllers/questionController.js";
+import { searchProductController } from "../../controllers/productController.js";
+
+const makeReq = (overrides = {}) => ({
+  params: {},
+  body: {},
+  query: {},
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let product;
+
+const makeUser = (email, role = 0) =>
+  userModel.create({
+    name: email.split("@")[0],
+    email,
+    password: "hashed",
+    phone: "12345678",
+    address: "1 Main St",
+    DOB: "1990-01-01",
+    answer: "football",
+    role,
+  });
+
+const ask = async (user, body) => {
+  const res = makeRes();
+  await askQuestionController(
+    makeReq({ user, params: { pid: String(product._id) }, body: { body } }),
+    res
+  );
+  return res.send.mock.calls[0][0].question;
+};
+
+const answer = async (user, question, body) => {
+  const res = makeRes();
+  await answerQuestionController(
+    makeReq({ user, params: { qid: String(question._id) }, body: { body } }),
+    res
+  );
+  return res;
+};
+
+beforeAll(async () => {
+  await connect();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  const category = await categoryModel.create({ name: "General", slug: "general" });
+  product = await productModel.create({
+    name: "Trail Jacket",
+    slug: "trail-jacket",
+    description: "A light jacket",
+    price: 80,
+    category: category._id,
+    quantity: 5,
+  });
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: product questions", () => {
+  it("takes answers from admins and buyers but not from other shoppers", async () => {
+    const asker = await makeUser("asker@example.com");
+    const admin = await makeUser("admin@example.com", 1);
+    const buyer = await makeUser("buyer@example.com");
+    await orderModel.create({
+      products: [{ product: product._id, name: product.name, price: 80, quantity: 1, total: 80 }],
+      buyer: buyer._id,
+      total: 80,
+    });
+    const question = await ask(asker, "Is it waterproof?");
+
+    const fromAsker = await answer(asker, question, "I hope so");
+    const fromAdmin = await answer(admin, question, "It is showerproof");
+    const fromBuyer = await answer(buyer, question, "Kept me dry in light rain");
+
+    expect(fromAsker.status).toHaveBeenCalledWith(403);
+    expect(fromAdmin.status).toHaveBeenCalledWith(201);
+    expect(fromBuyer.status).toHaveBeenCalledWith(201);
+    const stored = await questionModel.findById(question._id);
+    expect(stored.answers.map((a) => a.role)).toEqual(["admin", "buyer"]);
+  });
+
+  it("ranks answers by upvotes and lets a vote be taken back", async () => {
+    const asker = await makeUser("asker@example.com");
+    const admin = await makeUser("admin@example.com", 1);
+    const question = await ask(asker, "Does it pack small?");
+    await answer(admin, question, "Into its own pocket");
+    await answer(admin, question, "About the size of a water bottle");
+    const [first, second] = (await questionModel.findById(question._id)).answers;
+
+    const vote = async (user, aid) => {
+      const res = makeRes();
+      await upvoteAnswerController(
+        makeReq({ user, params: { qid: String(question._id), aid: String(aid) } }),
+        res
+      );
+      return res.send.mock.calls[0][0];
+    };
+
+    expect(await vote(asker, second._id)).toEqual({ success: true, upvoted: true, upvotes: 1 });
+    expect(await vote(asker, first._id)).toEqual({ success: true, upvoted: true, upvotes: 1 });
+    expect(await vote(asker, first._id)).toEqual({ success: true, upvoted: false, upvotes: 0 });
+
+    const res = makeRes();
+    await getProductQuestionsController(makeReq({ params: { pid: String(product._id) } }), res);
+    const [listed] = res.send.mock.calls[0][0].questions;
+    expect(listed.user.name).toBe("asker");
+    expect(listed.answers.map((a) => a.body)).toEqual([
+      "About the size of a water bottle",
+      "Into its own pocket",
+    ]);
+  });
+
+  it("keeps unanswered questions in the admin queue and out of search", async () => {
+    const asker = await makeUser("asker@example.com");
+    const admin = await makeUser("admin@example.com", 1);
+    const answered = await ask(asker, "Is it waterproof?");
+    await ask(asker, "Does it come in green?");
+    await answer(admin, answered, "Yes, with taped seams");
+
+    const queue = makeRes();
+    await unansweredQuestionsController(makeReq(), queue);
+    const { questions } = queue.send.mock.calls[0][0];
+    expect(questions.map((q) => q.body)).toEqual(["Does it come in green?"]);
+    expect(questions[0].product.name).toBe("Trail Jacket");
+
+    const search = async (keyword) => {
+      const res = makeRes();
+      await searchProductController(makeReq({ params: { keyword } }), res);
+      return res.json.mock.calls[0][0].map((p) => p.name);
+    };
+    expect(await search("taped seams")).toEqual(["Trail Jacket"]);
+    expect(await search("green")).toEqual([]);
+  });
+});
@@ -0,0 +1,185 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import orderModel from "../../models/orderModel.js";
+import userModel from "../../models/userModel.js";
+import reviewModel from "../../models/reviewModel.js";
+import {
+  deleteReviewController,
+  getMyReviewController,
+  getProductReviewsController,
+  reviewVisibilityController,
+  saveReviewController,
+} from "../../controllers/reviewController.js";
+import { productListController } from "../../controllers/productController.js";
+
+const makeReq = (overrides = {}) => ({
+  params: {},
+  body: {},
+  query: {},
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let category;
+let product;
+
+const makeUser = (email) =>
+  userModel.create({
+    name: email.split("@")[0],
+    email,
+    password: "hashed",
+    phone: "12345678",
+    address: "1 Main St",
+    DOB: "1990-01-01",
+    answer: "football",
+  });
+
+const makeOrder = (buyer, status = "deliverd") =>
+  orderModel.create({
+    products: [{ product: product._id, name: product.name, price: 10, quantity: 1, total: 10 }],
+    buyer: buyer._id,
+    total: 10,
+    status,
+  });
+
+const review = async (user, body, pid = product._id) => {
+  const res = makeRes();
+  await saveReviewController(makeReq({ user, params: { pid: String(pid) }, body }), res);
+  return res;
+};
+
+beforeAll(async () => {
+  await connect();
+  await reviewModel.init();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  category = await categoryModel.create({ name: "General", slug: "general" });
+  product = await productModel.create({
+    name: "Widget",
+    slug: "widget",
+    description: "A widget",
+    price: 10,
+    category: category._id,
+    quantity: 5,
+  });
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: product reviews", () => {
+  it("lets a buyer review the product and keeps one editable review each", async () => {
+    const buyer = await makeUser("buyer@example.com");
+    await makeOrder(buyer);
+
+    await review(buyer, { rating: 2, comment: "Meh" });
+    const edited = await review(buyer, { rating: 4, comment: "Grew on me" });
+
+    expect(edited.status).toHaveBeenCalledWith(200);
+    expect(await reviewModel.countDocuments()).toBe(1);
+    const stored = await reviewModel.findOne({ user: buyer._id });
+    expect(stored.rating).toBe(4);
+    expect(stored.comment).toBe("Grew on me");
+    const updated = await productModel.findById(product._id);
+    expect(updated.ratingAverage).toBe(4);
+    expect(updated.ratingCount).toBe(1);
+  });
+
+  it("refuses someone who never bought the product, or whose order was cancelled", async () => {
+    const stranger = await makeUser("stranger@example.com");
+    const cancelled = await makeUser("cancelled@example.com");
+    await makeOrder(cancelled, "cancel");
+
+    const fromStranger = await review(stranger, { rating: 5 });
+    const fromCancelled = await review(cancelled, { rating: 5 });
+
+    expect(fromStranger.status).toHaveBeenCalledWith(403);
+    expect(fromCancelled.status).toHaveBeenCalledWith(403);
+    expect(await reviewModel.countDocuments()).toBe(0);
+
+    const res = makeRes();
+    await getMyReviewController(
+      makeReq({ user: stranger, params: { pid: String(product._id) } }),
+      res
+    );
+    expect(res.send).toHaveBeenCalledWith({ success: true, review: null, canReview: false });
+  });
+
+  it("drops hidden and deleted reviews from the page and the rating", async () => {
+    const ann = await makeUser("ann@example.com");
+    const bob = await makeUser("bob@example.com");
+    await makeOrder(ann);
+    await makeOrder(bob);
+    await review(ann, { rating: 5, comment: "Love it" });
+    await review(bob, { rating: 2, comment: "Spam spam" });
+
+    expect((await productModel.findById(product._id)).ratingAverage).toBe(3.5);
+
+    const bobReview = await reviewModel.findOne({ user: bob._id });
+    await reviewVisibilityController(
+      makeReq({ params: { id: String(bobReview._id) }, body: { hidden: true } }),
+      makeRes()
+    );
+
+    const listRes = makeRes();
+    await getProductReviewsController(makeReq({ params: { pid: String(product._id) } }), listRes);
+    const { reviews } = listRes.send.mock.calls[0][0];
+    expect(reviews).toHaveLength(1);
+    expect(reviews[0].user.name).toBe("ann");
+    let updated = await productModel.findById(product._id);
+    expect(updated.ratingAverage).toBe(5);
+    expect(updated.ratingCount).toBe(1);
+
+    const annReview = await reviewModel.findOne({ user: ann._id });
+    await deleteReviewController(makeReq({ params: { id: String(annReview._id) } }), makeRes());
+
+    updated = await productModel.findById(product._id);
+    expect(updated.ratingAverage).toBe(0);
+    expect(updated.ratingCount).toBe(0);
+  });
+
+  it("lists the best rated products first when asked", async () => {
+    const gadget = await productModel.create({
+      name: "Gadget",
+      slug: "gadget",
+      description: "A gadget",
+      price: 20,
+      category: category._id,
+      quantity: 5,
+      ratingAverage: 4.5,
+      ratingCount: 8,
+    });
+    await productModel.updateOne({ _id: product._id }, { ratingAverage: 3, ratingCount: 2 });
+    await productModel.create({
+      name: "Gizmo",
+      slug: "gizmo",
+      description: "A gizmo",
+      price: 30,
+      category: category._id,
+      quantity: 5,
+    });
+
+    const res = makeRes();
+    await productListController(makeReq({ params: { page: 1 }, query: { sort: "rating" } }), res);
+
+    const { products } = res.send.mock.calls[0][0];
+    expect(products.map((p) => p.name)).toEqual(["Gadget", "Widget", "Gizmo"]);
+    expect(products[0]._id).toEqual(gadget._id);
+  });
+});
@@ -0,0 +1,234 @@
+import mongoose from "mongoose";
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import questionModel from "../../models/questionModel.js";
+import searchQueryModel from "../../models/searchQueryModel.js";
+import { catalogCache, suggestionCache } from "../../helpers/cacheHelper.js";
+import { NAME_COLLATION, namePrefixRange } from "../../helpers/collationHelper.js";
+import { backfillCategoryNames } from "../../helpers/searchHelper.js";
+import {
+  createProductController,
+  searchProductController,
+  searchSuggestionsController,
+} from "../../controllers/productController.js";
+import { updateCategoryController } from "../../controllers/categoryController.js";
+
+const makeReq = (overrides = {}) => ({
+  params: {},
+  query: {},
+  headers: {},
+  body: {},
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {};
+  res.set = jest.fn().mockReturnValue(res);
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.end = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let lighting;
+
+const createProduct = async (fields) => {
+  await createProductController(
+    makeReq({
+      fields: { category: lighting._id.toString(), quantity: "5", price: "20", ...fields },
+      files: {},
+    }),
+    makeRes()
+  );
+  return productModel.findOne({ name: fields.name });
+};
+
+const search = async (keyword, query = {}) => {
+  const res = makeRes();
+  await searchProductController(makeReq({ params: { keyword }, query }), res);
+  return { status: res.status.mock.calls[0][0], body: res.send.mock.calls[0][0] };
+};
+
+const names = (body) => body.products.map((p) => p.name);
+
+const suggest = async (q) => {
+  const res = makeRes();
+  await searchSuggestionsController(makeReq({ query: { q } }), res);
+  return res.send.mock.calls[0][0];
+};
+
+beforeAll(async () => {
+  await connect();
+  // the text index has to exist before the first $text query
+  await productModel.createIndexes();
+  await categoryModel.createIndexes();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  catalogCache.clear();
+  suggestionCache.clear();
+  lighting = await categoryModel.create({ name: "Lighting", slug: "lighting" });
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: product search", () => {
+  it("ranks a match in the name above one in the description", async () => {
+    await createProduct({ name: "Desk", description: "Sturdy, fits a lamp" });
+    await createProduct({ name: "Lamp", description: "Bright and warm" });
+
+    const { status, body } = await search("lamp");
+
+    expect(status).toBe(200);
+    expect(names(body)).toEqual(["Lamp", "Desk"]);
+    expect(body).toMatchObject({ total: 2, page: 1, pages: 1 });
+  });
+
+  it("finds products by their category's name, renamed or not", async () => {
+    await createProduct({ name: "Bulb", description: "E27 fitting" });
+
+    expect(names((await search("lighting")).body)).toEqual(["Bulb"]);
+
+    await updateCategoryController(
+      makeReq({ params: { id: lighting._id.toString() }, body: { name: "Lamps" } }),
+      makeRes()
+    );
+    expect((await search("lighting")).body.total).toBe(0);
+    expect(names((await search("lamps")).body)).toEqual(["Bulb"]);
+  });
+
+  it("finds products saved before category names were searched once backfilled", async () => {
+    // inserted directly, as products were before they carried the name
+    const [bulb] = await productModel.insertMany([
+      { name: "Bulb", slug: "bulb", description: "E27 fitting", price: 5, category: lighting._id, quantity: 5 },
+    ]);
+    await productModel.updateOne({ _id: bulb._id }, { $unset: { categoryName: 1 } });
+    expect((await search("lighting")).body.total).toBe(0);
+
+    expect(await backfillCategoryNames()).toBe(1);
+    catalogCache.clear();
+    expect(names((await search("lighting")).body)).toEqual(["Bulb"]);
+    expect(await backfillCategoryNames()).toBe(0);
+  });
+
+  it("adds products with an answered question about the search after the matches", async () => {
+    const lamp = await createProduct({ name: "Lamp", description: "Waterproof lamp" });
+    const torch = await createProduct({ name: "Torch", description: "Bright" });
+    await questionModel.create({
+      product: torch._id,
+      user: new mongoose.Types.ObjectId(),
+      body: "Is it waterproof?",
+      answers: [{ user: new mongoose.Types.ObjectId(), body: "Yes", role: "admin" }],
+    });
+
+    const { body } = await search("waterproof");
+
+    expect(body.products.map((p) => String(p._id))).toEqual([
+      String(lamp._id),
+      String(torch._id),
+    ]);
+  });
+
+  it("pages through the results and counts them all", async () => {
+    for (const n of [1, 2, 3, 4, 5]) {
+      await createProduct({ name: `Lamp ${n}`, description: "A lamp" });
+    }
+
+    const second = (await search("lamp", { page: "2", perPage: "2" })).body;
+
+    expect(second).toMatchObject({ total: 5, page: 2, pages: 3, perPage: 2 });
+    expect(second.products).toHaveLength(2);
+    expect((await search("lamp", { page: "3", perPage: "2" })).body.products).toHaveLength(1);
+  });
+
+  it("keeps to products in stock within the price range", async () => {
+    await createProduct({ name: "Cheap lamp", description: "d", price: "5" });
+    await createProduct({ name: "Sold out lamp", description: "d", price: "20", quantity: "0" });
+    await createProduct({ name: "Good lamp", description: "d", price: "20" });
+    await createProduct({ name: "Dear lamp", description: "d", price: "200" });
+
+    const { body } = await search("lamp", { inStock: "true", minPrice: "10", maxPrice: "50" });
+
+    expect(names(body)).toEqual(["Good lamp"]);
+    expect(body.total).toBe(1);
+  });
+
+  it("treats regex characters as plain text", async () => {
+    await createProduct({ name: "Lamp", description: "Plugs in (UK)" });
+
+    const { status, body } = await search("(");
+
+    expect(status).toBe(200);
+    expect(body.total).toBe(0);
+  });
+
+  it("refuses a price range that makes no sense", async () => {
+    const { status, body } = await search("lamp", { minPrice: "50", maxPrice: "10" });
+
+    expect(status).toBe(400);
+    expect(body.success).toBe(false);
+  });
+});
+
+describe("Backend Integration: search suggestions", () => {
+  it("suggests products and categories by the start of a word in their name", async () => {
+    await createProduct({ name: "Desk Lamp", description: "d" });
+    await createProduct({ name: "Clamp", description: "d" });
+
+    const body = await suggest("lam");
+
+    expect(body.products.map((p) => p.name)).toEqual(["Desk Lamp"]);
+    expect(body.products[0].slug).toBe("Desk-Lamp");
+    expect((await suggest("ligh")).categories.map((c) => c.name)).toEqual(["Lighting"]);
+  });
+
+  it("suggests names starting with the text first, whatever their case", async () => {
+    await createProduct({ name: "Desk Lamp", description: "d" });
+    await createProduct({ name: "LAMP base", description: "d" });
+    await createProduct({ name: "Lampshade", description: "d" });
+
+    expect(names(await suggest("lamp"))).toEqual(["LAMP base", "Lampshade", "Desk Lamp"]);
+  });
+
+  it("looks names up by their start through the name index", async () => {
+    await createProduct({ name: "Lamp", description: "d" });
+
+    const plan = await productModel
+      .find({ name: namePrefixRange("lam") })
+      .collation(NAME_COLLATION)
+      .explain("queryPlanner");
+
+    expect(JSON.stringify(plan.queryPlanner.winningPlan)).toContain("NamePrefix");
+  });
+
+  it("forgives one typo once there are four letters", async () => {
+    await createProduct({ name: "Desk Lamp", description: "d" });
+
+    expect((await suggest("lmap")).products.map((p) => p.name)).toEqual(["Desk Lamp"]);
+    expect((await suggest("lmp")).products).toEqual([]);
+  });
+
+  it("suggests the searches that found something, most popular first", async () => {
+    await createProduct({ name: "Lamp", description: "d" });
+    await createProduct({ name: "Lamp shade", description: "d" });
+    await search("lamp shade");
+    await search("Lamp");
+    await search("lamp ");
+    await search("lampzzz");
+
+    expect(await searchQueryModel.countDocuments()).toBe(2);
+    suggestionCache.clear();
+    expect((await suggest("lam")).queries).toEqual(["lamp", "lamp shade"]);
+  });
+});
+
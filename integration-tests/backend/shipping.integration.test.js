@@ -0,0 +1,146 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import orderModel from "../../models/orderModel.js";
+import userModel from "../../models/userModel.js";
+import shippingMethodModel from "../../models/shippingMethodModel.js";
+import { setPaymentProvider } from "../../helpers/paymentProvider.js";
+import {
+  FAKE_VALID_NONCE,
+  createFakePaymentProvider,
+} from "../../helpers/fakePaymentProvider.js";
+import { brainTreePaymentController } from "../../controllers/productController.js";
+import { shippingQuoteController } from "../../controllers/shippingController.js";
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let provider, user, kettle, standard, express;
+
+beforeAll(async () => {
+  await connect();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  provider = createFakePaymentProvider();
+  setPaymentProvider(provider);
+  user = await userModel.create({
+    name: "Ship Buyer",
+    email: "ship@test.com",
+    password: "hashedpassword123",
+    phone: "12345678",
+    address: "1 Ship Road",
+    DOB: "1990-01-01",
+    answer: "answer",
+  });
+  const category = await categoryModel.create({ name: "Kitchen", slug: "kitchen" });
+  kettle = await productModel.create({
+    name: "Kettle",
+    slug: "kettle",
+    description: "A kettle",
+    price: 30,
+    category: category._id,
+    quantity: 10,
+    weight: 1.2,
+  });
+  standard = await shippingMethodModel.create({
+    name: "Standard",
+    kind: "standard",
+    rateType: "weight",
+    rate: 2.5,
+    freeOver: 100,
+  });
+  express = await shippingMethodModel.create({
+    name: "Express",
+    kind: "express",
+    rateType: "flat",
+    rate: 12,
+  });
+  await shippingMethodModel.create({ name: "Store pickup", kind: "pickup" });
+});
+
+afterEach(async () => {
+  setPaymentProvider(null);
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+const pay = async (quantity, shippingMethod) => {
+  const res = makeRes();
+  await brainTreePaymentController(
+    {
+      body: {
+        nonce: FAKE_VALID_NONCE,
+        cart: [{ _id: kettle._id, quantity }],
+        shippingMethod,
+      },
+      user: { _id: user._id },
+    },
+    res,
+  );
+  return res;
+};
+
+describe("Backend Integration: shipping", () => {
+  it("charges the cost the cart was quoted for the chosen method", async () => {
+    const quote = makeRes();
+    await shippingQuoteController(
+      { body: { items: [{ productId: kettle._id.toString(), quantity: 2 }] } },
+      quote,
+    );
+    const quoted = quote.send.mock.calls[0][0].methods;
+
+    expect(quoted.map(({ name, cost }) => ({ name, cost }))).toEqual([
+      { name: "Standard", cost: 6 },
+      { name: "Express", cost: 12 },
+      { name: "Store pickup", cost: 0 },
+    ]);
+
+    const res = await pay(2, standard._id.toString());
+
+    expect(res.json).toHaveBeenCalledWith({ ok: true, order: expect.anything() });
+    const [order] = await orderModel.find({});
+    expect(order.shipping.name).toBe("Standard");
+    expect(order.shipping.kind).toBe("standard");
+    expect(order.shipping.cost).toBe(6);
+    expect(order.total).toBe(66);
+    const charged = await provider.getTransaction(order.payment.transaction.id);
+    expect(charged.amount).toBe("66.00");
+  });
+
+  it("ships free past the threshold", async () => {
+    await pay(4, standard._id.toString());
+
+    const [order] = await orderModel.find({});
+    expect(order.shipping.cost).toBe(0);
+    expect(order.total).toBe(120);
+  });
+
+  it("refuses a payment without a method and holds no stock", async () => {
+    const res = await pay(1);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(await orderModel.countDocuments()).toBe(0);
+    const fresh = await productModel.findById(kettle._id);
+    expect(fresh.reserved).toBe(0);
+  });
+
+  it("refuses a method that was switched off", async () => {
+    await shippingMethodModel.updateOne({ _id: express._id }, { active: false });
+
+    const res = await pay(1, express._id.toString());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ error: "Shipping method is not available" });
+  });
+});
@@ -0,0 +1,157 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import orderModel from "../../models/orderModel.js";
+import userModel from "../../models/userModel.js";
+import promotionModel from "../../models/promotionModel.js";
+import taxRateModel from "../../models/taxRateModel.js";
+import { setPaymentProvider } from "../../helpers/paymentProvider.js";
+import {
+  FAKE_VALID_NONCE,
+  createFakePaymentProvider,
+} from "../../helpers/fakePaymentProvider.js";
+import { brainTreePaymentController } from "../../controllers/productController.js";
+import { taxQuoteController } from "../../controllers/taxController.js";
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let provider, user, lamp, bread;
+
+beforeAll(async () => {
+  await connect();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  provider = createFakePaymentProvider();
+  setPaymentProvider(provider);
+  user = await userModel.create({
+    name: "Tax Payer",
+    email: "tax@test.com",
+    password: "hashedpassword123",
+    phone: "12345678",
+    address: "1 Tax Road",
+    DOB: "1990-01-01",
+    answer: "answer",
+  });
+  const category = await categoryModel.create({ name: "Shop", slug: "shop" });
+  lamp = await productModel.create({
+    name: "Lamp",
+    slug: "lamp",
+    description: "A lamp",
+    price: 40,
+    category: category._id,
+    quantity: 10,
+  });
+  bread = await productModel.create({
+    name: "Bread",
+    slug: "bread",
+    description: "A loaf",
+    price: 5,
+    category: category._id,
+    quantity: 10,
+    taxClass: "food",
+  });
+  await taxRateModel.create({ name: "CA sales tax", region: "CA", rate: 7.25 });
+  await taxRateModel.create({ name: "Sales tax", region: "*", rate: 5 });
+  await taxRateModel.create({ name: "Food", region: "*", taxClass: "food", rate: 1 });
+  await promotionModel.create({
+    name: "Lamps in bulk",
+    type: "volume",
+    product: lamp._id,
+    tiers: [{ minQuantity: 2, price: 35 }],
+  });
+});
+
+afterEach(async () => {
+  setPaymentProvider(null);
+  delete process.env.TAX_MODE;
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+const pay = async (region) => {
+  const res = makeRes();
+  await brainTreePaymentController(
+    {
+      body: {
+        nonce: FAKE_VALID_NONCE,
+        cart: [
+          { _id: lamp._id, quantity: 2 },
+          { _id: bread._id, quantity: 2 },
+        ],
+        region,
+      },
+      user: { _id: user._id },
+    },
+    res,
+  );
+  return res;
+};
+
+const quote = async (region, discount) => {
+  const res = makeRes();
+  await taxQuoteController(
+    {
+      body: {
+        items: [
+          { productId: lamp._id.toString(), quantity: 2 },
+          { productId: bread._id.toString(), quantity: 2 },
+        ],
+        region,
+        discount,
+      },
+    },
+    res,
+  );
+  return res.send.mock.calls[0][0];
+};
+
+describe("Backend Integration: tax", () => {
+  it("quotes the cart the same tax the payment charges", async () => {
+    const quoted = await quote("ca", 10);
+    const res = await pay("ca");
+
+    expect(res.json).toHaveBeenCalledWith({ ok: true, order: expect.anything() });
+    const [order] = await orderModel.find({});
+    expect(order.discount).toBe(10);
+    expect(order.taxRegion).toBe("CA");
+    expect(order.taxMode).toBe("exclusive");
+    expect(order.tax).toBe(quoted.tax);
+    expect(order.total).toBe(quoted.total);
+    expect(order.taxes.map(({ name, amount }) => ({ name, amount }))).toEqual(
+      quoted.taxes.map(({ name, amount }) => ({ name, amount })),
+    );
+    const charged = await provider.getTransaction(order.payment.transaction.id);
+    expect(charged.amount).toBe(order.total.toFixed(2));
+  });
+
+  it("falls back to the rates for every region", async () => {
+    await pay("NY");
+
+    const [order] = await orderModel.find({});
+    expect(order.taxes.map((line) => line.name).sort()).toEqual(["Food", "Sales tax"]);
+    expect(order.total).toBeGreaterThan(order.subtotal - order.discount);
+  });
+
+  it("charges the discounted price when prices include tax", async () => {
+    process.env.TAX_MODE = "inclusive";
+
+    await pay("CA");
+
+    const [order] = await orderModel.find({});
+    expect(order.taxMode).toBe("inclusive");
+    expect(order.tax).toBeGreaterThan(0);
+    expect(order.total).toBe(order.subtotal - order.discount);
+  });
+});
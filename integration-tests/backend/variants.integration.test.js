@@ -0,0 +1,235 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import userModel from "../../models/userModel.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import orderModel from "../../models/orderModel.js";
+import { setPaymentProvider } from "../../helpers/paymentProvider.js";
+import {
+  FAKE_VALID_NONCE,
+  createFakePaymentProvider,
+} from "../../helpers/fakePaymentProvider.js";
+import {
+  brainTreePaymentController,
+  createProductController,
+  updateProductController,
+} from "../../controllers/productController.js";
+import {
+  addCartItemController,
+  getCartController,
+  validateCartController,
+} from "../../controllers/cartController.js";
+
+const makeReq = (overrides = {}) => ({
+  params: {},
+  body: {},
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let user, category;
+
+const teeFields = (overrides = {}) => ({
+  name: "Tee",
+  description: "A cotton tee",
+  price: "20",
+  category: category._id.toString(),
+  quantity: "",
+  options: JSON.stringify([{ name: "Size", values: ["S", "M"] }]),
+  variants: JSON.stringify([
+    { sku: "TEE-S", options: [{ name: "Size", value: "S" }], quantity: 1 },
+    { sku: "TEE-M", options: [{ name: "Size", value: "M" }], price: 25, quantity: 3 },
+  ]),
+  ...overrides,
+});
+
+const createTee = async (fields = teeFields()) => {
+  const res = makeRes();
+  await createProductController(makeReq({ fields, files: {} }), res);
+  return res;
+};
+
+const variantOf = (product, sku) => product.variants.find((v) => v.sku === sku);
+
+beforeAll(async () => {
+  await connect();
+  await productModel.init();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  setPaymentProvider(createFakePaymentProvider());
+  user = await userModel.create({
+    name: "Shopper",
+    email: "shopper@test.com",
+    password: "hashedpassword123",
+    phone: "12345678",
+    address: "1 Variant Street",
+    DOB: "1990-01-01",
+    answer: "answer",
+  });
+  category = await categoryModel.create({ name: "Clothes", slug: "clothes" });
+});
+
+afterEach(async () => {
+  setPaymentProvider(null);
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: product variants", () => {
+  it("stores the variants and stocks the product by them", async () => {
+    const res = await createTee();
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const tee = await productModel.findOne({ slug: "Tee" });
+    expect(tee.quantity).toBe(4);
+    expect(tee.options.map((o) => o.name)).toEqual(["Size"]);
+    expect(variantOf(tee, "TEE-M")).toMatchObject({ price: 25, quantity: 3, reserved: 0 });
+  });
+
+  it("keeps a SKU to one product", async () => {
+    await createTee();
+
+    const res = await createTee(
+      teeFields({
+        name: "Other Tee",
+        variants: JSON.stringify([
+          { sku: "TEE-S", options: [{ name: "Size", value: "S" }], quantity: 1 },
+          { sku: "OTHER-M", options: [{ name: "Size", value: "M" }], quantity: 1 },
+        ]),
+      })
+    );
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ message: "A SKU is already used by another product" })
+    );
+  });
+
+  it("keeps held units when an admin edits the variants", async () => {
+    await createTee();
+    const tee = await productModel.findOne({ slug: "Tee" });
+    const medium = variantOf(tee, "TEE-M");
+    await productModel.updateOne(
+      { _id: tee._id, "variants._id": medium._id },
+      { $inc: { "variants.$.reserved": 2 } }
+    );
+
+    const res = makeRes();
+    await updateProductController(
+      makeReq({
+        params: { pid: tee._id.toString() },
+        fields: teeFields({
+          variants: JSON.stringify([
+            { _id: medium._id, sku: "TEE-M", options: [{ name: "Size", value: "M" }], quantity: 6 },
+          ]),
+        }),
+        files: {},
+      }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const updated = await productModel.findById(tee._id);
+    expect(updated.variants).toHaveLength(1);
+    expect(variantOf(updated, "TEE-M")).toMatchObject({ quantity: 6, reserved: 2 });
+    expect(updated.quantity).toBe(6);
+  });
+
+  it("carts and validates each variant on its own line", async () => {
+    await createTee();
+    const tee = await productModel.findOne({ slug: "Tee" });
+    const small = variantOf(tee, "TEE-S");
+    const add = async (body) => {
+      const res = makeRes();
+      await addCartItemController(makeReq({ body, user: { _id: user._id } }), res);
+      return res;
+    };
+
+    expect((await add({ productId: tee._id.toString() })).status).toHaveBeenCalledWith(400);
+    await add({ productId: tee._id.toString(), variantId: small._id.toString() });
+    await add({ productId: tee._id.toString(), variantId: small._id.toString() });
+
+    const cartRes = makeRes();
+    await getCartController(makeReq({ user: { _id: user._id } }), cartRes);
+    const [line] = cartRes.send.mock.calls[0][0].cart;
+    expect(line.variant.toString()).toBe(small._id.toString());
+    expect(line.quantity).toBe(2);
+
+    const validateRes = makeRes();
+    await validateCartController(
+      makeReq({
+        body: {
+          items: [{ productId: tee._id.toString(), variantId: small._id.toString(), quantity: 2 }],
+        },
+      }),
+      validateRes
+    );
+    expect(validateRes.send.mock.calls[0][0].items[0]).toMatchObject({
+      exists: true,
+      price: 20,
+      stock: 1,
+    });
+  });
+
+  it("sells a variant, taking the units from it and from the product", async () => {
+    await createTee();
+    const tee = await productModel.findOne({ slug: "Tee" });
+    const medium = variantOf(tee, "TEE-M");
+    const res = makeRes();
+
+    await brainTreePaymentController(
+      makeReq({
+        body: {
+          nonce: FAKE_VALID_NONCE,
+          cart: [{ _id: tee._id.toString(), variant: medium._id.toString(), quantity: 2 }],
+        },
+        user: { _id: user._id },
+      }),
+      res
+    );
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ ok: true }));
+    const order = await orderModel.findOne({ buyer: user._id });
+    expect(order.products[0]).toMatchObject({ sku: "TEE-M", name: "Tee (M)", price: 25, quantity: 2 });
+    expect(order.products[0].variant.toString()).toBe(medium._id.toString());
+    const after = await productModel.findById(tee._id);
+    expect(variantOf(after, "TEE-M")).toMatchObject({ quantity: 1, reserved: 0 });
+    expect(after.quantity).toBe(2);
+  });
+
+  it("refuses more of a variant than it has, whatever the product's total", async () => {
+    await createTee();
+    const tee = await productModel.findOne({ slug: "Tee" });
+    const small = variantOf(tee, "TEE-S");
+    const res = makeRes();
+
+    await brainTreePaymentController(
+      makeReq({
+        body: {
+          nonce: FAKE_VALID_NONCE,
+          cart: [{ _id: tee._id.toString(), variant: small._id.toString(), quantity: 2 }],
+        },
+        user: { _id: user._id },
+      }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    const after = await productModel.findById(tee._id);
+    expect(variantOf(after, "TEE-S").quantity).toBe(1);
+    expect(after.quantity).toBe(4);
+    expect(await orderModel.countDocuments()).toBe(0);
+  });
+});
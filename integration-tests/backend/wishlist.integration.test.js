@@ -0,0 +1,123 @@
+import { connect, closeDatabase, clearDatabase } from "./helpers/testDb.js";
+import userModel from "../../models/userModel.js";
+import categoryModel from "../../models/categoryModel.js";
+import productModel from "../../models/productModel.js";
+import wishlistModel from "../../models/wishlistModel.js";
+import {
+  addWishlistItemController,
+  getWishlistController,
+  removeWishlistItemController,
+} from "../../controllers/wishlistController.js";
+
+const makeReq = (overrides = {}) => ({
+  params: {},
+  body: {},
+  ...overrides,
+});
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+let user, lamp, rug;
+
+const save = async (product) => {
+  const res = makeRes();
+  await addWishlistItemController(
+    makeReq({ body: { productId: product._id.toString() }, user: { _id: user._id } }),
+    res,
+  );
+  return res;
+};
+
+const current = async () => {
+  const res = makeRes();
+  await getWishlistController(makeReq({ user: { _id: user._id } }), res);
+  return res.send.mock.calls[0][0].wishlist;
+};
+
+beforeAll(async () => {
+  await connect();
+  await wishlistModel.init();
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  user = await userModel.create({
+    name: "Shopper",
+    email: "shopper@test.com",
+    password: "hashedpassword123",
+    phone: "12345678",
+    address: "1 Cart Street",
+    DOB: "1990-01-01",
+    answer: "answer",
+  });
+  const category = await categoryModel.create({ name: "Home", slug: "home" });
+  lamp = await productModel.create({
+    name: "Lamp",
+    slug: "lamp",
+    description: "A lamp",
+    price: 10,
+    category: category._id,
+    quantity: 5,
+  });
+  rug = await productModel.create({
+    name: "Rug",
+    slug: "rug",
+    description: "A rug",
+    price: 5,
+    category: category._id,
+    quantity: 0,
+  });
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe("Backend Integration: wishlist", () => {
+  it("saves each product once, keeping the price it was first saved at", async () => {
+    await save(lamp);
+    await productModel.updateOne({ _id: lamp._id }, { price: 12 });
+    await save(lamp);
+
+    const wishlist = await current();
+    expect(wishlist).toHaveLength(1);
+    expect(wishlist[0].savedPrice).toBe(10);
+    expect(await wishlistModel.countDocuments()).toBe(1);
+  });
+
+  it("flags a price drop and a product back in stock", async () => {
+    await save(lamp);
+    await save(rug);
+    await productModel.updateOne({ _id: lamp._id }, { price: 7.5 });
+    await productModel.updateOne({ _id: rug._id }, { quantity: 3 });
+
+    const [rugEntry, lampEntry] = await current();
+    expect(rugEntry.product.name).toBe("Rug");
+    expect(rugEntry).toMatchObject({ outOfStock: false, backInStock: true, priceDrop: 0 });
+    expect(lampEntry).toMatchObject({ outOfStock: false, backInStock: false, priceDrop: 2.5 });
+  });
+
+  it("removes a product and drops deleted products", async () => {
+    await save(lamp);
+    await save(rug);
+    await productModel.deleteOne({ _id: rug._id });
+
+    const res = makeRes();
+    await removeWishlistItemController(
+      makeReq({ params: { productId: lamp._id.toString() }, user: { _id: user._id } }),
+      res,
+    );
+
+    expect(res.send.mock.calls[0][0].wishlist).toEqual([]);
+  });
+});
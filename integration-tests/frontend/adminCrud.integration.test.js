@@ -11,6 +11,7 @@ import AdminOrders from "../../client/src/pages/admin/AdminOrders";
 import Products from "../../client/src/pages/admin/Products";
 import { AuthProvider } from "../../client/src/context/auth";
 import { CartProvider } from "../../client/src/context/cart";
+import { WishlistProvider } from "../../client/src/context/wishlist";
 import { SearchProvider } from "../../client/src/context/search";
 // Jest config 
 jest.mock("axios");
@@ -43,17 +44,19 @@ const renderWithProviders = (ui, { route = "/" } = {}) =>
     <MemoryRouter initialEntries={[route]}>
       <AuthProvider>
         <CartProvider>
-          <SearchProvider>
-            <Routes>
-              <Route path="*" element={ui} />
-              <Route path="/dashboard/admin" element={<AdminDashboard />} />
-              <Route path="/dashboard/admin/create-category" element={<CreateCategory />} />
-              <Route path="/dashboard/admin/create-product" element={<CreateProduct />} />
-              <Route path="/dashboard/admin/product/:slug" element={<UpdateProduct />} />
-              <Route path="/dashboard/admin/products" element={<Products />} />
-              <Route path="/dashboard/admin/orders" element={<AdminOrders />} />
-            </Routes>
-          </SearchProvider>
+          <WishlistProvider>
+            <SearchProvider>
+              <Routes>
+                <Route path="*" element={ui} />
+                <Route path="/dashboard/admin" element={<AdminDashboard />} />
+                <Route path="/dashboard/admin/create-category" element={<CreateCategory />} />
+                <Route path="/dashboard/admin/create-product" element={<CreateProduct />} />
+                <Route path="/dashboard/admin/product/:slug" element={<UpdateProduct />} />
+                <Route path="/dashboard/admin/products" element={<Products />} />
+                <Route path="/dashboard/admin/orders" element={<AdminOrders />} />
+              </Routes>
+            </SearchProvider>
+          </WishlistProvider>
         </CartProvider>
       </AuthProvider>
     </MemoryRouter>
@@ -11,6 +11,7 @@ import Dashboard from "../../client/src/pages/user/Dashboard";
 import PrivateRoute from "../../client/src/components/Routes/Private";
 import { AuthProvider } from "../../client/src/context/auth";
 import { CartProvider } from "../../client/src/context/cart";
+import { WishlistProvider } from "../../client/src/context/wishlist";
 import { SearchProvider } from "../../client/src/context/search";
 
 jest.mock("axios");
@@ -61,13 +62,15 @@ const renderWithProviders = (ui, { route = "/" } = {}) =>
     <MemoryRouter initialEntries={[route]}>
       <AuthProvider>
         <CartProvider>
-          <SearchProvider>
-            <Routes>
-              <Route path="*" element={ui} />
-              <Route path="/login" element={<Login />} />
-              <Route path="/dashboard/user" element={<Dashboard />} />
-            </Routes>
-          </SearchProvider>
+          <WishlistProvider>
+            <SearchProvider>
+              <Routes>
+                <Route path="*" element={ui} />
+                <Route path="/login" element={<Login />} />
+                <Route path="/dashboard/user" element={<Dashboard />} />
+              </Routes>
+            </SearchProvider>
+          </WishlistProvider>
         </CartProvider>
       </AuthProvider>
     </MemoryRouter>
@@ -240,15 +243,17 @@ describe("Frontend Integration: Auth Components", () => {
         <MemoryRouter initialEntries={["/login"]}>
           <AuthProvider>
             <CartProvider>
-              <SearchProvider>
-                <Routes>
-                  <Route path="/login" element={<Login />} />
-                  <Route
-                    path="/forgot-password"
-                    element={<div data-testid="forgot-password-page">Forgot Password</div>}
-                  />
-                </Routes>
-              </SearchProvider>
+              <WishlistProvider>
+                <SearchProvider>
+                  <Routes>
+                    <Route path="/login" element={<Login />} />
+                    <Route
+                      path="/forgot-password"
+                      element={<div data-testid="forgot-password-page">Forgot Password</div>}
+                    />
+                  </Routes>
+                </SearchProvider>
+              </WishlistProvider>
             </CartProvider>
           </AuthProvider>
         </MemoryRouter>
@@ -286,12 +291,14 @@ describe("Frontend Integration: Auth Components", () => {
         <MemoryRouter initialEntries={["/forgot-password"]}>
           <AuthProvider>
             <CartProvider>
-              <SearchProvider>
-                <Routes>
-                  <Route path="/forgot-password" element={<ForgotPassword />} />
-                  <Route path="/login" element={<div data-testid="login-page">Login Page</div>} />
-                </Routes>
-              </SearchProvider>
+              <WishlistProvider>
+                <SearchProvider>
+                  <Routes>
+                    <Route path="/forgot-password" element={<ForgotPassword />} />
+                    <Route path="/login" element={<div data-testid="login-page">Login Page</div>} />
+                  </Routes>
+                </SearchProvider>
+              </WishlistProvider>
             </CartProvider>
           </AuthProvider>
         </MemoryRouter>
@@ -393,16 +400,18 @@ describe("Frontend Integration: Auth Components", () => {
         <MemoryRouter initialEntries={["/dashboard/user"]}>
           <AuthProvider>
             <CartProvider>
-              <SearchProvider>
-                <Routes>
-                  <Route element={<PrivateRoute />}>
-                    <Route
-                      path="/dashboard/user"
-                      element={<div data-testid="protected-content">Protected</div>}
-                    />
-                  </Route>
-                </Routes>
-              </SearchProvider>
+              <WishlistProvider>
+                <SearchProvider>
+                  <Routes>
+                    <Route element={<PrivateRoute />}>
+                      <Route
+                        path="/dashboard/user"
+                        element={<div data-testid="protected-content">Protected</div>}
+                      />
+                    </Route>
+                  </Routes>
+                </SearchProvider>
+              </WishlistProvider>
             </CartProvider>
           </AuthProvider>
         </MemoryRouter>
@@ -419,16 +428,18 @@ describe("Frontend Integration: Auth Components", () => {
         <MemoryRouter initialEntries={["/dashboard/user"]}>
           <AuthProvider>
             <CartProvider>
-              <SearchProvider>
-                <Routes>
-                  <Route element={<PrivateRoute />}>
-                    <Route
-                      path="/dashboard/user"
-                      element={<div data-testid="protected-content">Protected</div>}
-                    />
-                  </Route>
-                </Routes>
-              </SearchProvider>
+              <WishlistProvider>
+                <SearchProvider>
+                  <Routes>
+                    <Route element={<PrivateRoute />}>
+                      <Route
+                        path="/dashboard/user"
+                        element={<div data-testid="protected-content">Protected</div>}
+                      />
+                    </Route>
+                  </Routes>
+                </SearchProvider>
+              </WishlistProvider>
             </CartProvider>
           </AuthProvider>
         </MemoryRouter>
@@ -455,16 +466,18 @@ describe("Frontend Integration: Auth Components", () => {
         <MemoryRouter initialEntries={["/dashboard/user"]}>
           <AuthProvider>
             <CartProvider>
-              <SearchProvider>
-                <Routes>
-                  <Route element={<PrivateRoute />}>
-                    <Route
-                      path="/dashboard/user"
-                      element={<div data-testid="protected-content">Protected</div>}
-                    />
-                  </Route>
-                </Routes>
-              </SearchProvider>
+              <WishlistProvider>
+                <SearchProvider>
+                  <Routes>
+                    <Route element={<PrivateRoute />}>
+                      <Route
+                        path="/dashboard/user"
+                        element={<div data-testid="protected-content">Protected</div>}
+                      />
+                    </Route>
+                  </Routes>
+                </SearchProvider>
+              </WishlistProvider>
             </CartProvider>
           </AuthProvider>
         </MemoryRouter>
@@ -599,12 +612,14 @@ describe("Frontend Integration: Auth Components", () => {
         <MemoryRouter initialEntries={["/register"]}>
           <AuthProvider>
             <CartProvider>
-              <SearchProvider>
-                <Routes>
-                  <Route path="/register" element={<Register />} />
-                  <Route path="/login" element={<div data-testid="login-page">Login Page</div>} />
-                </Routes>
-              </SearchProvider>
+              <WishlistProvider>
+                <SearchProvider>
+                  <Routes>
+                    <Route path="/register" element={<Register />} />
+                    <Route path="/login" element={<div data-testid="login-page">Login Page</div>} />
+                  </Routes>
+                </SearchProvider>
+              </WishlistProvider>
             </CartProvider>
           </AuthProvider>
         </MemoryRouter>
@@ -792,9 +807,11 @@ describe("Frontend Integration: Auth Components", () => {
         <MemoryRouter>
           <AuthProvider>
             <CartProvider>
-              <SearchProvider>
-                <TestConsumer />
-              </SearchProvider>
+              <WishlistProvider>
+                <SearchProvider>
+                  <TestConsumer />
+                </SearchProvider>
+              </WishlistProvider>
             </CartProvider>
           </AuthProvider>
         </MemoryRouter>
@@ -8,6 +8,7 @@ import CartPage from '../../client/src/pages/CartPage';
 import Categories from '../../client/src/pages/Categories';
 import { AuthProvider } from '../../client/src/context/auth';
 import { CartProvider } from '../../client/src/context/cart';
+import { WishlistProvider } from '../../client/src/context/wishlist';
 import { SearchProvider } from '../../client/src/context/search';
 
 jest.mock('axios');
@@ -117,11 +118,13 @@ const renderWithProviders = (ui, { route = '/' } = {}) =>
     <MemoryRouter initialEntries={[route]}>
       <AuthProvider>
         <CartProvider>
-          <SearchProvider>
-            <Routes>
-              <Route path='*' element={ui} />
-            </Routes>
-          </SearchProvider>
+          <WishlistProvider>
+            <SearchProvider>
+              <Routes>
+                <Route path='*' element={ui} />
+              </Routes>
+            </SearchProvider>
+          </WishlistProvider>
         </CartProvider>
       </AuthProvider>
     </MemoryRouter>,
@@ -399,7 +402,7 @@ describe('Frontend Integration: Categories, Cart & HomePage', () => {
       expect(screen.getByText(/1 item/i)).toBeInTheDocument();
     });
 
-    it('updates the total price and localStorage after removal', async () => {
+    it('updates the total price and the saved cart after removal', async () => {
       renderWithProviders(<CartPage />, { route: '/cart' });
       await waitForAsyncUpdates();
 
@@ -416,10 +419,10 @@ describe('Frontend Integration: Categories, Cart & HomePage', () => {
         expect(screen.getByText(/20\.00/)).toBeInTheDocument();
       });
 
-      // localStorage should have only Product B (read through mock API)
-      const stored = JSON.parse(window.localStorage.getItem('cart'));
-      expect(stored).toHaveLength(1);
-      expect(stored[0].name).toBe('Product B');
+      // the signed-in user's saved cart drops Product A on the server
+      await waitFor(() => {
+        expect(axios.delete).toHaveBeenCalledWith('/api/v1/cart/items/pa');
+      });
     });
 
     it('shows empty cart message and badge 0 after removing all items', async () => {
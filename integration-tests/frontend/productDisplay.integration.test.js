@@ -8,6 +8,7 @@ import CategoryProduct from "../../client/src/pages/CategoryProduct";
 import Layout from "../../client/src/components/Layout";
 import { AuthProvider } from "../../client/src/context/auth";
 import { CartProvider } from "../../client/src/context/cart";
+import { WishlistProvider } from "../../client/src/context/wishlist";
 import { SearchProvider } from "../../client/src/context/search";
 
 jest.mock("axios");
@@ -69,13 +70,15 @@ const renderWithProviders = (ui, { route = "/" } = {}) =>
     <MemoryRouter initialEntries={[route]}>
       <AuthProvider>
         <CartProvider>
-          <SearchProvider>
-            <Routes>
-              <Route path="*" element={ui} />
-              <Route path="/product/:slug" element={<ProductDetails />} />
-              <Route path="/category/:slug" element={<CategoryProduct />} />
-            </Routes>
-          </SearchProvider>
+          <WishlistProvider>
+            <SearchProvider>
+              <Routes>
+                <Route path="*" element={ui} />
+                <Route path="/product/:slug" element={<ProductDetails />} />
+                <Route path="/category/:slug" element={<CategoryProduct />} />
+              </Routes>
+            </SearchProvider>
+          </WishlistProvider>
         </CartProvider>
       </AuthProvider>
     </MemoryRouter>
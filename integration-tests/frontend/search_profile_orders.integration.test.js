@@ -11,6 +11,7 @@ import Orders from "../../client/src/pages/user/Orders";
 import Layout from "../../client/src/components/Layout";
 import { AuthProvider } from "../../client/src/context/auth";
 import { CartProvider } from "../../client/src/context/cart";
+import { WishlistProvider } from "../../client/src/context/wishlist";
 import { SearchProvider } from "../../client/src/context/search";
 
 jest.mock("axios");
@@ -61,14 +62,16 @@ const renderWithProviders = (ui, { route = "/" } = {}) =>
     <MemoryRouter initialEntries={[route]}>
       <AuthProvider>
         <CartProvider>
-          <SearchProvider>
-            <Routes>
-              <Route path="*" element={ui} />
-              <Route path="/search" element={<Search />} />
-              <Route path="/dashboard/user/profile" element={<Profile />} />
-              <Route path="/dashboard/user/orders" element={<Orders />} />
-            </Routes>
-          </SearchProvider>
+          <WishlistProvider>
+            <SearchProvider>
+              <Routes>
+                <Route path="*" element={ui} />
+                <Route path="/search" element={<Search />} />
+                <Route path="/dashboard/user/profile" element={<Profile />} />
+                <Route path="/dashboard/user/orders" element={<Orders />} />
+              </Routes>
+            </SearchProvider>
+          </WishlistProvider>
         </CartProvider>
       </AuthProvider>
     </MemoryRouter>
@@ -99,7 +102,9 @@ describe("Frontend Integration: Search + Profile + Orders", () => {
       ];
       axios.get.mockImplementation((url) => {
         if (url.includes("/api/v1/product/search/widget")) {
-          return Promise.resolve({ data: results });
+          return Promise.resolve({
+            data: { success: true, products: results, total: 2, page: 1, pages: 1 },
+          });
         }
         if (url.includes("/get-category")) {
           return Promise.resolve({ data: { success: true, category: [] } });
@@ -124,7 +129,10 @@ describe("Frontend Integration: Search + Profile + Orders", () => {
         expect(screen.getByText("Alpha")).toBeInTheDocument();
       });
       expect(screen.getByText("Beta")).toBeInTheDocument();
-      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search/widget");
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search/widget", {
+        params: { page: 1 },
+      });
+      expect(screen.getByText("Found 2")).toBeInTheDocument();
     });
   });
 
@@ -207,12 +215,14 @@ describe("Frontend Integration: Search + Profile + Orders", () => {
           payment: { success: true },
           products: [
             {
-              _id: "p1",
+              product: "p1",
               name: "Phone",
-              description: "Phone description long enough for substring",
               price: 999,
+              quantity: 1,
+              total: 999,
             },
           ],
+          total: 999,
         },
       ];
 
@@ -245,7 +255,7 @@ describe("Frontend Integration: Search + Profile + Orders", () => {
       expect(screen.getByText(/Price : 999/)).toBeInTheDocument();
 
       const img = screen.getByAltText("Phone");
-      expect(img.getAttribute("src")).toBe("/api/v1/product/product-photo/p1");
+      expect(img.getAttribute("src")).toBe("/api/v1/product/product-photo/p1?size=thumbnail");
 
       await waitFor(() => {
         expect(screen.getByText(/ago$/i)).toBeInTheDocument();
@@ -267,7 +277,9 @@ describe("Frontend Integration: Search + Profile + Orders", () => {
 
       axios.get.mockImplementation((url) => {
         if (url.includes("/api/v1/product/search/card")) {
-          return Promise.resolve({ data: results });
+          return Promise.resolve({
+            data: { success: true, products: results, total: 1, page: 1, pages: 1 },
+          });
         }
         if (url.includes("/get-category")) {
           return Promise.resolve({ data: { success: true, category: [] } });
@@ -279,19 +291,21 @@ describe("Frontend Integration: Search + Profile + Orders", () => {
         <MemoryRouter initialEntries={["/"]}>
           <AuthProvider>
             <CartProvider>
-              <SearchProvider>
-                <Routes>
-                  <Route
-                    path="/"
-                    element={
-                      <div>
-                        <SearchInput />
-                      </div>
-                    }
-                  />
-                  <Route path="/search" element={<Search />} />
-                </Routes>
-              </SearchProvider>
+              <WishlistProvider>
+                <SearchProvider>
+                  <Routes>
+                    <Route
+                      path="/"
+                      element={
+                        <div>
+                          <SearchInput />
+                        </div>
+                      }
+                    />
+                    <Route path="/search" element={<Search />} />
+                  </Routes>
+                </SearchProvider>
+              </WishlistProvider>
             </CartProvider>
           </AuthProvider>
         </MemoryRouter>
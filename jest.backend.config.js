@@ -25,12 +25,52 @@ module.exports = {
   coverageReporters: ["json", "lcov", "text-summary"],
   collectCoverageFrom: [
     "helpers/authHelper.js",
+    "helpers/stockHelper.js",
+    "helpers/orderStatusHelper.js",
+    "helpers/paymentProvider.js",
+    "helpers/braintreeProvider.js",
+    "helpers/fakePaymentProvider.js",
+    "helpers/priceHelper.js",
+    "helpers/cartHelper.js",
+    "helpers/couponHelper.js",
+    "helpers/promotionHelper.js",
+    "helpers/taxHelper.js",
+    "helpers/shippingHelper.js",
+    "helpers/addressHelper.js",
+    "helpers/reviewHelper.js",
+    "helpers/questionHelper.js",
+    "helpers/wishlistHelper.js",
+    "helpers/variantHelper.js",
+    "helpers/imageHelper.js",
+    "helpers/cacheHelper.js",
+    "helpers/searchHelper.js",
     "middlewares/authMiddleware.js",
+    "middlewares/idempotencyMiddleware.js",
     "controllers/authController.js",
     "controllers/categoryController.js",
+    "controllers/orderController.js",
+    "controllers/cartController.js",
+    "controllers/couponController.js",
+    "controllers/promotionController.js",
+    "controllers/taxController.js",
+    "controllers/shippingController.js",
+    "controllers/addressController.js",
+    "controllers/reviewController.js",
+    "controllers/questionController.js",
+    "controllers/wishlistController.js",
     "controllers/productController.js",
     "models/userModel.js",
     "models/orderModel.js",
+    "models/checkoutModel.js",
+    "models/cartModel.js",
+    "models/couponModel.js",
+    "models/promotionModel.js",
+    "models/taxRateModel.js",
+    "models/shippingMethodModel.js",
+    "models/reviewModel.js",
+    "models/questionModel.js",
+    "models/wishlistModel.js",
+    "models/searchQueryModel.js",
     "models/productModel.js",
     "models/categoryModel.js",
     "config/db.js",
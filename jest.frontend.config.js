@@ -30,15 +30,23 @@ module.exports = {
     "client/src/context/auth.js",
     "client/src/context/search.js",
     "client/src/context/cart.js",
+    "client/src/context/wishlist.js",
     "client/src/components/AdminMenu.js",
     "client/src/components/Form/CategoryForm.js",
     "client/src/components/Form/SearchInput.js",
+    "client/src/components/Form/VariantForm.js",
+    "client/src/components/Form/ImageGalleryForm.js",
     "client/src/components/Routes/Private.js",
     "client/src/components/UserMenu.js",
     "client/src/components/Footer.js",
     "client/src/components/Header.js",
     "client/src/components/Layout.js",
     "client/src/components/Spinner.js",
+    "client/src/components/AddressBook.js",
+    "client/src/components/StarRating.js",
+    "client/src/components/ProductReviews.js",
+    "client/src/components/ProductQuestions.js",
+    "client/src/components/WishlistButton.js",
     "client/src/pages/Auth/Register.js",
     "client/src/pages/Auth/Login.js",
     "client/src/pages/admin/AdminDashboard.js",
@@ -48,9 +56,12 @@ module.exports = {
     "client/src/pages/admin/AdminOrders.js",
     "client/src/pages/admin/Products.js",
     "client/src/pages/admin/Users.js",
+    "client/src/pages/admin/Reviews.js",
+    "client/src/pages/admin/Questions.js",
     "client/src/pages/user/Dashboard.js",
     "client/src/pages/user/Orders.js",
     "client/src/pages/user/Profile.js",
+    "client/src/pages/user/Wishlist.js",
     "client/src/pages/Search.js",
     "client/src/pages/ProductDetails.js",
     "client/src/pages/CategoryProduct.js",
@@ -60,7 +71,11 @@ module.exports = {
     "client/src/pages/Pagenotfound.js",
     "client/src/pages/HomePage.js",
     "client/src/pages/CartPage.js",
+    "client/src/pages/CheckoutPage.js",
+    "client/src/pages/OrderConfirmation.js",
+    "client/src/pages/OrderLookup.js",
     "client/src/hooks/useCategory.js",
+    "client/src/hooks/useCheckout.js",
     "client/src/pages/Categories.js",
   ],
   coverageThreshold: {
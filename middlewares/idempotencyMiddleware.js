@@ -0,0 +1,57 @@
+import checkoutModel from "../models/checkoutModel.js";
+
+// Replays the first reply for a repeated Idempotency-Key header instead of
+// running the checkout again. Requests without the header pass through.
+// Rejections in the 4xx range happen before anything is charged, so their
+// key is released and the same submission can be retried.
+export const idempotentCheckout = async (req, res, next) => {
+  const key = req.headers["idempotency-key"];
+  if (key === undefined) return next();
+  if (typeof key !== "string" || !key.trim() || key.length > 100) {
+    return res.status(400).send({ error: "Invalid idempotency key" });
+  }
+  const filter = { key, buyer: req.user?._id ?? null };
+  try {
+    await checkoutModel.create(filter);
+  } catch (error) {
+    if (error?.code !== 11000) {
+      console.log(error);
+      return res.status(500).send(error);
+    }
+    try {
+      const existing = await checkoutModel.findOne(filter);
+      if (existing?.status === "completed") {
+        return res.status(existing.statusCode).send(existing.response);
+      }
+      return res.status(409).send({
+        error: "This checkout is already being processed",
+        inProgress: true,
+      });
+    } catch (err) {
+      console.log(err);
+      return res.status(500).send(err);
+    }
+  }
+
+  // store the reply before sending it, so a retry never sees a finished
+  // checkout as still pending
+  const remember = (statusCode, body) =>
+    (statusCode >= 400 && statusCode < 500
+      ? checkoutModel.deleteOne(filter)
+      : checkoutModel.updateOne(filter, {
+          status: "completed",
+          statusCode,
+          response: body,
+        })
+    ).catch((error) => console.log(error));
+  let replied = false;
+  const wrap = (send) => (body) => {
+    if (replied) return send(body);
+    replied = true;
+    remember(res.statusCode || 200, body).then(() => send(body));
+    return res;
+  };
+  res.json = wrap(res.json.bind(res));
+  res.send = wrap(res.send.bind(res));
+  next();
+};
@@ -0,0 +1,197 @@
+import checkoutModel from '../models/checkoutModel.js';
+import { idempotentCheckout } from './idempotencyMiddleware.js';
+
+jest.mock('../models/checkoutModel.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    updateOne: jest.fn(),
+    deleteOne: jest.fn(),
+  },
+}));
+
+const mockResponse = () => {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.send = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (key) => ({
+  headers: key === undefined ? {} : { 'idempotency-key': key },
+  body: {},
+  user: { _id: 'u1' },
+});
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+// let the stored-reply promise chain settle
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('idempotentCheckout', () => {
+  let next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    next = jest.fn();
+    checkoutModel.create.mockResolvedValue({});
+    checkoutModel.updateOne.mockResolvedValue({});
+    checkoutModel.deleteOne.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('passes requests without a key straight through', async () => {
+    const res = mockResponse();
+
+    await idempotentCheckout(mockRequest(), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(checkoutModel.create).not.toHaveBeenCalled();
+  });
+
+  it.each([[''], ['   '], ['x'.repeat(101)], [['a', 'b']]])('rejects the invalid key %p', async (key) => {
+    const res = mockResponse();
+
+    await idempotentCheckout(mockRequest(key), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ error: 'Invalid idempotency key' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('keys a guest checkout without a buyer', async () => {
+    const res = mockResponse();
+    const req = { ...mockRequest('k1'), user: undefined };
+
+    await idempotentCheckout(req, res, next);
+
+    expect(checkoutModel.create).toHaveBeenCalledWith({ key: 'k1', buyer: null });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('claims a new key and stores the reply before sending it', async () => {
+    const res = mockResponse();
+    const json = res.json;
+
+    await idempotentCheckout(mockRequest('k1'), res, next);
+    expect(checkoutModel.create).toHaveBeenCalledWith({ key: 'k1', buyer: 'u1' });
+    expect(next).toHaveBeenCalled();
+
+    res.json({ ok: true });
+    expect(json).not.toHaveBeenCalled();
+    await flush();
+
+    expect(checkoutModel.updateOne).toHaveBeenCalledWith(
+      { key: 'k1', buyer: 'u1' },
+      { status: 'completed', statusCode: 200, response: { ok: true } },
+    );
+    expect(json).toHaveBeenCalledWith({ ok: true });
+  });
+
+  it('stores server errors so a retry cannot charge again', async () => {
+    const res = mockResponse();
+    const send = res.send;
+
+    await idempotentCheckout(mockRequest('k1'), res, next);
+    res.status(500).send({ message: 'gateway down' });
+    await flush();
+
+    expect(checkoutModel.updateOne).toHaveBeenCalledWith(
+      { key: 'k1', buyer: 'u1' },
+      { status: 'completed', statusCode: 500, response: { message: 'gateway down' } },
+    );
+    expect(send).toHaveBeenCalledWith({ message: 'gateway down' });
+  });
+
+  it('releases the key when the checkout is rejected before charging', async () => {
+    const res = mockResponse();
+    const send = res.send;
+
+    await idempotentCheckout(mockRequest('k1'), res, next);
+    res.status(409).send({ error: 'Lamp is out of stock' });
+    await flush();
+
+    expect(checkoutModel.deleteOne).toHaveBeenCalledWith({ key: 'k1', buyer: 'u1' });
+    expect(checkoutModel.updateOne).not.toHaveBeenCalled();
+    expect(send).toHaveBeenCalledWith({ error: 'Lamp is out of stock' });
+  });
+
+  it('still replies when storing the reply fails', async () => {
+    const res = mockResponse();
+    const json = res.json;
+    const error = new Error('db down');
+    checkoutModel.updateOne.mockRejectedValue(error);
+
+    await idempotentCheckout(mockRequest('k1'), res, next);
+    res.json({ ok: true });
+    await flush();
+
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(json).toHaveBeenCalledWith({ ok: true });
+  });
+
+  it('replays the stored reply for a completed key without running the checkout', async () => {
+    checkoutModel.create.mockRejectedValue(duplicateKeyError());
+    checkoutModel.findOne.mockResolvedValue({
+      status: 'completed',
+      statusCode: 200,
+      response: { ok: true },
+    });
+    const res = mockResponse();
+
+    await idempotentCheckout(mockRequest('k1'), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(checkoutModel.findOne).toHaveBeenCalledWith({ key: 'k1', buyer: 'u1' });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ ok: true });
+  });
+
+  it('answers 409 while the first request with the key is still running', async () => {
+    checkoutModel.create.mockRejectedValue(duplicateKeyError());
+    checkoutModel.findOne.mockResolvedValue({ status: 'pending' });
+    const res = mockResponse();
+
+    await idempotentCheckout(mockRequest('k1'), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith({
+      error: 'This checkout is already being processed',
+      inProgress: true,
+    });
+  });
+
+  it('returns 500 when the key cannot be claimed', async () => {
+    const error = new Error('db down');
+    checkoutModel.create.mockRejectedValue(error);
+    const res = mockResponse();
+
+    await idempotentCheckout(mockRequest('k1'), res, next);
+
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('returns 500 when the existing key cannot be read', async () => {
+    const error = new Error('db down');
+    checkoutModel.create.mockRejectedValue(duplicateKeyError());
+    checkoutModel.findOne.mockRejectedValue(error);
+    const res = mockResponse();
+
+    await idempotentCheckout(mockRequest('k1'), res, next);
+
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+const cartItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    // which variant, for products sold in variants
+    variant: {
+      type: mongoose.ObjectId,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+      default: 1,
+    },
+  },
+  { _id: false }
+);
+
+// one saved cart per signed-in user so it follows them between browsers
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+      unique: true,
+    },
+    items: [cartItemSchema],
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Cart", cartSchema);
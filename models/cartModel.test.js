@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+import Cart from "./cartModel.js";
+
+describe("cartModel", () => {
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  it("accepts a cart with items and defaults the quantity to 1", () => {
+    const doc = new Cart({
+      user: new mongoose.Types.ObjectId(),
+      items: [{ product: new mongoose.Types.ObjectId() }],
+    });
+
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.items[0].quantity).toBe(1);
+  });
+
+  it("requires the user and each item's product", () => {
+    const err = new Cart({ items: [{ quantity: 2 }] }).validateSync();
+
+    expect(err.errors.user).toBeDefined();
+    expect(err.errors["items.0.product"]).toBeDefined();
+  });
+
+  it("rejects a quantity below 1", () => {
+    const doc = new Cart({
+      user: new mongoose.Types.ObjectId(),
+      items: [{ product: new mongoose.Types.ObjectId(), quantity: 0 }],
+    });
+
+    expect(doc.validateSync().errors["items.0.quantity"]).toBeDefined();
+  });
+
+  it("keeps one cart per user", () => {
+    expect(Cart.schema.path("user").options.unique).toBe(true);
+  });
+});
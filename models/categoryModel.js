@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { NAME_COLLATION } from "../helpers/collationHelper.js";
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -10,6 +11,9 @@ const categorySchema = new mongoose.Schema({
     type: String,
     lowercase: true,
   },
-});
+}, { timestamps: true });
+
+// search suggestions look names up by their start, whatever the case
+categorySchema.index({ name: 1 }, { name: "NamePrefix", collation: NAME_COLLATION });
 
 export default mongoose.model("Category", categorySchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// one record per checkout submission, keyed by the idempotency key the
+// client sends, so retries of the same submission get the first reply
+const checkoutSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // empty for guest checkouts, whose random keys stand on their own
+    buyer: {
+      type: mongoose.ObjectId,
+      ref: "users",
+    },
+    status: {
+      type: String,
+      default: "pending",
+      enum: ["pending", "completed"],
+    },
+    statusCode: {
+      type: Number,
+    },
+    response: {},
+  },
+  { timestamps: true }
+);
+
+// the unique index is what stops two concurrent requests both claiming a key
+checkoutSchema.index({ buyer: 1, key: 1 }, { unique: true });
+// keys only need to outlive client retries
+checkoutSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model("Checkout", checkoutSchema);
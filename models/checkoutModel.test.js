@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import Checkout from "./checkoutModel.js";
+
+describe("checkoutModel", () => {
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  it("defaults a new checkout to pending", () => {
+    const doc = new Checkout({ key: "k1", buyer: new mongoose.Types.ObjectId() });
+
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.status).toBe("pending");
+  });
+
+  it("requires the key", () => {
+    const err = new Checkout({}).validateSync();
+
+    expect(err.errors.key).toBeDefined();
+  });
+
+  it("takes a guest checkout without a buyer", () => {
+    expect(new Checkout({ key: "k1" }).validateSync()).toBeUndefined();
+  });
+
+  it("rejects an unknown status", () => {
+    const doc = new Checkout({
+      key: "k1",
+      buyer: new mongoose.Types.ObjectId(),
+      status: "lost",
+    });
+
+    expect(doc.validateSync().errors.status).toBeDefined();
+  });
+
+  it("keeps keys unique per buyer and expires them after a day", () => {
+    const indexes = Checkout.schema.indexes();
+
+    expect(indexes).toContainEqual([{ buyer: 1, key: 1 }, expect.objectContaining({ unique: true })]);
+    expect(indexes).toContainEqual([
+      { createdAt: 1 },
+      expect.objectContaining({ expireAfterSeconds: 86400 }),
+    ]);
+  });
+});
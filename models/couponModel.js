@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+// how many times one user has redeemed the coupon
+const redemptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    uses: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// a discount code; when categories or products are set it only takes
+// money off the matching cart lines
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["percent", "fixed"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    minSpend: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    redemptions: [redemptionSchema],
+    categories: [
+      {
+        type: mongoose.ObjectId,
+        ref: "Category",
+      },
+    ],
+    products: [
+      {
+        type: mongoose.ObjectId,
+        ref: "Products",
+      },
+    ],
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import Coupon from "./couponModel.js";
+
+describe("couponModel", () => {
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  it("accepts a coupon and fills in the defaults", () => {
+    const doc = new Coupon({ code: " save10 ", type: "percent", value: 10 });
+
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.code).toBe("SAVE10");
+    expect(doc.minSpend).toBe(0);
+    expect(doc.usedCount).toBe(0);
+    expect(doc.active).toBe(true);
+  });
+
+  it("requires the code, type and value", () => {
+    const err = new Coupon({}).validateSync();
+
+    expect(err.errors.code).toBeDefined();
+    expect(err.errors.type).toBeDefined();
+    expect(err.errors.value).toBeDefined();
+  });
+
+  it("only knows percentage and fixed-amount discounts", () => {
+    const err = new Coupon({ code: "X", type: "free", value: 1 }).validateSync();
+
+    expect(err.errors.type).toBeDefined();
+  });
+
+  it("rejects usage limits below 1", () => {
+    const err = new Coupon({
+      code: "X",
+      type: "fixed",
+      value: 5,
+      usageLimit: 0,
+      perUserLimit: 0,
+    }).validateSync();
+
+    expect(err.errors.usageLimit).toBeDefined();
+    expect(err.errors.perUserLimit).toBeDefined();
+  });
+
+  it("keeps codes unique", () => {
+    expect(Coupon.schema.path("code").options.unique).toBe(true);
+  });
+});
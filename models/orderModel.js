@@ -1,25 +1,279 @@
 import mongoose from "mongoose";
+import { ORDER_STATUSES } from "../helpers/orderStatusHelper.js";
 
-const orderSchema = new mongoose.Schema(
+// line item snapshot taken at checkout so historical orders keep the
+// name and price the buyer actually paid, even after the product changes
+const orderItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    // set when the line is for one variant of the product; `name` then
+    // carries the variant's option values too
+    variant: {
+      type: mongoose.ObjectId,
+    },
+    sku: {
+      type: String,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    refundedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// money sent back to the buyer, either by voiding the unsettled
+// transaction or by refunding part or all of a settled one
+const refundSchema = new mongoose.Schema(
   {
-    products: [
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    type: {
+      type: String,
+      enum: ["void", "refund"],
+      required: true,
+    },
+    transactionId: {
+      type: String,
+    },
+    items: [
       {
-        type: mongoose.ObjectId,
-        ref: "Products",
+        _id: false,
+        product: { type: mongoose.ObjectId, ref: "Products", required: true },
+        variant: { type: mongoose.ObjectId },
+        quantity: { type: Number, required: true, min: 1 },
       },
     ],
+    refundedBy: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    refundedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// an automatic promotion the order got, kept for reporting
+const appliedPromotionSchema = new mongoose.Schema(
+  {
+    promotion: {
+      type: mongoose.ObjectId,
+      ref: "Promotion",
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// the tax charged at one rate, kept for reporting
+const taxLineSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    region: {
+      type: String,
+    },
+    taxClass: {
+      type: String,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // what the rate was charged on, after discounts
+    taxable: {
+      type: Number,
+      min: 0,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// the shipping method chosen at checkout and what it cost
+const orderShippingSchema = new mongoose.Schema(
+  {
+    method: {
+      type: mongoose.ObjectId,
+      ref: "ShippingMethod",
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["standard", "express", "pickup"],
+    },
+    cost: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// a copy of the address the order ships to; editing or deleting the
+// address book entry later leaves the order as it was
+const orderAddressSchema = new mongoose.Schema(
+  {
+    recipient: { type: String, required: true, immutable: true },
+    line1: { type: String, required: true, immutable: true },
+    line2: { type: String, immutable: true },
+    city: { type: String, required: true, immutable: true },
+    region: { type: String, immutable: true },
+    postalCode: { type: String, required: true, immutable: true },
+    country: { type: String, required: true, immutable: true },
+    phone: { type: String, immutable: true },
+  },
+  { _id: false }
+);
+
+// one entry per status change, recording who moved the order and when
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    products: [orderItemSchema],
+    // the line totals before any discount
+    subtotal: {
+      type: Number,
+      min: 0,
+    },
+    // everything taken off the subtotal, promotions and coupon together
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    promotions: [appliedPromotionSchema],
+    // code of the coupon applied on top of the promotions
+    coupon: {
+      type: String,
+    },
+    // added to the total when taxMode is exclusive; with inclusive
+    // prices it is the part of the total that was tax
+    tax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    taxMode: {
+      type: String,
+      enum: ["exclusive", "inclusive"],
+    },
+    // where the order was taxed for
+    taxRegion: {
+      type: String,
+    },
+    taxes: [taxLineSchema],
+    // charged on top of the goods and their tax
+    shipping: orderShippingSchema,
+    shippingAddress: {
+      type: orderAddressSchema,
+      immutable: true,
+    },
+    total: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     payment: {},
+    refunds: [refundSchema],
+    refundedTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     buyer: {
       type: mongoose.ObjectId,
       ref: "users",
     },
+    // where a guest checkout is reached; with the order number it is what
+    // lets the guest look the order up or claim it for a new account
+    guestEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
     status: {
       type: String,
       default: "Not Process",
-      enum: ["Not Process", "Processing", "Shipped", "deliverd", "cancel"],
+      enum: ORDER_STATUSES,
     },
+    statusHistory: [statusChangeSchema],
   },
   { timestamps: true }
 );
 
-export default mongoose.model("Order", orderSchema);
\ No newline at end of file
+export default mongoose.model("Order", orderSchema);
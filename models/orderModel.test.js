@@ -8,17 +8,82 @@ describe("orderModel", () => {
     await mongoose.disconnect();
   });
 
-  it("defines products as an array of ObjectId refs to Products", () => {
+  it("defines products as an array of line items referencing Products", () => {
     // Arrange
     const productsPath = Order.schema.path("products");
 
     // Act
-    const caster = productsPath.caster;
+    const itemSchema = productsPath.schema;
 
     // Assert
     expect(productsPath.instance).toBe("Array");
-    expect(caster.instance).toBe("ObjectId");
-    expect(caster.options.ref).toBe("Products");
+    expect(itemSchema.path("product").instance).toBe("ObjectId");
+    expect(itemSchema.path("product").options.ref).toBe("Products");
+    expect(itemSchema.path("name").instance).toBe("String");
+    expect(itemSchema.path("price").instance).toBe("Number");
+    expect(itemSchema.path("quantity").instance).toBe("Number");
+    expect(itemSchema.path("total").instance).toBe("Number");
+  });
+
+  it("accepts a complete line item snapshot", () => {
+    // Arrange
+    const doc = new Order({
+      products: [
+        {
+          product: new mongoose.Types.ObjectId(),
+          name: "Widget",
+          price: 12.5,
+          quantity: 2,
+          total: 25,
+        },
+      ],
+      total: 25,
+    });
+
+    // Act
+    const err = doc.validateSync();
+
+    // Assert
+    expect(err).toBeUndefined();
+    expect(doc.products[0].quantity).toBe(2);
+    expect(doc.total).toBe(25);
+  });
+
+  it("rejects a line item with a quantity below 1", () => {
+    // Arrange
+    const doc = new Order({
+      products: [
+        {
+          product: new mongoose.Types.ObjectId(),
+          name: "Widget",
+          price: 12.5,
+          quantity: 0,
+          total: 0,
+        },
+      ],
+    });
+
+    // Act
+    const err = doc.validateSync();
+
+    // Assert
+    expect(err).toBeDefined();
+    expect(err.errors["products.0.quantity"]).toBeDefined();
+  });
+
+  it("rejects a line item missing its name and price snapshot", () => {
+    // Arrange
+    const doc = new Order({
+      products: [{ product: new mongoose.Types.ObjectId(), quantity: 1 }],
+    });
+
+    // Act
+    const err = doc.validateSync();
+
+    // Assert
+    expect(err.errors["products.0.name"]).toBeDefined();
+    expect(err.errors["products.0.price"]).toBeDefined();
+    expect(err.errors["products.0.total"]).toBeDefined();
   });
 
   it("defines buyer as an ObjectId ref to users", () => {
@@ -33,6 +98,19 @@ describe("orderModel", () => {
     expect(options.ref).toBe("users");
   });
 
+  it("keeps a guest order under its email, tidied, with no buyer", () => {
+    // Arrange
+    const doc = new Order({ guestEmail: "  Gus@Example.COM " });
+
+    // Act
+    const err = doc.validateSync();
+
+    // Assert
+    expect(err).toBeUndefined();
+    expect(doc.guestEmail).toBe("gus@example.com");
+    expect(doc.buyer).toBeUndefined();
+  });
+
   it('defaults status to "Not Process" when not provided', () => {
     // Arrange
     const doc = new Order({});
@@ -69,6 +147,103 @@ describe("orderModel", () => {
     expect(err.errors.status.name).toBe("ValidatorError");
   });
 
+  it("accepts the refunded status", () => {
+    // Arrange
+    const doc = new Order({ status: "refunded" });
+
+    // Act
+    const err = doc.validateSync();
+
+    // Assert
+    expect(err).toBeUndefined();
+  });
+
+  it("records status history entries with the admin and a timestamp", () => {
+    // Arrange
+    const admin = new mongoose.Types.ObjectId();
+    const doc = new Order({
+      status: "Processing",
+      statusHistory: [{ from: "Not Process", status: "Processing", changedBy: admin }],
+    });
+
+    // Act
+    const err = doc.validateSync();
+
+    // Assert
+    expect(err).toBeUndefined();
+    expect(doc.statusHistory[0].changedBy.toString()).toBe(admin.toString());
+    expect(doc.statusHistory[0].changedAt).toBeInstanceOf(Date);
+  });
+
+  it("rejects a status history entry without the admin or with an unknown status", () => {
+    // Arrange
+    const doc = new Order({
+      statusHistory: [{ from: "Not Process", status: "Teleported" }],
+    });
+
+    // Act
+    const err = doc.validateSync();
+
+    // Assert
+    expect(err.errors["statusHistory.0.status"]).toBeDefined();
+    expect(err.errors["statusHistory.0.changedBy"]).toBeDefined();
+  });
+
+  it("defaults refund bookkeeping to nothing refunded", () => {
+    // Arrange
+    const doc = new Order({
+      products: [
+        { product: new mongoose.Types.ObjectId(), name: "Widget", price: 5, quantity: 1, total: 5 },
+      ],
+    });
+
+    // Act
+    const err = doc.validateSync();
+
+    // Assert
+    expect(err).toBeUndefined();
+    expect(doc.refundedTotal).toBe(0);
+    expect(doc.refunds).toHaveLength(0);
+    expect(doc.products[0].refundedQuantity).toBe(0);
+  });
+
+  it("records a refund with its amount, type, items and admin", () => {
+    // Arrange
+    const product = new mongoose.Types.ObjectId();
+    const doc = new Order({
+      refunds: [
+        {
+          amount: 10,
+          type: "refund",
+          transactionId: "r1",
+          items: [{ product, quantity: 1 }],
+          refundedBy: new mongoose.Types.ObjectId(),
+        },
+      ],
+      refundedTotal: 10,
+    });
+
+    // Act
+    const err = doc.validateSync();
+
+    // Assert
+    expect(err).toBeUndefined();
+    expect(doc.refunds[0].refundedAt).toBeInstanceOf(Date);
+    expect(doc.refunds[0].items[0].product.toString()).toBe(product.toString());
+  });
+
+  it("rejects a refund with an unknown type or without the admin", () => {
+    // Arrange
+    const doc = new Order({ refunds: [{ amount: 10, type: "chargeback" }] });
+
+    // Act
+    const err = doc.validateSync();
+
+    // Assert
+    expect(err.errors["refunds.0.type"]).toBeDefined();
+    expect(err.errors["refunds.0.refundedBy"]).toBeDefined();
+  });
+
   it("enables timestamps (createdAt and updatedAt)", () => {
     // Arrange
     const schemaOptions = Order.schema.options;
@@ -81,5 +256,38 @@ describe("orderModel", () => {
     expect(Order.schema.path("createdAt")).toBeDefined();
     expect(Order.schema.path("updatedAt")).toBeDefined();
   });
-});
 
+  it("keeps an immutable copy of the shipping address", () => {
+    // Arrange
+    const address = {
+      recipient: "Ann Lee",
+      line1: "1 Main St",
+      city: "Oakland",
+      region: "CA",
+      postalCode: "94601",
+      country: "US",
+    };
+    const doc = Order.hydrate({ _id: new mongoose.Types.ObjectId(), shippingAddress: address });
+
+    // Act
+    doc.shippingAddress = { ...address, line1: "9 Elsewhere Rd" };
+    doc.set("shippingAddress.city", "Austin");
+
+    // Assert
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.shippingAddress.line1).toBe("1 Main St");
+    expect(doc.shippingAddress.city).toBe("Oakland");
+  });
+
+  it("rejects a shipping address missing its street or country", () => {
+    // Arrange
+    const doc = new Order({ shippingAddress: { recipient: "Ann Lee", city: "Oakland", postalCode: "94601" } });
+
+    // Act
+    const err = doc.validateSync();
+
+    // Assert
+    expect(err.errors["shippingAddress.line1"]).toBeDefined();
+    expect(err.errors["shippingAddress.country"]).toBeDefined();
+  });
+});
@@ -1,4 +1,96 @@
 import mongoose from "mongoose";
+import { NAME_COLLATION } from "../helpers/collationHelper.js";
+
+// a choice the product comes in, such as Size with S, M and L
+const optionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    values: [{ type: String, trim: true }],
+  },
+  { _id: false }
+);
+
+// A checkout's hold on units of the product, written with the counters it
+// moves, so a hold its checkout never released or committed (the server
+// stopped halfway) can be found and put back on sale
+const holdSchema = new mongoose.Schema(
+  {
+    hold: {
+      type: mongoose.ObjectId,
+      required: true,
+    },
+    variant: {
+      type: mongoose.ObjectId,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    heldAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// one combination of option values, sold and stocked on its own
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  options: [
+    {
+      _id: false,
+      name: { type: String, required: true },
+      value: { type: String, required: true },
+    },
+  ],
+  // the product's price applies when this is not set
+  price: {
+    type: Number,
+    min: 0,
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  photo: {
+    data: Buffer,
+    contentType: String,
+  },
+});
+
+// one picture in the product's gallery; the files themselves are in GridFS,
+// see helpers/imageHelper.js
+const imageSchema = new mongoose.Schema({
+  alt: {
+    type: String,
+    default: "",
+    trim: true,
+  },
+  // of the original upload; the renditions are webp
+  contentType: String,
+  original: {
+    type: mongoose.ObjectId,
+    required: true,
+  },
+  medium: mongoose.ObjectId,
+  thumbnail: mongoose.ObjectId,
+});
 
 const productSchema = new mongoose.Schema(
   {
@@ -23,19 +115,86 @@ const productSchema = new mongoose.Schema(
       ref: "Category",
       required: true,
     },
+    // the category's name, copied here for the search index and kept in
+    // step by the product and category controllers (older products get it
+    // when the server starts)
+    categoryName: {
+      type: String,
+      default: "",
+    },
     quantity: {
       type: Number,
       required: true,
     },
+    // units held by checkouts that have not completed yet, and the holds
+    // making them up
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    holds: {
+      type: [holdSchema],
+      select: false,
+    },
     photo: {
       data: Buffer,
       contentType: String,
     },
+    // in display order; the first one stands for the product on cards
+    images: [imageSchema],
     shipping: {
       type: Boolean,
     },
+    // in kg, for shipping methods priced by weight
+    weight: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // picks the tax rate the product is charged at
+    taxClass: {
+      type: String,
+      default: "standard",
+      lowercase: true,
+      trim: true,
+    },
+    // kept in step with the visible reviews by helpers/reviewHelper.js
+    ratingAverage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // a product with variants sells only those; its quantity and reserved
+    // are then the totals over the variants, kept so by helpers/stockHelper.js
+    options: [optionSchema],
+    variants: [variantSchema],
   },
   { timestamps: true }
 );
 
+// a SKU names one variant across the whole catalogue
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
+// the sweep for holds left behind by checkouts that never finished
+productSchema.index({ "holds.heldAt": 1 });
+
+// search suggestions look names up by their start, whatever the case
+productSchema.index({ name: 1 }, { name: "NamePrefix", collation: NAME_COLLATION });
+
+// full-text search, a match in the name counting most
+productSchema.index(
+  { name: "text", description: "text", categoryName: "text" },
+  { name: "ProductSearch", weights: { name: 10, categoryName: 5, description: 1 } }
+);
+
 export default mongoose.model("Products", productSchema);
\ No newline at end of file
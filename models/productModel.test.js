@@ -553,6 +553,206 @@ describe("Product Model", () => {
       expect(error).toBeUndefined();
       expect(product.photo.contentType).toBe("image/png");
     });
+
+    it("should default reserved stock to 0", () => {
+      const product = new Product({
+        name: "Test Product",
+        slug: "test-product",
+        description: "Test description",
+        price: 100,
+        category: new mongoose.Types.ObjectId(),
+        quantity: 10,
+      });
+
+      expect(product.validateSync()).toBeUndefined();
+      expect(product.reserved).toBe(0);
+    });
+
+    it("should reject negative reserved stock", () => {
+      const product = new Product({
+        name: "Test Product",
+        slug: "test-product",
+        description: "Test description",
+        price: 100,
+        category: new mongoose.Types.ObjectId(),
+        quantity: 10,
+        reserved: -1,
+      });
+
+      const error = product.validateSync();
+
+      expect(error.errors.reserved).toBeDefined();
+    });
+  });
+
+  // Tax Class and Weight Tests
+  describe("Tax Class and Weight", () => {
+    const productData = {
+      name: "Test Product",
+      slug: "test-product",
+      description: "Test description",
+      price: 100,
+      category: new mongoose.Types.ObjectId(),
+      quantity: 10,
+    };
+
+    it("should default the weight to 0 and reject a negative one", () => {
+      expect(new Product(productData).weight).toBe(0);
+      expect(new Product({ ...productData, weight: -1 }).validateSync().errors.weight).toBeDefined();
+    });
+
+    it("should default the tax class to standard", () => {
+      expect(new Product(productData).taxClass).toBe("standard");
+    });
+
+    it("should store the tax class in lowercase", () => {
+      const product = new Product({ ...productData, taxClass: " Food " });
+
+      expect(product.validateSync()).toBeUndefined();
+      expect(product.taxClass).toBe("food");
+    });
+  });
+
+  // Rating Tests
+  describe("Rating", () => {
+    const productData = {
+      name: "Test Product",
+      slug: "test-product",
+      description: "Test description",
+      price: 100,
+      category: new mongoose.Types.ObjectId(),
+      quantity: 10,
+    };
+
+    it("should start unrated", () => {
+      const product = new Product(productData);
+
+      expect(product.ratingAverage).toBe(0);
+      expect(product.ratingCount).toBe(0);
+    });
+
+    it("should keep the average between 0 and 5", () => {
+      const error = new Product({ ...productData, ratingAverage: 6, ratingCount: -1 }).validateSync();
+
+      expect(error.errors.ratingAverage).toBeDefined();
+      expect(error.errors.ratingCount).toBeDefined();
+    });
+  });
+
+  describe("Variants", () => {
+    const productData = {
+      name: "T-Shirt",
+      slug: "t-shirt",
+      description: "Cotton tee",
+      price: 20,
+      category: new mongoose.Types.ObjectId(),
+      quantity: 5,
+    };
+
+    it("should have no options or variants by default", () => {
+      const product = new Product(productData);
+
+      expect(product.options).toHaveLength(0);
+      expect(product.variants).toHaveLength(0);
+    });
+
+    it("should keep option types and variants with their own stock", () => {
+      const product = new Product({
+        ...productData,
+        options: [{ name: " Size ", values: ["S", "M"] }],
+        variants: [
+          { sku: " TEE-S ", options: [{ name: "Size", value: "S" }], price: 18, quantity: 2 },
+          { sku: "TEE-M", options: [{ name: "Size", value: "M" }], quantity: 3 },
+        ],
+      });
+
+      expect(product.validateSync()).toBeUndefined();
+      expect(product.options[0].name).toBe("Size");
+      expect(product.variants[0].sku).toBe("TEE-S");
+      expect(product.variants[0]._id).toBeDefined();
+      expect(product.variants[1].price).toBeUndefined();
+      expect(product.variants[1].reserved).toBe(0);
+    });
+
+    it("should require a SKU and refuse negative variant stock or price", () => {
+      const error = new Product({
+        ...productData,
+        variants: [{ options: [], price: -1, quantity: -2 }],
+      }).validateSync();
+
+      expect(error.errors["variants.0.sku"]).toBeDefined();
+      expect(error.errors["variants.0.price"]).toBeDefined();
+      expect(error.errors["variants.0.quantity"]).toBeDefined();
+    });
+
+    it("should keep SKUs unique across products", () => {
+      expect(Product.schema.indexes()).toContainEqual([
+        { "variants.sku": 1 },
+        expect.objectContaining({ unique: true }),
+      ]);
+    });
+  });
+
+  describe("Search", () => {
+    it("should have an empty category name by default", () => {
+      const product = new Product({
+        name: "Lamp",
+        slug: "lamp",
+        description: "A lamp",
+        price: 20,
+        category: new mongoose.Types.ObjectId(),
+        quantity: 5,
+      });
+
+      expect(product.categoryName).toBe("");
+    });
+
+    it("should index name, category and description for text search, name first", () => {
+      expect(Product.schema.indexes()).toContainEqual([
+        { name: "text", description: "text", categoryName: "text" },
+        expect.objectContaining({
+          weights: { name: 10, categoryName: 5, description: 1 },
+        }),
+      ]);
+    });
+  });
+
+  describe("Images", () => {
+    const productData = {
+      name: "Lamp",
+      slug: "lamp",
+      description: "A lamp",
+      price: 20,
+      category: new mongoose.Types.ObjectId(),
+      quantity: 5,
+    };
+
+    it("should have an empty gallery by default", () => {
+      expect(new Product(productData).images).toHaveLength(0);
+    });
+
+    it("should keep the gallery in order with alt text and file ids", () => {
+      const original = new mongoose.Types.ObjectId();
+      const product = new Product({
+        ...productData,
+        images: [
+          { alt: " Lamp lit ", contentType: "image/png", original, medium: original, thumbnail: original },
+          { original: new mongoose.Types.ObjectId() },
+        ],
+      });
+
+      expect(product.validateSync()).toBeUndefined();
+      expect(product.images[0].alt).toBe("Lamp lit");
+      expect(product.images[0].original).toEqual(original);
+      expect(product.images[1].alt).toBe("");
+      expect(product.images[1]._id).toBeDefined();
+    });
+
+    it("should require the original file of an image", () => {
+      const error = new Product({ ...productData, images: [{ alt: "x" }] }).validateSync();
+
+      expect(error.errors["images.0.original"]).toBeDefined();
+    });
   });
 
   // Timestamps Tests
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// the unit price once a line reaches minQuantity units
+const tierSchema = new mongoose.Schema(
+  {
+    minQuantity: {
+      type: Number,
+      required: true,
+      min: 2,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// a rule applied to every cart without a code. Which fields are used
+// depends on the type:
+//   buyXGetY - for every `buy` units from `category`, `free` more are free
+//   bundle   - one of each of `products` together cost `bundlePrice`
+//   volume   - `product` is sold at the price of the highest tier reached
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["buyXGetY", "bundle", "volume"],
+      required: true,
+    },
+    category: {
+      type: mongoose.ObjectId,
+      ref: "Category",
+    },
+    buy: {
+      type: Number,
+      min: 1,
+    },
+    free: {
+      type: Number,
+      min: 1,
+    },
+    products: [
+      {
+        type: mongoose.ObjectId,
+        ref: "Products",
+      },
+    ],
+    bundlePrice: {
+      type: Number,
+      min: 0,
+    },
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+    },
+    tiers: [tierSchema],
+    startsAt: {
+      type: Date,
+    },
+    endsAt: {
+      type: Date,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Promotion", promotionSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import Promotion from "./promotionModel.js";
+
+describe("promotionModel", () => {
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  it("accepts each kind of promotion and defaults to active", () => {
+    const docs = [
+      new Promotion({ name: "3 for 2", type: "buyXGetY", category: new mongoose.Types.ObjectId(), buy: 2, free: 1 }),
+      new Promotion({
+        name: "Desk set",
+        type: "bundle",
+        products: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()],
+        bundlePrice: 250,
+      }),
+      new Promotion({
+        name: "Bulk pens",
+        type: "volume",
+        product: new mongoose.Types.ObjectId(),
+        tiers: [{ minQuantity: 10, price: 0.8 }],
+      }),
+    ];
+
+    docs.forEach((doc) => expect(doc.validateSync()).toBeUndefined());
+    expect(docs[0].active).toBe(true);
+  });
+
+  it("requires a name and a known type", () => {
+    const err = new Promotion({ type: "mystery" }).validateSync();
+
+    expect(err.errors.name).toBeDefined();
+    expect(err.errors.type).toBeDefined();
+  });
+
+  it("rejects tiers below two units or without a price", () => {
+    const err = new Promotion({
+      name: "Bulk",
+      type: "volume",
+      tiers: [{ minQuantity: 1, price: 1 }, { minQuantity: 5 }],
+    }).validateSync();
+
+    expect(err.errors["tiers.0.minQuantity"]).toBeDefined();
+    expect(err.errors["tiers.1.price"]).toBeDefined();
+  });
+});
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// an answer from staff or from a customer who bought the product;
+// upvotes holds the users who found it helpful
+const answerSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    role: {
+      type: String,
+      enum: ["admin", "buyer"],
+      required: true,
+    },
+    upvotes: [
+      {
+        type: mongoose.ObjectId,
+        ref: "users",
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// a shopper's question about a product; it is unanswered while it has
+// no answers
+const questionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    answers: [answerSchema],
+  },
+  { timestamps: true }
+);
+
+questionSchema.index({ product: 1, createdAt: -1 });
+
+export default mongoose.model("Question", questionSchema);
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import Question from "./questionModel.js";
+
+describe("questionModel", () => {
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  const base = {
+    product: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    body: "  Does it fit a 15 inch laptop?  ",
+  };
+
+  it("accepts a question without answers", () => {
+    const doc = new Question(base);
+
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.body).toBe("Does it fit a 15 inch laptop?");
+    expect(doc.answers).toHaveLength(0);
+  });
+
+  it("requires the product, user and question", () => {
+    const err = new Question({}).validateSync();
+
+    expect(err.errors.product).toBeDefined();
+    expect(err.errors.user).toBeDefined();
+    expect(err.errors.body).toBeDefined();
+  });
+
+  it("rejects an overly long question", () => {
+    const err = new Question({ ...base, body: "x".repeat(1001) }).validateSync();
+
+    expect(err.errors.body).toBeDefined();
+  });
+
+  it("takes answers from admins and buyers, starting without upvotes", () => {
+    const doc = new Question({
+      ...base,
+      answers: [{ user: new mongoose.Types.ObjectId(), body: " Yes ", role: "buyer" }],
+    });
+
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.answers[0].body).toBe("Yes");
+    expect(doc.answers[0].upvotes).toHaveLength(0);
+  });
+
+  it("requires an answer's author, text and role", () => {
+    const err = new Question({ ...base, answers: [{ role: "guest" }] }).validateSync();
+
+    expect(err.errors["answers.0.user"]).toBeDefined();
+    expect(err.errors["answers.0.body"]).toBeDefined();
+    expect(err.errors["answers.0.role"]).toBeDefined();
+  });
+});
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// one buyer's rating of a product; a review hidden by an admin stays
+// with its author but no longer counts towards the product's rating
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be a whole number of stars",
+      },
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      default: "",
+    },
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+export default mongoose.model("Review", reviewSchema);
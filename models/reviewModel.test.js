@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import Review from "./reviewModel.js";
+
+describe("reviewModel", () => {
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  const base = {
+    product: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    rating: 4,
+  };
+
+  it("accepts a review and fills in the defaults", () => {
+    const doc = new Review({ ...base, comment: "  Works well  " });
+
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.comment).toBe("Works well");
+    expect(doc.hidden).toBe(false);
+  });
+
+  it("requires the product, user and rating", () => {
+    const err = new Review({}).validateSync();
+
+    expect(err.errors.product).toBeDefined();
+    expect(err.errors.user).toBeDefined();
+    expect(err.errors.rating).toBeDefined();
+  });
+
+  it("only takes whole stars from 1 to 5", () => {
+    expect(new Review({ ...base, rating: 0 }).validateSync().errors.rating).toBeDefined();
+    expect(new Review({ ...base, rating: 6 }).validateSync().errors.rating).toBeDefined();
+    expect(new Review({ ...base, rating: 3.5 }).validateSync().errors.rating).toBeDefined();
+  });
+
+  it("rejects an overly long comment", () => {
+    const err = new Review({ ...base, comment: "x".repeat(2001) }).validateSync();
+
+    expect(err.errors.comment).toBeDefined();
+  });
+
+  it("allows one review per product and user", () => {
+    expect(Review.schema.indexes()).toContainEqual([
+      { product: 1, user: 1 },
+      expect.objectContaining({ unique: true }),
+    ]);
+  });
+});
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// a search that found something, counted so the most popular ones can be
+// suggested as shoppers type; stored trimmed and lower case
+const searchQuerySchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 100,
+    },
+    count: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    lastSearchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+// suggestions read the most searched queries first
+searchQuerySchema.index({ count: -1 });
+
+export default mongoose.model("SearchQuery", searchQuerySchema);
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+import SearchQuery from "./searchQueryModel.js";
+
+describe("searchQueryModel", () => {
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  it("stores the query trimmed and lower case, counted once", () => {
+    const doc = new SearchQuery({ query: "  Desk Lamp " });
+
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.query).toBe("desk lamp");
+    expect(doc.count).toBe(1);
+    expect(doc.lastSearchedAt).toBeInstanceOf(Date);
+  });
+
+  it("requires the query and keeps it short", () => {
+    expect(new SearchQuery({}).validateSync().errors.query).toBeDefined();
+    expect(
+      new SearchQuery({ query: "a".repeat(101) }).validateSync().errors.query
+    ).toBeDefined();
+  });
+
+  it("keeps one entry per query", () => {
+    expect(SearchQuery.schema.path("query").options.unique).toBe(true);
+  });
+});
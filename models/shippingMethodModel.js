@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// a way to get the order to the shopper. What `rate` means depends on
+// rateType:
+//   flat   - a fixed fee for the whole order
+//   weight - a fee per kg of the order's total weight
+//   value  - a percentage of the order value
+// Orders worth at least `freeOver` ship free.
+const shippingMethodSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    kind: {
+      type: String,
+      enum: ["standard", "express", "pickup"],
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    rateType: {
+      type: String,
+      enum: ["flat", "weight", "value"],
+      default: "flat",
+    },
+    rate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    freeOver: {
+      type: Number,
+      min: 0,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("ShippingMethod", shippingMethodSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import ShippingMethod from "./shippingMethodModel.js";
+
+describe("shippingMethodModel", () => {
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  it("accepts a method and fills in the defaults", () => {
+    const doc = new ShippingMethod({ name: " Pickup ", kind: "pickup" });
+
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.name).toBe("Pickup");
+    expect(doc.rateType).toBe("flat");
+    expect(doc.rate).toBe(0);
+    expect(doc.freeOver).toBeUndefined();
+    expect(doc.active).toBe(true);
+  });
+
+  it("requires the name and kind", () => {
+    const err = new ShippingMethod({}).validateSync();
+
+    expect(err.errors.name).toBeDefined();
+    expect(err.errors.kind).toBeDefined();
+  });
+
+  it("only knows standard, express and pickup", () => {
+    expect(new ShippingMethod({ name: "X", kind: "drone" }).validateSync().errors.kind).toBeDefined();
+  });
+
+  it("only knows flat, weight and value rates", () => {
+    const err = new ShippingMethod({ name: "X", kind: "standard", rateType: "distance" }).validateSync();
+
+    expect(err.errors.rateType).toBeDefined();
+  });
+
+  it("rejects negative rates and thresholds", () => {
+    const err = new ShippingMethod({ name: "X", kind: "standard", rate: -1, freeOver: -5 }).validateSync();
+
+    expect(err.errors.rate).toBeDefined();
+    expect(err.errors.freeOver).toBeDefined();
+  });
+});
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// the tax charged on products of `taxClass` shipped to `region`; a rate
+// for region "*" applies wherever no rate names the destination
+const taxRateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    region: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    taxClass: {
+      type: String,
+      default: "standard",
+      lowercase: true,
+      trim: true,
+    },
+    // a percentage, so 8.25 means 8.25%
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+  },
+  { timestamps: true }
+);
+
+taxRateSchema.index({ region: 1, taxClass: 1 }, { unique: true });
+
+export default mongoose.model("TaxRate", taxRateSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import TaxRate from "./taxRateModel.js";
+
+describe("taxRateModel", () => {
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  it("accepts a rate and tidies the region and class", () => {
+    const doc = new TaxRate({ name: "VAT", region: " uk ", taxClass: " Reduced ", rate: 5 });
+
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.region).toBe("UK");
+    expect(doc.taxClass).toBe("reduced");
+  });
+
+  it("defaults the tax class to standard", () => {
+    expect(new TaxRate({ name: "GST", region: "SG", rate: 9 }).taxClass).toBe("standard");
+  });
+
+  it("requires the name, region and rate", () => {
+    const err = new TaxRate({}).validateSync();
+
+    expect(err.errors.name).toBeDefined();
+    expect(err.errors.region).toBeDefined();
+    expect(err.errors.rate).toBeDefined();
+  });
+
+  it("keeps the rate a percentage", () => {
+    expect(new TaxRate({ name: "X", region: "X", rate: -1 }).validateSync().errors.rate).toBeDefined();
+    expect(new TaxRate({ name: "X", region: "X", rate: 101 }).validateSync().errors.rate).toBeDefined();
+  });
+
+  it("has one rate per region and tax class", () => {
+    const index = TaxRate.schema.indexes().find(([fields]) => fields.region && fields.taxClass);
+
+    expect(index[1].unique).toBe(true);
+  });
+});
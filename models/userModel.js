@@ -1,5 +1,56 @@
 import mongoose from "mongoose";
 
+// an entry in the user's address book; at most one of them is the
+// default for shipping and one for billing
+const addressSchema = new mongoose.Schema({
+  recipient: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  line1: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  line2: {
+    type: String,
+    trim: true,
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // state or province, also used to pick the tax rate
+  region: {
+    type: String,
+    trim: true,
+  },
+  postalCode: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  country: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  isDefaultShipping: {
+    type: Boolean,
+    default: false,
+  },
+  isDefaultBilling: {
+    type: Boolean,
+    default: false,
+  },
+});
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -24,6 +75,7 @@ const userSchema = new mongoose.Schema(
       type: {},
       required: true,
     },
+    addresses: [addressSchema],
     DOB: {
       type: String,
       required: true,
@@ -343,4 +343,46 @@ describe("userModel", () => {
     expect(user.answer).toBe("Football");
     expect(user.role).toBe(0);
   });
+
+  it("should keep an address book with default shipping and billing flags", () => {
+    const user = new userModel({
+      name: "Test User",
+      email: "test@example.com",
+      password: "password123",
+      phone: "1234567890",
+      address: "123 Street",
+      DOB: "1990-01-01",
+      answer: "Football",
+      addresses: [
+        { recipient: "Test User", line1: "1 Main St", city: "Oakland", region: "CA", postalCode: "94601", country: "US" },
+      ],
+    });
+
+    const validationError = user.validateSync();
+
+    expect(validationError).toBeUndefined();
+    expect(user.addresses).toHaveLength(1);
+    expect(user.addresses[0]._id).toBeDefined();
+    expect(user.addresses[0].isDefaultShipping).toBe(false);
+    expect(user.addresses[0].isDefaultBilling).toBe(false);
+  });
+
+  it("should reject an address missing its recipient, street, city, postal code or country", () => {
+    const user = new userModel({
+      name: "Test User",
+      email: "test@example.com",
+      password: "password123",
+      phone: "1234567890",
+      address: "123 Street",
+      DOB: "1990-01-01",
+      answer: "Football",
+      addresses: [{ line2: "Flat 4" }],
+    });
+
+    const error = user.validateSync();
+
+    for (const field of ["recipient", "line1", "city", "postalCode", "country"]) {
+      expect(error.errors[`addresses.0.${field}`]).toBeDefined();
+    }
+  });
 });
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// a saved product with what it cost and whether it could be bought at
+// the time, so the wishlist can tell when that changes
+const wishlistItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    savedPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    savedInStock: {
+      type: Boolean,
+      default: true,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// one wishlist per signed-in user
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+      unique: true,
+    },
+    items: [wishlistItemSchema],
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Wishlist", wishlistSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import Wishlist from "./wishlistModel.js";
+
+describe("wishlistModel", () => {
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  it("accepts a wishlist and fills in the item defaults", () => {
+    const doc = new Wishlist({
+      user: new mongoose.Types.ObjectId(),
+      items: [{ product: new mongoose.Types.ObjectId(), savedPrice: 20 }],
+    });
+
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.items[0].savedInStock).toBe(true);
+    expect(doc.items[0].addedAt).toBeInstanceOf(Date);
+  });
+
+  it("requires the user", () => {
+    expect(new Wishlist({}).validateSync().errors.user).toBeDefined();
+  });
+
+  it("requires each item's product and saved price", () => {
+    const err = new Wishlist({ user: new mongoose.Types.ObjectId(), items: [{}] }).validateSync();
+
+    expect(err.errors["items.0.product"]).toBeDefined();
+    expect(err.errors["items.0.savedPrice"]).toBeDefined();
+  });
+
+  it("rejects a negative saved price", () => {
+    const err = new Wishlist({
+      user: new mongoose.Types.ObjectId(),
+      items: [{ product: new mongoose.Types.ObjectId(), savedPrice: -1 }],
+    }).validateSync();
+
+    expect(err.errors["items.0.savedPrice"]).toBeDefined();
+  });
+
+  it("keeps one wishlist per user", () => {
+    expect(Wishlist.schema.path("user").options.unique).toBe(true);
+  });
+});
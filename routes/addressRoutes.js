@@ -0,0 +1,25 @@
+import express from "express";
+import { requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  createAddressController,
+  deleteAddressController,
+  getAddressesController,
+  updateAddressController,
+} from "../controllers/addressController.js";
+
+const router = express.Router();
+
+//routes
+// the user's address book
+router.get("/get-addresses", requireSignIn, getAddressesController);
+
+//add address
+router.post("/create-address", requireSignIn, createAddressController);
+
+//update address
+router.put("/update-address/:id", requireSignIn, updateAddressController);
+
+//delete address
+router.delete("/delete-address/:id", requireSignIn, deleteAddressController);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import { requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  addCartItemController,
+  clearCartController,
+  getCartController,
+  mergeCartController,
+  removeCartItemController,
+  updateCartItemController,
+  validateCartController,
+} from "../controllers/cartController.js";
+
+//router object
+const router = express.Router();
+
+//routing
+// the signed-in user's saved cart
+router.get("/", requireSignIn, getCartController);
+router.post("/items", requireSignIn, addCartItemController);
+router.put("/items/:productId/:variantId?", requireSignIn, updateCartItemController);
+router.delete("/items/:productId/:variantId?", requireSignIn, removeCartItemController);
+router.delete("/", requireSignIn, clearCartController);
+// called right after login with the cart built as a guest
+router.post("/merge", requireSignIn, mergeCartController);
+// open to guests too, whose cart only lives in the browser
+router.post("/validate", validateCartController);
+
+export default router;
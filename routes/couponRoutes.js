@@ -0,0 +1,29 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  createCouponController,
+  deleteCouponController,
+  getCouponsController,
+  previewCouponController,
+  updateCouponController,
+} from "../controllers/couponController.js";
+
+const router = express.Router();
+
+//routes
+// create coupon
+router.post("/create-coupon", requireSignIn, isAdmin, createCouponController);
+
+//update coupon
+router.put("/update-coupon/:id", requireSignIn, isAdmin, updateCouponController);
+
+//all coupons
+router.get("/get-coupons", requireSignIn, isAdmin, getCouponsController);
+
+//delete coupon
+router.delete("/delete-coupon/:id", requireSignIn, isAdmin, deleteCouponController);
+
+//price a code against the shopper's cart
+router.post("/preview", requireSignIn, previewCouponController);
+
+export default router;
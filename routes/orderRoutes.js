@@ -0,0 +1,18 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  guestOrderLookupController,
+  refundOrderController,
+} from "../controllers/orderController.js";
+
+//router object
+const router = express.Router();
+
+//routing
+// refund or cancel a paid order, in full or for some of its items
+router.post("/:orderId/refund", requireSignIn, isAdmin, refundOrderController);
+
+// a guest order by its number and email; posted so the email stays out of urls
+router.post("/guest-lookup", guestOrderLookupController);
+
+export default router;
@@ -9,13 +9,17 @@ import {
   productCategoryController,
   productCountController,
   productFiltersController,
+  productImageController,
   productListController,
   productPhotoController,
   realtedProductController,
   searchProductController,
+  searchSuggestionsController,
   updateProductController,
+  variantPhotoController,
 } from "../controllers/productController.js";
 import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import { idempotentCheckout } from "../middlewares/idempotencyMiddleware.js";
 import formidable from "express-formidable";
 
 const router = express.Router();
@@ -46,6 +50,12 @@ router.get("/get-product/:slug", getSingleProductController);
 //get photo
 router.get("/product-photo/:pid", productPhotoController);
 
+//get one image of the gallery
+router.get("/product-image/:pid/:imageId", productImageController);
+
+//get a variant's photo
+router.get("/variant-photo/:pid/:vid", variantPhotoController);
+
 //delete rproduct
 router.delete("/delete-product/:pid", deleteProductController);
 
@@ -61,6 +71,9 @@ router.get("/product-list/:page", productListController);
 //search product
 router.get("/search/:keyword", searchProductController);
 
+//search suggestions while typing
+router.get("/search-suggestions", searchSuggestionsController);
+
 //similar product
 router.get("/related-product/:pid/:cid", realtedProductController);
 
@@ -72,6 +85,18 @@ router.get("/product-category/:slug", productCategoryController);
 router.get("/braintree/token", braintreeTokenController);
 
 //payments
-router.post("/braintree/payment", requireSignIn, brainTreePaymentController);
+router.post(
+  "/braintree/payment",
+  requireSignIn,
+  idempotentCheckout,
+  brainTreePaymentController
+);
+
+//guest payments, priced and charged the same way
+router.post(
+  "/braintree/guest-payment",
+  idempotentCheckout,
+  brainTreePaymentController
+);
 
 export default router;
\ No newline at end of file
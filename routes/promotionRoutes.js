@@ -0,0 +1,29 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  cartPromotionsController,
+  createPromotionController,
+  deletePromotionController,
+  getPromotionsController,
+  updatePromotionController,
+} from "../controllers/promotionController.js";
+
+const router = express.Router();
+
+//routes
+// create promotion
+router.post("/create-promotion", requireSignIn, isAdmin, createPromotionController);
+
+//update promotion
+router.put("/update-promotion/:id", requireSignIn, isAdmin, updatePromotionController);
+
+//all promotions
+router.get("/get-promotions", requireSignIn, isAdmin, getPromotionsController);
+
+//delete promotion
+router.delete("/delete-promotion/:id", requireSignIn, isAdmin, deletePromotionController);
+
+//promotions a cart gets; guests see them too
+router.post("/cart", cartPromotionsController);
+
+export default router;
@@ -0,0 +1,37 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  answerQuestionController,
+  askQuestionController,
+  canAnswerController,
+  deleteQuestionController,
+  getProductQuestionsController,
+  unansweredQuestionsController,
+  upvoteAnswerController,
+} from "../controllers/questionController.js";
+
+const router = express.Router();
+
+//routes
+// a product's questions and answers
+router.get("/product-questions/:pid", getProductQuestionsController);
+
+//ask a question
+router.post("/ask-question/:pid", requireSignIn, askQuestionController);
+
+//whether the user may answer questions about a product
+router.get("/can-answer/:pid", requireSignIn, canAnswerController);
+
+//answer a question
+router.post("/answer-question/:qid", requireSignIn, answerQuestionController);
+
+//upvote an answer
+router.put("/upvote-answer/:qid/:aid", requireSignIn, upvoteAnswerController);
+
+//questions waiting for an answer
+router.get("/unanswered-questions", requireSignIn, isAdmin, unansweredQuestionsController);
+
+//delete question
+router.delete("/delete-question/:id", requireSignIn, isAdmin, deleteQuestionController);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  deleteReviewController,
+  getAllReviewsController,
+  getMyReviewController,
+  getProductReviewsController,
+  reviewVisibilityController,
+  saveReviewController,
+} from "../controllers/reviewController.js";
+
+const router = express.Router();
+
+//routes
+// a product's reviews
+router.get("/product-reviews/:pid", getProductReviewsController);
+
+//the signed-in user's review of a product
+router.get("/my-review/:pid", requireSignIn, getMyReviewController);
+
+//write or edit a review
+router.put("/save-review/:pid", requireSignIn, saveReviewController);
+
+//all reviews for moderation
+router.get("/all-reviews", requireSignIn, isAdmin, getAllReviewsController);
+
+//hide or show a review
+router.put("/review-visibility/:id", requireSignIn, isAdmin, reviewVisibilityController);
+
+//delete review
+router.delete("/delete-review/:id", requireSignIn, isAdmin, deleteReviewController);
+
+export default router;
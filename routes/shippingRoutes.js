@@ -0,0 +1,29 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  createShippingMethodController,
+  deleteShippingMethodController,
+  getShippingMethodsController,
+  shippingQuoteController,
+  updateShippingMethodController,
+} from "../controllers/shippingController.js";
+
+const router = express.Router();
+
+//routes
+// create shipping method
+router.post("/create-method", requireSignIn, isAdmin, createShippingMethodController);
+
+//update shipping method
+router.put("/update-method/:id", requireSignIn, isAdmin, updateShippingMethodController);
+
+//all shipping methods
+router.get("/get-methods", requireSignIn, isAdmin, getShippingMethodsController);
+
+//delete shipping method
+router.delete("/delete-method/:id", requireSignIn, isAdmin, deleteShippingMethodController);
+
+//what each method costs a cart; guests see it too
+router.post("/quote", shippingQuoteController);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  createTaxRateController,
+  deleteTaxRateController,
+  getTaxRatesController,
+  taxOptionsController,
+  taxQuoteController,
+  updateTaxRateController,
+} from "../controllers/taxController.js";
+
+const router = express.Router();
+
+//routes
+// create tax rate
+router.post("/create-rate", requireSignIn, isAdmin, createTaxRateController);
+
+//update tax rate
+router.put("/update-rate/:id", requireSignIn, isAdmin, updateTaxRateController);
+
+//all tax rates
+router.get("/get-rates", requireSignIn, isAdmin, getTaxRatesController);
+
+//delete tax rate
+router.delete("/delete-rate/:id", requireSignIn, isAdmin, deleteTaxRateController);
+
+//regions, tax classes and display mode
+router.get("/options", taxOptionsController);
+
+//tax on a cart; guests see it too
+router.post("/quote", taxQuoteController);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from "express";
+import { requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  addWishlistItemController,
+  getWishlistController,
+  removeWishlistItemController,
+} from "../controllers/wishlistController.js";
+
+//router object
+const router = express.Router();
+
+//routing
+// the signed-in user's wishlist
+router.get("/", requireSignIn, getWishlistController);
+router.post("/items", requireSignIn, addWishlistItemController);
+router.delete("/items/:productId", requireSignIn, removeWishlistItemController);
+
+export default router;
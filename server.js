@@ -3,16 +3,36 @@ import colors from "colors";
 import dotenv from "dotenv";
 import morgan from "morgan";
 import connectDB from "./config/db.js";
+import { backfillCategoryNames } from "./helpers/searchHelper.js";
+import { backfillOrderLines } from "./helpers/orderHelper.js";
+import { HOLD_TTL, releaseExpiredHolds } from "./helpers/stockHelper.js";
 import authRoutes from './routes/authRoute.js'
 import categoryRoutes from './routes/categoryRoutes.js'
 import productRoutes from './routes/productRoutes.js'
+import orderRoutes from './routes/orderRoutes.js'
+import cartRoutes from './routes/cartRoutes.js'
+import couponRoutes from './routes/couponRoutes.js'
+import promotionRoutes from './routes/promotionRoutes.js'
+import taxRoutes from './routes/taxRoutes.js'
+import shippingRoutes from './routes/shippingRoutes.js'
+import addressRoutes from './routes/addressRoutes.js'
+import reviewRoutes from './routes/reviewRoutes.js'
+import questionRoutes from './routes/questionRoutes.js'
+import wishlistRoutes from './routes/wishlistRoutes.js'
 import cors from "cors";
 
 // configure env
 dotenv.config();
 
-//database config
-connectDB();
+//database config, then give older products their category's name for search,
+//give older orders line items and put stock held by checkouts that never
+//finished back on sale
+connectDB().then(() => {
+  backfillCategoryNames();
+  backfillOrderLines();
+  releaseExpiredHolds();
+});
+setInterval(releaseExpiredHolds, HOLD_TTL);
 
 const app = express();
 
@@ -25,6 +45,16 @@ app.use(morgan('dev'));
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/category", categoryRoutes);
 app.use("/api/v1/product", productRoutes);
+app.use("/api/v1/order", orderRoutes);
+app.use("/api/v1/cart", cartRoutes);
+app.use("/api/v1/coupon", couponRoutes);
+app.use("/api/v1/promotion", promotionRoutes);
+app.use("/api/v1/tax", taxRoutes);
+app.use("/api/v1/shipping", shippingRoutes);
+app.use("/api/v1/address", addressRoutes);
+app.use("/api/v1/review", reviewRoutes);
+app.use("/api/v1/question", questionRoutes);
+app.use("/api/v1/wishlist", wishlistRoutes);
 
 // rest api
 